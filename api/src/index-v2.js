@@ -542,4 +542,7 @@ const server = app.listen(PORT, () => {
     console.log('╚════════════════════════════════════════╝');
 });
 
+// Live co-editing for the V6 project editor
+require('./services/projectLiveEditing').attach(server);
+
 module.exports = app;
@@ -138,7 +138,10 @@ app.get('/', (req, res) => {
 });
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
     console.log(`✅ MVP API running on port ${PORT}`);
     console.log(`🔗 http://localhost:${PORT}`);
 });
+
+// Live co-editing for the V6 project editor
+require('./services/projectLiveEditing').attach(server);
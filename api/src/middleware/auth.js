@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const { Pool } = require('pg');
+const projectCollaborators = require('../services/projectCollaborators');
 
 // Database connection
 const pool = new Pool({
@@ -173,59 +174,70 @@ const requireFeature = (featureName) => {
 };
 
 /**
- * Project ownership verification middleware
+ * Project role middleware: the user must own the project or collaborate on
+ * it with at least minRole (viewer < editor < owner). The project is found
+ * from :projectId/:id, :stepId, :fieldId or :choiceId; req.projectId,
+ * req.projectRole and req.projectOwnerId are set for the route.
  */
-const requireProjectOwnership = async (req, res, next) => {
-    try {
-        if (!req.user) {
-            return res.status(401).json({ 
-                success: false,
-                error: 'Authentication required' 
-            });
-        }
+const requireProjectRole = (minRole) => {
+    return async (req, res, next) => {
+        try {
+            if (!req.user) {
+                return res.status(401).json({ 
+                    success: false,
+                    error: 'Authentication required' 
+                });
+            }
 
-        const projectId = req.params.projectId || req.params.id;
-        if (!projectId) {
-            return res.status(400).json({ 
-                success: false,
-                error: 'Project ID required' 
-            });
-        }
+            const { stepId, fieldId, choiceId } = req.params;
+            const projectId = req.params.projectId || req.params.id;
+            if (!projectId && !stepId && !fieldId && !choiceId) {
+                return res.status(400).json({ 
+                    success: false,
+                    error: 'Project ID required' 
+                });
+            }
 
-        // Check if user owns the project
-        const result = await pool.query(
-            'SELECT user_id FROM projects_v6 WHERE id = $1',
-            [projectId]
-        );
+            const access = await projectCollaborators.getAccess({ projectId, stepId, fieldId, choiceId }, req.user.id);
 
-        if (result.rows.length === 0) {
-            return res.status(404).json({ 
-                success: false,
-                error: 'Project not found' 
-            });
-        }
+            if (!access) {
+                return res.status(404).json({ 
+                    success: false,
+                    error: projectId ? 'Project not found' : 'Not found'
+                });
+            }
+
+            if (!projectCollaborators.hasRole(access.role, minRole)) {
+                return res.status(403).json({ 
+                    success: false,
+                    error: access.role ? `This action needs ${minRole} access to the project` : 'Access denied'
+                });
+            }
 
-        if (result.rows[0].user_id !== req.user.id) {
-            return res.status(403).json({ 
+            req.projectId = access.projectId;
+            req.projectRole = access.role;
+            req.projectOwnerId = access.ownerId;
+            next();
+
+        } catch (error) {
+            console.error('Project role check error:', error);
+            res.status(500).json({ 
                 success: false,
-                error: 'Access denied' 
+                error: 'Authorization error' 
             });
         }
-
-        next();
-
-    } catch (error) {
-        console.error('Project ownership check error:', error);
-        res.status(500).json({ 
-            success: false,
-            error: 'Authorization error' 
-        });
-    }
+    };
 };
 
+/**
+ * Project ownership verification middleware
+ */
+const requireProjectOwnership = requireProjectRole('owner');
+
 module.exports = {
     verifyAuth,
     optionalAuth,
     requireFeature,
-    requireProjectOwnership
+    requireProjectOwnership,
+    requireProjectRole
 };
\ No newline at end of file
@@ -130,36 +130,32 @@ const sanitizeInput = (req, res, next) => {
     next();
 };
 
+// Origins allowed to call the API from a browser
+const allowedOrigins = [
+    'https://app.prompt-machine.com',
+    'http://localhost:3000',
+    /^https:\/\/.*\.prompt-machine\.com$/
+];
+
+/**
+ * Whether a browser origin may call the API (also used for the editor sockets)
+ */
+const isAllowedOrigin = (origin) => {
+    return allowedOrigins.some(allowed => (
+        typeof allowed === 'string' ? origin === allowed : allowed.test(origin)
+    ));
+};
+
 // Enhanced CORS middleware with dynamic origin validation
 const corsMiddleware = (req, res, next) => {
     const origin = req.get('Origin');
-    const allowedOrigins = [
-        'https://app.prompt-machine.com',
-        'http://localhost:3000',
-        /^https:\/\/.*\.prompt-machine\.com$/
-    ];
-
-    let isAllowed = false;
-    
-    for (const allowed of allowedOrigins) {
-        if (typeof allowed === 'string') {
-            if (origin === allowed) {
-                isAllowed = true;
-                break;
-            }
-        } else if (allowed instanceof RegExp) {
-            if (allowed.test(origin)) {
-                isAllowed = true;
-                break;
-            }
-        }
-    }
+    const isAllowed = isAllowedOrigin(origin);
 
     if (isAllowed || !origin) { // Allow same-origin requests
         res.header('Access-Control-Allow-Origin', origin || '*');
         res.header('Access-Control-Allow-Credentials', 'true');
         res.header('Access-Control-Allow-Methods', 'GET,PUT,POST,DELETE,OPTIONS');
-        res.header('Access-Control-Allow-Headers', 'Origin,X-Requested-With,Content-Type,Accept,Authorization');
+        res.header('Access-Control-Allow-Headers', 'Origin,X-Requested-With,Content-Type,Accept,Authorization,X-Socket-Id');
     }
 
     if (req.method === 'OPTIONS') {
@@ -234,5 +230,6 @@ module.exports = {
     handleValidationErrors,
     sanitizeInput,
     corsMiddleware,
+    isAllowedOrigin,
     enforcePackageLimits
 };
\ No newline at end of file
@@ -3,6 +3,9 @@ const router = express.Router();
 const { Pool } = require('pg');
 const jwt = require('jsonwebtoken');
 const { verifyAuth } = require('../middleware/auth');
+const llmClient = require('../services/llmClient');
+const aiCallLog = require('../services/aiCallLog');
+const aiConfig = require('../services/aiConfig');
 
 const pool = new Pool({
     host: process.env.DB_HOST,
@@ -13,6 +16,11 @@ const pool = new Pool({
     ssl: { rejectUnauthorized: false }
 });
 
+// Ensure AI call log table exists on module load
+aiCallLog.ensureCallLogTables().catch(err => {
+    console.error('Failed to ensure AI call log tables:', err);
+});
+
 // Simple admin check middleware that uses existing verifyAuth
 async function requireAdmin(req, res, next) {
     // First verify authentication using the working middleware
@@ -998,6 +1006,94 @@ router.get('/tools', requireAdmin, async (req, res) => {
     }
 });
 
+// Feature or unfeature a public V6 project template in the gallery
+router.put('/templates/:templateId/feature', requireAdmin, async (req, res) => {
+    try {
+        const projectTemplates = require('../services/projectTemplates');
+        const template = await projectTemplates.setFeatured(req.params.templateId, req.body.featured === true);
+        
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                error: 'Public template not found'
+            });
+        }
+        
+        console.log(`⭐ Template ${template.id} ${template.featured ? 'featured' : 'unfeatured'} by ${req.user.email}`);
+        
+        res.json({
+            success: true,
+            template,
+            message: template.featured ? 'Template featured' : 'Template no longer featured'
+        });
+        
+    } catch (error) {
+        console.error('Error featuring template:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update template'
+        });
+    }
+});
+
+// AI reliability: circuit state of each provider, the fallback chain and recent attempts
+router.get('/ai/status', requireAdmin, async (req, res) => {
+    try {
+        const breakers = llmClient.getBreakerStates();
+        const summary = await aiCallLog.getSummary();
+        
+        res.json({
+            success: true,
+            providers: llmClient.getProviders().map(provider => ({
+                ...provider,
+                circuit: breakers[provider.id],
+                last_24h: summary.providers.find(row => row.provider === provider.id) || null
+            })),
+            fallbacks: llmClient.getPlatformFallbacks(),
+            settings: {
+                max_retries: llmClient.maxRetries,
+                request_timeout_ms: llmClient.requestTimeout,
+                breaker_threshold: llmClient.breakerThreshold,
+                breaker_cooldown_ms: llmClient.breakerCooldown,
+                max_fallbacks: llmClient.maxFallbacks
+            },
+            recent: summary.recent
+        });
+        
+    } catch (error) {
+        console.error('Error getting AI status:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get AI status'
+        });
+    }
+});
+
+// Set the platform-wide AI fallback chain (model ids or provider ids, tried in order)
+router.put('/ai/fallbacks', requireAdmin, async (req, res) => {
+    try {
+        const { fallbacks, errors } = llmClient.normalizeFallbacks(req.body.fallbacks);
+        
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: errors[0],
+                errors
+            });
+        }
+        
+        const result = await aiConfig.setFallbackChain(fallbacks);
+        res.status(result.success ? 200 : 500).json(result);
+        
+    } catch (error) {
+        console.error('Error setting AI fallbacks:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to set AI fallbacks'
+        });
+    }
+});
+
 // System status check
 router.get('/system/status', requireAdmin, async (req, res) => {
     try {
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { Pool } = require('pg');
+const projectExperiments = require('../services/projectExperiments');
 
 // Database connection
 const pool = new Pool({
@@ -367,7 +368,8 @@ router.get('/projects/:projectId', verifyAuth, async (req, res) => {
 
 /**
  * POST /api/analytics/track
- * Enhanced analytics tracking for deployed tools
+ * Enhanced analytics tracking for deployed tools. With visitor_id, events
+ * are tagged with the visitor's variant of a running experiment.
  */
 router.post('/track', async (req, res) => {
     try {
@@ -375,7 +377,7 @@ router.post('/track', async (req, res) => {
             project_id, session_id, event_type, step_number,
             field_interactions, user_agent, device_type, browser, os,
             session_duration, ai_response_time, error_message, metadata,
-            country, city, referrer
+            country, city, referrer, visitor_id
         } = req.body;
         
         if (!project_id || !event_type) {
@@ -388,19 +390,24 @@ router.post('/track', async (req, res) => {
         // Get client IP
         const user_ip = req.headers['x-forwarded-for'] || req.connection.remoteAddress;
         
+        const assignment = await projectExperiments.getAssignment(project_id, projectExperiments.normalizeVisitorId(visitor_id));
+        
         // Insert enhanced analytics event
         await pool.query(`
             INSERT INTO tool_analytics_v6 
             (project_id, session_id, event_type, step_number, field_interactions, 
              user_ip, user_agent, device_type, browser, os, session_duration, 
-             ai_response_time, error_message, metadata, country, city, referrer)
-            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+             ai_response_time, error_message, metadata, country, city, referrer,
+             experiment_id, variant_key)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19)
         `, [
             project_id, session_id || null, event_type, step_number || null,
             field_interactions ? JSON.stringify(field_interactions) : null,
             user_ip, user_agent, device_type, browser, os, session_duration,
             ai_response_time, error_message, metadata ? JSON.stringify(metadata) : null,
-            country, city, referrer
+            country, city, referrer,
+            assignment ? assignment.experiment_id : null,
+            assignment ? assignment.variant_key : null
         ]);
         
         console.log(`📈 Enhanced analytics event tracked: ${event_type} for project ${project_id}`);
@@ -1,7 +1,6 @@
 const express = require('express');
 const { verifyAuth } = require('../middleware/auth');
 const deploymentService = require('../services/deploy');
-const claudeService = require('../services/claude');
 
 const router = express.Router();
 
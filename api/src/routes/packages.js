@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const { Pool } = require('pg');
+const aiConfig = require('../services/aiConfig');
+const generationSettings = require('../services/generationSettings');
 
 // Database connection
 const pool = new Pool({
@@ -340,6 +342,79 @@ router.post('/:id/assign', verifyAdmin, async (req, res) => {
     }
 });
 
+/**
+ * GET /api/packages/models
+ * Models an admin can allow per package (Admin only)
+ */
+router.get('/models', verifyAdmin, async (req, res) => {
+    try {
+        const available = await aiConfig.getAvailableModels();
+
+        res.json({
+            success: true,
+            providers: Object.entries(available).map(([id, provider]) => ({ id, ...provider }))
+        });
+    } catch (error) {
+        console.error('Error fetching models:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch models'
+        });
+    }
+});
+
+/**
+ * PUT /api/packages/:id/models
+ * Restrict the models projects of the package's users may select (Admin only).
+ * { allowed_models: [model id, ...] }, or null to allow every model.
+ */
+router.put('/:id/models', verifyAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { allowed_models } = req.body;
+
+        const existingPackage = await pool.query('SELECT limits FROM packages WHERE id = $1', [id]);
+        if (existingPackage.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Package not found'
+            });
+        }
+
+        const { models, errors } = await generationSettings.normalizeAllowedModels(allowed_models === undefined ? null : allowed_models);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: errors[0],
+                errors
+            });
+        }
+
+        const limits = { ...(existingPackage.rows[0].limits || {}) };
+        delete limits.allowed_models;
+        const result = await pool.query(`
+            UPDATE packages
+            SET limits = $1, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $2
+            RETURNING *
+        `, [JSON.stringify(models ? { ...limits, allowed_models: models } : limits), id]);
+
+        console.log(`✅ Package models updated: ${result.rows[0].display_name} (${models ? models.join(', ') : 'all models'})`);
+
+        res.json({
+            success: true,
+            package: result.rows[0],
+            message: models ? 'Package models restricted' : 'Package allows every model'
+        });
+    } catch (error) {
+        console.error('Error updating package models:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update package models'
+        });
+    }
+});
+
 /**
  * DELETE /api/packages/:packageId/users/:userId
  * Remove package assignment from user (Admin only)
@@ -1,7 +1,8 @@
 const express = require('express');
 const { Pool } = require('pg');
 const { verifyAuth } = require('../middleware/auth');
-const claudeService = require('../services/claude');
+const llmClient = require('../services/llmClient');
+const fieldRecommendations = require('../services/fieldRecommendations');
 
 const router = express.Router();
 
@@ -14,6 +15,19 @@ const pool = new Pool({
     password: process.env.DB_PASSWORD
 });
 
+// Instructions for the builder chat, asking for fields in the format extractSuggestedFields reads
+const builderSystemPrompt = `You are a helpful AI assistant that helps users build prompts for their AI tools.
+
+Help the user clarify what their tool should do, and suggest the input fields it needs.
+
+When suggesting fields, use this format:
+**Suggested Fields:**
+- **Field Name** (text): Description or placeholder text
+- **Multi-line Field** (textarea): For longer text inputs
+- **Choice Field** (dropdown): Option1, Option2, Option3
+
+Keep responses conversational but helpful.`;
+
 // POST /api/prompt-builder/start - Start new conversation for a project
 router.post('/start', verifyAuth, async (req, res) => {
     try {
@@ -132,10 +146,10 @@ router.post('/message', verifyAuth, async (req, res) => {
         messages.push({ role: 'user', content: message });
 
         try {
-            // Get Claude's response
-            const claudeResponse = await claudeService.chat(message, messages.slice(-10)); // Keep last 10 messages for context
+            // Get the AI's response
+            const claudeResponse = await llmClient.chat(message, messages.slice(-10), builderSystemPrompt); // Keep last 10 messages for context
 
-            // Add Claude's response to conversation
+            // Add the AI's response to conversation
             messages.push({ role: 'assistant', content: claudeResponse });
 
             // Update conversation in database
@@ -148,20 +162,20 @@ router.post('/message', verifyAuth, async (req, res) => {
                 conversationId,
                 reply: claudeResponse,
                 messages: messages,
-                suggestedFields: claudeService.extractSuggestedFields(claudeResponse)
+                suggestedFields: fieldRecommendations.extractSuggestedFields(claudeResponse)
             });
 
         } catch (claudeError) {
-            console.error('Claude API error:', claudeError.message);
+            console.error('AI provider error:', claudeError.message);
             
-            // Still save the user message even if Claude fails
+            // Still save the user message even if the AI call fails
             await pool.query(
                 'UPDATE conversations SET messages = $1 WHERE id = $2',
                 [JSON.stringify(messages), conversationId]
             );
 
             res.status(503).json({
-                error: 'Claude AI is currently unavailable. Please try again later.',
+                error: 'The AI is currently unavailable. Please try again later.',
                 claudeError: claudeError.message,
                 conversationId
             });
@@ -282,20 +296,22 @@ router.post('/save', verifyAuth, async (req, res) => {
     }
 });
 
-// GET /api/prompt-builder/health - Health check for Claude API
+// GET /api/prompt-builder/health - Health check for the active AI provider
 router.get('/health', verifyAuth, async (req, res) => {
     try {
-        const isHealthy = await claudeService.healthCheck();
+        const provider = llmClient.getActiveProvider();
+        const isHealthy = await llmClient.healthCheck(provider);
         
         res.json({
             claudeApi: isHealthy ? 'available' : 'unavailable',
-            apiKey: process.env.CLAUDE_API_KEY ? 'configured' : 'missing',
-            model: 'claude-3-sonnet-20240229',
+            provider,
+            apiKey: llmClient.providers[provider].isConfigured() ? 'configured' : 'missing',
+            model: llmClient.getDefaultModel(provider),
             timestamp: new Date().toISOString()
         });
 
     } catch (error) {
-        console.error('Claude health check error:', error);
+        console.error('AI health check error:', error);
         res.status(503).json({
             claudeApi: 'error',
             error: error.message,
@@ -1,7 +1,29 @@
 const express = require('express');
 const { Pool } = require('pg');
-const claude = require('../services/claude');
-const { verifyAuth, requireProjectOwnership, requireFeature } = require('../middleware/auth');
+const llmClient = require('../services/llmClient');
+const conditionalLogic = require('../services/conditionalLogic');
+const projectVersions = require('../services/projectVersions');
+const projectImport = require('../services/projectImport');
+const fieldValidation = require('../services/fieldValidation');
+const fieldTypes = require('../services/fieldTypes');
+const promptTemplates = require('../services/promptTemplates');
+const toolRequests = require('../services/toolRequests');
+const toolConversations = require('../services/toolConversations');
+const promptPipelines = require('../services/promptPipelines');
+const outputSchemas = require('../services/outputSchemas');
+const batchRuns = require('../services/batchRuns');
+const projectTemplates = require('../services/projectTemplates');
+const projectLocales = require('../services/projectLocales');
+const toolDrafts = require('../services/toolDrafts');
+const projectCollaborators = require('../services/projectCollaborators');
+const projectLiveEditing = require('../services/projectLiveEditing');
+const projectJournal = require('../services/projectJournal');
+const projectLinter = require('../services/projectLinter');
+const promptTests = require('../services/promptTests');
+const projectExperiments = require('../services/projectExperiments');
+const responseCache = require('../services/responseCache');
+const generationSettings = require('../services/generationSettings');
+const { verifyAuth, requireProjectOwnership, requireProjectRole, requireFeature } = require('../middleware/auth');
 const { enforcePackageLimits } = require('../middleware/security');
 
 // Database connection
@@ -16,6 +38,103 @@ const pool = new Pool({
 
 const router = express.Router();
 
+// Ensure conditional logic columns exist on module load
+conditionalLogic.ensureLogicColumns().catch(err => {
+    console.error('Failed to ensure conditional logic columns:', err);
+});
+
+// Ensure project version tables exist on module load
+projectVersions.ensureVersionTables().catch(err => {
+    console.error('Failed to ensure project version tables:', err);
+});
+
+// Ensure field type config column exists on module load
+fieldTypes.ensureFieldTypeColumns().catch(err => {
+    console.error('Failed to ensure field type columns:', err);
+});
+
+// Ensure prompt template column exists on module load
+promptTemplates.ensureTemplateColumns().catch(err => {
+    console.error('Failed to ensure prompt template columns:', err);
+});
+
+// Ensure follow-up chat columns exist on module load
+toolConversations.ensureConversationColumns().catch(err => {
+    console.error('Failed to ensure tool conversation columns:', err);
+});
+
+// Ensure prompt pipeline columns exist on module load
+promptPipelines.ensurePipelineColumns().catch(err => {
+    console.error('Failed to ensure prompt pipeline columns:', err);
+});
+
+// Ensure output schema column exists on module load
+outputSchemas.ensureOutputSchemaColumns().catch(err => {
+    console.error('Failed to ensure output schema columns:', err);
+});
+
+// Ensure batch run tables exist on module load, then pick up unfinished batches
+batchRuns.ensureBatchTables().then(() => batchRuns.resume()).catch(err => {
+    console.error('Failed to ensure batch run tables:', err);
+});
+
+// Ensure project template table exists on module load
+projectTemplates.ensureTemplateTables().catch(err => {
+    console.error('Failed to ensure project template tables:', err);
+});
+
+// Ensure locale columns exist on module load
+projectLocales.ensureLocaleColumns().catch(err => {
+    console.error('Failed to ensure project locale columns:', err);
+});
+
+// Ensure draft columns exist on module load, then clear drafts that expired while down
+toolDrafts.ensureDraftColumns().then(() => toolDrafts.clearExpiredDrafts()).catch(err => {
+    console.error('Failed to ensure tool draft columns:', err);
+});
+
+// Ensure project collaborators table exists on module load
+projectCollaborators.ensureCollaboratorTable().catch(err => {
+    console.error('Failed to ensure project collaborators table:', err);
+});
+
+// Ensure project journal table exists on module load
+projectJournal.ensureJournalTable().catch(err => {
+    console.error('Failed to ensure project journal table:', err);
+});
+
+// Ensure prompt test tables exist on module load
+promptTests.ensureTestTables().catch(err => {
+    console.error('Failed to ensure prompt test tables:', err);
+});
+
+// Ensure experiment tables exist on module load
+projectExperiments.ensureExperimentTables().catch(err => {
+    console.error('Failed to ensure project experiment tables:', err);
+});
+
+// Ensure response cache tables on module load
+responseCache.ensureCacheTables().catch(err => {
+    console.error('Failed to ensure response cache tables:', err);
+});
+
+// Ensure generation settings columns on module load
+generationSettings.ensureGenerationSettingsColumns().catch(err => {
+    console.error('Failed to ensure generation settings columns:', err);
+});
+
+// Push a saved change to the other editors who have the project open
+// (the author's own socket, sent as X-Socket-Id, is skipped)
+function broadcastChange(req, change) {
+    projectLiveEditing.broadcastChange(req.projectId, change, req.user, req.get('X-Socket-Id'));
+}
+
+// Record a structural change in the project's undo/redo journal
+// (entry: { entity_type, entity_id, action, before, after })
+async function journalChange(req, entry) {
+    await projectJournal.record(req.projectId, req.user, entry);
+}
+
 // Helper function to clean AI JSON responses
 function cleanAIResponse(response) {
     let cleanResponse = response.trim();
@@ -83,11 +202,11 @@ function generateFallbackSystemPrompt(expertType, projectIdea) {
 
 /**
  * GET /api/v6/projects
- * Get all projects for the user
+ * Get the user's own projects and the projects shared with them
  */
 router.get('/projects', verifyAuth, async (req, res) => {
     try {
-        const userId = req.user.userId;
+        const userId = req.user.id;
         
         const query = `
             SELECT 
@@ -103,10 +222,12 @@ router.get('/projects', verifyAuth, async (req, res) => {
         `;
         
         const result = await pool.query(query, [userId]);
+        const sharedProjects = await projectCollaborators.listSharedProjects(userId);
         
         res.json({
             success: true,
-            projects: result.rows
+            projects: result.rows,
+            shared_projects: sharedProjects
         });
         
     } catch (error) {
@@ -235,7 +356,7 @@ Respond with JSON only - no other text:
 Make 2-3 steps with 2-3 fields each. Use field types: text, textarea, select. Keep everything concise.`;
 
         // Get AI suggestion
-        const aiResponse = await claude.generateResponse(structurePrompt, 'claude-3-5-sonnet-20241022');
+        const aiResponse = await llmClient.generateContent(structurePrompt, { max_tokens: 3000, json: true });
         
         let projectStructure;
         try {
@@ -402,7 +523,7 @@ Make 2-3 steps with 2-3 fields each. Use field types: text, textarea, select. Ke
  * GET /api/v6/projects/:projectId
  * Get detailed project with steps and fields
  */
-router.get('/projects/:projectId', verifyAuth, async (req, res) => {
+router.get('/projects/:projectId', verifyAuth, requireProjectRole('viewer'), async (req, res) => {
     try {
         const { projectId } = req.params;
         
@@ -455,6 +576,7 @@ router.get('/projects/:projectId', verifyAuth, async (req, res) => {
         }
         
         project.steps = stepsResult.rows;
+        project.role = req.projectRole;
         
         res.json({
             success: true,
@@ -474,13 +596,31 @@ router.get('/projects/:projectId', verifyAuth, async (req, res) => {
  * PUT /api/v6/projects/:projectId
  * Update project details
  */
-router.put('/projects/:projectId', async (req, res) => {
+router.put('/projects/:projectId', verifyAuth, requireProjectRole('editor'), async (req, res) => {
     try {
         const { projectId } = req.params;
         const { name, description, ai_role, header_title, header_subtitle, updateSubdomain, access_level, required_package_id } = req.body;
+
+        const followup = toolConversations.normalizeSettings(req.body);
+        if (followup.errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid follow-up settings',
+                errors: followup.errors
+            });
+        }
+
+        const drafts = toolDrafts.normalizeSettings(req.body);
+        if (drafts.errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid save-and-resume settings',
+                errors: drafts.errors
+            });
+        }
         
         // Get current project to check if name changed
-        const currentProject = await pool.query('SELECT name, subdomain FROM projects_v6 WHERE id = $1', [projectId]);
+        const currentProject = await pool.query('SELECT name, subdomain, user_id, generation_settings FROM projects_v6 WHERE id = $1', [projectId]);
         if (currentProject.rows.length === 0) {
             return res.status(404).json({
                 success: false,
@@ -488,6 +628,19 @@ router.put('/projects/:projectId', async (req, res) => {
             });
         }
         
+        // Models are checked against what the owner's packages allow, whoever edits
+        let generation = { settings: currentProject.rows[0].generation_settings, errors: [] };
+        if (req.body.generation_settings !== undefined) {
+            generation = await generationSettings.normalizeSettings(req.body.generation_settings, currentProject.rows[0].user_id);
+            if (generation.errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid generation settings',
+                    errors: generation.errors
+                });
+            }
+        }
+        
         let subdomain = currentProject.rows[0].subdomain;
         
         // Update subdomain if name changed and updateSubdomain is true
@@ -533,15 +686,24 @@ router.put('/projects/:projectId', async (req, res) => {
                 subdomain = $6,
                 access_level = COALESCE($7, access_level),
                 required_package_id = $8,
+                followup_enabled = COALESCE($10, followup_enabled),
+                followup_max_turns = COALESCE($11, followup_max_turns),
+                draft_expiry_days = COALESCE($12, draft_expiry_days),
+                generation_settings = $13,
                 updated_at = NOW()
             WHERE id = $9
             RETURNING *
         `;
         
         const result = await pool.query(query, [
-            name, description, ai_role, header_title, header_subtitle, subdomain, access_level, required_package_id, projectId
+            name, description, ai_role, header_title, header_subtitle, subdomain, access_level, required_package_id, projectId,
+            followup.settings.followup_enabled, followup.settings.followup_max_turns,
+            drafts.settings.draft_expiry_days,
+            generation.settings ? JSON.stringify(generation.settings) : null
         ]);
         
+        broadcastChange(req, { type: 'project', action: 'updated', id: projectId, data: result.rows[0] });
+        
         res.json({
             success: true,
             project: result.rows[0]
@@ -556,11 +718,52 @@ router.put('/projects/:projectId', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/v6/projects/:projectId/generation-options
+ * Providers and models the project's generation settings can use (limited by
+ * the owner's package), with the defaults used for unset settings
+ */
+router.get('/projects/:projectId/generation-options', verifyAuth, requireProjectRole('viewer'), async (req, res) => {
+    try {
+        const { projectId } = req.params;
+        
+        const projectResult = await pool.query('SELECT user_id, generation_settings FROM projects_v6 WHERE id = $1', [projectId]);
+        
+        if (projectResult.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Project not found'
+            });
+        }
+        
+        const { user_id, generation_settings } = projectResult.rows[0];
+        
+        res.json({
+            success: true,
+            settings: generation_settings,
+            providers: await generationSettings.getOptions(user_id),
+            defaults: generationSettings.getDefaults(),
+            limits: {
+                max_tokens: generationSettings.maxTokensLimit,
+                stop_sequences: generationSettings.maxStopSequences,
+                fallbacks: llmClient.maxFallbacks
+            }
+        });
+        
+    } catch (error) {
+        console.error('Error getting generation options:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get generation options'
+        });
+    }
+});
+
 /**
  * DELETE /api/v6/projects/:projectId
  * Delete project and all related data (including deployed tool files)
  */
-router.delete('/projects/:projectId', verifyAuth, async (req, res) => {
+router.delete('/projects/:projectId', verifyAuth, requireProjectOwnership, async (req, res) => {
     const toolGeneratorV6 = require('../services/toolGeneratorV6');
     
     try {
@@ -591,6 +794,8 @@ router.delete('/projects/:projectId', verifyAuth, async (req, res) => {
             }
         }
         
+        broadcastChange(req, { type: 'project', action: 'deleted', id: projectId });
+        
         res.json({
             success: true,
             message: 'Project and deployed files deleted successfully'
@@ -609,7 +814,7 @@ router.delete('/projects/:projectId', verifyAuth, async (req, res) => {
  * PUT /api/v6/projects/:projectId/toggle-enabled
  * Enable or disable a project (keeps all data but toggles accessibility)
  */
-router.put('/projects/:projectId/toggle-enabled', async (req, res) => {
+router.put('/projects/:projectId/toggle-enabled', verifyAuth, requireProjectRole('editor'), async (req, res) => {
     try {
         const { projectId } = req.params;
         
@@ -637,6 +842,8 @@ router.put('/projects/:projectId/toggle-enabled', async (req, res) => {
         
         console.log(`🔄 Project "${project.name}" ${status}`);
         
+        broadcastChange(req, { type: 'project', action: 'updated', id: projectId, data: { enabled: newEnabled } });
+        
         res.json({
             success: true,
             message: `Project ${status} successfully`,
@@ -652,86 +859,95 @@ router.put('/projects/:projectId/toggle-enabled', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/v6/projects/:projectId/lint
+ * Pre-deploy checklist: design problems in the current draft
+ */
+router.get('/projects/:projectId/lint', verifyAuth, requireProjectRole('viewer'), async (req, res) => {
+    try {
+        const { projectId } = req.params;
+        
+        const report = await projectLinter.lintProject(projectId);
+        
+        if (!report) {
+            return res.status(404).json({
+                success: false,
+                error: 'Project not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            ...report
+        });
+        
+    } catch (error) {
+        console.error('Error linting project:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to check project'
+        });
+    }
+});
+
 /**
  * POST /api/v6/projects/:projectId/deploy
- * Deploy project as public tool
+ * Publish the current draft as a new version and deploy it as a public tool
  */
-router.post('/projects/:projectId/deploy', verifyAuth, async (req, res) => {
+router.post('/projects/:projectId/deploy', verifyAuth, requireProjectRole('editor'), async (req, res) => {
     try {
         const { projectId } = req.params;
+        const { notes, override_lint } = req.body || {};
         
         console.log(`🚀 Deploying v6.1.0rc project: ${projectId}`);
 
-        // Get project with all its data
-        const projectResult = await pool.query(`
-            SELECT 
-                p.id, p.name, p.description, p.ai_role, p.ai_persona_description, p.system_prompt,
-                p.subdomain, p.deployed, p.enabled, p.monetization_enabled
-            FROM projects_v6 p 
-            WHERE p.id = $1
-        `, [projectId]);
+        const projectResult = await pool.query('SELECT id FROM projects_v6 WHERE id = $1', [projectId]);
 
         if (projectResult.rows.length === 0) {
             return res.status(404).json({ error: 'Project not found' });
         }
 
-        const project = projectResult.rows[0];
+        // Lint errors block the deploy unless the editor explicitly overrides them
+        const lint = await projectLinter.lintProject(projectId);
+        if (!lint.can_deploy) {
+            if (override_lint !== true) {
+                return res.status(422).json({
+                    success: false,
+                    error: `The pre-deploy check found ${lint.error_count} error${lint.error_count === 1 ? '' : 's'}. Fix them or deploy with override_lint.`,
+                    lint
+                });
+            }
+            console.log(`⚠️ Deploying project ${projectId} with ${lint.error_count} lint errors (overridden by ${req.user.email})`);
+        }
 
-        // Get all steps for this project
-        const stepsResult = await pool.query(`
-            SELECT id, name, description, step_order
-            FROM project_steps_v6 
-            WHERE project_id = $1 
-            ORDER BY step_order ASC
-        `, [projectId]);
+        // With the test gate on, the latest test run must have passed against this draft
+        const tests = await promptTests.checkDeployGate(projectId);
+        if (!tests.passed) {
+            return res.status(422).json({
+                success: false,
+                error: tests.error,
+                tests
+            });
+        }
 
-        const steps = stepsResult.rows;
+        // Freeze the draft into an immutable snapshot and build the tool from it
+        const version = await projectVersions.createVersion(projectId, req.user.id, notes);
 
-        // Get all fields and choices for each step
-        for (let step of steps) {
-            const fieldsResult = await pool.query(`
-                SELECT id, name, label, field_type, placeholder, description, is_required, field_order
-                FROM project_fields_v6 
-                WHERE step_id = $1 
-                ORDER BY field_order ASC
-            `, [step.id]);
+        const toolGenerator = require('../services/toolGeneratorV6');
+        const deploymentResult = await toolGenerator.deployProject(version);
 
-            step.fields = fieldsResult.rows.map(field => ({
-                ...field,
-                type: field.field_type,
-                required: field.is_required
-            }));
-
-            // Get choices for select/radio fields
-            for (let field of step.fields) {
-                if (['select', 'radio', 'checkbox'].includes(field.type)) {
-                    const choicesResult = await pool.query(`
-                        SELECT id, value, label, choice_order
-                        FROM project_choices_v6 
-                        WHERE field_id = $1 
-                        ORDER BY choice_order ASC
-                    `, [field.id]);
-                    field.choices = choicesResult.rows;
-                }
-            }
-        }
+        // Only point the live tool at the new version once its files exist
+        await projectVersions.markPublished(projectId, version.id);
 
-        // Generate the public tool
-        const toolGenerator = require('../services/toolGeneratorV6');
-        const deploymentResult = await toolGenerator.deployProject({
-            ...project,
-            steps
-        });
+        // Cached results belong to the previous version
+        await responseCache.invalidate(projectId);
 
-        // Update deployment status
-        await pool.query(`
-            UPDATE projects_v6 
-            SET deployed = true, updated_at = CURRENT_TIMESTAMP 
-            WHERE id = $1
-        `, [projectId]);
+        const project = version.snapshot.project;
 
-        console.log(`✅ v6.1.0rc project deployed successfully: ${deploymentResult.url}`);
+        console.log(`✅ v6.1.0rc project deployed successfully: ${deploymentResult.url} (v${version.version_number})`);
 
+        broadcastChange(req, { type: 'project', action: 'deployed', id: projectId, version_number: version.version_number });
+        
         res.json({
             success: true,
             project: {
@@ -739,6 +955,12 @@ router.post('/projects/:projectId/deploy', verifyAuth, async (req, res) => {
                 name: project.name,
                 description: project.description
             },
+            version: {
+                id: version.id,
+                version_number: version.version_number,
+                notes: version.notes,
+                created_at: version.created_at
+            },
             deployment: deploymentResult
         });
 
@@ -749,1521 +971,4309 @@ router.post('/projects/:projectId/deploy', verifyAuth, async (req, res) => {
 });
 
 // =====================================================
-// REFINEMENT ENDPOINTS FOR NEW CREATION FLOW
+// COLLABORATOR ENDPOINTS
 // =====================================================
 
 /**
- * POST /api/v6/projects/refinement-questions
- * Generate AI questions to refine project requirements
+ * GET /api/v6/projects/:projectId/collaborators
+ * Owner, collaborators and pending invitations of a project
  */
-router.post('/projects/refinement-questions', async (req, res) => {
+router.get('/projects/:projectId/collaborators', verifyAuth, requireProjectRole('viewer'), async (req, res) => {
     try {
-        const { projectIdea, expertType } = req.body;
+        const { owner, collaborators } = await projectCollaborators.listCollaborators(req.params.projectId);
         
-        if (!projectIdea || !expertType) {
+        res.json({
+            success: true,
+            role: req.projectRole,
+            owner,
+            collaborators,
+            roles: projectCollaborators.inviteRoles
+        });
+        
+    } catch (error) {
+        console.error('Error loading collaborators:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load collaborators'
+        });
+    }
+});
+
+/**
+ * POST /api/v6/projects/:projectId/collaborators
+ * Invite someone by email as an editor or viewer
+ */
+router.post('/projects/:projectId/collaborators', verifyAuth, requireProjectOwnership, async (req, res) => {
+    try {
+        const { projectId } = req.params;
+        const { email, role, errors } = projectCollaborators.normalizeInvite(req.body);
+        
+        if (errors.length > 0) {
             return res.status(400).json({
                 success: false,
-                error: 'Project idea and expert type are required'
+                error: 'Invalid invitation',
+                errors
             });
         }
         
-        console.log(`🤔 Generating refinement questions for: ${expertType} - ${projectIdea}`);
-        
-        // Generate refinement questions with AI
-        const questionsPrompt = `You are helping an ADMIN design a multi-step AI tool for their users. Generate 3-5 thoughtful questions to ask the ADMIN about how they want their tool to work.
-
-Project: "${projectIdea}"
-Expert Type: "${expertType}"
-
-Ask the ADMIN questions about their tool design preferences, NOT questions for end users. Focus on:
-- How detailed should the questions be?
-- What specific aspects should the tool focus on?
-- What level of privacy/sensitivity is appropriate?
-- What disclaimers or warnings should be included?
-- How should results be presented to users?
-- What additional features would be helpful?
-
-Example good admin questions:
-"How detailed should the medical history questions be?"
-"Should we include questions about recent lifestyle changes?"
-"What level of medical disclaimer do you want to include?"
-
-Respond with JSON only:
-{
-  "questions": [
-    {
-      "question": "Question text here?",
-      "placeholder": "Suggested placeholder text...",
-      "required": false
-    }
-  ]
-}`;
-
-        const aiResponse = await claude.generateResponse(questionsPrompt);
-
-        const questionsData = JSON.parse(cleanAIResponse(aiResponse));
+        const projectResult = await pool.query('SELECT id, name, user_id FROM projects_v6 WHERE id = $1', [projectId]);
+        const invited = await projectCollaborators.invite(projectResult.rows[0], req.user, email, role);
         
-        console.log(`✅ Generated ${questionsData.questions.length} refinement questions`);
+        if (invited.error) {
+            return res.status(400).json({
+                success: false,
+                error: invited.error
+            });
+        }
         
-        res.json({
+        res.status(201).json({
             success: true,
-            questions: questionsData.questions
+            collaborator: invited.collaborator,
+            emailed: invited.emailed
         });
         
     } catch (error) {
-        console.error('Error generating refinement questions:', error);
-        res.status(500).json({ 
+        console.error('Error inviting collaborator:', error);
+        res.status(500).json({
             success: false,
-            error: 'Failed to generate refinement questions' 
+            error: 'Failed to invite collaborator'
         });
     }
 });
 
 /**
- * POST /api/v6/projects/more-questions  
- * Generate additional refinement questions based on current answers
+ * PUT /api/v6/projects/:projectId/collaborators/:collaboratorId
+ * Change a collaborator's role
  */
-router.post('/projects/more-questions', async (req, res) => {
+router.put('/projects/:projectId/collaborators/:collaboratorId', verifyAuth, requireProjectOwnership, async (req, res) => {
     try {
-        const { projectIdea, expertType, refinementAnswers } = req.body;
+        const { projectId, collaboratorId } = req.params;
+        const { role } = req.body;
         
-        console.log(`🤔 Generating additional questions with ${refinementAnswers.length} previous answers`);
+        if (!projectCollaborators.inviteRoles.includes(role)) {
+            return res.status(400).json({
+                success: false,
+                error: `role must be one of: ${projectCollaborators.inviteRoles.join(', ')}`
+            });
+        }
         
-        // Generate more targeted questions based on previous answers
-        const moreQuestionsPrompt = `You are helping an ADMIN refine their AI tool design. Based on their previous answers, generate 2-3 more specific ADMIN questions about how they want their tool to work.
-
-Project: "${projectIdea}"
-Expert Type: "${expertType}"
-
-Previous Admin Answers:
-${refinementAnswers.map(qa => `Q: ${qa.question}\nA: ${qa.answer}`).join('\n\n')}
-
-Generate follow-up questions for the ADMIN about tool design preferences, NOT questions for end users. Ask about:
-- Specific features they want to include/exclude
-- How detailed or simple they want the user experience
-- What level of accuracy/disclaimers they need
-- Any special requirements based on their previous answers
-
-Respond with JSON only:
-{
-  "questions": [
-    {
-      "question": "More specific question based on answers?",
-      "placeholder": "Suggested placeholder...",
-      "required": false
-    }
-  ]
-}`;
-
-        const aiResponse = await claude.generateResponse(moreQuestionsPrompt);
-
-        const questionsData = JSON.parse(cleanAIResponse(aiResponse));
+        const collaborator = await projectCollaborators.updateRole(projectId, collaboratorId, role);
         
-        console.log(`✅ Generated ${questionsData.questions.length} additional questions`);
+        if (!collaborator) {
+            return res.status(404).json({
+                success: false,
+                error: 'Collaborator not found'
+            });
+        }
+        
+        // Open editors of that user switch to the new role
+        await projectLiveEditing.refreshAccess(projectId, collaborator.user_id);
         
         res.json({
             success: true,
-            questions: questionsData.questions
+            collaborator
         });
         
     } catch (error) {
-        console.error('Error generating more questions:', error);
-        res.status(500).json({ 
+        console.error('Error updating collaborator:', error);
+        res.status(500).json({
             success: false,
-            error: 'Failed to generate additional questions' 
+            error: 'Failed to update collaborator'
         });
     }
 });
 
 /**
- * POST /api/v6/projects/generate-fields
- * Generate form fields based on project info and refinement answers
+ * DELETE /api/v6/projects/:projectId/collaborators/:collaboratorId
+ * Remove a collaborator or withdraw an invitation
  */
-router.post('/projects/generate-fields', async (req, res) => {
+router.delete('/projects/:projectId/collaborators/:collaboratorId', verifyAuth, requireProjectOwnership, async (req, res) => {
     try {
-        const { projectIdea, expertType, projectName, refinementAnswers } = req.body;
+        const { projectId, collaboratorId } = req.params;
         
-        console.log(`🛠️ Generating fields for: ${expertType} - ${projectIdea}`);
+        const removed = await projectCollaborators.removeCollaborator(projectId, collaboratorId);
         
-        // Enhanced AI prompt with refinement context
-        const fieldsPrompt = `Create a multi-step form with detailed fields based on the refined requirements.
-
-Project: "${projectIdea}"
-Expert Type: "${expertType}"
-${projectName ? `Project Name: "${projectName}"` : ''}
-
-User Requirements from Refinement:
-${refinementAnswers.map(qa => `${qa.question}: ${qa.answer}`).join('\n')}
-
-Create 2-4 steps with appropriate form fields. For select/checkbox/radio fields, include specific options that make sense for the context.
-
-IMPORTANT: 
-- The system_prompt should be the actual AI instructions for the end-user tool (NOT instructions for building tools). The AI should act as the specified expert type and perform the requested task for end users.
-- DO NOT create any submit button fields. The form will have its own "Generate with AI" button automatically.
-- Only create input fields (text, textarea, select, radio, checkbox) that collect information from users.
-
-Respond with JSON only:
-{
-  "project_name": "${projectName || 'Generated Name (max 3 words)'}",
-  "project_description": "Brief description", 
-  "ai_persona_description": "Expert persona based on requirements",
-  "system_prompt": "You are a ${expertType}. Based on the user's form input, ${projectIdea.toLowerCase().replace('create a tool that', '').replace('create', '').replace('tool that', '').trim()}. Be specific, helpful, and perform the actual task rather than giving advice about tools.",
-  "header_title": "Page title",
-  "header_subtitle": "Page subtitle", 
-  "steps": [
-    {
-      "name": "Step Name",
-      "page_title": "Step title",
-      "page_subtitle": "Step subtitle",
-      "fields": [
-        {
-          "name": "field_name",
-          "label": "Field Label", 
-          "type": "text|textarea|select|checkbox|radio|number|email",
-          "placeholder": "Placeholder text",
-          "description": "Help text",
-          "required": true,
-          "options": ["Option 1", "Option 2"] // Only for select/checkbox/radio
+        if (!removed) {
+            return res.status(404).json({
+                success: false,
+                error: 'Collaborator not found'
+            });
         }
-      ]
-    }
-  ]
-}`;
-
-        const aiResponse = await claude.generateResponse(fieldsPrompt);
-
-        const projectStructure = JSON.parse(cleanAIResponse(aiResponse));
         
-        console.log(`✅ Generated project structure with ${projectStructure.steps.length} steps`);
+        // Their open editors stop receiving the project's changes
+        await projectLiveEditing.refreshAccess(projectId, removed.user_id);
         
         res.json({
             success: true,
-            steps: projectStructure.steps,
-            projectStructure: projectStructure
+            message: 'Collaborator removed'
         });
         
     } catch (error) {
-        console.error('Error generating fields:', error);
-        res.status(500).json({ 
+        console.error('Error removing collaborator:', error);
+        res.status(500).json({
             success: false,
-            error: 'Failed to generate fields' 
+            error: 'Failed to remove collaborator'
         });
     }
 });
 
 /**
- * GET /api/v6/advertising/settings
- * Get global advertising settings for current user
+ * POST /api/v6/projects/:projectId/leave
+ * Stop collaborating on a project shared with you
  */
-router.get('/advertising/settings', async (req, res) => {
+router.post('/projects/:projectId/leave', verifyAuth, requireProjectRole('viewer'), async (req, res) => {
     try {
-        // Get user from auth middleware (you'll need to implement this)
-        const user_id = 'e88dad2e-5b81-4a6b-8d42-4b65611428ac'; // TODO: Get from auth
-        
-        const result = await pool.query(
-            'SELECT * FROM advertising_settings WHERE user_id = $1 ORDER BY updated_at DESC LIMIT 1',
-            [user_id]
-        );
-
-        if (result.rows.length === 0) {
-            // Return default settings if none exist
-            res.json({
-                success: true,
-                settings: {
-                    google_ads_enabled: false,
-                    google_ads_client: '',
-                    google_ads_slot: '',
-                    google_analytics_enabled: false,
-                    google_analytics_id: '',
-                    custom_head_code: '',
-                    custom_body_code: '',
-                    ad_placement_header: false,
-                    ad_placement_sidebar: true,
-                    ad_placement_footer: false
-                }
-            });
-        } else {
-            res.json({
-                success: true,
-                settings: result.rows[0]
+        if (req.projectRole === 'owner') {
+            return res.status(400).json({
+                success: false,
+                error: 'The owner cannot leave their own project'
             });
         }
+        
+        await projectCollaborators.leaveProject(req.params.projectId, req.user.id);
+        await projectLiveEditing.refreshAccess(req.params.projectId, req.user.id);
+        
+        res.json({
+            success: true,
+            message: 'You left the project'
+        });
+        
     } catch (error) {
-        console.error('Error getting advertising settings:', error);
+        console.error('Error leaving project:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to get advertising settings'
+            error: 'Failed to leave project'
         });
     }
 });
 
 /**
- * PUT /api/v6/advertising/settings
- * Update global advertising settings
+ * GET /api/v6/invitations
+ * Pending project invitations for the logged-in user's email
  */
-router.put('/advertising/settings', async (req, res) => {
+router.get('/invitations', verifyAuth, async (req, res) => {
     try {
-        const user_id = 'e88dad2e-5b81-4a6b-8d42-4b65611428ac'; // TODO: Get from auth
-        const {
-            google_ads_enabled,
-            google_ads_client,
-            google_ads_slot,
-            google_analytics_enabled,
-            google_analytics_id,
-            custom_head_code,
-            custom_body_code,
-            ad_placement_header,
-            ad_placement_sidebar,
-            ad_placement_footer
-        } = req.body;
-
-        console.log(`💰 Updating global advertising settings for user: ${user_id}`);
-
-        // Insert or update settings
-        const result = await pool.query(`
-            INSERT INTO advertising_settings 
-            (user_id, google_ads_enabled, google_ads_client, google_ads_slot, 
-             google_analytics_enabled, google_analytics_id, custom_head_code, 
-             custom_body_code, ad_placement_header, ad_placement_sidebar, ad_placement_footer)
-            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
-            ON CONFLICT (user_id) DO UPDATE SET
-                google_ads_enabled = EXCLUDED.google_ads_enabled,
-                google_ads_client = EXCLUDED.google_ads_client,
-                google_ads_slot = EXCLUDED.google_ads_slot,
-                google_analytics_enabled = EXCLUDED.google_analytics_enabled,
-                google_analytics_id = EXCLUDED.google_analytics_id,
-                custom_head_code = EXCLUDED.custom_head_code,
-                custom_body_code = EXCLUDED.custom_body_code,
-                ad_placement_header = EXCLUDED.ad_placement_header,
-                ad_placement_sidebar = EXCLUDED.ad_placement_sidebar,
-                ad_placement_footer = EXCLUDED.ad_placement_footer,
-                updated_at = NOW()
-            RETURNING *
-        `, [
-            user_id,
-            google_ads_enabled || false,
-            google_ads_client || null,
-            google_ads_slot || null,
-            google_analytics_enabled || false,
-            google_analytics_id || null,
-            custom_head_code || null,
-            custom_body_code || null,
-            ad_placement_header || false,
-            ad_placement_sidebar || true,
-            ad_placement_footer || false
-        ]);
-
+        const invitations = await projectCollaborators.listInvitations(req.user.email);
+        
         res.json({
             success: true,
-            settings: result.rows[0],
-            message: 'Global advertising settings updated successfully'
+            invitations
         });
-
+        
     } catch (error) {
-        console.error('Error updating advertising settings:', error);
+        console.error('Error loading invitations:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to update advertising settings'
+            error: 'Failed to load invitations'
         });
     }
 });
 
 /**
- * PUT /api/v6/projects/:projectId/advertising
- * Toggle advertising on/off for a specific project
+ * POST /api/v6/invitations/:inviteToken/accept
+ * Accept an invitation sent to the logged-in user's email
  */
-router.put('/projects/:projectId/advertising', async (req, res) => {
+router.post('/invitations/:inviteToken/accept', verifyAuth, async (req, res) => {
     try {
-        const { projectId } = req.params;
-        const { advertising_enabled } = req.body;
-
-        console.log(`📱 Toggling advertising for project ${projectId}: ${advertising_enabled}`);
-
-        const result = await pool.query(
-            'UPDATE projects_v6 SET advertising_enabled = $1, updated_at = NOW() WHERE id = $2 RETURNING name, advertising_enabled',
-            [advertising_enabled, projectId]
-        );
-
-        if (result.rows.length === 0) {
-            return res.status(404).json({
+        const { invitation, error, status } = await projectCollaborators.findInvitation(req.params.inviteToken, req.user);
+        
+        if (error) {
+            return res.status(status).json({
                 success: false,
-                error: 'Project not found'
+                error
             });
         }
-
+        
+        const accepted = await projectCollaborators.acceptInvitation(invitation, req.user.id);
+        
         res.json({
             success: true,
-            project: result.rows[0],
-            message: `Advertising ${advertising_enabled ? 'enabled' : 'disabled'} for project`
+            project_id: accepted.project_id,
+            project_name: invitation.project_name,
+            role: accepted.role
         });
+        
+    } catch (error) {
+        console.error('Error accepting invitation:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to accept invitation'
+        });
+    }
+});
 
+/**
+ * POST /api/v6/invitations/:inviteToken/decline
+ * Decline an invitation sent to the logged-in user's email
+ */
+router.post('/invitations/:inviteToken/decline', verifyAuth, async (req, res) => {
+    try {
+        const { invitation, error, status } = await projectCollaborators.findInvitation(req.params.inviteToken, req.user);
+        
+        if (error) {
+            return res.status(status).json({
+                success: false,
+                error
+            });
+        }
+        
+        await projectCollaborators.declineInvitation(invitation);
+        
+        res.json({
+            success: true,
+            message: 'Invitation declined'
+        });
+        
     } catch (error) {
-        console.error('Error toggling project advertising:', error);
+        console.error('Error declining invitation:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to toggle project advertising'
+            error: 'Failed to decline invitation'
         });
     }
 });
 
 // =====================================================
-// STEP MANAGEMENT ENDPOINTS
+// CHANGE JOURNAL ENDPOINTS
 // =====================================================
 
 /**
- * POST /api/v6/projects/:projectId/steps
- * Add new step to project
+ * GET /api/v6/projects/:projectId/journal?before=<seq>&limit=50
+ * Activity timeline of structural changes, newest first
  */
-router.post('/projects/:projectId/steps', async (req, res) => {
+router.get('/projects/:projectId/journal', verifyAuth, requireProjectRole('viewer'), async (req, res) => {
     try {
         const { projectId } = req.params;
-        const { name, description, page_title, page_subtitle } = req.body;
-        
-        // Get current max order
-        const maxOrderResult = await pool.query(`
-            SELECT COALESCE(MAX(step_order), 0) as max_order 
-            FROM project_steps_v6 
-            WHERE project_id = $1
-        `, [projectId]);
-        
-        const nextOrder = maxOrderResult.rows[0].max_order + 1;
-        
-        const query = `
-            INSERT INTO project_steps_v6 
-            (project_id, name, description, step_order, page_title, page_subtitle)
-            VALUES ($1, $2, $3, $4, $5, $6)
-            RETURNING *
-        `;
+        const { before, limit } = req.query;
         
-        const result = await pool.query(query, [
-            projectId, name, description, nextOrder, page_title, page_subtitle
-        ]);
+        const journal = await projectJournal.listEntries(projectId, { before, limit });
         
         res.json({
             success: true,
-            step: result.rows[0]
+            ...journal
         });
         
     } catch (error) {
-        console.error('Error creating step:', error);
+        console.error('Error listing project journal:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to create step'
+            error: 'Failed to load activity'
         });
     }
 });
 
 /**
- * PUT /api/v6/steps/:stepId
- * Update step details
+ * GET /api/v6/projects/:projectId/journal/:entryId
+ * One journal entry with the state before and after the change
  */
-router.put('/steps/:stepId', async (req, res) => {
+router.get('/projects/:projectId/journal/:entryId', verifyAuth, requireProjectRole('viewer'), async (req, res) => {
     try {
-        const { stepId } = req.params;
-        const { name, description, page_title, page_subtitle } = req.body;
-        
-        const query = `
-            UPDATE project_steps_v6 
-            SET name = $1, description = $2, page_title = $3, page_subtitle = $4, updated_at = NOW()
-            WHERE id = $5
-            RETURNING *
-        `;
+        const { projectId, entryId } = req.params;
         
-        const result = await pool.query(query, [
-            name, description, page_title, page_subtitle, stepId
-        ]);
+        const entry = await projectJournal.getEntry(projectId, entryId);
         
-        if (result.rows.length === 0) {
+        if (!entry) {
             return res.status(404).json({
                 success: false,
-                error: 'Step not found'
+                error: 'Journal entry not found'
             });
         }
         
         res.json({
             success: true,
-            step: result.rows[0]
+            entry
         });
         
     } catch (error) {
-        console.error('Error updating step:', error);
+        console.error('Error getting journal entry:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to update step'
+            error: 'Failed to get journal entry'
         });
     }
 });
 
 /**
- * DELETE /api/v6/steps/:stepId
- * Delete step and reorder remaining steps
+ * Shared body of the undo and redo routes
  */
-router.delete('/steps/:stepId', async (req, res) => {
+async function stepJournal(req, res, direction) {
     try {
-        const { stepId } = req.params;
+        const { projectId } = req.params;
         
-        // Get step details before deletion
-        const stepResult = await pool.query('SELECT * FROM project_steps_v6 WHERE id = $1', [stepId]);
+        const { entry, error } = await projectJournal[direction](projectId, req.user);
         
-        if (stepResult.rows.length === 0) {
-            return res.status(404).json({
+        if (!entry) {
+            return res.status(400).json({
                 success: false,
-                error: 'Step not found'
+                error: `Nothing to ${direction}`
+            });
+        }
+        if (error) {
+            // Someone changed the same part of the project since
+            return res.status(409).json({
+                success: false,
+                error: `Cannot ${direction} "${entry.summary}": ${error}`
             });
         }
         
-        const step = stepResult.rows[0];
-        
-        // Delete step (cascade will handle fields and choices)
-        await pool.query('DELETE FROM project_steps_v6 WHERE id = $1', [stepId]);
-        
-        // Reorder remaining steps
-        await pool.query(`
-            UPDATE project_steps_v6 
-            SET step_order = step_order - 1
-            WHERE project_id = $1 AND step_order > $2
-        `, [step.project_id, step.step_order]);
+        broadcastChange(req, {
+            type: entry.entity_type,
+            action: direction === 'undo' ? 'undid' : 'redid',
+            id: entry.entity_id,
+            summary: entry.summary
+        });
         
         res.json({
             success: true,
-            message: 'Step deleted successfully'
+            entry: {
+                id: entry.id,
+                entity_type: entry.entity_type,
+                entity_id: entry.entity_id,
+                action: entry.action,
+                summary: entry.summary
+            },
+            message: `${direction === 'undo' ? 'Undid' : 'Redid'}: ${entry.summary}`
         });
         
     } catch (error) {
-        console.error('Error deleting step:', error);
+        console.error(`Error during project ${direction}:`, error);
         res.status(500).json({
             success: false,
-            error: 'Failed to delete step'
+            error: `Failed to ${direction}`
         });
     }
+}
+
+/**
+ * POST /api/v6/projects/:projectId/journal/undo
+ * Revert the latest change to the project's steps, fields or choices
+ */
+router.post('/projects/:projectId/journal/undo', verifyAuth, requireProjectRole('editor'), async (req, res) => {
+    await stepJournal(req, res, 'undo');
+});
+
+/**
+ * POST /api/v6/projects/:projectId/journal/redo
+ * Reapply the most recently undone change
+ */
+router.post('/projects/:projectId/journal/redo', verifyAuth, requireProjectRole('editor'), async (req, res) => {
+    await stepJournal(req, res, 'redo');
 });
 
 // =====================================================
-// FIELD MANAGEMENT ENDPOINTS
+// VERSION HISTORY ENDPOINTS
 // =====================================================
 
 /**
- * POST /api/v6/steps/:stepId/fields
- * Add new field to step
+ * GET /api/v6/projects/:projectId/versions
+ * List published versions of a project, newest first
  */
-router.post('/steps/:stepId/fields', async (req, res) => {
+router.get('/projects/:projectId/versions', verifyAuth, requireProjectRole('viewer'), async (req, res) => {
     try {
-        const { stepId } = req.params;
-        const { 
-            name, label, field_type, placeholder, description, is_required,
-            multiple, disabled, minLength, maxLength, pattern, options
-        } = req.body;
+        const { projectId } = req.params;
         
-        // Build validation rules object
-        const validationRules = {};
-        if (multiple !== undefined) validationRules.multiple = multiple;
-        if (disabled !== undefined) validationRules.disabled = disabled;
-        if (minLength !== undefined) validationRules.minLength = parseInt(minLength);
-        if (maxLength !== undefined) validationRules.maxLength = parseInt(maxLength);
-        if (pattern !== undefined && pattern.trim()) validationRules.pattern = pattern.trim();
-        if (options !== undefined && Array.isArray(options)) validationRules.options = options;
+        const versions = await projectVersions.listVersions(projectId);
         
-        // Get current max order for this step
-        const maxOrderResult = await pool.query(`
-            SELECT COALESCE(MAX(field_order), 0) as max_order 
-            FROM project_fields_v6 
-            WHERE step_id = $1
-        `, [stepId]);
+        // Let the editor show whether the draft has moved on since the last deploy
+        let hasUnpublishedChanges = true;
+        const published = await projectVersions.getPublishedVersion(projectId);
+        if (published) {
+            const draft = await projectVersions.buildDraftSnapshot(projectId);
+            hasUnpublishedChanges = projectVersions.diffSnapshots(published.snapshot, draft).has_changes;
+        }
         
-        const nextOrder = maxOrderResult.rows[0].max_order + 1;
+        res.json({
+            success: true,
+            versions,
+            published_version_number: published ? published.version_number : null,
+            has_unpublished_changes: hasUnpublishedChanges
+        });
         
-        const query = `
-            INSERT INTO project_fields_v6 
-            (step_id, name, label, field_type, placeholder, description, is_required, field_order, validation_rules)
-            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-            RETURNING *
-        `;
+    } catch (error) {
+        console.error('Error listing project versions:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list project versions'
+        });
+    }
+});
+
+/**
+ * GET /api/v6/projects/:projectId/versions/diff?from=1&to=draft
+ * Structural diff between two versions (either side may be 'draft')
+ */
+router.get('/projects/:projectId/versions/diff', verifyAuth, requireProjectRole('viewer'), async (req, res) => {
+    try {
+        const { projectId } = req.params;
+        const { from, to = 'draft' } = req.query;
         
-        const result = await pool.query(query, [
-            stepId, name, label, field_type, placeholder, description, is_required, nextOrder,
-            JSON.stringify(validationRules)
+        if (!from) {
+            return res.status(400).json({
+                success: false,
+                error: 'from is required'
+            });
+        }
+        
+        const [fromSnapshot, toSnapshot] = await Promise.all([
+            projectVersions.resolveSnapshot(projectId, from),
+            projectVersions.resolveSnapshot(projectId, to)
         ]);
         
+        if (!fromSnapshot || !toSnapshot) {
+            return res.status(404).json({
+                success: false,
+                error: 'Version not found'
+            });
+        }
+        
         res.json({
             success: true,
-            field: result.rows[0]
+            from: fromSnapshot.label,
+            to: toSnapshot.label,
+            diff: projectVersions.diffSnapshots(fromSnapshot.snapshot, toSnapshot.snapshot)
         });
         
     } catch (error) {
-        console.error('Error creating field:', error);
+        console.error('Error diffing project versions:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to create field'
+            error: 'Failed to compare versions'
         });
     }
 });
 
 /**
- * PUT /api/v6/fields/:fieldId
- * Update field details
+ * GET /api/v6/projects/:projectId/versions/:versionNumber
+ * Get a single version including its snapshot
  */
-router.put('/fields/:fieldId', async (req, res) => {
+router.get('/projects/:projectId/versions/:versionNumber', verifyAuth, requireProjectRole('viewer'), async (req, res) => {
     try {
-        const { fieldId } = req.params;
-        const { 
-            name, label, field_type, placeholder, description, is_required,
-            multiple, disabled, minLength, maxLength, pattern, options
-        } = req.body;
-        
-        // Build validation rules object
-        const validationRules = {};
-        if (multiple !== undefined) validationRules.multiple = multiple;
-        if (disabled !== undefined) validationRules.disabled = disabled;
-        if (minLength !== undefined) validationRules.minLength = parseInt(minLength);
-        if (maxLength !== undefined) validationRules.maxLength = parseInt(maxLength);
-        if (pattern !== undefined && pattern.trim()) validationRules.pattern = pattern.trim();
-        if (options !== undefined && Array.isArray(options)) validationRules.options = options;
-        
-        const query = `
-            UPDATE project_fields_v6 
-            SET name = $1, label = $2, field_type = $3, placeholder = $4, 
-                description = $5, is_required = $6, validation_rules = $7, updated_at = NOW()
-            WHERE id = $8
-            RETURNING *
-        `;
+        const { projectId, versionNumber } = req.params;
         
-        const result = await pool.query(query, [
-            name, label, field_type, placeholder, description, is_required, 
-            JSON.stringify(validationRules), fieldId
-        ]);
+        const version = await projectVersions.getVersion(projectId, parseInt(versionNumber));
         
-        if (result.rows.length === 0) {
+        if (!version) {
             return res.status(404).json({
                 success: false,
-                error: 'Field not found'
+                error: 'Version not found'
             });
         }
         
         res.json({
             success: true,
-            field: result.rows[0]
+            version
         });
         
     } catch (error) {
-        console.error('Error updating field:', error);
+        console.error('Error getting project version:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to update field'
+            error: 'Failed to get project version'
         });
     }
 });
 
 /**
- * DELETE /api/v6/fields/:fieldId
- * Delete field and reorder remaining fields
+ * POST /api/v6/projects/:projectId/versions/:versionNumber/restore
+ * Replace the working draft with a version. The live tool is untouched
+ * until the draft is deployed again.
  */
-router.delete('/fields/:fieldId', async (req, res) => {
+router.post('/projects/:projectId/versions/:versionNumber/restore', verifyAuth, requireProjectRole('editor'), async (req, res) => {
     try {
-        const { fieldId } = req.params;
+        const { projectId, versionNumber } = req.params;
         
-        // Get field details before deletion
-        const fieldResult = await pool.query('SELECT * FROM project_fields_v6 WHERE id = $1', [fieldId]);
+        const version = await projectVersions.restoreVersion(projectId, parseInt(versionNumber));
         
-        if (fieldResult.rows.length === 0) {
+        if (!version) {
             return res.status(404).json({
                 success: false,
-                error: 'Field not found'
+                error: 'Version not found'
             });
         }
         
-        const field = fieldResult.rows[0];
-        
-        // Delete field (cascade will handle choices)
-        await pool.query('DELETE FROM project_fields_v6 WHERE id = $1', [fieldId]);
+        // Journal entries from before the restore no longer match the draft
+        await projectJournal.discardHistory(projectId);
         
-        // Reorder remaining fields
-        await pool.query(`
-            UPDATE project_fields_v6 
-            SET field_order = field_order - 1
-            WHERE step_id = $1 AND field_order > $2
-        `, [field.step_id, field.field_order]);
+        broadcastChange(req, { type: 'project', action: 'restored', id: projectId, version_number: version.version_number });
         
         res.json({
             success: true,
-            message: 'Field deleted successfully'
+            message: `Version ${version.version_number} restored as draft`,
+            restored_version_number: version.version_number
         });
         
     } catch (error) {
-        console.error('Error deleting field:', error);
+        console.error('Error restoring project version:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to delete field'
+            error: 'Failed to restore version'
         });
     }
 });
 
 // =====================================================
-// CHOICE MANAGEMENT ENDPOINTS
+// PROMPT TEMPLATE ENDPOINTS
 // =====================================================
 
 /**
- * POST /api/v6/fields/:fieldId/choices
- * Add choice to select/radio/checkbox field
+ * Convert sample answers keyed by input name into answers keyed by field id
+ */
+function sampleAnswersById(fields, sampleAnswers) {
+    const toolGeneratorV6 = require('../services/toolGeneratorV6');
+    const answers = promptTemplates.buildSampleAnswers(fields);
+
+    if (sampleAnswers && typeof sampleAnswers === 'object' && !Array.isArray(sampleAnswers)) {
+        for (const field of fields) {
+            const key = toolGeneratorV6.sanitizeFieldName(field.name);
+            if (Object.prototype.hasOwnProperty.call(sampleAnswers, key)) {
+                answers[field.id] = sampleAnswers[key];
+            }
+        }
+    }
+
+    return answers;
+}
+
+/**
+ * GET /api/v6/projects/:projectId/prompt-template
+ * Current system prompt and user prompt template with the placeholders available to them
  */
-router.post('/fields/:fieldId/choices', async (req, res) => {
+router.get('/projects/:projectId/prompt-template', verifyAuth, requireProjectRole('viewer'), async (req, res) => {
     try {
-        const { fieldId } = req.params;
-        const { label, value, is_default } = req.body;
-        
-        // Get current max order for this field
-        const maxOrderResult = await pool.query(`
-            SELECT COALESCE(MAX(choice_order), 0) as max_order 
-            FROM project_choices_v6 
-            WHERE field_id = $1
-        `, [fieldId]);
+        const { projectId } = req.params;
+        const toolGeneratorV6 = require('../services/toolGeneratorV6');
         
-        const nextOrder = maxOrderResult.rows[0].max_order + 1;
+        const projectResult = await pool.query(
+            'SELECT system_prompt, system_prompt_is_template, user_prompt_template FROM projects_v6 WHERE id = $1',
+            [projectId]
+        );
         
-        const query = `
-            INSERT INTO project_choices_v6 
-            (field_id, label, value, choice_order, is_default)
-            VALUES ($1, $2, $3, $4, $5)
-            RETURNING *
-        `;
+        if (projectResult.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Project not found'
+            });
+        }
         
-        const result = await pool.query(query, [
-            fieldId, label, value, nextOrder, is_default
-        ]);
+        const steps = await projectVersions.loadSteps(projectId);
+        const fields = steps.flatMap(step => step.fields);
+        const samples = promptTemplates.buildSampleAnswers(fields);
         
         res.json({
             success: true,
-            choice: result.rows[0]
+            system_prompt: projectResult.rows[0].system_prompt || '',
+            system_prompt_is_template: projectResult.rows[0].system_prompt_is_template === true,
+            user_prompt_template: projectResult.rows[0].user_prompt_template || '',
+            placeholders: fields.map(field => ({
+                name: toolGeneratorV6.sanitizeFieldName(field.name),
+                label: field.label || field.name,
+                field_type: field.field_type,
+                step_name: steps.find(step => step.id === field.step_id)?.name
+            })),
+            sample_answers: Object.fromEntries(fields.map(field => [
+                toolGeneratorV6.sanitizeFieldName(field.name),
+                samples[field.id]
+            ]))
         });
         
     } catch (error) {
-        console.error('Error creating choice:', error);
+        console.error('Error loading prompt template:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to create choice'
+            error: 'Failed to load prompt template'
         });
     }
 });
 
 /**
- * PUT /api/v6/choices/:choiceId
- * Update choice details
+ * PUT /api/v6/projects/:projectId/prompt-template
+ * Save the system prompt and user prompt template (an empty user template
+ * falls back to the default "Label: value" prompt). The system prompt is
+ * only checked and rendered as a template with system_prompt_is_template.
  */
-router.put('/choices/:choiceId', async (req, res) => {
+router.put('/projects/:projectId/prompt-template', verifyAuth, requireProjectRole('editor'), async (req, res) => {
     try {
-        const { choiceId } = req.params;
-        const { label, value, is_default } = req.body;
+        const { projectId } = req.params;
+        const { system_prompt, user_prompt_template } = req.body;
         
-        const query = `
-            UPDATE project_choices_v6 
-            SET label = $1, value = $2, is_default = $3
-            WHERE id = $4
-            RETURNING *
-        `;
+        const currentResult = await pool.query('SELECT system_prompt_is_template FROM projects_v6 WHERE id = $1', [projectId]);
+        const systemIsTemplate = typeof req.body.system_prompt_is_template === 'boolean'
+            ? req.body.system_prompt_is_template
+            : currentResult.rows[0]?.system_prompt_is_template === true;
         
-        const result = await pool.query(query, [label, value, is_default, choiceId]);
+        const steps = await projectVersions.loadSteps(projectId);
+        const fields = steps.flatMap(step => step.fields);
+        const systemCheck = promptTemplates.validateTemplate(systemIsTemplate ? system_prompt : null, fields);
+        const userCheck = promptTemplates.validateTemplate(user_prompt_template, fields);
         
-        if (result.rows.length === 0) {
-            return res.status(404).json({
+        if (!systemCheck.valid || !userCheck.valid) {
+            return res.status(400).json({
                 success: false,
-                error: 'Choice not found'
+                error: 'Prompt template has errors',
+                validation: { system_prompt: systemCheck, user_prompt_template: userCheck }
             });
         }
         
+        const result = await pool.query(`
+            UPDATE projects_v6
+            SET system_prompt = COALESCE($1, system_prompt),
+                user_prompt_template = $2,
+                system_prompt_is_template = $4,
+                updated_at = NOW()
+            WHERE id = $3
+            RETURNING id, system_prompt, system_prompt_is_template, user_prompt_template
+        `, [system_prompt ?? null, user_prompt_template ? user_prompt_template : null, projectId, systemIsTemplate]);
+        
+        broadcastChange(req, { type: 'project', action: 'updated', id: projectId, data: result.rows[0] });
+        
+        res.json({
+            success: true,
+            project: result.rows[0],
+            validation: { system_prompt: systemCheck, user_prompt_template: userCheck },
+            message: 'Prompt template saved'
+        });
+        
+    } catch (error) {
+        console.error('Error saving prompt template:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to save prompt template'
+        });
+    }
+});
+
+/**
+ * POST /api/v6/projects/:projectId/prompt-template/preview
+ * Validate unsaved templates and render them from sample answers
+ * (keyed by input name; missing answers are filled with samples)
+ */
+router.post('/projects/:projectId/prompt-template/preview', verifyAuth, requireProjectRole('viewer'), async (req, res) => {
+    try {
+        const { projectId } = req.params;
+        const { system_prompt, user_prompt_template, sample_answers } = req.body;
+        const systemIsTemplate = req.body.system_prompt_is_template === true;
+        
+        const projectResult = await pool.query('SELECT name FROM projects_v6 WHERE id = $1', [projectId]);
+        const steps = await projectVersions.loadSteps(projectId);
+        const fields = steps.flatMap(step => step.fields);
+        
+        const validation = {
+            system_prompt: promptTemplates.validateTemplate(systemIsTemplate ? system_prompt || '' : '', fields),
+            user_prompt_template: promptTemplates.validateTemplate(user_prompt_template || '', fields)
+        };
+        
+        // Apply visibility rules so the preview matches what a real submission sends
+        const answers = sampleAnswersById(fields, sample_answers);
+        const resolution = conditionalLogic.resolveSubmission(steps, answers);
+        const visibleFields = fields.filter(field => resolution.visibleFieldIds.has(field.id));
+        
+        let preview = null;
+        if (validation.system_prompt.valid && validation.user_prompt_template.valid) {
+            const prompts = promptTemplates.buildPrompts({
+                name: projectResult.rows[0]?.name,
+                system_prompt: system_prompt || '',
+                system_prompt_is_template: systemIsTemplate,
+                user_prompt_template: user_prompt_template || ''
+            }, visibleFields, answers);
+            
+            preview = { system_prompt: prompts.systemPrompt, user_prompt: prompts.userPrompt };
+        }
+        
         res.json({
             success: true,
-            choice: result.rows[0]
+            validation,
+            preview
         });
         
     } catch (error) {
-        console.error('Error updating choice:', error);
+        console.error('Error previewing prompt template:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to update choice'
+            error: 'Failed to preview prompt template'
         });
     }
 });
 
+// =====================================================
+// PROMPT PIPELINE ENDPOINTS
+// =====================================================
+
 /**
- * DELETE /api/v6/choices/:choiceId
- * Delete choice and reorder remaining choices
+ * GET /api/v6/projects/:projectId/prompt-pipeline
+ * Pipeline stages with the fields and models they can use
  */
-router.delete('/choices/:choiceId', async (req, res) => {
+router.get('/projects/:projectId/prompt-pipeline', verifyAuth, requireProjectRole('viewer'), async (req, res) => {
     try {
-        const { choiceId } = req.params;
+        const { projectId } = req.params;
+        const toolGeneratorV6 = require('../services/toolGeneratorV6');
         
-        // Get choice details before deletion
-        const choiceResult = await pool.query('SELECT * FROM project_choices_v6 WHERE id = $1', [choiceId]);
+        const projectResult = await pool.query('SELECT prompt_pipeline FROM projects_v6 WHERE id = $1', [projectId]);
         
-        if (choiceResult.rows.length === 0) {
+        if (projectResult.rows.length === 0) {
             return res.status(404).json({
                 success: false,
-                error: 'Choice not found'
+                error: 'Project not found'
             });
         }
         
-        const choice = choiceResult.rows[0];
-        
-        // Delete choice
-        await pool.query('DELETE FROM project_choices_v6 WHERE id = $1', [choiceId]);
-        
-        // Reorder remaining choices
-        await pool.query(`
-            UPDATE project_choices_v6 
-            SET choice_order = choice_order - 1
-            WHERE field_id = $1 AND choice_order > $2
-        `, [choice.field_id, choice.choice_order]);
+        const steps = await projectVersions.loadSteps(projectId);
         
         res.json({
             success: true,
-            message: 'Choice deleted successfully'
+            stages: promptPipelines.getStages(projectResult.rows[0]),
+            inputs: steps.flatMap(step => step.fields.map(field => ({
+                name: toolGeneratorV6.sanitizeFieldName(field.name),
+                label: field.label || field.name,
+                step_name: step.name
+            }))),
+            models: promptPipelines.models,
+            max_stages: promptPipelines.maxStages
         });
         
     } catch (error) {
-        console.error('Error deleting choice:', error);
+        console.error('Error loading prompt pipeline:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to delete choice'
+            error: 'Failed to load prompt pipeline'
         });
     }
 });
 
-// =====================================================
-// PUBLIC TOOL ENDPOINTS (for deployed tools)
-// =====================================================
-
 /**
- * GET /api/v6/public/:subdomain
- * Get public project data for end users
+ * PUT /api/v6/projects/:projectId/prompt-pipeline
+ * Replace the pipeline stages (an empty list goes back to the single prompt)
  */
-router.get('/public/:subdomain', async (req, res) => {
+router.put('/projects/:projectId/prompt-pipeline', verifyAuth, requireProjectRole('editor'), async (req, res) => {
     try {
-        const { subdomain } = req.params;
+        const { projectId } = req.params;
+        const { stages } = req.body;
         
-        const query = `
-            SELECT 
-                p.*,
-                jsonb_agg(
-                    jsonb_build_object(
-                        'id', ps.id,
-                        'name', ps.name,
-                        'description', ps.description,
-                        'step_order', ps.step_order,
-                        'page_title', ps.page_title,
-                        'page_subtitle', ps.page_subtitle,
-                        'instructions', ps.instructions,
-                        'fields', ps.fields
-                    ) ORDER BY ps.step_order
-                ) as steps
-            FROM projects_v6 p
-            LEFT JOIN (
-                SELECT 
-                    ps.*,
-                    jsonb_agg(
-                        jsonb_build_object(
-                            'id', pf.id,
-                            'name', pf.name,
-                            'label', pf.label,
-                            'field_type', pf.field_type,
-                            'placeholder', pf.placeholder,
-                            'description', pf.description,
-                            'is_required', pf.is_required,
-                            'field_order', pf.field_order,
-                            'choices', pf.choices
-                        ) ORDER BY pf.field_order
-                    ) as fields
-                FROM project_steps_v6 ps
-                LEFT JOIN (
-                    SELECT 
-                        pf.*,
-                        CASE 
-                            WHEN pf.field_type IN ('select', 'radio', 'checkbox') THEN
-                                COALESCE(
-                                    jsonb_agg(
-                                        jsonb_build_object(
-                                            'id', pc.id,
-                                            'label', pc.label,
-                                            'value', pc.value,
-                                            'choice_order', pc.choice_order,
-                                            'is_default', pc.is_default
-                                        ) ORDER BY pc.choice_order
-                                    ) FILTER (WHERE pc.id IS NOT NULL),
-                                    '[]'::jsonb
-                                )
-                            ELSE '[]'::jsonb
-                        END as choices
-                    FROM project_fields_v6 pf
-                    LEFT JOIN project_choices_v6 pc ON pf.id = pc.field_id
-                    GROUP BY pf.id
-                ) pf ON ps.id = pf.step_id
-                GROUP BY ps.id
-            ) ps ON p.id = ps.project_id
-            WHERE p.subdomain = $1 AND p.deployed = true AND p.enabled = true
-            GROUP BY p.id
-        `;
+        const steps = await projectVersions.loadSteps(projectId);
+        const fields = steps.flatMap(step => step.fields);
+        const allowedModels = await generationSettings.getAllowedModels(req.projectOwnerId);
+        const pipeline = promptPipelines.normalizePipeline(stages, fields, allowedModels);
         
-        const result = await pool.query(query, [subdomain]);
-        
-        if (result.rows.length === 0) {
-            return res.status(404).json({
+        if (pipeline.errors.length > 0) {
+            return res.status(400).json({
                 success: false,
-                error: 'Tool not found or not deployed'
+                error: 'Pipeline has errors',
+                errors: pipeline.errors
             });
         }
         
+        const result = await pool.query(`
+            UPDATE projects_v6
+            SET prompt_pipeline = $1,
+                updated_at = NOW()
+            WHERE id = $2
+            RETURNING id, prompt_pipeline
+        `, [JSON.stringify(pipeline.stages), projectId]);
+        
+        broadcastChange(req, { type: 'project', action: 'updated', id: projectId, data: result.rows[0] });
+        
         res.json({
             success: true,
-            project: result.rows[0]
+            stages: result.rows[0].prompt_pipeline,
+            message: pipeline.stages.length > 0 ? 'Prompt pipeline saved' : 'Prompt pipeline removed'
         });
         
     } catch (error) {
-        console.error('Error getting public project:', error);
+        console.error('Error saving prompt pipeline:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to load tool'
+            error: 'Failed to save prompt pipeline'
         });
     }
 });
 
+// =====================================================
+// OUTPUT SCHEMA ENDPOINTS
+// =====================================================
+
 /**
- * POST /api/v6/public/:subdomain/submit
- * Process form submission from end user
+ * GET /api/v6/projects/:projectId/output-schema
+ * Current output schema with the instructions it adds to the prompt
  */
-router.post('/public/:subdomain/submit', async (req, res) => {
+router.get('/projects/:projectId/output-schema', verifyAuth, requireProjectRole('viewer'), async (req, res) => {
     try {
-        const { subdomain } = req.params;
-        const { responses } = req.body;
+        const { projectId } = req.params;
         
-        // Get project
-        const projectQuery = `
-            SELECT * FROM projects_v6 
-            WHERE subdomain = $1 AND deployed = true AND enabled = true
-        `;
-        const projectResult = await pool.query(projectQuery, [subdomain]);
+        const projectResult = await pool.query('SELECT output_schema FROM projects_v6 WHERE id = $1', [projectId]);
         
         if (projectResult.rows.length === 0) {
             return res.status(404).json({
                 success: false,
-                error: 'Tool not found'
+                error: 'Project not found'
             });
         }
         
-        const project = projectResult.rows[0];
+        const schema = outputSchemas.getSchema(projectResult.rows[0]);
         
-        // Create session
-        const sessionToken = `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-        const sessionQuery = `
-            INSERT INTO project_sessions_v6 (project_id, session_token, user_ip)
-            VALUES ($1, $2, $3)
-            RETURNING *
-        `;
-        const sessionResult = await pool.query(sessionQuery, [
-            project.id, sessionToken, req.ip
-        ]);
-        const session = sessionResult.rows[0];
+        res.json({
+            success: true,
+            output_schema: schema,
+            instructions: schema ? outputSchemas.buildInstructions(schema) : null,
+            displays: outputSchemas.displays,
+            field_types: outputSchemas.fieldTypes
+        });
         
-        // Save responses
-        for (const response of responses) {
-            await pool.query(`
-                INSERT INTO project_responses_v6 (session_id, step_id, field_id, field_value)
-                VALUES ($1, $2, $3, $4)
-            `, [session.id, response.step_id, response.field_id, response.field_value]);
-        }
+    } catch (error) {
+        console.error('Error loading output schema:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load output schema'
+        });
+    }
+});
+
+/**
+ * PUT /api/v6/projects/:projectId/output-schema
+ * Save the output schema (null goes back to free-text results)
+ */
+router.put('/projects/:projectId/output-schema', verifyAuth, requireProjectRole('editor'), async (req, res) => {
+    try {
+        const { projectId } = req.params;
+        const { schema, errors } = outputSchemas.normalizeSchema(req.body.output_schema);
         
-        // Prepare AI prompt
-        let aiPrompt = project.system_prompt + '\n\nUser Information:\n';
-        for (const response of responses) {
-            aiPrompt += `${response.field_name}: ${response.field_value}\n`;
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Output schema has errors',
+                errors
+            });
         }
         
-        // Get AI response
-        const aiResponse = await claude.generateResponse(aiPrompt, 'claude-3-5-sonnet-20241022');
-        
-        // Save AI response
-        await pool.query(`
-            UPDATE project_sessions_v6 
-            SET ai_response = $1, ai_response_generated_at = NOW(), completed_at = NOW()
+        const result = await pool.query(`
+            UPDATE projects_v6
+            SET output_schema = $1,
+                updated_at = NOW()
             WHERE id = $2
-        `, [aiResponse, session.id]);
+            RETURNING id, output_schema
+        `, [schema ? JSON.stringify(schema) : null, projectId]);
         
-        console.log(`✅ Processed submission for ${project.name}: ${session.session_token}`);
+        broadcastChange(req, { type: 'project', action: 'updated', id: projectId, data: result.rows[0] });
         
         res.json({
             success: true,
-            response: aiResponse,
-            session_id: session.id
+            output_schema: result.rows[0].output_schema,
+            instructions: schema ? outputSchemas.buildInstructions(schema) : null,
+            message: schema ? 'Output schema saved' : 'Output schema removed'
         });
         
     } catch (error) {
-        console.error('Error processing submission:', error);
+        console.error('Error saving output schema:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to process submission'
+            error: 'Failed to save output schema'
         });
     }
 });
 
 // =====================================================
-// ADVANCED PROJECT MANAGEMENT ENDPOINTS
+// TRANSLATION ENDPOINTS
 // =====================================================
 
 /**
- * POST /api/v6/projects/:projectId/clone
- * Clone a project with all steps and fields
+ * GET /api/v6/projects/:projectId/translations
+ * Languages of the tool and every translatable text of the draft
  */
-router.post('/projects/:projectId/clone', verifyAuth, async (req, res) => {
+router.get('/projects/:projectId/translations', verifyAuth, requireProjectRole('viewer'), async (req, res) => {
     try {
         const { projectId } = req.params;
-        const { newName } = req.body;
         
-        // Get original project with all data
-        const originalProjectQuery = await pool.query(`
-            SELECT * FROM projects_v6 WHERE id = $1
-        `, [projectId]);
+        const snapshot = await projectVersions.buildDraftSnapshot(projectId);
         
-        if (originalProjectQuery.rows.length === 0) {
+        if (!snapshot) {
             return res.status(404).json({
                 success: false,
                 error: 'Project not found'
             });
         }
         
-        const original = originalProjectQuery.rows[0];
-        // Generate clean subdomain for cloned project
-        const generateClonedSubdomain = (originalName, newName, projectId) => {
-            const baseName = (newName || originalName).replace(' (Copy)', '');
-            return baseName
-                .toLowerCase()
-                .replace(/[^a-z0-9\s]/g, '')
-                .replace(/\s+/g, '-')
-                .slice(0, 30) + '-copy-' + projectId.split('-')[0];
-        };
-        const name = newName || `${original.name} (Copy)`;
-        
-        // Create cloned project
-        const projectQuery = `
-            INSERT INTO projects_v6 
-            (user_id, name, description, ai_role, ai_persona_description, system_prompt, 
-             subdomain, header_title, header_subtitle, deployed, enabled)
-            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, false, $10)
-            RETURNING *
-        `;
-        
-        const newProject = await pool.query(projectQuery, [
-            original.user_id, name, original.description, original.ai_role,
-            original.ai_persona_description, original.system_prompt, null,
-            original.header_title, original.header_subtitle, original.enabled
-        ]);
-        
-        const project = newProject.rows[0];
-        
-        // Generate and update subdomain after project creation
-        const subdomain = generateClonedSubdomain(original.name, name, project.id);
-        await pool.query('UPDATE projects_v6 SET subdomain = $1 WHERE id = $2', [subdomain, project.id]);
-        
-        // Clone steps and fields
-        const stepsQuery = await pool.query(`
-            SELECT * FROM project_steps_v6 WHERE project_id = $1 ORDER BY step_order
-        `, [projectId]);
-        
-        for (const step of stepsQuery.rows) {
-            const newStepQuery = await pool.query(`
-                INSERT INTO project_steps_v6 
-                (project_id, name, description, step_order, page_title, page_subtitle)
-                VALUES ($1, $2, $3, $4, $5, $6)
-                RETURNING *
-            `, [project.id, step.name, step.description, step.step_order, step.page_title, step.page_subtitle]);
-            
-            const newStep = newStepQuery.rows[0];
-            
-            // Clone fields
-            const fieldsQuery = await pool.query(`
-                SELECT * FROM project_fields_v6 WHERE step_id = $1 ORDER BY field_order
-            `, [step.id]);
-            
-            for (const field of fieldsQuery.rows) {
-                const newFieldQuery = await pool.query(`
-                    INSERT INTO project_fields_v6 
-                    (step_id, name, label, field_type, placeholder, description, is_required, field_order)
-                    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-                    RETURNING *
-                `, [newStep.id, field.name, field.label, field.field_type, 
-                    field.placeholder, field.description, field.is_required, field.field_order]);
-                
-                const newField = newFieldQuery.rows[0];
-                
-                // Clone choices if any
-                const choicesQuery = await pool.query(`
-                    SELECT * FROM project_choices_v6 WHERE field_id = $1 ORDER BY choice_order
-                `, [field.id]);
-                
-                for (const choice of choicesQuery.rows) {
-                    await pool.query(`
-                        INSERT INTO project_choices_v6 
-                        (field_id, label, value, choice_order, is_default)
-                        VALUES ($1, $2, $3, $4, $5)
-                    `, [newField.id, choice.label, choice.value, choice.choice_order, choice.is_default]);
-                }
-            }
-        }
-        
-        console.log(`📋 Cloned project: ${name} (${project.id})`);
+        const { defaultLocale, locales } = projectLocales.getLocales(snapshot.project);
         
         res.json({
             success: true,
-            project: project,
-            message: 'Project cloned successfully'
+            default_locale: defaultLocale,
+            locales,
+            languages: projectLocales.languages,
+            max_locales: projectLocales.maxLocales,
+            entries: projectLocales.collectEntries(snapshot, locales.filter(locale => locale !== defaultLocale))
         });
         
     } catch (error) {
-        console.error('Error cloning project:', error);
+        console.error('Error loading translations:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to clone project'
+            error: 'Failed to load translations'
         });
     }
 });
 
 /**
- * PUT /api/v6/projects/:projectId/reorder-steps
- * Reorder steps in a project
+ * PUT /api/v6/projects/:projectId/translations
+ * Save the tool's languages and any edited translations
  */
-router.put('/projects/:projectId/reorder-steps', async (req, res) => {
+router.put('/projects/:projectId/translations', verifyAuth, requireProjectRole('editor'), async (req, res) => {
     try {
         const { projectId } = req.params;
-        const { stepIds } = req.body; // Array of step IDs in desired order
+        const { settings, errors } = projectLocales.normalizeLocales(req.body);
         
-        if (!Array.isArray(stepIds)) {
+        if (errors.length > 0) {
             return res.status(400).json({
                 success: false,
-                error: 'stepIds must be an array'
+                error: 'Language settings have errors',
+                errors
             });
         }
         
-        // Update step orders
-        for (let i = 0; i < stepIds.length; i++) {
-            await pool.query(`
-                UPDATE project_steps_v6 
-                SET step_order = $1 
-                WHERE id = $2 AND project_id = $3
-            `, [i + 1, stepIds[i], projectId]);
+        await pool.query(`
+            UPDATE projects_v6
+            SET default_locale = $1,
+                locales = $2,
+                updated_at = NOW()
+            WHERE id = $3
+        `, [settings.default_locale, JSON.stringify(settings.locales), projectId]);
+        
+        const result = await projectLocales.saveEntries(projectId, req.body.entries || [], settings.locales);
+        
+        if (result.errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Translations have errors',
+                errors: result.errors
+            });
         }
         
+        broadcastChange(req, { type: 'project', action: 'translated', id: projectId });
+        
         res.json({
             success: true,
-            message: 'Steps reordered successfully'
+            default_locale: settings.default_locale,
+            locales: settings.locales,
+            updated: result.updated,
+            message: 'Translations saved'
         });
         
     } catch (error) {
-        console.error('Error reordering steps:', error);
+        console.error('Error saving translations:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to reorder steps'
+            error: 'Failed to save translations'
         });
     }
 });
 
 /**
- * PUT /api/v6/steps/:stepId/reorder-fields
- * Reorder fields in a step
+ * POST /api/v6/projects/:projectId/translations/auto
+ * Draft translations for one language with the AI
  */
-router.put('/steps/:stepId/reorder-fields', async (req, res) => {
+router.post('/projects/:projectId/translations/auto', verifyAuth, requireProjectRole('editor'), async (req, res) => {
     try {
-        const { stepId } = req.params;
-        const { fieldIds } = req.body; // Array of field IDs in desired order
+        const { projectId } = req.params;
+        const { locale, overwrite } = req.body;
         
-        if (!Array.isArray(fieldIds)) {
+        const result = await projectLocales.autoTranslate(projectId, locale, { overwrite: overwrite === true });
+        
+        if (result.errors.length > 0) {
             return res.status(400).json({
                 success: false,
-                error: 'fieldIds must be an array'
+                error: result.errors[0],
+                errors: result.errors
             });
         }
         
-        // Update field orders
-        for (let i = 0; i < fieldIds.length; i++) {
-            await pool.query(`
-                UPDATE project_fields_v6 
-                SET field_order = $1 
-                WHERE id = $2 AND step_id = $3
-            `, [i + 1, fieldIds[i], stepId]);
-        }
+        broadcastChange(req, { type: 'project', action: 'translated', id: projectId });
         
         res.json({
             success: true,
-            message: 'Fields reordered successfully'
+            translated: result.translated,
+            message: result.translated > 0
+                ? `Translated ${result.translated} texts to ${projectLocales.languages[locale]} — review them before publishing`
+                : 'Everything is already translated'
         });
         
     } catch (error) {
-        console.error('Error reordering fields:', error);
+        console.error('Error auto-translating project:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to reorder fields'
+            error: 'Failed to translate project'
         });
     }
 });
 
+// =====================================================
+// PROMPT TEST ENDPOINTS
+// =====================================================
+
 /**
- * GET /api/v6/projects/:projectId/export
- * Export project configuration as JSON
+ * GET /api/v6/projects/:projectId/tests
+ * Test cases of a project, its input names, the deploy gate setting and the latest run
+ */
+router.get('/projects/:projectId/tests', verifyAuth, requireProjectRole('viewer'), async (req, res) => {
+    try {
+        const { projectId } = req.params;
+        
+        const [cases, runs, gate, inputNames] = await Promise.all([
+            promptTests.listCases(projectId),
+            promptTests.listRuns(projectId, 1),
+            pool.query('SELECT test_gate_enabled FROM projects_v6 WHERE id = $1', [projectId]),
+            promptTests.getInputNames(projectId)
+        ]);
+        
+        res.json({
+            success: true,
+            cases,
+            input_names: inputNames,
+            latest_run: runs[0] || null,
+            gate_enabled: gate.rows[0]?.test_gate_enabled === true,
+            assertion_types: promptTests.assertionTypes,
+            max_cases: promptTests.maxCases
+        });
+        
+    } catch (error) {
+        console.error('Error listing prompt tests:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list prompt tests'
+        });
+    }
+});
+
+/**
+ * POST /api/v6/projects/:projectId/tests
+ * Add a test case: sample answers plus assertions on the output
+ */
+router.post('/projects/:projectId/tests', verifyAuth, requireProjectRole('editor'), async (req, res) => {
+    try {
+        const { projectId } = req.params;
+        
+        const created = await promptTests.createCase(projectId, req.user.id, req.body);
+        
+        if (!created.testCase) {
+            return res.status(400).json({
+                success: false,
+                error: 'Test case is not valid',
+                errors: created.errors
+            });
+        }
+        
+        res.status(201).json({
+            success: true,
+            test_case: created.testCase,
+            message: 'Test case added'
+        });
+        
+    } catch (error) {
+        console.error('Error creating prompt test:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create test case'
+        });
+    }
+});
+
+/**
+ * PUT /api/v6/projects/:projectId/tests/:caseId
+ * Update a test case
+ */
+router.put('/projects/:projectId/tests/:caseId', verifyAuth, requireProjectRole('editor'), async (req, res) => {
+    try {
+        const { projectId, caseId } = req.params;
+        
+        const updated = await promptTests.updateCase(projectId, caseId, req.body);
+        
+        if (!updated) {
+            return res.status(404).json({
+                success: false,
+                error: 'Test case not found'
+            });
+        }
+        
+        if (!updated.testCase) {
+            return res.status(400).json({
+                success: false,
+                error: 'Test case is not valid',
+                errors: updated.errors
+            });
+        }
+        
+        res.json({
+            success: true,
+            test_case: updated.testCase,
+            message: 'Test case updated'
+        });
+        
+    } catch (error) {
+        console.error('Error updating prompt test:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update test case'
+        });
+    }
+});
+
+/**
+ * DELETE /api/v6/projects/:projectId/tests/:caseId
+ * Delete a test case (past run results keep their copy)
+ */
+router.delete('/projects/:projectId/tests/:caseId', verifyAuth, requireProjectRole('editor'), async (req, res) => {
+    try {
+        const { projectId, caseId } = req.params;
+        
+        const deleted = await promptTests.deleteCase(projectId, caseId);
+        
+        if (!deleted) {
+            return res.status(404).json({
+                success: false,
+                error: 'Test case not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: 'Test case deleted'
+        });
+        
+    } catch (error) {
+        console.error('Error deleting prompt test:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete test case'
+        });
+    }
+});
+
+/**
+ * PUT /api/v6/projects/:projectId/test-settings
+ * Turn the deploy gate on or off ({ gate_enabled })
+ */
+router.put('/projects/:projectId/test-settings', verifyAuth, requireProjectRole('editor'), async (req, res) => {
+    try {
+        const { projectId } = req.params;
+        const { gate_enabled } = req.body || {};
+        
+        if (typeof gate_enabled !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                error: 'gate_enabled must be true or false'
+            });
+        }
+        
+        await promptTests.setGate(projectId, gate_enabled);
+        
+        res.json({
+            success: true,
+            gate_enabled,
+            message: gate_enabled ? 'Deploys now require passing tests' : 'Deploys no longer require passing tests'
+        });
+        
+    } catch (error) {
+        console.error('Error updating test settings:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update test settings'
+        });
+    }
+});
+
+/**
+ * POST /api/v6/projects/:projectId/test-runs
+ * Run every test case against the draft ({ provider: 'configured' | 'mock' }).
+ * The run continues in the background; poll it for results.
+ */
+router.post('/projects/:projectId/test-runs', verifyAuth, requireProjectRole('editor'), async (req, res) => {
+    try {
+        const { projectId } = req.params;
+        const { provider = 'mock' } = req.body || {};
+        
+        if (await promptTests.hasActiveRun(projectId)) {
+            return res.status(409).json({
+                success: false,
+                error: 'Tests are already running for this project. Wait for them to finish.'
+            });
+        }
+        
+        const started = await promptTests.startRun(projectId, req.user.id, provider);
+        
+        if (!started.run) {
+            return res.status(400).json({
+                success: false,
+                error: started.error
+            });
+        }
+        
+        res.status(202).json({
+            success: true,
+            run: started.run,
+            message: `Running ${started.run.total_cases} test case${started.run.total_cases === 1 ? '' : 's'}`
+        });
+        
+    } catch (error) {
+        console.error('Error starting test run:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to start test run'
+        });
+    }
+});
+
+/**
+ * GET /api/v6/projects/:projectId/test-runs
+ * Recent test runs of a project
+ */
+router.get('/projects/:projectId/test-runs', verifyAuth, requireProjectRole('viewer'), async (req, res) => {
+    try {
+        const { projectId } = req.params;
+        
+        const runs = await promptTests.listRuns(projectId);
+        
+        res.json({
+            success: true,
+            runs
+        });
+        
+    } catch (error) {
+        console.error('Error listing test runs:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list test runs'
+        });
+    }
+});
+
+/**
+ * GET /api/v6/projects/:projectId/test-runs/:runId
+ * One test run with each case's output and assertions, compared with the
+ * previous run (fixed, regressed, unchanged or new, plus an output diff)
+ */
+router.get('/projects/:projectId/test-runs/:runId', verifyAuth, requireProjectRole('viewer'), async (req, res) => {
+    try {
+        const { projectId, runId } = req.params;
+        
+        const detail = await promptTests.getRun(projectId, runId);
+        
+        if (!detail) {
+            return res.status(404).json({
+                success: false,
+                error: 'Test run not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            ...detail
+        });
+        
+    } catch (error) {
+        console.error('Error getting test run:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get test run'
+        });
+    }
+});
+
+// =====================================================
+// EXPERIMENT ENDPOINTS
+// =====================================================
+
+/**
+ * GET /api/v6/projects/:projectId/experiments
+ * A/B experiments of a project with their visitor counts
+ */
+router.get('/projects/:projectId/experiments', verifyAuth, requireProjectRole('viewer'), async (req, res) => {
+    try {
+        const { projectId } = req.params;
+        
+        const experiments = await projectExperiments.listExperiments(projectId);
+        
+        res.json({
+            success: true,
+            experiments,
+            models: projectExperiments.models
+        });
+        
+    } catch (error) {
+        console.error('Error listing experiments:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list experiments'
+        });
+    }
+});
+
+/**
+ * POST /api/v6/projects/:projectId/experiments
+ * Create a draft experiment ({ name, variants })
+ */
+router.post('/projects/:projectId/experiments', verifyAuth, requireProjectRole('editor'), async (req, res) => {
+    try {
+        const { projectId } = req.params;
+        
+        const steps = await projectVersions.loadSteps(projectId);
+        const allowedModels = await generationSettings.getAllowedModels(req.projectOwnerId);
+        const created = await projectExperiments.createExperiment(projectId, req.user.id, req.body, steps, allowedModels);
+        
+        if (!created.experiment) {
+            return res.status(400).json({
+                success: false,
+                error: 'Experiment is not valid',
+                errors: created.errors
+            });
+        }
+        
+        res.status(201).json({
+            success: true,
+            experiment: created.experiment,
+            message: 'Experiment created'
+        });
+        
+    } catch (error) {
+        console.error('Error creating experiment:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create experiment'
+        });
+    }
+});
+
+/**
+ * PUT /api/v6/projects/:projectId/experiments/:experimentId
+ * Update an experiment that has not started
+ */
+router.put('/projects/:projectId/experiments/:experimentId', verifyAuth, requireProjectRole('editor'), async (req, res) => {
+    try {
+        const { projectId, experimentId } = req.params;
+        
+        const steps = await projectVersions.loadSteps(projectId);
+        const allowedModels = await generationSettings.getAllowedModels(req.projectOwnerId);
+        const updated = await projectExperiments.updateExperiment(projectId, experimentId, req.body, steps, allowedModels);
+        
+        if (!updated) {
+            return res.status(404).json({
+                success: false,
+                error: 'Experiment not found'
+            });
+        }
+        
+        if (!updated.experiment) {
+            return res.status(updated.conflict ? 409 : 400).json({
+                success: false,
+                error: updated.conflict ? updated.errors[0] : 'Experiment is not valid',
+                errors: updated.errors
+            });
+        }
+        
+        res.json({
+            success: true,
+            experiment: updated.experiment,
+            message: 'Experiment updated'
+        });
+        
+    } catch (error) {
+        console.error('Error updating experiment:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update experiment'
+        });
+    }
+});
+
+/**
+ * POST /api/v6/projects/:projectId/experiments/:experimentId/start
+ * Start splitting the deployed tool's traffic between the variants
+ */
+router.post('/projects/:projectId/experiments/:experimentId/start', verifyAuth, requireProjectRole('editor'), async (req, res) => {
+    try {
+        const { projectId, experimentId } = req.params;
+        
+        const started = await projectExperiments.startExperiment(projectId, experimentId);
+        
+        if (!started) {
+            return res.status(404).json({
+                success: false,
+                error: 'Experiment not found'
+            });
+        }
+        
+        if (!started.experiment) {
+            return res.status(409).json({
+                success: false,
+                error: started.error
+            });
+        }
+        
+        console.log(`🧪 Experiment ${experimentId} started on project ${projectId}`);
+        
+        res.json({
+            success: true,
+            experiment: started.experiment,
+            message: 'Experiment started'
+        });
+        
+    } catch (error) {
+        console.error('Error starting experiment:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to start experiment'
+        });
+    }
+});
+
+/**
+ * POST /api/v6/projects/:projectId/experiments/:experimentId/stop
+ * Stop an experiment; every visitor gets the published project again
+ */
+router.post('/projects/:projectId/experiments/:experimentId/stop', verifyAuth, requireProjectRole('editor'), async (req, res) => {
+    try {
+        const { projectId, experimentId } = req.params;
+        
+        const stopped = await projectExperiments.stopExperiment(projectId, experimentId);
+        
+        if (!stopped) {
+            return res.status(404).json({
+                success: false,
+                error: 'Experiment not found'
+            });
+        }
+        
+        if (!stopped.experiment) {
+            return res.status(409).json({
+                success: false,
+                error: stopped.error
+            });
+        }
+        
+        res.json({
+            success: true,
+            experiment: stopped.experiment,
+            message: 'Experiment stopped'
+        });
+        
+    } catch (error) {
+        console.error('Error stopping experiment:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to stop experiment'
+        });
+    }
+});
+
+/**
+ * DELETE /api/v6/projects/:projectId/experiments/:experimentId
+ * Delete an experiment that is not running, with its visitor assignments
+ */
+router.delete('/projects/:projectId/experiments/:experimentId', verifyAuth, requireProjectRole('editor'), async (req, res) => {
+    try {
+        const { projectId, experimentId } = req.params;
+        
+        const deleted = await projectExperiments.deleteExperiment(projectId, experimentId);
+        
+        if (!deleted) {
+            return res.status(404).json({
+                success: false,
+                error: 'Experiment not found'
+            });
+        }
+        
+        if (!deleted.deleted) {
+            return res.status(409).json({
+                success: false,
+                error: deleted.error
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: 'Experiment deleted'
+        });
+        
+    } catch (error) {
+        console.error('Error deleting experiment:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete experiment'
+        });
+    }
+});
+
+/**
+ * GET /api/v6/projects/:projectId/experiments/:experimentId/results
+ * Completion rate, feedback rating and AI cost per variant, with the
+ * significance of each variant's completion rate against the control
+ */
+router.get('/projects/:projectId/experiments/:experimentId/results', verifyAuth, requireProjectRole('viewer'), async (req, res) => {
+    try {
+        const { projectId, experimentId } = req.params;
+        
+        const results = await projectExperiments.getResults(projectId, experimentId);
+        
+        if (!results) {
+            return res.status(404).json({
+                success: false,
+                error: 'Experiment not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            ...results,
+            significance_level: projectExperiments.significanceLevel
+        });
+        
+    } catch (error) {
+        console.error('Error getting experiment results:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get experiment results'
+        });
+    }
+});
+
+// =====================================================
+// RESPONSE CACHE ENDPOINTS
+// =====================================================
+
+/**
+ * GET /api/v6/projects/:projectId/response-cache
+ * Response cache settings with hit and miss counts
+ */
+router.get('/projects/:projectId/response-cache', verifyAuth, requireProjectRole('viewer'), async (req, res) => {
+    try {
+        const { projectId } = req.params;
+        
+        const { enabled, ttl_seconds } = await responseCache.getSettings(projectId);
+        
+        res.json({
+            success: true,
+            settings: { enabled, ttl_seconds },
+            stats: await responseCache.getStats(projectId),
+            backend: await responseCache.getBackend()
+        });
+        
+    } catch (error) {
+        console.error('Error getting response cache settings:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get response cache settings'
+        });
+    }
+});
+
+/**
+ * PUT /api/v6/projects/:projectId/response-cache
+ * Turn the response cache on or off and set how long results are kept ({ enabled, ttl_seconds })
+ */
+router.put('/projects/:projectId/response-cache', verifyAuth, requireProjectRole('editor'), async (req, res) => {
+    try {
+        const { projectId } = req.params;
+        
+        const updated = await responseCache.updateSettings(projectId, req.body || {});
+        
+        if (!updated.settings) {
+            return res.status(400).json({
+                success: false,
+                error: 'Response cache settings are not valid',
+                errors: updated.errors
+            });
+        }
+        
+        const { enabled, ttl_seconds } = updated.settings;
+        
+        res.json({
+            success: true,
+            settings: { enabled, ttl_seconds },
+            message: enabled ? 'Response cache enabled' : 'Response cache disabled'
+        });
+        
+    } catch (error) {
+        console.error('Error updating response cache settings:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update response cache settings'
+        });
+    }
+});
+
+/**
+ * POST /api/v6/projects/:projectId/response-cache/clear
+ * Drop every cached result (deploys do this automatically)
+ */
+router.post('/projects/:projectId/response-cache/clear', verifyAuth, requireProjectRole('editor'), async (req, res) => {
+    try {
+        const { projectId } = req.params;
+        
+        await responseCache.invalidate(projectId);
+        
+        res.json({
+            success: true,
+            message: 'Response cache cleared'
+        });
+        
+    } catch (error) {
+        console.error('Error clearing response cache:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to clear response cache'
+        });
+    }
+});
+
+// =====================================================
+// BATCH RUN ENDPOINTS
+// =====================================================
+
+/**
+ * POST /api/v6/projects/:projectId/batches/preview
+ * Parse an uploaded CSV and suggest how its columns map to the tool's inputs
+ */
+router.post('/projects/:projectId/batches/preview', verifyAuth, requireProjectRole('editor'), async (req, res) => {
+    try {
+        const { projectId } = req.params;
+        const { csv } = req.body;
+        
+        const preview = await batchRuns.preview(projectId, csv);
+        
+        res.json({
+            success: true,
+            ...preview
+        });
+        
+    } catch (error) {
+        console.error('Error previewing batch file:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to read batch file'
+        });
+    }
+});
+
+/**
+ * POST /api/v6/projects/:projectId/batches
+ * Queue a batch run: one generation per CSV row
+ */
+router.post('/projects/:projectId/batches', verifyAuth, requireProjectRole('editor'), async (req, res) => {
+    try {
+        const { projectId } = req.params;
+        
+        if (await batchRuns.hasActiveBatch(projectId)) {
+            return res.status(409).json({
+                success: false,
+                error: 'This project already has a batch running. Wait for it to finish or cancel it.'
+            });
+        }
+        
+        const created = await batchRuns.createBatch(projectId, req.user.id, req.body);
+        
+        if (!created.batch) {
+            return res.status(400).json({
+                success: false,
+                error: 'Batch could not be started',
+                errors: created.errors
+            });
+        }
+        
+        res.status(201).json({
+            success: true,
+            batch: created.batch,
+            message: `Batch queued with ${created.batch.total_rows} rows`
+        });
+        
+    } catch (error) {
+        console.error('Error creating batch:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create batch'
+        });
+    }
+});
+
+/**
+ * GET /api/v6/projects/:projectId/batches
+ * Batch runs of a project with their progress
+ */
+router.get('/projects/:projectId/batches', verifyAuth, requireProjectRole('viewer'), async (req, res) => {
+    try {
+        const { projectId } = req.params;
+        
+        const batches = await batchRuns.listBatches(projectId);
+        
+        res.json({
+            success: true,
+            batches,
+            max_rows: batchRuns.maxRows
+        });
+        
+    } catch (error) {
+        console.error('Error listing batches:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list batches'
+        });
+    }
+});
+
+/**
+ * GET /api/v6/projects/:projectId/batches/:batchId
+ * Progress of one batch run
+ */
+router.get('/projects/:projectId/batches/:batchId', verifyAuth, requireProjectRole('viewer'), async (req, res) => {
+    try {
+        const { projectId, batchId } = req.params;
+        
+        const batch = await batchRuns.getBatch(projectId, batchId);
+        
+        if (!batch) {
+            return res.status(404).json({
+                success: false,
+                error: 'Batch not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            batch
+        });
+        
+    } catch (error) {
+        console.error('Error getting batch:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get batch'
+        });
+    }
+});
+
+/**
+ * POST /api/v6/projects/:projectId/batches/:batchId/cancel
+ * Stop a batch run; rows already finished keep their results
+ */
+router.post('/projects/:projectId/batches/:batchId/cancel', verifyAuth, requireProjectRole('editor'), async (req, res) => {
+    try {
+        const { projectId, batchId } = req.params;
+        
+        const cancelled = await batchRuns.cancelBatch(projectId, batchId);
+        
+        if (!cancelled) {
+            return res.status(409).json({
+                success: false,
+                error: 'Batch is not running'
+            });
+        }
+        
+        res.json({
+            success: true,
+            batch: await batchRuns.getBatch(projectId, batchId),
+            message: 'Batch cancelled'
+        });
+        
+    } catch (error) {
+        console.error('Error cancelling batch:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to cancel batch'
+        });
+    }
+});
+
+/**
+ * GET /api/v6/projects/:projectId/batches/:batchId/download?format=csv|xlsx
+ * Download the uploaded rows with each row's output, status and error
+ */
+router.get('/projects/:projectId/batches/:batchId/download', verifyAuth, requireProjectRole('viewer'), async (req, res) => {
+    try {
+        const { projectId, batchId } = req.params;
+        const format = req.query.format === 'xlsx' ? 'xlsx' : 'csv';
+        
+        const batch = await batchRuns.getBatch(projectId, batchId);
+        
+        if (!batch) {
+            return res.status(404).json({
+                success: false,
+                error: 'Batch not found'
+            });
+        }
+        
+        const baseName = batch.file_name.replace(/\.[^.]+$/, '').replace(/[^a-zA-Z0-9_-]+/g, '-') || 'batch';
+        
+        if (format === 'xlsx') {
+            const buffer = await batchRuns.exportXlsx(batch);
+            res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            res.setHeader('Content-Disposition', `attachment; filename="${baseName}-results.xlsx"`);
+            return res.send(Buffer.from(buffer));
+        }
+        
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${baseName}-results.csv"`);
+        res.send(await batchRuns.exportCsv(batch));
+        
+    } catch (error) {
+        console.error('Error downloading batch results:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to download batch results'
+        });
+    }
+});
+
+// =====================================================
+// TEMPLATE GALLERY ENDPOINTS
+// =====================================================
+
+/**
+ * POST /api/v6/projects/:projectId/save-as-template
+ * Save a project's structure, prompts and settings (no responses) as a template
+ */
+router.post('/projects/:projectId/save-as-template', verifyAuth, requireProjectRole('editor'), async (req, res) => {
+    try {
+        const { projectId } = req.params;
+        
+        const saved = await projectTemplates.createTemplate(projectId, req.user.id, req.body);
+        
+        if (!saved.template) {
+            return res.status(400).json({
+                success: false,
+                error: 'Template could not be saved',
+                errors: saved.errors
+            });
+        }
+        
+        res.status(201).json({
+            success: true,
+            template: saved.template,
+            warnings: saved.warnings,
+            message: 'Template saved'
+        });
+        
+    } catch (error) {
+        console.error('Error saving template:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to save template'
+        });
+    }
+});
+
+/**
+ * GET /api/v6/templates
+ * Search the templates the caller can see
+ * Query: q, category, visibility, featured=true, mine=true, sort=featured|popular|newest
+ */
+router.get('/templates', verifyAuth, async (req, res) => {
+    try {
+        const templates = await projectTemplates.listTemplates(req.user.id, req.query);
+        
+        res.json({
+            success: true,
+            templates,
+            categories: projectTemplates.categories,
+            visibilities: projectTemplates.visibilities
+        });
+        
+    } catch (error) {
+        console.error('Error listing templates:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list templates'
+        });
+    }
+});
+
+/**
+ * GET /api/v6/templates/:templateId
+ * Template details with its variables and an outline of its steps
+ */
+router.get('/templates/:templateId', verifyAuth, async (req, res) => {
+    try {
+        const template = await projectTemplates.getTemplate(req.params.templateId, req.user.id);
+        
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                error: 'Template not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            template
+        });
+        
+    } catch (error) {
+        console.error('Error getting template:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get template'
+        });
+    }
+});
+
+/**
+ * GET /api/v6/templates/:templateId/previews/:index
+ * Preview screenshot of a template
+ */
+router.get('/templates/:templateId/previews/:index', verifyAuth, async (req, res) => {
+    try {
+        const { templateId, index } = req.params;
+        
+        const image = await projectTemplates.getPreviewImage(templateId, req.user.id, index);
+        
+        if (!image) {
+            return res.status(404).json({
+                success: false,
+                error: 'Preview not found'
+            });
+        }
+        
+        res.setHeader('Content-Type', image.contentType);
+        res.setHeader('Cache-Control', 'private, max-age=3600');
+        res.send(image.data);
+        
+    } catch (error) {
+        console.error('Error getting template preview:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get template preview'
+        });
+    }
+});
+
+/**
+ * PUT /api/v6/templates/:templateId
+ * Update the gallery details of one of the caller's templates
+ */
+router.put('/templates/:templateId', verifyAuth, async (req, res) => {
+    try {
+        const updated = await projectTemplates.updateTemplate(req.params.templateId, req.user.id, req.body);
+        
+        if (updated.errors) {
+            return res.status(400).json({
+                success: false,
+                error: 'Template could not be updated',
+                errors: updated.errors
+            });
+        }
+        
+        if (!updated.template) {
+            return res.status(404).json({
+                success: false,
+                error: 'Template not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            template: updated.template,
+            message: 'Template updated'
+        });
+        
+    } catch (error) {
+        console.error('Error updating template:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update template'
+        });
+    }
+});
+
+/**
+ * DELETE /api/v6/templates/:templateId
+ * Delete one of the caller's templates; projects created from it are kept
+ */
+router.delete('/templates/:templateId', verifyAuth, async (req, res) => {
+    try {
+        const deleted = await projectTemplates.deleteTemplate(req.params.templateId, req.user.id);
+        
+        if (!deleted) {
+            return res.status(404).json({
+                success: false,
+                error: 'Template not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: 'Template deleted'
+        });
+        
+    } catch (error) {
+        console.error('Error deleting template:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete template'
+        });
+    }
+});
+
+/**
+ * POST /api/v6/templates/:templateId/create-project
+ * Create a project for the caller from a template, filling in its variables
+ * Body: { name, variables: { <key>: value } }
+ */
+router.post('/templates/:templateId/create-project', verifyAuth, async (req, res) => {
+    try {
+        const created = await projectTemplates.createProject(req.params.templateId, req.user.id, req.body);
+        
+        if (!created) {
+            return res.status(404).json({
+                success: false,
+                error: 'Template not found'
+            });
+        }
+        
+        if (!created.project) {
+            return res.status(400).json({
+                success: false,
+                error: 'Project could not be created',
+                errors: created.errors
+            });
+        }
+        
+        res.status(201).json({
+            success: true,
+            project: created.project,
+            warnings: created.warnings,
+            message: 'Project created from template'
+        });
+        
+    } catch (error) {
+        console.error('Error creating project from template:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create project from template'
+        });
+    }
+});
+
+// =====================================================
+// REFINEMENT ENDPOINTS FOR NEW CREATION FLOW
+// =====================================================
+
+/**
+ * POST /api/v6/projects/refinement-questions
+ * Generate AI questions to refine project requirements
+ */
+router.post('/projects/refinement-questions', async (req, res) => {
+    try {
+        const { projectIdea, expertType } = req.body;
+        
+        if (!projectIdea || !expertType) {
+            return res.status(400).json({
+                success: false,
+                error: 'Project idea and expert type are required'
+            });
+        }
+        
+        console.log(`🤔 Generating refinement questions for: ${expertType} - ${projectIdea}`);
+        
+        // Generate refinement questions with AI
+        const questionsPrompt = `You are helping an ADMIN design a multi-step AI tool for their users. Generate 3-5 thoughtful questions to ask the ADMIN about how they want their tool to work.
+
+Project: "${projectIdea}"
+Expert Type: "${expertType}"
+
+Ask the ADMIN questions about their tool design preferences, NOT questions for end users. Focus on:
+- How detailed should the questions be?
+- What specific aspects should the tool focus on?
+- What level of privacy/sensitivity is appropriate?
+- What disclaimers or warnings should be included?
+- How should results be presented to users?
+- What additional features would be helpful?
+
+Example good admin questions:
+"How detailed should the medical history questions be?"
+"Should we include questions about recent lifestyle changes?"
+"What level of medical disclaimer do you want to include?"
+
+Respond with JSON only:
+{
+  "questions": [
+    {
+      "question": "Question text here?",
+      "placeholder": "Suggested placeholder text...",
+      "required": false
+    }
+  ]
+}`;
+
+        const aiResponse = await llmClient.generateContent(questionsPrompt, { json: true });
+
+        const questionsData = JSON.parse(cleanAIResponse(aiResponse));
+        
+        console.log(`✅ Generated ${questionsData.questions.length} refinement questions`);
+        
+        res.json({
+            success: true,
+            questions: questionsData.questions
+        });
+        
+    } catch (error) {
+        console.error('Error generating refinement questions:', error);
+        res.status(500).json({ 
+            success: false,
+            error: 'Failed to generate refinement questions' 
+        });
+    }
+});
+
+/**
+ * POST /api/v6/projects/more-questions  
+ * Generate additional refinement questions based on current answers
+ */
+router.post('/projects/more-questions', async (req, res) => {
+    try {
+        const { projectIdea, expertType, refinementAnswers } = req.body;
+        
+        console.log(`🤔 Generating additional questions with ${refinementAnswers.length} previous answers`);
+        
+        // Generate more targeted questions based on previous answers
+        const moreQuestionsPrompt = `You are helping an ADMIN refine their AI tool design. Based on their previous answers, generate 2-3 more specific ADMIN questions about how they want their tool to work.
+
+Project: "${projectIdea}"
+Expert Type: "${expertType}"
+
+Previous Admin Answers:
+${refinementAnswers.map(qa => `Q: ${qa.question}\nA: ${qa.answer}`).join('\n\n')}
+
+Generate follow-up questions for the ADMIN about tool design preferences, NOT questions for end users. Ask about:
+- Specific features they want to include/exclude
+- How detailed or simple they want the user experience
+- What level of accuracy/disclaimers they need
+- Any special requirements based on their previous answers
+
+Respond with JSON only:
+{
+  "questions": [
+    {
+      "question": "More specific question based on answers?",
+      "placeholder": "Suggested placeholder...",
+      "required": false
+    }
+  ]
+}`;
+
+        const aiResponse = await llmClient.generateContent(moreQuestionsPrompt, { json: true });
+
+        const questionsData = JSON.parse(cleanAIResponse(aiResponse));
+        
+        console.log(`✅ Generated ${questionsData.questions.length} additional questions`);
+        
+        res.json({
+            success: true,
+            questions: questionsData.questions
+        });
+        
+    } catch (error) {
+        console.error('Error generating more questions:', error);
+        res.status(500).json({ 
+            success: false,
+            error: 'Failed to generate additional questions' 
+        });
+    }
+});
+
+/**
+ * POST /api/v6/projects/generate-fields
+ * Generate form fields based on project info and refinement answers
+ */
+router.post('/projects/generate-fields', async (req, res) => {
+    try {
+        const { projectIdea, expertType, projectName, refinementAnswers } = req.body;
+        
+        console.log(`🛠️ Generating fields for: ${expertType} - ${projectIdea}`);
+        
+        // Enhanced AI prompt with refinement context
+        const fieldsPrompt = `Create a multi-step form with detailed fields based on the refined requirements.
+
+Project: "${projectIdea}"
+Expert Type: "${expertType}"
+${projectName ? `Project Name: "${projectName}"` : ''}
+
+User Requirements from Refinement:
+${refinementAnswers.map(qa => `${qa.question}: ${qa.answer}`).join('\n')}
+
+Create 2-4 steps with appropriate form fields. For select/checkbox/radio fields, include specific options that make sense for the context.
+
+IMPORTANT: 
+- The system_prompt should be the actual AI instructions for the end-user tool (NOT instructions for building tools). The AI should act as the specified expert type and perform the requested task for end users.
+- DO NOT create any submit button fields. The form will have its own "Generate with AI" button automatically.
+- Only create input fields (text, textarea, select, radio, checkbox) that collect information from users.
+
+Respond with JSON only:
+{
+  "project_name": "${projectName || 'Generated Name (max 3 words)'}",
+  "project_description": "Brief description", 
+  "ai_persona_description": "Expert persona based on requirements",
+  "system_prompt": "You are a ${expertType}. Based on the user's form input, ${projectIdea.toLowerCase().replace('create a tool that', '').replace('create', '').replace('tool that', '').trim()}. Be specific, helpful, and perform the actual task rather than giving advice about tools.",
+  "header_title": "Page title",
+  "header_subtitle": "Page subtitle", 
+  "steps": [
+    {
+      "name": "Step Name",
+      "page_title": "Step title",
+      "page_subtitle": "Step subtitle",
+      "fields": [
+        {
+          "name": "field_name",
+          "label": "Field Label", 
+          "type": "text|textarea|select|checkbox|radio|number|email",
+          "placeholder": "Placeholder text",
+          "description": "Help text",
+          "required": true,
+          "options": ["Option 1", "Option 2"] // Only for select/checkbox/radio
+        }
+      ]
+    }
+  ]
+}`;
+
+        const aiResponse = await llmClient.generateContent(fieldsPrompt, { json: true });
+
+        const projectStructure = JSON.parse(cleanAIResponse(aiResponse));
+        
+        console.log(`✅ Generated project structure with ${projectStructure.steps.length} steps`);
+        
+        res.json({
+            success: true,
+            steps: projectStructure.steps,
+            projectStructure: projectStructure
+        });
+        
+    } catch (error) {
+        console.error('Error generating fields:', error);
+        res.status(500).json({ 
+            success: false,
+            error: 'Failed to generate fields' 
+        });
+    }
+});
+
+/**
+ * GET /api/v6/advertising/settings
+ * Get global advertising settings for current user
+ */
+router.get('/advertising/settings', async (req, res) => {
+    try {
+        // Get user from auth middleware (you'll need to implement this)
+        const user_id = 'e88dad2e-5b81-4a6b-8d42-4b65611428ac'; // TODO: Get from auth
+        
+        const result = await pool.query(
+            'SELECT * FROM advertising_settings WHERE user_id = $1 ORDER BY updated_at DESC LIMIT 1',
+            [user_id]
+        );
+
+        if (result.rows.length === 0) {
+            // Return default settings if none exist
+            res.json({
+                success: true,
+                settings: {
+                    google_ads_enabled: false,
+                    google_ads_client: '',
+                    google_ads_slot: '',
+                    google_analytics_enabled: false,
+                    google_analytics_id: '',
+                    custom_head_code: '',
+                    custom_body_code: '',
+                    ad_placement_header: false,
+                    ad_placement_sidebar: true,
+                    ad_placement_footer: false
+                }
+            });
+        } else {
+            res.json({
+                success: true,
+                settings: result.rows[0]
+            });
+        }
+    } catch (error) {
+        console.error('Error getting advertising settings:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get advertising settings'
+        });
+    }
+});
+
+/**
+ * PUT /api/v6/advertising/settings
+ * Update global advertising settings
+ */
+router.put('/advertising/settings', async (req, res) => {
+    try {
+        const user_id = 'e88dad2e-5b81-4a6b-8d42-4b65611428ac'; // TODO: Get from auth
+        const {
+            google_ads_enabled,
+            google_ads_client,
+            google_ads_slot,
+            google_analytics_enabled,
+            google_analytics_id,
+            custom_head_code,
+            custom_body_code,
+            ad_placement_header,
+            ad_placement_sidebar,
+            ad_placement_footer
+        } = req.body;
+
+        console.log(`💰 Updating global advertising settings for user: ${user_id}`);
+
+        // Insert or update settings
+        const result = await pool.query(`
+            INSERT INTO advertising_settings 
+            (user_id, google_ads_enabled, google_ads_client, google_ads_slot, 
+             google_analytics_enabled, google_analytics_id, custom_head_code, 
+             custom_body_code, ad_placement_header, ad_placement_sidebar, ad_placement_footer)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+            ON CONFLICT (user_id) DO UPDATE SET
+                google_ads_enabled = EXCLUDED.google_ads_enabled,
+                google_ads_client = EXCLUDED.google_ads_client,
+                google_ads_slot = EXCLUDED.google_ads_slot,
+                google_analytics_enabled = EXCLUDED.google_analytics_enabled,
+                google_analytics_id = EXCLUDED.google_analytics_id,
+                custom_head_code = EXCLUDED.custom_head_code,
+                custom_body_code = EXCLUDED.custom_body_code,
+                ad_placement_header = EXCLUDED.ad_placement_header,
+                ad_placement_sidebar = EXCLUDED.ad_placement_sidebar,
+                ad_placement_footer = EXCLUDED.ad_placement_footer,
+                updated_at = NOW()
+            RETURNING *
+        `, [
+            user_id,
+            google_ads_enabled || false,
+            google_ads_client || null,
+            google_ads_slot || null,
+            google_analytics_enabled || false,
+            google_analytics_id || null,
+            custom_head_code || null,
+            custom_body_code || null,
+            ad_placement_header || false,
+            ad_placement_sidebar || true,
+            ad_placement_footer || false
+        ]);
+
+        res.json({
+            success: true,
+            settings: result.rows[0],
+            message: 'Global advertising settings updated successfully'
+        });
+
+    } catch (error) {
+        console.error('Error updating advertising settings:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update advertising settings'
+        });
+    }
+});
+
+/**
+ * PUT /api/v6/projects/:projectId/advertising
+ * Toggle advertising on/off for a specific project
+ */
+router.put('/projects/:projectId/advertising', verifyAuth, requireProjectRole('editor'), async (req, res) => {
+    try {
+        const { projectId } = req.params;
+        const { advertising_enabled } = req.body;
+
+        console.log(`📱 Toggling advertising for project ${projectId}: ${advertising_enabled}`);
+
+        const result = await pool.query(
+            'UPDATE projects_v6 SET advertising_enabled = $1, updated_at = NOW() WHERE id = $2 RETURNING name, advertising_enabled',
+            [advertising_enabled, projectId]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Project not found'
+            });
+        }
+
+        broadcastChange(req, { type: 'project', action: 'updated', id: projectId, data: result.rows[0] });
+        
+        res.json({
+            success: true,
+            project: result.rows[0],
+            message: `Advertising ${advertising_enabled ? 'enabled' : 'disabled'} for project`
+        });
+
+    } catch (error) {
+        console.error('Error toggling project advertising:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to toggle project advertising'
+        });
+    }
+});
+
+// =====================================================
+// STEP MANAGEMENT ENDPOINTS
+// =====================================================
+
+/**
+ * POST /api/v6/projects/:projectId/steps
+ * Add new step to project
+ */
+router.post('/projects/:projectId/steps', verifyAuth, requireProjectRole('editor'), async (req, res) => {
+    try {
+        const { projectId } = req.params;
+        const { name, description, page_title, page_subtitle } = req.body;
+        
+        // Get current max order
+        const maxOrderResult = await pool.query(`
+            SELECT COALESCE(MAX(step_order), 0) as max_order 
+            FROM project_steps_v6 
+            WHERE project_id = $1
+        `, [projectId]);
+        
+        const nextOrder = maxOrderResult.rows[0].max_order + 1;
+        
+        const query = `
+            INSERT INTO project_steps_v6 
+            (project_id, name, description, step_order, page_title, page_subtitle)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            RETURNING *
+        `;
+        
+        const result = await pool.query(query, [
+            projectId, name, description, nextOrder, page_title, page_subtitle
+        ]);
+        
+        await journalChange(req, { entity_type: 'step', entity_id: result.rows[0].id, action: 'created', after: result.rows[0] });
+        broadcastChange(req, { type: 'step', action: 'created', id: result.rows[0].id, data: result.rows[0] });
+        
+        res.json({
+            success: true,
+            step: result.rows[0]
+        });
+        
+    } catch (error) {
+        console.error('Error creating step:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create step'
+        });
+    }
+});
+
+/**
+ * PUT /api/v6/steps/:stepId
+ * Update step details
+ */
+router.put('/steps/:stepId', verifyAuth, requireProjectRole('editor'), async (req, res) => {
+    try {
+        const { stepId } = req.params;
+        const { name, description, page_title, page_subtitle } = req.body;
+        const before = await projectJournal.snapshot('step', stepId);
+        
+        const query = `
+            UPDATE project_steps_v6 
+            SET name = $1, description = $2, page_title = $3, page_subtitle = $4, updated_at = NOW()
+            WHERE id = $5
+            RETURNING *
+        `;
+        
+        const result = await pool.query(query, [
+            name, description, page_title, page_subtitle, stepId
+        ]);
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Step not found'
+            });
+        }
+        
+        await journalChange(req, { entity_type: 'step', entity_id: stepId, action: 'updated', before, after: result.rows[0] });
+        broadcastChange(req, { type: 'step', action: 'updated', id: stepId, data: result.rows[0] });
+        
+        res.json({
+            success: true,
+            step: result.rows[0]
+        });
+        
+    } catch (error) {
+        console.error('Error updating step:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update step'
+        });
+    }
+});
+
+/**
+ * DELETE /api/v6/steps/:stepId
+ * Delete step and reorder remaining steps
+ */
+router.delete('/steps/:stepId', verifyAuth, requireProjectRole('editor'), async (req, res) => {
+    try {
+        const { stepId } = req.params;
+        
+        // Get step details before deletion
+        const stepResult = await pool.query('SELECT * FROM project_steps_v6 WHERE id = $1', [stepId]);
+        
+        if (stepResult.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Step not found'
+            });
+        }
+        
+        const step = stepResult.rows[0];
+        const before = await projectJournal.snapshot('step', stepId, { deep: true });
+        
+        // Delete step (cascade will handle fields and choices)
+        await pool.query('DELETE FROM project_steps_v6 WHERE id = $1', [stepId]);
+        
+        // Reorder remaining steps
+        await pool.query(`
+            UPDATE project_steps_v6 
+            SET step_order = step_order - 1
+            WHERE project_id = $1 AND step_order > $2
+        `, [step.project_id, step.step_order]);
+        
+        await journalChange(req, { entity_type: 'step', entity_id: stepId, action: 'deleted', before });
+        broadcastChange(req, { type: 'step', action: 'deleted', id: stepId });
+        
+        res.json({
+            success: true,
+            message: 'Step deleted successfully'
+        });
+        
+    } catch (error) {
+        console.error('Error deleting step:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete step'
+        });
+    }
+});
+
+// =====================================================
+// FIELD MANAGEMENT ENDPOINTS
+// =====================================================
+
+/**
+ * POST /api/v6/steps/:stepId/fields
+ * Add new field to step
+ */
+router.post('/steps/:stepId/fields', verifyAuth, requireProjectRole('editor'), async (req, res) => {
+    try {
+        const { stepId } = req.params;
+        const { 
+            name, label, field_type, placeholder, description, is_required,
+            multiple, disabled, minLength, maxLength, pattern, options,
+            min, max, maxSelections, patternMessage
+        } = req.body;
+        
+        // Build validation rules object
+        const rawRules = {};
+        if (multiple !== undefined) rawRules.multiple = multiple;
+        if (disabled !== undefined) rawRules.disabled = disabled;
+        if (minLength !== undefined) rawRules.minLength = minLength;
+        if (maxLength !== undefined) rawRules.maxLength = maxLength;
+        if (pattern !== undefined) rawRules.pattern = pattern;
+        if (patternMessage !== undefined) rawRules.patternMessage = patternMessage;
+        if (min !== undefined) rawRules.min = min;
+        if (max !== undefined) rawRules.max = max;
+        if (maxSelections !== undefined) rawRules.maxSelections = maxSelections;
+        if (options !== undefined && Array.isArray(options)) rawRules.options = options;
+        
+        const { rules: validationRules, errors: ruleErrors } = fieldValidation.normalizeRules(rawRules, field_type);
+        if (ruleErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid validation rules',
+                errors: ruleErrors
+            });
+        }
+        
+        // Get current max order for this step
+        const maxOrderResult = await pool.query(`
+            SELECT COALESCE(MAX(field_order), 0) as max_order 
+            FROM project_fields_v6 
+            WHERE step_id = $1
+        `, [stepId]);
+        
+        const nextOrder = maxOrderResult.rows[0].max_order + 1;
+        
+        const query = `
+            INSERT INTO project_fields_v6 
+            (step_id, name, label, field_type, placeholder, description, is_required, field_order, validation_rules)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            RETURNING *
+        `;
+        
+        const result = await pool.query(query, [
+            stepId, name, label, field_type, placeholder, description, is_required, nextOrder,
+            JSON.stringify(validationRules)
+        ]);
+        
+        await journalChange(req, { entity_type: 'field', entity_id: result.rows[0].id, action: 'created', after: { ...result.rows[0], choices: [] } });
+        broadcastChange(req, { type: 'field', action: 'created', id: result.rows[0].id, step_id: stepId, data: result.rows[0] });
+        
+        res.json({
+            success: true,
+            field: result.rows[0]
+        });
+        
+    } catch (error) {
+        console.error('Error creating field:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create field'
+        });
+    }
+});
+
+/**
+ * PUT /api/v6/fields/:fieldId
+ * Update field details
+ */
+router.put('/fields/:fieldId', verifyAuth, requireProjectRole('editor'), async (req, res) => {
+    try {
+        const { fieldId } = req.params;
+        const { 
+            name, label, field_type, placeholder, description, is_required,
+            multiple, disabled, minLength, maxLength, pattern, options,
+            min, max, maxSelections, patternMessage
+        } = req.body;
+        
+        // Build validation rules object
+        const rawRules = {};
+        if (multiple !== undefined) rawRules.multiple = multiple;
+        if (disabled !== undefined) rawRules.disabled = disabled;
+        if (minLength !== undefined) rawRules.minLength = minLength;
+        if (maxLength !== undefined) rawRules.maxLength = maxLength;
+        if (pattern !== undefined) rawRules.pattern = pattern;
+        if (patternMessage !== undefined) rawRules.patternMessage = patternMessage;
+        if (min !== undefined) rawRules.min = min;
+        if (max !== undefined) rawRules.max = max;
+        if (maxSelections !== undefined) rawRules.maxSelections = maxSelections;
+        if (options !== undefined && Array.isArray(options)) rawRules.options = options;
+        
+        const { rules: validationRules, errors: ruleErrors } = fieldValidation.normalizeRules(rawRules, field_type);
+        if (ruleErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid validation rules',
+                errors: ruleErrors
+            });
+        }
+        
+        const before = await projectJournal.snapshot('field', fieldId);
+        
+        const query = `
+            UPDATE project_fields_v6 
+            SET name = $1, label = $2, field_type = $3, placeholder = $4, 
+                description = $5, is_required = $6, validation_rules = $7, updated_at = NOW()
+            WHERE id = $8
+            RETURNING *
+        `;
+        
+        const result = await pool.query(query, [
+            name, label, field_type, placeholder, description, is_required, 
+            JSON.stringify(validationRules), fieldId
+        ]);
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Field not found'
+            });
+        }
+        
+        await journalChange(req, { entity_type: 'field', entity_id: fieldId, action: 'updated', before, after: await projectJournal.snapshot('field', fieldId) });
+        broadcastChange(req, { type: 'field', action: 'updated', id: fieldId, step_id: result.rows[0].step_id, data: result.rows[0] });
+        
+        res.json({
+            success: true,
+            field: result.rows[0]
+        });
+        
+    } catch (error) {
+        console.error('Error updating field:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update field'
+        });
+    }
+});
+
+/**
+ * DELETE /api/v6/fields/:fieldId
+ * Delete field and reorder remaining fields
+ */
+router.delete('/fields/:fieldId', verifyAuth, requireProjectRole('editor'), async (req, res) => {
+    try {
+        const { fieldId } = req.params;
+        
+        // Get field details before deletion
+        const fieldResult = await pool.query('SELECT * FROM project_fields_v6 WHERE id = $1', [fieldId]);
+        
+        if (fieldResult.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Field not found'
+            });
+        }
+        
+        const field = fieldResult.rows[0];
+        const before = await projectJournal.snapshot('field', fieldId);
+        
+        // Delete field (cascade will handle choices)
+        await pool.query('DELETE FROM project_fields_v6 WHERE id = $1', [fieldId]);
+        
+        // Reorder remaining fields
+        await pool.query(`
+            UPDATE project_fields_v6 
+            SET field_order = field_order - 1
+            WHERE step_id = $1 AND field_order > $2
+        `, [field.step_id, field.field_order]);
+        
+        await journalChange(req, { entity_type: 'field', entity_id: fieldId, action: 'deleted', before });
+        broadcastChange(req, { type: 'field', action: 'deleted', id: fieldId, step_id: field.step_id });
+        
+        res.json({
+            success: true,
+            message: 'Field deleted successfully'
+        });
+        
+    } catch (error) {
+        console.error('Error deleting field:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete field'
+        });
+    }
+});
+
+// =====================================================
+// CHOICE MANAGEMENT ENDPOINTS
+// =====================================================
+
+/**
+ * POST /api/v6/fields/:fieldId/choices
+ * Add choice to select/radio/checkbox field
+ */
+router.post('/fields/:fieldId/choices', verifyAuth, requireProjectRole('editor'), async (req, res) => {
+    try {
+        const { fieldId } = req.params;
+        const { label, value, is_default } = req.body;
+        
+        // Get current max order for this field
+        const maxOrderResult = await pool.query(`
+            SELECT COALESCE(MAX(choice_order), 0) as max_order 
+            FROM project_choices_v6 
+            WHERE field_id = $1
+        `, [fieldId]);
+        
+        const nextOrder = maxOrderResult.rows[0].max_order + 1;
+        
+        const query = `
+            INSERT INTO project_choices_v6 
+            (field_id, label, value, choice_order, is_default)
+            VALUES ($1, $2, $3, $4, $5)
+            RETURNING *
+        `;
+        
+        const result = await pool.query(query, [
+            fieldId, label, value, nextOrder, is_default
+        ]);
+        
+        await journalChange(req, { entity_type: 'choice', entity_id: result.rows[0].id, action: 'created', after: result.rows[0] });
+        broadcastChange(req, { type: 'choice', action: 'created', id: result.rows[0].id, field_id: fieldId, data: result.rows[0] });
+        
+        res.json({
+            success: true,
+            choice: result.rows[0]
+        });
+        
+    } catch (error) {
+        console.error('Error creating choice:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create choice'
+        });
+    }
+});
+
+/**
+ * PUT /api/v6/choices/:choiceId
+ * Update choice details
+ */
+router.put('/choices/:choiceId', verifyAuth, requireProjectRole('editor'), async (req, res) => {
+    try {
+        const { choiceId } = req.params;
+        const { label, value, is_default } = req.body;
+        const before = await projectJournal.snapshot('choice', choiceId);
+        
+        const query = `
+            UPDATE project_choices_v6 
+            SET label = $1, value = $2, is_default = $3
+            WHERE id = $4
+            RETURNING *
+        `;
+        
+        const result = await pool.query(query, [label, value, is_default, choiceId]);
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Choice not found'
+            });
+        }
+        
+        await journalChange(req, { entity_type: 'choice', entity_id: choiceId, action: 'updated', before, after: result.rows[0] });
+        broadcastChange(req, { type: 'choice', action: 'updated', id: choiceId, field_id: result.rows[0].field_id, data: result.rows[0] });
+        
+        res.json({
+            success: true,
+            choice: result.rows[0]
+        });
+        
+    } catch (error) {
+        console.error('Error updating choice:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update choice'
+        });
+    }
+});
+
+/**
+ * DELETE /api/v6/choices/:choiceId
+ * Delete choice and reorder remaining choices
+ */
+router.delete('/choices/:choiceId', verifyAuth, requireProjectRole('editor'), async (req, res) => {
+    try {
+        const { choiceId } = req.params;
+        
+        // Get choice details before deletion
+        const choiceResult = await pool.query('SELECT * FROM project_choices_v6 WHERE id = $1', [choiceId]);
+        
+        if (choiceResult.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Choice not found'
+            });
+        }
+        
+        const choice = choiceResult.rows[0];
+        
+        // Delete choice
+        await pool.query('DELETE FROM project_choices_v6 WHERE id = $1', [choiceId]);
+        
+        // Reorder remaining choices
+        await pool.query(`
+            UPDATE project_choices_v6 
+            SET choice_order = choice_order - 1
+            WHERE field_id = $1 AND choice_order > $2
+        `, [choice.field_id, choice.choice_order]);
+        
+        await journalChange(req, { entity_type: 'choice', entity_id: choiceId, action: 'deleted', before: choice });
+        broadcastChange(req, { type: 'choice', action: 'deleted', id: choiceId, field_id: choice.field_id });
+        
+        res.json({
+            success: true,
+            message: 'Choice deleted successfully'
+        });
+        
+    } catch (error) {
+        console.error('Error deleting choice:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete choice'
+        });
+    }
+});
+
+// =====================================================
+// CONDITIONAL LOGIC ENDPOINTS
+// =====================================================
+
+/**
+ * GET /api/v6/fields/:fieldId/visibility
+ * Get the visibility rule of a field
+ */
+router.get('/fields/:fieldId/visibility', verifyAuth, requireProjectRole('viewer'), async (req, res) => {
+    try {
+        const { fieldId } = req.params;
+        
+        const result = await pool.query(
+            'SELECT id, visibility_rules FROM project_fields_v6 WHERE id = $1',
+            [fieldId]
+        );
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Field not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            rule: result.rows[0].visibility_rules
+        });
+        
+    } catch (error) {
+        console.error('Error getting field visibility rule:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get visibility rule'
+        });
+    }
+});
+
+/**
+ * PUT /api/v6/fields/:fieldId/visibility
+ * Create or replace the visibility rule of a field
+ */
+router.put('/fields/:fieldId/visibility', verifyAuth, requireProjectRole('editor'), async (req, res) => {
+    try {
+        const { fieldId } = req.params;
+        const { rule } = req.body;
+        
+        const fieldResult = await pool.query(`
+            SELECT pf.id, ps.project_id FROM project_fields_v6 pf
+            JOIN project_steps_v6 ps ON pf.step_id = ps.id
+            WHERE pf.id = $1
+        `, [fieldId]);
+        
+        if (fieldResult.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Field not found'
+            });
+        }
+        
+        // A field may only depend on fields that come before it
+        const steps = await projectVersions.loadSteps(fieldResult.rows[0].project_id);
+        const orderedFields = steps.flatMap(step => step.fields);
+        const position = orderedFields.findIndex(field => field.id === fieldId);
+        const precedingFieldIds = new Set(orderedFields.slice(0, position).map(field => field.id));
+        
+        const normalized = conditionalLogic.normalizeVisibilityRule(rule, precedingFieldIds);
+        
+        if (normalized.errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid visibility rule',
+                errors: normalized.errors
+            });
+        }
+        
+        const before = await projectJournal.snapshot('field', fieldId);
+        const result = await pool.query(`
+            UPDATE project_fields_v6 
+            SET visibility_rules = $1, updated_at = NOW()
+            WHERE id = $2
+            RETURNING *
+        `, [JSON.stringify(normalized.rule), fieldId]);
+        
+        await journalChange(req, { entity_type: 'field', entity_id: fieldId, action: 'updated', before, after: await projectJournal.snapshot('field', fieldId) });
+        broadcastChange(req, { type: 'field', action: 'updated', id: fieldId, step_id: result.rows[0].step_id, data: result.rows[0] });
+        
+        res.json({
+            success: true,
+            field: result.rows[0]
+        });
+        
+    } catch (error) {
+        console.error('Error saving field visibility rule:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to save visibility rule'
+        });
+    }
+});
+
+/**
+ * DELETE /api/v6/fields/:fieldId/visibility
+ * Remove the visibility rule so the field is always shown
+ */
+router.delete('/fields/:fieldId/visibility', verifyAuth, requireProjectRole('editor'), async (req, res) => {
+    try {
+        const { fieldId } = req.params;
+        const before = await projectJournal.snapshot('field', fieldId);
+        
+        const result = await pool.query(`
+            UPDATE project_fields_v6 
+            SET visibility_rules = NULL, updated_at = NOW()
+            WHERE id = $1
+            RETURNING id
+        `, [fieldId]);
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Field not found'
+            });
+        }
+        
+        await journalChange(req, { entity_type: 'field', entity_id: fieldId, action: 'updated', before, after: await projectJournal.snapshot('field', fieldId) });
+        broadcastChange(req, { type: 'field', action: 'updated', id: fieldId });
+        
+        res.json({
+            success: true,
+            message: 'Visibility rule removed'
+        });
+        
+    } catch (error) {
+        console.error('Error removing field visibility rule:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to remove visibility rule'
+        });
+    }
+});
+
+/**
+ * GET /api/v6/steps/:stepId/branches
+ * Get the branching rules of a step
+ */
+router.get('/steps/:stepId/branches', verifyAuth, requireProjectRole('viewer'), async (req, res) => {
+    try {
+        const { stepId } = req.params;
+        
+        const result = await pool.query(
+            'SELECT id, branch_rules FROM project_steps_v6 WHERE id = $1',
+            [stepId]
+        );
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Step not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            rules: result.rows[0].branch_rules || []
+        });
+        
+    } catch (error) {
+        console.error('Error getting step branch rules:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get branch rules'
+        });
+    }
+});
+
+/**
+ * PUT /api/v6/steps/:stepId/branches
+ * Replace the branching rules of a step
+ */
+router.put('/steps/:stepId/branches', verifyAuth, requireProjectRole('editor'), async (req, res) => {
+    try {
+        const { stepId } = req.params;
+        const { rules } = req.body;
+        
+        const stepResult = await pool.query('SELECT id, project_id FROM project_steps_v6 WHERE id = $1', [stepId]);
+        
+        if (stepResult.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Step not found'
+            });
+        }
+        
+        // Conditions may use fields up to and including this step; jumps only go forward
+        const steps = await projectVersions.loadSteps(stepResult.rows[0].project_id);
+        const position = steps.findIndex(step => step.id === stepId);
+        const availableFieldIds = new Set(
+            steps.slice(0, position + 1).flatMap(step => step.fields.map(field => field.id))
+        );
+        const laterStepIds = new Set(steps.slice(position + 1).map(step => step.id));
+        
+        const normalized = conditionalLogic.normalizeBranchRules(rules, availableFieldIds, laterStepIds);
+        
+        if (normalized.errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid branch rules',
+                errors: normalized.errors
+            });
+        }
+        
+        const before = await projectJournal.snapshot('step', stepId);
+        const result = await pool.query(`
+            UPDATE project_steps_v6 
+            SET branch_rules = $1, updated_at = NOW()
+            WHERE id = $2
+            RETURNING *
+        `, [JSON.stringify(normalized.rules), stepId]);
+        
+        await journalChange(req, { entity_type: 'step', entity_id: stepId, action: 'updated', before, after: result.rows[0] });
+        broadcastChange(req, { type: 'step', action: 'updated', id: stepId, data: result.rows[0] });
+        
+        res.json({
+            success: true,
+            step: result.rows[0]
+        });
+        
+    } catch (error) {
+        console.error('Error saving step branch rules:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to save branch rules'
+        });
+    }
+});
+
+/**
+ * DELETE /api/v6/steps/:stepId/branches
+ * Remove all branching rules so the step continues to the next one
+ */
+router.delete('/steps/:stepId/branches', verifyAuth, requireProjectRole('editor'), async (req, res) => {
+    try {
+        const { stepId } = req.params;
+        const before = await projectJournal.snapshot('step', stepId);
+        
+        const result = await pool.query(`
+            UPDATE project_steps_v6 
+            SET branch_rules = '[]'::jsonb, updated_at = NOW()
+            WHERE id = $1
+            RETURNING id
+        `, [stepId]);
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Step not found'
+            });
+        }
+        
+        await journalChange(req, { entity_type: 'step', entity_id: stepId, action: 'updated', before, after: await projectJournal.snapshot('step', stepId) });
+        broadcastChange(req, { type: 'step', action: 'updated', id: stepId });
+        
+        res.json({
+            success: true,
+            message: 'Branch rules removed'
+        });
+        
+    } catch (error) {
+        console.error('Error removing step branch rules:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to remove branch rules'
+        });
+    }
+});
+
+// =====================================================
+// PUBLIC TOOL ENDPOINTS (for deployed tools)
+// =====================================================
+
+/**
+ * GET /api/v6/public/:subdomain?visitor_id=
+ * Get public project data for end users: the visitor-facing project
+ * columns and the form (see projectVersions.buildPublicSnapshot), never the
+ * prompts or generation settings. While an experiment runs, the
+ * visitor is assigned a variant (the same one on every visit) and gets the
+ * project with its overrides; keep the returned visitor_id and send it back.
+ */
+router.get('/public/:subdomain', async (req, res) => {
+    try {
+        const { subdomain } = req.params;
+        const visitorId = projectExperiments.normalizeVisitorId(req.query.visitor_id || req.get('X-Visitor-Id'))
+            || projectExperiments.createVisitorId();
+        
+        const result = await pool.query(`
+            SELECT id FROM projects_v6 
+            WHERE subdomain = $1 AND deployed = true AND enabled = true
+        `, [subdomain]);
+        
+        // Serve the published version so draft edits never leak into the live tool
+        const published = result.rows.length > 0 && await projectVersions.getPublishedSnapshot(result.rows[0].id);
+        
+        if (!published) {
+            return res.status(404).json({
+                success: false,
+                error: 'Tool not found or not deployed'
+            });
+        }
+        
+        const assignment = await projectExperiments.getAssignment(result.rows[0].id, visitorId, { recordExposure: true });
+        const serving = projectExperiments.applyVariant(published, assignment && assignment.variant);
+        const visible = projectVersions.buildPublicSnapshot(serving.snapshot);
+        
+        res.json({
+            success: true,
+            project: {
+                ...visible.project,
+                version_number: serving.version_number,
+                steps: visible.steps
+            },
+            visitor_id: visitorId,
+            experiment: assignment ? {
+                id: assignment.experiment_id,
+                variant: assignment.variant_key,
+                step_order: serving.snapshot.steps.map(step => step.id),
+                field_order: Object.fromEntries(serving.snapshot.steps.map(step => [step.id, (step.fields || []).map(field => field.id)]))
+            } : null
+        });
+        
+    } catch (error) {
+        console.error('Error getting public project:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load tool'
+        });
+    }
+});
+
+/**
+ * POST /api/v6/public/:subdomain/submit
+ * Process form submission from end user. Answers are a list of
+ * { field_id, field_value } and go through the same checks, prompts and
+ * generation settings as /tools/generate.
+ */
+router.post('/public/:subdomain/submit', async (req, res) => {
+    try {
+        const { subdomain } = req.params;
+        const { responses, visitor_id } = req.body || {};
+        
+        // Get project
+        const projectQuery = `
+            SELECT * FROM projects_v6 
+            WHERE subdomain = $1 AND deployed = true AND enabled = true
+        `;
+        const projectResult = await pool.query(projectQuery, [subdomain]);
+        const published = projectResult.rows.length > 0 && await projectVersions.getPublishedSnapshot(projectResult.rows[0].id);
+        
+        if (!published) {
+            return res.status(404).json({
+                success: false,
+                error: 'Tool not found'
+            });
+        }
+        
+        const project = projectResult.rows[0];
+        const denied = await checkToolAccess(req, project);
+        if (denied) {
+            return res.status(denied.status).json(denied.body);
+        }
+        
+        // Validate and prompt against the published version the tool was built from,
+        // with the visitor's experiment variant applied
+        const assignment = await projectExperiments.getAssignment(
+            project.id,
+            projectExperiments.normalizeVisitorId(visitor_id),
+            { recordExposure: true }
+        );
+        const serving = projectExperiments.applyVariant(published, assignment && assignment.variant);
+        
+        const { formData, ...rejected } = toolRequests.responsesToFormData(serving.snapshot.steps, responses);
+        if (!formData) {
+            return res.status(400).json({
+                success: false,
+                ...rejected
+            });
+        }
+        
+        // Multi-language tools answer in the visitor's language (locale, ?lang= or Accept-Language)
+        const prepared = await toolRequests.prepare(project, formData, {
+            lang: req.body.locale || req.query.lang,
+            acceptLanguage: req.headers['accept-language']
+        }, serving);
+        
+        if (!prepared.valid) {
+            const { valid, ...details } = prepared;
+            return res.status(400).json({
+                success: false,
+                ...details
+            });
+        }
+        
+        const run = await toolRequests.generate(prepared, {
+            model: projectExperiments.getModel(assignment && assignment.variant),
+            cache: true
+        });
+        
+        const { sessionId } = await toolRequests.saveSession(project, run.prepared, run.aiResponse, run.stageOutputs, {
+            usage: run.usage,
+            assignment,
+            cacheStatus: run.cache,
+            userIp: req.ip
+        });
+        
+        console.log(`✅ Processed submission for ${project.name}: ${sessionId}`);
+        
+        res.json({
+            success: true,
+            response: run.aiResponse,
+            session_id: sessionId
+        });
+        
+    } catch (error) {
+        console.error('Error processing submission:', error);
+        const failure = toolFailure(error);
+        res.status(failure.status).json(failure.body);
+    }
+});
+
+// =====================================================
+// ADVANCED PROJECT MANAGEMENT ENDPOINTS
+// =====================================================
+
+/**
+ * POST /api/v6/projects/:projectId/clone
+ * Clone a project with all steps and fields
+ */
+router.post('/projects/:projectId/clone', verifyAuth, requireProjectRole('viewer'), async (req, res) => {
+    try {
+        const { projectId } = req.params;
+        const { newName } = req.body;
+        
+        // Get original project with all data
+        const originalProjectQuery = await pool.query(`
+            SELECT * FROM projects_v6 WHERE id = $1
+        `, [projectId]);
+        
+        if (originalProjectQuery.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Project not found'
+            });
+        }
+        
+        const original = originalProjectQuery.rows[0];
+        // Generate clean subdomain for cloned project
+        const generateClonedSubdomain = (originalName, newName, projectId) => {
+            const baseName = (newName || originalName).replace(' (Copy)', '');
+            return baseName
+                .toLowerCase()
+                .replace(/[^a-z0-9\s]/g, '')
+                .replace(/\s+/g, '-')
+                .slice(0, 30) + '-copy-' + projectId.split('-')[0];
+        };
+        const name = newName || `${original.name} (Copy)`;
+        
+        // Create cloned project
+        const projectQuery = `
+            INSERT INTO projects_v6 
+            (user_id, name, description, ai_role, ai_persona_description, system_prompt, 
+             subdomain, header_title, header_subtitle, deployed, enabled, system_prompt_is_template)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, false, $10, $11)
+            RETURNING *
+        `;
+        
+        const newProject = await pool.query(projectQuery, [
+            req.user.id, name, original.description, original.ai_role,
+            original.ai_persona_description, original.system_prompt, null,
+            original.header_title, original.header_subtitle, original.enabled,
+            original.system_prompt_is_template === true
+        ]);
+        
+        const project = newProject.rows[0];
+        
+        // Generate and update subdomain after project creation
+        const subdomain = generateClonedSubdomain(original.name, name, project.id);
+        await pool.query('UPDATE projects_v6 SET subdomain = $1 WHERE id = $2', [subdomain, project.id]);
+        
+        // Clone steps and fields
+        const stepsQuery = await pool.query(`
+            SELECT * FROM project_steps_v6 WHERE project_id = $1 ORDER BY step_order
+        `, [projectId]);
+        
+        for (const step of stepsQuery.rows) {
+            const newStepQuery = await pool.query(`
+                INSERT INTO project_steps_v6 
+                (project_id, name, description, step_order, page_title, page_subtitle)
+                VALUES ($1, $2, $3, $4, $5, $6)
+                RETURNING *
+            `, [project.id, step.name, step.description, step.step_order, step.page_title, step.page_subtitle]);
+            
+            const newStep = newStepQuery.rows[0];
+            
+            // Clone fields
+            const fieldsQuery = await pool.query(`
+                SELECT * FROM project_fields_v6 WHERE step_id = $1 ORDER BY field_order
+            `, [step.id]);
+            
+            for (const field of fieldsQuery.rows) {
+                const newFieldQuery = await pool.query(`
+                    INSERT INTO project_fields_v6 
+                    (step_id, name, label, field_type, placeholder, description, is_required, field_order)
+                    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                    RETURNING *
+                `, [newStep.id, field.name, field.label, field.field_type, 
+                    field.placeholder, field.description, field.is_required, field.field_order]);
+                
+                const newField = newFieldQuery.rows[0];
+                
+                // Clone choices if any
+                const choicesQuery = await pool.query(`
+                    SELECT * FROM project_choices_v6 WHERE field_id = $1 ORDER BY choice_order
+                `, [field.id]);
+                
+                for (const choice of choicesQuery.rows) {
+                    await pool.query(`
+                        INSERT INTO project_choices_v6 
+                        (field_id, label, value, choice_order, is_default)
+                        VALUES ($1, $2, $3, $4, $5)
+                    `, [newField.id, choice.label, choice.value, choice.choice_order, choice.is_default]);
+                }
+            }
+        }
+        
+        console.log(`📋 Cloned project: ${name} (${project.id})`);
+        
+        res.json({
+            success: true,
+            project: project,
+            message: 'Project cloned successfully'
+        });
+        
+    } catch (error) {
+        console.error('Error cloning project:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to clone project'
+        });
+    }
+});
+
+/**
+ * PUT /api/v6/projects/:projectId/reorder-steps
+ * Reorder steps in a project
+ */
+router.put('/projects/:projectId/reorder-steps', verifyAuth, requireProjectRole('editor'), async (req, res) => {
+    try {
+        const { projectId } = req.params;
+        const { stepIds } = req.body; // Array of step IDs in desired order
+        
+        if (!Array.isArray(stepIds)) {
+            return res.status(400).json({
+                success: false,
+                error: 'stepIds must be an array'
+            });
+        }
+        
+        const before = await projectJournal.snapshotOrder('step', projectId);
+        
+        // Update step orders
+        for (let i = 0; i < stepIds.length; i++) {
+            await pool.query(`
+                UPDATE project_steps_v6 
+                SET step_order = $1 
+                WHERE id = $2 AND project_id = $3
+            `, [i + 1, stepIds[i], projectId]);
+        }
+        
+        await journalChange(req, { entity_type: 'step', entity_id: projectId, action: 'reordered', before, after: await projectJournal.snapshotOrder('step', projectId) });
+        broadcastChange(req, { type: 'step', action: 'reordered', id: null, order: stepIds });
+        
+        res.json({
+            success: true,
+            message: 'Steps reordered successfully'
+        });
+        
+    } catch (error) {
+        console.error('Error reordering steps:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to reorder steps'
+        });
+    }
+});
+
+/**
+ * PUT /api/v6/steps/:stepId/reorder-fields
+ * Reorder fields in a step
+ */
+router.put('/steps/:stepId/reorder-fields', verifyAuth, requireProjectRole('editor'), async (req, res) => {
+    try {
+        const { stepId } = req.params;
+        const { fieldIds } = req.body; // Array of field IDs in desired order
+        
+        if (!Array.isArray(fieldIds)) {
+            return res.status(400).json({
+                success: false,
+                error: 'fieldIds must be an array'
+            });
+        }
+        
+        const before = await projectJournal.snapshotOrder('field', stepId);
+        
+        // Update field orders
+        for (let i = 0; i < fieldIds.length; i++) {
+            await pool.query(`
+                UPDATE project_fields_v6 
+                SET field_order = $1 
+                WHERE id = $2 AND step_id = $3
+            `, [i + 1, fieldIds[i], stepId]);
+        }
+        
+        await journalChange(req, { entity_type: 'field', entity_id: stepId, action: 'reordered', before, after: await projectJournal.snapshotOrder('field', stepId) });
+        broadcastChange(req, { type: 'field', action: 'reordered', id: null, step_id: stepId, order: fieldIds });
+        
+        res.json({
+            success: true,
+            message: 'Fields reordered successfully'
+        });
+        
+    } catch (error) {
+        console.error('Error reordering fields:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to reorder fields'
+        });
+    }
+});
+
+/**
+ * GET /api/v6/projects/:projectId/export
+ * Export project configuration as JSON
+ */
+router.get('/projects/:projectId/export', verifyAuth, requireProjectRole('viewer'), async (req, res) => {
+    try {
+        const { projectId } = req.params;
+        
+        // Export the working draft: project + steps + fields + choices
+        const snapshot = await projectVersions.buildDraftSnapshot(projectId);
+        
+        if (!snapshot) {
+            return res.status(404).json({
+                success: false,
+                error: 'Project not found'
+            });
+        }
+        
+        const exportData = {
+            version: projectImport.currentFormat,
+            export_date: new Date().toISOString(),
+            ...snapshot
+        };
+        
+        res.json({
+            success: true,
+            export: exportData
+        });
+        
+    } catch (error) {
+        console.error('Error exporting project:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to export project'
+        });
+    }
+});
+
+/**
+ * POST /api/v6/projects/import
+ * Create a new project for the caller from an export document
+ */
+router.post('/projects/import', verifyAuth, async (req, res) => {
+    try {
+        const result = await projectImport.importProject(req.body, req.user.id);
+        
+        if (result.errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid import file',
+                errors: result.errors
+            });
+        }
+        
+        res.json({
+            success: true,
+            project: result.project,
+            upgraded_from: result.upgradedFrom,
+            subdomain_changed: result.subdomainChanged,
+            warnings: result.warnings,
+            message: `Project "${result.project.name}" imported successfully`
+        });
+        
+    } catch (error) {
+        console.error('Error importing project:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to import project'
+        });
+    }
+});
+
+/**
+ * GET /api/v6/projects/:projectId/analytics
+ * Get analytics for project responses
+ */
+router.get('/projects/:projectId/analytics', verifyAuth, requireProjectRole('viewer'), async (req, res) => {
+    try {
+        const { projectId } = req.params;
+        
+        // Get response statistics (batch runs are counted separately from visitors)
+        const totalSessionsQuery = await pool.query(`
+            SELECT COUNT(*) as total_sessions FROM project_sessions_v6 WHERE project_id = $1 AND batch_id IS NULL
+        `, [projectId]);
+        
+        const completedSessionsQuery = await pool.query(`
+            SELECT COUNT(*) as completed_sessions FROM project_sessions_v6 
+            WHERE project_id = $1 AND batch_id IS NULL AND completed_at IS NOT NULL
+        `, [projectId]);
+        
+        const recentSessionsQuery = await pool.query(`
+            SELECT COUNT(*) as recent_sessions FROM project_sessions_v6 
+            WHERE project_id = $1 AND batch_id IS NULL AND started_at > NOW() - INTERVAL '7 days'
+        `, [projectId]);
+        
+        const batchSessionsQuery = await pool.query(`
+            SELECT COUNT(*) as batch_sessions FROM project_sessions_v6 
+            WHERE project_id = $1 AND batch_id IS NOT NULL
+        `, [projectId]);
+        
+        // Unfinished sessions count as abandoned, including saved drafts that may still be resumed
+        const abandonedSessionsQuery = await pool.query(`
+            SELECT COUNT(*) as abandoned_sessions,
+                   COUNT(*) FILTER (WHERE draft_state IS NOT NULL AND draft_expires_at > NOW()) as saved_drafts
+            FROM project_sessions_v6 
+            WHERE project_id = $1 AND batch_id IS NULL AND completed_at IS NULL
+        `, [projectId]);
+        
+        // Get field response counts
+        const fieldResponsesQuery = await pool.query(`
+            SELECT 
+                pf.name, pf.label, COUNT(pr.id) as response_count
+            FROM project_fields_v6 pf
+            JOIN project_steps_v6 ps ON pf.step_id = ps.id
+            LEFT JOIN project_responses_v6 pr ON pf.id = pr.field_id
+                AND pr.session_id IN (SELECT id FROM project_sessions_v6 WHERE project_id = $1 AND batch_id IS NULL)
+            WHERE ps.project_id = $1
+            GROUP BY pf.id, pf.name, pf.label
+            ORDER BY response_count DESC
+        `, [projectId]);
+        
+        const analytics = {
+            total_sessions: parseInt(totalSessionsQuery.rows[0].total_sessions),
+            completed_sessions: parseInt(completedSessionsQuery.rows[0].completed_sessions),
+            recent_sessions: parseInt(recentSessionsQuery.rows[0].recent_sessions),
+            batch_sessions: parseInt(batchSessionsQuery.rows[0].batch_sessions),
+            abandoned_sessions: parseInt(abandonedSessionsQuery.rows[0].abandoned_sessions),
+            saved_drafts: parseInt(abandonedSessionsQuery.rows[0].saved_drafts),
+            completion_rate: totalSessionsQuery.rows[0].total_sessions > 0 
+                ? (completedSessionsQuery.rows[0].completed_sessions / totalSessionsQuery.rows[0].total_sessions * 100).toFixed(2)
+                : 0,
+            field_responses: fieldResponsesQuery.rows,
+            response_cache: await responseCache.getStats(projectId)
+        };
+        
+        res.json({
+            success: true,
+            analytics: analytics
+        });
+        
+    } catch (error) {
+        console.error('Error getting analytics:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get analytics'
+        });
+    }
+});
+
+/**
+ * GET /api/v6/projects/:projectId/responses
+ * Get all responses for a project, with each pipeline stage's output for pipeline tools
+ * (batch runs included; batch_id is set on those)
+ */
+router.get('/projects/:projectId/responses', verifyAuth, requireProjectRole('viewer'), async (req, res) => {
+    try {
+        const { projectId } = req.params;
+        const { limit = 50, offset = 0 } = req.query;
+        
+        const query = `
+            SELECT 
+                ps.id as session_id,
+                ps.started_at,
+                ps.completed_at,
+                ps.ai_response,
+                COALESCE(ps.stage_outputs, '[]'::jsonb) as stages,
+                ps.batch_id,
+                jsonb_agg(
+                    jsonb_build_object(
+                        'field_name', pf.name,
+                        'field_label', pf.label,
+                        'field_value', pr.field_value
+                    )
+                ) as responses
+            FROM project_sessions_v6 ps
+            LEFT JOIN project_responses_v6 pr ON ps.id = pr.session_id
+            LEFT JOIN project_fields_v6 pf ON pr.field_id = pf.id
+            WHERE ps.project_id = $1
+            GROUP BY ps.id
+            ORDER BY ps.started_at DESC
+            LIMIT $2 OFFSET $3
+        `;
+        
+        const result = await pool.query(query, [projectId, limit, offset]);
+        
+        res.json({
+            success: true,
+            responses: result.rows
+        });
+        
+    } catch (error) {
+        console.error('Error getting responses:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get responses'
+        });
+    }
+});
+
+// =====================================================
+// PUBLIC TOOL API ENDPOINTS
+// =====================================================
+
+/**
+ * Check that the caller may use a deployed tool. Private tools need a valid
+ * token, the required package and daily usage left.
+ * @returns {Promise<Object|null>} - { status, body } to reject with, or null when allowed
+ */
+async function checkToolAccess(req, project) {
+    if (project.access_level !== 'public') {
+        const authHeader = req.headers.authorization;
+        if (!authHeader || !authHeader.startsWith('Bearer ')) {
+            return { status: 401, body: {
+                success: false,
+                error: 'Authentication required for this tool',
+                requires_auth: true,
+                access_level: project.access_level
+            } };
+        }
+
+        // Verify token and get user
+        const token = authHeader.split(' ')[1];
+        let user_id;
+        
+        try {
+            const jwt = require('jsonwebtoken');
+            const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+            user_id = decoded.userId;
+        } catch (error) {
+            return { status: 401, body: {
+                success: false,
+                error: 'Invalid authentication token'
+            } };
+        }
+
+        // Check if user has required package access
+        if (project.required_package_id) {
+            const packageCheck = await pool.query(`
+                SELECT user_has_feature($1, 'access_private_tools') as has_access,
+                       user_can_access_project($1, $2) as project_access
+            `, [user_id, project.id]);
+            
+            const { has_access, project_access } = packageCheck.rows[0];
+            
+            if (!has_access || !project_access) {
+                // Get required package details for error message
+                const packageInfo = await pool.query(
+                    'SELECT name, description FROM packages WHERE id = $1',
+                    [project.required_package_id]
+                );
+                
+                return { status: 403, body: {
+                    success: false,
+                    error: 'Insufficient permissions to access this tool',
+                    required_package: packageInfo.rows[0] || null,
+                    access_level: project.access_level,
+                    upgrade_required: true
+                } };
+            }
+        }
+
+        // Check usage limits for authenticated users
+        const usage = await toolRequests.getDailyUsage(user_id);
+        
+        if (usage.used >= usage.limit) {
+            return { status: 429, body: {
+                success: false,
+                error: 'Daily usage limit exceeded',
+                daily_limit: usage.limit,
+                current_usage: usage.used,
+                upgrade_required: true
+            } };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Follow-up details returned with a finished tool run
+ */
+function followUpDetails(project) {
+    const followUp = toolConversations.getSettings(project);
+
+    return {
+        enabled: followUp.enabled,
+        max_turns: followUp.maxTurns,
+        turns_remaining: followUp.enabled ? followUp.maxTurns : 0
+    };
+}
+
+/**
+ * Load the tool named in a generate request, check access and build its prompts
+ * @returns {Promise<Object>} - { project, prepared } or { status, body } to reject with
+ */
+async function prepareToolRequest(req) {
+    // Prompts and fields always come from the published project. Tools
+    // deployed before this change still send system_prompt; it is ignored.
+    const { project_id, form_data } = req.body;
+    
+    if (!project_id || !form_data) {
+        return { status: 400, body: {
+            success: false,
+            error: 'Missing required fields: project_id, form_data'
+        } };
+    }
+
+    // Only deployed, enabled tools run, and only on their published version
+    const project = await toolRequests.findDeployedProject(project_id);
+    const published = project && await projectVersions.getPublishedSnapshot(project.id);
+
+    if (!published) {
+        return { status: 404, body: {
+            success: false,
+            error: 'Tool not found or not deployed'
+        } };
+    }
+
+    const denied = await checkToolAccess(req, project);
+    if (denied) {
+        return denied;
+    }
+
+    // The visitor's experiment variant (from visitor_id) may override the prompt
+    const assignment = await projectExperiments.getAssignment(
+        project.id,
+        projectExperiments.normalizeVisitorId(req.body.visitor_id),
+        { recordExposure: true }
+    );
+    const serving = projectExperiments.applyVariant(published, assignment && assignment.variant);
+
+    // Check the answers against the published fields and render its prompts
+    // in the visitor's language (request locale, ?lang= or Accept-Language)
+    const prepared = await toolRequests.prepare(project, form_data, {
+        lang: req.body.locale || req.query.lang,
+        acceptLanguage: req.headers['accept-language']
+    }, serving);
+    
+    if (!prepared.valid) {
+        const { valid, ...details } = prepared;
+        return { status: 400, body: {
+            success: false,
+            ...details
+        } };
+    }
+
+    return { project, prepared, assignment };
+}
+
+/**
+ * Result fields shared by the generate responses
+ */
+function toolResultDetails(run) {
+    return {
+        structured: run.structured,
+        followup: followUpDetails(run.prepared.project),
+        stages: run.stageOutputs.map(({ key, name, output }) => ({ key, name, output }))
+    };
+}
+
+/**
+ * Error response of a deployed tool request: the degraded-mode message when
+ * no AI provider could answer (see llmClient), a generic error otherwise
+ */
+function toolFailure(error) {
+    if (error.degraded) {
+        return { status: 503, body: { success: false, degraded: true, error: error.userMessage } };
+    }
+    return { status: 500, body: { success: false, error: 'AI generation failed', details: error.message } };
+}
+
+/**
+ * POST /api/v6/tools/generate
+ * Generate AI response for deployed v6 tools
+ */
+router.post('/tools/generate', async (req, res) => {
+    try {
+        const request = await prepareToolRequest(req);
+        
+        if (!request.prepared) {
+            return res.status(request.status).json(request.body);
+        }
+        
+        const { project, prepared, assignment } = request;
+        console.log(`🤖 Generating AI response for v6 tool: ${project.name}`);
+
+        const run = await toolRequests.generate(prepared, {
+            model: projectExperiments.getModel(assignment && assignment.variant),
+            cache: true
+        });
+
+        const { sessionId, sessionToken } = await toolRequests.saveSession(project, run.prepared, run.aiResponse, run.stageOutputs, {
+            resumeToken: req.body.resume_token,
+            usage: run.usage,
+            assignment,
+            cacheStatus: run.cache,
+            userIp: req.ip
+        });
+
+        console.log(`✅ AI response ${run.cache === 'hit' ? 'served from cache' : 'generated successfully'} for session: ${sessionId}`);
+
+        res.json({
+            success: true,
+            result: run.aiResponse,
+            session_id: sessionId,
+            session_token: sessionToken,
+            ...toolResultDetails(run)
+        });
+
+    } catch (error) {
+        console.error('Tool generation error:', error);
+        const failure = toolFailure(error);
+        res.status(failure.status).json(failure.body);
+    }
+});
+
+/**
+ * POST /api/v6/tools/generate/stream
+ * Generate AI response for deployed v6 tools as Server-Sent Events.
+ * Events: "stage" { key, name, index, total } as pipeline stages start, "token" { text }
+ * while generating, then "done" { result, session_id, session_token, structured, followup, stages }
+ * or "error" { error, degraded }. Closing the connection cancels generation and nothing is saved.
+ */
+router.post('/tools/generate/stream', async (req, res) => {
+    let streaming = false;
+
+    const sendEvent = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        if (res.flush) {
+            res.flush();
+        }
+    };
+
+    try {
+        const request = await prepareToolRequest(req);
+        
+        if (!request.prepared) {
+            return res.status(request.status).json(request.body);
+        }
+        
+        const { project, prepared, assignment } = request;
+        console.log(`🌊 Streaming AI response for v6 tool: ${project.name}`);
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        streaming = true;
+
+        // Cancel generation when the visitor stops it or leaves the page
+        const controller = new AbortController();
+        res.on('close', () => {
+            if (!res.writableFinished) {
+                controller.abort();
+            }
+        });
+
+        // Report each pipeline stage as it starts; structured results arrive whole with "done"
+        const run = await toolRequests.generate(prepared, {
+            onStage: (stage, index, total) => sendEvent('stage', { key: stage.key, name: stage.name, index, total }),
+            onText: (text) => sendEvent('token', { text }),
+            signal: controller.signal,
+            model: projectExperiments.getModel(assignment && assignment.variant),
+            cache: true
+        });
+
+        if (controller.signal.aborted) {
+            console.log(`⏹️ Stream cancelled for v6 tool: ${project.name}`);
+            return;
+        }
+
+        // Persist only once the full response has arrived
+        const { sessionId, sessionToken } = await toolRequests.saveSession(project, run.prepared, run.aiResponse, run.stageOutputs, {
+            resumeToken: req.body.resume_token,
+            usage: run.usage,
+            assignment,
+            cacheStatus: run.cache,
+            userIp: req.ip
+        });
+
+        console.log(`✅ AI response streamed successfully for session: ${sessionId}`);
+
+        sendEvent('done', {
+            result: run.aiResponse,
+            session_id: sessionId,
+            session_token: sessionToken,
+            ...toolResultDetails(run)
+        });
+        res.end();
+
+    } catch (error) {
+        if (res.destroyed) {
+            console.log('⏹️ Stream cancelled by client');
+            return;
+        }
+
+        console.error('Tool streaming error:', error);
+
+        const failure = toolFailure(error);
+        if (!streaming) {
+            return res.status(failure.status).json(failure.body);
+        }
+
+        sendEvent('error', { error: failure.body.error, degraded: Boolean(failure.body.degraded) });
+        res.end();
+    }
+});
+
+/**
+ * POST /api/v6/tools/followup
+ * Continue the conversation on a deployed tool's result
  */
-router.get('/projects/:projectId/export', async (req, res) => {
+router.post('/tools/followup', async (req, res) => {
     try {
-        const { projectId } = req.params;
+        const { session_id, session_token, message } = req.body;
         
-        // Get complete project data
-        const projectQuery = await pool.query(`
-            SELECT * FROM projects_v6 WHERE id = $1
-        `, [projectId]);
+        if (!session_id || !session_token || typeof message !== 'string' || !message.trim()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required fields: session_id, session_token, message'
+            });
+        }
+
+        const question = message.trim();
+        if (question.length > toolConversations.maxMessageLength) {
+            return res.status(400).json({
+                success: false,
+                error: `Message must be ${toolConversations.maxMessageLength} characters or fewer`
+            });
+        }
+
+        const session = await toolConversations.findSession(session_id, session_token);
         
-        if (projectQuery.rows.length === 0) {
+        if (!session || !session.deployed || !session.enabled) {
             return res.status(404).json({
                 success: false,
-                error: 'Project not found'
+                error: 'Session not found'
             });
         }
+
+        const followUp = toolConversations.getSettings(session);
+        const transcript = session.transcript || [];
         
-        const project = projectQuery.rows[0];
-        
-        // Get steps with fields and choices
-        const stepsQuery = await pool.query(`
-            SELECT * FROM project_steps_v6 WHERE project_id = $1 ORDER BY step_order
-        `, [projectId]);
-        
-        const steps = [];
-        for (const step of stepsQuery.rows) {
-            const fieldsQuery = await pool.query(`
-                SELECT * FROM project_fields_v6 WHERE step_id = $1 ORDER BY field_order
-            `, [step.id]);
-            
-            const fields = [];
-            for (const field of fieldsQuery.rows) {
-                const choicesQuery = await pool.query(`
-                    SELECT * FROM project_choices_v6 WHERE field_id = $1 ORDER BY choice_order
-                `, [field.id]);
-                
-                fields.push({
-                    ...field,
-                    choices: choicesQuery.rows
-                });
-            }
-            
-            steps.push({
-                ...step,
-                fields: fields
+        if (!followUp.enabled) {
+            return res.status(403).json({
+                success: false,
+                error: 'Follow-up questions are not enabled for this tool'
             });
         }
+
+        // Sessions saved before transcripts existed have nothing to continue from
+        if (transcript.length === 0) {
+            return res.status(409).json({
+                success: false,
+                error: 'This result can no longer be continued. Please start over.'
+            });
+        }
+
+        const turnsUsed = toolConversations.countTurns(transcript);
+        if (turnsUsed >= followUp.maxTurns) {
+            return res.status(429).json({
+                success: false,
+                error: 'You have reached the follow-up limit for this result',
+                turns_used: turnsUsed,
+                turns_remaining: 0
+            });
+        }
+
+        console.log(`💬 Follow-up ${turnsUsed + 1}/${followUp.maxTurns} for session: ${session.id}`);
+
+        const { systemPrompt, history } = toolConversations.toChatHistory(transcript);
+        const aiResponse = await llmClient.generateContent(question, {
+            ...await generationSettings.getRunOptions(session),
+            system: systemPrompt,
+            history
+        });
+
+        const updatedTranscript = await toolConversations.appendTurn(session, question, aiResponse);
         
-        const exportData = {
-            ...project,
-            steps: steps,
-            export_date: new Date().toISOString(),
-            version: '6.0'
-        };
-        
+        if (!updatedTranscript) {
+            return res.status(409).json({
+                success: false,
+                error: 'Another follow-up was sent at the same time. Please try again.'
+            });
+        }
+
+        const turnsNowUsed = toolConversations.countTurns(updatedTranscript);
+
         res.json({
             success: true,
-            export: exportData
+            result: aiResponse,
+            turns_used: turnsNowUsed,
+            turns_remaining: Math.max(followUp.maxTurns - turnsNowUsed, 0)
         });
-        
+
     } catch (error) {
-        console.error('Error exporting project:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to export project'
-        });
+        console.error('Tool follow-up error:', error);
+        const failure = toolFailure(error);
+        res.status(failure.status).json(failure.body);
     }
 });
 
 /**
- * GET /api/v6/projects/:projectId/analytics
- * Get analytics for project responses
+ * Load the deployed tool a draft request is for and check access
+ * @returns {Promise<Object>} - { project } or { status, body }
+ */
+async function findDraftTool(req, projectId) {
+    const project = await toolRequests.findDeployedProject(projectId);
+
+    if (!project) {
+        return { status: 404, body: {
+            success: false,
+            error: 'Tool not found or not deployed'
+        } };
+    }
+
+    const denied = await checkToolAccess(req, project);
+    return denied || { project };
+}
+
+/**
+ * POST /api/v6/tools/drafts
+ * Save a visitor's progress. Send the resume_token of an earlier save to
+ * update it; a new draft (and token) is started otherwise.
  */
-router.get('/projects/:projectId/analytics', async (req, res) => {
+router.post('/tools/drafts', async (req, res) => {
     try {
-        const { projectId } = req.params;
-        
-        // Get response statistics
-        const totalSessionsQuery = await pool.query(`
-            SELECT COUNT(*) as total_sessions FROM project_sessions_v6 WHERE project_id = $1
-        `, [projectId]);
+        const { project_id, resume_token } = req.body;
+        const tool = await findDraftTool(req, project_id);
         
-        const completedSessionsQuery = await pool.query(`
-            SELECT COUNT(*) as completed_sessions FROM project_sessions_v6 
-            WHERE project_id = $1 AND completed_at IS NOT NULL
-        `, [projectId]);
+        if (!tool.project) {
+            return res.status(tool.status).json(tool.body);
+        }
         
-        const recentSessionsQuery = await pool.query(`
-            SELECT COUNT(*) as recent_sessions FROM project_sessions_v6 
-            WHERE project_id = $1 AND started_at > NOW() - INTERVAL '7 days'
-        `, [projectId]);
+        const { state, project, errors } = await toolDrafts.normalizeDraft(tool.project, req.body);
         
-        // Get field response counts
-        const fieldResponsesQuery = await pool.query(`
-            SELECT 
-                pf.name, pf.label, COUNT(pr.id) as response_count
-            FROM project_fields_v6 pf
-            JOIN project_steps_v6 ps ON pf.step_id = ps.id
-            LEFT JOIN project_responses_v6 pr ON pf.id = pr.field_id
-            WHERE ps.project_id = $1
-            GROUP BY pf.id, pf.name, pf.label
-            ORDER BY response_count DESC
-        `, [projectId]);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: errors[0],
+                errors
+            });
+        }
         
-        const analytics = {
-            total_sessions: parseInt(totalSessionsQuery.rows[0].total_sessions),
-            completed_sessions: parseInt(completedSessionsQuery.rows[0].completed_sessions),
-            recent_sessions: parseInt(recentSessionsQuery.rows[0].recent_sessions),
-            completion_rate: totalSessionsQuery.rows[0].total_sessions > 0 
-                ? (completedSessionsQuery.rows[0].completed_sessions / totalSessionsQuery.rows[0].total_sessions * 100).toFixed(2)
-                : 0,
-            field_responses: fieldResponsesQuery.rows
-        };
+        const draft = await toolDrafts.saveDraft(tool.project, state, project, resume_token);
         
         res.json({
             success: true,
-            analytics: analytics
+            resume_token: draft.resumeToken,
+            resume_url: toolDrafts.buildResumeUrl(tool.project, draft.resumeToken, state.locale),
+            expires_at: draft.expiresAt
         });
         
     } catch (error) {
-        console.error('Error getting analytics:', error);
+        console.error('Error saving tool draft:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to get analytics'
+            error: 'Failed to save progress'
         });
     }
 });
 
 /**
- * GET /api/v6/projects/:projectId/responses
- * Get all responses for a project
+ * GET /api/v6/tools/drafts/:resumeToken?project_id=
+ * Saved progress for a resume link
  */
-router.get('/projects/:projectId/responses', async (req, res) => {
+router.get('/tools/drafts/:resumeToken', async (req, res) => {
     try {
-        const { projectId } = req.params;
-        const { limit = 50, offset = 0 } = req.query;
+        const tool = await findDraftTool(req, req.query.project_id);
         
-        const query = `
-            SELECT 
-                ps.id as session_id,
-                ps.started_at,
-                ps.completed_at,
-                ps.ai_response,
-                jsonb_agg(
-                    jsonb_build_object(
-                        'field_name', pf.name,
-                        'field_label', pf.label,
-                        'field_value', pr.field_value
-                    )
-                ) as responses
-            FROM project_sessions_v6 ps
-            LEFT JOIN project_responses_v6 pr ON ps.id = pr.session_id
-            LEFT JOIN project_fields_v6 pf ON pr.field_id = pf.id
-            WHERE ps.project_id = $1
-            GROUP BY ps.id
-            ORDER BY ps.started_at DESC
-            LIMIT $2 OFFSET $3
-        `;
+        if (!tool.project) {
+            return res.status(tool.status).json(tool.body);
+        }
         
-        const result = await pool.query(query, [projectId, limit, offset]);
+        const draft = await toolDrafts.findDraft(tool.project.id, req.params.resumeToken);
+        
+        if (!draft) {
+            return res.status(404).json({
+                success: false,
+                error: 'This saved progress has expired or was already completed'
+            });
+        }
         
         res.json({
             success: true,
-            responses: result.rows
+            draft: {
+                values: draft.draft_state.values,
+                current_step: draft.draft_state.current_step,
+                history: draft.draft_state.history,
+                locale: draft.draft_state.locale,
+                saved_at: draft.draft_saved_at,
+                expires_at: draft.draft_expires_at
+            }
         });
         
     } catch (error) {
-        console.error('Error getting responses:', error);
+        console.error('Error loading tool draft:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to get responses'
+            error: 'Failed to load saved progress'
         });
     }
 });
 
-// =====================================================
-// PUBLIC TOOL API ENDPOINTS
-// =====================================================
-
 /**
- * POST /api/v6/tools/generate
- * Generate AI response for deployed v6 tools
+ * POST /api/v6/tools/drafts/:resumeToken/email
+ * Email the resume link of a draft to the visitor
  */
-router.post('/tools/generate', async (req, res) => {
+router.post('/tools/drafts/:resumeToken/email', async (req, res) => {
     try {
-        const { project_id, project_name, system_prompt, form_data, steps_completed } = req.body;
-        
-        console.log(`🤖 Generating AI response for v6 tool: ${project_name}`);
+        const { project_id, email } = req.body;
+        const tool = await findDraftTool(req, project_id);
         
-        // Validate required fields
-        if (!project_id || !form_data || !system_prompt) {
-            return res.status(400).json({
-                success: false,
-                error: 'Missing required fields: project_id, form_data, system_prompt'
-            });
+        if (!tool.project) {
+            return res.status(tool.status).json(tool.body);
         }
-
-        // Get project details to check access requirements
-        const projectQuery = await pool.query(
-            'SELECT access_level, required_package_id, name FROM projects_v6 WHERE id = $1',
-            [project_id]
-        );
-
-        if (projectQuery.rows.length === 0) {
+        
+        const draft = await toolDrafts.findDraft(tool.project.id, req.params.resumeToken);
+        
+        if (!draft) {
             return res.status(404).json({
                 success: false,
-                error: 'Project not found'
+                error: 'This saved progress has expired or was already completed'
             });
         }
-
-        const project = projectQuery.rows[0];
-        
-        // Check if tool requires authentication and package access
-        if (project.access_level !== 'public') {
-            const authHeader = req.headers.authorization;
-            if (!authHeader || !authHeader.startsWith('Bearer ')) {
-                return res.status(401).json({
-                    success: false,
-                    error: 'Authentication required for this tool',
-                    requires_auth: true,
-                    access_level: project.access_level
-                });
-            }
-
-            // Verify token and get user
-            const token = authHeader.split(' ')[1];
-            let user_id;
-            
-            try {
-                const jwt = require('jsonwebtoken');
-                const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-                user_id = decoded.userId;
-            } catch (error) {
-                return res.status(401).json({
-                    success: false,
-                    error: 'Invalid authentication token'
-                });
-            }
-
-            // Check if user has required package access
-            if (project.required_package_id) {
-                const packageCheck = await pool.query(`
-                    SELECT user_has_feature($1, 'access_private_tools') as has_access,
-                           user_can_access_project($1, $2) as project_access
-                `, [user_id, project_id]);
-                
-                const { has_access, project_access } = packageCheck.rows[0];
-                
-                if (!has_access || !project_access) {
-                    // Get required package details for error message
-                    const packageInfo = await pool.query(
-                        'SELECT name, description FROM packages WHERE id = $1',
-                        [project.required_package_id]
-                    );
-                    
-                    return res.status(403).json({
-                        success: false,
-                        error: 'Insufficient permissions to access this tool',
-                        required_package: packageInfo.rows[0] || null,
-                        access_level: project.access_level,
-                        upgrade_required: true
-                    });
-                }
-            }
-
-            // Check usage limits for authenticated users
-            const today = new Date().toISOString().split('T')[0];
-            const usageCheck = await pool.query(`
-                SELECT COUNT(*) as daily_usage
-                FROM project_sessions_v6 ps
-                JOIN projects_v6 p ON ps.project_id = p.id
-                WHERE p.user_id = $1 AND DATE(ps.started_at) = $2
-            `, [user_id, today]);
-            
-            const limitsResult = await pool.query('SELECT get_user_limits($1) as limits', [user_id]);
-            const limits = limitsResult.rows[0].limits;
-            const daily_limit = limits.max_requests_per_hour * 24; // Convert hourly to daily estimate
-            const { daily_usage } = usageCheck.rows[0];
-            
-            if (parseInt(daily_usage) >= daily_limit) {
-                return res.status(429).json({
-                    success: false,
-                    error: 'Daily usage limit exceeded',
-                    daily_limit: daily_limit,
-                    current_usage: daily_usage,
-                    upgrade_required: true
-                });
-            }
-        }
-
-        // Build user prompt from form data
-        let userPrompt = `Please process the following information:\n\n`;
-        
-        Object.entries(form_data).forEach(([key, value]) => {
-            if (value && value.toString().trim()) {
-                const fieldLabel = key.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
-                userPrompt += `${fieldLabel}: ${value}\n`;
-            }
-        });
         
-        userPrompt += `\nPlease provide a comprehensive response based on the information above.`;
-
-        // Generate AI response using Claude service
-        const claude = require('../services/claude');
-        
-        // Build the complete prompt with system instructions
-        const fullPrompt = `${system_prompt}\n\n${userPrompt}`;
-        
-        const aiResponse = await claude.chat(fullPrompt, [], null);
-
-        // Generate unique session token
-        const sessionToken = `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        const result = await toolDrafts.emailResumeLink(tool.project, draft, email);
         
-        // Create session record
-        const sessionResult = await pool.query(`
-            INSERT INTO project_sessions_v6 (project_id, session_token, started_at, completed_at, ai_response)
-            VALUES ($1, $2, NOW(), NOW(), $3)
-            RETURNING id
-        `, [project_id, sessionToken, aiResponse]);
-
-        const sessionId = sessionResult.rows[0].id;
-
-        // Save individual field responses
-        for (const [fieldKey, fieldValue] of Object.entries(form_data)) {
-            if (fieldValue && fieldValue.toString().trim()) {
-                // Try to find the field by name (approximate match) and get both field_id and step_id
-                const fieldResult = await pool.query(`
-                    SELECT pf.id, pf.step_id FROM project_fields_v6 pf
-                    JOIN project_steps_v6 ps ON pf.step_id = ps.id
-                    WHERE ps.project_id = $1 AND (
-                        LOWER(pf.name) LIKE LOWER($2) OR 
-                        LOWER(REPLACE(pf.name, ' ', '_')) = LOWER($2) OR
-                        LOWER(REPLACE(pf.name, ' ', '')) = LOWER(REPLACE($2, '_', ''))
-                    )
-                    LIMIT 1
-                `, [project_id, fieldKey]);
-
-                if (fieldResult.rows.length > 0) {
-                    await pool.query(`
-                        INSERT INTO project_responses_v6 (session_id, step_id, field_id, field_value)
-                        VALUES ($1, $2, $3, $4)
-                    `, [sessionId, fieldResult.rows[0].step_id, fieldResult.rows[0].id, fieldValue.toString()]);
-                }
-            }
+        if (!result.sent) {
+            return res.status(400).json({
+                success: false,
+                error: result.error
+            });
         }
-
-        console.log(`✅ AI response generated successfully for session: ${sessionId}`);
-
+        
         res.json({
             success: true,
-            result: aiResponse,
-            session_id: sessionId
+            message: 'Resume link sent'
         });
-
+        
     } catch (error) {
-        console.error('Tool generation error:', error);
+        console.error('Error emailing resume link:', error);
         res.status(500).json({
             success: false,
-            error: 'AI generation failed',
-            details: error.message
+            error: 'Failed to send resume link'
         });
     }
 });
@@ -2302,12 +5312,12 @@ router.post('/tools/track-usage', async (req, res) => {
  * PUT /api/v6/projects/:projectId/fields/:fieldId
  * Update a specific field in a project
  */
-router.put('/projects/:projectId/fields/:fieldId', verifyAuth, async (req, res) => {
+router.put('/projects/:projectId/fields/:fieldId', verifyAuth, requireProjectRole('editor'), async (req, res) => {
     try {
         const { projectId, fieldId } = req.params;
         const { 
             name, label, field_type, placeholder, description, 
-            required, field_options, field_order, validation 
+            required, field_options, field_order, validation, field_config
         } = req.body;
 
         console.log(`🔧 Updating field ${fieldId} in project ${projectId}`);
@@ -2335,6 +5345,34 @@ router.put('/projects/:projectId/fields/:fieldId', verifyAuth, async (req, res)
             });
         }
 
+        const before = await projectJournal.snapshot('field', fieldId);
+
+        let validationRules = null;
+        if (validation !== undefined && validation !== null) {
+            const normalized = fieldValidation.normalizeRules(validation, field_type || fieldQuery.rows[0].field_type);
+            if (normalized.errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid validation rules',
+                    errors: normalized.errors
+                });
+            }
+            validationRules = normalized.rules;
+        }
+
+        let fieldConfig = null;
+        if (field_config !== undefined && field_config !== null) {
+            const normalized = fieldTypes.normalizeConfig(field_type || fieldQuery.rows[0].field_type, field_config);
+            if (normalized.errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid field settings',
+                    errors: normalized.errors
+                });
+            }
+            fieldConfig = normalized.config;
+        }
+
         // Update field
         const updateQuery = `
             UPDATE project_fields_v6 
@@ -2346,14 +5384,16 @@ router.put('/projects/:projectId/fields/:fieldId', verifyAuth, async (req, res)
                 is_required = COALESCE($6, is_required),
                 field_order = COALESCE($7, field_order),
                 validation_rules = COALESCE($8, validation_rules),
+                field_config = COALESCE($9, field_config),
                 updated_at = NOW()
-            WHERE id = $9
+            WHERE id = $10
             RETURNING *
         `;
 
         const result = await pool.query(updateQuery, [
             name, label, field_type, placeholder, description,
-            required, field_order, validation ? JSON.stringify(validation) : null,
+            required, field_order, validationRules ? JSON.stringify(validationRules) : null,
+            fieldConfig ? JSON.stringify(fieldConfig) : null,
             fieldId
         ]);
 
@@ -2374,6 +5414,9 @@ router.put('/projects/:projectId/fields/:fieldId', verifyAuth, async (req, res)
 
         console.log(`✅ Field updated successfully: ${result.rows[0].name}`);
         
+        await journalChange(req, { entity_type: 'field', entity_id: fieldId, action: 'updated', before, after: await projectJournal.snapshot('field', fieldId) });
+        broadcastChange(req, { type: 'field', action: 'updated', id: fieldId, step_id: result.rows[0].step_id, data: result.rows[0] });
+        
         res.json({
             success: true,
             field: result.rows[0],
@@ -2393,7 +5436,7 @@ router.put('/projects/:projectId/fields/:fieldId', verifyAuth, async (req, res)
  * DELETE /api/v6/projects/:projectId/fields/:fieldId
  * Delete a specific field from a project
  */
-router.delete('/projects/:projectId/fields/:fieldId', verifyAuth, async (req, res) => {
+router.delete('/projects/:projectId/fields/:fieldId', verifyAuth, requireProjectRole('editor'), async (req, res) => {
     try {
         const { projectId, fieldId } = req.params;
 
@@ -2413,11 +5456,16 @@ router.delete('/projects/:projectId/fields/:fieldId', verifyAuth, async (req, re
             });
         }
 
+        const before = await projectJournal.snapshot('field', fieldId);
+
         // Delete field (choices will be deleted by cascade)
         await pool.query('DELETE FROM project_fields_v6 WHERE id = $1', [fieldId]);
 
         console.log(`✅ Field deleted successfully`);
         
+        await journalChange(req, { entity_type: 'field', entity_id: fieldId, action: 'deleted', before });
+        broadcastChange(req, { type: 'field', action: 'deleted', id: fieldId, step_id: fieldQuery.rows[0].step_id });
+        
         res.json({
             success: true,
             message: 'Field deleted successfully'
@@ -2436,12 +5484,12 @@ router.delete('/projects/:projectId/fields/:fieldId', verifyAuth, async (req, re
  * POST /api/v6/projects/:projectId/steps/:stepId/fields
  * Add a new field to a project step
  */
-router.post('/projects/:projectId/steps/:stepId/fields', verifyAuth, async (req, res) => {
+router.post('/projects/:projectId/steps/:stepId/fields', verifyAuth, requireProjectRole('editor'), async (req, res) => {
     try {
         const { projectId, stepId } = req.params;
         const { 
             name, label, field_type, placeholder, description, 
-            required, field_options, field_order, validation 
+            required, field_options, field_order, validation, field_config
         } = req.body;
 
         console.log(`➕ Adding new field to step ${stepId} in project ${projectId}`);
@@ -2459,6 +5507,24 @@ router.post('/projects/:projectId/steps/:stepId/fields', verifyAuth, async (req,
             });
         }
 
+        const { rules: validationRules, errors: ruleErrors } = fieldValidation.normalizeRules(validation, field_type || 'text');
+        if (ruleErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid validation rules',
+                errors: ruleErrors
+            });
+        }
+
+        const { config: fieldConfig, errors: configErrors } = fieldTypes.normalizeConfig(field_type || 'text', field_config);
+        if (configErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid field settings',
+                errors: configErrors
+            });
+        }
+
         // Get next field order if not provided
         let nextOrder = field_order;
         if (!nextOrder) {
@@ -2472,13 +5538,13 @@ router.post('/projects/:projectId/steps/:stepId/fields', verifyAuth, async (req,
         // Insert new field
         const fieldResult = await pool.query(`
             INSERT INTO project_fields_v6 
-            (step_id, name, label, field_type, placeholder, description, is_required, field_order, validation_rules)
-            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            (step_id, name, label, field_type, placeholder, description, is_required, field_order, validation_rules, field_config)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
             RETURNING *
         `, [
             stepId, name || 'new_field', label || 'New Field', field_type || 'text',
             placeholder, description, required || false, nextOrder,
-            validation ? JSON.stringify(validation) : null
+            JSON.stringify(validationRules), JSON.stringify(fieldConfig)
         ]);
 
         const fieldId = fieldResult.rows[0].id;
@@ -2496,6 +5562,9 @@ router.post('/projects/:projectId/steps/:stepId/fields', verifyAuth, async (req,
 
         console.log(`✅ Field added successfully: ${fieldResult.rows[0].name}`);
         
+        await journalChange(req, { entity_type: 'field', entity_id: fieldId, action: 'created', after: await projectJournal.snapshot('field', fieldId) });
+        broadcastChange(req, { type: 'field', action: 'created', id: fieldId, step_id: stepId, data: fieldResult.rows[0] });
+        
         res.json({
             success: true,
             field: fieldResult.rows[0],
@@ -2515,7 +5584,7 @@ router.post('/projects/:projectId/steps/:stepId/fields', verifyAuth, async (req,
  * PUT /api/v6/projects/:projectId/fields/reorder
  * Reorder fields in a project step
  */
-router.put('/projects/:projectId/fields/reorder', async (req, res) => {
+router.put('/projects/:projectId/fields/reorder', verifyAuth, requireProjectRole('editor'), async (req, res) => {
     try {
         const { projectId } = req.params;
         const { fieldOrders } = req.body; // Array of {fieldId, newOrder} objects
@@ -2529,16 +5598,33 @@ router.put('/projects/:projectId/fields/reorder', async (req, res) => {
 
         console.log(`🔄 Reordering ${fieldOrders.length} fields in project ${projectId}`);
 
-        // Update field orders in batch
+        // Field orders are journaled per step, like reorder-fields
+        const stepsResult = await pool.query(`
+            SELECT DISTINCT f.step_id FROM project_fields_v6 f
+            JOIN project_steps_v6 s ON s.id = f.step_id
+            WHERE s.project_id = $1 AND f.id::text = ANY($2::text[])
+        `, [projectId, fieldOrders.map(order => String(order && order.fieldId))]);
+        const stepIds = stepsResult.rows.map(row => row.step_id);
+        const before = {};
+        for (const stepId of stepIds) {
+            before[stepId] = await projectJournal.snapshotOrder('field', stepId);
+        }
+
+        // Update field orders in batch (only fields of this project)
         for (const { fieldId, newOrder } of fieldOrders) {
-            await pool.query(
-                'UPDATE project_fields_v6 SET field_order = $1 WHERE id = $2',
-                [newOrder, fieldId]
-            );
+            await pool.query(`
+                UPDATE project_fields_v6 SET field_order = $1
+                WHERE id = $2 AND step_id IN (SELECT id FROM project_steps_v6 WHERE project_id = $3)
+            `, [newOrder, fieldId, projectId]);
         }
 
         console.log(`✅ Field orders updated successfully`);
         
+        for (const stepId of stepIds) {
+            await journalChange(req, { entity_type: 'field', entity_id: stepId, action: 'reordered', before: before[stepId], after: await projectJournal.snapshotOrder('field', stepId) });
+        }
+        broadcastChange(req, { type: 'field', action: 'reordered', id: null });
+        
         res.json({
             success: true,
             message: 'Field orders updated successfully'
@@ -2812,7 +5898,7 @@ async function createProjectWithStructure(user_id, projectStructure, expertType,
  * POST /api/v6/projects/:projectId/upgrade
  * Upgrade/regenerate project with latest standards
  */
-router.post('/projects/:projectId/upgrade', async (req, res) => {
+router.post('/projects/:projectId/upgrade', verifyAuth, requireProjectRole('editor'), async (req, res) => {
     try {
         const { projectId } = req.params;
         const { upgradeType = 'full' } = req.body; // 'full', 'frontend-only', 'structure-only'
@@ -2832,6 +5918,7 @@ router.post('/projects/:projectId/upgrade', async (req, res) => {
                         'page_title', ps.page_title,
                         'page_subtitle', ps.page_subtitle,
                         'instructions', ps.instructions,
+                        'branch_rules', ps.branch_rules,
                         'fields', ps.fields
                     ) ORDER BY ps.step_order
                 ) as steps
@@ -2850,6 +5937,7 @@ router.post('/projects/:projectId/upgrade', async (req, res) => {
                             'is_required', pf.is_required,
                             'field_order', pf.field_order,
                             'validation_rules', pf.validation_rules,
+                            'visibility_rules', pf.visibility_rules,
                             'choices', pf.choices
                         ) ORDER BY pf.field_order
                     ) as fields
@@ -2923,12 +6011,17 @@ router.post('/projects/:projectId/upgrade', async (req, res) => {
         if (upgradeType === 'full' || upgradeType === 'frontend-only') {
             console.log('🎨 Upgrading frontend with latest standards...');
             
-            // Use the existing toolGeneratorV6 service to regenerate with latest standards
+            // Regenerate the published version with the latest standards;
+            // unpublished draft edits must not reach the live tool
             const toolGeneratorV6 = require('../services/toolGeneratorV6');
-            const generator = new toolGeneratorV6();
             
             try {
-                const deploymentResult = await generator.deployProject(project);
+                const publishedVersion = await projectVersions.getPublishedVersion(projectId);
+                if (!publishedVersion) {
+                    throw new Error('Project has no published version. Deploy it first.');
+                }
+                
+                const deploymentResult = await toolGeneratorV6.deployProject(publishedVersion);
                 upgradeResults.completed.push('frontend-regeneration');
                 upgradeResults.deploymentUrl = deploymentResult.url;
                 
@@ -2986,6 +6079,8 @@ router.post('/projects/:projectId/upgrade', async (req, res) => {
         
         console.log(`✅ Project upgrade completed: ${projectId}`);
         
+        broadcastChange(req, { type: 'project', action: 'upgraded', id: projectId });
+        
         res.json({
             success: true,
             message: 'Project upgraded successfully',
@@ -3011,11 +6106,11 @@ router.post('/projects/:projectId/upgrade', async (req, res) => {
  * POST /api/v6/projects/:id/clone
  * Clone a project with new permissions for testing
  */
-router.post('/projects/:id/clone', async (req, res) => {
+router.post('/projects/:id/clone', verifyAuth, requireProjectRole('viewer'), async (req, res) => {
     try {
         const { id: sourceProjectId } = req.params;
-        const { newName, accessLevel, requiredPermissionGroup, userId } = req.body;
-        const user_id = userId || 'e88dad2e-5b81-4a6b-8d42-4b65611428ac';
+        const { newName, accessLevel, requiredPermissionGroup } = req.body;
+        const user_id = req.user.id;
         
         console.log(`🔄 Cloning project ${sourceProjectId} with new permissions...`);
 
@@ -3047,8 +6142,8 @@ router.post('/projects/:id/clone', async (req, res) => {
         const newProjectResult = await pool.query(`
             INSERT INTO projects_v6 
             (user_id, name, description, ai_role, ai_persona_description, system_prompt, 
-             subdomain, access_level, required_permission_group_id, deployed, enabled)
-            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, false, true)
+             subdomain, access_level, required_permission_group_id, deployed, enabled, system_prompt_is_template)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, false, true, $10)
             RETURNING *
         `, [
             user_id,
@@ -3059,7 +6154,8 @@ router.post('/projects/:id/clone', async (req, res) => {
             source.system_prompt,
             newSubdomain,
             accessLevel || 'public',
-            permissionGroupId
+            permissionGroupId,
+            source.system_prompt_is_template === true
         ]);
 
         const newProject = newProjectResult.rows[0];
@@ -3167,7 +6263,7 @@ router.post('/projects/:id/clone', async (req, res) => {
 });
 
 // Recreate project - reset to step 1 with existing basic info
-router.post('/projects/:projectId/recreate', verifyAuth, async (req, res) => {
+router.post('/projects/:projectId/recreate', verifyAuth, requireProjectRole('viewer'), async (req, res) => {
     try {
         const { projectId } = req.params;
         
@@ -3195,7 +6291,7 @@ router.post('/projects/:projectId/recreate', verifyAuth, async (req, res) => {
             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, false, false, $14)
             RETURNING *
         `, [
-            original.user_id,
+            req.user.id,
             original.name + ' (Recreated)',
             original.description,
             original.ai_role,
@@ -1,7 +1,10 @@
 const express = require('express');
 const { Pool } = require('pg');
-const claudeService = require('../services/claude');
+const llmClient = require('../services/llmClient');
 const deploymentService = require('../services/deploy');
+const toolGenerator = require('../services/toolGenerator');
+const toolRequests = require('../services/toolRequests');
+const projectVersions = require('../services/projectVersions');
 
 // Database connection
 const pool = new Pool({
@@ -15,31 +18,114 @@ const pool = new Pool({
 
 const router = express.Router();
 
+/**
+ * Load the active prompt of a tool deployed from the original projects table.
+ * Only tools that are deployed with an active deployment are found.
+ * @param {string} slug - Subdomain, slug or id the tool was generated with
+ */
+async function findLegacyTool(slug) {
+    const result = await pool.query(`
+        SELECT p.id, p.name, pr.system_prompt, pr.fields
+        FROM projects p
+        JOIN prompts pr ON pr.project_id = p.id AND pr.is_active = true
+        WHERE (p.subdomain = $1 OR p.slug = $1 OR p.id::text = $1)
+            AND p.is_deployed = true
+            AND EXISTS (SELECT 1 FROM deployments d WHERE d.project_id = p.id AND d.status = 'active')
+        ORDER BY pr.created_at DESC
+        LIMIT 1
+    `, [slug]);
+
+    return result.rows[0] || null;
+}
+
 // POST /api/tools/generate - PUBLIC endpoint for deployed tools to generate AI responses
 router.post('/generate', async (req, res) => {
     console.log('🎯 Public Generate endpoint hit!', req.method, req.path);
     console.log('Headers:', req.headers.authorization ? 'Auth present' : 'No auth');
     try {
-        const { tool_slug, system_prompt, inputs } = req.body;
+        // The system prompt and field list are loaded from the tool's project.
+        // Older deployed tools still send system_prompt; it is ignored.
+        const { tool_slug, inputs } = req.body;
 
-        if (!tool_slug || !inputs) {
+        if (!tool_slug || !inputs || typeof inputs !== 'object' || Array.isArray(inputs)) {
             return res.status(400).json({ 
                 error: 'Tool slug and inputs are required' 
             });
         }
 
-        // Create user prompt from inputs
-        const inputText = Object.entries(inputs)
-            .filter(([key, value]) => value && value.trim())
-            .map(([key, value]) => `${key}: ${value}`)
-            .join('\n');
-        
-        const userPrompt = inputText || 'Please generate a response based on my request.';
-        
-        // Call Claude AI to generate response
-        console.log(`🤖 Generating AI response for tool: ${tool_slug}`);
-        const aiResponse = await claudeService.chat(userPrompt, [], system_prompt);
+        let output;
+        let usage;
+
+        const project = await toolRequests.findProject(tool_slug);
+        if (project) {
+            const published = project.deployed && project.enabled && await projectVersions.getPublishedSnapshot(project.id);
+            if (!published) {
+                return res.status(404).json({ error: 'Tool not found' });
+            }
+
+            // Access checks for private tools live on the v6 endpoint
+            if (project.access_level && project.access_level !== 'public') {
+                return res.status(403).json({ error: 'This tool must be used through /api/v6/tools/generate' });
+            }
+
+            const prepared = await toolRequests.prepare(project, inputs, {
+                lang: req.query.lang,
+                acceptLanguage: req.headers['accept-language']
+            }, published);
+            if (!prepared.valid) {
+                const { valid, ...details } = prepared;
+                return res.status(400).json(details);
+            }
+
+            // Same pipeline, output schema and generation settings as the v6 endpoint
+            console.log(`🤖 Generating AI response for tool: ${tool_slug}`);
+            const run = await toolRequests.generate(prepared, { cache: true });
+            await toolRequests.saveSession(project, run.prepared, run.aiResponse, run.stageOutputs, {
+                usage: run.usage,
+                cacheStatus: run.cache,
+                userIp: req.ip
+            });
 
+            output = run.aiResponse;
+            usage = run.usage;
+        } else {
+            const legacyTool = await findLegacyTool(tool_slug);
+            if (!legacyTool) {
+                return res.status(404).json({ error: 'Tool not found' });
+            }
+
+            const fieldNames = (legacyTool.fields || []).length > 0
+                ? legacyTool.fields.map(field => toolGenerator.sanitizeFieldName(field.name))
+                : ['input'];
+            const unknownFields = Object.keys(inputs).filter(key => !fieldNames.includes(key));
+
+            if (unknownFields.length > 0) {
+                return res.status(400).json({
+                    error: 'Some answers do not belong to this tool',
+                    unknown_fields: unknownFields
+                });
+            }
+
+            // Create user prompt from inputs
+            const inputText = Object.entries(inputs)
+                .filter(([key, value]) => value && value.toString().trim())
+                .map(([key, value]) => `${key}: ${value}`)
+                .join('\n');
+
+            const systemPrompt = legacyTool.system_prompt || `You are ${legacyTool.name}, an AI assistant.`;
+            const userPrompt = inputText || 'Please generate a response based on my request.';
+
+            // Call the AI to generate response
+            console.log(`🤖 Generating AI response for tool: ${tool_slug}`);
+            let call = { input_tokens: 0, output_tokens: 0 };
+            output = await llmClient.chat(userPrompt, [], systemPrompt, {
+                onUsage: (details) => {
+                    call = details;
+                }
+            });
+            usage = { ...call, cost: llmClient.estimateCost(call) };
+        }
+        
         // Track usage
         try {
             await deploymentService.trackUsage(tool_slug);
@@ -48,19 +134,20 @@ router.post('/generate', async (req, res) => {
         }
 
         res.json({
-            output: aiResponse,
+            output,
             usage: {
-                tokens: 150,
-                cost: 0.001
+                tokens: usage.input_tokens + usage.output_tokens,
+                cost: usage.cost
             },
             timestamp: new Date().toISOString()
         });
 
     } catch (error) {
         console.error('Generate AI response error:', error);
-        res.status(500).json({ 
+        res.status(error.degraded ? 503 : 500).json({ 
             error: 'AI generation temporarily unavailable',
-            message: 'The AI service is currently being updated. Please try again in a moment.'
+            degraded: Boolean(error.degraded),
+            message: error.degraded ? error.userMessage : 'The AI service is currently being updated. Please try again in a moment.'
         });
     }
 });
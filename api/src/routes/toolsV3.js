@@ -4,7 +4,8 @@ const fs = require('fs').promises;
 const path = require('path');
 const { verifyAuth } = require('../middleware/auth');
 const toolGenerator = require('../services/toolGenerator');
-const claudeService = require('../services/claude');
+const llmClient = require('../services/llmClient');
+const fieldRecommendations = require('../services/fieldRecommendations');
 
 const router = express.Router();
 
@@ -330,14 +331,14 @@ Keep responses conversational but helpful. Focus on understanding their vision a
 
         try {
             const userMessage = { role: 'user', content: message.trim() };
-            const claudeResponse = await claudeService.chat(message, conversation);
+            const claudeResponse = await llmClient.chat(message, conversation, systemPrompt);
             
             // Add messages to conversation
             conversation.push(userMessage);
             conversation.push({ role: 'assistant', content: claudeResponse });
             
             // Extract suggested fields and system prompt from response
-            const suggestedFields = claudeService.extractSuggestedFields(claudeResponse);
+            const suggestedFields = fieldRecommendations.extractSuggestedFields(claudeResponse);
             let extractedSystemPrompt = null;
             
             // Look for system prompt in Claude's response
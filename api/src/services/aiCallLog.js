@@ -0,0 +1,136 @@
+const { Pool } = require('pg');
+
+// Database connection
+const pool = new Pool({
+    host: process.env.DB_HOST,
+    port: process.env.DB_PORT,
+    database: process.env.DB_NAME,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    ssl: { rejectUnauthorized: false }
+});
+
+/**
+ * AI Call Log Service
+ * Records every attempt the LLM client makes (retries, fallbacks and providers
+ * skipped because their circuit is open) for the admin system status page.
+ * Recording never holds up or fails an AI call, and rows older than
+ * retentionDays are pruned as new ones come in.
+ */
+class AiCallLogService {
+    constructor() {
+        this.retentionDays = 7;
+        this.pruneInterval = 60 * 60 * 1000;
+        this.nextPruneAt = 0;
+    }
+
+    /**
+     * Create the attempts table if it doesn't exist
+     */
+    async ensureCallLogTables() {
+        try {
+            await pool.query(`
+                CREATE TABLE IF NOT EXISTS ai_call_attempts_v6 (
+                    id SERIAL PRIMARY KEY,
+                    provider VARCHAR(30) NOT NULL,
+                    model VARCHAR(100),
+                    attempt INTEGER NOT NULL DEFAULT 1,
+                    outcome VARCHAR(20) NOT NULL,
+                    status INTEGER,
+                    error TEXT,
+                    fallback BOOLEAN NOT NULL DEFAULT false,
+                    duration_ms INTEGER,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+
+            await pool.query(`
+                CREATE INDEX IF NOT EXISTS idx_ai_call_attempts_v6_created
+                ON ai_call_attempts_v6(created_at)
+            `);
+
+            console.log('✅ AI call log tables ensured');
+        } catch (error) {
+            console.error('❌ Error ensuring AI call log tables:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Record one attempt (fire and forget)
+     * @param {Object} attempt - { provider, model, attempt, outcome: 'success' | 'error' | 'skipped',
+     *   status, error, fallback, duration_ms }
+     */
+    record(attempt) {
+        pool.query(`
+            INSERT INTO ai_call_attempts_v6 (provider, model, attempt, outcome, status, error, fallback, duration_ms)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        `, [
+            attempt.provider,
+            attempt.model || null,
+            attempt.attempt || 1,
+            attempt.outcome,
+            attempt.status || null,
+            attempt.error ? String(attempt.error).slice(0, 500) : null,
+            Boolean(attempt.fallback),
+            attempt.duration_ms === undefined ? null : attempt.duration_ms
+        ]).catch(error => {
+            console.error('Failed to record AI call attempt:', error.message);
+        });
+
+        if (Date.now() >= this.nextPruneAt) {
+            this.nextPruneAt = Date.now() + this.pruneInterval;
+            pool.query(
+                `DELETE FROM ai_call_attempts_v6 WHERE created_at < NOW() - INTERVAL '${this.retentionDays} days'`
+            ).catch(error => {
+                console.error('Failed to prune AI call attempts:', error.message);
+            });
+        }
+    }
+
+    /**
+     * Attempt counts per provider over the last 24 hours, and the latest
+     * attempts that failed, were skipped or were served by a fallback
+     * @returns {Promise<Object>} - { providers: [{ provider, attempts, successes, errors, skipped,
+     *   fallbacks, avg_duration_ms }], recent: [attempt rows] }
+     */
+    async getSummary(limit = 50) {
+        const [totals, recent] = await Promise.all([
+            pool.query(`
+                SELECT provider,
+                       COUNT(*) as attempts,
+                       COUNT(*) FILTER (WHERE outcome = 'success') as successes,
+                       COUNT(*) FILTER (WHERE outcome = 'error') as errors,
+                       COUNT(*) FILTER (WHERE outcome = 'skipped') as skipped,
+                       COUNT(*) FILTER (WHERE outcome = 'success' AND fallback) as fallbacks,
+                       AVG(duration_ms) FILTER (WHERE outcome = 'success') as avg_duration_ms
+                FROM ai_call_attempts_v6
+                WHERE created_at > NOW() - INTERVAL '24 hours'
+                GROUP BY provider
+                ORDER BY provider
+            `),
+            pool.query(`
+                SELECT provider, model, attempt, outcome, status, error, fallback, duration_ms, created_at
+                FROM ai_call_attempts_v6
+                WHERE outcome <> 'success' OR fallback
+                ORDER BY created_at DESC
+                LIMIT $1
+            `, [limit])
+        ]);
+
+        return {
+            providers: totals.rows.map(row => ({
+                provider: row.provider,
+                attempts: parseInt(row.attempts, 10),
+                successes: parseInt(row.successes, 10),
+                errors: parseInt(row.errors, 10),
+                skipped: parseInt(row.skipped, 10),
+                fallbacks: parseInt(row.fallbacks, 10),
+                avg_duration_ms: row.avg_duration_ms === null ? null : Math.round(parseFloat(row.avg_duration_ms))
+            })),
+            recent: recent.rows
+        };
+    }
+}
+
+module.exports = new AiCallLogService();
@@ -236,6 +236,46 @@ class AIConfigService {
         }
     }
 
+    /**
+     * Models each provider can be used with, without calling the provider APIs:
+     * the models recorded when its key was last tested, or its default models
+     * @returns {Object} - { <provider id>: { name, hasKey, models } }
+     */
+    async getAvailableModels() {
+        let dbConfigs = [];
+        try {
+            const result = await this.pool.query(`
+                SELECT DISTINCT ON (provider_name) provider_name, api_key, available_models
+                FROM ai_configurations
+                WHERE is_active = true
+                ORDER BY provider_name, updated_at DESC
+            `);
+            dbConfigs = result.rows;
+        } catch (error) {
+            console.error('Error fetching available AI models:', error);
+        }
+
+        const available = {};
+        for (const [providerId, provider] of Object.entries(this.supportedProviders)) {
+            const dbConfig = dbConfigs.find(cfg => cfg.provider_name === providerId);
+            let models = provider.defaultModels;
+
+            if (dbConfig?.available_models) {
+                models = typeof dbConfig.available_models === 'string'
+                    ? JSON.parse(dbConfig.available_models)
+                    : dbConfig.available_models;
+            }
+
+            available[providerId] = {
+                name: provider.name,
+                hasKey: Boolean(dbConfig?.api_key || process.env[provider.envKey]),
+                models
+            };
+        }
+
+        return available;
+    }
+
     /**
      * Test API key for a specific provider
      * @param {string} providerId - Provider identifier
@@ -548,6 +588,43 @@ class AIConfigService {
         }
     }
 
+    /**
+     * Set the platform-wide fallback chain of AI calls (see llmClient.getCandidates).
+     * Takes effect right away; the .env file keeps it across restarts.
+     * @param {Array} fallbacks - Validated model ids or provider ids, tried in order
+     * @returns {Object} Update result
+     */
+    async setFallbackChain(fallbacks) {
+        try {
+            let envContent = await fs.readFile(this.envPath, 'utf8');
+
+            const chainRegex = /^AI_FALLBACK_CHAIN=.*$/m;
+            const chainLine = `AI_FALLBACK_CHAIN=${fallbacks.join(',')}`;
+
+            if (chainRegex.test(envContent)) {
+                envContent = envContent.replace(chainRegex, chainLine);
+            } else {
+                envContent += `\n${chainLine}`;
+            }
+
+            await fs.writeFile(this.envPath, envContent, 'utf8');
+            process.env.AI_FALLBACK_CHAIN = fallbacks.join(',');
+
+            return {
+                success: true,
+                message: fallbacks.length > 0 ? `AI calls fall back to ${fallbacks.join(', ')}` : 'AI fallbacks turned off',
+                fallbacks
+            };
+
+        } catch (error) {
+            console.error('Error setting AI fallback chain:', error);
+            return {
+                success: false,
+                error: 'Failed to update configuration'
+            };
+        }
+    }
+
     /**
      * Restart API server to pick up environment changes
      * @returns {Object} Restart result
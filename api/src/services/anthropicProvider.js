@@ -0,0 +1,118 @@
+const Anthropic = require('@anthropic-ai/sdk');
+
+/**
+ * Anthropic Provider
+ * LLM client adapter for Claude models (see llmClient.js). JSON mode is an
+ * instruction in the system prompt, as the Messages API has no response format.
+ */
+class AnthropicProvider {
+    constructor() {
+        this.name = 'anthropic';
+        this.label = 'Anthropic (Claude)';
+        this.envKey = 'CLAUDE_API_KEY';
+        this.modelEnvKey = 'CLAUDE_MODEL';
+        this.client = null;
+        this.rateLimited = true;
+
+        // Model aliases used by pipeline stages, experiment variants and judges
+        this.models = {
+            opus: 'claude-3-opus-20240229',
+            sonnet: 'claude-3-sonnet-20240229',
+            haiku: 'claude-3-haiku-20240307'
+        };
+
+        // USD per million input / output tokens, for cost estimates
+        this.pricing = {
+            'claude-3-opus-20240229': { input: 15, output: 75 },
+            'claude-3-sonnet-20240229': { input: 3, output: 15 },
+            'claude-3-haiku-20240307': { input: 0.25, output: 1.25 },
+            'claude-3-5-sonnet-20240620': { input: 3, output: 15 },
+            'claude-3-5-sonnet-20241022': { input: 3, output: 15 }
+        };
+
+        this.defaultModel = this.models.opus;
+    }
+
+    isConfigured() {
+        return Boolean(process.env[this.envKey]);
+    }
+
+    handlesModel(model) {
+        return model.startsWith('claude');
+    }
+
+    getClient() {
+        if (!this.client) {
+            this.client = new Anthropic({ apiKey: process.env[this.envKey] });
+        }
+        return this.client;
+    }
+
+    /**
+     * @param {Object} request - { model, system, messages, max_tokens, temperature,
+     *   stop_sequences, json, stream, onText, signal }
+     * @returns {Promise<Object>} - { text, model, usage: { input_tokens, output_tokens } }
+     */
+    async complete(request) {
+        const params = {
+            model: request.model,
+            max_tokens: request.max_tokens,
+            temperature: request.temperature,
+            messages: request.messages
+        };
+
+        const system = request.json
+            ? [request.system, 'Reply with only a valid JSON value, without any text or code fences around it.'].filter(Boolean).join('\n\n')
+            : request.system;
+        if (system) {
+            params.system = system;
+        }
+        if (request.stop_sequences && request.stop_sequences.length > 0) {
+            params.stop_sequences = request.stop_sequences;
+        }
+
+        if (request.stream) {
+            return this.stream(params, request);
+        }
+
+        const message = await this.getClient().messages.create(params, request.signal ? { signal: request.signal } : undefined);
+
+        return {
+            text: message.content[0].text,
+            model: request.model,
+            usage: {
+                input_tokens: message.usage ? message.usage.input_tokens : 0,
+                output_tokens: message.usage ? message.usage.output_tokens : 0
+            }
+        };
+    }
+
+    /**
+     * Stream a message, relaying text deltas as they arrive
+     */
+    async stream(params, { onText = null, signal = null }) {
+        const events = await this.getClient().messages.create(
+            { ...params, stream: true },
+            signal ? { signal } : undefined
+        );
+
+        let text = '';
+        const usage = { input_tokens: 0, output_tokens: 0 };
+        for await (const event of events) {
+            if (event.type === 'content_block_delta' && event.delta && event.delta.text) {
+                text += event.delta.text;
+                if (onText) {
+                    onText(event.delta.text);
+                }
+            } else if (event.type === 'message_start' && event.message && event.message.usage) {
+                usage.input_tokens = event.message.usage.input_tokens || 0;
+            } else if (event.type === 'message_delta' && event.usage) {
+                usage.output_tokens = event.usage.output_tokens || 0;
+            }
+        }
+
+        return { text, model: params.model, usage };
+    }
+}
+
+module.exports = new AnthropicProvider();
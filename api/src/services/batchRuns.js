@@ -0,0 +1,773 @@
+const { Pool } = require('pg');
+const projectVersions = require('./projectVersions');
+const toolRequests = require('./toolRequests');
+const toolGeneratorV6 = require('./toolGeneratorV6');
+const projectCollaborators = require('./projectCollaborators');
+
+// Database connection
+const pool = new Pool({
+    host: process.env.DB_HOST,
+    port: process.env.DB_PORT,
+    database: process.env.DB_NAME,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    ssl: { rejectUnauthorized: false }
+});
+
+/**
+ * Batch Run Service V6
+ * Runs a tool once per row of an uploaded CSV. Columns are mapped to the
+ * tool's inputs, every row is stored in project_batch_rows_v6 and an
+ * in-process queue works through pending rows with limited concurrency and a
+ * minimum gap between AI calls. Each finished row is saved as a normal
+ * session tagged with the batch id, so analytics can tell batch runs apart
+ * from visitors. Rows count towards the project owner's daily usage limit:
+ * a batch larger than what is left today is refused, and each row checks the
+ * limit again, and that whoever queued it can still edit the project, before
+ * it runs. Results download as CSV or XLSX with the output appended.
+ *
+ * Column mapping format:
+ *   { <input name>: <CSV column header>, ... }
+ */
+class BatchRunService {
+    constructor() {
+        this.maxRows = 500;
+        this.concurrency = 2;
+        this.minInterval = 1000; // ms between starting two rows
+        this.previewRows = 5;
+        this.listSeparator = ';'; // Separates checkbox choices in a cell
+        this.activeWorkers = 0;
+        this.nextStartAt = 0;
+        this.controllers = new Map(); // batch id -> Set of AbortControllers for running rows
+    }
+
+    /**
+     * Create the batch tables and the session batch column if they don't exist
+     */
+    async ensureBatchTables() {
+        try {
+            await pool.query(`
+                CREATE TABLE IF NOT EXISTS project_batches_v6 (
+                    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                    project_id UUID REFERENCES projects_v6(id) ON DELETE CASCADE,
+                    user_id UUID,
+                    file_name VARCHAR(255),
+                    columns JSONB NOT NULL DEFAULT '[]'::jsonb,
+                    column_mapping JSONB NOT NULL DEFAULT '{}'::jsonb,
+                    status VARCHAR(20) NOT NULL DEFAULT 'queued',
+                    total_rows INTEGER NOT NULL DEFAULT 0,
+                    version_number INTEGER,
+                    draft_snapshot JSONB,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    started_at TIMESTAMP,
+                    completed_at TIMESTAMP
+                );
+
+                CREATE TABLE IF NOT EXISTS project_batch_rows_v6 (
+                    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                    batch_id UUID REFERENCES project_batches_v6(id) ON DELETE CASCADE,
+                    row_index INTEGER NOT NULL,
+                    cells JSONB NOT NULL DEFAULT '[]'::jsonb,
+                    input JSONB NOT NULL DEFAULT '{}'::jsonb,
+                    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+                    output TEXT,
+                    error TEXT,
+                    session_id UUID,
+                    started_at TIMESTAMP,
+                    completed_at TIMESTAMP,
+                    UNIQUE (batch_id, row_index)
+                );
+
+                CREATE INDEX IF NOT EXISTS idx_project_batches_v6_project_id ON project_batches_v6(project_id);
+                CREATE INDEX IF NOT EXISTS idx_project_batch_rows_v6_pending ON project_batch_rows_v6(batch_id, row_index) WHERE status = 'pending';
+            `);
+
+            await pool.query(`
+                ALTER TABLE project_batches_v6
+                ADD COLUMN IF NOT EXISTS draft_snapshot JSONB
+            `);
+
+            await pool.query(`
+                ALTER TABLE project_sessions_v6
+                ADD COLUMN IF NOT EXISTS batch_id UUID REFERENCES project_batches_v6(id) ON DELETE SET NULL
+            `);
+
+            console.log('✅ Batch run tables ensured');
+
+        } catch (error) {
+            console.error('Error ensuring batch run tables:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Put rows that were running when the server stopped back in the queue
+     * and start working through any pending rows
+     */
+    async resume() {
+        const result = await pool.query(`
+            UPDATE project_batch_rows_v6 r
+            SET status = 'pending', started_at = NULL
+            FROM project_batches_v6 b
+            WHERE r.batch_id = b.id AND r.status = 'running' AND b.status IN ('queued', 'running')
+        `);
+
+        if (result.rowCount > 0) {
+            console.log(`🔁 Requeued ${result.rowCount} interrupted batch rows`);
+        }
+
+        this.startWorkers();
+    }
+
+    // ========================================
+    // CSV
+    // ========================================
+
+    /**
+     * Parse CSV text (RFC 4180: quoted cells may contain commas, quotes and
+     * line breaks). Blank lines are skipped.
+     * @returns {Object} - { headers, rows, errors }
+     */
+    parseCsv(text) {
+        if (typeof text !== 'string' || !text.trim()) {
+            return { headers: [], rows: [], errors: ['The file is empty'] };
+        }
+
+        const records = [];
+        let record = [];
+        let cell = '';
+        let quoted = false;
+        const source = text.replace(/^﻿/, '');
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+
+            if (quoted) {
+                if (char === '"' && source[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"' && cell === '') {
+                quoted = true;
+            } else if (char === ',') {
+                record.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && source[i + 1] === '\n') {
+                    i++;
+                }
+                record.push(cell);
+                records.push(record);
+                record = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        if (quoted) {
+            return { headers: [], rows: [], errors: ['The file has a quoted value that is never closed'] };
+        }
+        if (cell !== '' || record.length > 0) {
+            record.push(cell);
+            records.push(record);
+        }
+
+        const nonBlank = records.filter(cells => cells.some(value => value.trim() !== ''));
+        if (nonBlank.length === 0) {
+            return { headers: [], rows: [], errors: ['The file is empty'] };
+        }
+
+        const errors = [];
+        const headers = nonBlank[0].map((header, index) => header.trim() || `Column ${index + 1}`);
+        const duplicates = headers.filter((header, index) => headers.indexOf(header) !== index);
+        if (duplicates.length > 0) {
+            errors.push(`Column headers must be unique: ${[...new Set(duplicates)].join(', ')}`);
+        }
+
+        const rows = nonBlank.slice(1);
+        rows.forEach((cells, index) => {
+            if (cells.length > headers.length && cells.slice(headers.length).some(value => value.trim() !== '')) {
+                errors.push(`Row ${index + 1} has more values than there are columns`);
+            }
+        });
+
+        return { headers, rows: rows.map(cells => headers.map((header, index) => cells[index] ?? '')), errors };
+    }
+
+    /**
+     * Quote a value for CSV output. Values that spreadsheets would treat as
+     * formulas are prefixed with an apostrophe.
+     */
+    toCsvCell(value) {
+        let text = value === null || value === undefined ? '' : String(value);
+        if (/^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // ========================================
+    // COLUMN MAPPING
+    // ========================================
+
+    /**
+     * Inputs a batch can fill, from the project's published (or draft) fields
+     */
+    async getInputs(projectId) {
+        const serving = await projectVersions.getServingSnapshot(projectId);
+        if (!serving) {
+            return null;
+        }
+
+        return serving.snapshot.steps.flatMap(step => (step.fields || []).map(field => ({
+            name: toolGeneratorV6.sanitizeFieldName(field.name),
+            label: field.label || field.name,
+            field_type: field.field_type,
+            required: field.is_required === true,
+            step_name: step.name
+        })));
+    }
+
+    /**
+     * Match CSV columns to inputs by input name or label, ignoring case,
+     * spaces and punctuation
+     */
+    suggestMapping(headers, inputs) {
+        const simplify = value => String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+        const mapping = {};
+
+        for (const input of inputs) {
+            const header = headers.find(candidate =>
+                simplify(candidate) === simplify(input.name) || simplify(candidate) === simplify(input.label)
+            );
+            if (header) {
+                mapping[input.name] = header;
+            }
+        }
+
+        return mapping;
+    }
+
+    /**
+     * Check a column mapping against the CSV headers and the tool's inputs
+     * @returns {Object} - { mapping, errors }
+     */
+    normalizeMapping(mapping, headers, inputs) {
+        if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+            return { mapping: {}, errors: ['Column mapping must be an object'] };
+        }
+
+        const errors = [];
+        const normalized = {};
+        const inputNames = inputs.map(input => input.name);
+
+        for (const [inputName, header] of Object.entries(mapping)) {
+            if (header === null || header === '') {
+                continue;
+            }
+            if (!inputNames.includes(inputName)) {
+                errors.push(`Unknown input '${inputName}'`);
+            } else if (!headers.includes(header)) {
+                errors.push(`Column '${header}' is not in the file`);
+            } else {
+                normalized[inputName] = header;
+            }
+        }
+
+        if (Object.keys(normalized).length === 0 && errors.length === 0) {
+            errors.push('Map at least one column to an input');
+        }
+
+        return { mapping: normalized, errors };
+    }
+
+    /**
+     * Turn a CSV row into form data. Checkbox cells list their choices
+     * separated by semicolons; Likert and repeating group cells hold JSON.
+     */
+    buildFormData(cells, headers, mapping, inputs) {
+        const formData = {};
+
+        for (const input of inputs) {
+            const header = mapping[input.name];
+            if (!header) {
+                continue;
+            }
+
+            const value = (cells[headers.indexOf(header)] || '').trim();
+            if (value === '') {
+                continue;
+            }
+
+            if (input.field_type === 'checkbox') {
+                formData[input.name] = value.split(this.listSeparator).map(choice => choice.trim()).filter(Boolean);
+            } else if (['likert', 'repeater'].includes(input.field_type)) {
+                try {
+                    formData[input.name] = JSON.parse(value);
+                } catch (error) {
+                    formData[input.name] = value;
+                }
+            } else {
+                formData[input.name] = value;
+            }
+        }
+
+        return formData;
+    }
+
+    // ========================================
+    // BATCHES
+    // ========================================
+
+    /**
+     * Parse an uploaded file and suggest how its columns map to the inputs
+     * @returns {Promise<Object>} - { headers, total_rows, sample_rows, inputs, suggested_mapping, errors }
+     */
+    async preview(projectId, csv) {
+        const inputs = await this.getInputs(projectId);
+        const parsed = this.parseCsv(csv);
+        const errors = [...parsed.errors];
+
+        if (parsed.rows.length > this.maxRows) {
+            errors.push(`A batch can have at most ${this.maxRows} rows (this file has ${parsed.rows.length})`);
+        }
+
+        return {
+            headers: parsed.headers,
+            total_rows: parsed.rows.length,
+            sample_rows: parsed.rows.slice(0, this.previewRows),
+            inputs: inputs || [],
+            suggested_mapping: this.suggestMapping(parsed.headers, inputs || []),
+            max_rows: this.maxRows,
+            errors
+        };
+    }
+
+    /**
+     * Store a batch with its rows and queue it
+     * @returns {Promise<Object>} - { batch } or { errors }
+     */
+    async createBatch(projectId, userId, { csv, column_mapping, file_name }) {
+        const inputs = await this.getInputs(projectId);
+        if (!inputs) {
+            return { errors: ['Project not found'] };
+        }
+
+        const parsed = this.parseCsv(csv);
+        if (parsed.errors.length > 0) {
+            return { errors: parsed.errors };
+        }
+        if (parsed.rows.length === 0) {
+            return { errors: ['The file has no rows below the header'] };
+        }
+        if (parsed.rows.length > this.maxRows) {
+            return { errors: [`A batch can have at most ${this.maxRows} rows (this file has ${parsed.rows.length})`] };
+        }
+
+        const { mapping, errors } = this.normalizeMapping(column_mapping, parsed.headers, inputs);
+        if (errors.length > 0) {
+            return { errors };
+        }
+
+        const project = await toolRequests.findProject(projectId);
+        const usage = await toolRequests.getDailyUsage(project.user_id);
+        if (usage.used + parsed.rows.length > usage.limit) {
+            const left = Math.max(0, usage.limit - usage.used);
+            return { errors: [`This file has ${parsed.rows.length} rows but only ${left} tool run${left === 1 ? '' : 's'} are left today`] };
+        }
+
+        const serving = await projectVersions.getServingSnapshot(projectId);
+        const client = await pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            const batchResult = await client.query(`
+                INSERT INTO project_batches_v6 (project_id, user_id, file_name, columns, column_mapping, total_rows, version_number, draft_snapshot)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                RETURNING id
+            `, [
+                projectId,
+                userId,
+                typeof file_name === 'string' && file_name.trim() ? file_name.trim().slice(0, 255) : 'batch.csv',
+                JSON.stringify(parsed.headers),
+                JSON.stringify(mapping),
+                parsed.rows.length,
+                serving.version_number,
+                // Unpublished projects run on the draft as it was when the batch was queued
+                serving.version_number === null ? JSON.stringify(serving.snapshot) : null
+            ]);
+
+            const batchId = batchResult.rows[0].id;
+
+            for (const [index, cells] of parsed.rows.entries()) {
+                await client.query(`
+                    INSERT INTO project_batch_rows_v6 (batch_id, row_index, cells, input)
+                    VALUES ($1, $2, $3, $4)
+                `, [batchId, index, JSON.stringify(cells), JSON.stringify(this.buildFormData(cells, parsed.headers, mapping, inputs))]);
+            }
+
+            await client.query('COMMIT');
+
+            console.log(`📦 Queued batch ${batchId} with ${parsed.rows.length} rows`);
+            this.startWorkers();
+
+            return { batch: await this.getBatch(projectId, batchId) };
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Whether a project already has a batch waiting or running
+     */
+    async hasActiveBatch(projectId) {
+        const result = await pool.query(`
+            SELECT 1 FROM project_batches_v6
+            WHERE project_id = $1 AND status IN ('queued', 'running')
+            LIMIT 1
+        `, [projectId]);
+
+        return result.rows.length > 0;
+    }
+
+    /**
+     * Batches of a project with their progress, newest first
+     */
+    async listBatches(projectId) {
+        const result = await pool.query(`
+            SELECT b.id, b.file_name, b.status, b.total_rows, b.version_number,
+                   b.created_at, b.started_at, b.completed_at,
+                   COUNT(r.id) FILTER (WHERE r.status = 'completed') as completed_rows,
+                   COUNT(r.id) FILTER (WHERE r.status = 'failed') as failed_rows,
+                   COUNT(r.id) FILTER (WHERE r.status = 'cancelled') as cancelled_rows
+            FROM project_batches_v6 b
+            LEFT JOIN project_batch_rows_v6 r ON r.batch_id = b.id
+            WHERE b.project_id = $1
+            GROUP BY b.id
+            ORDER BY b.created_at DESC
+            LIMIT 50
+        `, [projectId]);
+
+        return result.rows.map(row => this.formatBatch(row));
+    }
+
+    /**
+     * One batch with its progress and column mapping
+     */
+    async getBatch(projectId, batchId) {
+        const result = await pool.query(`
+            SELECT b.*,
+                   COUNT(r.id) FILTER (WHERE r.status = 'completed') as completed_rows,
+                   COUNT(r.id) FILTER (WHERE r.status = 'failed') as failed_rows,
+                   COUNT(r.id) FILTER (WHERE r.status = 'cancelled') as cancelled_rows
+            FROM project_batches_v6 b
+            LEFT JOIN project_batch_rows_v6 r ON r.batch_id = b.id
+            WHERE b.project_id = $1 AND b.id::text = $2
+            GROUP BY b.id
+        `, [projectId, String(batchId)]);
+
+        return result.rows[0] ? this.formatBatch(result.rows[0]) : null;
+    }
+
+    formatBatch(row) {
+        const completed = parseInt(row.completed_rows) || 0;
+        const failed = parseInt(row.failed_rows) || 0;
+        const cancelled = parseInt(row.cancelled_rows) || 0;
+
+        return {
+            id: row.id,
+            file_name: row.file_name,
+            status: row.status,
+            version_number: row.version_number,
+            columns: row.columns,
+            column_mapping: row.column_mapping,
+            total_rows: row.total_rows,
+            completed_rows: completed,
+            failed_rows: failed,
+            cancelled_rows: cancelled,
+            processed_rows: completed + failed + cancelled,
+            progress: row.total_rows > 0 ? Math.round((completed + failed + cancelled) / row.total_rows * 100) : 100,
+            created_at: row.created_at,
+            started_at: row.started_at,
+            completed_at: row.completed_at
+        };
+    }
+
+    /**
+     * Stop a batch. Rows not started yet are cancelled and running rows are
+     * aborted; rows already finished keep their results.
+     * @returns {Promise<boolean>} - false when the batch had already finished
+     */
+    async cancelBatch(projectId, batchId) {
+        const result = await pool.query(`
+            UPDATE project_batches_v6
+            SET status = 'cancelled', completed_at = NOW()
+            WHERE project_id = $1 AND id::text = $2 AND status IN ('queued', 'running')
+            RETURNING id
+        `, [projectId, String(batchId)]);
+
+        if (result.rows.length === 0) {
+            return false;
+        }
+
+        await pool.query(`
+            UPDATE project_batch_rows_v6
+            SET status = 'cancelled', completed_at = NOW()
+            WHERE batch_id = $1 AND status = 'pending'
+        `, [result.rows[0].id]);
+
+        for (const controller of this.controllers.get(result.rows[0].id) || []) {
+            controller.abort();
+        }
+
+        console.log(`⏹️ Cancelled batch ${result.rows[0].id}`);
+        return true;
+    }
+
+    // ========================================
+    // QUEUE
+    // ========================================
+
+    /**
+     * Start workers up to the concurrency limit. Workers stop when no
+     * pending rows are left.
+     */
+    startWorkers() {
+        while (this.activeWorkers < this.concurrency) {
+            this.activeWorkers++;
+            this.work()
+                .catch(error => console.error('Batch worker error:', error))
+                .finally(() => {
+                    this.activeWorkers--;
+                });
+        }
+    }
+
+    async work() {
+        for (;;) {
+            await this.waitForTurn();
+
+            const row = await this.claimRow();
+            if (!row) {
+                return;
+            }
+
+            await this.runRow(row);
+        }
+    }
+
+    /**
+     * Space out row starts across all workers by minInterval
+     */
+    async waitForTurn() {
+        const now = Date.now();
+        const startAt = Math.max(now, this.nextStartAt);
+        this.nextStartAt = startAt + this.minInterval;
+
+        if (startAt > now) {
+            await new Promise(resolve => setTimeout(resolve, startAt - now));
+        }
+    }
+
+    /**
+     * Take the next pending row, oldest batch first. SKIP LOCKED keeps two
+     * workers (or two API processes) from taking the same row.
+     */
+    async claimRow() {
+        const result = await pool.query(`
+            UPDATE project_batch_rows_v6
+            SET status = 'running', started_at = NOW()
+            WHERE id = (
+                SELECT r.id
+                FROM project_batch_rows_v6 r
+                JOIN project_batches_v6 b ON b.id = r.batch_id
+                WHERE r.status = 'pending' AND b.status IN ('queued', 'running')
+                ORDER BY b.created_at, r.row_index
+                LIMIT 1
+                FOR UPDATE OF r SKIP LOCKED
+            )
+            RETURNING *
+        `);
+
+        const row = result.rows[0];
+        if (row) {
+            await pool.query(`
+                UPDATE project_batches_v6
+                SET status = 'running', started_at = COALESCE(started_at, NOW())
+                WHERE id = $1 AND status = 'queued'
+            `, [row.batch_id]);
+        }
+
+        return row || null;
+    }
+
+    /**
+     * Generate one row's output and save it as a batch session
+     */
+    async runRow(row) {
+        const controller = new AbortController();
+        if (!this.controllers.has(row.batch_id)) {
+            this.controllers.set(row.batch_id, new Set());
+        }
+        this.controllers.get(row.batch_id).add(controller);
+
+        try {
+            const batch = await pool.query('SELECT project_id, user_id, version_number, draft_snapshot FROM project_batches_v6 WHERE id = $1', [row.batch_id]);
+            const project = await toolRequests.findProject(batch.rows[0].project_id);
+
+            const denied = await this.checkRowAllowed(project, batch.rows[0].user_id);
+            if (denied) {
+                await this.finishRow(row, 'failed', { error: denied });
+                return;
+            }
+
+            const prepared = await toolRequests.prepare(project, row.input, {}, await this.getBatchSnapshot(batch.rows[0]));
+
+            if (!prepared.valid) {
+                await this.finishRow(row, 'failed', { error: toolRequests.describeInvalid(prepared) });
+                return;
+            }
+
+            const run = await toolRequests.generate(prepared, { signal: controller.signal });
+            const { sessionId } = await toolRequests.saveSession(project, run.prepared, run.aiResponse, run.stageOutputs, { batchId: row.batch_id, usage: run.usage });
+
+            await this.finishRow(row, 'completed', { output: run.aiResponse, sessionId });
+
+        } catch (error) {
+            if (controller.signal.aborted) {
+                await this.finishRow(row, 'cancelled', { error: 'Cancelled' });
+            } else {
+                console.error(`Batch row ${row.row_index + 1} failed:`, error.message);
+                await this.finishRow(row, 'failed', { error: 'AI generation failed' });
+            }
+        } finally {
+            this.controllers.get(row.batch_id).delete(controller);
+            if (this.controllers.get(row.batch_id).size === 0) {
+                this.controllers.delete(row.batch_id);
+            }
+        }
+    }
+
+    /**
+     * Checks a row passes before it runs: whoever queued the batch can still
+     * edit the project, and the owner has daily usage left
+     * @returns {Promise<string|null>} - Why the row can't run, or null
+     */
+    async checkRowAllowed(project, userId) {
+        const access = await projectCollaborators.getAccess({ projectId: project.id }, userId);
+        if (!access || !projectCollaborators.hasRole(access.role, 'editor')) {
+            return 'No longer allowed to run this tool';
+        }
+
+        const usage = await toolRequests.getDailyUsage(project.user_id);
+        if (usage.used >= usage.limit) {
+            return 'Daily usage limit exceeded';
+        }
+
+        return null;
+    }
+
+    /**
+     * Snapshot every row of a batch runs on: the version it was queued with,
+     * so publishing mid-batch doesn't mix versions
+     * @param {Object} batch - project_batches_v6 row (project_id, version_number, draft_snapshot)
+     * @returns {Promise<Object>} - { version_number, snapshot }
+     */
+    async getBatchSnapshot(batch) {
+        if (batch.version_number === null) {
+            // Batches queued before draft snapshots were stored run on the current draft
+            return batch.draft_snapshot
+                ? { version_number: null, snapshot: batch.draft_snapshot }
+                : projectVersions.getServingSnapshot(batch.project_id);
+        }
+
+        const version = await projectVersions.getVersion(batch.project_id, batch.version_number);
+        return { version_number: batch.version_number, snapshot: version.snapshot };
+    }
+
+    /**
+     * Record a row's outcome and complete the batch once no rows are left
+     */
+    async finishRow(row, status, { output = null, error = null, sessionId = null } = {}) {
+        await pool.query(`
+            UPDATE project_batch_rows_v6
+            SET status = $2, output = $3, error = $4, session_id = $5, completed_at = NOW()
+            WHERE id = $1
+        `, [row.id, status, output, error, sessionId]);
+
+        const result = await pool.query(`
+            UPDATE project_batches_v6
+            SET status = 'completed', completed_at = NOW()
+            WHERE id = $1 AND status = 'running'
+              AND NOT EXISTS (
+                  SELECT 1 FROM project_batch_rows_v6
+                  WHERE batch_id = $1 AND status IN ('pending', 'running')
+              )
+            RETURNING id
+        `, [row.batch_id]);
+
+        if (result.rows.length > 0) {
+            console.log(`✅ Batch ${row.batch_id} completed`);
+        }
+    }
+
+    // ========================================
+    // EXPORT
+    // ========================================
+
+    /**
+     * Header and rows of a batch's results: the original columns followed by
+     * the output, status and error of each row
+     */
+    async getResultTable(batch) {
+        const result = await pool.query(`
+            SELECT cells, status, output, error
+            FROM project_batch_rows_v6
+            WHERE batch_id = $1
+            ORDER BY row_index
+        `, [batch.id]);
+
+        return {
+            headers: [...batch.columns, 'AI Output', 'Status', 'Error'],
+            rows: result.rows.map(row => [...row.cells, row.output || '', row.status, row.error || ''])
+        };
+    }
+
+    async exportCsv(batch) {
+        const { headers, rows } = await this.getResultTable(batch);
+
+        return [headers, ...rows]
+            .map(cells => cells.map(cell => this.toCsvCell(cell)).join(','))
+            .join('\r\n') + '\r\n';
+    }
+
+    async exportXlsx(batch) {
+        const ExcelJS = require('exceljs');
+        const { headers, rows } = await this.getResultTable(batch);
+
+        const workbook = new ExcelJS.Workbook();
+        const worksheet = workbook.addWorksheet('Results');
+
+        worksheet.addRow(headers).font = { bold: true };
+        rows.forEach(cells => worksheet.addRow(cells));
+        worksheet.columns.forEach((column, index) => {
+            column.width = index === batch.columns.length ? 80 : 24;
+            column.alignment = { vertical: 'top', wrapText: true };
+        });
+        worksheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+        return workbook.xlsx.writeBuffer();
+    }
+}
+
+module.exports = new BatchRunService();
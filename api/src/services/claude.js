@@ -3,98 +3,46 @@
 // Advanced AI-Powered Tool Generation Engine
 // ========================================
 
-const Anthropic = require('@anthropic-ai/sdk');
+const llmClient = require('./llmClient');
 
+/**
+ * Tool generation helpers on top of the LLM client. Calls go to the provider
+ * of the model they name, or the active provider (see llmClient.js); the
+ * name is kept from when Claude was the only provider.
+ */
 class ClaudeService {
     constructor() {
-        this.apiKey = process.env.CLAUDE_API_KEY;
-        
-        if (!this.apiKey) {
-            console.error('WARNING: CLAUDE_API_KEY not found in environment variables');
-        }
-        
-        // Initialize Anthropic client
-        this.anthropic = new Anthropic({
-            apiKey: this.apiKey
-        });
-
-        // Model configuration
-        this.models = {
-            opus: 'claude-3-opus-20240229',
-            sonnet: 'claude-3-sonnet-20240229',
-            haiku: 'claude-3-haiku-20240307'
-        };
+        this.llm = llmClient;
+
+        // Model aliases, e.g. for pipeline stages and experiment variants
+        this.models = llmClient.models;
 
         // Default model settings
-        this.defaultModel = this.models.opus;
-        this.defaultMaxTokens = 2000;
-        this.defaultTemperature = 0.3;
-
-        // Rate limiting
-        this.requestQueue = [];
-        this.processing = false;
-        this.requestDelay = 1000; // 1 second between requests
+        this.defaultMaxTokens = llmClient.defaultMaxTokens;
+        this.defaultTemperature = llmClient.defaultTemperature;
     }
 
     /**
-     * Generate content using Claude API
+     * Model used when a call doesn't name one (the active provider's)
      */
-    async generateContent(prompt, options = {}) {
-        const {
-            model = this.defaultModel,
-            max_tokens = this.defaultMaxTokens,
-            temperature = this.defaultTemperature,
-            system = null,
-            stream = false
-        } = options;
-
-        try {
-            // Add to queue if rate limiting
-            if (this.processing) {
-                return this.queueRequest(prompt, options);
-            }
-
-            this.processing = true;
-
-            const messages = [
-                {
-                    role: 'user',
-                    content: prompt
-                }
-            ];
-
-            const requestParams = {
-                model,
-                max_tokens,
-                temperature,
-                messages
-            };
-
-            if (system) {
-                requestParams.system = system;
-            }
-
-            const response = await this.anthropic.messages.create(requestParams);
-
-            this.processing = false;
-            
-            // Process next queued request
-            setTimeout(() => this.processQueue(), this.requestDelay);
+    get defaultModel() {
+        return llmClient.defaultModel;
+    }
 
-            return response.content[0].text;
+    /**
+     * Generate content with the LLM client; see llmClient.generateContent
+     * for the options
+     */
+    async generateContent(prompt, options = {}) {
+        return llmClient.generateContent(prompt, options);
+    }
 
-        } catch (error) {
-            this.processing = false;
-            console.error('Claude API error:', error);
-            
-            // Fallback to simpler response on error
-            if (error.status === 429) {
-                // Rate limited - add to queue
-                return this.queueRequest(prompt, options);
-            }
-            
-            throw new Error(`AI generation failed: ${error.message}`);
-        }
+    /**
+     * Estimated cost in USD of a request's token usage (0 for unknown models)
+     * @param {Object} usage - { model, input_tokens, output_tokens }
+     */
+    estimateCost(usage) {
+        return llmClient.estimateCost(usage);
     }
 
     /**
@@ -414,30 +362,10 @@ Respond with JSON:
     // ========================================
 
     /**
-     * Parse JSON response from Claude
+     * Parse JSON response from the AI
      */
     parseJSONResponse(response) {
-        try {
-            // Clean the response
-            let cleaned = response.trim();
-            
-            // Remove markdown code blocks if present
-            cleaned = cleaned.replace(/```json\n?/gi, '');
-            cleaned = cleaned.replace(/```\n?/gi, '');
-            
-            // Remove any leading/trailing text
-            const jsonMatch = cleaned.match(/\{[\s\S]*\}|\[[\s\S]*\]/);
-            if (jsonMatch) {
-                cleaned = jsonMatch[0];
-            }
-            
-            return JSON.parse(cleaned);
-            
-        } catch (error) {
-            console.error('JSON parse error:', error);
-            console.error('Original response:', response);
-            throw new Error('Failed to parse AI response');
-        }
+        return llmClient.parseJSONResponse(response);
     }
 
     /**
@@ -522,38 +450,6 @@ Respond with JSON:
         </div>`;
     }
 
-    /**
-     * Queue request for rate limiting
-     */
-    async queueRequest(prompt, options) {
-        return new Promise((resolve, reject) => {
-            this.requestQueue.push({ prompt, options, resolve, reject });
-            
-            // Process queue if not already processing
-            if (!this.processing) {
-                setTimeout(() => this.processQueue(), this.requestDelay);
-            }
-        });
-    }
-
-    /**
-     * Process queued requests
-     */
-    async processQueue() {
-        if (this.requestQueue.length === 0) {
-            return;
-        }
-        
-        const request = this.requestQueue.shift();
-        
-        try {
-            const result = await this.generateContent(request.prompt, request.options);
-            request.resolve(result);
-        } catch (error) {
-            request.reject(error);
-        }
-    }
-
     /**
      * Get default tool structure
      */
@@ -0,0 +1,323 @@
+const { Pool } = require('pg');
+
+// Database connection
+const pool = new Pool({
+    host: process.env.DB_HOST,
+    port: process.env.DB_PORT,
+    database: process.env.DB_NAME,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    ssl: { rejectUnauthorized: false }
+});
+
+/**
+ * Conditional Logic Service V6
+ * Field visibility rules and step branching for v6 multi-step projects.
+ *
+ * Field rule (project_fields_v6.visibility_rules):
+ *   { action: 'show'|'hide', match: 'all'|'any', conditions: [{ field_id, operator, value }] }
+ * Step rules (project_steps_v6.branch_rules), evaluated in order, first match wins:
+ *   [{ match: 'all'|'any', conditions: [...], target_step_id: '<step id>'|'end' }]
+ */
+class ConditionalLogicService {
+    constructor() {
+        this.operators = [
+            'equals', 'not_equals', 'contains', 'not_contains', 'in', 'not_in',
+            'is_empty', 'is_not_empty', 'greater_than', 'less_than'
+        ];
+        this.valuelessOperators = ['is_empty', 'is_not_empty'];
+    }
+
+    /**
+     * Add rule columns to the v6 tables if they don't exist
+     */
+    async ensureLogicColumns() {
+        try {
+            await pool.query(`
+                ALTER TABLE project_fields_v6
+                ADD COLUMN IF NOT EXISTS visibility_rules JSONB DEFAULT NULL
+            `);
+
+            await pool.query(`
+                ALTER TABLE project_steps_v6
+                ADD COLUMN IF NOT EXISTS branch_rules JSONB DEFAULT '[]'::jsonb
+            `);
+
+            console.log('✅ Conditional logic columns ensured');
+
+        } catch (error) {
+            console.error('Error ensuring conditional logic columns:', error);
+            throw error;
+        }
+    }
+
+    // ========================================
+    // RULE NORMALIZATION
+    // ========================================
+
+    /**
+     * Validate a list of conditions against the fields they may reference
+     * @param {Array} conditions - Raw conditions from the request
+     * @param {Set<string>} allowedFieldIds - Field ids the conditions may depend on
+     * @returns {Object} - { conditions, errors }
+     */
+    normalizeConditions(conditions, allowedFieldIds) {
+        const errors = [];
+
+        if (!Array.isArray(conditions) || conditions.length === 0) {
+            return { conditions: [], errors: ['At least one condition is required'] };
+        }
+
+        const normalized = conditions.map((condition, index) => {
+            const position = `Condition ${index + 1}`;
+
+            if (!condition || !condition.field_id) {
+                errors.push(`${position}: field_id is required`);
+                return null;
+            }
+
+            if (!allowedFieldIds.has(condition.field_id)) {
+                errors.push(`${position}: field must come before this point in the project`);
+            }
+
+            if (!this.operators.includes(condition.operator)) {
+                errors.push(`${position}: unknown operator '${condition.operator}'`);
+            }
+
+            const needsValue = !this.valuelessOperators.includes(condition.operator);
+            if (needsValue && (condition.value === undefined || condition.value === null || condition.value === '')) {
+                errors.push(`${position}: a comparison value is required`);
+            }
+
+            if (['in', 'not_in'].includes(condition.operator) && !Array.isArray(condition.value)) {
+                errors.push(`${position}: '${condition.operator}' expects a list of values`);
+            }
+
+            return {
+                field_id: condition.field_id,
+                operator: condition.operator,
+                value: needsValue ? condition.value : null
+            };
+        });
+
+        return { conditions: normalized.filter(Boolean), errors };
+    }
+
+    /**
+     * Validate a field visibility rule
+     * @param {Object} rule - Raw rule from the request
+     * @param {Set<string>} allowedFieldIds - Fields that precede the target field
+     * @returns {Object} - { rule, errors }
+     */
+    normalizeVisibilityRule(rule, allowedFieldIds) {
+        if (!rule || typeof rule !== 'object') {
+            return { rule: null, errors: ['Rule must be an object'] };
+        }
+
+        const errors = [];
+        const action = rule.action || 'show';
+        const match = rule.match || 'all';
+
+        if (!['show', 'hide'].includes(action)) {
+            errors.push(`Unknown action '${action}'`);
+        }
+        if (!['all', 'any'].includes(match)) {
+            errors.push(`Unknown match mode '${match}'`);
+        }
+
+        const result = this.normalizeConditions(rule.conditions, allowedFieldIds);
+        errors.push(...result.errors);
+
+        return {
+            rule: { action, match, conditions: result.conditions },
+            errors
+        };
+    }
+
+    /**
+     * Validate the branch rules of a step. Jumps may only move forward so a
+     * project can never loop.
+     * @param {Array} rules - Raw rules from the request
+     * @param {Set<string>} allowedFieldIds - Fields on this step or earlier
+     * @param {Set<string>} laterStepIds - Steps after this one
+     * @returns {Object} - { rules, errors }
+     */
+    normalizeBranchRules(rules, allowedFieldIds, laterStepIds) {
+        if (!Array.isArray(rules)) {
+            return { rules: [], errors: ['Rules must be an array'] };
+        }
+
+        const errors = [];
+
+        const normalized = rules.map((rule, index) => {
+            const position = `Rule ${index + 1}`;
+            const match = rule?.match || 'all';
+
+            if (!['all', 'any'].includes(match)) {
+                errors.push(`${position}: unknown match mode '${match}'`);
+            }
+
+            if (!rule?.target_step_id || (rule.target_step_id !== 'end' && !laterStepIds.has(rule.target_step_id))) {
+                errors.push(`${position}: target must be a later step or 'end'`);
+            }
+
+            const result = this.normalizeConditions(rule?.conditions, allowedFieldIds);
+            errors.push(...result.errors.map(error => `${position}: ${error}`));
+
+            return {
+                match,
+                conditions: result.conditions,
+                target_step_id: rule?.target_step_id
+            };
+        });
+
+        return { rules: normalized, errors };
+    }
+
+    // ========================================
+    // EVALUATION
+    // ========================================
+
+    /**
+     * Evaluate a single condition
+     * @param {Object} condition - { field_id, operator, value }
+     * @param {Object} answers - Answers keyed by field id
+     * @returns {boolean}
+     */
+    evaluateCondition(condition, answers) {
+        // Likert and repeating group answers are compared by the values inside them
+        const flatten = value => Array.isArray(value)
+            ? value.flatMap(flatten)
+            : (value !== null && typeof value === 'object' ? Object.values(value).flatMap(flatten) : [value]);
+        const values = flatten(answers[condition.field_id])
+            .filter(value => value !== undefined && value !== null && value.toString().trim() !== '')
+            .map(value => value.toString().trim().toLowerCase());
+        const expected = Array.isArray(condition.value)
+            ? condition.value.map(value => value.toString().trim().toLowerCase())
+            : (condition.value ?? '').toString().trim().toLowerCase();
+
+        switch (condition.operator) {
+            case 'equals':
+                return values.includes(expected);
+            case 'not_equals':
+                return !values.includes(expected);
+            case 'contains':
+                return values.some(value => value.includes(expected));
+            case 'not_contains':
+                return !values.some(value => value.includes(expected));
+            case 'in':
+                return values.some(value => expected.includes(value));
+            case 'not_in':
+                return !values.some(value => expected.includes(value));
+            case 'is_empty':
+                return values.length === 0;
+            case 'is_not_empty':
+                return values.length > 0;
+            case 'greater_than':
+                return values.some(value => parseFloat(value) > parseFloat(expected));
+            case 'less_than':
+                return values.some(value => parseFloat(value) < parseFloat(expected));
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Evaluate a group of conditions
+     */
+    evaluateConditions(conditions, match, answers) {
+        if (!conditions || conditions.length === 0) {
+            return true;
+        }
+
+        return match === 'any'
+            ? conditions.some(condition => this.evaluateCondition(condition, answers))
+            : conditions.every(condition => this.evaluateCondition(condition, answers));
+    }
+
+    /**
+     * Whether a field is visible for the given answers
+     */
+    isFieldVisible(field, answers) {
+        const rule = field.visibility_rules;
+        if (!rule || !rule.conditions || rule.conditions.length === 0) {
+            return true;
+        }
+
+        const matched = this.evaluateConditions(rule.conditions, rule.match, answers);
+        return rule.action === 'hide' ? !matched : matched;
+    }
+
+    /**
+     * Resolve the index of the step that follows the current one
+     * @param {Array} steps - Ordered project steps
+     * @param {number} currentIndex - Index of the current step
+     * @param {Object} answers - Answers keyed by field id
+     * @returns {number} - Next step index, or steps.length when the form ends
+     */
+    getNextStepIndex(steps, currentIndex, answers) {
+        const rules = steps[currentIndex]?.branch_rules || [];
+
+        for (const rule of rules) {
+            if (this.evaluateConditions(rule.conditions, rule.match, answers)) {
+                if (rule.target_step_id === 'end') {
+                    return steps.length;
+                }
+
+                const targetIndex = steps.findIndex(step => step.id === rule.target_step_id);
+                if (targetIndex > currentIndex) {
+                    return targetIndex;
+                }
+            }
+        }
+
+        return currentIndex + 1;
+    }
+
+    /**
+     * Walk the project the way the deployed tool does and work out which
+     * steps were visited and which fields were visible on them.
+     * @param {Array} steps - Ordered project steps with fields
+     * @param {Object} answers - Answers keyed by field id
+     * @returns {Object} - { visitedStepIds, visibleFieldIds, missingRequired }
+     */
+    resolveSubmission(steps, answers) {
+        const visitedStepIds = [];
+        const visibleFieldIds = new Set();
+        const missingRequired = [];
+
+        // Rules only reference earlier fields, so answers to hidden or skipped
+        // fields are left out as we go and never influence later rules
+        const effectiveAnswers = {};
+
+        let index = 0;
+        while (index < steps.length) {
+            const step = steps[index];
+            visitedStepIds.push(step.id);
+
+            for (const field of step.fields || []) {
+                if (!this.isFieldVisible(field, effectiveAnswers)) {
+                    continue;
+                }
+
+                visibleFieldIds.add(field.id);
+                effectiveAnswers[field.id] = answers[field.id];
+
+                const condition = { field_id: field.id, operator: 'is_empty' };
+                if (field.is_required && this.evaluateCondition(condition, effectiveAnswers)) {
+                    missingRequired.push({
+                        field_id: field.id,
+                        name: field.name,
+                        label: field.label || field.name
+                    });
+                }
+            }
+
+            index = this.getNextStepIndex(steps, index, effectiveAnswers);
+        }
+
+        return { visitedStepIds, visibleFieldIds, missingRequired };
+    }
+}
+
+module.exports = new ConditionalLogicService();
@@ -182,6 +182,45 @@ class FieldRecommendationService {
             throw error;
         }
     }
+    
+    /**
+     * Read the fields an AI reply suggests in the "**Suggested Fields:**" list
+     * format the builder chats ask for, one per line:
+     *   - **Field Name** (text|textarea|dropdown): description, or a dropdown's options
+     * @param {string} reply - AI reply
+     * @returns {Array} Fields as { name, label, type: text|textarea|select, placeholder, options, required }
+     */
+    extractSuggestedFields(reply) {
+        if (typeof reply !== 'string') {
+            return [];
+        }
+        
+        const fields = [];
+        const pattern = /^\s*[-*]\s+\*\*(.+?)\*\*\s*\(([\w-]+)\)\s*:?\s*(.*)$/gm;
+        let match;
+        
+        while ((match = pattern.exec(reply)) !== null) {
+            const [, label, rawType, detail] = match;
+            const kind = rawType.toLowerCase();
+            const type = ['dropdown', 'select'].includes(kind) ? 'select' : (kind === 'textarea' ? 'textarea' : 'text');
+            const name = label.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+            
+            if (!name || fields.some(field => field.name === name)) {
+                continue;
+            }
+            
+            fields.push({
+                name,
+                label: label.trim(),
+                type,
+                placeholder: type === 'select' ? '' : detail.trim(),
+                options: type === 'select' ? detail.split(',').map(option => option.trim()).filter(Boolean) : [],
+                required: false
+            });
+        }
+        
+        return fields;
+    }
 }
 
 module.exports = new FieldRecommendationService();
\ No newline at end of file
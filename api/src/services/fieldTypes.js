@@ -0,0 +1,364 @@
+const { Pool } = require('pg');
+
+// Database connection
+const pool = new Pool({
+    host: process.env.DB_HOST,
+    port: process.env.DB_PORT,
+    database: process.env.DB_NAME,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    ssl: { rejectUnauthorized: false }
+});
+
+/**
+ * Field Type Service V6
+ * Type-specific settings (project_fields_v6.field_config) and answer handling
+ * for the richer v6 field types.
+ *
+ *   number   { unit, step }                       - plain number, range via validation rules
+ *   slider   { min, max, step, unit }             - range input
+ *   date     { minDate, maxDate }                 - YYYY-MM-DD
+ *   rating   { max }                              - 1..max stars
+ *   likert   { rows: [label], scale: [label] }    - answer is { row: scale label }
+ *   repeater { subfields: [{ name, label, type }], minItems, maxItems, addLabel }
+ *                                                 - answer is [{ subfield name: value }]
+ */
+class FieldTypeService {
+    constructor() {
+        this.configurableTypes = ['number', 'slider', 'date', 'rating', 'likert', 'repeater'];
+        this.structuredTypes = ['likert', 'repeater'];
+        this.subfieldTypes = ['text', 'textarea', 'number', 'date'];
+        this.defaultLikertScale = ['Strongly disagree', 'Disagree', 'Neutral', 'Agree', 'Strongly agree'];
+        this.datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    }
+
+    /**
+     * Add the field config column if it doesn't exist
+     */
+    async ensureFieldTypeColumns() {
+        try {
+            await pool.query(`
+                ALTER TABLE project_fields_v6
+                ADD COLUMN IF NOT EXISTS field_config JSONB DEFAULT '{}'::jsonb
+            `);
+
+            console.log('✅ Field type columns ensured');
+
+        } catch (error) {
+            console.error('Error ensuring field type columns:', error);
+            throw error;
+        }
+    }
+
+    // ========================================
+    // CONFIG NORMALIZATION
+    // ========================================
+
+    /**
+     * Validate the type-specific settings from the field editor and fill in defaults
+     * @param {string} fieldType - Field type the config belongs to
+     * @param {Object} config - Raw config from the request
+     * @returns {Object} - { config, errors }
+     */
+    normalizeConfig(fieldType, config) {
+        if (config !== undefined && config !== null && (typeof config !== 'object' || Array.isArray(config))) {
+            return { config: {}, errors: ['Field config must be an object'] };
+        }
+
+        const raw = config || {};
+        const errors = [];
+        const isBlank = value => value === undefined || value === null || value === '';
+        const readNumber = (key, fallback) => {
+            if (isBlank(raw[key])) return fallback;
+            const value = Number(raw[key]);
+            if (!Number.isFinite(value)) {
+                errors.push(`${key} must be a number`);
+                return fallback;
+            }
+            return value;
+        };
+        const readText = (key, maxLength) => {
+            if (isBlank(raw[key])) return undefined;
+            return String(raw[key]).trim().slice(0, maxLength) || undefined;
+        };
+        const readList = key => (Array.isArray(raw[key]) ? raw[key] : [])
+            .map(item => String(item ?? '').trim())
+            .filter(Boolean);
+
+        switch (fieldType) {
+            case 'number': {
+                const step = readNumber('step', undefined);
+                if (step !== undefined && step <= 0) {
+                    errors.push('step must be greater than 0');
+                }
+                return { config: this.compact({ unit: readText('unit', 20), step }), errors };
+            }
+
+            case 'slider': {
+                const min = readNumber('min', 0);
+                const max = readNumber('max', 100);
+                const step = readNumber('step', 1);
+                if (min >= max) {
+                    errors.push('Slider min must be less than max');
+                }
+                if (step <= 0) {
+                    errors.push('step must be greater than 0');
+                }
+                return { config: this.compact({ min, max, step, unit: readText('unit', 20) }), errors };
+            }
+
+            case 'date': {
+                const minDate = readText('minDate', 10);
+                const maxDate = readText('maxDate', 10);
+                [['minDate', minDate], ['maxDate', maxDate]].forEach(([key, value]) => {
+                    if (value !== undefined && !this.isValidDate(value)) {
+                        errors.push(`${key} must be a date in YYYY-MM-DD format`);
+                    }
+                });
+                if (minDate && maxDate && minDate > maxDate) {
+                    errors.push('minDate cannot be after maxDate');
+                }
+                return { config: this.compact({ minDate, maxDate }), errors };
+            }
+
+            case 'rating': {
+                const max = readNumber('max', 5);
+                if (!Number.isInteger(max) || max < 2 || max > 10) {
+                    errors.push('Rating max must be a whole number from 2 to 10');
+                }
+                return { config: { max }, errors };
+            }
+
+            case 'likert': {
+                const rows = readList('rows');
+                const scale = readList('scale');
+                if (rows.length === 0) {
+                    errors.push('A Likert field needs at least one row');
+                }
+                if (new Set(rows).size !== rows.length) {
+                    errors.push('Likert rows must be unique');
+                }
+                if (scale.length > 0 && (scale.length < 2 || scale.length > 11)) {
+                    errors.push('A Likert scale needs between 2 and 11 points');
+                }
+                if (new Set(scale).size !== scale.length) {
+                    errors.push('Likert scale points must be unique');
+                }
+                return { config: { rows, scale: scale.length > 0 ? scale : [...this.defaultLikertScale] }, errors };
+            }
+
+            case 'repeater': {
+                const names = new Set();
+                const subfields = (Array.isArray(raw.subfields) ? raw.subfields : []).map((subfield, index) => {
+                    const label = String(subfield?.label ?? subfield?.name ?? '').trim();
+                    const name = this.toSubfieldName(subfield?.name || label);
+                    const type = subfield?.type || 'text';
+
+                    if (!label || !name) {
+                        errors.push(`Subfield ${index + 1}: label is required`);
+                    } else if (names.has(name)) {
+                        errors.push(`Subfield ${index + 1}: duplicate name '${name}'`);
+                    }
+                    if (!this.subfieldTypes.includes(type)) {
+                        errors.push(`Subfield ${index + 1}: type must be one of ${this.subfieldTypes.join(', ')}`);
+                    }
+                    names.add(name);
+
+                    return { name, label, type };
+                });
+
+                const minItems = readNumber('minItems', 0);
+                const maxItems = readNumber('maxItems', 10);
+                if (subfields.length === 0) {
+                    errors.push('A repeating group needs at least one subfield');
+                }
+                if (!Number.isInteger(minItems) || minItems < 0 || !Number.isInteger(maxItems) || maxItems < 1) {
+                    errors.push('minItems and maxItems must be whole numbers (maxItems at least 1)');
+                } else if (minItems > maxItems) {
+                    errors.push('minItems cannot be greater than maxItems');
+                }
+
+                return {
+                    config: this.compact({ subfields, minItems, maxItems, addLabel: readText('addLabel', 50) }),
+                    errors
+                };
+            }
+
+            default:
+                return { config: {}, errors };
+        }
+    }
+
+    /**
+     * Drop undefined keys so stored configs stay small
+     */
+    compact(config) {
+        return Object.fromEntries(Object.entries(config).filter(([, value]) => value !== undefined));
+    }
+
+    toSubfieldName(name) {
+        return String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '_').replace(/_+/g, '_').replace(/^_|_$/g, '');
+    }
+
+    isValidDate(value) {
+        if (!this.datePattern.test(value)) return false;
+        const date = new Date(`${value}T00:00:00Z`);
+        return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+    }
+
+    /**
+     * Fill in defaults for fields saved before they had a config
+     */
+    getConfig(field) {
+        const config = field.field_config || {};
+        if (!this.configurableTypes.includes(field.field_type)) {
+            return config;
+        }
+        return { ...this.normalizeConfig(field.field_type, config).config, ...config };
+    }
+
+    // ========================================
+    // ANSWERS
+    // ========================================
+
+    /**
+     * Whether an answer counts as given (structured answers included)
+     */
+    hasAnswer(answer) {
+        if (answer === undefined || answer === null) return false;
+        if (Array.isArray(answer)) return answer.some(item => this.hasAnswer(item));
+        if (typeof answer === 'object') return Object.values(answer).some(value => this.hasAnswer(value));
+        return answer.toString().trim() !== '';
+    }
+
+    /**
+     * Check that an answer has the shape and range its field type allows
+     * @param {Object} field - Field row with field_type and field_config
+     * @param {*} answer - Submitted value
+     * @returns {string|null} - Error message, or null when valid
+     */
+    validateAnswer(field, answer) {
+        if (!this.hasAnswer(answer)) {
+            return null;
+        }
+
+        const config = this.getConfig(field);
+        const single = Array.isArray(answer) || typeof answer === 'object' ? null : answer.toString().trim();
+
+        switch (field.field_type) {
+            case 'slider': {
+                const value = Number(single);
+                if (single === null || !Number.isFinite(value)) return 'Please choose a value';
+                if (value < config.min || value > config.max) return `Must be between ${config.min} and ${config.max}`;
+                return null;
+            }
+
+            case 'date':
+                if (single === null || !this.isValidDate(single)) return 'Please enter a valid date';
+                if (config.minDate && single < config.minDate) return `Must be on or after ${config.minDate}`;
+                if (config.maxDate && single > config.maxDate) return `Must be on or before ${config.maxDate}`;
+                return null;
+
+            case 'rating': {
+                const value = Number(single);
+                if (single === null || !Number.isInteger(value) || value < 1 || value > config.max) {
+                    return `Please choose a rating from 1 to ${config.max}`;
+                }
+                return null;
+            }
+
+            case 'likert': {
+                if (typeof answer !== 'object' || Array.isArray(answer)) return 'Please answer using the scale';
+                const rows = Object.keys(answer).filter(row => this.hasAnswer(answer[row]));
+                if (rows.some(row => !config.rows.includes(row))) return 'Please answer only the listed statements';
+                if (rows.some(row => !config.scale.includes(String(answer[row])))) return 'Please choose one of the scale options';
+                if (field.is_required && rows.length < config.rows.length) return 'Please answer every statement';
+                return null;
+            }
+
+            case 'repeater': {
+                if (!Array.isArray(answer)) return 'Please add entries using the form';
+                const entries = answer.filter(entry => this.hasAnswer(entry));
+                if (entries.some(entry => typeof entry !== 'object' || Array.isArray(entry))) {
+                    return 'Please add entries using the form';
+                }
+                if (entries.length < config.minItems) {
+                    return `Add at least ${config.minItems} entr${config.minItems === 1 ? 'y' : 'ies'}`;
+                }
+                if (entries.length > config.maxItems) {
+                    return `Add at most ${config.maxItems} entr${config.maxItems === 1 ? 'y' : 'ies'}`;
+                }
+
+                for (const entry of entries) {
+                    for (const [name, value] of Object.entries(entry)) {
+                        const subfield = config.subfields.find(sub => sub.name === name);
+                        if (!subfield) return 'Entries contain an unknown field';
+                        if (!this.hasAnswer(value)) continue;
+
+                        if (subfield.type === 'number' && !Number.isFinite(Number(value))) {
+                            return `${subfield.label}: please enter a number`;
+                        }
+                        if (subfield.type === 'date' && !this.isValidDate(String(value))) {
+                            return `${subfield.label}: please enter a valid date`;
+                        }
+                    }
+                }
+                return null;
+            }
+
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Turn an answer into readable prompt text
+     * @param {Object} field - Field row with field_type and field_config
+     * @param {*} answer - Submitted value
+     * @returns {string}
+     */
+    formatAnswer(field, answer) {
+        const config = this.getConfig(field);
+        const withUnit = value => config.unit ? `${value} ${config.unit}` : `${value}`;
+
+        switch (field.field_type) {
+            case 'number':
+                return withUnit(answer);
+
+            case 'slider':
+                return `${withUnit(answer)} (on a scale from ${config.min} to ${config.max})`;
+
+            case 'rating':
+                return `${answer} out of ${config.max}`;
+
+            case 'likert':
+                return '\n' + config.rows
+                    .filter(row => this.hasAnswer(answer?.[row]))
+                    .map(row => `  - ${row}: ${answer[row]}`)
+                    .join('\n');
+
+            case 'repeater':
+                return '\n' + (answer || [])
+                    .filter(entry => this.hasAnswer(entry))
+                    .map((entry, index) => {
+                        const parts = config.subfields
+                            .filter(subfield => this.hasAnswer(entry[subfield.name]))
+                            .map(subfield => `${subfield.label}: ${entry[subfield.name]}`);
+                        return `  ${index + 1}. ${parts.join('; ')}`;
+                    })
+                    .join('\n');
+
+            default:
+                return Array.isArray(answer) ? answer.join(', ') : `${answer}`;
+        }
+    }
+
+    /**
+     * Structured answers are stored as JSON text in project_responses_v6
+     */
+    serializeAnswer(field, answer) {
+        return this.structuredTypes.includes(field.field_type) ? JSON.stringify(answer ?? null) : answer;
+    }
+}
+
+module.exports = new FieldTypeService();
@@ -0,0 +1,276 @@
+const fieldTypes = require('./fieldTypes');
+
+/**
+ * Field Validation Service V6
+ * Declarative per-field constraints stored in project_fields_v6.validation_rules
+ * and enforced both in the generated tool and on the server.
+ *
+ * Supported rules:
+ *   minLength, maxLength     - text length per value
+ *   min, max                 - numeric range
+ *   pattern, patternMessage  - regular expression the whole value must match
+ *                              (same semantics as the HTML pattern attribute;
+ *                              repeated groups cannot contain repetition or
+ *                              alternatives, such as (a+)+ or (a|b)*)
+ *   maxSelections            - checkbox fields only
+ * Choice fields (select, radio, checkbox) only ever accept their defined choices.
+ * Type-specific checks (slider range, dates, ratings, Likert, repeating groups)
+ * come from the field type service.
+ */
+class FieldValidationService {
+    constructor() {
+        this.choiceTypes = ['select', 'radio', 'checkbox'];
+        this.maxPatternLength = 500;
+        // Longest answer a pattern is tested against, so one answer can't tie up the server
+        this.maxPatternInputLength = 1000;
+    }
+
+    // ========================================
+    // RULE NORMALIZATION
+    // ========================================
+
+    /**
+     * Validate rules coming from the field editor. Keys that are not
+     * constraints (multiple, disabled, options) are passed through untouched.
+     * @param {Object} rules - Raw rules from the request
+     * @param {string} fieldType - Field type the rules apply to
+     * @returns {Object} - { rules, errors }
+     */
+    normalizeRules(rules, fieldType) {
+        if (rules === undefined || rules === null) {
+            return { rules: {}, errors: [] };
+        }
+        if (typeof rules !== 'object' || Array.isArray(rules)) {
+            return { rules: {}, errors: ['Validation rules must be an object'] };
+        }
+
+        const errors = [];
+        const normalized = { ...rules };
+        const isBlank = value => value === undefined || value === null || value === '';
+
+        ['minLength', 'maxLength', 'maxSelections'].forEach(key => {
+            if (isBlank(rules[key])) {
+                delete normalized[key];
+                return;
+            }
+            const value = Number(rules[key]);
+            if (!Number.isInteger(value) || value < 0) {
+                errors.push(`${key} must be a whole number of 0 or more`);
+            } else {
+                normalized[key] = value;
+            }
+        });
+
+        ['min', 'max'].forEach(key => {
+            if (isBlank(rules[key])) {
+                delete normalized[key];
+                return;
+            }
+            const value = Number(rules[key]);
+            if (!Number.isFinite(value)) {
+                errors.push(`${key} must be a number`);
+            } else {
+                normalized[key] = value;
+            }
+        });
+
+        if (normalized.minLength !== undefined && normalized.maxLength !== undefined && normalized.minLength > normalized.maxLength) {
+            errors.push('minLength cannot be greater than maxLength');
+        }
+        if (normalized.min !== undefined && normalized.max !== undefined && normalized.min > normalized.max) {
+            errors.push('min cannot be greater than max');
+        }
+        if (normalized.maxSelections !== undefined && fieldType && fieldType !== 'checkbox') {
+            errors.push('maxSelections only applies to checkbox fields');
+        }
+
+        if (isBlank(rules.pattern) || (typeof rules.pattern === 'string' && !rules.pattern.trim())) {
+            delete normalized.pattern;
+            delete normalized.patternMessage;
+        } else if (typeof rules.pattern !== 'string' || rules.pattern.length > this.maxPatternLength) {
+            errors.push(`pattern must be text of at most ${this.maxPatternLength} characters`);
+        } else {
+            try {
+                new RegExp(rules.pattern);
+                if (this.hasUnsafeRepetition(rules.pattern)) {
+                    errors.push('pattern cannot repeat a group that contains a repetition or alternatives, e.g. (a+)+ or (a|b)*, as it can take too long to check');
+                } else {
+                    normalized.pattern = rules.pattern.trim();
+                }
+            } catch (error) {
+                errors.push(`pattern is not a valid regular expression: ${error.message}`);
+            }
+        }
+
+        if (normalized.patternMessage !== undefined) {
+            normalized.patternMessage = String(normalized.patternMessage).trim().slice(0, 200) || undefined;
+            if (!normalized.patternMessage) delete normalized.patternMessage;
+        }
+
+        return { rules: normalized, errors };
+    }
+
+    /**
+     * Whether a pattern repeats a group that contains a repetition or
+     * alternatives, e.g. (a+)+, (\w*\s?)* or (a|aa)+. Such patterns can take
+     * exponential time on answers that almost match (ReDoS).
+     * @param {string} pattern - Regular expression source
+     * @returns {boolean}
+     */
+    hasUnsafeRepetition(pattern) {
+        const repeatsAt = index => pattern[index] === '*' || pattern[index] === '+' || /^\{\d+,\d*\}/.test(pattern.slice(index));
+        const countsAt = index => repeatsAt(index) || /^\{\d+\}/.test(pattern.slice(index));
+        const groups = [false]; // Whether each open group contains a quantifier or alternatives
+        let inClass = false;
+
+        for (let i = 0; i < pattern.length; i++) {
+            const char = pattern[i];
+
+            if (char === '\\') {
+                i++;
+            } else if (inClass) {
+                inClass = char !== ']';
+            } else if (char === '[') {
+                inClass = true;
+            } else if (char === '(') {
+                groups.push(false);
+                if (pattern[i + 1] === '?') {
+                    i++;
+                }
+            } else if (char === ')' && groups.length > 1) {
+                const complexInside = groups.pop();
+                if (complexInside && countsAt(i + 1)) {
+                    return true;
+                }
+                groups[groups.length - 1] = groups[groups.length - 1] || complexInside;
+            } else if (char === '|' || char === '?' || repeatsAt(i)) {
+                groups[groups.length - 1] = true;
+            }
+        }
+
+        return false;
+    }
+
+    // ========================================
+    // ENFORCEMENT
+    // ========================================
+
+    /**
+     * Check one answer against its field definition
+     * @param {Object} field - Field row with validation_rules and choices
+     * @param {*} answer - Submitted value (string or array)
+     * @returns {string|null} - Error message, or null when valid
+     */
+    validateValue(field, answer) {
+        const typeError = fieldTypes.validateAnswer(field, answer);
+        if (typeError || fieldTypes.structuredTypes.includes(field.field_type)) {
+            return typeError;
+        }
+
+        // Only choice fields take a list, and no answer here is an object
+        const isObject = value => value !== null && typeof value === 'object';
+        if (Array.isArray(answer)
+            ? !this.choiceTypes.includes(field.field_type) || answer.some(isObject)
+            : isObject(answer)) {
+            return 'Please enter a single value';
+        }
+
+        const rules = field.validation_rules || {};
+        const values = (Array.isArray(answer) ? answer : [answer])
+            .filter(value => value !== undefined && value !== null && value.toString().trim() !== '')
+            .map(value => value.toString());
+
+        // Emptiness is handled by the required check
+        if (values.length === 0) {
+            return null;
+        }
+
+        if (this.choiceTypes.includes(field.field_type)) {
+            const allowed = (field.choices || []).map(choice => String(choice.value));
+
+            if (field.field_type !== 'checkbox' && values.length > 1) {
+                return 'Only one option can be selected';
+            }
+            if (values.some(value => !allowed.includes(value))) {
+                return 'Please choose one of the listed options';
+            }
+            if (rules.maxSelections !== undefined && values.length > rules.maxSelections) {
+                return `Select at most ${rules.maxSelections} option${rules.maxSelections === 1 ? '' : 's'}`;
+            }
+            return null;
+        }
+
+        for (const value of values) {
+            const text = value.trim();
+
+            if (rules.minLength !== undefined && text.length < rules.minLength) {
+                return `Must be at least ${rules.minLength} characters`;
+            }
+            if (rules.maxLength !== undefined && text.length > rules.maxLength) {
+                return `Must be at most ${rules.maxLength} characters`;
+            }
+
+            if (rules.pattern) {
+                if (text.length > this.maxPatternInputLength) {
+                    return `Must be at most ${this.maxPatternInputLength} characters`;
+                }
+
+                // Patterns saved before unsafe repetition was rejected are skipped, like invalid ones
+                let matches = false;
+                try {
+                    if (this.hasUnsafeRepetition(rules.pattern)) {
+                        throw new Error('pattern repeats a group with repetition or alternatives');
+                    }
+                    matches = new RegExp(`^(?:${rules.pattern})$`).test(text);
+                } catch (error) {
+                    console.warn(`Invalid pattern on field ${field.id}:`, error.message);
+                    matches = true;
+                }
+                if (!matches) {
+                    return rules.patternMessage || 'Please match the requested format';
+                }
+            }
+
+            if (field.field_type === 'number' || rules.min !== undefined || rules.max !== undefined) {
+                const number = Number(text);
+                if (!Number.isFinite(number)) {
+                    return 'Please enter a number';
+                }
+                if (rules.min !== undefined && number < rules.min) {
+                    return `Must be at least ${rules.min}`;
+                }
+                if (rules.max !== undefined && number > rules.max) {
+                    return `Must be at most ${rules.max}`;
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Validate a set of answers
+     * @param {Array} fields - Fields to check (normally the visible ones)
+     * @param {Object} answers - Answers keyed by field id
+     * @returns {Array} - [{ field_id, name, label, message }]
+     */
+    validateAnswers(fields, answers) {
+        const errors = [];
+
+        for (const field of fields) {
+            const message = this.validateValue(field, answers[field.id]);
+            if (message) {
+                errors.push({
+                    field_id: field.id,
+                    name: field.name,
+                    label: field.label || field.name,
+                    message
+                });
+            }
+        }
+
+        return errors;
+    }
+}
+
+module.exports = new FieldValidationService();
@@ -0,0 +1,143 @@
+/**
+ * Gemini Provider
+ * LLM client adapter for Google Gemini models (see llmClient.js), calling the
+ * Generative Language REST API directly as there is no Gemini SDK in the
+ * API's dependencies. JSON mode sets responseMimeType to application/json.
+ */
+class GeminiProvider {
+    constructor() {
+        this.name = 'google';
+        this.label = 'Google (Gemini)';
+        this.envKey = 'GOOGLE_API_KEY';
+        this.modelEnvKey = 'GOOGLE_MODEL';
+        this.apiUrl = 'https://generativelanguage.googleapis.com/v1beta/models';
+        this.rateLimited = true;
+
+        // USD per million input / output tokens, for cost estimates
+        this.pricing = {
+            'gemini-1.5-pro': { input: 1.25, output: 5 },
+            'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+            'gemini-pro': { input: 0.5, output: 1.5 }
+        };
+
+        this.defaultModel = 'gemini-1.5-flash';
+    }
+
+    isConfigured() {
+        return Boolean(process.env[this.envKey]);
+    }
+
+    handlesModel(model) {
+        return model.startsWith('gemini');
+    }
+
+    /**
+     * @param {Object} request - See AnthropicProvider.complete
+     * @returns {Promise<Object>} - { text, model, usage: { input_tokens, output_tokens } }
+     */
+    async complete(request) {
+        const body = {
+            // Gemini calls the assistant role "model"
+            contents: request.messages.map(message => ({
+                role: message.role === 'assistant' ? 'model' : 'user',
+                parts: [{ text: message.content }]
+            })),
+            generationConfig: {
+                temperature: request.temperature,
+                maxOutputTokens: request.max_tokens
+            }
+        };
+
+        if (request.system) {
+            body.systemInstruction = { parts: [{ text: request.system }] };
+        }
+        if (request.stop_sequences && request.stop_sequences.length > 0) {
+            body.generationConfig.stopSequences = request.stop_sequences;
+        }
+        if (request.json) {
+            body.generationConfig.responseMimeType = 'application/json';
+        }
+
+        const url = request.stream
+            ? `${this.apiUrl}/${request.model}:streamGenerateContent?alt=sse`
+            : `${this.apiUrl}/${request.model}:generateContent`;
+
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'x-goog-api-key': process.env[this.envKey]
+            },
+            body: JSON.stringify(body),
+            signal: request.signal || undefined
+        });
+
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            const error = new Error((data.error && data.error.message) || `Gemini API returned ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        if (request.stream) {
+            return this.stream(response, request);
+        }
+
+        const data = await response.json();
+        return { text: this.readText(data), model: request.model, usage: this.readUsage(data) };
+    }
+
+    /**
+     * Read a server-sent event stream, relaying text as it arrives. Each event
+     * carries the usage so far, so the last one has the totals.
+     */
+    async stream(response, { model, onText = null }) {
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let text = '';
+        let usage = { input_tokens: 0, output_tokens: 0 };
+
+        const handleLine = (line) => {
+            if (!line.startsWith('data:')) {
+                return;
+            }
+            const data = JSON.parse(line.slice(5).trim());
+            const delta = this.readText(data);
+            if (delta) {
+                text += delta;
+                if (onText) {
+                    onText(delta);
+                }
+            }
+            if (data.usageMetadata) {
+                usage = this.readUsage(data);
+            }
+        };
+
+        for await (const chunk of response.body) {
+            buffer += decoder.decode(chunk, { stream: true });
+            const lines = buffer.split(/\r?\n/);
+            buffer = lines.pop();
+            lines.forEach(handleLine);
+        }
+        handleLine(buffer);
+
+        return { text, model, usage };
+    }
+
+    readText(data) {
+        const candidate = data.candidates && data.candidates[0];
+        const parts = (candidate && candidate.content && candidate.content.parts) || [];
+        return parts.map(part => part.text || '').join('');
+    }
+
+    readUsage(data) {
+        const metadata = data.usageMetadata || {};
+        return {
+            input_tokens: metadata.promptTokenCount || 0,
+            output_tokens: metadata.candidatesTokenCount || 0
+        };
+    }
+}
+
+module.exports = new GeminiProvider();
@@ -0,0 +1,285 @@
+const { Pool } = require('pg');
+const llmClient = require('./llmClient');
+const aiConfig = require('./aiConfig');
+
+// Database connection
+const pool = new Pool({
+    host: process.env.DB_HOST,
+    port: process.env.DB_PORT,
+    database: process.env.DB_NAME,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    ssl: { rejectUnauthorized: false }
+});
+
+/**
+ * Generation Settings Service V6
+ * Per-project provider, model, temperature, token limit and stop sequences
+ * (projects_v6.generation_settings). They are versioned with the rest of the
+ * project, so a change takes effect on the next deploy, and every generation
+ * path of a deployed tool applies them as defaults: pipeline stages and
+ * experiment variants that pick their own model still win. Models are
+ * checked against the ones AIConfigService reports as available, and against
+ * limits.allowed_models of the project owner's packages when an admin has
+ * restricted them; getRunOptions applies that restriction to every call of a
+ * run, including defaults, stage and variant models and fallbacks.
+ *
+ * Settings format (null, or any setting left null, uses the LLM client defaults):
+ *   { provider: 'anthropic' | 'openai' | 'google', model, temperature: 0-1, max_tokens, stop_sequences: [string, ...],
+ *     fallbacks: [model id or provider id, ...] (tried in order when the model fails; empty uses
+ *     the platform fallback chain, see llmClient.getCandidates) }
+ */
+class GenerationSettingsService {
+    constructor() {
+        this.llm = llmClient;
+        // Providers tool generation can call (the mock provider is for tests and development)
+        this.providers = Object.keys(llmClient.providers).filter(id => id !== 'mock');
+        this.maxTokensLimit = 4096;
+        this.maxStopSequences = 4;
+        this.maxStopSequenceLength = 50;
+    }
+
+    /**
+     * Add the settings column if it doesn't exist
+     */
+    async ensureGenerationSettingsColumns() {
+        try {
+            await pool.query(`
+                ALTER TABLE projects_v6
+                ADD COLUMN IF NOT EXISTS generation_settings JSONB DEFAULT NULL
+            `);
+
+            console.log('✅ Generation settings columns ensured');
+
+        } catch (error) {
+            console.error('Error ensuring generation settings columns:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Settings used when a project doesn't set its own
+     */
+    getDefaults() {
+        return {
+            provider: this.llm.getActiveProvider(),
+            model: this.llm.defaultModel,
+            temperature: this.llm.defaultTemperature,
+            max_tokens: this.llm.defaultMaxTokens,
+            stop_sequences: [],
+            fallbacks: this.llm.getPlatformFallbacks()
+        };
+    }
+
+    /**
+     * Models a user's projects may select, from the limits.allowed_models of
+     * their active packages. null when no package restricts them (a package
+     * without allowed_models allows every model).
+     * @returns {Promise<Array|null>}
+     */
+    async getAllowedModels(userId) {
+        const result = await pool.query(`
+            SELECT p.limits
+            FROM user_packages up
+            JOIN packages p ON p.id = up.package_id
+            WHERE up.user_id = $1 AND up.is_active = true
+        `, [userId]);
+
+        const lists = result.rows.map(row => (row.limits || {}).allowed_models);
+        if (lists.length === 0 || lists.some(list => !Array.isArray(list))) {
+            return null;
+        }
+
+        return [...new Set(lists.flat())];
+    }
+
+    /**
+     * Providers and models a project of this owner can select
+     * @returns {Promise<Array>} - [{ id, name, models, default_model }]
+     */
+    async getOptions(ownerId) {
+        const [available, allowed] = await Promise.all([aiConfig.getAvailableModels(), this.getAllowedModels(ownerId)]);
+
+        return this.providers
+            .filter(id => available[id] && available[id].hasKey)
+            .map(id => {
+                const models = available[id].models.filter(model => !allowed || allowed.includes(model));
+                const defaultModel = this.llm.getDefaultModel(id);
+                return {
+                    id,
+                    name: available[id].name,
+                    models,
+                    // The model a project without its own runs on, within the allowed ones
+                    default_model: !allowed || allowed.includes(defaultModel) ? defaultModel : models[0] || null
+                };
+            });
+    }
+
+    /**
+     * Validate settings from the project settings form
+     * @param {Object|null} input - Raw settings; null goes back to the defaults
+     * @param {string} ownerId - Project owner, whose packages may restrict the models
+     * @returns {Promise<Object>} - { settings, errors }
+     */
+    async normalizeSettings(input, ownerId) {
+        if (input === null) {
+            return { settings: null, errors: [] };
+        }
+        if (typeof input !== 'object' || Array.isArray(input)) {
+            return { settings: null, errors: ['generation_settings must be an object or null'] };
+        }
+
+        const errors = [];
+        const settings = {
+            provider: input.provider || this.llm.getActiveProvider(),
+            model: input.model || null,
+            temperature: null,
+            max_tokens: null,
+            stop_sequences: [],
+            fallbacks: []
+        };
+
+        const options = await this.getOptions(ownerId);
+        const provider = options.find(option => option.id === settings.provider);
+
+        if (!provider) {
+            errors.push(`provider must be one of ${options.map(option => option.id).join(', ') || '(none configured)'}`);
+        } else if (settings.model && !provider.models.includes(settings.model)) {
+            errors.push(`model ${settings.model} is not available for this project; choose one of ${provider.models.join(', ')}`);
+        }
+
+        if (input.temperature !== undefined && input.temperature !== null && input.temperature !== '') {
+            const temperature = Number(input.temperature);
+            if (!Number.isFinite(temperature) || temperature < 0 || temperature > 1) {
+                errors.push('temperature must be a number from 0 to 1');
+            } else {
+                settings.temperature = temperature;
+            }
+        }
+
+        if (input.max_tokens !== undefined && input.max_tokens !== null && input.max_tokens !== '') {
+            const maxTokens = Number(input.max_tokens);
+            if (!Number.isInteger(maxTokens) || maxTokens < 1 || maxTokens > this.maxTokensLimit) {
+                errors.push(`max_tokens must be a whole number from 1 to ${this.maxTokensLimit}`);
+            } else {
+                settings.max_tokens = maxTokens;
+            }
+        }
+
+        if (input.stop_sequences !== undefined && input.stop_sequences !== null) {
+            if (!Array.isArray(input.stop_sequences)) {
+                errors.push('stop_sequences must be a list');
+            } else if (input.stop_sequences.length > this.maxStopSequences) {
+                errors.push(`Use at most ${this.maxStopSequences} stop sequences`);
+            } else {
+                for (const sequence of input.stop_sequences) {
+                    if (typeof sequence !== 'string' || !sequence.trim() || sequence.length > this.maxStopSequenceLength) {
+                        errors.push(`Stop sequences must be text of 1 to ${this.maxStopSequenceLength} characters, not only spaces`);
+                        break;
+                    }
+                }
+                settings.stop_sequences = [...new Set(input.stop_sequences)];
+            }
+        }
+
+        if (input.fallbacks !== undefined && input.fallbacks !== null) {
+            if (!Array.isArray(input.fallbacks)) {
+                errors.push('fallbacks must be a list');
+            } else if (input.fallbacks.length > this.llm.maxFallbacks) {
+                errors.push(`Use at most ${this.llm.maxFallbacks} fallbacks`);
+            } else {
+                // Fallbacks are limited to the providers and models the project could select
+                const allowed = new Set(options.flatMap(option => [option.id, ...option.models]));
+                const unknown = input.fallbacks.filter(entry => !allowed.has(entry));
+
+                if (unknown.length > 0) {
+                    errors.push(`Fallbacks not available for this project: ${unknown.join(', ')}`);
+                } else {
+                    settings.fallbacks = [...new Set(input.fallbacks)];
+                }
+            }
+        }
+
+        return errors.length > 0 ? { settings: null, errors } : { settings, errors };
+    }
+
+    /**
+     * generateContent options for a (published) project: only what it sets,
+     * so per-call options and LLM client defaults fill in the rest
+     * @returns {Object} - { provider, model, temperature, max_tokens, stop_sequences, fallbacks }
+     */
+    getGenerationOptions(project) {
+        const settings = (project && project.generation_settings) || {};
+        const options = {};
+
+        if (settings.provider) {
+            options.provider = settings.provider;
+        }
+        if (settings.model) {
+            options.model = settings.model;
+        }
+        if (typeof settings.temperature === 'number') {
+            options.temperature = settings.temperature;
+        }
+        if (Number.isInteger(settings.max_tokens)) {
+            options.max_tokens = settings.max_tokens;
+        }
+        if (Array.isArray(settings.stop_sequences) && settings.stop_sequences.length > 0) {
+            options.stop_sequences = settings.stop_sequences;
+        }
+        if (Array.isArray(settings.fallbacks) && settings.fallbacks.length > 0) {
+            options.fallbacks = settings.fallbacks;
+        }
+
+        return options;
+    }
+
+    /**
+     * generateContent options for running a project: getGenerationOptions
+     * plus allowed_models, the models its owner's packages allow
+     * @param {Object} project - Project (or session) with user_id and generation_settings
+     * @returns {Promise<Object>}
+     */
+    async getRunOptions(project) {
+        return {
+            ...this.getGenerationOptions(project),
+            allowed_models: await this.getAllowedModels(project.user_id)
+        };
+    }
+
+    /**
+     * Whether a model alias (opus, sonnet, haiku) is allowed, so stages and
+     * variants can be checked when they are saved
+     * @param {string} alias - Key of llmClient.models
+     * @param {Array|null} allowed - Result of getAllowedModels
+     */
+    allowsAlias(alias, allowed) {
+        return !allowed || allowed.includes(this.llm.models[alias]);
+    }
+
+    /**
+     * Validate an admin's model restriction for a package
+     * @param {Array|null} models - Allowed model ids; null allows every model
+     * @returns {Promise<Object>} - { models, errors }
+     */
+    async normalizeAllowedModels(models) {
+        if (models === null) {
+            return { models: null, errors: [] };
+        }
+        if (!Array.isArray(models) || models.length === 0 || models.some(model => typeof model !== 'string')) {
+            return { models: null, errors: ['allowed_models must be a non-empty list of model ids, or null to allow every model'] };
+        }
+
+        const available = await aiConfig.getAvailableModels();
+        const known = new Set(Object.values(available).flatMap(provider => provider.models));
+        const unknown = models.filter(model => !known.has(model));
+
+        if (unknown.length > 0) {
+            return { models: null, errors: [`Unknown models: ${unknown.join(', ')}`] };
+        }
+
+        return { models: [...new Set(models)], errors: [] };
+    }
+}
+
+module.exports = new GenerationSettingsService();
@@ -0,0 +1,643 @@
+const anthropicProvider = require('./anthropicProvider');
+const openaiProvider = require('./openaiProvider');
+const geminiProvider = require('./geminiProvider');
+const mockProvider = require('./mockProvider');
+const aiCallLog = require('./aiCallLog');
+
+/**
+ * LLM Client
+ * One provider-neutral interface for every AI call: chat, streaming, JSON mode
+ * and token usage, with adapters for Anthropic, OpenAI, Gemini and the
+ * offline mock provider. A call goes to the provider of its model when the
+ * model names one (claude-*, gpt-*, gemini-*, mock), then to options.provider,
+ * then to the active provider chosen in the admin AI settings (AI_PROVIDER,
+ * with AI_MODEL as its model), and to Anthropic when none is set.
+ *
+ * Failed attempts are retried with exponential backoff and jitter when the
+ * error is temporary (429, 5xx and 529, timeouts, network errors). A provider
+ * that keeps failing has its circuit opened for breakerCooldown, during which
+ * its calls go straight to the fallbacks: options.fallbacks (a project's
+ * generation settings) or the platform-wide AI_FALLBACK_CHAIN, each entry a
+ * model id, a model alias (e.g. haiku) or a provider id (its default model).
+ * When every candidate fails the error has degraded: true and userMessage, a
+ * message for end users. Every attempt is recorded by aiCallLog.
+ *
+ * Adapter interface: { name, label, envKey, modelEnvKey, defaultModel, pricing,
+ * rateLimited, isConfigured(), handlesModel(model), complete(request) } where
+ * complete resolves to { text, model, usage: { input_tokens, output_tokens } }
+ * and rejects with errors carrying the HTTP status as .status.
+ */
+class LlmClient {
+    constructor() {
+        this.providers = {
+            anthropic: anthropicProvider,
+            openai: openaiProvider,
+            google: geminiProvider,
+            mock: mockProvider
+        };
+        this.fallbackProvider = 'anthropic';
+
+        // Model aliases used by pipeline stages, experiment variants and judges
+        this.models = anthropicProvider.models;
+
+        // Default model settings
+        this.defaultMaxTokens = 2000;
+        this.defaultTemperature = 0.3;
+
+        // Rate limiting: attempts on a provider start at least this far apart.
+        // Only the start is spaced out; replies, streams and backoff waits overlap.
+        this.nextStarts = {};
+        this.requestDelay = 1000;
+
+        // Retries of temporary errors: backoff doubles from retryBaseDelay up to retryMaxDelay
+        this.maxRetries = 2;
+        this.retryBaseDelay = 500;
+        this.retryMaxDelay = 8000;
+
+        // Time without a reply (or, when streaming, without new text) before an attempt is abandoned
+        this.requestTimeout = parseInt(process.env.AI_REQUEST_TIMEOUT_MS, 10) || 60000;
+
+        // Circuit breaker: this many failures in a row open a provider's circuit for breakerCooldown
+        this.breakers = {};
+        this.breakerThreshold = 5;
+        this.breakerCooldown = 30 * 1000;
+
+        this.maxFallbacks = 3;
+        this.degradedMessage = 'This tool is temporarily unavailable because our AI service is having problems. Please try again in a few minutes.';
+    }
+
+    /**
+     * Provider chosen in the admin AI settings
+     */
+    getActiveProvider() {
+        const active = process.env.AI_PROVIDER;
+        return this.providers[active] ? active : this.fallbackProvider;
+    }
+
+    /**
+     * Model a provider uses when a call doesn't name one: AI_MODEL for the
+     * active provider, then the provider's own model setting, then its default
+     */
+    getDefaultModel(providerId = this.getActiveProvider()) {
+        const provider = this.providers[providerId];
+        const activeModel = process.env.AI_MODEL;
+
+        if (providerId === this.getActiveProvider() && activeModel && provider.handlesModel(activeModel)) {
+            return activeModel;
+        }
+        return (provider.modelEnvKey && process.env[provider.modelEnvKey]) || provider.defaultModel;
+    }
+
+    get defaultModel() {
+        return this.getDefaultModel();
+    }
+
+    /**
+     * Provider and model a call goes to
+     * @param {Object} options - { provider, model }
+     * @returns {Object} - { provider: provider id, model }
+     */
+    resolve({ provider = null, model = null } = {}) {
+        if (model) {
+            const owner = Object.keys(this.providers).find(id => this.providers[id].handlesModel(model));
+            if (owner) {
+                return { provider: owner, model };
+            }
+        }
+
+        const providerId = this.providers[provider] ? provider : this.getActiveProvider();
+        return { provider: providerId, model: model || this.getDefaultModel(providerId) };
+    }
+
+    /**
+     * Generate content with the resolved provider
+     * With stream: true, text is passed to options.onText as it arrives and the
+     * full text is returned once the message completes. options.signal (an
+     * AbortSignal) cancels the request. options.onUsage receives the token
+     * usage of the request: { provider, model, input_tokens, output_tokens }.
+     * options.history holds earlier turns ([{ role, content }]) sent before
+     * the prompt; options.stop_sequences ends the reply at any of its strings.
+     * options.json asks for a reply that is only JSON (parse it with
+     * parseJSONResponse); options.schema is passed to the mock provider.
+     * options.fallbacks replaces the platform fallback chain (see getCandidates);
+     * options.allowed_models limits every candidate to those model ids.
+     */
+    async generateContent(prompt, options = {}) {
+        const {
+            max_tokens = this.defaultMaxTokens,
+            temperature = this.defaultTemperature,
+            system = null,
+            stream = false,
+            onText = null,
+            signal = null,
+            onUsage = null,
+            history = [],
+            stop_sequences = null,
+            json = false,
+            schema = null
+        } = options;
+
+        const request = {
+            system,
+            messages: [...history, { role: 'user', content: prompt }],
+            max_tokens,
+            temperature,
+            stop_sequences,
+            json,
+            schema,
+            stream,
+            signal,
+            // Once text has reached the caller, a failed reply can't be retried or replaced
+            delivered: false,
+            onText: onText ? (text) => {
+                request.delivered = true;
+                onText(text);
+            } : null
+        };
+
+        const candidates = this.getCandidates(options);
+        const failures = candidates.length > 0 ? [] : ['No allowed model is available'];
+
+        for (const [index, candidate] of candidates.entries()) {
+            const provider = this.providers[candidate.provider];
+            const fallback = index > 0;
+
+            if (!provider.isConfigured() || !this.canAttempt(candidate.provider)) {
+                const reason = provider.isConfigured() ? 'Circuit open' : 'Not configured';
+                failures.push(`${candidate.model}: ${reason}`);
+                aiCallLog.record({ ...candidate, outcome: 'skipped', error: reason, fallback });
+                continue;
+            }
+
+            try {
+                request.model = candidate.model;
+                const result = await this.completeWithRetry(provider, request, fallback);
+
+                if (fallback) {
+                    console.warn(`↪️ AI call served by fallback ${candidate.model} (${failures.join('; ')})`);
+                }
+                if (onUsage) {
+                    onUsage({ provider: candidate.provider, model: result.model, ...result.usage });
+                }
+
+                return result.text;
+
+            } catch (error) {
+                if ((signal && signal.aborted) || request.delivered) {
+                    throw this.toFailure(error, provider);
+                }
+                failures.push(`${candidate.model}: ${error.message}`);
+            }
+        }
+
+        const unavailable = new Error(`AI generation failed: ${failures.join('; ')}`);
+        unavailable.status = 503;
+        unavailable.degraded = true;
+        unavailable.userMessage = this.degradedMessage;
+        throw unavailable;
+    }
+
+    /**
+     * The provider and model a call goes to, then its fallbacks. With
+     * allowed_models, a model outside the list is replaced by an allowed one
+     * of the same provider (its default when allowed) and fallbacks outside
+     * it are dropped.
+     * @param {Object} options - { provider, model, fallbacks, allowed_models }
+     * @returns {Array} - [{ provider, model }]
+     */
+    getCandidates(options = {}) {
+        const allowed = Array.isArray(options.allowed_models) ? options.allowed_models : null;
+        const primary = this.resolve(options);
+        const candidates = [];
+        const add = (candidate) => {
+            if (candidate && (!allowed || allowed.includes(candidate.model)) &&
+                !candidates.some(other => other.provider === candidate.provider && other.model === candidate.model)) {
+                candidates.push(candidate);
+            }
+        };
+
+        add(allowed && !allowed.includes(primary.model) ? this.resolveAllowed(primary.provider, allowed) : primary);
+
+        const chain = Array.isArray(options.fallbacks) && options.fallbacks.length > 0
+            ? options.fallbacks
+            : this.getPlatformFallbacks();
+
+        for (const entry of chain) {
+            add(this.resolveFallback(entry));
+        }
+
+        return candidates;
+    }
+
+    /**
+     * An allowed model to use instead of one that isn't: the provider's
+     * default, another of its models, then any allowed model a provider handles
+     * @returns {Object|null} - { provider, model }
+     */
+    resolveAllowed(providerId, allowed) {
+        if (allowed.includes(this.getDefaultModel(providerId))) {
+            return { provider: providerId, model: this.getDefaultModel(providerId) };
+        }
+
+        const own = allowed.find(model => this.providers[providerId].handlesModel(model));
+        if (own) {
+            return { provider: providerId, model: own };
+        }
+
+        return allowed.map(model => this.resolveFallback(model)).find(Boolean) || null;
+    }
+
+    /**
+     * Platform-wide fallback chain (AI_FALLBACK_CHAIN, comma separated)
+     */
+    getPlatformFallbacks() {
+        return (process.env.AI_FALLBACK_CHAIN || '')
+            .split(',')
+            .map(entry => entry.trim())
+            .filter(Boolean);
+    }
+
+    /**
+     * Provider and model of a fallback entry: a provider id, a model alias or a model id
+     * @returns {Object|null} - { provider, model }, null when no provider handles it
+     */
+    resolveFallback(entry) {
+        if (this.providers[entry]) {
+            return { provider: entry, model: this.getDefaultModel(entry) };
+        }
+
+        const model = this.models[entry] || entry;
+        const owner = Object.keys(this.providers).find(id => this.providers[id].handlesModel(model));
+        return owner ? { provider: owner, model } : null;
+    }
+
+    /**
+     * Validate a fallback chain
+     * @returns {Object} - { fallbacks, errors }
+     */
+    normalizeFallbacks(fallbacks) {
+        if (!Array.isArray(fallbacks) || fallbacks.some(entry => typeof entry !== 'string' || !entry.trim())) {
+            return { fallbacks: null, errors: ['fallbacks must be a list of model ids or provider ids'] };
+        }
+        if (fallbacks.length > this.maxFallbacks) {
+            return { fallbacks: null, errors: [`Use at most ${this.maxFallbacks} fallbacks`] };
+        }
+
+        const entries = [...new Set(fallbacks.map(entry => entry.trim()))];
+        const unknown = entries.filter(entry => !this.resolveFallback(entry));
+        if (unknown.length > 0) {
+            return { fallbacks: null, errors: [`Unknown fallback models or providers: ${unknown.join(', ')}`] };
+        }
+
+        return { fallbacks: entries, errors: [] };
+    }
+
+    /**
+     * Wait for the next start slot on a provider; slots are requestDelay apart
+     */
+    schedule(providerId) {
+        const now = Date.now();
+        const start = Math.max(now, this.nextStarts[providerId] || 0);
+        this.nextStarts[providerId] = start + this.requestDelay;
+
+        return new Promise(resolve => setTimeout(resolve, start - now));
+    }
+
+    /**
+     * Complete a request, retrying temporary errors with exponential backoff
+     * while the provider's circuit stays closed
+     */
+    async completeWithRetry(provider, request, fallback = false) {
+        for (let attempt = 1; ; attempt++) {
+            if (provider.rateLimited) {
+                await this.schedule(provider.name);
+            }
+            const started = Date.now();
+
+            try {
+                const result = await this.completeWithTimeout(provider, request);
+
+                this.recordSuccess(provider.name);
+                aiCallLog.record({
+                    provider: provider.name,
+                    model: request.model,
+                    attempt,
+                    outcome: 'success',
+                    fallback,
+                    duration_ms: Date.now() - started
+                });
+
+                return result;
+
+            } catch (error) {
+                if (request.signal && request.signal.aborted) {
+                    throw error;
+                }
+
+                const retryable = this.isRetryable(error);
+                if (retryable) {
+                    this.recordFailure(provider);
+                }
+
+                console.error(`${provider.label} API error (attempt ${attempt}, ${request.model}):`, error.message);
+                aiCallLog.record({
+                    provider: provider.name,
+                    model: request.model,
+                    attempt,
+                    outcome: 'error',
+                    status: error.status,
+                    error: error.message,
+                    fallback,
+                    duration_ms: Date.now() - started
+                });
+
+                if (retryable && attempt <= this.maxRetries && !request.delivered && this.canAttempt(provider.name)) {
+                    await new Promise(resolve => setTimeout(resolve, this.getBackoff(attempt)));
+                    continue;
+                }
+
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * Complete a request, abandoning it after requestTimeout without a reply
+     * (streams: without new text). The caller's signal still cancels it.
+     */
+    async completeWithTimeout(provider, request) {
+        const controller = new AbortController();
+        let timedOut = false;
+        let timer = null;
+
+        const arm = () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => {
+                timedOut = true;
+                controller.abort();
+            }, this.requestTimeout);
+        };
+        const cancel = () => controller.abort();
+
+        if (request.signal) {
+            if (request.signal.aborted) {
+                controller.abort();
+            }
+            request.signal.addEventListener('abort', cancel);
+        }
+        arm();
+
+        try {
+            return await provider.complete({
+                ...request,
+                signal: controller.signal,
+                onText: request.onText ? (text) => {
+                    arm();
+                    request.onText(text);
+                } : null
+            });
+
+        } catch (error) {
+            if (timedOut) {
+                const timeout = new Error(`No reply within ${this.requestTimeout / 1000}s`);
+                timeout.timeout = true;
+                throw timeout;
+            }
+            throw error;
+
+        } finally {
+            clearTimeout(timer);
+            if (request.signal) {
+                request.signal.removeEventListener('abort', cancel);
+            }
+        }
+    }
+
+    /**
+     * Temporary errors worth retrying: rate limits, server errors and
+     * overload (5xx, 529), timeouts and network errors (no status)
+     */
+    isRetryable(error) {
+        return Boolean(error.timeout) || !error.status || [408, 409, 429].includes(error.status) || error.status >= 500;
+    }
+
+    /**
+     * Exponential backoff with jitter: half the doubled delay, plus up to as much again at random
+     */
+    getBackoff(attempt) {
+        const delay = Math.min(this.retryMaxDelay, this.retryBaseDelay * 2 ** (attempt - 1));
+        return delay / 2 + Math.random() * (delay / 2);
+    }
+
+    toFailure(error, provider) {
+        if (error.name === 'AbortError') {
+            return error;
+        }
+
+        const failure = new Error(`AI generation failed: ${error.message}`);
+        failure.status = error.status;
+        failure.provider = provider.name;
+        return failure;
+    }
+
+    // ========================================
+    // CIRCUIT BREAKER
+    // ========================================
+
+    getBreaker(providerId) {
+        if (!this.breakers[providerId]) {
+            this.breakers[providerId] = { state: 'closed', failures: 0, opened_at: null, retry_at: null };
+        }
+        return this.breakers[providerId];
+    }
+
+    /**
+     * Whether a provider may be called: closed, or open for longer than
+     * breakerCooldown (half open: the next call decides)
+     */
+    canAttempt(providerId) {
+        const breaker = this.getBreaker(providerId);
+
+        if (breaker.state === 'open' && Date.now() >= breaker.retry_at) {
+            breaker.state = 'half_open';
+        }
+
+        return breaker.state !== 'open';
+    }
+
+    recordSuccess(providerId) {
+        const breaker = this.getBreaker(providerId);
+
+        if (breaker.state !== 'closed') {
+            console.log(`✅ Circuit closed for AI provider ${providerId}`);
+        }
+        Object.assign(breaker, { state: 'closed', failures: 0, opened_at: null, retry_at: null });
+    }
+
+    recordFailure(provider) {
+        const breaker = this.getBreaker(provider.name);
+        breaker.failures++;
+
+        if (breaker.state === 'half_open' || (breaker.state === 'closed' && breaker.failures >= this.breakerThreshold)) {
+            const now = Date.now();
+            Object.assign(breaker, { state: 'open', opened_at: new Date(now), retry_at: now + this.breakerCooldown });
+            console.warn(`⚡ Circuit opened for ${provider.label} after ${breaker.failures} failures; retrying in ${this.breakerCooldown / 1000}s`);
+        }
+    }
+
+    /**
+     * Circuit state of every provider, for the admin system status page
+     * @returns {Object} - { <provider id>: { state, failures, opened_at, retry_at } }
+     */
+    getBreakerStates() {
+        return Object.fromEntries(Object.keys(this.providers).map(id => {
+            this.canAttempt(id);
+            const breaker = this.getBreaker(id);
+            return [id, { ...breaker, retry_at: breaker.retry_at ? new Date(breaker.retry_at) : null }];
+        }));
+    }
+
+    /**
+     * Reply to a message in a conversation
+     * @param {string} message - The user's message
+     * @param {Array} history - Earlier turns ([{ role, content }]); may already end with the message
+     * @param {string|null} system - System prompt
+     * @param {Object} options - generateContent options
+     * @returns {Promise<string>}
+     */
+    async chat(message, history = [], system = null, options = {}) {
+        const turns = this.normalizeHistory(history);
+        let prompt = message;
+
+        if (turns.length > 0 && turns[turns.length - 1].role === 'user') {
+            // The message is sent as the prompt; an earlier unanswered user turn goes with it
+            const last = turns.pop();
+            if (last.content !== message) {
+                prompt = `${last.content}\n\n${message}`;
+            }
+        }
+
+        return this.generateContent(prompt, {
+            temperature: 0.7,
+            ...options,
+            system: system || options.system || null,
+            history: turns
+        });
+    }
+
+    /**
+     * Turns every provider accepts: user and assistant text only, starting
+     * with the user and alternating (consecutive turns of one role are merged)
+     */
+    normalizeHistory(history) {
+        const turns = [];
+
+        for (const turn of Array.isArray(history) ? history : []) {
+            if (!turn || !['user', 'assistant'].includes(turn.role) || typeof turn.content !== 'string' || !turn.content.trim()) {
+                continue;
+            }
+            if (turns.length === 0 && turn.role === 'assistant') {
+                continue;
+            }
+
+            const last = turns[turns.length - 1];
+            if (last && last.role === turn.role) {
+                last.content += `\n\n${turn.content}`;
+            } else {
+                turns.push({ role: turn.role, content: turn.content });
+            }
+        }
+
+        return turns;
+    }
+
+    /**
+     * Estimated cost in USD of a request's token usage (0 for unknown models)
+     * @param {Object} usage - { model, input_tokens, output_tokens }
+     */
+    estimateCost({ model, input_tokens = 0, output_tokens = 0 }) {
+        const provider = Object.values(this.providers).find(candidate => candidate.pricing[model]);
+        if (!provider) {
+            return 0;
+        }
+
+        const price = provider.pricing[model];
+        return (input_tokens * price.input + output_tokens * price.output) / 1000000;
+    }
+
+    /**
+     * Check that a provider answers a minimal request
+     * @returns {Promise<boolean>}
+     */
+    async healthCheck(providerId = this.getActiveProvider()) {
+        const provider = this.providers[providerId];
+        if (!provider || !provider.isConfigured()) {
+            return false;
+        }
+
+        try {
+            await provider.complete({
+                model: this.getDefaultModel(providerId),
+                messages: [{ role: 'user', content: 'Hi' }],
+                max_tokens: 5,
+                temperature: 0
+            });
+            return true;
+        } catch (error) {
+            console.error(`${provider.label} health check failed:`, error.message);
+            return false;
+        }
+    }
+
+    /**
+     * @returns {Array} - [{ id, name, configured, active, default_model }]
+     */
+    getProviders() {
+        const active = this.getActiveProvider();
+
+        return Object.entries(this.providers).map(([id, provider]) => ({
+            id,
+            name: provider.label,
+            configured: provider.isConfigured(),
+            active: id === active,
+            default_model: this.getDefaultModel(id)
+        }));
+    }
+
+    /**
+     * Parse a JSON reply, tolerating code fences and text around it
+     */
+    parseJSONResponse(response) {
+        try {
+            // Clean the response
+            let cleaned = response.trim();
+
+            // Remove markdown code blocks if present
+            cleaned = cleaned.replace(/```json\n?/gi, '');
+            cleaned = cleaned.replace(/```\n?/gi, '');
+
+            // Remove any leading/trailing text
+            const jsonMatch = cleaned.match(/\{[\s\S]*\}|\[[\s\S]*\]/);
+            if (jsonMatch) {
+                cleaned = jsonMatch[0];
+            }
+
+            try {
+                return JSON.parse(cleaned);
+            } catch (parseError) {
+                // Repair smart quotes and trailing commas, then try once more
+                const repaired = cleaned
+                    .replace(/[\u201C\u201D]/g, '"')
+                    .replace(/,\s*([}\]])/g, '$1');
+                return JSON.parse(repaired);
+            }
+
+        } catch (error) {
+            console.error('JSON parse error:', error);
+            console.error('Original response:', response);
+            throw new Error('Failed to parse AI response');
+        }
+    }
+}
+
+module.exports = new LlmClient();
@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+
+/**
+ * Mock Provider Service
+ * Deterministic, offline LLM client adapter (see llmClient.js), used by prompt
+ * tests and for development without API keys (AI_PROVIDER=mock). It answers
+ * with the prompt it was given (plus a digest of the conversation), so a test
+ * can check what reaches the AI without a network call or cost, and the same
+ * prompts always give the same output. When asked for structured output it
+ * returns placeholder items that satisfy the output schema.
+ */
+class MockProviderService {
+    constructor() {
+        this.name = 'mock';
+        this.label = 'Mock (offline)';
+        this.rateLimited = false;
+        this.pricing = {};
+        this.defaultModel = 'mock';
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    handlesModel(model) {
+        return model.startsWith('mock');
+    }
+
+    /**
+     * Same signature as ClaudeService.generateContent
+     * @param {string} prompt - User prompt
+     * @param {Object} options - { system, schema (output schema), onText }
+     * @returns {Promise<string>}
+     */
+    async generateContent(prompt, options = {}) {
+        const { text } = await this.complete({ ...options, messages: [{ role: 'user', content: prompt }] });
+        return text;
+    }
+
+    /**
+     * @param {Object} request - See AnthropicProvider.complete; also takes schema
+     * @returns {Promise<Object>} - { text, model, usage: { input_tokens, output_tokens } }
+     */
+    async complete(request) {
+        const { system = null, messages, schema = null, json = false, onText = null } = request;
+        const conversation = messages.map(message => message.content).join('\n\n');
+        const prompt = messages[messages.length - 1].content;
+        const digest = crypto.createHash('sha256').update(`${system || ''}\n\n${conversation}`).digest('hex').slice(0, 12);
+
+        let text;
+        if (schema) {
+            text = JSON.stringify(this.buildStructured(schema, digest), null, 2);
+        } else if (json) {
+            text = JSON.stringify({ response: `Mock response ${digest}`, prompt }, null, 2);
+        } else {
+            text = `Mock response ${digest}\n\n${prompt}`;
+        }
+
+        if (onText) {
+            onText(text);
+        }
+
+        return {
+            text,
+            model: request.model || this.defaultModel,
+            usage: { input_tokens: this.countTokens(`${system || ''}${conversation}`), output_tokens: this.countTokens(text) }
+        };
+    }
+
+    /**
+     * Rough token count (about four characters a token), so usage metering works offline
+     */
+    countTokens(text) {
+        return Math.ceil(text.length / 4);
+    }
+
+    /**
+     * Smallest result that passes outputSchemas.validate
+     */
+    buildStructured(schema, digest) {
+        const items = [];
+
+        for (let index = 0; index < Math.max(schema.min_items || 1, 1); index++) {
+            const item = {};
+            for (const field of schema.fields || []) {
+                item[field.name] = this.buildValue(field, index);
+            }
+            items.push(item);
+        }
+
+        return schema.summary ? { summary: `Mock summary ${digest}`, items } : { items };
+    }
+
+    buildValue(field, index) {
+        switch (field.type) {
+            case 'number':
+                return index + 1;
+            case 'boolean':
+                return true;
+            case 'list':
+                return [`Mock ${field.label || field.name}`];
+            case 'choice':
+                return (field.options || [])[0] ?? null;
+            default:
+                return `Mock ${field.label || field.name} ${index + 1}`;
+        }
+    }
+}
+
+module.exports = new MockProviderService();
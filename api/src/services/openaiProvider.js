@@ -0,0 +1,121 @@
+const OpenAI = require('openai');
+
+/**
+ * OpenAI Provider
+ * LLM client adapter for GPT models (see llmClient.js), using the Chat
+ * Completions API. JSON mode uses response_format json_object, which needs
+ * the word JSON in the prompt, so the system prompt asks for it as well.
+ */
+class OpenAIProvider {
+    constructor() {
+        this.name = 'openai';
+        this.label = 'OpenAI';
+        this.envKey = 'OPENAI_API_KEY';
+        this.modelEnvKey = 'OPENAI_MODEL';
+        this.client = null;
+        this.rateLimited = true;
+
+        // USD per million input / output tokens, for cost estimates
+        this.pricing = {
+            'gpt-4o': { input: 2.5, output: 10 },
+            'gpt-4o-mini': { input: 0.15, output: 0.6 },
+            'gpt-4o-mini-2024-07-18': { input: 0.15, output: 0.6 },
+            'gpt-4-turbo': { input: 10, output: 30 },
+            'gpt-4-turbo-preview': { input: 10, output: 30 },
+            'gpt-4': { input: 30, output: 60 },
+            'gpt-3.5-turbo': { input: 0.5, output: 1.5 }
+        };
+
+        this.defaultModel = 'gpt-4o-mini';
+    }
+
+    isConfigured() {
+        return Boolean(process.env[this.envKey]);
+    }
+
+    handlesModel(model) {
+        return /^(gpt-|chatgpt-|o1|o3)/.test(model);
+    }
+
+    getClient() {
+        if (!this.client) {
+            this.client = new OpenAI({ apiKey: process.env[this.envKey] });
+        }
+        return this.client;
+    }
+
+    /**
+     * @param {Object} request - See AnthropicProvider.complete
+     * @returns {Promise<Object>} - { text, model, usage: { input_tokens, output_tokens } }
+     */
+    async complete(request) {
+        const system = request.json
+            ? [request.system, 'Reply with only a valid JSON object.'].filter(Boolean).join('\n\n')
+            : request.system;
+
+        const params = {
+            model: request.model,
+            max_tokens: request.max_tokens,
+            temperature: request.temperature,
+            messages: [
+                ...(system ? [{ role: 'system', content: system }] : []),
+                ...request.messages
+            ]
+        };
+
+        if (request.stop_sequences && request.stop_sequences.length > 0) {
+            params.stop = request.stop_sequences;
+        }
+        if (request.json) {
+            params.response_format = { type: 'json_object' };
+        }
+
+        const requestOptions = request.signal ? { signal: request.signal } : undefined;
+
+        if (request.stream) {
+            return this.stream(params, request, requestOptions);
+        }
+
+        const completion = await this.getClient().chat.completions.create(params, requestOptions);
+
+        return {
+            text: completion.choices[0].message.content || '',
+            model: request.model,
+            usage: {
+                input_tokens: completion.usage ? completion.usage.prompt_tokens : 0,
+                output_tokens: completion.usage ? completion.usage.completion_tokens : 0
+            }
+        };
+    }
+
+    /**
+     * Stream a completion, relaying text deltas as they arrive. Usage comes in
+     * a final chunk without choices.
+     */
+    async stream(params, { onText = null }, requestOptions) {
+        const chunks = await this.getClient().chat.completions.create(
+            { ...params, stream: true, stream_options: { include_usage: true } },
+            requestOptions
+        );
+
+        let text = '';
+        const usage = { input_tokens: 0, output_tokens: 0 };
+        for await (const chunk of chunks) {
+            const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta;
+            if (delta && delta.content) {
+                text += delta.content;
+                if (onText) {
+                    onText(delta.content);
+                }
+            }
+            if (chunk.usage) {
+                usage.input_tokens = chunk.usage.prompt_tokens || 0;
+                usage.output_tokens = chunk.usage.completion_tokens || 0;
+            }
+        }
+
+        return { text, model: params.model, usage };
+    }
+}
+
+module.exports = new OpenAIProvider();
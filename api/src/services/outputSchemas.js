@@ -0,0 +1,363 @@
+const { Pool } = require('pg');
+const llmClient = require('./llmClient');
+
+// Database connection
+const pool = new Pool({
+    host: process.env.DB_HOST,
+    port: process.env.DB_PORT,
+    database: process.env.DB_NAME,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    ssl: { rejectUnauthorized: false }
+});
+
+/**
+ * Output Schema Service V6
+ * A project may declare the shape of its result (projects_v6.output_schema).
+ * The AI is then asked for JSON, its reply is repaired and validated against
+ * the schema (retrying with the errors when it can't be used) and the
+ * generated tool renders the items as cards, a table or a list.
+ *
+ * Schema format:
+ *   { display: 'cards' | 'table' | 'list', summary: boolean, min_items, max_items,
+ *     fields: [{ name, label, type, required, options }] }
+ *
+ * Result format:
+ *   { summary: '...', items: [{ <field name>: value, ... }] }
+ */
+class OutputSchemaService {
+    constructor() {
+        this.displays = ['cards', 'table', 'list'];
+        this.fieldTypes = ['text', 'long_text', 'number', 'boolean', 'list', 'choice'];
+        this.namePattern = /^[a-z][a-z0-9_]{0,39}$/;
+        this.maxFields = 12;
+        this.maxItemsLimit = 50;
+        this.maxRetries = 1;
+        this.llm = llmClient;
+    }
+
+    /**
+     * Add the output schema column if it doesn't exist
+     */
+    async ensureOutputSchemaColumns() {
+        try {
+            await pool.query(`
+                ALTER TABLE projects_v6
+                ADD COLUMN IF NOT EXISTS output_schema JSONB DEFAULT NULL
+            `);
+
+            console.log('✅ Output schema columns ensured');
+
+        } catch (error) {
+            console.error('Error ensuring output schema columns:', error);
+            throw error;
+        }
+    }
+
+    // ========================================
+    // SCHEMA NORMALIZATION
+    // ========================================
+
+    /**
+     * Validate a schema from the output editor and fill in defaults
+     * @param {Object|null} schema - Raw schema; null removes it
+     * @returns {Object} - { schema, errors }
+     */
+    normalizeSchema(schema) {
+        if (schema === null || schema === undefined) {
+            return { schema: null, errors: [] };
+        }
+        if (typeof schema !== 'object' || Array.isArray(schema)) {
+            return { schema: null, errors: ['Output schema must be an object'] };
+        }
+
+        const errors = [];
+        const display = schema.display || 'cards';
+        if (!this.displays.includes(display)) {
+            errors.push(`Display must be one of ${this.displays.join(', ')}`);
+        }
+
+        const minItems = schema.min_items === undefined || schema.min_items === '' ? 1 : Number(schema.min_items);
+        const maxItems = schema.max_items === undefined || schema.max_items === '' ? 10 : Number(schema.max_items);
+        if (!Number.isInteger(minItems) || minItems < 0 || minItems > this.maxItemsLimit) {
+            errors.push(`Minimum items must be a whole number from 0 to ${this.maxItemsLimit}`);
+        }
+        if (!Number.isInteger(maxItems) || maxItems < 1 || maxItems > this.maxItemsLimit) {
+            errors.push(`Maximum items must be a whole number from 1 to ${this.maxItemsLimit}`);
+        } else if (Number.isInteger(minItems) && minItems > maxItems) {
+            errors.push('Minimum items cannot be more than maximum items');
+        }
+
+        const rawFields = Array.isArray(schema.fields) ? schema.fields : [];
+        if (rawFields.length === 0) {
+            errors.push('Add at least one output field');
+        } else if (rawFields.length > this.maxFields) {
+            errors.push(`An output can have at most ${this.maxFields} fields`);
+        }
+
+        const names = [];
+        const fields = rawFields.slice(0, this.maxFields).map((field, index) => {
+            const at = `Field ${index + 1}`;
+            const raw = field && typeof field === 'object' ? field : {};
+            const name = typeof raw.name === 'string' ? raw.name.trim() : '';
+            const type = raw.type || 'text';
+
+            if (!this.namePattern.test(name)) {
+                errors.push(`${at}: name must start with a letter and use only lowercase letters, numbers and underscores`);
+            } else if (names.includes(name)) {
+                errors.push(`${at}: name '${name}' is already used`);
+            }
+            names.push(name);
+
+            if (!this.fieldTypes.includes(type)) {
+                errors.push(`${at}: type must be one of ${this.fieldTypes.join(', ')}`);
+            }
+
+            const options = Array.isArray(raw.options)
+                ? [...new Set(raw.options.map(option => String(option).trim()).filter(Boolean))]
+                : [];
+            if (type === 'choice' && options.length < 2) {
+                errors.push(`${at}: a choice needs at least two options`);
+            }
+
+            const normalized = {
+                name,
+                label: typeof raw.label === 'string' && raw.label.trim() ? raw.label.trim() : name,
+                type,
+                required: raw.required !== false
+            };
+            if (type === 'choice') {
+                normalized.options = options;
+            }
+            return normalized;
+        });
+
+        return {
+            schema: {
+                display,
+                summary: schema.summary === true,
+                min_items: minItems,
+                max_items: maxItems,
+                fields
+            },
+            errors
+        };
+    }
+
+    /**
+     * Schema of a (published) project, or null for free-text results
+     */
+    getSchema(project) {
+        const schema = project.output_schema;
+        return schema && Array.isArray(schema.fields) && schema.fields.length > 0 ? schema : null;
+    }
+
+    // ========================================
+    // PROMPTING
+    // ========================================
+
+    /**
+     * Example result shown to the AI
+     */
+    buildExample(schema) {
+        const item = {};
+        for (const field of schema.fields) {
+            if (field.type === 'number') item[field.name] = 0;
+            else if (field.type === 'boolean') item[field.name] = true;
+            else if (field.type === 'list') item[field.name] = [`<${field.label}>`];
+            else if (field.type === 'choice') item[field.name] = field.options[0];
+            else item[field.name] = `<${field.label}>`;
+        }
+
+        return schema.summary ? { summary: '<short summary>', items: [item] } : { items: [item] };
+    }
+
+    /**
+     * Output instructions appended to the system prompt
+     */
+    buildInstructions(schema) {
+        const fieldLines = schema.fields.map(field => {
+            const kind = {
+                text: 'short text',
+                long_text: 'text, may be several sentences',
+                number: 'number',
+                boolean: 'true or false',
+                list: 'list of short texts',
+                choice: `one of ${(field.options || []).map(option => JSON.stringify(option)).join(', ')}`
+            }[field.type];
+            return `- "${field.name}" (${field.label}): ${kind}${field.required ? '' : ', may be null'}`;
+        });
+
+        return [
+            'Respond with only a JSON object and no other text, in exactly this format:',
+            JSON.stringify(this.buildExample(schema), null, 2),
+            '',
+            `"items" must contain between ${schema.min_items} and ${schema.max_items} entries. Each entry has these keys:`,
+            ...fieldLines
+        ].join('\n');
+    }
+
+    // ========================================
+    // PARSING AND VALIDATION
+    // ========================================
+
+    /**
+     * Parse an AI reply as JSON (code fences, surrounding text, smart quotes
+     * and trailing commas are repaired)
+     * @returns {*} - Parsed value, or undefined when it can't be repaired
+     */
+    parse(text) {
+        if (typeof text !== 'string') {
+            return undefined;
+        }
+
+        try {
+            return this.llm.parseJSONResponse(text);
+        } catch (error) {
+            return undefined;
+        }
+    }
+
+    /**
+     * Check parsed output against the schema, coercing values where the
+     * meaning is clear ("3" -> 3, "high" -> "High", "a" -> ["a"])
+     * @returns {Object} - { value, errors }
+     */
+    validate(data, schema) {
+        const errors = [];
+
+        if (Array.isArray(data)) {
+            data = { items: data };
+        }
+        if (!data || typeof data !== 'object') {
+            return { value: null, errors: ['The reply is not a JSON object'] };
+        }
+        if (!Array.isArray(data.items)) {
+            return { value: null, errors: ['"items" must be a list'] };
+        }
+
+        const value = schema.summary
+            ? { summary: typeof data.summary === 'string' ? data.summary : '', items: [] }
+            : { items: [] };
+
+        if (data.items.length < schema.min_items) {
+            errors.push(`"items" must have at least ${schema.min_items} entries`);
+        }
+
+        // Extra entries are dropped rather than rejected
+        data.items.slice(0, schema.max_items).forEach((item, index) => {
+            const at = `Item ${index + 1}`;
+            if (!item || typeof item !== 'object' || Array.isArray(item)) {
+                errors.push(`${at} must be an object`);
+                return;
+            }
+
+            const entry = {};
+            for (const field of schema.fields) {
+                const raw = item[field.name];
+
+                if (raw === undefined || raw === null || raw === '' || (Array.isArray(raw) && raw.length === 0)) {
+                    if (field.required) {
+                        errors.push(`${at}: "${field.name}" is required`);
+                    }
+                    entry[field.name] = null;
+                    continue;
+                }
+
+                const coerced = this.coerceValue(field, raw);
+                if (coerced.error) {
+                    errors.push(`${at}: "${field.name}" ${coerced.error}`);
+                }
+                entry[field.name] = coerced.value;
+            }
+            value.items.push(entry);
+        });
+
+        return { value, errors };
+    }
+
+    coerceValue(field, raw) {
+        switch (field.type) {
+            case 'number': {
+                const number = typeof raw === 'number' ? raw : Number(String(raw).replace(/[,\s]/g, ''));
+                return Number.isFinite(number) ? { value: number } : { value: null, error: 'must be a number' };
+            }
+            case 'boolean':
+                if (typeof raw === 'boolean') return { value: raw };
+                if (['true', 'yes'].includes(String(raw).toLowerCase())) return { value: true };
+                if (['false', 'no'].includes(String(raw).toLowerCase())) return { value: false };
+                return { value: null, error: 'must be true or false' };
+            case 'list': {
+                const list = Array.isArray(raw) ? raw : [raw];
+                if (list.some(entry => entry !== null && typeof entry === 'object')) {
+                    return { value: null, error: 'must be a list of texts' };
+                }
+                return { value: list.filter(entry => entry !== null && entry !== '').map(String) };
+            }
+            case 'choice': {
+                const option = field.options.find(candidate => candidate.toLowerCase() === String(raw).trim().toLowerCase());
+                return option
+                    ? { value: option }
+                    : { value: null, error: `must be one of ${field.options.join(', ')}` };
+            }
+            default:
+                if (raw !== null && typeof raw === 'object') {
+                    return { value: null, error: 'must be text' };
+                }
+                return { value: String(raw) };
+        }
+    }
+
+    // ========================================
+    // GENERATION
+    // ========================================
+
+    /**
+     * Generate a structured result, retrying with the validation errors when
+     * the reply can't be used. If every attempt fails the raw reply is
+     * returned with valid: false so the tool can still show it as text.
+     * @param {Object} schema - Normalized output schema
+     * @param {string} systemPrompt - System prompt (output instructions are appended)
+     * @param {string} userPrompt - User prompt
+     * @param {Object} options - generateContent options (model, temperature, max_tokens, signal) and
+     *   provider: object with generateContent() used instead of the LLM client; calls ask for
+     *   JSON and get the schema as options.schema (for the mock provider)
+     * @returns {Promise<Object>} - { result, data, valid, attempts }
+     */
+    async generate(schema, systemPrompt, userPrompt, options = {}) {
+        const { provider = null, ...settings } = options;
+        const system = [systemPrompt, this.buildInstructions(schema)].filter(Boolean).join('\n\n');
+        let prompt = userPrompt;
+        let reply = '';
+
+        for (let attempt = 1; attempt <= this.maxRetries + 1; attempt++) {
+            reply = provider
+                ? await provider.generateContent(prompt, { ...settings, system, stream: false, json: true, schema })
+                : await this.llm.generateContent(prompt, { ...settings, system, stream: false, json: true, schema });
+
+            const parsed = this.parse(reply);
+            const { value, errors } = parsed === undefined
+                ? { value: null, errors: ['The reply is not valid JSON'] }
+                : this.validate(parsed, schema);
+
+            if (errors.length === 0) {
+                return { result: JSON.stringify(value, null, 2), data: value, valid: true, attempts: attempt };
+            }
+
+            console.warn(`⚠️ Structured output attempt ${attempt} invalid: ${errors.slice(0, 3).join('; ')}`);
+            prompt = `${userPrompt}
+
+Your previous reply could not be used:
+${errors.slice(0, 10).map(error => `- ${error}`).join('\n')}
+
+Previous reply:
+${reply.slice(0, 4000)}
+
+Reply again with only the corrected JSON object.`;
+        }
+
+        return { result: reply, data: null, valid: false, attempts: this.maxRetries + 1 };
+    }
+}
+
+module.exports = new OutputSchemaService();
@@ -0,0 +1,402 @@
+const crypto = require('crypto');
+const { Pool } = require('pg');
+const nodemailer = require('nodemailer');
+
+// Database connection
+const pool = new Pool({
+    host: process.env.DB_HOST,
+    port: process.env.DB_PORT,
+    database: process.env.DB_NAME,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    ssl: { rejectUnauthorized: false }
+});
+
+// Email configuration
+const emailTransporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST || 'smtp.gmail.com',
+    port: process.env.SMTP_PORT || 587,
+    secure: false,
+    auth: {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+    }
+});
+
+/**
+ * Project Collaborator Service V6
+ * Shares a project with other users. The project's user_id stays the owner;
+ * everyone else is invited by email as an editor (can change and deploy the
+ * tool) or a viewer (read-only). An invitation is pending until the invited
+ * user accepts it while logged in with the invited email address.
+ */
+class ProjectCollaboratorService {
+    constructor() {
+        // Lowest to highest; a role includes everything below it
+        this.roles = ['viewer', 'editor', 'owner'];
+        this.inviteRoles = ['editor', 'viewer'];
+        this.maxCollaborators = 25;
+        this.emailPattern = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    }
+
+    /**
+     * Create the collaborators table if it doesn't exist
+     */
+    async ensureCollaboratorTable() {
+        try {
+            await pool.query(`
+                CREATE TABLE IF NOT EXISTS project_collaborators_v6 (
+                    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                    project_id UUID REFERENCES projects_v6(id) ON DELETE CASCADE,
+                    user_id UUID,
+                    email VARCHAR(255) NOT NULL,
+                    role VARCHAR(20) NOT NULL DEFAULT 'viewer',
+                    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+                    invite_token VARCHAR(100) UNIQUE,
+                    invited_by UUID,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    accepted_at TIMESTAMP,
+                    UNIQUE (project_id, email)
+                );
+
+                CREATE INDEX IF NOT EXISTS idx_project_collaborators_v6_user_id ON project_collaborators_v6(user_id);
+            `);
+
+            console.log('✅ Project collaborators table ensured');
+
+        } catch (error) {
+            console.error('Error ensuring project collaborators table:', error);
+            throw error;
+        }
+    }
+
+    // ========================================
+    // ACCESS
+    // ========================================
+
+    /**
+     * Whether a role is at least the required one
+     */
+    hasRole(role, minRole) {
+        return this.roles.includes(role) && this.roles.indexOf(role) >= this.roles.indexOf(minRole);
+    }
+
+    /**
+     * Find the project a route works on and the user's role on it
+     * @param {Object} target - One of { projectId, stepId, fieldId, choiceId }
+     * @param {string} userId - Logged-in user
+     * @returns {Promise<Object|null>} - { projectId, ownerId, role } (role null without access), or null when the project doesn't exist
+     */
+    async getAccess({ projectId, stepId, fieldId, choiceId }, userId) {
+        let projectQuery;
+        let param;
+
+        if (projectId) {
+            projectQuery = 'SELECT id, user_id FROM projects_v6 WHERE id = $1';
+            param = projectId;
+        } else if (stepId) {
+            projectQuery = `
+                SELECT p.id, p.user_id FROM projects_v6 p
+                JOIN project_steps_v6 s ON s.project_id = p.id
+                WHERE s.id = $1
+            `;
+            param = stepId;
+        } else if (fieldId) {
+            projectQuery = `
+                SELECT p.id, p.user_id FROM projects_v6 p
+                JOIN project_steps_v6 s ON s.project_id = p.id
+                JOIN project_fields_v6 f ON f.step_id = s.id
+                WHERE f.id = $1
+            `;
+            param = fieldId;
+        } else if (choiceId) {
+            projectQuery = `
+                SELECT p.id, p.user_id FROM projects_v6 p
+                JOIN project_steps_v6 s ON s.project_id = p.id
+                JOIN project_fields_v6 f ON f.step_id = s.id
+                JOIN project_choices_v6 c ON c.field_id = f.id
+                WHERE c.id = $1
+            `;
+            param = choiceId;
+        } else {
+            return null;
+        }
+
+        const projectResult = await pool.query(projectQuery, [param]);
+        if (projectResult.rows.length === 0) {
+            return null;
+        }
+
+        const project = projectResult.rows[0];
+        const access = { projectId: project.id, ownerId: project.user_id, role: null };
+
+        if (project.user_id === userId) {
+            access.role = 'owner';
+            return access;
+        }
+
+        const collaborator = await pool.query(`
+            SELECT role FROM project_collaborators_v6
+            WHERE project_id = $1 AND user_id = $2 AND status = 'accepted'
+        `, [project.id, userId]);
+
+        if (collaborator.rows.length > 0) {
+            access.role = collaborator.rows[0].role;
+        }
+        return access;
+    }
+
+    /**
+     * Projects shared with a user, with their role and the owner's email
+     */
+    async listSharedProjects(userId) {
+        const result = await pool.query(`
+            SELECT
+                p.*,
+                pc.role,
+                owner.email as owner_email,
+                (SELECT COUNT(*) FROM project_steps_v6 ps WHERE ps.project_id = p.id) as step_count,
+                (SELECT COUNT(*) FROM project_fields_v6 pf
+                    JOIN project_steps_v6 ps ON pf.step_id = ps.id
+                    WHERE ps.project_id = p.id) as field_count
+            FROM project_collaborators_v6 pc
+            JOIN projects_v6 p ON p.id = pc.project_id
+            LEFT JOIN users owner ON owner.id = p.user_id
+            WHERE pc.user_id = $1 AND pc.status = 'accepted'
+            ORDER BY p.updated_at DESC
+        `, [userId]);
+
+        return result.rows;
+    }
+
+    // ========================================
+    // COLLABORATORS
+    // ========================================
+
+    /**
+     * Everyone on a project: the owner first, then collaborators and pending invitations
+     */
+    async listCollaborators(projectId) {
+        const ownerResult = await pool.query(`
+            SELECT u.id as user_id, u.email
+            FROM projects_v6 p
+            JOIN users u ON u.id = p.user_id
+            WHERE p.id = $1
+        `, [projectId]);
+
+        const result = await pool.query(`
+            SELECT id, user_id, email, role, status, created_at, accepted_at
+            FROM project_collaborators_v6
+            WHERE project_id = $1
+            ORDER BY status ASC, created_at ASC
+        `, [projectId]);
+
+        return {
+            owner: ownerResult.rows[0] || null,
+            collaborators: result.rows
+        };
+    }
+
+    /**
+     * Validate an invitation from the share dialog
+     * @returns {Object} - { email, role, errors }
+     */
+    normalizeInvite({ email, role } = {}) {
+        const errors = [];
+        const normalizedEmail = typeof email === 'string' ? email.trim().toLowerCase() : '';
+
+        if (!this.emailPattern.test(normalizedEmail) || normalizedEmail.length > 254) {
+            errors.push('Enter a valid email address');
+        }
+        if (!this.inviteRoles.includes(role)) {
+            errors.push(`role must be one of: ${this.inviteRoles.join(', ')}`);
+        }
+
+        return { email: normalizedEmail, role, errors };
+    }
+
+    /**
+     * Invite someone to a project and email them the link. Inviting an
+     * address again updates the role and resends a pending invitation.
+     * Pending invitations also show up for the invited user after logging
+     * in, so a failed email doesn't lose the invitation.
+     * @param {Object} project - projects_v6 row
+     * @param {Object} inviter - req.user
+     * @param {string} email - Normalized email
+     * @param {string} role - editor or viewer
+     * @returns {Promise<Object>} - { collaborator, emailed, error }
+     */
+    async invite(project, inviter, email, role) {
+        const owner = await pool.query('SELECT email FROM users WHERE id = $1', [project.user_id]);
+        if (owner.rows.length > 0 && owner.rows[0].email.toLowerCase() === email) {
+            return { collaborator: null, emailed: false, error: 'The owner already has full access' };
+        }
+
+        const count = await pool.query(
+            'SELECT COUNT(*) FROM project_collaborators_v6 WHERE project_id = $1 AND email <> $2',
+            [project.id, email]
+        );
+        if (parseInt(count.rows[0].count, 10) >= this.maxCollaborators) {
+            return { collaborator: null, emailed: false, error: `A project can be shared with up to ${this.maxCollaborators} people` };
+        }
+
+        const result = await pool.query(`
+            INSERT INTO project_collaborators_v6 (project_id, email, role, invite_token, invited_by)
+            VALUES ($1, $2, $3, $4, $5)
+            ON CONFLICT (project_id, email) DO UPDATE
+            SET role = EXCLUDED.role,
+                invite_token = CASE WHEN project_collaborators_v6.status = 'pending'
+                    THEN EXCLUDED.invite_token ELSE project_collaborators_v6.invite_token END,
+                invited_by = EXCLUDED.invited_by
+            RETURNING id, user_id, email, role, status, invite_token, created_at, accepted_at
+        `, [project.id, email, role, this.createInviteToken(), inviter.id]);
+
+        const { invite_token: inviteToken, ...collaborator } = result.rows[0];
+
+        let emailed = false;
+        if (collaborator.status === 'pending') {
+            try {
+                await this.sendInvitationEmail(project, inviter, collaborator, inviteToken);
+                emailed = true;
+            } catch (error) {
+                console.error('Failed to email project invitation:', error);
+            }
+        }
+
+        console.log(`🤝 ${email} invited to project ${project.id} as ${role}`);
+        return { collaborator, emailed, error: null };
+    }
+
+    /**
+     * Unguessable token for the invitation link
+     */
+    createInviteToken() {
+        return `invite_${crypto.randomBytes(16).toString('hex')}`;
+    }
+
+    async sendInvitationEmail(project, inviter, collaborator, inviteToken) {
+        const inviteUrl = `${process.env.FRONTEND_URL}/prompt-engineer-v6.html?invite=${inviteToken}`;
+        const name = String(project.name || 'a project').replace(/[<>&"]/g, '');
+
+        await emailTransporter.sendMail({
+            from: process.env.SMTP_FROM || 'noreply@prompt-machine.ca',
+            to: collaborator.email,
+            subject: `${inviter.email} shared ${name} with you`,
+            html: `
+                <h2>You've been invited to ${name}</h2>
+                <p>${inviter.email} invited you to work on this Prompt Machine project as ${collaborator.role === 'editor' ? 'an editor' : 'a viewer'}.</p>
+                <a href="${inviteUrl}" style="display: inline-block; padding: 12px 24px; background-color: #4F46E5; color: white; text-decoration: none; border-radius: 6px;">
+                    Open Invitation
+                </a>
+                <p>Or copy this link: ${inviteUrl}</p>
+                <p>Log in (or sign up) with ${collaborator.email} to accept.</p>
+            `
+        });
+    }
+
+    /**
+     * Change a collaborator's role
+     * @returns {Promise<Object|null>} - Updated collaborator
+     */
+    async updateRole(projectId, collaboratorId, role) {
+        const result = await pool.query(`
+            UPDATE project_collaborators_v6
+            SET role = $1
+            WHERE id = $2 AND project_id = $3
+            RETURNING id, user_id, email, role, status, created_at, accepted_at
+        `, [role, collaboratorId, projectId]);
+
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Remove a collaborator or withdraw an invitation
+     * @returns {Promise<Object|null>} - Removed collaborator ({ id, user_id }), or null
+     */
+    async removeCollaborator(projectId, collaboratorId) {
+        const result = await pool.query(
+            'DELETE FROM project_collaborators_v6 WHERE id = $1 AND project_id = $2 RETURNING id, user_id',
+            [collaboratorId, projectId]
+        );
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Leave a project shared with the user
+     * @returns {Promise<boolean>} - Whether the user was a collaborator
+     */
+    async leaveProject(projectId, userId) {
+        const result = await pool.query(
+            'DELETE FROM project_collaborators_v6 WHERE project_id = $1 AND user_id = $2',
+            [projectId, userId]
+        );
+        return result.rowCount > 0;
+    }
+
+    // ========================================
+    // INVITATIONS
+    // ========================================
+
+    /**
+     * Pending invitations for the logged-in user's email
+     */
+    async listInvitations(email) {
+        const result = await pool.query(`
+            SELECT pc.id, pc.role, pc.invite_token, pc.created_at,
+                   p.id as project_id, p.name as project_name,
+                   inviter.email as invited_by_email
+            FROM project_collaborators_v6 pc
+            JOIN projects_v6 p ON p.id = pc.project_id
+            LEFT JOIN users inviter ON inviter.id = pc.invited_by
+            WHERE LOWER(pc.email) = LOWER($1) AND pc.status = 'pending'
+            ORDER BY pc.created_at DESC
+        `, [email]);
+
+        return result.rows;
+    }
+
+    /**
+     * Find a pending invitation addressed to the user
+     * @returns {Promise<Object>} - { invitation, error, status }
+     */
+    async findInvitation(inviteToken, user) {
+        const result = await pool.query(`
+            SELECT pc.id, pc.project_id, pc.email, pc.role, p.name as project_name
+            FROM project_collaborators_v6 pc
+            JOIN projects_v6 p ON p.id = pc.project_id
+            WHERE pc.invite_token = $1 AND pc.status = 'pending'
+        `, [inviteToken]);
+
+        if (result.rows.length === 0) {
+            return { invitation: null, error: 'Invitation not found or already used', status: 404 };
+        }
+
+        const invitation = result.rows[0];
+        if (invitation.email.toLowerCase() !== String(user.email).toLowerCase()) {
+            return { invitation: null, error: `This invitation was sent to ${invitation.email}`, status: 403 };
+        }
+
+        return { invitation, error: null, status: 200 };
+    }
+
+    /**
+     * Accept an invitation as the logged-in user
+     */
+    async acceptInvitation(invitation, userId) {
+        const result = await pool.query(`
+            UPDATE project_collaborators_v6
+            SET user_id = $1, status = 'accepted', accepted_at = NOW(), invite_token = NULL
+            WHERE id = $2
+            RETURNING id, project_id, role
+        `, [userId, invitation.id]);
+
+        console.log(`🤝 Invitation accepted for project ${invitation.project_id}`);
+        return result.rows[0];
+    }
+
+    async declineInvitation(invitation) {
+        await pool.query('DELETE FROM project_collaborators_v6 WHERE id = $1', [invitation.id]);
+    }
+}
+
+module.exports = new ProjectCollaboratorService();
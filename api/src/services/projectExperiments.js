@@ -0,0 +1,593 @@
+const crypto = require('crypto');
+const { Pool } = require('pg');
+const llmClient = require('./llmClient');
+const generationSettings = require('./generationSettings');
+
+// Database connection
+const pool = new Pool({
+    host: process.env.DB_HOST,
+    port: process.env.DB_PORT,
+    database: process.env.DB_NAME,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    ssl: { rejectUnauthorized: false }
+});
+
+/**
+ * Project Experiment Service V6
+ * A/B tests on a deployed tool. An experiment has named variants that can
+ * override the system prompt, the model and the order of steps and fields,
+ * each with a traffic weight. Visitors are assigned by hashing their visitor
+ * id, so the same visitor always gets the same variant without storing the
+ * assignment; the first assignment is recorded as an exposure. Sessions and
+ * analytics events carry the variant, and the results compare completion
+ * rate, feedback rating and AI cost per variant against the first variant
+ * (the control).
+ *
+ * Variant format:
+ *   { key, name, weight, system_prompt, model: 'opus' | 'sonnet' | 'haiku' | null,
+ *     step_order: [step id, ...] | null, field_order: { <step id>: [field id, ...] } | null }
+ */
+class ProjectExperimentService {
+    constructor() {
+        this.keyPattern = /^[a-z][a-z0-9_]{0,29}$/;
+        this.visitorPattern = /^[A-Za-z0-9_-]{8,64}$/;
+        this.minVariants = 2;
+        this.maxVariants = 5;
+        this.maxWeight = 1000;
+        this.maxPromptLength = 20000;
+        this.significanceLevel = 0.05;
+        this.llm = llmClient;
+        this.models = Object.keys(this.llm.models);
+    }
+
+    /**
+     * Create the experiment tables and the variant columns if they don't exist
+     */
+    async ensureExperimentTables() {
+        try {
+            await pool.query(`
+                CREATE TABLE IF NOT EXISTS project_experiments_v6 (
+                    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                    project_id UUID REFERENCES projects_v6(id) ON DELETE CASCADE,
+                    name VARCHAR(255) NOT NULL,
+                    status VARCHAR(20) NOT NULL DEFAULT 'draft',
+                    variants JSONB NOT NULL DEFAULT '[]'::jsonb,
+                    created_by UUID,
+                    started_at TIMESTAMP,
+                    stopped_at TIMESTAMP,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                );
+
+                CREATE TABLE IF NOT EXISTS project_experiment_exposures_v6 (
+                    experiment_id UUID REFERENCES project_experiments_v6(id) ON DELETE CASCADE,
+                    visitor_id VARCHAR(64) NOT NULL,
+                    variant_key VARCHAR(30) NOT NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    PRIMARY KEY (experiment_id, visitor_id)
+                );
+
+                CREATE INDEX IF NOT EXISTS idx_project_experiments_v6_project_id ON project_experiments_v6(project_id);
+            `);
+
+            await pool.query(`
+                ALTER TABLE project_sessions_v6
+                ADD COLUMN IF NOT EXISTS experiment_id UUID,
+                ADD COLUMN IF NOT EXISTS variant_key VARCHAR(30),
+                ADD COLUMN IF NOT EXISTS visitor_id VARCHAR(64),
+                ADD COLUMN IF NOT EXISTS ai_input_tokens INTEGER,
+                ADD COLUMN IF NOT EXISTS ai_output_tokens INTEGER,
+                ADD COLUMN IF NOT EXISTS ai_cost NUMERIC(12, 6)
+            `);
+
+            await pool.query(`
+                CREATE INDEX IF NOT EXISTS idx_project_sessions_v6_experiment_id
+                ON project_sessions_v6(experiment_id)
+                WHERE experiment_id IS NOT NULL
+            `);
+
+            await pool.query(`
+                ALTER TABLE tool_analytics_v6
+                ADD COLUMN IF NOT EXISTS experiment_id UUID,
+                ADD COLUMN IF NOT EXISTS variant_key VARCHAR(30)
+            `);
+
+            console.log('✅ Project experiment tables ensured');
+
+        } catch (error) {
+            console.error('Error ensuring project experiment tables:', error);
+            throw error;
+        }
+    }
+
+    // ========================================
+    // EXPERIMENTS
+    // ========================================
+
+    /**
+     * Validate an experiment from the editor against the project's steps
+     * @param {Object} experiment - { name, variants }
+     * @param {Array} steps - Draft steps with fields
+     * @param {Array|null} allowedModels - Models the owner's packages allow (generationSettings.getAllowedModels)
+     * @returns {Object} - { experiment, errors }
+     */
+    normalizeExperiment({ name, variants } = {}, steps, allowedModels = null) {
+        const errors = [];
+
+        const experimentName = typeof name === 'string' ? name.trim() : '';
+        if (!experimentName) {
+            errors.push('An experiment needs a name');
+        } else if (experimentName.length > 255) {
+            errors.push('The name can be at most 255 characters');
+        }
+
+        const list = Array.isArray(variants) ? variants : [];
+        if (list.length < this.minVariants || list.length > this.maxVariants) {
+            errors.push(`An experiment needs ${this.minVariants} to ${this.maxVariants} variants`);
+        }
+
+        const keys = new Set();
+        const normalized = list.slice(0, this.maxVariants).map((raw, index) => {
+            const at = `Variant ${index + 1}`;
+            const variant = raw && typeof raw === 'object' ? raw : {};
+
+            const key = typeof variant.key === 'string' ? variant.key.trim() : '';
+            if (!this.keyPattern.test(key)) {
+                errors.push(`${at}: key must start with a lowercase letter and use only a-z, 0-9 and _ (at most 30 characters)`);
+            } else if (keys.has(key)) {
+                errors.push(`${at}: key "${key}" is used twice`);
+            }
+            keys.add(key);
+
+            const weight = Number(variant.weight);
+            if (!Number.isInteger(weight) || weight < 1 || weight > this.maxWeight) {
+                errors.push(`${at}: weight must be a whole number from 1 to ${this.maxWeight}`);
+            }
+
+            const systemPrompt = typeof variant.system_prompt === 'string' && variant.system_prompt.trim()
+                ? variant.system_prompt
+                : null;
+            if (systemPrompt && systemPrompt.length > this.maxPromptLength) {
+                errors.push(`${at}: the system prompt can be at most ${this.maxPromptLength} characters`);
+            }
+
+            const model = variant.model || null;
+            if (model && !this.models.includes(model)) {
+                errors.push(`${at}: model must be one of ${this.models.join(', ')}`);
+            } else if (model && !generationSettings.allowsAlias(model, allowedModels)) {
+                errors.push(`${at}: model ${model} is not available for this project`);
+            }
+
+            return {
+                key,
+                name: typeof variant.name === 'string' && variant.name.trim() ? variant.name.trim().slice(0, 100) : key,
+                weight,
+                system_prompt: systemPrompt,
+                model,
+                step_order: this.normalizeOrder(variant.step_order, steps.map(step => step.id), `${at}: step order`, errors),
+                field_order: this.normalizeFieldOrder(variant.field_order, steps, at, errors)
+            };
+        });
+
+        return {
+            experiment: { name: experimentName, variants: normalized },
+            errors
+        };
+    }
+
+    /**
+     * An order override must list exactly the given ids; null keeps the project's order
+     */
+    normalizeOrder(order, ids, label, errors) {
+        if (order === null || order === undefined || (Array.isArray(order) && order.length === 0)) {
+            return null;
+        }
+
+        if (!Array.isArray(order) || order.length !== ids.length || new Set(order).size !== ids.length ||
+            !order.every(id => ids.includes(id))) {
+            errors.push(`${label} must list each of the ${ids.length} items exactly once`);
+            return null;
+        }
+
+        // Same as the project's order: nothing to override
+        return order.every((id, index) => id === ids[index]) ? null : order;
+    }
+
+    normalizeFieldOrder(fieldOrder, steps, at, errors) {
+        if (!fieldOrder || typeof fieldOrder !== 'object' || Array.isArray(fieldOrder)) {
+            return null;
+        }
+
+        const normalized = {};
+        for (const [stepId, order] of Object.entries(fieldOrder)) {
+            const step = steps.find(candidate => candidate.id === stepId);
+            if (!step) {
+                errors.push(`${at}: field order refers to a step that doesn't exist`);
+                continue;
+            }
+
+            const stepOrder = this.normalizeOrder(order, (step.fields || []).map(field => field.id),
+                `${at}: field order of "${step.name}"`, errors);
+            if (stepOrder) {
+                normalized[stepId] = stepOrder;
+            }
+        }
+
+        return Object.keys(normalized).length > 0 ? normalized : null;
+    }
+
+    async listExperiments(projectId) {
+        const result = await pool.query(`
+            SELECT e.*, u.email as created_by_email,
+                   (SELECT COUNT(*) FROM project_experiment_exposures_v6 x WHERE x.experiment_id = e.id) as visitors
+            FROM project_experiments_v6 e
+            LEFT JOIN users u ON u.id = e.created_by
+            WHERE e.project_id = $1
+            ORDER BY e.created_at DESC
+        `, [projectId]);
+
+        return result.rows.map(row => ({ ...row, visitors: parseInt(row.visitors, 10) }));
+    }
+
+    async getExperiment(projectId, experimentId) {
+        const result = await pool.query(
+            'SELECT * FROM project_experiments_v6 WHERE id = $1 AND project_id = $2',
+            [experimentId, projectId]
+        );
+        return result.rows[0] || null;
+    }
+
+    /**
+     * @returns {Promise<Object>} - { experiment, errors }
+     */
+    async createExperiment(projectId, userId, raw, steps, allowedModels = null) {
+        const { experiment, errors } = this.normalizeExperiment(raw, steps, allowedModels);
+        if (errors.length > 0) {
+            return { experiment: null, errors };
+        }
+
+        const result = await pool.query(`
+            INSERT INTO project_experiments_v6 (project_id, name, variants, created_by)
+            VALUES ($1, $2, $3, $4)
+            RETURNING *
+        `, [projectId, experiment.name, JSON.stringify(experiment.variants), userId]);
+
+        return { experiment: result.rows[0], errors: [] };
+    }
+
+    /**
+     * Only draft experiments can be edited; changing a running experiment
+     * would mix results from different set-ups
+     * @returns {Promise<Object|null>} - { experiment, errors, conflict }, null when it doesn't exist
+     */
+    async updateExperiment(projectId, experimentId, raw, steps, allowedModels = null) {
+        const existing = await this.getExperiment(projectId, experimentId);
+        if (!existing) {
+            return null;
+        }
+        if (existing.status !== 'draft') {
+            return { experiment: null, errors: ['Only experiments that have not started can be edited'], conflict: true };
+        }
+
+        const { experiment, errors } = this.normalizeExperiment(raw, steps, allowedModels);
+        if (errors.length > 0) {
+            return { experiment: null, errors, conflict: false };
+        }
+
+        const result = await pool.query(`
+            UPDATE project_experiments_v6
+            SET name = $1, variants = $2, updated_at = NOW()
+            WHERE id = $3 AND status = 'draft'
+            RETURNING *
+        `, [experiment.name, JSON.stringify(experiment.variants), experimentId]);
+
+        return { experiment: result.rows[0], errors: [], conflict: false };
+    }
+
+    /**
+     * Start a draft experiment. A project runs at most one experiment at a time.
+     * @returns {Promise<Object|null>} - { experiment, error }, null when it doesn't exist
+     */
+    async startExperiment(projectId, experimentId) {
+        const existing = await this.getExperiment(projectId, experimentId);
+        if (!existing) {
+            return null;
+        }
+        if (existing.status !== 'draft') {
+            return { experiment: null, error: 'The experiment has already run' };
+        }
+        if (await this.getRunningExperiment(projectId)) {
+            return { experiment: null, error: 'Another experiment is running on this tool. Stop it first.' };
+        }
+
+        const result = await pool.query(`
+            UPDATE project_experiments_v6
+            SET status = 'running', started_at = NOW(), updated_at = NOW()
+            WHERE id = $1 AND status = 'draft'
+            RETURNING *
+        `, [experimentId]);
+
+        return { experiment: result.rows[0], error: null };
+    }
+
+    /**
+     * @returns {Promise<Object|null>} - { experiment, error }, null when it doesn't exist
+     */
+    async stopExperiment(projectId, experimentId) {
+        const existing = await this.getExperiment(projectId, experimentId);
+        if (!existing) {
+            return null;
+        }
+        if (existing.status !== 'running') {
+            return { experiment: null, error: 'The experiment is not running' };
+        }
+
+        const result = await pool.query(`
+            UPDATE project_experiments_v6
+            SET status = 'stopped', stopped_at = NOW(), updated_at = NOW()
+            WHERE id = $1
+            RETURNING *
+        `, [experimentId]);
+
+        return { experiment: result.rows[0], error: null };
+    }
+
+    /**
+     * @returns {Promise<Object|null>} - { deleted, error }, null when it doesn't exist
+     */
+    async deleteExperiment(projectId, experimentId) {
+        const existing = await this.getExperiment(projectId, experimentId);
+        if (!existing) {
+            return null;
+        }
+        if (existing.status === 'running') {
+            return { deleted: false, error: 'Stop the experiment before deleting it' };
+        }
+
+        await pool.query('DELETE FROM project_experiments_v6 WHERE id = $1', [experimentId]);
+        return { deleted: true, error: null };
+    }
+
+    async getRunningExperiment(projectId) {
+        const result = await pool.query(`
+            SELECT * FROM project_experiments_v6
+            WHERE project_id = $1 AND status = 'running'
+            LIMIT 1
+        `, [projectId]);
+        return result.rows[0] || null;
+    }
+
+    // ========================================
+    // ASSIGNMENT
+    // ========================================
+
+    /**
+     * A visitor id sent by the tool, or null when it is missing or malformed
+     */
+    normalizeVisitorId(visitorId) {
+        return typeof visitorId === 'string' && this.visitorPattern.test(visitorId) ? visitorId : null;
+    }
+
+    createVisitorId() {
+        return crypto.randomUUID();
+    }
+
+    /**
+     * Pick a variant by weight from a hash of the visitor id, so the
+     * assignment is the same on every visit
+     */
+    pickVariant(experiment, visitorId) {
+        const variants = experiment.variants;
+        const total = variants.reduce((sum, variant) => sum + variant.weight, 0);
+        const hash = crypto.createHash('sha256').update(`${experiment.id}:${visitorId}`).digest();
+        let point = (hash.readUInt32BE(0) / 0x100000000) * total;
+
+        for (const variant of variants) {
+            point -= variant.weight;
+            if (point < 0) {
+                return variant;
+            }
+        }
+        return variants[variants.length - 1];
+    }
+
+    /**
+     * The variant of the running experiment a visitor is assigned to
+     * @param {string} projectId - Project UUID
+     * @param {string} visitorId - Normalized visitor id
+     * @param {Object} options - { recordExposure: count the visitor in the experiment }
+     * @returns {Promise<Object|null>} - { experiment_id, variant_key, visitor_id, variant },
+     *   null when no experiment is running
+     */
+    async getAssignment(projectId, visitorId, { recordExposure = false } = {}) {
+        if (!visitorId) {
+            return null;
+        }
+
+        const experiment = await this.getRunningExperiment(projectId);
+        if (!experiment) {
+            return null;
+        }
+
+        const variant = this.pickVariant(experiment, visitorId);
+
+        if (recordExposure) {
+            await pool.query(`
+                INSERT INTO project_experiment_exposures_v6 (experiment_id, visitor_id, variant_key)
+                VALUES ($1, $2, $3)
+                ON CONFLICT (experiment_id, visitor_id) DO NOTHING
+            `, [experiment.id, visitorId, variant.key]);
+        }
+
+        return { experiment_id: experiment.id, variant_key: variant.key, visitor_id: visitorId, variant };
+    }
+
+    /**
+     * A serving snapshot ({ snapshot, version_number }) with the variant's
+     * prompt and layout overrides applied. Steps and fields the variant
+     * doesn't know (added after it was created) keep their place at the end.
+     */
+    applyVariant(serving, variant) {
+        if (!variant) {
+            return serving;
+        }
+
+        const { project, steps } = serving.snapshot;
+        const orderBy = (items, order) => {
+            if (!order) {
+                return items;
+            }
+            const position = id => {
+                const index = order.indexOf(id);
+                return index === -1 ? order.length : index;
+            };
+            return [...items].sort((a, b) => position(a.id) - position(b.id));
+        };
+
+        const fieldOrder = variant.field_order || {};
+        const reordered = orderBy(steps, variant.step_order).map(step => ({
+            ...step,
+            fields: orderBy(step.fields || [], fieldOrder[step.id])
+        }));
+
+        return {
+            ...serving,
+            snapshot: {
+                ...serving.snapshot,
+                project: variant.system_prompt ? { ...project, system_prompt: variant.system_prompt } : project,
+                steps: reordered
+            }
+        };
+    }
+
+    /**
+     * Full model id of the variant's model override, or null
+     */
+    getModel(variant) {
+        return variant && variant.model ? this.llm.models[variant.model] : null;
+    }
+
+    // ========================================
+    // RESULTS
+    // ========================================
+
+    /**
+     * Per-variant results of an experiment
+     * @returns {Promise<Object|null>} - { experiment, variants: [{ key, name, weight, visitors,
+     *   completed_visitors, completion_rate, sessions, feedback_count, avg_rating, total_cost,
+     *   cost_per_session, significance }] }, null when it doesn't exist
+     */
+    async getResults(projectId, experimentId) {
+        const experiment = await this.getExperiment(projectId, experimentId);
+        if (!experiment) {
+            return null;
+        }
+
+        const [exposures, sessions, feedback] = await Promise.all([
+            pool.query(`
+                SELECT variant_key, COUNT(*) as visitors
+                FROM project_experiment_exposures_v6
+                WHERE experiment_id = $1
+                GROUP BY variant_key
+            `, [experimentId]),
+            pool.query(`
+                SELECT variant_key, COUNT(*) as sessions, COUNT(DISTINCT visitor_id) as completed_visitors,
+                       COALESCE(SUM(ai_cost), 0) as total_cost, COALESCE(SUM(ai_input_tokens + ai_output_tokens), 0) as total_tokens
+                FROM project_sessions_v6
+                WHERE experiment_id = $1 AND completed_at IS NOT NULL AND batch_id IS NULL
+                GROUP BY variant_key
+            `, [experimentId]),
+            // Feedback names the session by id or by token
+            pool.query(`
+                SELECT s.variant_key, COUNT(*) as feedback_count, AVG(f.rating) as avg_rating
+                FROM user_feedback f
+                JOIN project_sessions_v6 s ON s.project_id = f.project_id
+                    AND f.session_id::text IN (s.id::text, s.session_token)
+                WHERE s.experiment_id = $1 AND f.rating IS NOT NULL
+                GROUP BY s.variant_key
+            `, [experimentId])
+        ]);
+
+        const byKey = (result) => new Map(result.rows.map(row => [row.variant_key, row]));
+        const exposureRows = byKey(exposures);
+        const sessionRows = byKey(sessions);
+        const feedbackRows = byKey(feedback);
+
+        const variants = experiment.variants.map(variant => {
+            const visitors = parseInt(exposureRows.get(variant.key)?.visitors || 0, 10);
+            const session = sessionRows.get(variant.key) || {};
+            const sessionCount = parseInt(session.sessions || 0, 10);
+            const completedVisitors = Math.min(parseInt(session.completed_visitors || 0, 10), visitors);
+            const totalCost = parseFloat(session.total_cost || 0);
+            const rating = feedbackRows.get(variant.key);
+
+            return {
+                key: variant.key,
+                name: variant.name,
+                weight: variant.weight,
+                visitors,
+                completed_visitors: completedVisitors,
+                completion_rate: visitors > 0 ? completedVisitors / visitors : null,
+                sessions: sessionCount,
+                feedback_count: parseInt(rating?.feedback_count || 0, 10),
+                avg_rating: rating ? parseFloat(rating.avg_rating) : null,
+                total_tokens: parseInt(session.total_tokens || 0, 10),
+                total_cost: totalCost,
+                cost_per_session: sessionCount > 0 ? totalCost / sessionCount : null
+            };
+        });
+
+        // Each variant's completion rate against the control (the first variant)
+        const [control, ...others] = variants;
+        control.significance = null;
+        others.forEach(variant => {
+            variant.significance = this.compareRates(control, variant);
+        });
+
+        return { experiment, variants };
+    }
+
+    /**
+     * Two-proportion z-test of completion rates
+     * @returns {Object|null} - { lift, z, p_value, significant }, null without enough data
+     */
+    compareRates(control, variant) {
+        const n1 = control.visitors;
+        const n2 = variant.visitors;
+        if (n1 === 0 || n2 === 0) {
+            return null;
+        }
+
+        const p1 = control.completed_visitors / n1;
+        const p2 = variant.completed_visitors / n2;
+        const pooled = (control.completed_visitors + variant.completed_visitors) / (n1 + n2);
+        const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / n1 + 1 / n2));
+
+        if (standardError === 0) {
+            return null;
+        }
+
+        const z = (p2 - p1) / standardError;
+        const pValue = 2 * (1 - this.normalCdf(Math.abs(z)));
+
+        return {
+            lift: p1 > 0 ? (p2 - p1) / p1 : null,
+            z,
+            p_value: pValue,
+            significant: pValue < this.significanceLevel
+        };
+    }
+
+    /**
+     * Standard normal CDF (Abramowitz and Stegun 7.1.26, error < 1.5e-7)
+     */
+    normalCdf(x) {
+        const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+        const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t *
+            Math.exp(-(x * x) / 2);
+        return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+    }
+}
+
+module.exports = new ProjectExperimentService();
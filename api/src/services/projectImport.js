@@ -0,0 +1,379 @@
+const { Pool } = require('pg');
+const { v4: uuidv4 } = require('uuid');
+const projectVersions = require('./projectVersions');
+
+// Database connection
+const pool = new Pool({
+    host: process.env.DB_HOST,
+    port: process.env.DB_PORT,
+    database: process.env.DB_NAME,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    ssl: { rejectUnauthorized: false }
+});
+
+/**
+ * Project Import Service V6
+ * Reads documents produced by GET /api/v6/projects/:projectId/export back into
+ * new projects. Older export formats are upgraded one version at a time until
+ * they reach the current format.
+ *
+ * Current format (6.1):
+ *   { version: '6.1', export_date, project: {...}, steps: [{ ...step, fields: [{ ...field, choices: [...] }] }] }
+ */
+class ProjectImportService {
+    constructor() {
+        this.currentFormat = '6.1';
+
+        // Each upgrader turns a document of its key's format into the next format
+        this.upgraders = {
+            '6.0': document => this.upgradeFrom60(document)
+        };
+
+        this.fieldTypes = [
+            'text', 'textarea', 'email', 'url', 'number', 'select', 'radio', 'checkbox', 'file', 'date',
+            'slider', 'rating', 'likert', 'repeater'
+        ];
+    }
+
+    // ========================================
+    // FORMAT UPGRADES
+    // ========================================
+
+    /**
+     * 6.0 spread the project row over the top level of the document (its own
+     * `version` column was overwritten by the format version), predates
+     * conditional logic and sometimes carried legacy choice_label/choice_value
+     */
+    upgradeFrom60(document) {
+        const { steps, export_date, version, ...project } = document;
+
+        return {
+            version: '6.1',
+            export_date,
+            project,
+            steps: (steps || []).map(step => ({
+                ...step,
+                branch_rules: step.branch_rules || [],
+                fields: (step.fields || []).map(field => ({
+                    ...field,
+                    visibility_rules: field.visibility_rules || null,
+                    choices: (field.choices || []).map(choice => ({
+                        ...choice,
+                        label: choice.label ?? choice.choice_label,
+                        value: choice.value ?? choice.choice_value
+                    }))
+                }))
+            }))
+        };
+    }
+
+    /**
+     * Bring a document up to the current format
+     * @param {Object} document - Parsed export document
+     * @returns {Object} - { document, upgradedFrom, errors }
+     */
+    upgradeDocument(document) {
+        // Accept the raw API response as well as the export itself
+        if (document && document.export && !document.version) {
+            document = document.export;
+        }
+
+        if (!document || typeof document !== 'object' || Array.isArray(document)) {
+            return { document: null, upgradedFrom: null, errors: ['Import file must contain a JSON object'] };
+        }
+
+        const originalFormat = document.version ? String(document.version) : null;
+        if (!originalFormat) {
+            return { document: null, upgradedFrom: null, errors: ['Missing export format version'] };
+        }
+
+        let upgraded = document;
+        while (String(upgraded.version) !== this.currentFormat) {
+            const upgrade = this.upgraders[String(upgraded.version)];
+            if (!upgrade) {
+                return {
+                    document: null,
+                    upgradedFrom: null,
+                    errors: [`Unsupported export format version '${upgraded.version}'`]
+                };
+            }
+            upgraded = upgrade(upgraded);
+        }
+
+        return {
+            document: upgraded,
+            upgradedFrom: originalFormat !== this.currentFormat ? originalFormat : null,
+            errors: []
+        };
+    }
+
+    // ========================================
+    // VALIDATION
+    // ========================================
+
+    /**
+     * Validate a current-format document
+     * @returns {Array<string>} - Validation errors
+     */
+    validateDocument(document) {
+        const errors = [];
+        const isText = value => typeof value === 'string' && value.trim() !== '';
+
+        if (!document.project || typeof document.project !== 'object') {
+            return ['Document has no project'];
+        }
+        if (!isText(document.project.name)) {
+            errors.push('Project name is required');
+        }
+        if (!Array.isArray(document.steps)) {
+            return [...errors, 'Document steps must be an array'];
+        }
+
+        const ids = new Set();
+        const checkId = (id, position) => {
+            if (!id) {
+                errors.push(`${position}: id is required`);
+            } else if (ids.has(id)) {
+                errors.push(`${position}: duplicate id '${id}'`);
+            }
+            ids.add(id);
+        };
+
+        document.steps.forEach((step, stepIndex) => {
+            const stepPosition = `Step ${stepIndex + 1}`;
+            checkId(step?.id, stepPosition);
+
+            if (!isText(step?.name)) {
+                errors.push(`${stepPosition}: name is required`);
+            }
+            if (!Array.isArray(step?.fields)) {
+                errors.push(`${stepPosition}: fields must be an array`);
+                return;
+            }
+
+            step.fields.forEach((field, fieldIndex) => {
+                const fieldPosition = `${stepPosition}, field ${fieldIndex + 1}`;
+                checkId(field?.id, fieldPosition);
+
+                if (!isText(field?.name)) {
+                    errors.push(`${fieldPosition}: name is required`);
+                }
+                if (!this.fieldTypes.includes(field?.field_type)) {
+                    errors.push(`${fieldPosition}: unknown field type '${field?.field_type}'`);
+                }
+                if (field?.choices !== undefined && !Array.isArray(field.choices)) {
+                    errors.push(`${fieldPosition}: choices must be an array`);
+                    return;
+                }
+
+                (field?.choices || []).forEach((choice, choiceIndex) => {
+                    const choicePosition = `${fieldPosition}, choice ${choiceIndex + 1}`;
+                    checkId(choice?.id, choicePosition);
+
+                    if (!isText(String(choice?.value ?? '')) || !isText(String(choice?.label ?? ''))) {
+                        errors.push(`${choicePosition}: label and value are required`);
+                    }
+                });
+            });
+        });
+
+        return errors;
+    }
+
+    // ========================================
+    // ID REWRITING
+    // ========================================
+
+    /**
+     * Rewrite the ids of a condition list, dropping conditions that point
+     * outside the document
+     */
+    rewriteConditions(conditions, idMap, position, warnings) {
+        return (conditions || []).filter(condition => {
+            if (!idMap.has(condition.field_id)) {
+                warnings.push(`${position}: dropped a condition on a field that is not in the file`);
+                return false;
+            }
+            return true;
+        }).map(condition => ({ ...condition, field_id: idMap.get(condition.field_id) }));
+    }
+
+    /**
+     * Give every step, field and choice a new id and rewrite the references
+     * between them (visibility and branch rules)
+     * @returns {Object} - { steps, warnings }
+     */
+    rewriteIds(steps) {
+        const idMap = new Map();
+        const warnings = [];
+
+        steps.forEach(step => {
+            idMap.set(step.id, uuidv4());
+            (step.fields || []).forEach(field => {
+                idMap.set(field.id, uuidv4());
+                (field.choices || []).forEach(choice => idMap.set(choice.id, uuidv4()));
+            });
+        });
+
+        const rewritten = steps.map((step, stepIndex) => {
+            const branchRules = (step.branch_rules || []).map((rule, ruleIndex) => {
+                const position = `Step ${stepIndex + 1}, branch rule ${ruleIndex + 1}`;
+                const conditions = this.rewriteConditions(rule.conditions, idMap, position, warnings);
+                const target = rule.target_step_id === 'end' ? 'end' : idMap.get(rule.target_step_id);
+
+                if (!target || conditions.length === 0) {
+                    warnings.push(`${position}: removed because it no longer points anywhere`);
+                    return null;
+                }
+                return { ...rule, conditions, target_step_id: target };
+            }).filter(Boolean);
+
+            return {
+                ...step,
+                id: idMap.get(step.id),
+                step_order: step.step_order ?? stepIndex + 1,
+                branch_rules: branchRules,
+                fields: (step.fields || []).map((field, fieldIndex) => {
+                    let visibilityRules = field.visibility_rules || null;
+
+                    if (visibilityRules) {
+                        const position = `Step ${stepIndex + 1}, field ${fieldIndex + 1} visibility`;
+                        const conditions = this.rewriteConditions(visibilityRules.conditions, idMap, position, warnings);
+                        visibilityRules = conditions.length > 0 ? { ...visibilityRules, conditions } : null;
+                    }
+
+                    return {
+                        ...field,
+                        id: idMap.get(field.id),
+                        step_id: idMap.get(step.id),
+                        field_order: field.field_order ?? fieldIndex + 1,
+                        visibility_rules: visibilityRules,
+                        choices: (field.choices || []).map((choice, choiceIndex) => ({
+                            ...choice,
+                            id: idMap.get(choice.id),
+                            choice_order: choice.choice_order ?? choiceIndex,
+                            field_id: idMap.get(field.id)
+                        }))
+                    };
+                })
+            };
+        });
+
+        return { steps: rewritten, warnings };
+    }
+
+    // ========================================
+    // IMPORT
+    // ========================================
+
+    /**
+     * Turn a name into a subdomain using the same rules as project creation
+     */
+    generateSubdomain(name) {
+        return name
+            .toLowerCase()
+            .replace(/[^a-z0-9\s-]/g, '')
+            .replace(/\s+/g, '-')
+            .replace(/-+/g, '-')
+            .replace(/^-|-$/g, '')
+            .slice(0, 50) || 'imported-tool';
+    }
+
+    /**
+     * Find a free subdomain, suffixing -2, -3, ... when it is taken
+     */
+    async resolveSubdomain(base, db = pool) {
+        const result = await db.query(
+            'SELECT subdomain FROM projects_v6 WHERE subdomain = $1 OR subdomain LIKE $2',
+            [base, `${base}-%`]
+        );
+        const taken = new Set(result.rows.map(row => row.subdomain));
+
+        if (!taken.has(base)) {
+            return base;
+        }
+
+        let suffix = 2;
+        while (taken.has(`${base}-${suffix}`)) {
+            suffix++;
+        }
+        return `${base}-${suffix}`;
+    }
+
+    /**
+     * Import an export document as a new draft project owned by userId
+     * @param {Object} rawDocument - Parsed export document
+     * @param {string} userId - Owner of the new project
+     * @returns {Promise<Object>} - { project, errors, warnings, upgradedFrom, subdomainChanged }
+     */
+    async importProject(rawDocument, userId) {
+        const { document, upgradedFrom, errors: formatErrors } = this.upgradeDocument(rawDocument);
+        if (formatErrors.length > 0) {
+            return { project: null, errors: formatErrors };
+        }
+
+        const errors = this.validateDocument(document);
+        if (errors.length > 0) {
+            return { project: null, errors };
+        }
+
+        const { steps, warnings } = this.rewriteIds(document.steps);
+        const source = document.project;
+
+        // Packages and permission groups belong to the source environment
+        const projectColumns = projectVersions.projectColumns.filter(column => column !== 'required_package_id');
+
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const requestedSubdomain = this.generateSubdomain(source.subdomain || source.name);
+            const subdomain = await this.resolveSubdomain(requestedSubdomain, client);
+
+            const values = projectColumns.map(column => projectVersions.toColumnValue(source[column]));
+            const placeholders = projectColumns.map((_, index) => `$${index + 3}`);
+
+            const projectResult = await client.query(`
+                INSERT INTO projects_v6 (user_id, subdomain, ${projectColumns.join(', ')}, deployed, enabled)
+                VALUES ($1, $2, ${placeholders.join(', ')}, false, true)
+                RETURNING *
+            `, [userId, subdomain, ...values]);
+
+            const project = projectResult.rows[0];
+
+            for (const step of steps) {
+                await projectVersions.upsertRow(client, 'project_steps_v6', ['project_id', ...projectVersions.stepColumns], { ...step, project_id: project.id });
+
+                for (const field of step.fields) {
+                    await projectVersions.upsertRow(client, 'project_fields_v6', ['step_id', ...projectVersions.fieldColumns], field);
+
+                    for (const choice of field.choices) {
+                        await projectVersions.upsertRow(client, 'project_choices_v6', ['field_id', ...projectVersions.choiceColumns], choice);
+                    }
+                }
+            }
+
+            await client.query('COMMIT');
+
+            console.log(`📥 Imported project: ${project.name} (${project.id})${upgradedFrom ? ` from format ${upgradedFrom}` : ''}`);
+
+            return {
+                project,
+                errors: [],
+                warnings,
+                upgradedFrom,
+                subdomainChanged: subdomain !== requestedSubdomain
+            };
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Error importing project:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+}
+
+module.exports = new ProjectImportService();
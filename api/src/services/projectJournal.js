@@ -0,0 +1,498 @@
+const { Pool } = require('pg');
+const projectVersions = require('./projectVersions');
+
+// Database connection
+const pool = new Pool({
+    host: process.env.DB_HOST,
+    port: process.env.DB_PORT,
+    database: process.env.DB_NAME,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    ssl: { rejectUnauthorized: false }
+});
+
+/**
+ * Project Journal Service V6
+ * Records every structural change to a project's draft (steps, fields and
+ * choices created, updated, deleted or reordered) with the state before and
+ * after, so editors can undo and redo them and see the project's activity.
+ *
+ * The journal is one stack per project, shared by all editors: undo reverts
+ * the latest applied entry, redo reapplies the most recently undone one, and
+ * recording a new change discards whatever could still be redone.
+ *
+ * Entry state format (same shape as version snapshots):
+ *   step:   { ...step, fields: [{ ...field, choices: [...] }] } (fields only for deletes)
+ *   field:  { ...field, choices: [...] }
+ *   choice: { ...choice }
+ *   reordered: [{ id, order }, ...] (entity_id is the project for steps, the step for fields)
+ */
+class ProjectJournalService {
+    constructor() {
+        this.maxEntries = 500;
+        this.pageSize = 50;
+
+        this.entities = {
+            step: {
+                table: 'project_steps_v6',
+                parentColumn: 'project_id',
+                orderColumn: 'step_order',
+                columns: projectVersions.stepColumns,
+                label: 'step'
+            },
+            field: {
+                table: 'project_fields_v6',
+                parentColumn: 'step_id',
+                orderColumn: 'field_order',
+                columns: projectVersions.fieldColumns,
+                label: 'field'
+            },
+            choice: {
+                table: 'project_choices_v6',
+                parentColumn: 'field_id',
+                orderColumn: 'choice_order',
+                columns: projectVersions.choiceColumns,
+                label: 'choice'
+            }
+        };
+        this.parentTables = {
+            project_id: 'projects_v6',
+            step_id: 'project_steps_v6',
+            field_id: 'project_fields_v6'
+        };
+    }
+
+    /**
+     * Create the journal table if it doesn't exist
+     */
+    async ensureJournalTable() {
+        try {
+            await pool.query(`
+                CREATE TABLE IF NOT EXISTS project_journal_v6 (
+                    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                    seq BIGSERIAL,
+                    project_id UUID REFERENCES projects_v6(id) ON DELETE CASCADE,
+                    user_id UUID,
+                    entity_type VARCHAR(20) NOT NULL,
+                    entity_id UUID,
+                    action VARCHAR(20) NOT NULL,
+                    summary TEXT,
+                    before_state JSONB,
+                    after_state JSONB,
+                    status VARCHAR(20) NOT NULL DEFAULT 'applied',
+                    undone_by UUID,
+                    undone_at TIMESTAMP,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                );
+
+                CREATE INDEX IF NOT EXISTS idx_project_journal_v6_project_seq ON project_journal_v6(project_id, seq);
+            `);
+
+            console.log('✅ Project journal table ensured');
+
+        } catch (error) {
+            console.error('Error ensuring project journal table:', error);
+            throw error;
+        }
+    }
+
+    // ========================================
+    // RECORDING
+    // ========================================
+
+    /**
+     * Current state of a step, field or choice
+     * @param {string} type - step, field or choice
+     * @param {string} id - Row id
+     * @param {Object} options - { deep } also loads a step's fields and choices
+     * @returns {Promise<Object|null>}
+     */
+    async snapshot(type, id, { deep = false } = {}, db = pool) {
+        const entity = this.entities[type];
+        const result = await db.query(`SELECT * FROM ${entity.table} WHERE id = $1`, [id]);
+        const row = result.rows[0];
+        if (!row) {
+            return null;
+        }
+
+        if (type === 'step' && deep) {
+            const fields = await db.query('SELECT id FROM project_fields_v6 WHERE step_id = $1 ORDER BY field_order ASC', [id]);
+            row.fields = [];
+            for (const field of fields.rows) {
+                row.fields.push(await this.snapshot('field', field.id, {}, db));
+            }
+        } else if (type === 'field') {
+            const choices = await db.query('SELECT * FROM project_choices_v6 WHERE field_id = $1 ORDER BY choice_order ASC', [id]);
+            row.choices = choices.rows;
+        }
+
+        return row;
+    }
+
+    /**
+     * Current order of the steps of a project or the fields of a step
+     * @param {string} type - step or field
+     * @param {string} parentId - Project (steps) or step (fields)
+     * @returns {Promise<Array>} - [{ id, order }]
+     */
+    async snapshotOrder(type, parentId) {
+        const entity = this.entities[type];
+        const result = await pool.query(`
+            SELECT id, ${entity.orderColumn} AS "order" FROM ${entity.table}
+            WHERE ${entity.parentColumn} = $1
+            ORDER BY ${entity.orderColumn} ASC
+        `, [parentId]);
+        return result.rows;
+    }
+
+    /**
+     * Add a change to the project's journal. Recording never fails the
+     * change itself; errors are only logged.
+     * @param {string} projectId - Project changed
+     * @param {Object} user - req.user of the author
+     * @param {Object} entry - { entity_type, entity_id, action, before, after }
+     */
+    async record(projectId, user, { entity_type, entity_id, action, before = null, after = null }) {
+        try {
+            // A new change replaces whatever could still be redone
+            await pool.query(`
+                UPDATE project_journal_v6 SET status = 'discarded'
+                WHERE project_id = $1 AND status = 'undone'
+            `, [projectId]);
+
+            await pool.query(`
+                INSERT INTO project_journal_v6 (project_id, user_id, entity_type, entity_id, action, summary, before_state, after_state)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            `, [
+                projectId, user ? user.id : null, entity_type, entity_id, action,
+                this.describe(entity_type, action, before, after),
+                before ? JSON.stringify(before) : null,
+                after ? JSON.stringify(after) : null
+            ]);
+
+            await pool.query(`
+                DELETE FROM project_journal_v6
+                WHERE project_id = $1 AND seq <= (
+                    SELECT seq FROM project_journal_v6 WHERE project_id = $1
+                    ORDER BY seq DESC OFFSET $2 LIMIT 1
+                )
+            `, [projectId, this.maxEntries]);
+
+        } catch (error) {
+            console.error('Error recording journal entry:', error);
+        }
+    }
+
+    /**
+     * Close the undo/redo stack after the whole draft was replaced (version
+     * restore); the entries stay in the timeline
+     */
+    async discardHistory(projectId) {
+        await pool.query(`
+            UPDATE project_journal_v6 SET status = 'discarded'
+            WHERE project_id = $1 AND status IN ('applied', 'undone')
+        `, [projectId]);
+    }
+
+    /**
+     * One-line description for the activity timeline
+     */
+    describe(type, action, before, after) {
+        const label = this.entities[type].label;
+
+        if (action === 'reordered') {
+            return `Reordered ${label}s`;
+        }
+
+        const state = after || before || {};
+        const name = state.label || state.name || state.value;
+        const named = name ? `${label} "${String(name).slice(0, 80)}"` : label;
+
+        if (action === 'deleted' && type === 'step' && before?.fields?.length > 0) {
+            return `Deleted ${named} with ${before.fields.length} field${before.fields.length === 1 ? '' : 's'}`;
+        }
+        return `${action.charAt(0).toUpperCase()}${action.slice(1)} ${named}`;
+    }
+
+    // ========================================
+    // TIMELINE
+    // ========================================
+
+    /**
+     * Journal entries, newest first
+     * @param {string} projectId
+     * @param {Object} options - { before: seq to page from, limit }
+     * @returns {Promise<Object>} - { entries, can_undo, can_redo, next_before }
+     */
+    async listEntries(projectId, { before = null, limit = this.pageSize } = {}) {
+        const pageSize = Math.min(Math.max(parseInt(limit, 10) || this.pageSize, 1), 200);
+        const params = [projectId, pageSize];
+        let pageCondition = '';
+
+        if (before) {
+            params.push(before);
+            pageCondition = 'AND j.seq < $3';
+        }
+
+        const result = await pool.query(`
+            SELECT j.id, j.seq, j.entity_type, j.entity_id, j.action, j.summary, j.status,
+                   j.created_at, j.undone_at, author.email as user_email, undoer.email as undone_by_email
+            FROM project_journal_v6 j
+            LEFT JOIN users author ON author.id = j.user_id
+            LEFT JOIN users undoer ON undoer.id = j.undone_by
+            WHERE j.project_id = $1 ${pageCondition}
+            ORDER BY j.seq DESC
+            LIMIT $2
+        `, params);
+
+        const stack = await pool.query(`
+            SELECT
+                COUNT(*) FILTER (WHERE status = 'applied') as applied,
+                COUNT(*) FILTER (WHERE status = 'undone') as undone
+            FROM project_journal_v6
+            WHERE project_id = $1
+        `, [projectId]);
+
+        return {
+            entries: result.rows,
+            can_undo: parseInt(stack.rows[0].applied, 10) > 0,
+            can_redo: parseInt(stack.rows[0].undone, 10) > 0,
+            next_before: result.rows.length === pageSize ? result.rows[result.rows.length - 1].seq : null
+        };
+    }
+
+    /**
+     * One entry with its before/after state
+     */
+    async getEntry(projectId, entryId) {
+        const result = await pool.query(`
+            SELECT j.*, author.email as user_email
+            FROM project_journal_v6 j
+            LEFT JOIN users author ON author.id = j.user_id
+            WHERE j.project_id = $1 AND j.id = $2
+        `, [projectId, entryId]);
+
+        return result.rows[0] || null;
+    }
+
+    // ========================================
+    // UNDO / REDO
+    // ========================================
+
+    /**
+     * Revert the latest applied change
+     * @returns {Promise<Object>} - { entry, error } (entry null when there is nothing to undo)
+     */
+    async undo(projectId, user) {
+        return this.moveInStack(projectId, user, 'undo');
+    }
+
+    /**
+     * Reapply the most recently undone change
+     * @returns {Promise<Object>} - { entry, error }
+     */
+    async redo(projectId, user) {
+        return this.moveInStack(projectId, user, 'redo');
+    }
+
+    async moveInStack(projectId, user, direction) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            // One undo/redo at a time per project
+            await client.query('SELECT id FROM projects_v6 WHERE id = $1 FOR UPDATE', [projectId]);
+
+            const entryResult = await client.query(`
+                SELECT * FROM project_journal_v6
+                WHERE project_id = $1 AND status = $2
+                ORDER BY seq ${direction === 'undo' ? 'DESC' : 'ASC'}
+                LIMIT 1
+            `, [projectId, direction === 'undo' ? 'applied' : 'undone']);
+
+            const entry = entryResult.rows[0];
+            if (!entry) {
+                await client.query('ROLLBACK');
+                return { entry: null, error: null };
+            }
+
+            const error = direction === 'undo'
+                ? await this.revert(client, entry)
+                : await this.reapply(client, entry);
+
+            if (error) {
+                await client.query('ROLLBACK');
+                return { entry, error };
+            }
+
+            await client.query(`
+                UPDATE project_journal_v6
+                SET status = $1, undone_by = $2, undone_at = $3
+                WHERE id = $4
+            `, direction === 'undo'
+                ? ['undone', user.id, new Date(), entry.id]
+                : ['applied', null, null, entry.id]);
+
+            await client.query('UPDATE projects_v6 SET updated_at = NOW() WHERE id = $1', [projectId]);
+            await client.query('COMMIT');
+
+            console.log(`${direction === 'undo' ? '↩️' : '↪️'} ${direction} on project ${projectId}: ${entry.summary}`);
+            return { entry, error: null };
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error(`Error during journal ${direction}:`, error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Put the project back the way it was before an entry
+     * @returns {Promise<string|null>} - Why it can't be undone, if it can't
+     */
+    async revert(client, entry) {
+        switch (entry.action) {
+            case 'created':
+                return this.removeEntity(client, entry.entity_type, entry.after_state);
+            case 'deleted':
+                return this.restoreEntity(client, entry.entity_type, entry.before_state);
+            case 'updated':
+                return this.writeEntity(client, entry.entity_type, entry.before_state);
+            case 'reordered':
+                return this.writeOrder(client, entry.entity_type, entry.before_state);
+            default:
+                return `Unknown change: ${entry.action}`;
+        }
+    }
+
+    /**
+     * Apply an undone entry again
+     * @returns {Promise<string|null>} - Why it can't be redone, if it can't
+     */
+    async reapply(client, entry) {
+        switch (entry.action) {
+            case 'created':
+                return this.restoreEntity(client, entry.entity_type, entry.after_state);
+            case 'deleted':
+                return this.removeEntity(client, entry.entity_type, entry.before_state);
+            case 'updated':
+                return this.writeEntity(client, entry.entity_type, entry.after_state);
+            case 'reordered':
+                return this.writeOrder(client, entry.entity_type, entry.after_state);
+            default:
+                return `Unknown change: ${entry.action}`;
+        }
+    }
+
+    async exists(client, table, id) {
+        const result = await client.query(`SELECT 1 FROM ${table} WHERE id = $1`, [id]);
+        return result.rows.length > 0;
+    }
+
+    /**
+     * Delete a row (its children cascade) and close the gap in the order
+     */
+    async removeEntity(client, type, state) {
+        const entity = this.entities[type];
+        const deleted = await client.query(`DELETE FROM ${entity.table} WHERE id = $1 RETURNING *`, [state.id]);
+
+        if (deleted.rows.length === 0) {
+            return `The ${entity.label} no longer exists`;
+        }
+
+        const row = deleted.rows[0];
+        await client.query(`
+            UPDATE ${entity.table}
+            SET ${entity.orderColumn} = ${entity.orderColumn} - 1
+            WHERE ${entity.parentColumn} = $1 AND ${entity.orderColumn} > $2
+        `, [row[entity.parentColumn], row[entity.orderColumn]]);
+
+        return null;
+    }
+
+    /**
+     * Bring back a deleted row with its children, making room in the order
+     */
+    async restoreEntity(client, type, state) {
+        const entity = this.entities[type];
+        const parentId = state[entity.parentColumn];
+
+        if (!(await this.exists(client, this.parentTables[entity.parentColumn], parentId))) {
+            return `The ${entity.parentColumn.replace('_id', '')} this ${entity.label} belonged to no longer exists`;
+        }
+        if (await this.exists(client, entity.table, state.id)) {
+            return `The ${entity.label} already exists`;
+        }
+
+        await client.query(`
+            UPDATE ${entity.table}
+            SET ${entity.orderColumn} = ${entity.orderColumn} + 1
+            WHERE ${entity.parentColumn} = $1 AND ${entity.orderColumn} >= $2
+        `, [parentId, state[entity.orderColumn]]);
+
+        await this.upsert(client, type, state);
+
+        for (const field of state.fields || []) {
+            await this.upsert(client, 'field', field);
+            for (const choice of field.choices || []) {
+                await this.upsert(client, 'choice', choice);
+            }
+        }
+        if (type === 'field') {
+            for (const choice of state.choices || []) {
+                await this.upsert(client, 'choice', choice);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Overwrite a row with a saved state (a field's choices included)
+     */
+    async writeEntity(client, type, state) {
+        const entity = this.entities[type];
+
+        if (!(await this.exists(client, entity.table, state.id))) {
+            return `The ${entity.label} no longer exists`;
+        }
+
+        await this.upsert(client, type, state);
+
+        if (type === 'field') {
+            const choiceIds = (state.choices || []).map(choice => choice.id);
+            await client.query(`
+                DELETE FROM project_choices_v6
+                WHERE field_id = $1 AND NOT (id = ANY($2::uuid[]))
+            `, [state.id, choiceIds]);
+
+            for (const choice of state.choices || []) {
+                await this.upsert(client, 'choice', choice);
+            }
+        }
+
+        return null;
+    }
+
+    async writeOrder(client, type, order) {
+        const entity = this.entities[type];
+
+        for (const { id, order: position } of order) {
+            await client.query(
+                `UPDATE ${entity.table} SET ${entity.orderColumn} = $1 WHERE id = $2`,
+                [position, id]
+            );
+        }
+
+        return null;
+    }
+
+    async upsert(client, type, row) {
+        const entity = this.entities[type];
+        await projectVersions.upsertRow(client, entity.table, [entity.parentColumn, ...entity.columns], row);
+    }
+}
+
+module.exports = new ProjectJournalService();
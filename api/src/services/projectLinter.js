@@ -0,0 +1,303 @@
+const projectVersions = require('./projectVersions');
+const promptTemplates = require('./promptTemplates');
+const promptPipelines = require('./promptPipelines');
+const toolGeneratorV6 = require('./toolGeneratorV6');
+
+/**
+ * Project Linter Service V6
+ * Reviews a project's draft for design problems before it is deployed.
+ * Errors break the deployed tool and block the deploy unless it is
+ * overridden; warnings are shown on the pre-deploy checklist only.
+ *
+ * Issue format:
+ *   { code, severity: 'error'|'warning', message, suggestion, step_id, field_id }
+ */
+class ProjectLinterService {
+    constructor() {
+        this.choiceTypes = ['select', 'radio', 'checkbox'];
+        // About 2,000 tokens; longer system prompts cost on every request and
+        // tend to bury the instructions that matter
+        this.maxSystemPromptLength = 8000;
+    }
+
+    /**
+     * Lint the current draft of a project
+     * @returns {Promise<Object|null>} - Report (see lint), null when the project doesn't exist
+     */
+    async lintProject(projectId) {
+        const draft = await projectVersions.buildDraftSnapshot(projectId);
+        if (!draft) {
+            return null;
+        }
+        return this.lint(draft);
+    }
+
+    /**
+     * Lint a snapshot ({ project, steps: [{ ...step, fields: [{ ...field, choices }] }] })
+     * @returns {Object} - { issues, error_count, warning_count, can_deploy }
+     */
+    lint({ project, steps }) {
+        const issues = [
+            ...this.checkSteps(steps),
+            ...this.checkFieldNames(steps),
+            ...this.checkChoices(steps),
+            ...this.checkSkippableRequired(steps),
+            ...this.checkUnusedFields(project, steps),
+            ...this.checkSystemPrompts(project)
+        ];
+
+        // Errors first, then in project order
+        issues.sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1));
+
+        const errorCount = issues.filter(issue => issue.severity === 'error').length;
+
+        return {
+            issues,
+            error_count: errorCount,
+            warning_count: issues.length - errorCount,
+            can_deploy: errorCount === 0
+        };
+    }
+
+    issue(code, severity, message, suggestion, { step = null, field = null } = {}) {
+        return {
+            code,
+            severity,
+            message,
+            suggestion,
+            step_id: step ? step.id : null,
+            field_id: field ? field.id : null
+        };
+    }
+
+    stepName(step, index) {
+        return step.name || `Step ${index + 1}`;
+    }
+
+    fieldName(field) {
+        return field.label || field.name;
+    }
+
+    // ========================================
+    // CHECKS
+    // ========================================
+
+    checkSteps(steps) {
+        if (steps.length === 0) {
+            return [this.issue('no_steps', 'error', 'The project has no steps',
+                'Add a step with at least one field so visitors have something to fill in')];
+        }
+
+        return steps
+            .map((step, index) => ({ step, index }))
+            .filter(({ step }) => (step.fields || []).length === 0)
+            .map(({ step, index }) => this.issue('empty_step', 'warning',
+                `"${this.stepName(step, index)}" has no fields`,
+                'Add fields to the step or delete it; visitors would only see an empty page',
+                { step }));
+    }
+
+    /**
+     * Input names come from sanitizeFieldName, so "Company size" and
+     * "company-size" end up as the same input and one answer is lost
+     */
+    checkFieldNames(steps) {
+        const issues = [];
+        const byInputName = new Map();
+
+        for (const step of steps) {
+            for (const field of step.fields || []) {
+                const inputName = toolGeneratorV6.sanitizeFieldName(field.name || '');
+
+                if (!inputName) {
+                    issues.push(this.issue('invalid_field_name', 'error',
+                        `"${this.fieldName(field) || 'Unnamed field'}" has a name without letters or numbers`,
+                        'Give the field a name such as "company_size"',
+                        { step, field }));
+                    continue;
+                }
+
+                if (!byInputName.has(inputName)) {
+                    byInputName.set(inputName, []);
+                }
+                byInputName.get(inputName).push({ step, field });
+            }
+        }
+
+        for (const [inputName, entries] of byInputName) {
+            if (entries.length < 2) continue;
+
+            const names = entries.map(({ field }) => `"${field.name}"`).join(', ');
+            const identical = new Set(entries.map(({ field }) => field.name)).size === 1;
+
+            entries.slice(1).forEach(({ step, field }) => {
+                issues.push(this.issue(identical ? 'duplicate_field_name' : 'colliding_field_name', 'error',
+                    identical
+                        ? `${entries.length} fields are named "${field.name}"`
+                        : `Fields ${names} all become the input "${inputName}"`,
+                    `Rename "${this.fieldName(field)}" so each field has its own name; only one of the answers would reach the prompt`,
+                    { step, field }));
+            });
+        }
+
+        return issues;
+    }
+
+    checkChoices(steps) {
+        const issues = [];
+
+        for (const step of steps) {
+            for (const field of step.fields || []) {
+                if (this.choiceTypes.includes(field.field_type) && (field.choices || []).length === 0) {
+                    issues.push(this.issue('missing_choices', 'error',
+                        `"${this.fieldName(field)}" is a ${field.field_type} field with no choices`,
+                        'Add the options visitors can pick from, or change the field type',
+                        { step, field }));
+                }
+            }
+        }
+
+        return issues;
+    }
+
+    /**
+     * Required fields are only enforced on the steps a visitor actually
+     * reaches, so a branch that jumps over a step makes its required fields
+     * optional for everyone who takes it
+     */
+    checkSkippableRequired(steps) {
+        const skippedBy = new Map();
+
+        steps.forEach((step, index) => {
+            for (const rule of step.branch_rules || []) {
+                const target = rule.target_step_id === 'end'
+                    ? steps.length
+                    : steps.findIndex(candidate => candidate.id === rule.target_step_id);
+
+                for (let skipped = index + 1; skipped < target; skipped++) {
+                    if (!skippedBy.has(skipped)) {
+                        skippedBy.set(skipped, this.stepName(step, index));
+                    }
+                }
+            }
+        });
+
+        const issues = [];
+        for (const [index, source] of skippedBy) {
+            const step = steps[index];
+            for (const field of (step.fields || []).filter(candidate => candidate.is_required)) {
+                issues.push(this.issue('required_on_skippable_step', 'warning',
+                    `"${this.fieldName(field)}" is required, but "${this.stepName(step, index)}" can be skipped by a branch on "${source}"`,
+                    'Make the field optional, or move it to a step every visitor sees, so the prompt doesn\'t rely on it always being answered',
+                    { step, field }));
+            }
+        }
+
+        return issues;
+    }
+
+    /**
+     * Answers that no prompt reads are asked for and then thrown away
+     */
+    checkUnusedFields(project, steps) {
+        const fields = steps.flatMap(step => (step.fields || []).map(field => ({ step, field })));
+        const used = this.getUsedInputNames(project, fields.map(({ field }) => field));
+
+        if (used === null) {
+            return [];
+        }
+
+        return fields
+            .filter(({ field }) => !used.has(toolGeneratorV6.sanitizeFieldName(field.name || '')))
+            .map(({ step, field }) => this.issue('unused_field', 'warning',
+                `"${this.fieldName(field)}" is never used in the prompt`,
+                `Reference it as {{${toolGeneratorV6.sanitizeFieldName(field.name || '')}}} in the prompt template (or use {{answers}}), or delete the field`,
+                { step, field }));
+    }
+
+    /**
+     * Input names the prompts read, or null when every answer is sent
+     * (no custom template, or {{answers}})
+     */
+    getUsedInputNames(project, fields) {
+        const stages = promptPipelines.getStages(project);
+        const used = new Set();
+
+        if (stages.length === 0) {
+            if (!project.user_prompt_template) {
+                return null;
+            }
+
+            const paths = [
+                ...this.collectPaths(promptTemplates.getSystemTemplate(project)),
+                ...this.collectPaths(project.user_prompt_template)
+            ];
+            if (paths.includes('answers')) {
+                return null;
+            }
+            paths.forEach(path => used.add(path));
+            return used;
+        }
+
+        for (const stage of stages) {
+            const paths = [
+                ...this.collectPaths(stage.system_prompt || promptTemplates.getSystemTemplate(project)),
+                ...this.collectPaths(stage.template)
+            ];
+            const stageFields = promptPipelines.getInputFields(stage, fields);
+
+            if (paths.includes('answers')) {
+                stageFields.forEach(field => used.add(toolGeneratorV6.sanitizeFieldName(field.name || '')));
+            } else {
+                paths.forEach(path => used.add(path));
+            }
+        }
+
+        return used;
+    }
+
+    /**
+     * First segment of every variable, condition and loop path in a template
+     */
+    collectPaths(template) {
+        if (!template) {
+            return [];
+        }
+
+        const { nodes, errors } = promptTemplates.parse(template);
+        if (errors.length > 0) {
+            return [];
+        }
+
+        const paths = [];
+        const walk = list => {
+            for (const node of list) {
+                if (node.type === 'variable' || node.type === 'each') {
+                    paths.push(node.path.split('.')[0]);
+                } else if (node.type === 'if' || node.type === 'unless') {
+                    paths.push(node.condition.path.split('.')[0]);
+                }
+                walk(node.body || []);
+                walk(node.elseBody || []);
+            }
+        };
+        walk(nodes);
+
+        return paths;
+    }
+
+    checkSystemPrompts(project) {
+        const prompts = [{ label: 'The system prompt', text: project.system_prompt }];
+        promptPipelines.getStages(project).forEach((stage, index) => {
+            prompts.push({ label: `The system prompt of stage ${index + 1} (${stage.name || stage.key})`, text: stage.system_prompt });
+        });
+
+        return prompts
+            .filter(({ text }) => typeof text === 'string' && text.length > this.maxSystemPromptLength)
+            .map(({ label, text }) => this.issue('long_system_prompt', 'warning',
+                `${label} is ${text.length.toLocaleString('en-US')} characters long`,
+                `Keep it under ${this.maxSystemPromptLength.toLocaleString('en-US')} characters: move examples and step-by-step instructions into the prompt template and cut repetition`));
+    }
+}
+
+module.exports = new ProjectLinterService();
@@ -0,0 +1,364 @@
+const jwt = require('jsonwebtoken');
+const { Server } = require('socket.io');
+const { Pool } = require('pg');
+const projectCollaborators = require('./projectCollaborators');
+const { isAllowedOrigin } = require('../middleware/security');
+
+// Database connection
+const pool = new Pool({
+    host: process.env.DB_HOST,
+    port: process.env.DB_PORT,
+    database: process.env.DB_NAME,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    ssl: { rejectUnauthorized: false }
+});
+
+/**
+ * Project Live Editing Service V6
+ * Socket.io channel for people who have the same project open in the V6
+ * editor. It keeps presence (who is on which step), soft locks on fields
+ * whose editor modal is open, and pushes the changes made through the
+ * mutation routes to everyone else in the project room. Presence and locks
+ * live in memory and disappear with the socket; locks are advisory, the
+ * routes never refuse a write because of one.
+ *
+ * Client events:
+ *   project:join { project_id } (ack { success, role, presence, locks }), project:leave,
+ *   presence:update { step_id }, field:lock { field_id } (ack { success, holder }), field:unlock { field_id }
+ * Server events:
+ *   presence { viewers }, locks { locks }, project:changed { type, action, id, ..., by, at },
+ *   project:removed { project_id } (the user lost access and was taken out of the room)
+ */
+class ProjectLiveEditingService {
+    constructor() {
+        this.namespace = '/v6-editor';
+        this.lockTtlMs = 15 * 60 * 1000;
+        this.io = null;
+        // projectId -> Map(socketId -> viewer)
+        this.presence = new Map();
+        // projectId -> Map(fieldId -> lock)
+        this.locks = new Map();
+    }
+
+    /**
+     * Start the socket server on the API's HTTP server
+     */
+    attach(httpServer) {
+        this.io = new Server(httpServer, {
+            cors: {
+                origin: (origin, callback) => callback(null, !origin || isAllowedOrigin(origin)),
+                credentials: true
+            }
+        });
+
+        const editor = this.io.of(this.namespace);
+        editor.use((socket, next) => this.authenticate(socket, next));
+        editor.on('connection', socket => this.handleConnection(socket));
+
+        console.log(`🔌 Live editing sockets listening on ${this.namespace}`);
+        return this.io;
+    }
+
+    /**
+     * Same token as the REST API (handshake auth.token)
+     */
+    async authenticate(socket, next) {
+        try {
+            const token = socket.handshake.auth?.token;
+            if (!token) {
+                return next(new Error('Authorization token required'));
+            }
+
+            const decoded = jwt.verify(token, process.env.JWT_SECRET);
+            const result = await pool.query('SELECT id, email FROM users WHERE id = $1', [decoded.userId]);
+
+            if (result.rows.length === 0) {
+                return next(new Error('User not found'));
+            }
+
+            socket.data.user = result.rows[0];
+            next();
+
+        } catch (error) {
+            next(new Error('Invalid token'));
+        }
+    }
+
+    handleConnection(socket) {
+        socket.on('project:join', async (payload, ack) => {
+            const reply = typeof ack === 'function' ? ack : () => {};
+            try {
+                reply(await this.join(socket, payload?.project_id));
+            } catch (error) {
+                console.error('Live editing join error:', error);
+                reply({ success: false, error: 'Failed to join project' });
+            }
+        });
+
+        socket.on('project:leave', () => this.leave(socket));
+
+        socket.on('presence:update', (payload) => {
+            const viewer = this.getViewer(socket);
+            if (!viewer) return;
+
+            viewer.step_id = typeof payload?.step_id === 'string' ? payload.step_id : null;
+            this.emitPresence(socket.data.projectId);
+        });
+
+        socket.on('field:lock', (payload, ack) => {
+            const reply = typeof ack === 'function' ? ack : () => {};
+            reply(this.lockField(socket, payload?.field_id));
+        });
+
+        socket.on('field:unlock', (payload) => this.unlockField(socket, payload?.field_id));
+
+        socket.on('disconnect', () => this.leave(socket));
+    }
+
+    // ========================================
+    // PRESENCE
+    // ========================================
+
+    /**
+     * Join a project's room after checking the user can at least view it
+     * @returns {Promise<Object>} - { success, role, presence, locks } or { success: false, error }
+     */
+    async join(socket, projectId) {
+        if (typeof projectId !== 'string' || !projectId) {
+            return { success: false, error: 'project_id is required' };
+        }
+
+        const access = await projectCollaborators.getAccess({ projectId }, socket.data.user.id);
+        if (!access || !projectCollaborators.hasRole(access.role, 'viewer')) {
+            return { success: false, error: 'Access denied' };
+        }
+
+        this.leave(socket);
+
+        socket.data.projectId = access.projectId;
+        socket.join(this.room(access.projectId));
+
+        if (!this.presence.has(access.projectId)) {
+            this.presence.set(access.projectId, new Map());
+        }
+        this.presence.get(access.projectId).set(socket.id, {
+            socket_id: socket.id,
+            user_id: socket.data.user.id,
+            email: socket.data.user.email,
+            role: access.role,
+            step_id: null,
+            field_id: null,
+            joined_at: new Date().toISOString()
+        });
+
+        this.emitPresence(access.projectId);
+
+        return {
+            success: true,
+            role: access.role,
+            presence: this.listViewers(access.projectId),
+            locks: this.listLocks(access.projectId)
+        };
+    }
+
+    /**
+     * Leave the current project room and release the socket's locks
+     */
+    leave(socket) {
+        const projectId = socket.data.projectId;
+        if (!projectId) return;
+
+        socket.leave(this.room(projectId));
+        socket.data.projectId = null;
+
+        const viewers = this.presence.get(projectId);
+        if (viewers) {
+            viewers.delete(socket.id);
+            if (viewers.size === 0) {
+                this.presence.delete(projectId);
+            }
+        }
+
+        this.releaseLocks(projectId, socket.id);
+
+        this.emitPresence(projectId);
+        this.emitLocks(projectId);
+    }
+
+    /**
+     * Apply a change to a user's access (new role, removed, left) to their
+     * sockets in the project room. Access is only checked on join otherwise,
+     * so routes call this after changing collaborators.
+     * @param {string} projectId - Project whose collaborators changed
+     * @param {string} userId - User whose access changed
+     */
+    async refreshAccess(projectId, userId) {
+        if (!this.io || !userId) return;
+
+        const viewers = this.listViewers(projectId).filter(viewer => viewer.user_id === userId);
+        if (viewers.length === 0) return;
+
+        const access = await projectCollaborators.getAccess({ projectId }, userId);
+        const sockets = this.io.of(this.namespace).sockets;
+
+        for (const viewer of viewers) {
+            const socket = sockets.get(viewer.socket_id);
+            if (!socket) continue;
+
+            if (!access || !projectCollaborators.hasRole(access.role, 'viewer')) {
+                this.leave(socket);
+                socket.emit('project:removed', { project_id: projectId });
+                continue;
+            }
+
+            viewer.role = access.role;
+            if (!projectCollaborators.hasRole(access.role, 'editor')) {
+                viewer.field_id = null;
+                this.releaseLocks(projectId, socket.id);
+            }
+        }
+
+        this.emitPresence(projectId);
+        this.emitLocks(projectId);
+    }
+
+    getViewer(socket) {
+        const viewers = this.presence.get(socket.data.projectId);
+        return viewers ? viewers.get(socket.id) : null;
+    }
+
+    listViewers(projectId) {
+        return Array.from((this.presence.get(projectId) || new Map()).values());
+    }
+
+    emitPresence(projectId) {
+        this.io.of(this.namespace).to(this.room(projectId)).emit('presence', { viewers: this.listViewers(projectId) });
+    }
+
+    // ========================================
+    // SOFT LOCKS
+    // ========================================
+
+    /**
+     * Mark a field as being edited. When someone else holds it (and the lock
+     * isn't stale) the lock stays theirs and is returned as the holder.
+     * @returns {Object} - { success, holder, error }
+     */
+    lockField(socket, fieldId) {
+        const viewer = this.getViewer(socket);
+        if (!viewer || typeof fieldId !== 'string' || !fieldId) {
+            return { success: false, holder: null, error: 'Join a project first' };
+        }
+        if (!projectCollaborators.hasRole(viewer.role, 'editor')) {
+            return { success: false, holder: null, error: 'Viewers cannot edit fields' };
+        }
+
+        const projectId = socket.data.projectId;
+        if (!this.locks.has(projectId)) {
+            this.locks.set(projectId, new Map());
+        }
+        const locks = this.locks.get(projectId);
+        const current = locks.get(fieldId);
+
+        if (current && current.socket_id !== socket.id && Date.now() - current.locked_at < this.lockTtlMs) {
+            return { success: false, holder: { user_id: current.user_id, email: current.email }, error: null };
+        }
+
+        locks.set(fieldId, {
+            field_id: fieldId,
+            socket_id: socket.id,
+            user_id: viewer.user_id,
+            email: viewer.email,
+            locked_at: Date.now()
+        });
+        viewer.field_id = fieldId;
+
+        this.emitLocks(projectId);
+        this.emitPresence(projectId);
+        return { success: true, holder: null, error: null };
+    }
+
+    unlockField(socket, fieldId) {
+        const projectId = socket.data.projectId;
+        const locks = this.locks.get(projectId);
+        const lock = locks ? locks.get(fieldId) : null;
+
+        if (lock && lock.socket_id === socket.id) {
+            locks.delete(fieldId);
+            const viewer = this.getViewer(socket);
+            if (viewer) {
+                viewer.field_id = null;
+            }
+            this.emitLocks(projectId);
+            this.emitPresence(projectId);
+        }
+    }
+
+    /**
+     * Drop every lock a socket holds in a project
+     */
+    releaseLocks(projectId, socketId) {
+        const locks = this.locks.get(projectId);
+        if (!locks) return;
+
+        for (const [fieldId, lock] of locks) {
+            if (lock.socket_id === socketId) {
+                locks.delete(fieldId);
+            }
+        }
+        if (locks.size === 0) {
+            this.locks.delete(projectId);
+        }
+    }
+
+    listLocks(projectId) {
+        const now = Date.now();
+        return Array.from((this.locks.get(projectId) || new Map()).values())
+            .filter(lock => now - lock.locked_at < this.lockTtlMs)
+            .map(({ field_id, user_id, email }) => ({ field_id, user_id, email }));
+    }
+
+    emitLocks(projectId) {
+        this.io.of(this.namespace).to(this.room(projectId)).emit('locks', { locks: this.listLocks(projectId) });
+    }
+
+    // ========================================
+    // CHANGES
+    // ========================================
+
+    /**
+     * Tell the other editors of a project about a saved change. Called by
+     * the routes after a successful mutation; a no-op when sockets aren't
+     * attached.
+     * @param {string} projectId - Project that changed
+     * @param {Object} change - { type: project|step|field|choice, action, id, ...details }
+     * @param {Object} user - req.user of the author
+     * @param {string} [originSocketId] - Author's socket (X-Socket-Id), skipped
+     */
+    broadcastChange(projectId, change, user, originSocketId = null) {
+        if (!this.io || !projectId) return;
+
+        // A deleted field can't stay locked
+        if (change.type === 'field' && change.action === 'deleted' && this.locks.has(projectId)) {
+            this.locks.get(projectId).delete(change.id);
+            this.emitLocks(projectId);
+        }
+
+        let target = this.io.of(this.namespace).to(this.room(projectId));
+        if (originSocketId) {
+            target = target.except(originSocketId);
+        }
+        target.emit('project:changed', {
+            ...change,
+            by: { user_id: user.id, email: user.email },
+            at: new Date().toISOString()
+        });
+    }
+
+    room(projectId) {
+        return `project:${projectId}`;
+    }
+}
+
+module.exports = new ProjectLiveEditingService();
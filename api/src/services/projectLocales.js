@@ -0,0 +1,411 @@
+const { Pool } = require('pg');
+const llmClient = require('./llmClient');
+const projectVersions = require('./projectVersions');
+
+// Database connection
+const pool = new Pool({
+    host: process.env.DB_HOST,
+    port: process.env.DB_PORT,
+    database: process.env.DB_NAME,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    ssl: { rejectUnauthorized: false }
+});
+
+/**
+ * Project Locale Service V6
+ * Per-locale variants of the visitor-facing text of a project. The regular
+ * columns hold the default locale; every other locale lives in a translations
+ * column on the same row. Deployed tools get one page per locale, and the
+ * AI is told which language to answer in.
+ *
+ * Translations format (projects_v6, project_steps_v6, project_fields_v6, project_choices_v6):
+ *   { <locale>: { <column>: text, ... }, ... }
+ */
+class ProjectLocaleService {
+    constructor() {
+        this.languages = {
+            en: 'English',
+            fr: 'French',
+            es: 'Spanish',
+            de: 'German',
+            it: 'Italian',
+            pt: 'Portuguese',
+            nl: 'Dutch',
+            pl: 'Polish',
+            ja: 'Japanese',
+            zh: 'Chinese',
+            ar: 'Arabic'
+        };
+        this.maxLocales = 5;
+
+        // Visitor-facing columns that can be translated
+        this.textColumns = {
+            project: ['name', 'description', 'header_title', 'header_subtitle'],
+            step: ['name', 'description', 'page_title', 'page_subtitle', 'instructions'],
+            field: ['label', 'placeholder', 'description'],
+            choice: ['label']
+        };
+        this.tables = {
+            project: 'projects_v6',
+            step: 'project_steps_v6',
+            field: 'project_fields_v6',
+            choice: 'project_choices_v6'
+        };
+
+        this.llm = llmClient;
+    }
+
+    /**
+     * Add the locale settings and translation columns if they don't exist
+     */
+    async ensureLocaleColumns() {
+        try {
+            await pool.query(`
+                ALTER TABLE projects_v6
+                ADD COLUMN IF NOT EXISTS default_locale VARCHAR(10) DEFAULT 'en',
+                ADD COLUMN IF NOT EXISTS locales JSONB DEFAULT '["en"]'::jsonb
+            `);
+
+            for (const table of Object.values(this.tables)) {
+                await pool.query(`
+                    ALTER TABLE ${table}
+                    ADD COLUMN IF NOT EXISTS translations JSONB DEFAULT '{}'::jsonb
+                `);
+            }
+
+            console.log('✅ Project locale columns ensured');
+
+        } catch (error) {
+            console.error('Error ensuring project locale columns:', error);
+            throw error;
+        }
+    }
+
+    // ========================================
+    // SETTINGS
+    // ========================================
+
+    /**
+     * Validate the locale settings from the translations editor
+     * @param {Object} settings - { default_locale, locales }
+     * @returns {Object} - { settings, errors }
+     */
+    normalizeLocales({ default_locale, locales } = {}) {
+        const errors = [];
+        const defaultLocale = default_locale || 'en';
+        const list = Array.isArray(locales) ? [...new Set(locales)] : [defaultLocale];
+
+        if (!this.languages[defaultLocale]) {
+            errors.push(`Default language must be one of ${Object.keys(this.languages).join(', ')}`);
+        }
+
+        const unknown = list.filter(locale => !this.languages[locale]);
+        if (unknown.length > 0) {
+            errors.push(`Unsupported languages: ${unknown.join(', ')}`);
+        }
+        if (list.length > this.maxLocales) {
+            errors.push(`A tool can have at most ${this.maxLocales} languages`);
+        }
+
+        // The default locale always comes first
+        return {
+            settings: {
+                default_locale: defaultLocale,
+                locales: [defaultLocale, ...list.filter(locale => locale !== defaultLocale)]
+            },
+            errors
+        };
+    }
+
+    /**
+     * Locales of a (published) project with the default first
+     * @returns {Object} - { defaultLocale, locales }
+     */
+    getLocales(project) {
+        const defaultLocale = this.languages[project.default_locale] ? project.default_locale : 'en';
+        const locales = Array.isArray(project.locales) ? project.locales.filter(locale => this.languages[locale]) : [];
+
+        return {
+            defaultLocale,
+            locales: [defaultLocale, ...locales.filter(locale => locale !== defaultLocale)]
+        };
+    }
+
+    // ========================================
+    // LOCALE DETECTION
+    // ========================================
+
+    /**
+     * Language codes from an Accept-Language header, most preferred first
+     * ("fr-CA,fr;q=0.9,en;q=0.8" -> ['fr', 'en'])
+     */
+    parseAcceptLanguage(header) {
+        if (typeof header !== 'string' || !header.trim()) {
+            return [];
+        }
+
+        const ranked = header.split(',')
+            .map((part, index) => {
+                const [tag, ...params] = part.trim().split(';');
+                const quality = params.map(param => param.trim()).find(param => param.startsWith('q='));
+                return {
+                    code: tag.trim().toLowerCase().split('-')[0],
+                    quality: quality ? parseFloat(quality.slice(2)) || 0 : 1,
+                    index
+                };
+            })
+            .filter(entry => entry.code && entry.code !== '*' && entry.quality > 0)
+            .sort((a, b) => b.quality - a.quality || a.index - b.index);
+
+        return [...new Set(ranked.map(entry => entry.code))];
+    }
+
+    /**
+     * Pick the locale to serve: an explicit ?lang= / request locale first,
+     * then the Accept-Language header, then the project's default
+     * @param {Object} preferences - { lang, acceptLanguage }
+     */
+    resolveLocale(project, { lang = null, acceptLanguage = null } = {}) {
+        const { defaultLocale, locales } = this.getLocales(project);
+        const requested = typeof lang === 'string' ? lang.trim().toLowerCase().split('-')[0] : null;
+
+        if (requested && locales.includes(requested)) {
+            return requested;
+        }
+
+        return this.parseAcceptLanguage(acceptLanguage).find(code => locales.includes(code)) || defaultLocale;
+    }
+
+    /**
+     * Instruction added to the system prompt of multi-language tools
+     * @returns {string|null} - null for single-language tools
+     */
+    buildLanguageInstruction(project, locale) {
+        if (this.getLocales(project).locales.length < 2) {
+            return null;
+        }
+        return `Write your entire response in ${this.languages[locale]} (${locale}), whatever language the answers above are in.`;
+    }
+
+    // ========================================
+    // LOCALIZATION
+    // ========================================
+
+    /**
+     * A row with its text columns replaced by their translations
+     */
+    translateRow(row, kind, locale) {
+        const translation = (row.translations || {})[locale];
+        if (!translation) {
+            return row;
+        }
+
+        const translated = { ...row };
+        for (const column of this.textColumns[kind]) {
+            if (typeof translation[column] === 'string' && translation[column].trim()) {
+                translated[column] = translation[column];
+            }
+        }
+        return translated;
+    }
+
+    /**
+     * A project (with steps, fields and choices) in one locale. Missing
+     * translations fall back to the default text.
+     */
+    localizeProject(project, locale) {
+        return {
+            ...this.translateRow(project, 'project', locale),
+            locale,
+            steps: (project.steps || []).map(step => ({
+                ...this.translateRow(step, 'step', locale),
+                fields: (step.fields || []).map(field => ({
+                    ...this.translateRow(field, 'field', locale),
+                    choices: (field.choices || []).map(choice => this.translateRow(choice, 'choice', locale))
+                }))
+            }))
+        };
+    }
+
+    // ========================================
+    // TRANSLATION ENTRIES
+    // ========================================
+
+    /**
+     * Every translatable text of a snapshot with its current translations
+     * @returns {Array} - [{ kind, id, column, context, source, translations: { <locale>: text } }]
+     */
+    collectEntries(snapshot, locales) {
+        const entries = [];
+        const add = (kind, row, context) => {
+            for (const column of this.textColumns[kind]) {
+                if (typeof row[column] !== 'string' || !row[column].trim()) {
+                    continue;
+                }
+
+                const translations = {};
+                for (const locale of locales) {
+                    const text = (row.translations || {})[locale]?.[column];
+                    translations[locale] = typeof text === 'string' ? text : '';
+                }
+                entries.push({ kind, id: row.id, column, context, source: row[column], translations });
+            }
+        };
+
+        add('project', snapshot.project, 'Project');
+        snapshot.steps.forEach((step, stepIndex) => {
+            add('step', step, `Step ${stepIndex + 1}`);
+            (step.fields || []).forEach(field => {
+                const fieldContext = `Step ${stepIndex + 1} › ${field.label || field.name}`;
+                add('field', field, fieldContext);
+                (field.choices || []).forEach(choice => add('choice', choice, `${fieldContext} › choice`));
+            });
+        });
+
+        return entries;
+    }
+
+    /**
+     * Write translations to the draft. An empty text removes a translation.
+     * @param {Array} entries - [{ kind, id, column, locale, text }]
+     * @returns {Promise<Object>} - { updated, errors }
+     */
+    async saveEntries(projectId, entries, locales) {
+        if (!Array.isArray(entries)) {
+            return { updated: 0, errors: ['Translations must be a list'] };
+        }
+
+        const snapshot = await projectVersions.buildDraftSnapshot(projectId);
+        if (!snapshot) {
+            return { updated: 0, errors: ['Project not found'] };
+        }
+
+        // Only rows of this project can be written
+        const rows = new Map([[`project:${snapshot.project.id}`, snapshot.project]]);
+        snapshot.steps.forEach(step => {
+            rows.set(`step:${step.id}`, step);
+            (step.fields || []).forEach(field => {
+                rows.set(`field:${field.id}`, field);
+                (field.choices || []).forEach(choice => rows.set(`choice:${choice.id}`, choice));
+            });
+        });
+
+        const errors = [];
+        const changed = new Map();
+
+        entries.forEach((entry, index) => {
+            const at = `Translation ${index + 1}`;
+            const key = `${entry?.kind}:${entry?.id}`;
+            const row = rows.get(key);
+
+            if (!row) {
+                errors.push(`${at}: unknown ${entry?.kind || 'row'}`);
+                return;
+            }
+            if (!this.textColumns[entry.kind].includes(entry.column)) {
+                errors.push(`${at}: ${entry.column} cannot be translated`);
+                return;
+            }
+            if (!locales.includes(entry.locale)) {
+                errors.push(`${at}: ${entry.locale} is not one of the tool's languages`);
+                return;
+            }
+
+            const current = changed.get(key) || { kind: entry.kind, id: entry.id, translations: { ...(row.translations || {}) } };
+            const localeTexts = { ...(current.translations[entry.locale] || {}) };
+            const text = typeof entry.text === 'string' ? entry.text.trim() : '';
+
+            if ((localeTexts[entry.column] || '') === text) {
+                return;
+            }
+            if (text) {
+                localeTexts[entry.column] = text;
+            } else {
+                delete localeTexts[entry.column];
+            }
+            current.translations[entry.locale] = localeTexts;
+            changed.set(key, current);
+        });
+
+        if (errors.length > 0) {
+            return { updated: 0, errors };
+        }
+
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            for (const { kind, id, translations } of changed.values()) {
+                await client.query(`UPDATE ${this.tables[kind]} SET translations = $1 WHERE id = $2`, [JSON.stringify(translations), id]);
+            }
+            await client.query('UPDATE projects_v6 SET updated_at = NOW() WHERE id = $1', [projectId]);
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        return { updated: changed.size, errors: [] };
+    }
+
+    // ========================================
+    // AUTO-TRANSLATION
+    // ========================================
+
+    /**
+     * Translate the draft's text into a locale with the AI. Existing
+     * translations are kept unless overwrite is set.
+     * @returns {Promise<Object>} - { translated, errors }
+     */
+    async autoTranslate(projectId, locale, { overwrite = false } = {}) {
+        const snapshot = await projectVersions.buildDraftSnapshot(projectId);
+        if (!snapshot) {
+            return { translated: 0, errors: ['Project not found'] };
+        }
+
+        const { defaultLocale, locales } = this.getLocales(snapshot.project);
+        if (locale === defaultLocale || !locales.includes(locale)) {
+            return { translated: 0, errors: ['Choose one of the tool\'s other languages'] };
+        }
+
+        const pending = this.collectEntries(snapshot, [locale])
+            .filter(entry => overwrite || !entry.translations[locale]);
+        if (pending.length === 0) {
+            return { translated: 0, errors: [] };
+        }
+
+        const source = {};
+        pending.forEach((entry, index) => {
+            source[`t${index}`] = entry.source;
+        });
+
+        const prompt = `Translate the values of this JSON object from ${this.languages[defaultLocale]} to ${this.languages[locale]}.
+They are labels and instructions of a form that visitors fill in, so keep them short and natural.
+Keep the keys unchanged. Leave {{placeholders}} and [[variables]] exactly as they are.
+Respond with only the translated JSON object.
+
+${JSON.stringify(source, null, 2)}`;
+
+        const response = await this.llm.generateContent(prompt, {
+            model: this.llm.models.sonnet,
+            max_tokens: 4000,
+            temperature: 0.2
+        });
+        const translated = this.llm.parseJSONResponse(response);
+
+        const entries = pending
+            .map((entry, index) => ({ ...entry, locale, text: translated[`t${index}`] }))
+            .filter(entry => typeof entry.text === 'string' && entry.text.trim());
+
+        const result = await this.saveEntries(projectId, entries, locales);
+
+        console.log(`🌐 Auto-translated ${entries.length} texts of project ${projectId} to ${locale}`);
+        return { translated: result.errors.length > 0 ? 0 : entries.length, errors: result.errors };
+    }
+}
+
+module.exports = new ProjectLocaleService();
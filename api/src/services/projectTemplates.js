@@ -0,0 +1,618 @@
+const { Pool } = require('pg');
+const projectVersions = require('./projectVersions');
+const projectImport = require('./projectImport');
+
+// Database connection
+const pool = new Pool({
+    host: process.env.DB_HOST,
+    port: process.env.DB_PORT,
+    database: process.env.DB_NAME,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    ssl: { rejectUnauthorized: false }
+});
+
+/**
+ * Project Template Service V6
+ * "Save as template" freezes a project's structure, prompts and settings (no
+ * sessions or responses) as an export document (see projectImport). Templates
+ * declare variables such as a brand name: the text they replace in the source
+ * project becomes a [[key]] placeholder, and creating a project from the
+ * template fills the placeholders in before importing the document.
+ *
+ * Visibility:
+ *   private - owner only
+ *   team    - owner and users who share a client team with the owner
+ *   public  - every user; admins may feature public templates
+ *
+ * Variable format:
+ *   { key, label, default, required }
+ */
+class ProjectTemplateService {
+    constructor() {
+        this.categories = ['marketing', 'writing', 'business', 'education', 'health', 'productivity', 'creative', 'other'];
+        this.visibilities = ['private', 'team', 'public'];
+        this.sorts = ['featured', 'popular', 'newest'];
+        this.keyPattern = /^[a-z][a-z0-9_]{0,39}$/;
+        this.imagePattern = /^data:image\/(png|jpeg|webp);base64,([A-Za-z0-9+/]+={0,2})$/;
+        this.maxVariables = 10;
+        this.maxTags = 10;
+        this.maxImages = 3;
+        this.maxImageBytes = 1024 * 1024;
+        this.maxValueLength = 200;
+
+        // Text that variables may appear in; names, ids and values stay untouched
+        this.textColumns = {
+            project: ['name', 'description', 'ai_role', 'ai_persona_description', 'system_prompt',
+                'header_title', 'header_subtitle', 'user_prompt_template'],
+            stage: ['name', 'system_prompt', 'template'],
+            step: ['name', 'description', 'page_title', 'page_subtitle', 'instructions'],
+            field: ['label', 'placeholder', 'description'],
+            choice: ['label']
+        };
+    }
+
+    /**
+     * Create the template table if it doesn't exist
+     */
+    async ensureTemplateTables() {
+        try {
+            await pool.query(`
+                CREATE TABLE IF NOT EXISTS project_templates_v6 (
+                    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                    user_id UUID,
+                    source_project_id UUID REFERENCES projects_v6(id) ON DELETE SET NULL,
+                    name VARCHAR(255) NOT NULL,
+                    description TEXT,
+                    category VARCHAR(50) NOT NULL DEFAULT 'other',
+                    tags JSONB NOT NULL DEFAULT '[]'::jsonb,
+                    visibility VARCHAR(20) NOT NULL DEFAULT 'private',
+                    variables JSONB NOT NULL DEFAULT '[]'::jsonb,
+                    document JSONB NOT NULL,
+                    preview_images JSONB NOT NULL DEFAULT '[]'::jsonb,
+                    featured BOOLEAN NOT NULL DEFAULT false,
+                    featured_at TIMESTAMP,
+                    use_count INTEGER NOT NULL DEFAULT 0,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                );
+
+                CREATE INDEX IF NOT EXISTS idx_project_templates_v6_user_id ON project_templates_v6(user_id);
+                CREATE INDEX IF NOT EXISTS idx_project_templates_v6_visibility ON project_templates_v6(visibility, category);
+            `);
+
+            console.log('✅ Project template tables ensured');
+
+        } catch (error) {
+            console.error('Error ensuring project template tables:', error);
+            throw error;
+        }
+    }
+
+    // ========================================
+    // VALIDATION
+    // ========================================
+
+    /**
+     * Validate gallery details (name, description, category, tags, visibility, images)
+     * @param {Object} details - Raw details; omitted keys are left out of the result
+     * @param {boolean} partial - true for updates, where name may be omitted
+     * @returns {Object} - { details, errors }
+     */
+    normalizeDetails(details = {}, partial = false) {
+        const errors = [];
+        const normalized = {};
+
+        if (details.name !== undefined || !partial) {
+            const name = typeof details.name === 'string' ? details.name.trim() : '';
+            if (!name) {
+                errors.push('Template name is required');
+            } else if (name.length > 255) {
+                errors.push('Template name must be 255 characters or fewer');
+            }
+            normalized.name = name;
+        }
+
+        if (details.description !== undefined) {
+            normalized.description = typeof details.description === 'string' && details.description.trim()
+                ? details.description.trim()
+                : null;
+        }
+
+        if (details.category !== undefined || !partial) {
+            const category = details.category || 'other';
+            if (!this.categories.includes(category)) {
+                errors.push(`Category must be one of ${this.categories.join(', ')}`);
+            }
+            normalized.category = category;
+        }
+
+        if (details.visibility !== undefined || !partial) {
+            const visibility = details.visibility || 'private';
+            if (!this.visibilities.includes(visibility)) {
+                errors.push(`Visibility must be one of ${this.visibilities.join(', ')}`);
+            }
+            normalized.visibility = visibility;
+        }
+
+        if (details.tags !== undefined) {
+            const rawTags = Array.isArray(details.tags) ? details.tags : String(details.tags || '').split(',');
+            const tags = [...new Set(rawTags.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+            if (tags.length > this.maxTags) {
+                errors.push(`A template can have at most ${this.maxTags} tags`);
+            }
+            normalized.tags = tags.slice(0, this.maxTags).map(tag => tag.slice(0, 40));
+        }
+
+        if (details.preview_images !== undefined) {
+            const images = Array.isArray(details.preview_images) ? details.preview_images : [];
+            if (images.length > this.maxImages) {
+                errors.push(`A template can have at most ${this.maxImages} preview images`);
+            }
+            images.slice(0, this.maxImages).forEach((image, index) => {
+                const match = typeof image === 'string' ? image.match(this.imagePattern) : null;
+                if (!match) {
+                    errors.push(`Preview image ${index + 1} must be a PNG, JPEG or WebP image`);
+                } else if (Buffer.byteLength(match[2], 'base64') > this.maxImageBytes) {
+                    errors.push(`Preview image ${index + 1} must be 1 MB or smaller`);
+                }
+            });
+            normalized.preview_images = images.slice(0, this.maxImages);
+        }
+
+        return { details: normalized, errors };
+    }
+
+    /**
+     * Validate declared variables. `sample` is the text in the source project
+     * each variable replaces; it is only used while saving.
+     * @returns {Object} - { variables, errors }
+     */
+    normalizeVariables(variables) {
+        if (variables === undefined || variables === null) {
+            return { variables: [], errors: [] };
+        }
+        if (!Array.isArray(variables)) {
+            return { variables: [], errors: ['Variables must be a list'] };
+        }
+
+        const errors = [];
+        const keys = [];
+
+        if (variables.length > this.maxVariables) {
+            errors.push(`A template can have at most ${this.maxVariables} variables`);
+        }
+
+        const normalized = variables.slice(0, this.maxVariables).map((variable, index) => {
+            const at = `Variable ${index + 1}`;
+            const raw = variable && typeof variable === 'object' ? variable : {};
+            const key = typeof raw.key === 'string' ? raw.key.trim() : '';
+            const sample = typeof raw.sample === 'string' ? raw.sample.trim() : '';
+
+            if (!this.keyPattern.test(key)) {
+                errors.push(`${at}: key must start with a letter and use only lowercase letters, numbers and underscores`);
+            } else if (keys.includes(key)) {
+                errors.push(`${at}: key '${key}' is already used`);
+            }
+            keys.push(key);
+
+            if (sample && sample.length < 3) {
+                errors.push(`${at}: the text to replace must be at least 3 characters`);
+            }
+
+            return {
+                key,
+                label: typeof raw.label === 'string' && raw.label.trim() ? raw.label.trim() : key,
+                default: typeof raw.default === 'string' ? raw.default.trim() : '',
+                required: raw.required !== false,
+                sample
+            };
+        });
+
+        return { variables: normalized, errors };
+    }
+
+    // ========================================
+    // DOCUMENTS
+    // ========================================
+
+    /**
+     * Apply fn to every text a variable may appear in
+     * @returns {Object} - New document
+     */
+    mapText(document, fn) {
+        const mapColumns = (row, columns) => {
+            const mapped = { ...row };
+            columns.forEach(column => {
+                if (typeof mapped[column] === 'string') {
+                    mapped[column] = fn(mapped[column]);
+                }
+            });
+
+            // Per-locale variants of the same columns
+            if (mapped.translations && typeof mapped.translations === 'object') {
+                mapped.translations = Object.fromEntries(Object.entries(mapped.translations).map(([locale, texts]) => [
+                    locale,
+                    texts && typeof texts === 'object' ? mapColumns(texts, columns) : texts
+                ]));
+            }
+            return mapped;
+        };
+
+        const project = mapColumns(document.project, this.textColumns.project);
+        if (Array.isArray(project.prompt_pipeline)) {
+            project.prompt_pipeline = project.prompt_pipeline.map(stage => mapColumns(stage, this.textColumns.stage));
+        }
+
+        return {
+            ...document,
+            project,
+            steps: document.steps.map(step => ({
+                ...mapColumns(step, this.textColumns.step),
+                fields: step.fields.map(field => ({
+                    ...mapColumns(field, this.textColumns.field),
+                    choices: field.choices.map(choice => mapColumns(choice, this.textColumns.choice))
+                }))
+            }))
+        };
+    }
+
+    /**
+     * Export document of a project's draft with only what a template needs:
+     * no owner, subdomain, package, deployment state or responses
+     */
+    async buildDocument(projectId) {
+        const snapshot = await projectVersions.buildDraftSnapshot(projectId);
+        if (!snapshot) {
+            return null;
+        }
+
+        const pick = (row, columns) => Object.fromEntries(columns.map(column => [column, row[column] ?? null]));
+        const projectColumns = projectVersions.projectColumns.filter(column => column !== 'required_package_id');
+
+        return {
+            version: projectImport.currentFormat,
+            export_date: new Date().toISOString(),
+            project: pick(snapshot.project, projectColumns),
+            steps: snapshot.steps.map(step => ({
+                id: step.id,
+                ...pick(step, projectVersions.stepColumns),
+                fields: (step.fields || []).map(field => ({
+                    id: field.id,
+                    ...pick(field, projectVersions.fieldColumns),
+                    choices: (field.choices || []).map(choice => ({
+                        id: choice.id,
+                        ...pick(choice, projectVersions.choiceColumns)
+                    }))
+                }))
+            }))
+        };
+    }
+
+    /**
+     * Keys of the [[key]] placeholders used in a document
+     */
+    findPlaceholders(document) {
+        const found = new Set();
+        this.mapText(document, text => {
+            for (const match of text.matchAll(/\[\[([a-z][a-z0-9_]*)\]\]/g)) {
+                found.add(match[1]);
+            }
+            return text;
+        });
+        return found;
+    }
+
+    /**
+     * Fill a template's placeholders with the given values (or the defaults)
+     * @returns {Object} - { document, errors }
+     */
+    fillDocument(template, values = {}) {
+        const errors = [];
+        const filled = {};
+
+        for (const variable of template.variables) {
+            const raw = values && typeof values[variable.key] === 'string' ? values[variable.key].trim() : '';
+            const value = raw || variable.default || '';
+
+            if (!value && variable.required) {
+                errors.push(`${variable.label} is required`);
+            } else if (value.length > this.maxValueLength) {
+                errors.push(`${variable.label} must be ${this.maxValueLength} characters or fewer`);
+            }
+            filled[variable.key] = value;
+        }
+
+        if (errors.length > 0) {
+            return { document: null, errors };
+        }
+
+        const document = this.mapText(template.document, text =>
+            text.replace(/\[\[([a-z][a-z0-9_]*)\]\]/g, (placeholder, key) => (key in filled ? filled[key] : placeholder))
+        );
+
+        return { document, errors: [] };
+    }
+
+    // ========================================
+    // TEMPLATES
+    // ========================================
+
+    /**
+     * Save a project as a template
+     * @returns {Promise<Object>} - { template, warnings } or { errors }
+     */
+    async createTemplate(projectId, userId, body) {
+        const { details, errors: detailErrors } = this.normalizeDetails(body);
+        const { variables, errors: variableErrors } = this.normalizeVariables(body.variables);
+        const errors = [...detailErrors, ...variableErrors];
+
+        if (errors.length > 0) {
+            return { errors };
+        }
+
+        let document = await this.buildDocument(projectId);
+        if (!document) {
+            return { errors: ['Project not found'] };
+        }
+
+        // Turn each variable's sample text into its placeholder, longest first
+        // so a sample containing another sample is replaced whole
+        const samples = variables.filter(variable => variable.sample).sort((a, b) => b.sample.length - a.sample.length);
+        document = this.mapText(document, text =>
+            samples.reduce((result, variable) => result.split(variable.sample).join(`[[${variable.key}]]`), text)
+        );
+
+        const used = this.findPlaceholders(document);
+        const warnings = variables
+            .filter(variable => !used.has(variable.key))
+            .map(variable => `Variable '${variable.key}' does not appear anywhere in the template`);
+
+        const result = await pool.query(`
+            INSERT INTO project_templates_v6
+                (user_id, source_project_id, name, description, category, tags, visibility, variables, document, preview_images)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+            RETURNING id
+        `, [
+            userId,
+            projectId,
+            details.name,
+            details.description ?? null,
+            details.category,
+            JSON.stringify(details.tags || []),
+            details.visibility,
+            JSON.stringify(variables.map(({ sample, ...variable }) => variable)),
+            JSON.stringify(document),
+            JSON.stringify(details.preview_images || [])
+        ]);
+
+        console.log(`🧩 Saved project ${projectId} as template ${result.rows[0].id}`);
+
+        return { template: await this.getTemplate(result.rows[0].id, userId), warnings };
+    }
+
+    /**
+     * SQL condition for templates a user can see ($1 is the user id)
+     */
+    visibleCondition(alias = 't') {
+        return `(
+            ${alias}.user_id = $1
+            OR ${alias}.visibility = 'public'
+            OR (${alias}.visibility = 'team' AND EXISTS (
+                SELECT 1
+                FROM client_team_members mine
+                JOIN client_team_members theirs ON theirs.client_id = mine.client_id
+                WHERE mine.user_id = $1 AND theirs.user_id = ${alias}.user_id
+            ))
+        )`;
+    }
+
+    /**
+     * Gallery search
+     * @param {Object} filters - { q, category, visibility, featured, mine, sort }
+     */
+    async listTemplates(userId, filters = {}) {
+        const conditions = [this.visibleCondition()];
+        const params = [userId];
+
+        if (filters.q && String(filters.q).trim()) {
+            params.push(`%${String(filters.q).trim()}%`);
+            conditions.push(`(t.name ILIKE $${params.length} OR t.description ILIKE $${params.length} OR t.tags::text ILIKE $${params.length})`);
+        }
+        if (this.categories.includes(filters.category)) {
+            params.push(filters.category);
+            conditions.push(`t.category = $${params.length}`);
+        }
+        if (this.visibilities.includes(filters.visibility)) {
+            params.push(filters.visibility);
+            conditions.push(`t.visibility = $${params.length}`);
+        }
+        if (filters.featured === 'true') {
+            conditions.push('t.featured = true');
+        }
+        if (filters.mine === 'true') {
+            conditions.push('t.user_id = $1');
+        }
+
+        const orderBy = {
+            featured: 't.featured DESC, t.featured_at DESC NULLS LAST, t.use_count DESC, t.created_at DESC',
+            popular: 't.use_count DESC, t.created_at DESC',
+            newest: 't.created_at DESC'
+        }[this.sorts.includes(filters.sort) ? filters.sort : 'featured'];
+
+        const result = await pool.query(`
+            SELECT t.id, t.user_id, t.name, t.description, t.category, t.tags, t.visibility, t.variables,
+                   t.featured, t.use_count, t.created_at, t.updated_at,
+                   jsonb_array_length(t.preview_images) as preview_count,
+                   jsonb_array_length(t.document->'steps') as step_count
+            FROM project_templates_v6 t
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY ${orderBy}
+            LIMIT 100
+        `, params);
+
+        return result.rows.map(row => this.formatTemplate(row, userId));
+    }
+
+    /**
+     * One template the user can see, with an outline of its steps and fields
+     */
+    async getTemplate(templateId, userId) {
+        const result = await pool.query(`
+            SELECT t.*, jsonb_array_length(t.preview_images) as preview_count,
+                   jsonb_array_length(t.document->'steps') as step_count
+            FROM project_templates_v6 t
+            WHERE t.id::text = $2 AND ${this.visibleCondition()}
+        `, [userId, String(templateId)]);
+
+        const row = result.rows[0];
+        if (!row) {
+            return null;
+        }
+
+        return {
+            ...this.formatTemplate(row, userId),
+            outline: row.document.steps.map(step => ({
+                name: step.name,
+                fields: step.fields.map(field => ({
+                    label: field.label || field.name,
+                    field_type: field.field_type,
+                    is_required: field.is_required === true
+                }))
+            }))
+        };
+    }
+
+    formatTemplate(row, userId) {
+        return {
+            id: row.id,
+            name: row.name,
+            description: row.description,
+            category: row.category,
+            tags: row.tags,
+            visibility: row.visibility,
+            variables: row.variables,
+            featured: row.featured,
+            use_count: row.use_count,
+            preview_count: parseInt(row.preview_count) || 0,
+            step_count: parseInt(row.step_count) || 0,
+            is_owner: row.user_id === userId,
+            created_at: row.created_at,
+            updated_at: row.updated_at
+        };
+    }
+
+    /**
+     * A preview image of a visible template
+     * @returns {Promise<Object|null>} - { contentType, data }
+     */
+    async getPreviewImage(templateId, userId, index) {
+        const result = await pool.query(`
+            SELECT t.preview_images->($3::int) as image
+            FROM project_templates_v6 t
+            WHERE t.id::text = $2 AND ${this.visibleCondition()}
+        `, [userId, String(templateId), parseInt(index) || 0]);
+
+        const match = typeof result.rows[0]?.image === 'string' ? result.rows[0].image.match(this.imagePattern) : null;
+        return match ? { contentType: `image/${match[1]}`, data: Buffer.from(match[2], 'base64') } : null;
+    }
+
+    /**
+     * Update gallery details of the user's own template
+     * @returns {Promise<Object>} - { template } or { errors }, template null when not found
+     */
+    async updateTemplate(templateId, userId, body) {
+        const { details, errors } = this.normalizeDetails(body, true);
+        if (errors.length > 0) {
+            return { errors };
+        }
+
+        const columns = Object.keys(details);
+        if (columns.length > 0) {
+            const values = columns.map(column => (['tags', 'preview_images'].includes(column) ? JSON.stringify(details[column]) : details[column]));
+            const assignments = columns.map((column, index) => `${column} = $${index + 3}`);
+
+            // Featuring only applies while a template is public
+            const result = await pool.query(`
+                UPDATE project_templates_v6
+                SET ${assignments.join(', ')},
+                    featured = featured AND COALESCE($${columns.length + 3}, visibility) = 'public',
+                    updated_at = NOW()
+                WHERE id::text = $1 AND user_id = $2
+                RETURNING id
+            `, [String(templateId), userId, ...values, details.visibility ?? null]);
+
+            if (result.rows.length === 0) {
+                return { template: null };
+            }
+        }
+
+        return { template: await this.getTemplate(templateId, userId) };
+    }
+
+    /**
+     * Delete the user's own template
+     */
+    async deleteTemplate(templateId, userId) {
+        const result = await pool.query(
+            'DELETE FROM project_templates_v6 WHERE id::text = $1 AND user_id = $2 RETURNING id',
+            [String(templateId), userId]
+        );
+        return result.rows.length > 0;
+    }
+
+    /**
+     * Create a project for the user from a visible template
+     * @param {Object} body - { name, variables: { <key>: value } }
+     * @returns {Promise<Object>} - { project, warnings } or { errors }, null when the template is not found
+     */
+    async createProject(templateId, userId, body = {}) {
+        const result = await pool.query(`
+            SELECT t.* FROM project_templates_v6 t
+            WHERE t.id::text = $2 AND ${this.visibleCondition()}
+        `, [userId, String(templateId)]);
+
+        const template = result.rows[0];
+        if (!template) {
+            return null;
+        }
+
+        const { document, errors } = this.fillDocument(template, body.variables);
+        if (errors.length > 0) {
+            return { errors };
+        }
+
+        const name = typeof body.name === 'string' && body.name.trim() ? body.name.trim() : document.project.name;
+        const imported = await projectImport.importProject({
+            ...document,
+            project: { ...document.project, name, subdomain: null }
+        }, userId);
+
+        if (!imported.project) {
+            return { errors: imported.errors };
+        }
+
+        await pool.query('UPDATE project_templates_v6 SET use_count = use_count + 1 WHERE id = $1', [template.id]);
+
+        console.log(`🧩 Created project ${imported.project.id} from template ${template.id}`);
+
+        return { project: imported.project, warnings: imported.warnings };
+    }
+
+    /**
+     * Feature or unfeature a public template (admins only)
+     * @returns {Promise<Object|null>} - { id, featured }, null when not found or not public
+     */
+    async setFeatured(templateId, featured) {
+        const result = await pool.query(`
+            UPDATE project_templates_v6
+            SET featured = $2, featured_at = CASE WHEN $2 THEN NOW() ELSE NULL END
+            WHERE id::text = $1 AND visibility = 'public'
+            RETURNING id, featured
+        `, [String(templateId), featured === true]);
+
+        return result.rows[0] || null;
+    }
+}
+
+module.exports = new ProjectTemplateService();
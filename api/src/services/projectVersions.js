@@ -0,0 +1,504 @@
+const { Pool } = require('pg');
+
+// Database connection
+const pool = new Pool({
+    host: process.env.DB_HOST,
+    port: process.env.DB_PORT,
+    database: process.env.DB_NAME,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    ssl: { rejectUnauthorized: false }
+});
+
+/**
+ * Project Version Service V6
+ * The live project_*_v6 rows are the working draft. Every deploy freezes the
+ * draft into an immutable snapshot in project_versions_v6, and deployed tools
+ * are always built and served from a snapshot rather than from live rows.
+ *
+ * Snapshot format:
+ *   { project: { ...projects_v6 row }, steps: [{ ...step, fields: [{ ...field, choices: [...] }] }] }
+ */
+class ProjectVersionService {
+    constructor() {
+        // Project columns that describe the live row rather than its content
+        this.volatileProjectColumns = ['created_at', 'updated_at', 'deployed', 'enabled', 'published_version_id'];
+
+        // Columns copied back into the draft when a version is restored.
+        // The subdomain is left alone so a restore never moves a live URL.
+        this.projectColumns = [
+            'name', 'description', 'ai_role', 'ai_persona_description', 'system_prompt', 'system_prompt_is_template',
+            'header_title', 'header_subtitle', 'access_level', 'required_package_id', 'user_prompt_template',
+            'followup_enabled', 'followup_max_turns', 'draft_expiry_days', 'prompt_pipeline',
+            'output_schema', 'default_locale', 'locales', 'translations', 'generation_settings'
+        ];
+        this.stepColumns = [
+            'name', 'description', 'step_order', 'page_title', 'page_subtitle', 'instructions', 'branch_rules',
+            'translations'
+        ];
+        this.fieldColumns = [
+            'name', 'label', 'field_type', 'placeholder', 'description', 'is_required',
+            'field_order', 'validation_rules', 'visibility_rules', 'field_config', 'translations'
+        ];
+        this.choiceColumns = ['label', 'value', 'choice_order', 'is_default', 'translations'];
+
+        // Project columns visitors may see. Prompts, pipelines and generation
+        // settings stay on the server.
+        this.publicProjectColumns = [
+            'id', 'name', 'description', 'subdomain', 'header_title', 'header_subtitle', 'access_level',
+            'seo_title', 'seo_description', 'seo_keywords', 'followup_enabled', 'followup_max_turns', 'draft_expiry_days', 'default_locale', 'locales', 'translations'
+        ];
+    }
+
+    /**
+     * Create the version table if it doesn't exist
+     */
+    async ensureVersionTables() {
+        try {
+            await pool.query(`
+                CREATE TABLE IF NOT EXISTS project_versions_v6 (
+                    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                    project_id UUID REFERENCES projects_v6(id) ON DELETE CASCADE,
+                    version_number INTEGER NOT NULL,
+                    snapshot JSONB NOT NULL,
+                    notes TEXT,
+                    created_by UUID,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE (project_id, version_number)
+                );
+
+                CREATE INDEX IF NOT EXISTS idx_project_versions_v6_project_id ON project_versions_v6(project_id);
+            `);
+
+            await pool.query(`
+                ALTER TABLE projects_v6
+                ADD COLUMN IF NOT EXISTS published_version_id UUID REFERENCES project_versions_v6(id) ON DELETE SET NULL
+            `);
+
+            // Tools deployed before versions existed ran on their draft. Publish
+            // that draft once, as public endpoints only serve published versions.
+            const unpublished = await pool.query(`
+                SELECT id FROM projects_v6
+                WHERE deployed = true AND published_version_id IS NULL
+            `);
+            for (const project of unpublished.rows) {
+                const version = await this.createVersion(project.id, null, 'Published automatically from the deployed draft');
+                await this.markPublished(project.id, version.id);
+            }
+
+            console.log('✅ Project version tables ensured');
+
+        } catch (error) {
+            console.error('Error ensuring project version tables:', error);
+            throw error;
+        }
+    }
+
+    // ========================================
+    // SNAPSHOTS
+    // ========================================
+
+    /**
+     * Load the ordered steps of a project with their fields and choices
+     * @param {string} projectId - Project UUID
+     * @param {Object} db - Pool or transaction client
+     * @returns {Promise<Array>} - Steps with nested fields and choices
+     */
+    async loadSteps(projectId, db = pool) {
+        const stepsResult = await db.query(`
+            SELECT * FROM project_steps_v6
+            WHERE project_id = $1
+            ORDER BY step_order ASC
+        `, [projectId]);
+
+        const steps = stepsResult.rows;
+
+        for (const step of steps) {
+            const fieldsResult = await db.query(`
+                SELECT * FROM project_fields_v6
+                WHERE step_id = $1
+                ORDER BY field_order ASC
+            `, [step.id]);
+
+            for (const field of fieldsResult.rows) {
+                const choicesResult = await db.query(`
+                    SELECT * FROM project_choices_v6
+                    WHERE field_id = $1
+                    ORDER BY choice_order ASC
+                `, [field.id]);
+                field.choices = choicesResult.rows;
+            }
+
+            step.fields = fieldsResult.rows;
+        }
+
+        return steps;
+    }
+
+    /**
+     * Build a snapshot of the current draft
+     * @param {string} projectId - Project UUID
+     * @param {Object} db - Pool or transaction client
+     * @returns {Promise<Object|null>} - Snapshot, or null if the project doesn't exist
+     */
+    async buildDraftSnapshot(projectId, db = pool) {
+        const projectResult = await db.query('SELECT * FROM projects_v6 WHERE id = $1', [projectId]);
+
+        if (projectResult.rows.length === 0) {
+            return null;
+        }
+
+        const project = { ...projectResult.rows[0] };
+        this.volatileProjectColumns.forEach(column => delete project[column]);
+
+        const steps = await this.loadSteps(projectId, db);
+
+        // Round-trip through JSON so the draft compares like a stored snapshot
+        return JSON.parse(JSON.stringify({ project, steps }));
+    }
+
+    /**
+     * Freeze the current draft into a new immutable version
+     * @param {string} projectId - Project UUID
+     * @param {string} userId - User creating the version
+     * @param {string} notes - Optional release notes
+     * @returns {Promise<Object>} - Created version row including its snapshot
+     */
+    async createVersion(projectId, userId, notes = null) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            // Serialize version numbering per project
+            const lockResult = await client.query('SELECT id FROM projects_v6 WHERE id = $1 FOR UPDATE', [projectId]);
+            if (lockResult.rows.length === 0) {
+                throw new Error('Project not found');
+            }
+
+            const snapshot = await this.buildDraftSnapshot(projectId, client);
+
+            const numberResult = await client.query(`
+                SELECT COALESCE(MAX(version_number), 0) + 1 as next_version
+                FROM project_versions_v6
+                WHERE project_id = $1
+            `, [projectId]);
+
+            const result = await client.query(`
+                INSERT INTO project_versions_v6 (project_id, version_number, snapshot, notes, created_by)
+                VALUES ($1, $2, $3, $4, $5)
+                RETURNING *
+            `, [projectId, numberResult.rows[0].next_version, JSON.stringify(snapshot), notes, userId || null]);
+
+            await client.query('COMMIT');
+
+            console.log(`📸 Created version ${result.rows[0].version_number} of project ${projectId}`);
+            return result.rows[0];
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Error creating project version:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Point the project's live tool at a version
+     */
+    async markPublished(projectId, versionId) {
+        await pool.query(`
+            UPDATE projects_v6
+            SET published_version_id = $1, deployed = true, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $2
+        `, [versionId, projectId]);
+    }
+
+    /**
+     * List versions of a project, newest first, without their snapshots
+     */
+    async listVersions(projectId) {
+        const result = await pool.query(`
+            SELECT
+                v.id, v.version_number, v.notes, v.created_by, v.created_at,
+                u.email as created_by_email,
+                (v.id = p.published_version_id) as is_published,
+                jsonb_array_length(v.snapshot->'steps') as step_count,
+                (
+                    SELECT COUNT(*)
+                    FROM jsonb_array_elements(v.snapshot->'steps') step,
+                         jsonb_array_elements(step->'fields') field
+                ) as field_count
+            FROM project_versions_v6 v
+            JOIN projects_v6 p ON p.id = v.project_id
+            LEFT JOIN users u ON u.id = v.created_by
+            WHERE v.project_id = $1
+            ORDER BY v.version_number DESC
+        `, [projectId]);
+
+        return result.rows.map(row => ({
+            ...row,
+            field_count: parseInt(row.field_count)
+        }));
+    }
+
+    /**
+     * Get a single version including its snapshot
+     */
+    async getVersion(projectId, versionNumber) {
+        const result = await pool.query(`
+            SELECT * FROM project_versions_v6
+            WHERE project_id = $1 AND version_number = $2
+        `, [projectId, versionNumber]);
+
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Get the version the live tool is built from
+     */
+    async getPublishedVersion(projectId) {
+        const result = await pool.query(`
+            SELECT v.*
+            FROM project_versions_v6 v
+            JOIN projects_v6 p ON p.published_version_id = v.id
+            WHERE p.id = $1
+        `, [projectId]);
+
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Snapshot the public tool runs on. Public endpoints never fall back to
+     * the draft, so unpublished edits can't be reached by visitors.
+     * @returns {Promise<Object|null>} - { version_number, snapshot }, or null when nothing is published
+     */
+    async getPublishedSnapshot(projectId) {
+        const published = await this.getPublishedVersion(projectId);
+        return published ? { version_number: published.version_number, snapshot: published.snapshot } : null;
+    }
+
+    /**
+     * Snapshot owner-side runs (batches) use: the published version, or the
+     * draft while nothing is published
+     * @returns {Promise<Object|null>} - { version_number, snapshot }
+     */
+    async getServingSnapshot(projectId) {
+        const published = await this.getPublishedSnapshot(projectId);
+        if (published) {
+            return published;
+        }
+
+        const snapshot = await this.buildDraftSnapshot(projectId);
+        return snapshot ? { version_number: null, snapshot } : null;
+    }
+
+    /**
+     * The visitor-facing part of a snapshot: the public project columns and
+     * the steps, fields and choices of the form
+     * @returns {Object} - { project, steps }
+     */
+    buildPublicSnapshot(snapshot) {
+        const pick = (row, columns) => Object.fromEntries(columns.filter(column => column in row).map(column => [column, row[column]]));
+
+        return {
+            project: pick(snapshot.project, this.publicProjectColumns),
+            steps: snapshot.steps.map(step => ({
+                ...pick(step, ['id', ...this.stepColumns]),
+                fields: (step.fields || []).map(field => ({
+                    ...pick(field, ['id', 'step_id', ...this.fieldColumns]),
+                    choices: (field.choices || []).map(choice => pick(choice, ['id', 'field_id', ...this.choiceColumns]))
+                }))
+            }))
+        };
+    }
+
+    /**
+     * Resolve 'draft' or a version number to a snapshot
+     * @returns {Promise<Object|null>} - { label, snapshot }
+     */
+    async resolveSnapshot(projectId, reference) {
+        if (reference === 'draft') {
+            const snapshot = await this.buildDraftSnapshot(projectId);
+            return snapshot ? { label: 'draft', snapshot } : null;
+        }
+
+        const versionNumber = parseInt(reference);
+        if (isNaN(versionNumber)) {
+            return null;
+        }
+
+        const version = await this.getVersion(projectId, versionNumber);
+        return version ? { label: `v${version.version_number}`, snapshot: version.snapshot } : null;
+    }
+
+    // ========================================
+    // DIFF
+    // ========================================
+
+    /**
+     * List the properties that differ between two objects
+     */
+    diffProperties(from, to, columns) {
+        return columns
+            .filter(column => JSON.stringify(from[column] ?? null) !== JSON.stringify(to[column] ?? null))
+            .map(column => ({ property: column, from: from[column] ?? null, to: to[column] ?? null }));
+    }
+
+    /**
+     * Compare two keyed collections of rows
+     */
+    diffCollections(fromRows, toRows, describe, compare) {
+        const fromById = new Map(fromRows.map(row => [row.id, row]));
+        const toById = new Map(toRows.map(row => [row.id, row]));
+
+        const added = toRows.filter(row => !fromById.has(row.id)).map(describe);
+        const removed = fromRows.filter(row => !toById.has(row.id)).map(describe);
+        const changed = toRows
+            .filter(row => fromById.has(row.id))
+            .map(row => ({ ...describe(row), changes: compare(fromById.get(row.id), row) }))
+            .filter(entry => entry.changes.length > 0);
+
+        return { added, removed, changed };
+    }
+
+    /**
+     * Structural diff between two snapshots
+     * @param {Object} from - Older snapshot
+     * @param {Object} to - Newer snapshot
+     * @returns {Object} - { project, steps, fields, has_changes }
+     */
+    diffSnapshots(from, to) {
+        const project = this.diffProperties(from.project, to.project, [...this.projectColumns, 'subdomain']);
+
+        const steps = this.diffCollections(
+            from.steps,
+            to.steps,
+            step => ({ id: step.id, name: step.name }),
+            (a, b) => this.diffProperties(a, b, this.stepColumns)
+        );
+
+        const flattenFields = snapshot => snapshot.steps.flatMap(step =>
+            (step.fields || []).map(field => ({
+                ...field,
+                choices: (field.choices || []).map(choice => ({ label: choice.label, value: choice.value }))
+            }))
+        );
+
+        const fields = this.diffCollections(
+            flattenFields(from),
+            flattenFields(to),
+            field => ({ id: field.id, name: field.name, label: field.label, step_id: field.step_id }),
+            (a, b) => this.diffProperties(a, b, [...this.fieldColumns, 'step_id', 'choices'])
+        );
+
+        const has_changes = project.length > 0 ||
+            [steps, fields].some(group => group.added.length + group.removed.length + group.changed.length > 0);
+
+        return { project, steps, fields, has_changes };
+    }
+
+    // ========================================
+    // RESTORE
+    // ========================================
+
+    /**
+     * Prepare a snapshot value for a query parameter
+     */
+    toColumnValue(value) {
+        if (value !== null && typeof value === 'object') {
+            return JSON.stringify(value);
+        }
+        return value ?? null;
+    }
+
+    /**
+     * Insert a row with a fixed id, or update it in place if it still exists
+     */
+    async upsertRow(client, table, columns, row) {
+        const placeholders = columns.map((_, index) => `$${index + 2}`);
+        const updates = columns.map(column => `${column} = EXCLUDED.${column}`);
+
+        await client.query(`
+            INSERT INTO ${table} (id, ${columns.join(', ')})
+            VALUES ($1, ${placeholders.join(', ')})
+            ON CONFLICT (id) DO UPDATE SET ${updates.join(', ')}
+        `, [row.id, ...columns.map(column => this.toColumnValue(row[column]))]);
+    }
+
+    /**
+     * Replace the working draft with the contents of a version. Rows keep the
+     * ids they had in the snapshot so rules and collected responses still
+     * point at the right fields.
+     * @param {string} projectId - Project UUID
+     * @param {number} versionNumber - Version to restore
+     * @returns {Promise<Object|null>} - Restored version, or null if it doesn't exist
+     */
+    async restoreVersion(projectId, versionNumber) {
+        const version = await this.getVersion(projectId, versionNumber);
+        if (!version) {
+            return null;
+        }
+
+        const { project, steps } = version.snapshot;
+        const fields = steps.flatMap(step => (step.fields || []).map(field => ({ ...field, step_id: step.id })));
+        const choices = fields.flatMap(field => (field.choices || []).map(choice => ({ ...choice, field_id: field.id })));
+
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const assignments = this.projectColumns.map((column, index) => `${column} = $${index + 1}`);
+            await client.query(`
+                UPDATE projects_v6
+                SET ${assignments.join(', ')}, updated_at = NOW()
+                WHERE id = $${this.projectColumns.length + 1}
+            `, [...this.projectColumns.map(column => this.toColumnValue(project[column])), projectId]);
+
+            for (const step of steps) {
+                await this.upsertRow(client, 'project_steps_v6', ['project_id', ...this.stepColumns], { ...step, project_id: projectId });
+            }
+            for (const field of fields) {
+                await this.upsertRow(client, 'project_fields_v6', ['step_id', ...this.fieldColumns], field);
+            }
+            for (const choice of choices) {
+                await this.upsertRow(client, 'project_choices_v6', ['field_id', ...this.choiceColumns], choice);
+            }
+
+            // Drop draft rows that did not exist in the version
+            await client.query(`
+                DELETE FROM project_choices_v6
+                WHERE field_id IN (
+                    SELECT pf.id FROM project_fields_v6 pf
+                    JOIN project_steps_v6 ps ON ps.id = pf.step_id
+                    WHERE ps.project_id = $1
+                ) AND NOT (id = ANY($2::uuid[]))
+            `, [projectId, choices.map(choice => choice.id)]);
+
+            await client.query(`
+                DELETE FROM project_fields_v6
+                WHERE step_id IN (SELECT id FROM project_steps_v6 WHERE project_id = $1)
+                  AND NOT (id = ANY($2::uuid[]))
+            `, [projectId, fields.map(field => field.id)]);
+
+            await client.query(`
+                DELETE FROM project_steps_v6
+                WHERE project_id = $1 AND NOT (id = ANY($2::uuid[]))
+            `, [projectId, steps.map(step => step.id)]);
+
+            await client.query('COMMIT');
+
+            console.log(`♻️ Restored version ${versionNumber} of project ${projectId} as draft`);
+            return version;
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Error restoring project version:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+}
+
+module.exports = new ProjectVersionService();
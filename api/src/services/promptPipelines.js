@@ -0,0 +1,267 @@
+const { Pool } = require('pg');
+const llmClient = require('./llmClient');
+const promptTemplates = require('./promptTemplates');
+const outputSchemas = require('./outputSchemas');
+const toolGeneratorV6 = require('./toolGeneratorV6');
+const generationSettings = require('./generationSettings');
+
+// Database connection
+const pool = new Pool({
+    host: process.env.DB_HOST,
+    port: process.env.DB_PORT,
+    database: process.env.DB_NAME,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    ssl: { rejectUnauthorized: false }
+});
+
+/**
+ * Prompt Pipeline Service V6
+ * A project may replace its single prompt with an ordered chain of stages
+ * (projects_v6.prompt_pipeline). Each stage renders its own template from the
+ * answers it takes as inputs plus the outputs of earlier stages
+ * ({{stages.<key>}}), and the last stage's output is the tool's result. With an
+ * output schema, the last stage is the one asked for structured JSON.
+ *
+ * Stage format:
+ *   { key, name, inputs: [input names, empty = all fields], system_prompt, template,
+ *     model: 'opus' | 'sonnet' | 'haiku' | null, temperature, max_tokens }
+ */
+class PromptPipelineService {
+    constructor() {
+        this.maxStages = 5;
+        this.keyPattern = /^[a-z][a-z0-9_]{0,39}$/;
+        this.llm = llmClient;
+        this.models = Object.keys(this.llm.models);
+    }
+
+    /**
+     * Add the pipeline and stage output columns if they don't exist
+     */
+    async ensurePipelineColumns() {
+        try {
+            await pool.query(`
+                ALTER TABLE projects_v6
+                ADD COLUMN IF NOT EXISTS prompt_pipeline JSONB DEFAULT '[]'::jsonb
+            `);
+
+            await pool.query(`
+                ALTER TABLE project_sessions_v6
+                ADD COLUMN IF NOT EXISTS stage_outputs JSONB DEFAULT '[]'::jsonb
+            `);
+
+            console.log('✅ Prompt pipeline columns ensured');
+
+        } catch (error) {
+            console.error('Error ensuring prompt pipeline columns:', error);
+            throw error;
+        }
+    }
+
+    // ========================================
+    // VALIDATION
+    // ========================================
+
+    /**
+     * Validate the stages from the pipeline editor
+     * @param {Array} stages - Raw stages in execution order
+     * @param {Array} fields - Project fields
+     * @param {Array|null} allowedModels - Models the owner's packages allow (generationSettings.getAllowedModels)
+     * @returns {Object} - { stages, errors }
+     */
+    normalizePipeline(stages, fields, allowedModels = null) {
+        const errors = [];
+
+        if (!Array.isArray(stages)) {
+            return { stages: [], errors: ['Stages must be a list'] };
+        }
+        if (stages.length > this.maxStages) {
+            errors.push(`A pipeline can have at most ${this.maxStages} stages`);
+        }
+
+        const inputNames = fields.map(field => toolGeneratorV6.sanitizeFieldName(field.name));
+        const keys = [];
+
+        const normalized = stages.slice(0, this.maxStages).map((stage, index) => {
+            const at = `Stage ${index + 1}`;
+            const raw = stage && typeof stage === 'object' ? stage : {};
+            const key = typeof raw.key === 'string' ? raw.key.trim() : '';
+
+            if (!this.keyPattern.test(key)) {
+                errors.push(`${at}: key must start with a letter and use only lowercase letters, numbers and underscores`);
+            } else if (keys.includes(key)) {
+                errors.push(`${at}: key '${key}' is already used`);
+            }
+
+            const inputs = Array.isArray(raw.inputs) ? [...new Set(raw.inputs)] : [];
+            const unknownInputs = inputs.filter(name => !inputNames.includes(name));
+            if (unknownInputs.length > 0) {
+                errors.push(`${at}: unknown input fields ${unknownInputs.join(', ')}`);
+            }
+
+            const model = raw.model || null;
+            if (model && !this.models.includes(model)) {
+                errors.push(`${at}: model must be one of ${this.models.join(', ')}`);
+            } else if (model && !generationSettings.allowsAlias(model, allowedModels)) {
+                errors.push(`${at}: model ${model} is not available for this project`);
+            }
+
+            const temperature = this.readNumber(raw.temperature);
+            if (temperature !== null && !(temperature >= 0 && temperature <= 1)) {
+                errors.push(`${at}: temperature must be between 0 and 1`);
+            }
+
+            const maxTokens = this.readNumber(raw.max_tokens);
+            if (maxTokens !== null && (!Number.isInteger(maxTokens) || maxTokens < 1 || maxTokens > 4096)) {
+                errors.push(`${at}: max tokens must be a whole number from 1 to 4096`);
+            }
+
+            const template = typeof raw.template === 'string' ? raw.template : '';
+            const systemPrompt = typeof raw.system_prompt === 'string' && raw.system_prompt.trim() ? raw.system_prompt : null;
+
+            if (!template.trim()) {
+                errors.push(`${at}: a prompt template is required`);
+            }
+
+            // Stages read their own inputs and the outputs of the stages before them
+            const stageFields = this.getInputFields({ inputs }, fields);
+            for (const text of [systemPrompt, template]) {
+                const validation = promptTemplates.validateTemplate(text, stageFields, [...keys]);
+                validation.errors.forEach(error => errors.push(`${at}: ${error}`));
+            }
+
+            keys.push(key);
+
+            return {
+                key,
+                name: typeof raw.name === 'string' && raw.name.trim() ? raw.name.trim() : key,
+                inputs,
+                system_prompt: systemPrompt,
+                template,
+                model,
+                temperature,
+                max_tokens: maxTokens
+            };
+        });
+
+        return { stages: normalized, errors };
+    }
+
+    readNumber(value) {
+        if (value === undefined || value === null || value === '') {
+            return null;
+        }
+        const number = Number(value);
+        return Number.isFinite(number) ? number : NaN;
+    }
+
+    // ========================================
+    // EXECUTION
+    // ========================================
+
+    /**
+     * Stages of a (published) project, empty when it uses a single prompt
+     */
+    getStages(project) {
+        return Array.isArray(project.prompt_pipeline) ? project.prompt_pipeline : [];
+    }
+
+    /**
+     * Fields a stage reads; a stage without inputs reads every field
+     */
+    getInputFields(stage, fields) {
+        if (!stage.inputs || stage.inputs.length === 0) {
+            return fields;
+        }
+        return fields.filter(field => stage.inputs.includes(toolGeneratorV6.sanitizeFieldName(field.name)));
+    }
+
+    /**
+     * Render a stage's prompts. Stages without a system prompt use the project's.
+     * @param {Object} outputs - Earlier stage outputs by key
+     */
+    buildStagePrompts(project, stage, fields, answers, outputs) {
+        const scope = promptTemplates.buildScope(this.getInputFields(stage, fields), answers, project);
+        scope.stages = outputs;
+
+        return {
+            systemPrompt: stage.system_prompt
+                ? promptTemplates.render(stage.system_prompt, scope)
+                : promptTemplates.buildSystemPrompt(project, scope),
+            userPrompt: promptTemplates.render(stage.template, scope)
+        };
+    }
+
+    /**
+     * Run every stage in order
+     * @param {Object} project - Published project
+     * @param {Array} fields - Visible fields of the submission
+     * @param {Object} answers - Answers keyed by field id
+     * @param {Object} options - { onStage(stage, index, total), onText(text) for the last stage, signal,
+     *   language: instruction added to the last stage's system prompt, provider: used instead of the LLM client }
+     * @returns {Promise<Object>} - { result, structured, stageOutputs, systemPrompt, userPrompt } (prompts of the last stage)
+     */
+    async run(project, fields, answers, options = {}) {
+        const { onStage = null, onText = null, signal = null, language = null, provider = null } = options;
+        const stages = this.getStages(project);
+        const outputs = {};
+        const stageOutputs = [];
+        const schema = outputSchemas.getSchema(project);
+        let structured = null;
+        let prompts = null;
+
+        for (const [index, stage] of stages.entries()) {
+            const isLast = index === stages.length - 1;
+            if (onStage) {
+                onStage(stage, index, stages.length);
+            }
+
+            prompts = this.buildStagePrompts(project, stage, fields, answers, outputs);
+            if (isLast && language) {
+                prompts.systemPrompt = [prompts.systemPrompt, language].filter(Boolean).join('\n\n');
+            }
+            const startedAt = new Date().toISOString();
+
+            const settings = {
+                model: stage.model ? this.llm.models[stage.model] : undefined,
+                temperature: stage.temperature ?? undefined,
+                max_tokens: stage.max_tokens ?? undefined,
+                signal
+            };
+
+            let output;
+            if (isLast && schema) {
+                const generated = await outputSchemas.generate(schema, prompts.systemPrompt, prompts.userPrompt, { ...settings, provider });
+                output = generated.result;
+                structured = generated.data;
+            } else {
+                output = await (provider || this.llm).generateContent(prompts.userPrompt, {
+                    ...settings,
+                    system: prompts.systemPrompt,
+                    stream: isLast && !!onText,
+                    onText: isLast ? onText : null
+                });
+            }
+
+            outputs[stage.key] = output;
+            stageOutputs.push({
+                key: stage.key,
+                name: stage.name,
+                model: stage.model,
+                output,
+                started_at: startedAt,
+                completed_at: new Date().toISOString()
+            });
+        }
+
+        return {
+            result: stageOutputs.length > 0 ? stageOutputs[stageOutputs.length - 1].output : '',
+            structured,
+            stageOutputs,
+            systemPrompt: prompts ? prompts.systemPrompt : '',
+            userPrompt: prompts ? prompts.userPrompt : ''
+        };
+    }
+}
+
+module.exports = new PromptPipelineService();
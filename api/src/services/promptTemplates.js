@@ -0,0 +1,577 @@
+const { Pool } = require('pg');
+const fieldTypes = require('./fieldTypes');
+const toolGeneratorV6 = require('./toolGeneratorV6');
+
+// Database connection
+const pool = new Pool({
+    host: process.env.DB_HOST,
+    port: process.env.DB_PORT,
+    database: process.env.DB_NAME,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    ssl: { rejectUnauthorized: false }
+});
+
+/**
+ * Prompt Template Service V6
+ * Renders projects_v6.system_prompt and projects_v6.user_prompt_template from
+ * the answers of a submission. Templates are parsed, never evaluated as code.
+ * The system prompt is only a template when the project opts in with
+ * system_prompt_is_template; otherwise it is sent exactly as written, so
+ * older prompts that happen to contain {{ }} keep working.
+ *
+ * Syntax (field names are the tool's input names, e.g. "Company Size" -> company_size):
+ *   {{company_size}}                       answer, formatted like the default prompt
+ *   {{company_size | default: "unknown"}}  fallback when the answer is empty
+ *   {{#if goals}}...{{else}}...{{/if}}     section shown when the field is answered
+ *   {{#if plan == "pro"}}...{{/if}}        == and != compare case-insensitively
+ *   {{#unless goals}}...{{/unless}}
+ *   {{#each goals}}- {{this}}{{/each}}     loop over checkbox values, Likert rows
+ *                                          ({{@key}}) or repeating group entries ({{this.company}});
+ *                                          {{@index}} and {{@number}} count from 0 and 1
+ *   {{answers}}                            every answer as "Label: value" lines
+ *   {{project_name}}
+ *   {{stages.summary}}                     output of an earlier pipeline stage (pipeline stages only)
+ *   {{! comment }}
+ */
+class PromptTemplateService {
+    constructor() {
+        this.maxTemplateLength = 20000;
+        this.maxLoopItems = 100;
+        this.builtins = ['answers', 'project_name', 'stages'];
+        this.loopVariables = ['this', '@index', '@number', '@key'];
+        this.pathPattern = /^(@?[a-z0-9_]+)(\.[a-z0-9_]+)*$/i;
+    }
+
+    /**
+     * Add the user prompt template column if it doesn't exist
+     */
+    async ensureTemplateColumns() {
+        try {
+            await pool.query(`
+                ALTER TABLE projects_v6
+                ADD COLUMN IF NOT EXISTS user_prompt_template TEXT DEFAULT NULL,
+                ADD COLUMN IF NOT EXISTS system_prompt_is_template BOOLEAN DEFAULT false
+            `);
+
+            console.log('✅ Prompt template columns ensured');
+
+        } catch (error) {
+            console.error('Error ensuring prompt template columns:', error);
+            throw error;
+        }
+    }
+
+    // ========================================
+    // PARSING
+    // ========================================
+
+    /**
+     * Split a template into text and tag tokens. Block tags that sit alone on
+     * a line take the whole line with them so sections don't leave blank lines.
+     */
+    tokenize(template) {
+        const tokens = [];
+        const tagPattern = /\{\{([\s\S]*?)\}\}/g;
+        let lastIndex = 0;
+        let match;
+
+        while ((match = tagPattern.exec(template)) !== null) {
+            if (match.index > lastIndex) {
+                tokens.push({ type: 'text', value: template.slice(lastIndex, match.index) });
+            }
+            const line = template.slice(0, match.index).split('\n').length;
+            tokens.push({ type: 'tag', value: match[1].trim(), line });
+            lastIndex = tagPattern.lastIndex;
+        }
+        if (lastIndex < template.length) {
+            tokens.push({ type: 'text', value: template.slice(lastIndex) });
+        }
+
+        tokens.forEach((token, index) => {
+            if (token.type !== 'tag' || !/^([#/!]|else$)/.test(token.value)) return;
+
+            const before = tokens[index - 1];
+            const after = tokens[index + 1];
+            if ((before && before.type !== 'text') || (after && after.type !== 'text')) return;
+
+            const startsLine = !before || /(^|\n)[ \t]*$/.test(before.value);
+            const endsLine = !after || /^[ \t]*(\r?\n|$)/.test(after.value);
+
+            if (startsLine && endsLine) {
+                if (before) before.value = before.value.replace(/[ \t]*$/, '');
+                if (after) after.value = after.value.replace(/^[ \t]*\r?\n?/, '');
+            }
+        });
+
+        return tokens;
+    }
+
+    /**
+     * Parse a condition such as `plan`, `plan == "pro"` or `this.role != 'lead'`
+     */
+    parseCondition(expression) {
+        const match = expression.match(/^(\S+?)\s*(==|!=)\s*("([^"]*)"|'([^']*)'|[^\s"']+)$/);
+        if (match) {
+            return { path: match[1], operator: match[2], value: match[4] ?? match[5] ?? match[3] };
+        }
+        return { path: expression, operator: null, value: null };
+    }
+
+    /**
+     * Parse a template into a node tree
+     * @param {string} template - Template text
+     * @returns {Object} - { nodes, errors }
+     */
+    parse(template) {
+        const errors = [];
+        const root = { type: 'root', body: [] };
+        const stack = [root];
+        const current = () => stack[stack.length - 1];
+        const target = () => current().inElse ? current().elseBody : current().body;
+
+        if (typeof template !== 'string') {
+            return { nodes: [], errors: ['Template must be text'] };
+        }
+        if (template.length > this.maxTemplateLength) {
+            return { nodes: [], errors: [`Template must be at most ${this.maxTemplateLength} characters`] };
+        }
+
+        for (const token of this.tokenize(template)) {
+            if (token.type === 'text') {
+                if (token.value) target().push({ type: 'text', value: token.value });
+                continue;
+            }
+
+            const tag = token.value;
+            const at = `Line ${token.line}`;
+
+            if (tag.startsWith('!')) {
+                continue;
+            }
+
+            const blockMatch = tag.match(/^#(if|unless|each)\s+(.+)$/);
+            if (blockMatch) {
+                const [, kind, expression] = blockMatch;
+                const node = { type: kind, line: token.line, body: [], elseBody: [], inElse: false };
+
+                if (kind === 'each') {
+                    node.path = expression.trim();
+                    if (!this.pathPattern.test(node.path)) {
+                        errors.push(`${at}: cannot loop over '${node.path}'`);
+                    }
+                } else {
+                    node.condition = this.parseCondition(expression.trim());
+                    if (!this.pathPattern.test(node.condition.path)) {
+                        errors.push(`${at}: invalid condition '${expression.trim()}'`);
+                    }
+                }
+
+                target().push(node);
+                stack.push(node);
+                continue;
+            }
+
+            if (tag === 'else') {
+                const block = current();
+                if (block.type !== 'if' && block.type !== 'unless') {
+                    errors.push(`${at}: {{else}} outside of an #if or #unless section`);
+                } else if (block.inElse) {
+                    errors.push(`${at}: section already has an {{else}}`);
+                } else {
+                    block.inElse = true;
+                }
+                continue;
+            }
+
+            const closeMatch = tag.match(/^\/(if|unless|each)$/);
+            if (closeMatch) {
+                const block = current();
+                if (block.type !== closeMatch[1]) {
+                    errors.push(block.type === 'root'
+                        ? `${at}: {{/${closeMatch[1]}}} has no matching {{#${closeMatch[1]}}}`
+                        : `${at}: expected {{/${block.type}}} to close the section opened on line ${block.line}`);
+                } else {
+                    stack.pop();
+                }
+                continue;
+            }
+
+            if (/^[#/]/.test(tag)) {
+                errors.push(`${at}: unknown section tag '{{${tag}}}'`);
+                continue;
+            }
+
+            const variableMatch = tag.match(/^(\S+?)\s*(?:\|\s*default\s*:\s*(?:"([^"]*)"|'([^']*)'))?$/);
+            if (!variableMatch || !this.pathPattern.test(variableMatch[1])) {
+                errors.push(`${at}: invalid placeholder '{{${tag}}}'`);
+                continue;
+            }
+
+            target().push({
+                type: 'variable',
+                line: token.line,
+                path: variableMatch[1],
+                default: variableMatch[2] ?? variableMatch[3] ?? null
+            });
+        }
+
+        stack.slice(1).forEach(block => {
+            errors.push(`Line ${block.line}: {{#${block.type}}} is never closed`);
+        });
+
+        return { nodes: root.body, errors };
+    }
+
+    // ========================================
+    // VALIDATION
+    // ========================================
+
+    /**
+     * Check a template against the fields it may reference
+     * @param {string} template - Template text
+     * @param {Array} fields - Field rows (name, field_type, field_config)
+     * @param {Array|null} stageKeys - Earlier pipeline stages the template may read; null outside pipelines
+     * @returns {Object} - { valid, errors, warnings, placeholders }
+     */
+    validateTemplate(template, fields, stageKeys = null) {
+        if (template === null || template === undefined || template === '') {
+            return { valid: true, errors: [], warnings: [], placeholders: [] };
+        }
+
+        const { nodes, errors } = this.parse(template);
+        const warnings = [];
+        const placeholders = new Set();
+        const fieldsByKey = new Map(fields.map(field => [toolGeneratorV6.sanitizeFieldName(field.name), field]));
+
+        const checkPath = (path, line, loops) => {
+            const [head, ...rest] = path.split('.');
+            const at = `Line ${line}`;
+
+            if (this.loopVariables.includes(head)) {
+                if (loops.length === 0) {
+                    errors.push(`${at}: {{${path}}} can only be used inside {{#each}}`);
+                    return;
+                }
+                const loopField = loops[loops.length - 1];
+                if (head === 'this' && rest.length > 0 && loopField) {
+                    const subfields = loopField.field_type === 'repeater'
+                        ? fieldTypes.getConfig(loopField).subfields.map(subfield => subfield.name)
+                        : [];
+                    if (!subfields.includes(rest[0])) {
+                        warnings.push(`${at}: '${rest[0]}' is not a subfield of '${loopField.name}'`);
+                    }
+                }
+                return;
+            }
+
+            if (head === 'stages') {
+                if (!stageKeys) {
+                    errors.push(`${at}: {{${path}}} can only be used in pipeline stages`);
+                } else if (rest.length !== 1 || !stageKeys.includes(rest[0])) {
+                    errors.push(`${at}: {{${path}}} does not name an earlier stage`);
+                }
+                return;
+            }
+
+            if (this.builtins.includes(head)) {
+                return;
+            }
+
+            placeholders.add(head);
+            if (!fieldsByKey.has(head)) {
+                errors.push(`${at}: unknown placeholder '${head}'`);
+            }
+        };
+
+        const walk = (list, loops) => {
+            for (const node of list) {
+                if (node.type === 'variable') {
+                    checkPath(node.path, node.line, loops);
+                } else if (node.type === 'if' || node.type === 'unless') {
+                    checkPath(node.condition.path, node.line, loops);
+                    walk(node.body, loops);
+                    walk(node.elseBody, loops);
+                } else if (node.type === 'each') {
+                    checkPath(node.path, node.line, loops);
+                    const field = fieldsByKey.get(node.path.split('.')[0]) || null;
+                    if (field && !['checkbox', 'likert', 'repeater'].includes(field.field_type)) {
+                        warnings.push(`Line ${node.line}: '${node.path}' holds a single value, so the loop runs at most once`);
+                    }
+                    walk(node.body, [...loops, field]);
+                }
+            }
+        };
+
+        walk(nodes, []);
+
+        return {
+            valid: errors.length === 0,
+            errors,
+            warnings,
+            placeholders: Array.from(placeholders)
+        };
+    }
+
+    // ========================================
+    // RENDERING
+    // ========================================
+
+    /**
+     * Build the render scope from the answers of a submission
+     * @param {Array} fields - Visible field rows, in form order
+     * @param {Object} answers - Answers keyed by field id
+     * @param {Object} project - Project row (for project_name)
+     */
+    buildScope(fields, answers, project = {}) {
+        const values = {};
+        for (const field of fields) {
+            values[toolGeneratorV6.sanitizeFieldName(field.name)] = { field, answer: answers[field.id] };
+        }
+
+        return {
+            values,
+            answers: this.buildAnswerLines(fields, answers),
+            project_name: project.name || '',
+            stages: {}
+        };
+    }
+
+    /**
+     * "Label: value" lines for every answered field
+     */
+    buildAnswerLines(fields, answers) {
+        return fields
+            .filter(field => fieldTypes.hasAnswer(answers[field.id]))
+            .map(field => `${field.label || field.name}: ${fieldTypes.formatAnswer(field, answers[field.id])}`)
+            .join('\n');
+    }
+
+    /**
+     * Resolve a path to { value, field } in the current scope
+     */
+    lookup(path, scope, frames) {
+        const [head, ...rest] = path.split('.');
+        const frame = frames[frames.length - 1];
+
+        let value;
+        let field = null;
+
+        if (frame && head === 'this') value = frame.item;
+        else if (frame && head === '@index') value = frame.index;
+        else if (frame && head === '@number') value = frame.index + 1;
+        else if (frame && head === '@key') value = frame.key;
+        else if (this.builtins.includes(head)) value = scope[head];
+        else if (Object.prototype.hasOwnProperty.call(scope.values, head)) {
+            value = scope.values[head].answer;
+            field = scope.values[head].field;
+        }
+
+        for (const key of rest) {
+            field = null;
+            value = value !== null && typeof value === 'object' && !Array.isArray(value) &&
+                Object.prototype.hasOwnProperty.call(value, key) ? value[key] : undefined;
+        }
+
+        return { value, field };
+    }
+
+    /**
+     * Text for a placeholder: fields use the same formatting as the default prompt
+     */
+    stringify({ value, field }) {
+        if (field) {
+            return fieldTypes.formatAnswer(field, value).trim();
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => this.stringify({ value: item })).join(', ');
+        }
+        if (value !== null && typeof value === 'object') {
+            return Object.entries(value).map(([key, item]) => `${key}: ${item}`).join('; ');
+        }
+        return value === undefined || value === null ? '' : String(value);
+    }
+
+    isTruthy({ value }, condition) {
+        if (!condition.operator) {
+            return fieldTypes.hasAnswer(value);
+        }
+
+        const normalize = item => String(item).trim().toLowerCase();
+        const values = (Array.isArray(value) ? value : [value])
+            .filter(item => item !== undefined && item !== null && typeof item !== 'object')
+            .map(normalize);
+        const matches = values.includes(normalize(condition.value));
+
+        return condition.operator === '==' ? matches : !matches;
+    }
+
+    renderNodes(nodes, scope, frames) {
+        let output = '';
+
+        for (const node of nodes) {
+            switch (node.type) {
+                case 'text':
+                    output += node.value;
+                    break;
+
+                case 'variable': {
+                    const resolved = this.lookup(node.path, scope, frames);
+                    const text = fieldTypes.hasAnswer(resolved.value) ? this.stringify(resolved) : '';
+                    output += text || node.default || '';
+                    break;
+                }
+
+                case 'if':
+                case 'unless': {
+                    let truthy = this.isTruthy(this.lookup(node.condition.path, scope, frames), node.condition);
+                    if (node.type === 'unless') truthy = !truthy;
+                    output += this.renderNodes(truthy ? node.body : node.elseBody, scope, frames);
+                    break;
+                }
+
+                case 'each': {
+                    const { value } = this.lookup(node.path, scope, frames);
+                    let items = [];
+
+                    if (Array.isArray(value)) {
+                        items = value.filter(item => fieldTypes.hasAnswer(item)).map((item, index) => ({ item, index, key: index }));
+                    } else if (value !== null && typeof value === 'object') {
+                        items = Object.entries(value).map(([key, item], index) => ({ item, index, key }));
+                    } else if (fieldTypes.hasAnswer(value)) {
+                        items = [{ item: value, index: 0, key: 0 }];
+                    }
+
+                    for (const frame of items.slice(0, this.maxLoopItems)) {
+                        output += this.renderNodes(node.body, scope, [...frames, frame]);
+                    }
+                    break;
+                }
+            }
+        }
+
+        return output;
+    }
+
+    /**
+     * Render a template
+     * @param {string} template - Template text
+     * @param {Object} scope - From buildScope()
+     * @returns {string}
+     * @throws {Error} - When the template does not parse
+     */
+    render(template, scope) {
+        const { nodes, errors } = this.parse(template);
+        if (errors.length > 0) {
+            throw new Error(`Invalid prompt template: ${errors.join('; ')}`);
+        }
+        return this.renderNodes(nodes, scope, []).replace(/\n{3,}/g, '\n\n').trim();
+    }
+
+    /**
+     * Default system prompt for projects without one
+     */
+    buildDefaultSystemPrompt(project) {
+        return `You are ${project.ai_role || 'an AI assistant'}. ${project.ai_persona_description || ''}`.trim();
+    }
+
+    /**
+     * Default user prompt for projects without a template
+     */
+    buildDefaultUserPrompt(scope) {
+        return `Please process the following information:\n\n${scope.answers}\n\n` +
+            'Please provide a comprehensive response based on the information above.';
+    }
+
+    /**
+     * The project's system prompt when it is a template, or null
+     */
+    getSystemTemplate(project) {
+        return project.system_prompt && project.system_prompt_is_template === true ? project.system_prompt : null;
+    }
+
+    /**
+     * System prompt of a project: rendered when it is a template, as written
+     * otherwise, and the default one when the project has none
+     */
+    buildSystemPrompt(project, scope) {
+        if (!project.system_prompt) {
+            return this.buildDefaultSystemPrompt(project);
+        }
+        return this.getSystemTemplate(project) ? this.render(project.system_prompt, scope) : project.system_prompt.trim();
+    }
+
+    /**
+     * Build the system and user prompts for a submission
+     * @param {Object} project - Project with system_prompt, system_prompt_is_template and user_prompt_template
+     * @param {Array} fields - Visible field rows, in form order
+     * @param {Object} answers - Answers keyed by field id
+     * @returns {Object} - { systemPrompt, userPrompt }
+     */
+    buildPrompts(project, fields, answers) {
+        const scope = this.buildScope(fields, answers, project);
+
+        return {
+            systemPrompt: this.buildSystemPrompt(project, scope),
+            userPrompt: project.user_prompt_template
+                ? this.render(project.user_prompt_template, scope)
+                : this.buildDefaultUserPrompt(scope)
+        };
+    }
+
+    // ========================================
+    // PREVIEW
+    // ========================================
+
+    /**
+     * Plausible sample answers for previewing a template, keyed by field id
+     */
+    buildSampleAnswers(fields) {
+        const answers = {};
+
+        for (const field of fields) {
+            const config = fieldTypes.getConfig(field);
+            const choices = (field.choices || []).map(choice => choice.value);
+
+            switch (field.field_type) {
+                case 'select':
+                case 'radio':
+                    answers[field.id] = choices[0] || '';
+                    break;
+                case 'checkbox':
+                    answers[field.id] = choices.slice(0, 2);
+                    break;
+                case 'number':
+                    answers[field.id] = String(field.validation_rules?.min ?? 10);
+                    break;
+                case 'slider':
+                    answers[field.id] = String(Math.round((config.min + config.max) / 2));
+                    break;
+                case 'date':
+                    answers[field.id] = config.minDate || new Date().toISOString().slice(0, 10);
+                    break;
+                case 'rating':
+                    answers[field.id] = String(Math.ceil(config.max * 0.8));
+                    break;
+                case 'likert':
+                    answers[field.id] = Object.fromEntries(config.rows.map(row => [row, config.scale[config.scale.length - 2] || config.scale[0]]));
+                    break;
+                case 'repeater':
+                    answers[field.id] = [Object.fromEntries(config.subfields.map(subfield => [
+                        subfield.name,
+                        subfield.type === 'number' ? '3' : subfield.type === 'date' ? new Date().toISOString().slice(0, 10) : `Sample ${subfield.label}`
+                    ]))];
+                    break;
+                case 'email':
+                    answers[field.id] = 'jane@example.com';
+                    break;
+                default:
+                    answers[field.id] = `Sample ${(field.label || field.name).toLowerCase()}`;
+            }
+        }
+
+        return answers;
+    }
+}
+
+module.exports = new PromptTemplateService();
@@ -0,0 +1,781 @@
+const crypto = require('crypto');
+const { Pool } = require('pg');
+const llmClient = require('./llmClient');
+const projectVersions = require('./projectVersions');
+const toolRequests = require('./toolRequests');
+const outputSchemas = require('./outputSchemas');
+const toolGeneratorV6 = require('./toolGeneratorV6');
+const mockProvider = require('./mockProvider');
+
+// Database connection
+const pool = new Pool({
+    host: process.env.DB_HOST,
+    port: process.env.DB_PORT,
+    database: process.env.DB_NAME,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    ssl: { rejectUnauthorized: false }
+});
+
+/**
+ * Prompt Test Service V6
+ * Regression tests for a project's prompts. A test case is a set of sample
+ * answers plus assertions on the output; a run executes every case against
+ * the current draft, with the configured AI provider or the deterministic
+ * mock provider, and keeps the results so a run can be compared with the one
+ * before it. With the deploy gate on, a project only deploys when the latest
+ * run passed and was made against the draft being deployed.
+ *
+ * Test case format:
+ *   { name, inputs: { <input name>: answer, ... }, assertions: [assertion, ...] }
+ * Assertions:
+ *   { type: 'contains' | 'not_contains', value, case_sensitive }
+ *   { type: 'regex', pattern, flags }
+ *   { type: 'max_length', value }
+ *   { type: 'json_schema', schema }   JSON Schema subset; null = the project's output schema
+ *   { type: 'rubric', rubric }        graded pass/fail by a judge model (skipped with the mock)
+ */
+class PromptTestService {
+    constructor() {
+        this.maxCases = 50;
+        this.maxAssertions = 20;
+        this.maxPatternLength = 500;
+        this.maxDiffLines = 300;
+        this.assertionTypes = ['contains', 'not_contains', 'regex', 'max_length', 'json_schema', 'rubric'];
+        this.providers = ['configured', 'mock'];
+        this.judgeModel = 'sonnet';
+        this.llm = llmClient;
+    }
+
+    /**
+     * Create the test tables and the deploy gate column if they don't exist
+     */
+    async ensureTestTables() {
+        try {
+            await pool.query(`
+                ALTER TABLE projects_v6
+                ADD COLUMN IF NOT EXISTS test_gate_enabled BOOLEAN DEFAULT false
+            `);
+
+            await pool.query(`
+                CREATE TABLE IF NOT EXISTS project_test_cases_v6 (
+                    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                    project_id UUID REFERENCES projects_v6(id) ON DELETE CASCADE,
+                    name VARCHAR(255) NOT NULL,
+                    inputs JSONB NOT NULL DEFAULT '{}'::jsonb,
+                    assertions JSONB NOT NULL DEFAULT '[]'::jsonb,
+                    created_by UUID,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                );
+
+                CREATE TABLE IF NOT EXISTS project_test_runs_v6 (
+                    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                    project_id UUID REFERENCES projects_v6(id) ON DELETE CASCADE,
+                    user_id UUID,
+                    provider VARCHAR(20) NOT NULL,
+                    status VARCHAR(20) NOT NULL DEFAULT 'running',
+                    draft_hash VARCHAR(64),
+                    total_cases INTEGER NOT NULL DEFAULT 0,
+                    passed_cases INTEGER NOT NULL DEFAULT 0,
+                    failed_cases INTEGER NOT NULL DEFAULT 0,
+                    error TEXT,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    completed_at TIMESTAMP
+                );
+
+                CREATE TABLE IF NOT EXISTS project_test_results_v6 (
+                    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                    run_id UUID REFERENCES project_test_runs_v6(id) ON DELETE CASCADE,
+                    case_id UUID,
+                    case_name VARCHAR(255),
+                    status VARCHAR(20) NOT NULL,
+                    output TEXT,
+                    assertions JSONB NOT NULL DEFAULT '[]'::jsonb,
+                    error TEXT,
+                    duration_ms INTEGER,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                );
+
+                CREATE INDEX IF NOT EXISTS idx_project_test_cases_v6_project_id ON project_test_cases_v6(project_id);
+                CREATE INDEX IF NOT EXISTS idx_project_test_runs_v6_project_id ON project_test_runs_v6(project_id, created_at);
+                CREATE INDEX IF NOT EXISTS idx_project_test_results_v6_run_id ON project_test_results_v6(run_id);
+            `);
+
+            // Runs don't survive a restart
+            await pool.query(`
+                UPDATE project_test_runs_v6
+                SET status = 'error', error = 'Interrupted by a server restart', completed_at = NOW()
+                WHERE status = 'running'
+            `);
+
+            console.log('✅ Prompt test tables ensured');
+
+        } catch (error) {
+            console.error('Error ensuring prompt test tables:', error);
+            throw error;
+        }
+    }
+
+    // ========================================
+    // TEST CASES
+    // ========================================
+
+    /**
+     * Input names of the project's draft
+     */
+    async getInputNames(projectId) {
+        const steps = await projectVersions.loadSteps(projectId);
+        return steps.flatMap(step => (step.fields || []).map(field => toolGeneratorV6.sanitizeFieldName(field.name)));
+    }
+
+    /**
+     * Validate a test case from the editor
+     * @param {Object} testCase - { name, inputs, assertions }
+     * @param {Array} inputNames - Input names of the draft
+     * @returns {Object} - { testCase, errors }
+     */
+    normalizeCase({ name, inputs, assertions } = {}, inputNames) {
+        const errors = [];
+
+        const caseName = typeof name === 'string' ? name.trim() : '';
+        if (!caseName) {
+            errors.push('A test case needs a name');
+        } else if (caseName.length > 255) {
+            errors.push('The name can be at most 255 characters');
+        }
+
+        if (!inputs || typeof inputs !== 'object' || Array.isArray(inputs)) {
+            errors.push('Inputs must be an object of answers keyed by input name');
+        } else {
+            const unknown = Object.keys(inputs).filter(key => !inputNames.includes(key));
+            if (unknown.length > 0) {
+                errors.push(`Unknown inputs: ${unknown.join(', ')}`);
+            }
+        }
+
+        const list = Array.isArray(assertions) ? assertions : [];
+        if (list.length === 0) {
+            errors.push('Add at least one assertion');
+        } else if (list.length > this.maxAssertions) {
+            errors.push(`A test case can have at most ${this.maxAssertions} assertions`);
+        }
+
+        const normalized = list.slice(0, this.maxAssertions).map((assertion, index) => {
+            const result = this.normalizeAssertion(assertion);
+            result.errors.forEach(error => errors.push(`Assertion ${index + 1}: ${error}`));
+            return result.assertion;
+        });
+
+        return {
+            testCase: { name: caseName, inputs: inputs || {}, assertions: normalized },
+            errors
+        };
+    }
+
+    normalizeAssertion(raw) {
+        const assertion = raw && typeof raw === 'object' ? raw : {};
+        const errors = [];
+
+        if (!this.assertionTypes.includes(assertion.type)) {
+            return { assertion: null, errors: [`type must be one of ${this.assertionTypes.join(', ')}`] };
+        }
+
+        switch (assertion.type) {
+            case 'contains':
+            case 'not_contains': {
+                const value = typeof assertion.value === 'string' ? assertion.value : '';
+                if (!value || value.length > 1000) {
+                    errors.push('value must be 1 to 1000 characters');
+                }
+                return { assertion: { type: assertion.type, value, case_sensitive: assertion.case_sensitive === true }, errors };
+            }
+            case 'regex': {
+                const pattern = typeof assertion.pattern === 'string' ? assertion.pattern : '';
+                const flags = typeof assertion.flags === 'string' ? assertion.flags : '';
+                if (!pattern || pattern.length > this.maxPatternLength) {
+                    errors.push(`pattern must be 1 to ${this.maxPatternLength} characters`);
+                } else if (!/^[imsu]*$/.test(flags)) {
+                    errors.push('flags can only use i, m, s and u');
+                } else {
+                    try {
+                        new RegExp(pattern, flags);
+                    } catch (error) {
+                        errors.push(`invalid pattern: ${error.message}`);
+                    }
+                }
+                return { assertion: { type: 'regex', pattern, flags }, errors };
+            }
+            case 'max_length': {
+                const value = Number(assertion.value);
+                if (!Number.isInteger(value) || value < 1 || value > 100000) {
+                    errors.push('value must be a whole number of characters from 1 to 100000');
+                }
+                return { assertion: { type: 'max_length', value }, errors };
+            }
+            case 'json_schema': {
+                const schema = assertion.schema ?? null;
+                if (schema !== null && (typeof schema !== 'object' || Array.isArray(schema))) {
+                    errors.push('schema must be a JSON Schema object, or empty to use the output schema');
+                }
+                return { assertion: { type: 'json_schema', schema }, errors };
+            }
+            case 'rubric': {
+                const rubric = typeof assertion.rubric === 'string' ? assertion.rubric.trim() : '';
+                if (!rubric || rubric.length > 2000) {
+                    errors.push('rubric must be 1 to 2000 characters');
+                }
+                return { assertion: { type: 'rubric', rubric }, errors };
+            }
+        }
+
+        return { assertion: null, errors };
+    }
+
+    async listCases(projectId) {
+        const result = await pool.query(`
+            SELECT id, name, inputs, assertions, created_at, updated_at
+            FROM project_test_cases_v6
+            WHERE project_id = $1
+            ORDER BY created_at ASC
+        `, [projectId]);
+
+        return result.rows;
+    }
+
+    /**
+     * @returns {Promise<Object>} - { testCase, errors }
+     */
+    async createCase(projectId, userId, raw) {
+        const { testCase, errors } = this.normalizeCase(raw, await this.getInputNames(projectId));
+        if (errors.length > 0) {
+            return { testCase: null, errors };
+        }
+
+        const count = await pool.query('SELECT COUNT(*) FROM project_test_cases_v6 WHERE project_id = $1', [projectId]);
+        if (parseInt(count.rows[0].count, 10) >= this.maxCases) {
+            return { testCase: null, errors: [`A project can have at most ${this.maxCases} test cases`] };
+        }
+
+        const result = await pool.query(`
+            INSERT INTO project_test_cases_v6 (project_id, name, inputs, assertions, created_by)
+            VALUES ($1, $2, $3, $4, $5)
+            RETURNING id, name, inputs, assertions, created_at, updated_at
+        `, [projectId, testCase.name, JSON.stringify(testCase.inputs), JSON.stringify(testCase.assertions), userId]);
+
+        return { testCase: result.rows[0], errors: [] };
+    }
+
+    /**
+     * @returns {Promise<Object|null>} - { testCase, errors }, null when the case doesn't exist
+     */
+    async updateCase(projectId, caseId, raw) {
+        const { testCase, errors } = this.normalizeCase(raw, await this.getInputNames(projectId));
+        if (errors.length > 0) {
+            return { testCase: null, errors };
+        }
+
+        const result = await pool.query(`
+            UPDATE project_test_cases_v6
+            SET name = $1, inputs = $2, assertions = $3, updated_at = NOW()
+            WHERE id = $4 AND project_id = $5
+            RETURNING id, name, inputs, assertions, created_at, updated_at
+        `, [testCase.name, JSON.stringify(testCase.inputs), JSON.stringify(testCase.assertions), caseId, projectId]);
+
+        return result.rows[0] ? { testCase: result.rows[0], errors: [] } : null;
+    }
+
+    async deleteCase(projectId, caseId) {
+        const result = await pool.query(
+            'DELETE FROM project_test_cases_v6 WHERE id = $1 AND project_id = $2 RETURNING id',
+            [caseId, projectId]
+        );
+        return result.rows.length > 0;
+    }
+
+    async setGate(projectId, enabled) {
+        await pool.query('UPDATE projects_v6 SET test_gate_enabled = $1 WHERE id = $2', [enabled === true, projectId]);
+    }
+
+    // ========================================
+    // RUNS
+    // ========================================
+
+    /**
+     * Fingerprint of the draft's content, so a run can be matched to the
+     * draft it tested. The gate setting itself doesn't count.
+     */
+    hashDraft(draft) {
+        const { test_gate_enabled, ...project } = draft.project;
+        return crypto.createHash('sha256').update(JSON.stringify({ project, steps: draft.steps })).digest('hex');
+    }
+
+    getProvider(name) {
+        return name === 'mock' ? mockProvider : this.llm;
+    }
+
+    async hasActiveRun(projectId) {
+        const result = await pool.query(
+            "SELECT 1 FROM project_test_runs_v6 WHERE project_id = $1 AND status = 'running' LIMIT 1",
+            [projectId]
+        );
+        return result.rows.length > 0;
+    }
+
+    /**
+     * Start a run of every test case against the draft. The cases run in
+     * the background; poll getRun for progress.
+     * @returns {Promise<Object>} - { run, error }
+     */
+    async startRun(projectId, userId, provider) {
+        if (!this.providers.includes(provider)) {
+            return { run: null, error: `provider must be one of ${this.providers.join(', ')}` };
+        }
+
+        const cases = await this.listCases(projectId);
+        if (cases.length === 0) {
+            return { run: null, error: 'Add a test case first' };
+        }
+
+        const draft = await projectVersions.buildDraftSnapshot(projectId);
+
+        const result = await pool.query(`
+            INSERT INTO project_test_runs_v6 (project_id, user_id, provider, draft_hash, total_cases)
+            VALUES ($1, $2, $3, $4, $5)
+            RETURNING *
+        `, [projectId, userId, provider, this.hashDraft(draft), cases.length]);
+
+        const run = result.rows[0];
+        console.log(`🧪 Test run ${run.id} started for project ${projectId} (${cases.length} cases, ${provider})`);
+
+        this.executeRun(run, draft, cases)
+            .catch(error => {
+                console.error(`Test run ${run.id} failed:`, error);
+                return pool.query(`
+                    UPDATE project_test_runs_v6 SET status = 'error', error = $2, completed_at = NOW()
+                    WHERE id = $1
+                `, [run.id, 'The test run stopped unexpectedly']);
+            })
+            .catch(error => console.error(`Failed to mark test run ${run.id} as failed:`, error));
+
+        return { run, error: null };
+    }
+
+    async executeRun(run, draft, cases) {
+        const provider = this.getProvider(run.provider);
+        let passed = 0;
+        let failed = 0;
+
+        for (const testCase of cases) {
+            const result = await this.runCase(draft, testCase, provider);
+
+            await pool.query(`
+                INSERT INTO project_test_results_v6 (run_id, case_id, case_name, status, output, assertions, error, duration_ms)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            `, [run.id, testCase.id, testCase.name, result.status, result.output, JSON.stringify(result.assertions), result.error, result.duration_ms]);
+
+            if (result.status === 'passed') {
+                passed++;
+            } else {
+                failed++;
+            }
+
+            await pool.query(
+                'UPDATE project_test_runs_v6 SET passed_cases = $2, failed_cases = $3 WHERE id = $1',
+                [run.id, passed, failed]
+            );
+        }
+
+        await pool.query(`
+            UPDATE project_test_runs_v6 SET status = $2, completed_at = NOW()
+            WHERE id = $1
+        `, [run.id, failed === 0 ? 'passed' : 'failed']);
+
+        console.log(`🧪 Test run ${run.id} finished: ${passed} passed, ${failed} failed`);
+    }
+
+    /**
+     * Generate one case's output from the draft and check its assertions
+     * @returns {Promise<Object>} - { status: passed|failed|error, output, assertions, error, duration_ms }
+     */
+    async runCase(draft, testCase, provider) {
+        const startedAt = Date.now();
+        const finish = (status, fields) => ({
+            status,
+            output: null,
+            assertions: [],
+            error: null,
+            ...fields,
+            duration_ms: Date.now() - startedAt
+        });
+
+        try {
+            const prepared = await toolRequests.prepare(draft.project, testCase.inputs, {}, { snapshot: draft, version_number: null });
+            if (!prepared.valid) {
+                return finish('error', { error: toolRequests.describeInvalid(prepared) });
+            }
+
+            const { aiResponse } = await toolRequests.generate(prepared, { provider });
+
+            const assertions = [];
+            for (const assertion of testCase.assertions) {
+                assertions.push(await this.checkAssertion(assertion, aiResponse, { prepared, testCase, provider }));
+            }
+
+            const status = assertions.some(result => result.passed === false) ? 'failed' : 'passed';
+            return finish(status, { output: aiResponse, assertions });
+
+        } catch (error) {
+            console.error(`Test case "${testCase.name}" failed:`, error.message);
+            return finish('error', { error: 'AI generation failed' });
+        }
+    }
+
+    // ========================================
+    // ASSERTIONS
+    // ========================================
+
+    /**
+     * @returns {Promise<Object>} - { type, label, passed: true|false|null (skipped), message }
+     */
+    async checkAssertion(assertion, output, { prepared, testCase, provider }) {
+        const label = this.describeAssertion(assertion);
+        const result = (passed, message) => ({ type: assertion.type, label, passed, message });
+        const text = output || '';
+
+        switch (assertion.type) {
+            case 'contains':
+            case 'not_contains': {
+                const haystack = assertion.case_sensitive ? text : text.toLowerCase();
+                const needle = assertion.case_sensitive ? assertion.value : assertion.value.toLowerCase();
+                const found = haystack.includes(needle);
+                return assertion.type === 'contains'
+                    ? result(found, found ? 'Found' : 'Not found in the output')
+                    : result(!found, found ? 'Found in the output' : 'Not found');
+            }
+            case 'regex': {
+                const matched = new RegExp(assertion.pattern, assertion.flags).test(text);
+                return result(matched, matched ? 'Matched' : 'No match in the output');
+            }
+            case 'max_length':
+                return result(text.length <= assertion.value, `${text.length} characters`);
+            case 'json_schema':
+                return this.checkJson(assertion, text, prepared.project, result);
+            case 'rubric':
+                return this.gradeRubric(assertion, text, testCase, provider, result);
+            default:
+                return result(false, 'Unknown assertion');
+        }
+    }
+
+    describeAssertion(assertion) {
+        switch (assertion.type) {
+            case 'contains': return `Contains "${assertion.value}"`;
+            case 'not_contains': return `Does not contain "${assertion.value}"`;
+            case 'regex': return `Matches /${assertion.pattern}/${assertion.flags}`;
+            case 'max_length': return `At most ${assertion.value} characters`;
+            case 'json_schema': return assertion.schema ? 'Valid JSON for the schema' : 'Valid for the output schema';
+            case 'rubric': return `Rubric: ${assertion.rubric.slice(0, 80)}`;
+            default: return assertion.type;
+        }
+    }
+
+    checkJson(assertion, text, project, result) {
+        const data = outputSchemas.parse(text);
+        if (data === undefined) {
+            return result(false, 'The output is not valid JSON');
+        }
+
+        if (!assertion.schema) {
+            const schema = outputSchemas.getSchema(project);
+            if (!schema) {
+                return result(false, 'The project has no output schema; add a JSON Schema to the assertion');
+            }
+            const { errors } = outputSchemas.validate(data, schema);
+            return result(errors.length === 0, errors.length === 0 ? 'Valid' : errors.slice(0, 5).join('; '));
+        }
+
+        const errors = this.validateJsonSchema(data, assertion.schema);
+        return result(errors.length === 0, errors.length === 0 ? 'Valid' : errors.slice(0, 5).join('; '));
+    }
+
+    /**
+     * Check a value against a JSON Schema (type, enum, const, required,
+     * properties, additionalProperties: false, items, min/maxItems,
+     * min/maxLength, minimum/maximum, pattern)
+     * @returns {Array} - Errors, empty when valid
+     */
+    validateJsonSchema(value, schema, path = '$') {
+        const errors = [];
+        if (!schema || typeof schema !== 'object') {
+            return errors;
+        }
+
+        const typeOf = candidate => {
+            if (candidate === null) return 'null';
+            if (Array.isArray(candidate)) return 'array';
+            if (Number.isInteger(candidate)) return 'integer';
+            return typeof candidate;
+        };
+        const actual = typeOf(value);
+
+        if (schema.type) {
+            const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+            const matches = allowed.some(type => type === actual || (type === 'number' && actual === 'integer'));
+            if (!matches) {
+                return [`${path} should be ${allowed.join(' or ')}, not ${actual}`];
+            }
+        }
+
+        if (Array.isArray(schema.enum) && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+            errors.push(`${path} should be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+        }
+        if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+            errors.push(`${path} should be ${JSON.stringify(schema.const)}`);
+        }
+
+        if (actual === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path} is shorter than ${schema.minLength} characters`);
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path} is longer than ${schema.maxLength} characters`);
+            if (typeof schema.pattern === 'string') {
+                try {
+                    if (!new RegExp(schema.pattern).test(value)) errors.push(`${path} does not match ${schema.pattern}`);
+                } catch (error) {
+                    errors.push(`${path}: invalid pattern in schema`);
+                }
+            }
+        }
+
+        if (actual === 'number' || actual === 'integer') {
+            if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} is less than ${schema.minimum}`);
+            if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} is greater than ${schema.maximum}`);
+        }
+
+        if (actual === 'array') {
+            if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path} has fewer than ${schema.minItems} items`);
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path} has more than ${schema.maxItems} items`);
+            if (schema.items && typeof schema.items === 'object') {
+                value.forEach((item, index) => errors.push(...this.validateJsonSchema(item, schema.items, `${path}[${index}]`)));
+            }
+        }
+
+        if (actual === 'object') {
+            for (const key of Array.isArray(schema.required) ? schema.required : []) {
+                if (!Object.prototype.hasOwnProperty.call(value, key)) errors.push(`${path}.${key} is required`);
+            }
+            const properties = schema.properties && typeof schema.properties === 'object' ? schema.properties : {};
+            for (const [key, propertySchema] of Object.entries(properties)) {
+                if (Object.prototype.hasOwnProperty.call(value, key)) {
+                    errors.push(...this.validateJsonSchema(value[key], propertySchema, `${path}.${key}`));
+                }
+            }
+            if (schema.additionalProperties === false) {
+                Object.keys(value)
+                    .filter(key => !Object.prototype.hasOwnProperty.call(properties, key))
+                    .forEach(key => errors.push(`${path}.${key} is not allowed`));
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Ask a judge model whether the output meets the rubric
+     */
+    async gradeRubric(assertion, text, testCase, provider, result) {
+        if (provider === mockProvider) {
+            return result(null, 'Skipped: rubrics are graded by a judge model, not the mock provider');
+        }
+
+        const system = 'You grade the output of an AI tool against a rubric. Be strict: pass only when every point of the rubric is met. ' +
+            'Reply with only a JSON object: {"pass": true or false, "reason": "one sentence"}';
+        const prompt = `Rubric:\n${assertion.rubric}\n\nAnswers given to the tool:\n${JSON.stringify(testCase.inputs, null, 2)}\n\nOutput to grade:\n${text}`;
+
+        try {
+            const reply = await provider.generateContent(prompt, {
+                system,
+                model: this.llm.models[this.judgeModel],
+                temperature: 0,
+                max_tokens: 300
+            });
+            const verdict = outputSchemas.parse(reply);
+
+            if (!verdict || typeof verdict.pass !== 'boolean') {
+                return result(false, 'The judge\'s reply could not be read');
+            }
+            return result(verdict.pass, typeof verdict.reason === 'string' ? verdict.reason : (verdict.pass ? 'Meets the rubric' : 'Does not meet the rubric'));
+
+        } catch (error) {
+            console.error('Rubric grading failed:', error.message);
+            return result(false, 'The judge model could not be reached');
+        }
+    }
+
+    // ========================================
+    // HISTORY
+    // ========================================
+
+    async listRuns(projectId, limit = 20) {
+        const result = await pool.query(`
+            SELECT r.id, r.provider, r.status, r.draft_hash, r.total_cases, r.passed_cases, r.failed_cases,
+                   r.error, r.created_at, r.completed_at, u.email as user_email
+            FROM project_test_runs_v6 r
+            LEFT JOIN users u ON u.id = r.user_id
+            WHERE r.project_id = $1
+            ORDER BY r.created_at DESC
+            LIMIT $2
+        `, [projectId, limit]);
+
+        return result.rows;
+    }
+
+    /**
+     * A run with its results, each compared with the same case in the
+     * previous finished run
+     * @returns {Promise<Object|null>} - { run, previous_run_id, results }
+     */
+    async getRun(projectId, runId) {
+        const runResult = await pool.query(`
+            SELECT r.*, u.email as user_email
+            FROM project_test_runs_v6 r
+            LEFT JOIN users u ON u.id = r.user_id
+            WHERE r.id = $1 AND r.project_id = $2
+        `, [runId, projectId]);
+
+        const run = runResult.rows[0];
+        if (!run) {
+            return null;
+        }
+
+        const previousResult = await pool.query(`
+            SELECT id FROM project_test_runs_v6
+            WHERE project_id = $1 AND created_at < $2 AND status IN ('passed', 'failed')
+            ORDER BY created_at DESC
+            LIMIT 1
+        `, [projectId, run.created_at]);
+        const previousRunId = previousResult.rows[0]?.id || null;
+
+        const [results, previous] = await Promise.all([
+            this.loadResults(run.id),
+            previousRunId ? this.loadResults(previousRunId) : []
+        ]);
+        const previousByCase = new Map(previous.map(result => [result.case_id, result]));
+
+        return {
+            run,
+            previous_run_id: previousRunId,
+            results: results.map(result => {
+                const before = previousByCase.get(result.case_id);
+                return {
+                    ...result,
+                    previous_status: before ? before.status : null,
+                    change: this.describeChange(before, result),
+                    diff: before && before.output !== result.output ? this.diffLines(before.output || '', result.output || '') : null
+                };
+            })
+        };
+    }
+
+    async loadResults(runId) {
+        const result = await pool.query(`
+            SELECT case_id, case_name, status, output, assertions, error, duration_ms
+            FROM project_test_results_v6
+            WHERE run_id = $1
+            ORDER BY created_at ASC
+        `, [runId]);
+
+        return result.rows;
+    }
+
+    describeChange(before, after) {
+        if (!before) return 'new';
+        if (before.status === 'passed' && after.status !== 'passed') return 'regressed';
+        if (before.status !== 'passed' && after.status === 'passed') return 'fixed';
+        return 'unchanged';
+    }
+
+    /**
+     * Line diff of two outputs (longest common subsequence)
+     * @returns {Array} - [{ type: 'same'|'added'|'removed', text }]
+     */
+    diffLines(from, to) {
+        const a = from.split('\n');
+        const b = to.split('\n');
+
+        if (a.length > this.maxDiffLines || b.length > this.maxDiffLines) {
+            return [
+                ...a.map(text => ({ type: 'removed', text })),
+                ...b.map(text => ({ type: 'added', text }))
+            ];
+        }
+
+        const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+
+        const lines = [];
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                lines.push({ type: 'same', text: a[i] });
+                i++;
+                j++;
+            } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+                lines.push({ type: 'removed', text: a[i++] });
+            } else {
+                lines.push({ type: 'added', text: b[j++] });
+            }
+        }
+        while (i < a.length) lines.push({ type: 'removed', text: a[i++] });
+        while (j < b.length) lines.push({ type: 'added', text: b[j++] });
+
+        return lines;
+    }
+
+    // ========================================
+    // DEPLOY GATE
+    // ========================================
+
+    /**
+     * With the gate on (and at least one test case), a deploy needs the
+     * latest finished run to have passed against the current draft
+     * @returns {Promise<Object>} - { passed, error }
+     */
+    async checkDeployGate(projectId) {
+        const draft = await projectVersions.buildDraftSnapshot(projectId);
+        if (!draft || !draft.project.test_gate_enabled) {
+            return { passed: true, error: null };
+        }
+
+        const cases = await pool.query('SELECT COUNT(*) FROM project_test_cases_v6 WHERE project_id = $1', [projectId]);
+        if (parseInt(cases.rows[0].count, 10) === 0) {
+            return { passed: true, error: null };
+        }
+
+        const latest = await pool.query(`
+            SELECT status, draft_hash, failed_cases FROM project_test_runs_v6
+            WHERE project_id = $1 AND status IN ('passed', 'failed')
+            ORDER BY created_at DESC
+            LIMIT 1
+        `, [projectId]);
+        const run = latest.rows[0];
+
+        if (!run) {
+            return { passed: false, error: 'Deploys require passing prompt tests. Run the tests first.' };
+        }
+        if (run.draft_hash !== this.hashDraft(draft)) {
+            return { passed: false, error: 'The project changed since the tests last ran. Run the tests again before deploying.' };
+        }
+        if (run.status !== 'passed') {
+            return { passed: false, error: `Deploys require passing prompt tests; the latest run had ${run.failed_cases} failing case${run.failed_cases === 1 ? '' : 's'}.` };
+        }
+
+        return { passed: true, error: null };
+    }
+}
+
+module.exports = new PromptTestService();
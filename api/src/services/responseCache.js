@@ -0,0 +1,349 @@
+const crypto = require('crypto');
+const { Pool } = require('pg');
+
+// Database connection
+const pool = new Pool({
+    host: process.env.DB_HOST,
+    port: process.env.DB_PORT,
+    database: process.env.DB_NAME,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    ssl: { rejectUnauthorized: false }
+});
+
+/**
+ * Response Cache Service V6
+ * Opt-in per-project cache of deployed tool results, so a repeated submission
+ * (same answers, same published version, same model) is answered without an
+ * AI call. Entries live in Redis when REDIS_URL is set and reachable, and in a
+ * small in-process LRU otherwise. Every deploy bumps the project's cache
+ * generation, which is part of the key, so results of an older version are
+ * never served again. Hits and misses are recorded on the session rows
+ * (cache_status), which cached answers still create.
+ */
+class ResponseCacheService {
+    constructor() {
+        this.redisUrl = process.env.REDIS_URL || null;
+        this.redis = null;
+        this.redisConnecting = null;
+        this.redisRetryAt = 0;
+        this.redisRetryDelay = 60 * 1000;
+        this.keyPrefix = 'pm:v6:response-cache:';
+        this.memory = new Map();
+        this.maxMemoryEntries = parseInt(process.env.RESPONSE_CACHE_MAX_ENTRIES, 10) || 500;
+        this.defaultTtl = 24 * 60 * 60;
+        this.minTtl = 60;
+        this.maxTtl = 30 * 24 * 60 * 60;
+    }
+
+    /**
+     * Create the cache settings table and the session column if they don't exist.
+     * Settings live outside projects_v6 so they don't become part of version snapshots.
+     */
+    async ensureCacheTables() {
+        try {
+            await pool.query(`
+                CREATE TABLE IF NOT EXISTS project_response_cache_v6 (
+                    project_id UUID PRIMARY KEY REFERENCES projects_v6(id) ON DELETE CASCADE,
+                    enabled BOOLEAN NOT NULL DEFAULT false,
+                    ttl_seconds INTEGER NOT NULL DEFAULT ${this.defaultTtl},
+                    generation INTEGER NOT NULL DEFAULT 0,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+
+            await pool.query(`
+                ALTER TABLE project_sessions_v6
+                ADD COLUMN IF NOT EXISTS cache_status VARCHAR(10)
+            `);
+
+            console.log('✅ Response cache tables ensured');
+        } catch (error) {
+            console.error('❌ Error ensuring response cache tables:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * @returns {Promise<Object>} - { enabled, ttl_seconds, generation }
+     */
+    async getSettings(projectId) {
+        const result = await pool.query(`
+            SELECT enabled, ttl_seconds, generation FROM project_response_cache_v6 WHERE project_id = $1
+        `, [projectId]);
+
+        return result.rows[0] || { enabled: false, ttl_seconds: this.defaultTtl, generation: 0 };
+    }
+
+    /**
+     * @param {Object} input - { enabled, ttl_seconds }
+     * @returns {Promise<Object>} - { settings, errors }
+     */
+    async updateSettings(projectId, input = {}) {
+        const errors = [];
+        const current = await this.getSettings(projectId);
+        const enabled = input.enabled === undefined ? current.enabled : input.enabled;
+        const ttl = input.ttl_seconds === undefined ? current.ttl_seconds : input.ttl_seconds;
+
+        if (typeof enabled !== 'boolean') {
+            errors.push('enabled must be true or false');
+        }
+        if (!Number.isInteger(ttl) || ttl < this.minTtl || ttl > this.maxTtl) {
+            errors.push(`ttl_seconds must be a whole number from ${this.minTtl} to ${this.maxTtl}`);
+        }
+        if (errors.length > 0) {
+            return { settings: null, errors };
+        }
+
+        const result = await pool.query(`
+            INSERT INTO project_response_cache_v6 (project_id, enabled, ttl_seconds)
+            VALUES ($1, $2, $3)
+            ON CONFLICT (project_id)
+            DO UPDATE SET enabled = $2, ttl_seconds = $3, updated_at = CURRENT_TIMESTAMP
+            RETURNING enabled, ttl_seconds, generation
+        `, [projectId, enabled, ttl]);
+
+        return { settings: result.rows[0], errors: [] };
+    }
+
+    /**
+     * Drop every cached result of a project (called on each deploy)
+     * @returns {Promise<number>} - The new cache generation
+     */
+    async invalidate(projectId) {
+        const result = await pool.query(`
+            INSERT INTO project_response_cache_v6 (project_id, generation)
+            VALUES ($1, 1)
+            ON CONFLICT (project_id)
+            DO UPDATE SET generation = project_response_cache_v6.generation + 1, updated_at = CURRENT_TIMESTAMP
+            RETURNING generation
+        `, [projectId]);
+
+        // Redis entries of older generations are never read again and expire on their own
+        const projectPrefix = `${this.keyPrefix}${projectId}:`;
+        for (const key of this.memory.keys()) {
+            if (key.startsWith(projectPrefix)) {
+                this.memory.delete(key);
+            }
+        }
+
+        return result.rows[0].generation;
+    }
+
+    /**
+     * Find the cached result of a prepared request (see toolRequests.prepare)
+     * @param {string} model - Model id the request is generated with
+     * @returns {Promise<Object|null>} - { key, ttl, entry: cached result or null }, null when
+     *   the project's cache is off or can't be read
+     */
+    async lookup(prepared, model) {
+        try {
+            const settings = await this.getSettings(prepared.project.id);
+            if (!settings.enabled) {
+                return null;
+            }
+
+            const key = this.buildKey(prepared, model, settings.generation);
+            const cached = await this.read(key);
+
+            return { key, ttl: settings.ttl_seconds, entry: cached ? JSON.parse(cached) : null };
+        } catch (error) {
+            console.error('Response cache lookup failed:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Cache a finished run under the key of a lookup() miss
+     */
+    async store(lookup, run) {
+        const entry = {
+            aiResponse: run.aiResponse,
+            structured: run.structured,
+            stageOutputs: run.stageOutputs,
+            systemPrompt: run.prepared.systemPrompt,
+            userPrompt: run.prepared.userPrompt,
+            cached_at: new Date().toISOString()
+        };
+
+        try {
+            await this.write(lookup.key, JSON.stringify(entry), lookup.ttl);
+        } catch (error) {
+            console.error('Response cache store failed:', error.message);
+        }
+    }
+
+    /**
+     * Key of a request: its normalized visible answers, the published version,
+     * the model and the final system prompt (which carries language instructions
+     * and experiment prompt overrides)
+     */
+    buildKey(prepared, model, generation) {
+        const answers = {};
+        for (const field of prepared.visibleFields) {
+            if (prepared.answers[field.id] !== undefined) {
+                answers[field.id] = this.normalizeValue(prepared.answers[field.id]);
+            }
+        }
+
+        const digest = crypto.createHash('sha256').update(JSON.stringify({
+            version: prepared.versionNumber,
+            model,
+            system: prepared.systemPrompt,
+            answers: this.sortKeys(answers)
+        })).digest('hex');
+
+        return `${this.keyPrefix}${prepared.project.id}:${generation}:${digest}`;
+    }
+
+    /**
+     * Answers that only differ in surrounding or repeated whitespace, or in the
+     * order of picked options, are the same request
+     */
+    normalizeValue(value) {
+        if (typeof value === 'string') {
+            return value.trim().replace(/\s+/g, ' ');
+        }
+        if (Array.isArray(value)) {
+            const items = value.map(item => this.normalizeValue(item));
+            return items.every(item => typeof item === 'string') ? items.sort() : items;
+        }
+        if (value && typeof value === 'object') {
+            const normalized = {};
+            for (const [key, item] of Object.entries(value)) {
+                normalized[key] = this.normalizeValue(item);
+            }
+            return this.sortKeys(normalized);
+        }
+        return value;
+    }
+
+    sortKeys(object) {
+        return Object.fromEntries(Object.keys(object).sort().map(key => [key, object[key]]));
+    }
+
+    /**
+     * Connected Redis client, or null to use the in-process cache. A failed
+     * connection is retried after redisRetryDelay.
+     */
+    async getRedis() {
+        if (!this.redisUrl) {
+            return null;
+        }
+        if (this.redis && this.redis.isReady) {
+            return this.redis;
+        }
+        if (Date.now() < this.redisRetryAt) {
+            return null;
+        }
+
+        if (!this.redisConnecting) {
+            this.redisConnecting = this.connectRedis()
+                .catch(error => {
+                    console.error('⚠️ Redis unavailable, using the in-process response cache:', error.message);
+                    this.redisRetryAt = Date.now() + this.redisRetryDelay;
+                    return null;
+                })
+                .finally(() => {
+                    this.redisConnecting = null;
+                });
+        }
+
+        return this.redisConnecting;
+    }
+
+    async connectRedis() {
+        const { createClient } = require('redis');
+
+        // No automatic reconnects: requests fall back to memory and getRedis() reconnects later
+        const client = createClient({ url: this.redisUrl, socket: { reconnectStrategy: false } });
+        client.on('error', (error) => {
+            console.error('Response cache Redis error:', error.message);
+        });
+
+        await client.connect();
+        this.redis = client;
+        console.log('✅ Response cache connected to Redis');
+
+        return client;
+    }
+
+    /**
+     * Where entries are kept right now: 'redis' or 'memory'
+     */
+    async getBackend() {
+        return (await this.getRedis()) ? 'redis' : 'memory';
+    }
+
+    async read(key) {
+        const redis = await this.getRedis();
+        if (redis) {
+            try {
+                return await redis.get(key);
+            } catch (error) {
+                console.error('Response cache Redis read failed:', error.message);
+            }
+        }
+
+        const item = this.memory.get(key);
+        if (!item) {
+            return null;
+        }
+        if (item.expiresAt <= Date.now()) {
+            this.memory.delete(key);
+            return null;
+        }
+
+        // Move to the back: the first key in the map is the least recently used
+        this.memory.delete(key);
+        this.memory.set(key, item);
+        return item.value;
+    }
+
+    async write(key, value, ttlSeconds) {
+        const redis = await this.getRedis();
+        if (redis) {
+            try {
+                await redis.set(key, value, { EX: ttlSeconds });
+                return;
+            } catch (error) {
+                console.error('Response cache Redis write failed:', error.message);
+            }
+        }
+
+        this.memory.delete(key);
+        this.memory.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+
+        while (this.memory.size > this.maxMemoryEntries) {
+            this.memory.delete(this.memory.keys().next().value);
+        }
+    }
+
+    /**
+     * Hit and miss counts of visitor sessions, with the AI cost the hits saved
+     * (estimated from the average cost of a miss)
+     * @returns {Promise<Object>} - { hits, misses, hit_rate, estimated_savings }
+     */
+    async getStats(projectId) {
+        const result = await pool.query(`
+            SELECT COUNT(*) FILTER (WHERE cache_status = 'hit') as hits,
+                   COUNT(*) FILTER (WHERE cache_status = 'miss') as misses,
+                   AVG(ai_cost) FILTER (WHERE cache_status = 'miss') as avg_miss_cost
+            FROM project_sessions_v6
+            WHERE project_id = $1 AND batch_id IS NULL
+        `, [projectId]);
+
+        const hits = parseInt(result.rows[0].hits, 10);
+        const misses = parseInt(result.rows[0].misses, 10);
+        const avgMissCost = parseFloat(result.rows[0].avg_miss_cost || 0);
+
+        return {
+            hits,
+            misses,
+            hit_rate: hits + misses > 0 ? hits / (hits + misses) : null,
+            estimated_savings: hits * avgMissCost
+        };
+    }
+}
+
+module.exports = new ResponseCacheService();
@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const { Pool } = require('pg');
+
+// Database connection
+const pool = new Pool({
+    host: process.env.DB_HOST,
+    port: process.env.DB_PORT,
+    database: process.env.DB_NAME,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    ssl: { rejectUnauthorized: false }
+});
+
+/**
+ * Tool Conversation Service V6
+ * Follow-up chat on a deployed tool's result. The whole exchange is kept on
+ * project_sessions_v6.transcript, starting with the prompts the first answer
+ * was generated from, so every follow-up is answered with that context.
+ *
+ * Transcript format:
+ *   [{ role: 'system', content }, { role: 'user', content }, { role: 'assistant', content }, ...]
+ *   Entries after the first answer carry a created_at timestamp.
+ */
+class ToolConversationService {
+    constructor() {
+        this.defaultMaxTurns = 5;
+        this.maxTurnsLimit = 20;
+        this.maxMessageLength = 2000;
+    }
+
+    /**
+     * Add the follow-up settings and transcript columns if they don't exist
+     */
+    async ensureConversationColumns() {
+        try {
+            await pool.query(`
+                ALTER TABLE projects_v6
+                ADD COLUMN IF NOT EXISTS followup_enabled BOOLEAN DEFAULT false,
+                ADD COLUMN IF NOT EXISTS followup_max_turns INTEGER DEFAULT ${this.defaultMaxTurns}
+            `);
+
+            await pool.query(`
+                ALTER TABLE project_sessions_v6
+                ADD COLUMN IF NOT EXISTS transcript JSONB DEFAULT '[]'::jsonb
+            `);
+
+            console.log('✅ Tool conversation columns ensured');
+
+        } catch (error) {
+            console.error('Error ensuring tool conversation columns:', error);
+            throw error;
+        }
+    }
+
+    // ========================================
+    // SETTINGS
+    // ========================================
+
+    /**
+     * Validate follow-up settings from the project settings form
+     * @param {Object} settings - { followup_enabled, followup_max_turns }, either may be omitted
+     * @returns {Object} - { settings, errors }
+     */
+    normalizeSettings({ followup_enabled, followup_max_turns } = {}) {
+        const settings = {};
+        const errors = [];
+
+        if (followup_enabled !== undefined && followup_enabled !== null) {
+            if (typeof followup_enabled !== 'boolean') {
+                errors.push('followup_enabled must be true or false');
+            } else {
+                settings.followup_enabled = followup_enabled;
+            }
+        }
+
+        if (followup_max_turns !== undefined && followup_max_turns !== null && followup_max_turns !== '') {
+            const maxTurns = Number(followup_max_turns);
+            if (!Number.isInteger(maxTurns) || maxTurns < 1 || maxTurns > this.maxTurnsLimit) {
+                errors.push(`followup_max_turns must be a whole number from 1 to ${this.maxTurnsLimit}`);
+            } else {
+                settings.followup_max_turns = maxTurns;
+            }
+        }
+
+        return { settings, errors };
+    }
+
+    /**
+     * Follow-up settings of a (published) project with defaults filled in
+     */
+    getSettings(project) {
+        const maxTurns = parseInt(project.followup_max_turns, 10);
+
+        return {
+            enabled: project.followup_enabled === true,
+            maxTurns: maxTurns > 0 ? Math.min(maxTurns, this.maxTurnsLimit) : this.defaultMaxTurns
+        };
+    }
+
+    // ========================================
+    // TRANSCRIPTS
+    // ========================================
+
+    /**
+     * Unguessable token that lets the tool's visitor continue their session
+     */
+    createSessionToken() {
+        return `session_${crypto.randomBytes(16).toString('hex')}`;
+    }
+
+    /**
+     * Transcript of a session's first answer
+     */
+    buildTranscript(systemPrompt, userPrompt, aiResponse) {
+        return [
+            { role: 'system', content: systemPrompt },
+            { role: 'user', content: userPrompt },
+            { role: 'assistant', content: aiResponse }
+        ];
+    }
+
+    /**
+     * Number of follow-up questions already asked in a transcript
+     */
+    countTurns(transcript) {
+        const userMessages = (transcript || []).filter(entry => entry.role === 'user').length;
+        return Math.max(userMessages - 1, 0);
+    }
+
+    /**
+     * Split a transcript into the system prompt and the chat history
+     */
+    toChatHistory(transcript) {
+        const systemEntry = transcript.find(entry => entry.role === 'system');
+
+        return {
+            systemPrompt: systemEntry ? systemEntry.content : null,
+            history: transcript
+                .filter(entry => entry.role === 'user' || entry.role === 'assistant')
+                .map(({ role, content }) => ({ role, content }))
+        };
+    }
+
+    /**
+     * Load a session with its project's follow-up settings. The session token
+     * acts as the visitor's key, so both the id and the token must match.
+     * @returns {Promise<Object|null>} - { id, project_id, transcript, followup_enabled, followup_max_turns,
+     *   generation_settings, ... }
+     */
+    async findSession(sessionId, sessionToken) {
+        if (!sessionId || typeof sessionToken !== 'string' || !sessionToken) {
+            return null;
+        }
+
+        const result = await pool.query(`
+            SELECT s.id, s.project_id, s.transcript,
+                   p.user_id, p.deployed, p.enabled, p.published_version_id,
+                   COALESCE((v.snapshot->'project'->>'followup_enabled')::boolean, p.followup_enabled) as followup_enabled,
+                   COALESCE((v.snapshot->'project'->>'followup_max_turns')::integer, p.followup_max_turns) as followup_max_turns,
+                   CASE WHEN v.id IS NULL THEN p.generation_settings ELSE v.snapshot->'project'->'generation_settings' END as generation_settings
+            FROM project_sessions_v6 s
+            JOIN projects_v6 p ON s.project_id = p.id
+            LEFT JOIN project_versions_v6 v ON v.id = p.published_version_id
+            WHERE s.id::text = $1 AND s.session_token = $2
+        `, [String(sessionId), sessionToken]);
+
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Append a follow-up question and its answer. Fails (returns null) when
+     * another follow-up was saved on the session since it was loaded.
+     * @returns {Promise<Array|null>} - Updated transcript
+     */
+    async appendTurn(session, message, reply) {
+        const now = new Date().toISOString();
+        const entries = [
+            { role: 'user', content: message, created_at: now },
+            { role: 'assistant', content: reply, created_at: now }
+        ];
+
+        const result = await pool.query(`
+            UPDATE project_sessions_v6
+            SET transcript = COALESCE(transcript, '[]'::jsonb) || $2::jsonb,
+                completed_at = NOW()
+            WHERE id = $1 AND jsonb_array_length(COALESCE(transcript, '[]'::jsonb)) = $3
+            RETURNING transcript
+        `, [session.id, JSON.stringify(entries), (session.transcript || []).length]);
+
+        return result.rows[0] ? result.rows[0].transcript : null;
+    }
+}
+
+module.exports = new ToolConversationService();
@@ -0,0 +1,319 @@
+const crypto = require('crypto');
+const { Pool } = require('pg');
+const nodemailer = require('nodemailer');
+const projectVersions = require('./projectVersions');
+const toolGeneratorV6 = require('./toolGeneratorV6');
+const toolConversations = require('./toolConversations');
+
+// Database connection
+const pool = new Pool({
+    host: process.env.DB_HOST,
+    port: process.env.DB_PORT,
+    database: process.env.DB_NAME,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    ssl: { rejectUnauthorized: false }
+});
+
+// Email configuration
+const emailTransporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST || 'smtp.gmail.com',
+    port: process.env.SMTP_PORT || 587,
+    secure: false,
+    auth: {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+    }
+});
+
+/**
+ * Tool Draft Service V6
+ * Save-and-resume for deployed tools. A draft is a project_sessions_v6 row
+ * that hasn't completed yet (so analytics count it as abandoned until it
+ * does); its form state lives in draft_state and the visitor gets a resume
+ * token to come back with (?resume=). Finishing the tool completes the same
+ * session. Drafts expire after the project's draft_expiry_days.
+ *
+ * Draft state format:
+ *   { values: { <input name>: value, ... }, current_step, history: [step index, ...], locale, version_number }
+ */
+class ToolDraftService {
+    constructor() {
+        this.defaultExpiryDays = 30;
+        this.maxExpiryDays = 365;
+        this.maxStateBytes = 100 * 1024;
+        this.emailIntervalMinutes = 10;
+        this.emailPattern = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    }
+
+    /**
+     * Add the draft settings and session columns if they don't exist
+     */
+    async ensureDraftColumns() {
+        try {
+            await pool.query(`
+                ALTER TABLE projects_v6
+                ADD COLUMN IF NOT EXISTS draft_expiry_days INTEGER DEFAULT ${this.defaultExpiryDays}
+            `);
+
+            await pool.query(`
+                ALTER TABLE project_sessions_v6
+                ADD COLUMN IF NOT EXISTS resume_token VARCHAR(100),
+                ADD COLUMN IF NOT EXISTS draft_state JSONB,
+                ADD COLUMN IF NOT EXISTS draft_saved_at TIMESTAMP,
+                ADD COLUMN IF NOT EXISTS draft_expires_at TIMESTAMP,
+                ADD COLUMN IF NOT EXISTS draft_emailed_at TIMESTAMP
+            `);
+
+            await pool.query(`
+                CREATE UNIQUE INDEX IF NOT EXISTS idx_project_sessions_v6_resume_token
+                ON project_sessions_v6(resume_token)
+            `);
+
+            console.log('✅ Tool draft columns ensured');
+
+        } catch (error) {
+            console.error('Error ensuring tool draft columns:', error);
+            throw error;
+        }
+    }
+
+    // ========================================
+    // SETTINGS
+    // ========================================
+
+    /**
+     * Validate the draft settings from the project settings form
+     * @param {Object} settings - { draft_expiry_days } (0 turns save-and-resume off), may be omitted
+     * @returns {Object} - { settings, errors }
+     */
+    normalizeSettings({ draft_expiry_days } = {}) {
+        const settings = {};
+        const errors = [];
+
+        if (draft_expiry_days !== undefined && draft_expiry_days !== null && draft_expiry_days !== '') {
+            const days = Number(draft_expiry_days);
+            if (!Number.isInteger(days) || days < 0 || days > this.maxExpiryDays) {
+                errors.push(`draft_expiry_days must be a whole number from 0 to ${this.maxExpiryDays}`);
+            } else {
+                settings.draft_expiry_days = days;
+            }
+        }
+
+        return { settings, errors };
+    }
+
+    /**
+     * Days a draft of a (published) project is kept; 0 when saving is off
+     */
+    getExpiryDays(project) {
+        const days = parseInt(project.draft_expiry_days, 10);
+        if (Number.isNaN(days)) {
+            return this.defaultExpiryDays;
+        }
+        return Math.min(Math.max(days, 0), this.maxExpiryDays);
+    }
+
+    /**
+     * Unguessable token for the resume link
+     */
+    createResumeToken() {
+        return `resume_${crypto.randomBytes(16).toString('hex')}`;
+    }
+
+    /**
+     * Link that reopens a tool with a draft (on the page of the draft's language)
+     */
+    buildResumeUrl(project, resumeToken, locale = null) {
+        const params = new URLSearchParams({ resume: resumeToken });
+        if (locale) {
+            params.set('lang', locale);
+        }
+        return `https://${project.subdomain}.tool.prompt-machine.com/?${params.toString()}`;
+    }
+
+    // ========================================
+    // DRAFTS
+    // ========================================
+
+    /**
+     * Check a draft from a deployed tool against the published project
+     * @returns {Promise<Object>} - { state, project, errors }
+     */
+    async normalizeDraft(project, { values, current_step, history, locale } = {}) {
+        const serving = await projectVersions.getPublishedSnapshot(project.id);
+        if (!serving) {
+            return { state: null, project, errors: ['This tool has not been published'] };
+        }
+
+        const publishedProject = { ...project, ...serving.snapshot.project };
+        const steps = serving.snapshot.steps;
+        const inputNames = new Set(steps.flatMap(step => (step.fields || []).map(field => toolGeneratorV6.sanitizeFieldName(field.name))));
+        const errors = [];
+
+        if (this.getExpiryDays(publishedProject) === 0) {
+            return { state: null, project: publishedProject, errors: ['This tool does not save progress'] };
+        }
+        if (!values || typeof values !== 'object' || Array.isArray(values)) {
+            return { state: null, project: publishedProject, errors: ['values must be an object'] };
+        }
+
+        const unknown = Object.keys(values).filter(name => !inputNames.has(name));
+        if (unknown.length > 0) {
+            errors.push(`Some answers do not belong to this tool: ${unknown.join(', ')}`);
+        }
+
+        const currentStep = Number(current_step);
+        if (!Number.isInteger(currentStep) || currentStep < 0 || currentStep >= steps.length) {
+            errors.push(`current_step must be a step index from 0 to ${steps.length - 1}`);
+        }
+
+        const stepHistory = Array.isArray(history) ? history.map(Number) : [];
+        if (stepHistory.some(index => !Number.isInteger(index) || index < 0 || index >= currentStep)) {
+            errors.push('history must list earlier step indexes');
+        }
+
+        const state = {
+            values,
+            current_step: currentStep,
+            history: stepHistory,
+            locale: typeof locale === 'string' ? locale.slice(0, 10) : null,
+            version_number: serving.version_number
+        };
+        if (Buffer.byteLength(JSON.stringify(state)) > this.maxStateBytes) {
+            errors.push('Saved progress is too large');
+        }
+
+        return { state, project: publishedProject, errors };
+    }
+
+    /**
+     * Find a draft that can still be resumed
+     * @returns {Promise<Object|null>} - Session row
+     */
+    async findDraft(projectId, resumeToken) {
+        if (typeof resumeToken !== 'string' || !resumeToken) {
+            return null;
+        }
+
+        const result = await pool.query(`
+            SELECT id, project_id, resume_token, draft_state, draft_saved_at, draft_expires_at, draft_emailed_at
+            FROM project_sessions_v6
+            WHERE project_id = $1 AND resume_token = $2
+              AND completed_at IS NULL AND draft_state IS NOT NULL
+              AND draft_expires_at > NOW()
+        `, [projectId, resumeToken]);
+
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Save progress: update the visitor's draft, or start a new one when
+     * there is no (unexpired) draft for the token
+     * @param {Object} project - projects_v6 row
+     * @param {Object} state - Normalized draft state
+     * @param {Object} publishedProject - Published project (expiry setting)
+     * @param {string|null} resumeToken - Token of the draft being updated
+     * @returns {Promise<Object>} - { sessionId, resumeToken, expiresAt }
+     */
+    async saveDraft(project, state, publishedProject, resumeToken = null) {
+        const days = this.getExpiryDays(publishedProject);
+        const existing = await this.findDraft(project.id, resumeToken);
+
+        if (existing) {
+            const result = await pool.query(`
+                UPDATE project_sessions_v6
+                SET draft_state = $1,
+                    draft_saved_at = NOW(),
+                    draft_expires_at = NOW() + make_interval(days => $2)
+                WHERE id = $3
+                RETURNING id, resume_token, draft_expires_at
+            `, [JSON.stringify(state), days, existing.id]);
+
+            const row = result.rows[0];
+            return { sessionId: row.id, resumeToken: row.resume_token, expiresAt: row.draft_expires_at };
+        }
+
+        // The session token stays on the server until the session completes
+        const sessionToken = toolConversations.createSessionToken();
+        const result = await pool.query(`
+            INSERT INTO project_sessions_v6 (project_id, session_token, started_at, resume_token, draft_state, draft_saved_at, draft_expires_at)
+            VALUES ($1, $2, NOW(), $3, $4, NOW(), NOW() + make_interval(days => $5))
+            RETURNING id, resume_token, draft_expires_at
+        `, [project.id, sessionToken, this.createResumeToken(), JSON.stringify(state), days]);
+
+        const row = result.rows[0];
+        console.log(`💾 Draft saved for project ${project.id}: ${row.id}`);
+        return { sessionId: row.id, resumeToken: row.resume_token, expiresAt: row.draft_expires_at };
+    }
+
+    /**
+     * Email the resume link, at most once every few minutes per draft
+     * @returns {Promise<Object>} - { sent, error }
+     */
+    async emailResumeLink(project, draft, email) {
+        if (typeof email !== 'string' || !this.emailPattern.test(email.trim()) || email.length > 254) {
+            return { sent: false, error: 'Enter a valid email address' };
+        }
+
+        const claimed = await pool.query(`
+            UPDATE project_sessions_v6
+            SET draft_emailed_at = NOW()
+            WHERE id = $1
+              AND (draft_emailed_at IS NULL OR draft_emailed_at < NOW() - make_interval(mins => $2))
+            RETURNING id
+        `, [draft.id, this.emailIntervalMinutes]);
+
+        if (claimed.rows.length === 0) {
+            return { sent: false, error: `The link was emailed recently; try again in ${this.emailIntervalMinutes} minutes` };
+        }
+
+        const resumeUrl = this.buildResumeUrl(project, draft.resume_token, draft.draft_state.locale);
+        const expires = new Date(draft.draft_expires_at).toDateString();
+        const name = String(project.name || 'your tool').replace(/[<>&"]/g, '');
+
+        try {
+            await emailTransporter.sendMail({
+                from: process.env.SMTP_FROM || 'noreply@prompt-machine.ca',
+                to: email.trim(),
+                subject: `Continue ${name}`,
+                html: `
+                    <h2>Your progress on ${name} is saved</h2>
+                    <p>Pick up where you left off with the link below:</p>
+                    <a href="${resumeUrl}" style="display: inline-block; padding: 12px 24px; background-color: #4F46E5; color: white; text-decoration: none; border-radius: 6px;">
+                        Continue
+                    </a>
+                    <p>Or copy this link: ${resumeUrl}</p>
+                    <p>Your saved answers are kept until ${expires}.</p>
+                `
+            });
+        } catch (error) {
+            // Give the claim back so the visitor can try again straight away
+            await pool.query('UPDATE project_sessions_v6 SET draft_emailed_at = $2 WHERE id = $1', [draft.id, draft.draft_emailed_at]);
+            throw error;
+        }
+
+        console.log(`📧 Resume link emailed for draft ${draft.id}`);
+        return { sent: true, error: null };
+    }
+
+    /**
+     * Clear the saved state of expired drafts. The sessions stay (as
+     * abandoned) for analytics.
+     * @returns {Promise<number>} - Drafts cleared
+     */
+    async clearExpiredDrafts() {
+        const result = await pool.query(`
+            UPDATE project_sessions_v6
+            SET draft_state = NULL, resume_token = NULL
+            WHERE completed_at IS NULL AND draft_state IS NOT NULL AND draft_expires_at <= NOW()
+        `);
+
+        if (result.rowCount > 0) {
+            console.log(`🧹 Cleared ${result.rowCount} expired tool drafts`);
+        }
+        return result.rowCount;
+    }
+}
+
+module.exports = new ToolDraftService();
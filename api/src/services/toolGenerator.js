@@ -41,7 +41,7 @@ class ToolGenerator {
         const css = this.generateCSS();
         
         // Generate JavaScript functionality
-        const js = this.generateJavaScript(project, fields, systemPrompt);
+        const js = this.generateJavaScript(project, fields);
 
         return {
             html,
@@ -1003,10 +1003,9 @@ ${statusCheckScript}
     /**
      * Generate JavaScript functionality
      * @param {Array} fields - Form field definitions
-     * @param {string} systemPrompt - AI system prompt
      * @returns {string} - JavaScript content
      */
-    generateJavaScript(project, fields, systemPrompt) {
+    generateJavaScript(project, fields) {
         const fieldNames = fields.length > 0 
             ? fields.map(f => `'${this.sanitizeFieldName(f.name)}'`).join(', ')
             : "'input'";
@@ -1056,7 +1055,6 @@ document.addEventListener('DOMContentLoaded', function() {
                 },
                 body: JSON.stringify({
                     tool_slug: '${project.subdomain || project.id}',
-                    system_prompt: \`${systemPrompt.replace(/`/g, '\\`')}\`,
                     inputs: inputs
                 })
             });
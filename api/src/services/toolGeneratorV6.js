@@ -1,6 +1,8 @@
 const fs = require('fs').promises;
 const path = require('path');
 const { Pool } = require('pg');
+const fieldTypes = require('./fieldTypes');
+const projectLocales = require('./projectLocales');
 
 // Database configuration
 const pool = new Pool({
@@ -22,13 +24,15 @@ class ToolGeneratorV6 {
     }
 
     /**
-     * Deploy a v6 project as a public tool
-     * @param {Object} project - Project with steps data
+     * Deploy a published v6 project version as a public tool
+     * @param {Object} version - Version row from project_versions_v6 with its snapshot
      * @returns {Object} - Deployment result
      */
-    async deployProject(project) {
+    async deployProject(version) {
         try {
-            console.log(`🛠️ Generating v6 tool for: ${project.name}`);
+            const project = this.projectFromSnapshot(version);
+
+            console.log(`🛠️ Generating v6 tool for: ${project.name} (v${project.version_number})`);
 
             // Use project's clean subdomain
             const slug = project.subdomain;
@@ -47,7 +51,8 @@ class ToolGeneratorV6 {
                 success: true,
                 url: deploymentUrl,
                 path: toolPath,
-                slug: slug
+                slug: slug,
+                version_number: project.version_number
             };
             
         } catch (error) {
@@ -56,6 +61,33 @@ class ToolGeneratorV6 {
         }
     }
 
+    /**
+     * Turn a version snapshot into the project shape the generators expect.
+     * Tools are never built from live rows, so a snapshot is required.
+     * @param {Object} version - Version row with snapshot
+     * @returns {Object} - Project with steps, fields and choices
+     */
+    projectFromSnapshot(version) {
+        if (!version || !version.snapshot || !version.snapshot.project) {
+            throw new Error('A published project version is required to deploy a tool');
+        }
+
+        const { project, steps } = version.snapshot;
+
+        return {
+            ...project,
+            version_number: version.version_number,
+            steps: (steps || []).map(step => ({
+                ...step,
+                fields: (step.fields || []).map(field => ({
+                    ...field,
+                    type: field.field_type,
+                    required: field.is_required
+                }))
+            }))
+        };
+    }
+
     /**
      * Remove deployed project files
      * @param {Object} project - Project details
@@ -91,33 +123,114 @@ class ToolGeneratorV6 {
     }
 
     /**
-     * Generate complete multi-step tool HTML, CSS, JS
+     * Generate complete multi-step tool HTML, CSS, JS. The default language
+     * is index.html/app.js; every other language gets its own page.
      * @param {Object} project - Project with steps
-     * @returns {Promise<Object>} - Generated content
+     * @returns {Promise<Object>} - Generated content { html, css, js, pages: [{ htmlFile, jsFile, html, js }] }
      */
     async generateMultiStepTool(project) {
-        const html = await this.generateHTML(project);
         const css = this.generateCSS();
-        const js = this.generateJavaScript(project);
-        
-        return { html, css, js };
+        const pages = [];
+
+        for (const locale of projectLocales.getLocales(project).locales) {
+            const localized = projectLocales.localizeProject(project, locale);
+            pages.push({
+                ...this.getLocalePage(project, locale),
+                html: await this.generateHTML(localized),
+                js: this.generateJavaScript(localized)
+            });
+        }
+
+        const [main, ...translated] = pages;
+        return { html: main.html, css, js: main.js, pages: translated };
+    }
+
+    /**
+     * File names of a language's page
+     * @returns {Object} - { locale, htmlFile, jsFile }
+     */
+    getLocalePage(project, locale) {
+        return locale === projectLocales.getLocales(project).defaultLocale
+            ? { locale, htmlFile: 'index.html', jsFile: 'app.js' }
+            : { locale, htmlFile: `index.${locale}.html`, jsFile: `app.${locale}.js` };
+    }
+
+    /**
+     * Alternate links, locale detection and the language switcher of a
+     * multi-language tool (empty strings for single-language tools).
+     * Without an explicit ?lang= or earlier choice, the default page sends
+     * visitors to the first of their browser languages the tool has.
+     * @returns {Object} - { head, switcher }
+     */
+    generateLocaleHTML(project) {
+        const { defaultLocale, locales } = projectLocales.getLocales(project);
+        if (locales.length < 2) {
+            return { head: '', switcher: '' };
+        }
+
+        const current = project.locale || defaultLocale;
+        const base = `https://${project.subdomain}.tool.prompt-machine.com/`;
+        const pages = Object.fromEntries(locales.map(locale => [locale, this.getLocalePage(project, locale).htmlFile]));
+
+        const head = `${locales.map(locale => `<link rel="alternate" hreflang="${locale}" href="${base}${pages[locale] === 'index.html' ? '' : pages[locale]}">`).join('\n    ')}
+    <script>
+    (function() {
+        var pages = ${JSON.stringify(pages)};
+        var current = '${current}';
+        var params = new URLSearchParams(window.location.search);
+        var requested = (params.get('lang') || '').toLowerCase().split('-')[0];
+        var wanted = pages[requested] ? requested : null;
+
+        if (wanted) {
+            try { localStorage.setItem('toolLocale', wanted); } catch (e) {}
+        } else if (current === '${defaultLocale}') {
+            try { wanted = localStorage.getItem('toolLocale'); } catch (e) {}
+            if (!pages[wanted]) {
+                wanted = (navigator.languages || [navigator.language || ''])
+                    .map(function(language) { return String(language).toLowerCase().split('-')[0]; })
+                    .filter(function(language) { return pages[language]; })[0];
+            }
+        }
+
+        if (wanted && wanted !== current) {
+            window.location.replace(pages[wanted] + window.location.search + window.location.hash);
+        }
+    })();
+
+    function switchToolLanguage(locale) {
+        var pages = ${JSON.stringify(pages)};
+        try { localStorage.setItem('toolLocale', locale); } catch (e) {}
+        window.location.href = pages[locale] + '?lang=' + locale;
+    }
+    </script>`;
+
+        const switcher = `<label class="flex items-center text-sm text-gray-600">
+                    <i class="fas fa-globe mr-2"></i>
+                    <select id="languageSwitcher" onchange="switchToolLanguage(this.value)" class="border border-gray-300 rounded px-2 py-1 text-sm">
+                        ${locales.map(locale => `<option value="${locale}" ${locale === current ? 'selected' : ''}>${projectLocales.languages[locale]}</option>`).join('')}
+                    </select>
+                </label>`;
+
+        return { head, switcher };
     }
 
     /**
      * Generate HTML for multi-step tool
-     * @param {Object} project - Project with steps data
+     * @param {Object} project - Project with steps data, localized by projectLocales.localizeProject
      * @returns {Promise<string>} - Complete HTML document
      */
     async generateHTML(project) {
         const slug = project.subdomain;
         const stepsHTML = this.generateStepsHTML(project.steps);
+        const locale = project.locale || projectLocales.getLocales(project).defaultLocale;
+        const localeHTML = this.generateLocaleHTML(project);
         
         // Get advertising codes
         const headAdCode = await this.generateMonetizationCode(project, 'head');
         const bodyAdCode = await this.generateMonetizationCode(project, 'body');
         
         return `<!DOCTYPE html>
-<html lang="en">
+<html lang="${locale}">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
@@ -147,6 +260,7 @@ class ToolGeneratorV6 {
     <link href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.0.0/css/all.min.css" rel="stylesheet">
     
     <link rel="stylesheet" href="style.css">
+    ${localeHTML.head}
     
     <!-- Structured Data -->
     <script type="application/ld+json">
@@ -184,8 +298,11 @@ class ToolGeneratorV6 {
                     <h1 class="text-3xl font-bold text-gray-900">${project.name}</h1>
                     <p class="text-gray-600 mt-1">Multi-Step AI Tool • Powered by Advanced AI</p>
                 </div>
-                <div class="text-sm text-gray-500">
-                    ${project.access_level === 'public' ? 'Free • No Registration Required' : 'Requires User Account'}
+                <div class="flex items-center space-x-4">
+                    <div class="text-sm text-gray-500">
+                        ${project.access_level === 'public' ? 'Free • No Registration Required' : 'Requires User Account'}
+                    </div>
+                    ${localeHTML.switcher}
                 </div>
             </div>
         </div>
@@ -293,6 +410,7 @@ class ToolGeneratorV6 {
                     Generate with AI
                 </button>
             </div>
+            ${this.generateDraftHTML(project)}
 
             <!-- Loading State -->
             <div id="loadingSection" class="bg-white rounded-lg shadow-lg p-8 mt-6 hidden">
@@ -300,6 +418,10 @@ class ToolGeneratorV6 {
                     <div class="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto mb-4"></div>
                     <h3 class="text-xl font-semibold text-gray-800 mb-2">AI is Working...</h3>
                     <p class="text-gray-600">Processing your information and generating results</p>
+                    <p id="loadingStage" class="text-sm text-blue-600 mt-2 hidden"></p>
+                    <button type="button" id="cancelGenerationBtn" class="mt-4 text-sm text-gray-500 hover:text-red-600 underline">
+                        Cancel
+                    </button>
                 </div>
             </div>
 
@@ -308,6 +430,10 @@ class ToolGeneratorV6 {
                 <h3 class="text-2xl font-bold text-gray-800 mb-4 flex items-center">
                     <i class="fas fa-sparkles text-yellow-500 mr-3"></i>
                     AI Generated Results
+                    <button type="button" id="stopGenerationBtn" class="hidden ml-auto text-sm font-normal bg-red-50 text-red-600 border border-red-200 px-3 py-1 rounded hover:bg-red-100">
+                        <i class="fas fa-stop mr-1"></i>
+                        Stop
+                    </button>
                 </h3>
                 <div id="aiResults" class="prose prose-lg max-w-none">
                     <!-- AI results will be displayed here -->
@@ -322,6 +448,7 @@ class ToolGeneratorV6 {
                         Start Over
                     </button>
                 </div>
+                ${this.generateFollowUpHTML(project)}
             </div>
 
             <!-- Footer Info -->
@@ -364,7 +491,7 @@ class ToolGeneratorV6 {
         </div>
     </footer>
 
-    <script src="app.js"></script>
+    <script src="${this.getLocalePage(project, locale).jsFile}"></script>
     
     ${bodyAdCode}
 </body>
@@ -381,10 +508,10 @@ class ToolGeneratorV6 {
             const fieldsHTML = this.generateStepFieldsHTML(step.fields || []);
             
             return `
-                <div class="step" id="step-${index}" ${index === 0 ? '' : 'style="display: none;"'}>
+                <div class="step" id="step-${index}" data-step-id="${step.id}" ${index === 0 ? '' : 'style="display: none;"'}>
                     <div class="p-8">
                         <div class="text-center mb-8">
-                            <div class="bg-blue-100 text-blue-800 rounded-full w-12 h-12 flex items-center justify-center text-xl font-bold mx-auto mb-4">
+                            <div class="step-number bg-blue-100 text-blue-800 rounded-full w-12 h-12 flex items-center justify-center text-xl font-bold mx-auto mb-4">
                                 ${index + 1}
                             </div>
                             <h2 class="text-2xl font-bold text-gray-800 mb-2">${step.name}</h2>
@@ -409,11 +536,17 @@ class ToolGeneratorV6 {
         return fields.map(field => {
             const fieldId = this.sanitizeFieldName(field.name);
             const required = field.required ? 'required' : '';
+            const rules = field.validation_rules || {};
+            const constraints = this.generateConstraintAttributes(rules);
+            const config = fieldTypes.getConfig(field);
+            const groupAttrs = `data-field-id="${field.id}" data-field-name="${fieldId}" data-field-type="${field.type}"` +
+                (field.required ? ' data-required="true"' : '') +
+                (rules.maxSelections !== undefined ? ` data-max-selections="${rules.maxSelections}"` : '');
             
             switch (field.type) {
                 case 'text':
                     return `
-                        <div class="field-group">
+                        <div class="field-group" ${groupAttrs}>
                             <label for="${fieldId}" class="block text-sm font-medium text-gray-700 mb-2">
                                 ${field.label || field.name}
                                 ${field.required ? '<span class="text-red-500">*</span>' : ''}
@@ -423,14 +556,14 @@ class ToolGeneratorV6 {
                                    name="${fieldId}" 
                                    placeholder="${field.placeholder || ''}" 
                                    class="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                                   ${required}>
+                                   ${required} ${constraints}>
                             ${field.description ? `<p class="text-sm text-gray-500 mt-1">${field.description}</p>` : ''}
                         </div>
                     `;
                 
                 case 'textarea':
                     return `
-                        <div class="field-group">
+                        <div class="field-group" ${groupAttrs}>
                             <label for="${fieldId}" class="block text-sm font-medium text-gray-700 mb-2">
                                 ${field.label || field.name}
                                 ${field.required ? '<span class="text-red-500">*</span>' : ''}
@@ -440,7 +573,7 @@ class ToolGeneratorV6 {
                                       rows="4" 
                                       placeholder="${field.placeholder || ''}"
                                       class="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                                      ${required}></textarea>
+                                      ${required} ${constraints}></textarea>
                             ${field.description ? `<p class="text-sm text-gray-500 mt-1">${field.description}</p>` : ''}
                         </div>
                     `;
@@ -451,7 +584,7 @@ class ToolGeneratorV6 {
                     ).join('');
                     
                     return `
-                        <div class="field-group">
+                        <div class="field-group" ${groupAttrs}>
                             <label for="${fieldId}" class="block text-sm font-medium text-gray-700 mb-2">
                                 ${field.label || field.name}
                                 ${field.required ? '<span class="text-red-500">*</span>' : ''}
@@ -481,7 +614,7 @@ class ToolGeneratorV6 {
                     `).join('');
                     
                     return `
-                        <div class="field-group">
+                        <div class="field-group" ${groupAttrs}>
                             <label class="block text-sm font-medium text-gray-700 mb-3">
                                 ${field.label || field.name}
                                 ${field.required ? '<span class="text-red-500">*</span>' : ''}
@@ -506,7 +639,7 @@ class ToolGeneratorV6 {
                     `).join('');
                     
                     return `
-                        <div class="field-group">
+                        <div class="field-group" ${groupAttrs}>
                             <label class="block text-sm font-medium text-gray-700 mb-3">
                                 ${field.label || field.name}
                                 ${field.required ? '<span class="text-red-500">*</span>' : ''}
@@ -518,9 +651,165 @@ class ToolGeneratorV6 {
                         </div>
                     `;
                 
+                case 'number':
+                    return `
+                        <div class="field-group" ${groupAttrs}>
+                            <label for="${fieldId}" class="block text-sm font-medium text-gray-700 mb-2">
+                                ${field.label || field.name}
+                                ${field.required ? '<span class="text-red-500">*</span>' : ''}
+                            </label>
+                            <div class="flex items-center space-x-3">
+                                <input type="number" 
+                                       id="${fieldId}" 
+                                       name="${fieldId}" 
+                                       step="${config.step || 'any'}"
+                                       placeholder="${field.placeholder || ''}" 
+                                       class="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                                       ${required} ${constraints}>
+                                ${config.unit ? `<span class="text-sm text-gray-600 whitespace-nowrap">${config.unit}</span>` : ''}
+                            </div>
+                            ${field.description ? `<p class="text-sm text-gray-500 mt-1">${field.description}</p>` : ''}
+                        </div>
+                    `;
+                
+                case 'slider':
+                    return `
+                        <div class="field-group" ${groupAttrs}>
+                            <label for="${fieldId}" class="block text-sm font-medium text-gray-700 mb-2">
+                                ${field.label || field.name}
+                                ${field.required ? '<span class="text-red-500">*</span>' : ''}
+                            </label>
+                            <div class="flex items-center space-x-4">
+                                <input type="range" 
+                                       id="${fieldId}" 
+                                       name="${fieldId}" 
+                                       min="${config.min}" 
+                                       max="${config.max}" 
+                                       step="${config.step}" 
+                                       value="${config.min}"
+                                       data-unit="${this.escapeAttribute(config.unit || '')}"
+                                       class="flex-1 accent-blue-600"
+                                       ${required}>
+                                <output for="${fieldId}" class="w-24 text-right text-sm font-medium text-gray-700">${config.min}${config.unit ? ` ${config.unit}` : ''}</output>
+                            </div>
+                            <div class="flex justify-between text-xs text-gray-500 mt-1">
+                                <span>${config.min}</span>
+                                <span>${config.max}</span>
+                            </div>
+                            ${field.description ? `<p class="text-sm text-gray-500 mt-1">${field.description}</p>` : ''}
+                        </div>
+                    `;
+                
+                case 'date':
+                    return `
+                        <div class="field-group" ${groupAttrs}>
+                            <label for="${fieldId}" class="block text-sm font-medium text-gray-700 mb-2">
+                                ${field.label || field.name}
+                                ${field.required ? '<span class="text-red-500">*</span>' : ''}
+                            </label>
+                            <input type="date" 
+                                   id="${fieldId}" 
+                                   name="${fieldId}" 
+                                   ${config.minDate ? `min="${config.minDate}"` : ''} 
+                                   ${config.maxDate ? `max="${config.maxDate}"` : ''}
+                                   class="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                                   ${required}>
+                            ${field.description ? `<p class="text-sm text-gray-500 mt-1">${field.description}</p>` : ''}
+                        </div>
+                    `;
+                
+                case 'rating':
+                    const stars = Array.from({ length: config.max }, (_, idx) => `
+                        <label class="rating-star cursor-pointer text-3xl text-gray-300" title="${idx + 1} of ${config.max}">
+                            <input type="radio" 
+                                   name="${fieldId}" 
+                                   value="${idx + 1}"
+                                   class="sr-only"
+                                   ${required && idx === 0 ? required : ''}>
+                            &#9733;
+                        </label>
+                    `).join('');
+                    
+                    return `
+                        <div class="field-group" ${groupAttrs}>
+                            <label class="block text-sm font-medium text-gray-700 mb-2">
+                                ${field.label || field.name}
+                                ${field.required ? '<span class="text-red-500">*</span>' : ''}
+                            </label>
+                            <div class="rating-stars flex space-x-1" role="radiogroup">
+                                ${stars}
+                            </div>
+                            ${field.description ? `<p class="text-sm text-gray-500 mt-2">${field.description}</p>` : ''}
+                        </div>
+                    `;
+                
+                case 'likert':
+                    const scaleHeaders = config.scale.map(point =>
+                        `<th class="px-2 py-2 text-center text-xs font-medium text-gray-600">${point}</th>`
+                    ).join('');
+                    const likertRows = config.rows.map((row, rowIdx) => `
+                        <tr class="border-t border-gray-200" data-likert-row="${this.escapeAttribute(row)}">
+                            <td class="py-3 pr-4 text-sm text-gray-700">${row}</td>
+                            ${config.scale.map(point => `
+                                <td class="px-2 py-3 text-center">
+                                    <input type="radio" 
+                                           name="${fieldId}__${rowIdx}" 
+                                           value="${this.escapeAttribute(point)}"
+                                           aria-label="${this.escapeAttribute(`${row}: ${point}`)}"
+                                           class="text-blue-600 focus:ring-blue-500">
+                                </td>
+                            `).join('')}
+                        </tr>
+                    `).join('');
+                    
+                    return `
+                        <div class="field-group" ${groupAttrs}>
+                            <label class="block text-sm font-medium text-gray-700 mb-3">
+                                ${field.label || field.name}
+                                ${field.required ? '<span class="text-red-500">*</span>' : ''}
+                            </label>
+                            <div class="overflow-x-auto">
+                                <table class="likert-table w-full">
+                                    <thead>
+                                        <tr>
+                                            <th></th>
+                                            ${scaleHeaders}
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        ${likertRows}
+                                    </tbody>
+                                </table>
+                            </div>
+                            ${field.description ? `<p class="text-sm text-gray-500 mt-2">${field.description}</p>` : ''}
+                        </div>
+                    `;
+                
+                case 'repeater':
+                    const repeaterItem = this.generateRepeaterItemHTML(fieldId, config.subfields);
+                    
+                    return `
+                        <div class="field-group" ${groupAttrs} data-min-items="${config.minItems}">
+                            <label class="block text-sm font-medium text-gray-700 mb-3">
+                                ${field.label || field.name}
+                                ${field.required ? '<span class="text-red-500">*</span>' : ''}
+                            </label>
+                            <div class="repeater" data-max-items="${config.maxItems}">
+                                <div class="repeater-items space-y-3">
+                                    ${repeaterItem.repeat(Math.max(1, config.minItems))}
+                                </div>
+                                <template class="repeater-template">${repeaterItem}</template>
+                                <button type="button" class="repeater-add mt-3 text-sm font-medium text-blue-600 hover:text-blue-800 disabled:text-gray-400">
+                                    + ${config.addLabel || 'Add another'}
+                                </button>
+                            </div>
+                            ${field.description ? `<p class="text-sm text-gray-500 mt-2">${field.description}</p>` : ''}
+                        </div>
+                    `;
+                
                 default:
                     return `
-                        <div class="field-group">
+                        <div class="field-group" ${groupAttrs}>
                             <label for="${fieldId}" class="block text-sm font-medium text-gray-700 mb-2">
                                 ${field.label || field.name}
                                 ${field.required ? '<span class="text-red-500">*</span>' : ''}
@@ -529,13 +818,73 @@ class ToolGeneratorV6 {
                                    id="${fieldId}" 
                                    name="${fieldId}" 
                                    class="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                                   ${required}>
+                                   ${required} ${constraints}>
                         </div>
                     `;
             }
         }).join('');
     }
 
+    /**
+     * Generate one entry of a repeating group. Subfield inputs are named
+     * <field>__<subfield> so they never collide with top-level fields.
+     */
+    generateRepeaterItemHTML(fieldId, subfields) {
+        const inputs = subfields.map(subfield => {
+            const inputName = `${fieldId}__${subfield.name}`;
+            const control = subfield.type === 'textarea'
+                ? `<textarea name="${inputName}" data-subfield="${subfield.name}" rows="2" class="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"></textarea>`
+                : `<input type="${subfield.type}" name="${inputName}" data-subfield="${subfield.name}" ${subfield.type === 'number' ? 'step="any"' : ''} class="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent">`;
+
+            return `
+                <div>
+                    <label class="block text-xs font-medium text-gray-600 mb-1">${subfield.label}</label>
+                    ${control}
+                </div>
+            `;
+        }).join('');
+
+        return `
+            <div class="repeater-item border border-gray-200 rounded-lg p-4">
+                <div class="grid grid-cols-1 md:grid-cols-${Math.min(subfields.length, 3)} gap-3">
+                    ${inputs}
+                </div>
+                <button type="button" class="repeater-remove mt-2 text-xs text-red-600 hover:text-red-800">Remove</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Escape a value for use inside a double-quoted HTML attribute
+     */
+    escapeAttribute(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/"/g, '&quot;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
+    /**
+     * Turn a field's validation rules into input attributes. Length and
+     * pattern use the native attributes; the numeric range goes into data
+     * attributes because most fields render as text inputs.
+     * @param {Object} rules - project_fields_v6.validation_rules
+     * @returns {string} - Attribute string
+     */
+    generateConstraintAttributes(rules) {
+        const attributes = [];
+
+        if (rules.minLength !== undefined) attributes.push(`minlength="${rules.minLength}"`);
+        if (rules.maxLength !== undefined) attributes.push(`maxlength="${rules.maxLength}"`);
+        if (rules.pattern) attributes.push(`pattern="${this.escapeAttribute(rules.pattern)}"`);
+        if (rules.patternMessage) attributes.push(`data-pattern-message="${this.escapeAttribute(rules.patternMessage)}"`);
+        if (rules.min !== undefined) attributes.push(`data-min="${rules.min}"`);
+        if (rules.max !== undefined) attributes.push(`data-max="${rules.max}"`);
+
+        return attributes.join(' ');
+    }
+
     /**
      * Generate CSS styles
      * @returns {string} - CSS content
@@ -609,6 +958,115 @@ input[type="checkbox"]:checked {
 }`;
     }
 
+    /**
+     * Generate the follow-up chat panel shown under the results
+     * @param {Object} project - Project with follow-up settings
+     * @returns {string} - Panel HTML, empty when follow-ups are disabled
+     */
+    generateFollowUpHTML(project) {
+        if (!project.followup_enabled) {
+            return '';
+        }
+
+        return `<div id="followUpSection" class="mt-8 border-t border-gray-200 pt-6 hidden">
+                    <h4 class="text-lg font-semibold text-gray-800 mb-1 flex items-center">
+                        <i class="fas fa-comments text-blue-500 mr-2"></i>
+                        Ask a Follow-up
+                    </h4>
+                    <p class="text-sm text-gray-500 mb-4">Refine the result, e.g. "make it shorter" or "give me three more". <span id="followUpRemaining"></span></p>
+                    <div id="followUpMessages" class="space-y-4 mb-4" aria-live="polite"></div>
+                    <form id="followUpForm" class="flex space-x-2">
+                        <input type="text" id="followUpInput" maxlength="2000" autocomplete="off"
+                               class="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                               placeholder="Type your follow-up...">
+                        <button type="submit" id="followUpSend" class="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50">
+                            <i class="fas fa-paper-plane mr-1"></i>
+                            Send
+                        </button>
+                    </form>
+                    <p id="followUpError" class="text-sm text-red-600 mt-2 hidden"></p>
+                </div>`;
+    }
+
+    /**
+     * Generate the save-and-resume controls: a "finish later" button and the
+     * panel with the resume link (multi-step tools with drafts turned on)
+     * @param {Object} project - Project with steps
+     * @returns {string} - Draft HTML
+     */
+    generateDraftHTML(project) {
+        if (!this.isDraftEnabled(project)) {
+            return '';
+        }
+
+        return `<div id="draftNotice" class="mt-4 p-3 bg-blue-50 text-blue-800 text-sm rounded-lg border border-blue-200 hidden"></div>
+            <div class="text-center mt-4">
+                <button type="button" id="saveDraftBtn" class="text-sm text-blue-600 hover:text-blue-800 underline">
+                    <i class="fas fa-bookmark mr-1"></i>
+                    Save and finish later
+                </button>
+            </div>
+            <div id="draftPanel" class="bg-white rounded-lg shadow-lg border border-blue-200 p-6 mt-4 hidden">
+                <h4 class="text-lg font-semibold text-gray-800 mb-1 flex items-center">
+                    <i class="fas fa-bookmark text-blue-500 mr-2"></i>
+                    Your progress is saved
+                </h4>
+                <p class="text-sm text-gray-500 mb-4">Bookmark this link or have it emailed to you to pick up where you left off. <span id="draftExpires"></span></p>
+                <div class="flex space-x-2 mb-3">
+                    <input type="text" id="draftLink" readonly class="flex-1 px-4 py-2 border border-gray-300 rounded-lg bg-gray-50 text-sm">
+                    <button type="button" id="copyDraftLinkBtn" class="bg-gray-600 text-white px-4 py-2 rounded-lg hover:bg-gray-700">
+                        <i class="fas fa-copy mr-1"></i>
+                        Copy
+                    </button>
+                </div>
+                <form id="draftEmailForm" class="flex space-x-2">
+                    <input type="email" id="draftEmail" required autocomplete="email"
+                           class="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                           placeholder="you@example.com">
+                    <button type="submit" id="draftEmailBtn" class="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50">
+                        <i class="fas fa-envelope mr-1"></i>
+                        Email me the link
+                    </button>
+                </form>
+                <p id="draftMessage" class="text-sm mt-2 hidden"></p>
+            </div>`;
+    }
+
+    /**
+     * Save-and-resume is offered on multi-step tools unless the expiry is 0
+     */
+    isDraftEnabled(project) {
+        return project.steps.length > 1 && parseInt(project.draft_expiry_days, 10) !== 0;
+    }
+
+    /**
+     * Build the conditional logic map embedded in the generated tool.
+     * Fields are listed in project order so rules can be resolved in one pass.
+     * @param {Array} steps - Project steps with fields
+     * @returns {Object} - Field names and visibility rules, step branch rules
+     */
+    buildLogicConfig(steps) {
+        const fields = {};
+
+        steps.forEach((step, stepIndex) => {
+            (step.fields || []).forEach(field => {
+                fields[field.id] = {
+                    name: this.sanitizeFieldName(field.name),
+                    step: stepIndex,
+                    rule: field.visibility_rules || null
+                };
+            });
+        });
+
+        return {
+            fields,
+            steps: steps.map(step => ({
+                id: step.id,
+                branches: step.branch_rules || []
+            }))
+        };
+    }
+
     /**
      * Generate JavaScript functionality
      * @param {Object} project - Project with steps
@@ -780,20 +1238,54 @@ class MultiStepTool {
         this.currentStep = 0;
         this.totalSteps = ${project.steps.length};
         this.projectId = '${project.id}';
-        this.projectName = '${project.name}';
-        this.systemPrompt = \`${project.system_prompt ? project.system_prompt : `You are ${project.ai_role || 'an AI assistant'}. ${project.ai_persona_description || ''}`}\`.replace(/\\n/g, ' ');
+        this.projectName = ${JSON.stringify(project.name)};
+        this.locale = '${project.locale || projectLocales.getLocales(project).defaultLocale}';
         this.sessionId = this.generateSessionId();
-        
+
+        // Conditional logic: field visibility and step branching
+        this.logic = ${JSON.stringify(this.buildLogicConfig(project.steps))};
+        this.history = [];
+        this.answers = {};
+        this.activeFieldNames = new Set();
+
+        // Follow-up chat on the result (session credentials come from the generate response)
+        this.followUp = ${JSON.stringify({
+            enabled: project.followup_enabled === true,
+            maxTurns: project.followup_max_turns || 5
+        })};
+        this.conversation = null;
+        this.activeRequest = null;
+
+        // Output schema: structured results are rendered as cards, a table or a list
+        this.outputSchema = ${JSON.stringify(project.output_schema && (project.output_schema.fields || []).length > 0 ? project.output_schema : null)};
+
+        // Save-and-resume: progress is kept on the server against a resume token
+        this.drafts = ${JSON.stringify({ enabled: this.isDraftEnabled(project) })};
+        this.resumeToken = null;
+
+        // A/B experiments: the server assigns this visitor a variant
+        this.subdomain = ${JSON.stringify(project.subdomain || '')};
+        this.visitorId = this.getVisitorId();
+        this.experiment = null;
+
         this.init();
     }
-    
+
     init() {
         this.setupEventListeners();
+        this.updateWidgets();
+        this.applyVisibility();
         this.updateProgress();
         this.updateButtons();
         
-        // Track tool view
-        this.trackEvent('view', { initialLoad: true });
+        // A variant may reorder steps and fields, so apply it before restoring progress
+        this.loadExperiment().then(() => {
+            // Pick up saved progress from a resume link or an earlier visit
+            this.restoreDraft();
+            
+            // Track tool view
+            this.trackEvent('view', { initialLoad: true });
+        });
     }
     
     setupEventListeners() {
@@ -813,82 +1305,295 @@ class MultiStepTool {
         if (submitBtn) {
             submitBtn.addEventListener('click', () => this.generateAIResponse());
         }
+
+        ['cancelGenerationBtn', 'stopGenerationBtn'].forEach(id => {
+            document.getElementById(id)?.addEventListener('click', () => this.cancelGeneration());
+        });
+
+        document.getElementById('saveDraftBtn')?.addEventListener('click', () => this.saveDraft(true));
+        document.getElementById('copyDraftLinkBtn')?.addEventListener('click', () => this.copyResumeLink());
+        document.getElementById('draftEmailForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.emailResumeLink();
+        });
+
+        const followUpForm = document.getElementById('followUpForm');
+        if (followUpForm) {
+            followUpForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.sendFollowUp();
+            });
+        }
         
         // Prevent form submission
         if (form) {
             form.addEventListener('submit', (e) => e.preventDefault());
+
+            // Re-evaluate conditional logic whenever an answer changes
+            ['input', 'change'].forEach(eventName => {
+                form.addEventListener(eventName, () => {
+                    this.updateWidgets();
+                    this.applyVisibility();
+                    this.updateButtons();
+                });
+            });
+
+            form.addEventListener('click', (e) => this.handleRepeaterClick(e));
         }
     }
-    
+
+    updateWidgets() {
+        document.querySelectorAll('input[type="range"]').forEach(slider => {
+            const output = document.querySelector('output[for="' + slider.id + '"]');
+            if (output) {
+                output.textContent = slider.value + (slider.dataset.unit ? ' ' + slider.dataset.unit : '');
+            }
+        });
+
+        document.querySelectorAll('.rating-stars').forEach(stars => {
+            const checked = stars.querySelector('input:checked');
+            const rating = checked ? parseInt(checked.value) : 0;
+            stars.querySelectorAll('.rating-star').forEach((star, index) => {
+                star.classList.toggle('text-yellow-400', index < rating);
+                star.classList.toggle('text-gray-300', index >= rating);
+            });
+        });
+
+        document.querySelectorAll('.repeater').forEach(repeater => {
+            const addButton = repeater.querySelector('.repeater-add');
+            const count = repeater.querySelectorAll('.repeater-items .repeater-item').length;
+            if (addButton) {
+                addButton.disabled = count >= parseInt(repeater.dataset.maxItems);
+            }
+        });
+    }
+
+    handleRepeaterClick(e) {
+        const addButton = e.target.closest('.repeater-add');
+        const removeButton = e.target.closest('.repeater-remove');
+
+        if (addButton) {
+            const repeater = addButton.closest('.repeater');
+            const items = repeater.querySelector('.repeater-items');
+            if (items.children.length < parseInt(repeater.dataset.maxItems)) {
+                items.appendChild(repeater.querySelector('.repeater-template').content.cloneNode(true));
+            }
+        } else if (removeButton) {
+            const item = removeButton.closest('.repeater-item');
+            if (item.parentElement.children.length > 1) {
+                item.remove();
+            } else {
+                item.querySelectorAll('[data-subfield]').forEach(input => { input.value = ''; });
+            }
+        } else {
+            return;
+        }
+
+        this.updateWidgets();
+        this.applyVisibility();
+        this.updateButtons();
+    }
+
     nextStep() {
         if (!this.validateCurrentStep()) {
             return;
         }
-        
-        if (this.currentStep < this.totalSteps - 1) {
+
+        const nextIndex = this.getNextStepIndex();
+
+        if (nextIndex < this.totalSteps) {
             this.hideStep(this.currentStep);
-            this.currentStep++;
+            this.history.push(this.currentStep);
+            this.currentStep = nextIndex;
             this.showStep(this.currentStep);
+            this.applyVisibility();
             this.updateProgress();
             this.updateButtons();
+            this.saveDraft();
         }
     }
-    
+
     prevStep() {
-        if (this.currentStep > 0) {
+        if (this.history.length > 0) {
             this.hideStep(this.currentStep);
-            this.currentStep--;
+            this.currentStep = this.history.pop();
             this.showStep(this.currentStep);
+            this.applyVisibility();
             this.updateProgress();
             this.updateButtons();
         }
     }
-    
-    hideStep(stepIndex) {
-        const step = document.getElementById(\`step-\${stepIndex}\`);
-        if (step) {
-            step.style.display = 'none';
+
+    readFieldValue(name) {
+        const group = document.querySelector('.field-group[data-field-name="' + name + '"]');
+
+        if (group && group.dataset.fieldType === 'likert') {
+            const value = {};
+            group.querySelectorAll('[data-likert-row]').forEach(row => {
+                const checked = row.querySelector('input:checked');
+                if (checked) value[row.dataset.likertRow] = checked.value;
+            });
+            return Object.keys(value).length > 0 ? value : '';
         }
-    }
-    
-    showStep(stepIndex) {
-        const step = document.getElementById(\`step-\${stepIndex}\`);
-        if (step) {
-            step.style.display = 'block';
+
+        if (group && group.dataset.fieldType === 'repeater') {
+            const entries = [];
+            group.querySelectorAll('.repeater-items .repeater-item').forEach(item => {
+                const entry = {};
+                item.querySelectorAll('[data-subfield]').forEach(input => {
+                    if (input.value.trim()) entry[input.dataset.subfield] = input.value.trim();
+                });
+                if (Object.keys(entry).length > 0) entries.push(entry);
+            });
+            return entries.length > 0 ? entries : '';
         }
+
+        const values = [];
+
+        document.querySelectorAll('[name="' + name + '"]').forEach(input => {
+            if ((input.type === 'checkbox' || input.type === 'radio') && !input.checked) return;
+            if (input.value && input.value.trim()) values.push(input.value);
+        });
+
+        return values.length > 1 ? values : (values[0] || '');
     }
-    
-    updateProgress() {
-        const progressBar = document.getElementById('progress-bar');
-        const progressText = document.getElementById('progress-text');
-        
-        const percentage = ((this.currentStep + 1) / this.totalSteps) * 100;
-        
-        if (progressBar) {
-            progressBar.style.width = percentage + '%';
-        }
-        
-        if (progressText) {
-            progressText.textContent = \`Step \${this.currentStep + 1} of \${this.totalSteps}\`;
+
+    evaluateCondition(condition, answers) {
+        const normalize = value => value.toString().trim().toLowerCase();
+        const flatten = value => Array.isArray(value)
+            ? value.flatMap(flatten)
+            : (value !== null && typeof value === 'object' ? Object.values(value).flatMap(flatten) : [value]);
+        const values = flatten(answers[condition.field_id])
+            .filter(value => value !== undefined && value !== null && value.toString().trim() !== '')
+            .map(normalize);
+        const expected = Array.isArray(condition.value)
+            ? condition.value.map(normalize)
+            : normalize(condition.value ?? '');
+
+        switch (condition.operator) {
+            case 'equals': return values.includes(expected);
+            case 'not_equals': return !values.includes(expected);
+            case 'contains': return values.some(value => value.includes(expected));
+            case 'not_contains': return !values.some(value => value.includes(expected));
+            case 'in': return values.some(value => expected.includes(value));
+            case 'not_in': return !values.some(value => expected.includes(value));
+            case 'is_empty': return values.length === 0;
+            case 'is_not_empty': return values.length > 0;
+            case 'greater_than': return values.some(value => parseFloat(value) > parseFloat(expected));
+            case 'less_than': return values.some(value => parseFloat(value) < parseFloat(expected));
+            default: return false;
         }
     }
-    
-    updateButtons() {
-        const nextBtn = document.getElementById('nextBtn');
-        const prevBtn = document.getElementById('prevBtn');
+
+    evaluateConditions(conditions, match, answers) {
+        if (!conditions || conditions.length === 0) return true;
+
+        return match === 'any'
+            ? conditions.some(condition => this.evaluateCondition(condition, answers))
+            : conditions.every(condition => this.evaluateCondition(condition, answers));
+    }
+
+    applyVisibility() {
+        const visitedSteps = this.history.concat([this.currentStep]);
+        const answers = {};
+        const activeFieldNames = new Set();
+
+        // Fields are listed in project order, so hidden or skipped answers
+        // are left out before any later rule can depend on them
+        Object.entries(this.logic.fields).forEach(([fieldId, config]) => {
+            const rule = config.rule;
+            let visible = true;
+
+            if (rule && rule.conditions && rule.conditions.length > 0) {
+                const matched = this.evaluateConditions(rule.conditions, rule.match, answers);
+                visible = rule.action === 'hide' ? !matched : matched;
+            }
+
+            const group = document.querySelector('.field-group[data-field-id="' + fieldId + '"]');
+            if (group) {
+                group.classList.toggle('hidden', !visible);
+                group.querySelectorAll('input, textarea, select').forEach(input => {
+                    if (input.dataset.required === undefined) {
+                        input.dataset.required = input.required ? 'true' : 'false';
+                    }
+                    input.required = visible && input.dataset.required === 'true';
+                });
+            }
+
+            if (visible && visitedSteps.includes(config.step)) {
+                answers[fieldId] = this.readFieldValue(config.name);
+                activeFieldNames.add(config.name);
+            }
+        });
+
+        this.answers = answers;
+        this.activeFieldNames = activeFieldNames;
+    }
+
+    getNextStepIndex() {
+        const branches = this.logic.steps[this.currentStep]?.branches || [];
+
+        for (const rule of branches) {
+            if (this.evaluateConditions(rule.conditions, rule.match, this.answers)) {
+                if (rule.target_step_id === 'end') {
+                    return this.totalSteps;
+                }
+
+                const targetIndex = this.logic.steps.findIndex(step => step.id === rule.target_step_id);
+                if (targetIndex > this.currentStep) {
+                    return targetIndex;
+                }
+            }
+        }
+
+        return this.currentStep + 1;
+    }
+    
+    hideStep(stepIndex) {
+        const step = document.getElementById(\`step-\${stepIndex}\`);
+        if (step) {
+            step.style.display = 'none';
+        }
+    }
+    
+    showStep(stepIndex) {
+        const step = document.getElementById(\`step-\${stepIndex}\`);
+        if (step) {
+            step.style.display = 'block';
+        }
+    }
+    
+    updateProgress() {
+        const progressBar = document.getElementById('progress-bar');
+        const progressText = document.getElementById('progress-text');
+        
+        const percentage = ((this.currentStep + 1) / this.totalSteps) * 100;
+        
+        if (progressBar) {
+            progressBar.style.width = percentage + '%';
+        }
+        
+        if (progressText) {
+            progressText.textContent = \`Step \${this.currentStep + 1} of \${this.totalSteps}\`;
+        }
+    }
+    
+    updateButtons() {
+        const nextBtn = document.getElementById('nextBtn');
+        const prevBtn = document.getElementById('prevBtn');
         const submitBtn = document.getElementById('submitBtn');
         
         // Show/hide previous button
         if (prevBtn) {
-            if (this.currentStep === 0) {
+            if (this.history.length === 0) {
                 prevBtn.classList.add('hidden');
             } else {
                 prevBtn.classList.remove('hidden');
             }
         }
         
-        // Show/hide next vs submit button
-        if (this.currentStep === this.totalSteps - 1) {
+        // Show/hide next vs submit button (branch rules may end the form early)
+        if (this.getNextStepIndex() >= this.totalSteps) {
             if (nextBtn) nextBtn.classList.add('hidden');
             if (submitBtn) submitBtn.classList.remove('hidden');
         } else {
@@ -915,11 +1620,86 @@ class MultiStepTool {
         
         if (!isValid) {
             this.showError('Please fill in all required fields before continuing.');
-        } else {
-            this.hideError();
+            return false;
+        }
+        
+        // Field constraints (the server enforces the same rules)
+        let constraintError = null;
+        step.querySelectorAll('.field-group:not(.hidden)').forEach(group => {
+            const message = this.checkConstraints(group);
+            group.querySelectorAll('input, textarea, select').forEach(input => {
+                input.classList.toggle('border-red-500', Boolean(message));
+            });
+            if (message && !constraintError) {
+                constraintError = message;
+            }
+        });
+        
+        if (constraintError) {
+            this.showError(constraintError);
+            return false;
+        }
+        
+        this.hideError();
+        return true;
+    }
+    
+    checkConstraints(group) {
+        const isRequired = group.dataset.required === 'true';
+
+        if (group.dataset.fieldType === 'rating' && isRequired && !group.querySelector('input:checked')) {
+            return 'Please choose a rating.';
+        }
+
+        if (group.dataset.fieldType === 'likert' && isRequired) {
+            const rows = Array.from(group.querySelectorAll('[data-likert-row]'));
+            if (rows.some(row => !row.querySelector('input:checked'))) {
+                return 'Please answer every statement.';
+            }
+        }
+
+        if (group.dataset.fieldType === 'repeater') {
+            const entries = this.readFieldValue(group.dataset.fieldName);
+            const minItems = Math.max(parseInt(group.dataset.minItems) || 0, isRequired ? 1 : 0);
+            if ((entries ? entries.length : 0) < minItems) {
+                return 'Add at least ' + minItems + (minItems === 1 ? ' entry.' : ' entries.');
+            }
+        }
+
+        const inputs = Array.from(group.querySelectorAll('input, textarea, select'));
+        const maxSelections = parseInt(group.dataset.maxSelections);
+        const selected = inputs.filter(input => input.type === 'checkbox' && input.checked).length;
+        
+        if (!isNaN(maxSelections) && selected > maxSelections) {
+            return 'Select at most ' + maxSelections + ' option' + (maxSelections === 1 ? '' : 's') + '.';
+        }
+        
+        for (const input of inputs) {
+            const value = input.value.trim();
+            if (input.type === 'checkbox' || input.type === 'radio' || input.tagName === 'SELECT' || !value) continue;
+            
+            if (input.minLength > 0 && value.length < input.minLength) {
+                return 'Must be at least ' + input.minLength + ' characters.';
+            }
+            if (input.maxLength >= 0 && value.length > input.maxLength) {
+                return 'Must be at most ' + input.maxLength + ' characters.';
+            }
+            if (input.pattern && !new RegExp('^(?:' + input.pattern + ')$').test(value)) {
+                return input.dataset.patternMessage || 'Please match the requested format.';
+            }
+            if (input.dataset.min !== undefined || input.dataset.max !== undefined || input.type === 'number') {
+                const number = Number(value);
+                if (!Number.isFinite(number)) return 'Please enter a number.';
+                if (input.dataset.min !== undefined && number < Number(input.dataset.min)) {
+                    return 'Must be at least ' + input.dataset.min + '.';
+                }
+                if (input.dataset.max !== undefined && number > Number(input.dataset.max)) {
+                    return 'Must be at most ' + input.dataset.max + '.';
+                }
+            }
         }
         
-        return isValid;
+        return null;
     }
     
     collectFormData() {
@@ -930,6 +1710,11 @@ class MultiStepTool {
             const formElements = new FormData(form);
             
             for (let [name, value] of formElements.entries()) {
+                // Skip fields hidden by conditions or on steps that were branched past
+                if (!this.activeFieldNames.has(name)) {
+                    continue;
+                }
+
                 if (formData[name]) {
                     // Handle multiple values (checkboxes)
                     if (Array.isArray(formData[name])) {
@@ -943,25 +1728,37 @@ class MultiStepTool {
             }
         }
         
+        // Likert and repeating group answers are read from their own inputs
+        document.querySelectorAll('.field-group[data-field-type="likert"], .field-group[data-field-type="repeater"]').forEach(group => {
+            const name = group.dataset.fieldName;
+            const value = this.activeFieldNames.has(name) ? this.readFieldValue(name) : '';
+            if (value) {
+                formData[name] = value;
+            }
+        });
+        
         return formData;
     }
     
     async generateAIResponse() {
-        if (!this.validateCurrentStep()) {
+        if (!this.validateCurrentStep() || this.activeRequest) {
             return;
         }
         
         const formData = this.collectFormData();
+        let streamed = false;
         
         // Show loading state
         this.showLoading();
+        this.startConversation({});
+        this.activeRequest = new AbortController();
         
         try {
             // Track submission event
             this.trackEvent('submit', { formData, stepCount: this.totalSteps });
             
             const startTime = Date.now();
-            const response = await fetch('https://api.prompt-machine.com/api/v6/tools/generate', {
+            const response = await fetch('https://api.prompt-machine.com/api/v6/tools/generate/stream', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
@@ -969,36 +1766,160 @@ class MultiStepTool {
                 body: JSON.stringify({
                     project_id: this.projectId,
                     project_name: this.projectName,
-                    system_prompt: this.systemPrompt,
                     form_data: formData,
+                    locale: this.locale,
+                    resume_token: this.resumeToken,
                     steps_completed: this.totalSteps,
-                    session_id: this.sessionId
-                })
+                    session_id: this.sessionId,
+                    visitor_id: this.visitorId
+                }),
+                signal: this.activeRequest.signal
             });
             
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw this.requestError(data);
+            }
+            
+            // Render the response as it arrives
+            const data = await this.readEventStream(response, (text) => {
+                if (!streamed) {
+                    streamed = true;
+                    this.beginStreamingResults();
+                }
+                this.appendResults(text);
+            }, (stage) => this.showStageProgress(stage));
+            
             const responseTime = Date.now() - startTime;
-            const data = await response.json();
             
-            if (response.ok && data.success) {
-                this.showResults(data.result || data.output || 'AI processing completed successfully!');
-                this.trackEvent('complete', { formData, responseTime });
-                this.trackUsage(formData);
-            } else {
-                throw new Error(data.error || 'Failed to generate AI response');
+            if (!streamed) {
+                this.showResults(data.result || 'AI processing completed successfully!', data.structured);
             }
+            this.startConversation(data);
+            this.updateFollowUp();
+            this.clearDraft();
+            this.trackEvent('complete', { formData, responseTime });
+            this.trackUsage(formData);
             
         } catch (error) {
+            if (error.name === 'AbortError') {
+                this.trackEvent('cancel', { partial: streamed });
+                this.showCancelled(streamed);
+                return;
+            }
+            
             console.error('AI Generation Error:', error);
             this.trackEvent('error', { 
                 errorMessage: error.message, 
                 formData: formData 
             });
-            this.showError('Sorry, the AI is currently unavailable. Please try again in a moment.');
+            document.getElementById('resultsSection')?.classList.add('hidden');
+            this.showError(error.degraded ? error.message : 'Sorry, the AI is currently unavailable. Please try again in a moment.');
         } finally {
+            this.activeRequest = null;
+            this.endStreamingResults();
             this.hideLoading();
         }
     }
     
+    // Error of a failed generation; the degraded-mode message is written for visitors
+    requestError(data) {
+        const error = new Error(data.error || 'Failed to generate AI response');
+        error.degraded = Boolean(data.degraded);
+        return error;
+    }
+    
+    cancelGeneration() {
+        if (this.activeRequest) {
+            this.activeRequest.abort();
+        }
+    }
+    
+    // Read "stage", "token", "done" and "error" Server-Sent Events from a fetch response
+    async readEventStream(response, onText, onStage) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) {
+                break;
+            }
+            
+            buffer += decoder.decode(value, { stream: true });
+            const events = buffer.split('\\n\\n');
+            buffer = events.pop();
+            
+            for (const rawEvent of events) {
+                let eventName = 'message';
+                let payload = '';
+                
+                rawEvent.split('\\n').forEach(line => {
+                    if (line.startsWith('event:')) {
+                        eventName = line.slice(6).trim();
+                    } else if (line.startsWith('data:')) {
+                        payload += line.slice(5).trim();
+                    }
+                });
+                
+                const data = payload ? JSON.parse(payload) : {};
+                
+                if (eventName === 'token') {
+                    onText(data.text || '');
+                } else if (eventName === 'stage') {
+                    onStage(data);
+                } else if (eventName === 'done') {
+                    return data;
+                } else if (eventName === 'error') {
+                    throw this.requestError(data);
+                }
+            }
+        }
+        
+        throw new Error('The response ended before it was complete');
+    }
+    
+    showStageProgress(stage) {
+        const stageText = document.getElementById('loadingStage');
+        if (stageText) {
+            stageText.textContent = 'Stage ' + (stage.index + 1) + ' of ' + stage.total + ': ' + stage.name;
+            stageText.classList.remove('hidden');
+        }
+    }
+    
+    beginStreamingResults() {
+        this.showResults('');
+        this.hideLoading();
+        this.resultsText = document.querySelector('#aiResults .whitespace-pre-wrap');
+        document.getElementById('stopGenerationBtn')?.classList.remove('hidden');
+    }
+    
+    appendResults(text) {
+        if (this.resultsText) {
+            this.resultsText.appendChild(document.createTextNode(text));
+        }
+    }
+    
+    endStreamingResults() {
+        this.resultsText = null;
+        document.getElementById('loadingStage')?.classList.add('hidden');
+        document.getElementById('stopGenerationBtn')?.classList.add('hidden');
+    }
+    
+    showCancelled(partial) {
+        if (!partial) {
+            document.getElementById('resultsSection')?.classList.add('hidden');
+            this.showError('Generation stopped. Submit again whenever you are ready.');
+            return;
+        }
+        
+        const note = document.createElement('p');
+        note.className = 'mt-4 text-sm text-gray-500 italic';
+        note.textContent = 'Generation stopped. This partial result was not saved.';
+        document.getElementById('aiResults')?.appendChild(note);
+    }
+    
     showLoading() {
         const loadingSection = document.getElementById('loadingSection');
         if (loadingSection) {
@@ -1016,20 +1937,520 @@ class MultiStepTool {
         }
     }
     
-    showResults(results) {
+    showResults(results, structured = null) {
         const resultsSection = document.getElementById('resultsSection');
         const aiResults = document.getElementById('aiResults');
         
         if (aiResults) {
-            aiResults.innerHTML = \`<div class="whitespace-pre-wrap">\${this.escapeHtml(results)}</div>\`;
+            aiResults.innerHTML = structured && this.outputSchema
+                ? this.renderStructuredResults(structured)
+                : \`<div class="whitespace-pre-wrap">\${this.escapeHtml(results)}</div>\`;
         }
         
         if (resultsSection) {
             resultsSection.classList.remove('hidden');
             resultsSection.scrollIntoView({ behavior: 'smooth' });
         }
+
+        this.updateFollowUp();
+    }
+
+    renderStructuredResults(data) {
+        const schema = this.outputSchema;
+        const fields = schema.fields;
+        const items = data.items || [];
+        const [titleField, ...detailFields] = fields;
+        let html = '';
+        
+        if (schema.summary && data.summary) {
+            html += '<p class="text-gray-700 mb-6 whitespace-pre-wrap">' + this.escapeHtml(data.summary) + '</p>';
+        }
+        
+        if (items.length === 0) {
+            return html + '<p class="text-gray-500">No results.</p>';
+        }
+        
+        if (schema.display === 'table') {
+            html += '<div class="overflow-x-auto not-prose"><table class="min-w-full text-sm border border-gray-200">';
+            html += '<thead class="bg-gray-50"><tr>' + fields.map(field =>
+                '<th class="px-3 py-2 text-left font-semibold text-gray-700 border-b">' + this.escapeHtml(field.label) + '</th>'
+            ).join('') + '</tr></thead><tbody>';
+            html += items.map(item => '<tr class="border-b last:border-0 align-top">' + fields.map(field =>
+                '<td class="px-3 py-2 text-gray-800">' + this.formatOutputValue(field, item[field.name]) + '</td>'
+            ).join('') + '</tr>').join('');
+            return html + '</tbody></table></div>';
+        }
+        
+        if (schema.display === 'list') {
+            html += '<ol class="list-decimal pl-6 space-y-3">';
+            html += items.map(item => '<li><span class="font-semibold text-gray-900">' +
+                this.formatOutputValue(titleField, item[titleField.name]) + '</span>' +
+                detailFields.filter(field => item[field.name] !== null && item[field.name] !== undefined).map(field =>
+                    '<div class="text-gray-700 text-sm"><span class="text-gray-500">' + this.escapeHtml(field.label) + ':</span> ' +
+                    this.formatOutputValue(field, item[field.name]) + '</div>'
+                ).join('') + '</li>').join('');
+            return html + '</ol>';
+        }
+        
+        html += '<div class="grid md:grid-cols-2 gap-4 not-prose">';
+        html += items.map(item => '<div class="border border-gray-200 rounded-lg p-4 bg-gray-50">' +
+            '<h4 class="font-semibold text-lg text-gray-900 mb-2">' + this.formatOutputValue(titleField, item[titleField.name]) + '</h4>' +
+            detailFields.filter(field => item[field.name] !== null && item[field.name] !== undefined).map(field =>
+                '<div class="mb-2"><div class="text-xs uppercase tracking-wide text-gray-500">' + this.escapeHtml(field.label) + '</div>' +
+                '<div class="text-gray-800">' + this.formatOutputValue(field, item[field.name]) + '</div></div>'
+            ).join('') + '</div>').join('');
+        return html + '</div>';
     }
     
+    formatOutputValue(field, value) {
+        if (value === null || value === undefined || value === '') {
+            return '<span class="text-gray-400">&mdash;</span>';
+        }
+        
+        switch (field.type) {
+            case 'number':
+                return this.escapeHtml(Number(value).toLocaleString());
+            case 'boolean':
+                return value ? 'Yes' : 'No';
+            case 'list':
+                return '<ul class="list-disc pl-5">' + value.map(entry => '<li>' + this.escapeHtml(entry) + '</li>').join('') + '</ul>';
+            case 'choice':
+                return '<span class="inline-block px-2 py-0.5 rounded-full bg-blue-100 text-blue-800 text-xs font-medium">' + this.escapeHtml(value) + '</span>';
+            case 'long_text':
+                return '<span class="whitespace-pre-wrap">' + this.escapeHtml(value) + '</span>';
+            default:
+                return this.escapeHtml(String(value));
+        }
+    }
+
+    startConversation(data) {
+        const followup = data.followup || {};
+
+        this.conversation = this.followUp.enabled && followup.enabled && data.session_token ? {
+            sessionId: data.session_id,
+            sessionToken: data.session_token,
+            turnsRemaining: followup.turns_remaining
+        } : null;
+
+        const messages = document.getElementById('followUpMessages');
+        if (messages) {
+            messages.innerHTML = '';
+        }
+    }
+
+    updateFollowUp() {
+        const section = document.getElementById('followUpSection');
+        if (!section) {
+            return;
+        }
+
+        if (!this.conversation) {
+            section.classList.add('hidden');
+            return;
+        }
+
+        const remaining = this.conversation.turnsRemaining;
+        const input = document.getElementById('followUpInput');
+        const sendBtn = document.getElementById('followUpSend');
+        const remainingText = document.getElementById('followUpRemaining');
+
+        section.classList.remove('hidden');
+        if (remainingText) {
+            remainingText.textContent = remaining > 0
+                ? remaining + (remaining === 1 ? ' follow-up left.' : ' follow-ups left.')
+                : 'No follow-ups left for this result.';
+        }
+        if (input) {
+            input.disabled = remaining <= 0;
+        }
+        if (sendBtn) {
+            sendBtn.disabled = remaining <= 0;
+        }
+    }
+
+    appendChatMessage(role, text) {
+        const messages = document.getElementById('followUpMessages');
+        if (!messages) {
+            return null;
+        }
+
+        const bubble = document.createElement('div');
+        bubble.className = role === 'user'
+            ? 'ml-auto max-w-xl bg-blue-600 text-white px-4 py-2 rounded-lg whitespace-pre-wrap'
+            : 'max-w-2xl bg-gray-100 text-gray-800 px-4 py-3 rounded-lg whitespace-pre-wrap';
+        bubble.textContent = text;
+        messages.appendChild(bubble);
+        bubble.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+
+        return bubble;
+    }
+
+    async sendFollowUp() {
+        const input = document.getElementById('followUpInput');
+        const sendBtn = document.getElementById('followUpSend');
+        const errorText = document.getElementById('followUpError');
+        const message = input ? input.value.trim() : '';
+
+        if (!this.conversation || !message || this.conversation.turnsRemaining <= 0) {
+            return;
+        }
+
+        errorText?.classList.add('hidden');
+        input.value = '';
+        input.disabled = true;
+        sendBtn.disabled = true;
+        this.appendChatMessage('user', message);
+        const pending = this.appendChatMessage('assistant', 'Thinking...');
+
+        try {
+            const response = await fetch('https://api.prompt-machine.com/api/v6/tools/followup', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    session_id: this.conversation.sessionId,
+                    session_token: this.conversation.sessionToken,
+                    message: message
+                })
+            });
+            const data = await response.json();
+
+            if (typeof data.turns_remaining === 'number') {
+                this.conversation.turnsRemaining = data.turns_remaining;
+            }
+
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || 'Failed to send follow-up');
+            }
+
+            pending.textContent = data.result;
+            this.trackEvent('followup', { turnsRemaining: data.turns_remaining });
+
+        } catch (error) {
+            console.error('Follow-up Error:', error);
+            pending?.remove();
+            if (errorText) {
+                errorText.textContent = error.message || 'Sorry, the AI is currently unavailable. Please try again in a moment.';
+                errorText.classList.remove('hidden');
+            }
+        } finally {
+            this.updateFollowUp();
+            if (input && !input.disabled) {
+                input.focus();
+            }
+        }
+    }
+    
+    getDraftStorageKey() {
+        return 'toolDraft_' + this.projectId;
+    }
+
+    // Stable id of this browser, so experiment assignment sticks across visits
+    getVisitorId() {
+        const key = 'toolVisitor_' + this.projectId;
+        let visitorId = null;
+        try { visitorId = localStorage.getItem(key); } catch (e) {}
+        if (!visitorId) {
+            visitorId = 'v_' + Date.now().toString(36) + '_' + Math.random().toString(36).substr(2, 10);
+            try { localStorage.setItem(key, visitorId); } catch (e) {}
+        }
+        return visitorId;
+    }
+
+    async loadExperiment() {
+        if (!this.subdomain) return;
+
+        try {
+            const response = await fetch('https://api.prompt-machine.com/api/v6/public/' + encodeURIComponent(this.subdomain) + '?visitor_id=' + encodeURIComponent(this.visitorId));
+            const data = await response.json();
+            if (!data.success) return;
+
+            if (data.visitor_id && data.visitor_id !== this.visitorId) {
+                this.visitorId = data.visitor_id;
+                try { localStorage.setItem('toolVisitor_' + this.projectId, this.visitorId); } catch (e) {}
+            }
+
+            this.experiment = data.experiment;
+            if (this.experiment) {
+                this.applyLayout(this.experiment.step_order || [], this.experiment.field_order || {});
+            }
+        } catch (error) {
+            console.log('Experiment lookup failed:', error.message);
+        }
+    }
+
+    // Move elements into the given order of ids; unknown elements stay at the end
+    reorderElements(elements, order, idOf) {
+        if (elements.length < 2) return elements;
+
+        const ordered = order.map(id => elements.find(element => idOf(element) === id)).filter(Boolean);
+        elements.forEach(element => {
+            if (!ordered.includes(element)) ordered.push(element);
+        });
+
+        const parent = elements[0].parentNode;
+        const marker = document.createComment('');
+        parent.insertBefore(marker, elements[0]);
+        ordered.forEach(element => parent.insertBefore(element, marker));
+        marker.remove();
+
+        return ordered;
+    }
+
+    applyLayout(stepOrder, fieldOrder) {
+        Object.entries(fieldOrder).forEach(([stepId, order]) => {
+            const step = document.querySelector('.step[data-step-id="' + stepId + '"]');
+            if (!step) return;
+            const groups = Array.from(step.querySelectorAll('.field-group[data-field-id]'))
+                .filter(group => group.parentNode === step.querySelector('.field-group[data-field-id]').parentNode);
+            this.reorderElements(groups, order, group => group.dataset.fieldId);
+        });
+
+        // Steps can only move before the visitor has started
+        if (this.currentStep !== 0 || this.history.length > 0) return;
+
+        const steps = Array.from(document.querySelectorAll('.step[data-step-id]'));
+        const oldIndex = {};
+        steps.forEach((step, index) => { oldIndex[step.dataset.stepId] = index; });
+
+        const ordered = this.reorderElements(steps, stepOrder, step => step.dataset.stepId);
+        const newIndex = {};
+        ordered.forEach((step, index) => {
+            newIndex[oldIndex[step.dataset.stepId]] = index;
+            step.id = 'step-' + index;
+            step.style.display = index === 0 ? '' : 'none';
+            const number = step.querySelector('.step-number');
+            if (number) number.textContent = index + 1;
+        });
+
+        // Logic refers to steps by position
+        this.logic.steps = ordered.map(step => this.logic.steps[oldIndex[step.dataset.stepId]]);
+        Object.values(this.logic.fields).forEach(config => { config.step = newIndex[config.step]; });
+
+        this.applyVisibility();
+        this.updateProgress();
+        this.updateButtons();
+    }
+
+    // Form state of every field (file uploads can't be saved)
+    collectDraftValues() {
+        const values = {};
+
+        Object.values(this.logic.fields).forEach(config => {
+            const group = document.querySelector('.field-group[data-field-name="' + config.name + '"]');
+            if (group && group.dataset.fieldType === 'file') return;
+
+            const value = this.readFieldValue(config.name);
+            if (value !== '') values[config.name] = value;
+        });
+
+        return values;
+    }
+
+    writeFieldValue(name, value) {
+        const group = document.querySelector('.field-group[data-field-name="' + name + '"]');
+        if (!group || group.dataset.fieldType === 'file') return;
+
+        if (group.dataset.fieldType === 'likert') {
+            group.querySelectorAll('[data-likert-row]').forEach(row => {
+                row.querySelectorAll('input').forEach(input => {
+                    input.checked = !!value && value[row.dataset.likertRow] === input.value;
+                });
+            });
+            return;
+        }
+
+        if (group.dataset.fieldType === 'repeater') {
+            const items = group.querySelector('.repeater-items');
+            const template = group.querySelector('.repeater-template');
+            const entries = Array.isArray(value) && value.length > 0 ? value : [{}];
+
+            items.innerHTML = '';
+            entries.forEach(entry => {
+                items.appendChild(template.content.cloneNode(true));
+                items.lastElementChild.querySelectorAll('[data-subfield]').forEach(input => {
+                    input.value = entry[input.dataset.subfield] || '';
+                });
+            });
+            return;
+        }
+
+        const values = (Array.isArray(value) ? value : [value]).map(String);
+        document.querySelectorAll('[name="' + name + '"]').forEach(input => {
+            if (input.type === 'checkbox' || input.type === 'radio') {
+                input.checked = values.includes(input.value);
+            } else {
+                input.value = values[0] || '';
+            }
+        });
+    }
+
+    // Saves run one at a time so the first save's token is reused by the next
+    saveDraft(showPanel = false) {
+        if (!this.drafts.enabled) return Promise.resolve();
+
+        this.draftQueue = (this.draftQueue || Promise.resolve()).then(() => this.sendDraft(showPanel));
+        return this.draftQueue;
+    }
+
+    async sendDraft(showPanel) {
+        this.applyVisibility();
+
+        try {
+            const response = await fetch('https://api.prompt-machine.com/api/v6/tools/drafts', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    project_id: this.projectId,
+                    resume_token: this.resumeToken,
+                    values: this.collectDraftValues(),
+                    current_step: this.currentStep,
+                    history: this.history,
+                    locale: this.locale
+                })
+            });
+            const data = await response.json();
+
+            if (!data.success) {
+                throw new Error(data.error || 'Failed to save progress');
+            }
+
+            this.resumeToken = data.resume_token;
+            try { localStorage.setItem(this.getDraftStorageKey(), data.resume_token); } catch (e) {}
+
+            if (showPanel) {
+                this.showDraftPanel(data);
+            }
+        } catch (error) {
+            console.error('Draft save error:', error);
+            if (showPanel) {
+                this.showError('Your progress could not be saved. Please try again.');
+            }
+        }
+    }
+
+    async restoreDraft() {
+        if (!this.drafts.enabled) return;
+
+        const fromLink = new URLSearchParams(window.location.search).get('resume');
+        let token = fromLink;
+        if (!token) {
+            try { token = localStorage.getItem(this.getDraftStorageKey()); } catch (e) {}
+        }
+        if (!token) return;
+
+        try {
+            const response = await fetch('https://api.prompt-machine.com/api/v6/tools/drafts/' + encodeURIComponent(token) + '?project_id=' + encodeURIComponent(this.projectId));
+            const data = await response.json();
+
+            if (!data.success) {
+                this.clearDraft();
+                if (fromLink) {
+                    this.showDraftNotice(data.error || 'This saved progress could not be found.');
+                }
+                return;
+            }
+
+            const draft = data.draft;
+            Object.entries(draft.values || {}).forEach(([name, value]) => this.writeFieldValue(name, value));
+
+            // The tool may have fewer steps than when the progress was saved
+            const target = draft.current_step < this.totalSteps ? draft.current_step : 0;
+            this.hideStep(this.currentStep);
+            this.history = (draft.history || []).filter(index => index < target);
+            this.currentStep = target;
+            this.showStep(this.currentStep);
+
+            this.updateWidgets();
+            this.applyVisibility();
+            this.updateProgress();
+            this.updateButtons();
+
+            this.resumeToken = token;
+            try { localStorage.setItem(this.getDraftStorageKey(), token); } catch (e) {}
+            this.showDraftNotice('Welcome back! Your answers have been restored.');
+        } catch (error) {
+            console.error('Draft restore error:', error);
+        }
+    }
+
+    showDraftPanel(data) {
+        const panel = document.getElementById('draftPanel');
+        if (!panel) return;
+
+        document.getElementById('draftLink').value = data.resume_url;
+        document.getElementById('draftExpires').textContent = 'Your answers are kept until ' + new Date(data.expires_at).toLocaleDateString() + '.';
+        document.getElementById('draftMessage').classList.add('hidden');
+        panel.classList.remove('hidden');
+        panel.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    showDraftNotice(message) {
+        const notice = document.getElementById('draftNotice');
+        if (notice) {
+            notice.textContent = message;
+            notice.classList.remove('hidden');
+        }
+    }
+
+    copyResumeLink() {
+        const link = document.getElementById('draftLink');
+        if (!link || !link.value) return;
+
+        navigator.clipboard.writeText(link.value).then(() => {
+            showTemporaryMessage('Link copied to clipboard!');
+        }).catch(() => {
+            link.select();
+        });
+    }
+
+    async emailResumeLink() {
+        const input = document.getElementById('draftEmail');
+        const button = document.getElementById('draftEmailBtn');
+        const message = document.getElementById('draftMessage');
+        if (!this.resumeToken || !input.value.trim()) return;
+
+        button.disabled = true;
+
+        try {
+            const response = await fetch('https://api.prompt-machine.com/api/v6/tools/drafts/' + encodeURIComponent(this.resumeToken) + '/email', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    project_id: this.projectId,
+                    email: input.value.trim()
+                })
+            });
+            const data = await response.json();
+
+            message.textContent = data.success ? 'We sent the link to ' + input.value.trim() + '.' : (data.error || 'The email could not be sent.');
+            message.className = 'text-sm mt-2 ' + (data.success ? 'text-green-600' : 'text-red-600');
+        } catch (error) {
+            console.error('Resume email error:', error);
+            message.textContent = 'The email could not be sent. Please copy the link instead.';
+            message.className = 'text-sm mt-2 text-red-600';
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    // Forget the draft once the tool is finished or started over
+    clearDraft() {
+        this.resumeToken = null;
+        try { localStorage.removeItem(this.getDraftStorageKey()); } catch (e) {}
+
+        const url = new URL(window.location.href);
+        if (url.searchParams.has('resume')) {
+            url.searchParams.delete('resume');
+            window.history.replaceState(null, '', url.toString());
+        }
+    }
+
     showError(message) {
         let errorDiv = document.getElementById('errorMessage');
         
@@ -1087,18 +2508,19 @@ class MultiStepTool {
                     'Content-Type': 'application/json'
                 },
                 body: JSON.stringify({
-                    projectId: this.projectId,
-                    eventType: eventType,
-                    sessionId: this.sessionId,
-                    sessionData: {
+                    project_id: this.projectId,
+                    event_type: eventType,
+                    session_id: this.sessionId,
+                    visitor_id: this.visitorId,
+                    step_number: this.currentStep + 1,
+                    user_agent: navigator.userAgent,
+                    ai_response_time: data.responseTime,
+                    metadata: {
                         projectName: this.projectName,
-                        currentStep: this.currentStep,
                         totalSteps: this.totalSteps,
-                        userAgent: navigator.userAgent,
-                        timestamp: new Date().toISOString()
-                    },
-                    stepData: data,
-                    responseTime: data.responseTime
+                        timestamp: new Date().toISOString(),
+                        stepData: data
+                    }
                 })
             });
         } catch (error) {
@@ -1138,6 +2560,10 @@ function copyResults() {
 
 function startOver() {
     if (confirm('Are you sure you want to start over? This will clear all your progress.')) {
+        const tool = window.multiStepTool || window.toolInstance;
+        if (tool) {
+            tool.clearDraft();
+        }
         location.reload();
     }
 }
@@ -1202,6 +2628,20 @@ document.addEventListener('DOMContentLoaded', function() {
                 'utf8'
             );
             
+            // Save one page per additional language and drop pages of removed languages
+            const pages = toolContent.pages || [];
+            for (const page of pages) {
+                await fs.writeFile(path.join(toolPath, page.htmlFile), page.html, 'utf8');
+                await fs.writeFile(path.join(toolPath, page.jsFile), page.js, 'utf8');
+            }
+
+            const keep = new Set(pages.flatMap(page => [page.htmlFile, page.jsFile]));
+            for (const file of await fs.readdir(toolPath)) {
+                if (/^(index|app)\.[a-z]{2}\.(html|js)$/.test(file) && !keep.has(file)) {
+                    await fs.unlink(path.join(toolPath, file));
+                }
+            }
+            
             console.log(`💾 v6 Tool saved to: ${toolPath}`);
             return toolPath;
             
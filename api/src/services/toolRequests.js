@@ -0,0 +1,396 @@
+const { Pool } = require('pg');
+const llmClient = require('./llmClient');
+const projectVersions = require('./projectVersions');
+const conditionalLogic = require('./conditionalLogic');
+const fieldValidation = require('./fieldValidation');
+const fieldTypes = require('./fieldTypes');
+const promptTemplates = require('./promptTemplates');
+const promptPipelines = require('./promptPipelines');
+const outputSchemas = require('./outputSchemas');
+const toolConversations = require('./toolConversations');
+const toolGeneratorV6 = require('./toolGeneratorV6');
+const projectLocales = require('./projectLocales');
+const responseCache = require('./responseCache');
+const generationSettings = require('./generationSettings');
+
+// Database connection
+const pool = new Pool({
+    host: process.env.DB_HOST,
+    port: process.env.DB_PORT,
+    database: process.env.DB_NAME,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    ssl: { rejectUnauthorized: false }
+});
+
+/**
+ * Tool Request Service V6
+ * Turns a deployed tool's answers into prompts. Everything that shapes the AI
+ * call (prompts, field list, rules) is loaded from the published project; the
+ * request only contributes answers, keyed by the tool's input names.
+ */
+class ToolRequestService {
+    constructor() {
+        this.uuidPattern = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+        this.llm = llmClient;
+    }
+
+    /**
+     * Find a v6 project by id or subdomain
+     * @param {string} reference - Project id or subdomain (tool slug)
+     * @returns {Promise<Object|null>} - Project row
+     */
+    async findProject(reference) {
+        if (!reference || typeof reference !== 'string') {
+            return null;
+        }
+
+        const column = this.uuidPattern.test(reference) ? 'id' : 'subdomain';
+        const result = await pool.query(`SELECT * FROM projects_v6 WHERE ${column} = $1`, [reference]);
+
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Find a v6 project visitors may use: deployed and enabled
+     * @param {string} reference - Project id or subdomain (tool slug)
+     * @returns {Promise<Object|null>} - Project row
+     */
+    async findDeployedProject(reference) {
+        const project = await this.findProject(reference);
+        return project && project.deployed && project.enabled ? project : null;
+    }
+
+    /**
+     * Check a submission against the published project and build its prompts
+     * @param {Object} project - projects_v6 row
+     * @param {Object} formData - Answers keyed by input name
+     * @param {Object} localePreferences - { lang, acceptLanguage } (see projectLocales.resolveLocale)
+     * @param {Object|null} serving - { snapshot, version_number } to use instead of the published
+     *   version (e.g. the draft for prompt tests)
+     * @returns {Promise<Object>} - { valid, error, unknown_fields, missing_fields, field_errors }
+     *   or { valid: true, project, steps, visibleFields, answers, systemPrompt, userPrompt, versionNumber,
+     *   locale, languageInstruction }
+     */
+    async prepare(project, formData, localePreferences = {}, serving = null) {
+        if (!formData || typeof formData !== 'object' || Array.isArray(formData)) {
+            return { valid: false, error: 'form_data must be an object' };
+        }
+
+        serving = serving || await projectVersions.getPublishedSnapshot(project.id);
+        if (!serving) {
+            return { valid: false, error: 'This tool has not been published' };
+        }
+
+        const steps = serving.snapshot.steps;
+        const fields = steps.flatMap(step => step.fields || []);
+        const fieldsByInput = new Map(fields.map(field => [toolGeneratorV6.sanitizeFieldName(field.name), field]));
+
+        const unknownFields = Object.keys(formData).filter(key => !fieldsByInput.has(key));
+        if (unknownFields.length > 0) {
+            return {
+                valid: false,
+                error: 'Some answers do not belong to this tool',
+                unknown_fields: unknownFields
+            };
+        }
+
+        const answers = {};
+        for (const [key, value] of Object.entries(formData)) {
+            answers[fieldsByInput.get(key).id] = value;
+        }
+
+        const resolution = conditionalLogic.resolveSubmission(steps, answers);
+        const visibleFields = fields.filter(field => resolution.visibleFieldIds.has(field.id));
+        const fieldErrors = fieldValidation.validateAnswers(visibleFields, answers);
+
+        if (resolution.missingRequired.length > 0 || fieldErrors.length > 0) {
+            return {
+                valid: false,
+                error: 'Some answers are missing or not valid',
+                missing_fields: resolution.missingRequired,
+                field_errors: fieldErrors
+            };
+        }
+
+        const publishedProject = { ...project, ...serving.snapshot.project };
+        const { systemPrompt, userPrompt } = promptTemplates.buildPrompts(publishedProject, visibleFields, answers);
+
+        // Multi-language tools answer in the visitor's language
+        const locale = projectLocales.resolveLocale(publishedProject, localePreferences);
+        const languageInstruction = projectLocales.buildLanguageInstruction(publishedProject, locale);
+
+        return {
+            valid: true,
+            project: publishedProject,
+            steps,
+            visibleFields,
+            answers,
+            systemPrompt: [systemPrompt, languageInstruction].filter(Boolean).join('\n\n'),
+            userPrompt,
+            versionNumber: serving.version_number,
+            locale,
+            languageInstruction
+        };
+    }
+
+    /**
+     * Answers sent as a list of { field_id, field_value } (the public submit
+     * endpoint) keyed by input name, as prepare() takes them
+     * @param {Array} steps - Steps of the serving snapshot
+     * @returns {Object} - { formData } or { error, unknown_fields }
+     */
+    responsesToFormData(steps, responses) {
+        if (!Array.isArray(responses) || responses.some(response =>
+            !response || typeof response !== 'object' || typeof response.field_id !== 'string'
+        )) {
+            return { error: 'responses must be an array of { field_id, field_value }' };
+        }
+
+        const fieldsById = new Map(steps.flatMap(step => step.fields || []).map(field => [field.id, field]));
+        const unknownFields = responses.map(response => response.field_id).filter(fieldId => !fieldsById.has(fieldId));
+        if (unknownFields.length > 0) {
+            return { error: 'Some answers do not belong to this tool', unknown_fields: unknownFields };
+        }
+
+        const formData = {};
+        for (const response of responses) {
+            formData[toolGeneratorV6.sanitizeFieldName(fieldsById.get(response.field_id).name)] = response.field_value;
+        }
+
+        return { formData };
+    }
+
+    /**
+     * One-line reason a submission was rejected by prepare()
+     */
+    describeInvalid(prepared) {
+        const details = [
+            ...(prepared.unknown_fields || []).map(name => `unknown input ${name}`),
+            ...(prepared.missing_fields || []).map(field => `${field.label} is required`),
+            ...(prepared.field_errors || []).map(fieldError => `${fieldError.label}: ${fieldError.message}`)
+        ];
+
+        return details.length > 0 ? `${prepared.error}: ${details.join('; ')}` : prepared.error;
+    }
+
+    /**
+     * Run a prepared request: its pipeline, a structured (schema) result or
+     * the single prompt, with the project's generation settings.
+     * options.onText streams single-prompt and last-stage text.
+     * @param {Object} prepared - Result of prepare()
+     * @param {Object} options - { onStage, onText, signal, provider: object with generateContent()
+     *   used instead of the LLM client (e.g. the mock provider of prompt tests), model: model id used for
+     *   every call instead of the project's (e.g. an experiment variant's), cache: use the project's
+     *   response cache when it has one enabled (see responseCache) }
+     * @returns {Promise<Object>} - { aiResponse, structured, stageOutputs, prepared, usage, cache }
+     *   (prepared carries the prompts the result was generated from; usage is the summed
+     *   { input_tokens, output_tokens, cost } of all AI calls; cache is 'hit', 'miss' or null
+     *   when the cache wasn't used)
+     */
+    async generate(prepared, options = {}) {
+        const { onText = null, signal = null, model = null } = options;
+        const defaults = generationSettings.getGenerationOptions(prepared.project);
+        const lookup = options.cache
+            ? await responseCache.lookup(prepared, this.llm.resolve({ ...defaults, model: model || defaults.model }).model)
+            : null;
+
+        if (lookup && lookup.entry) {
+            const { entry } = lookup;
+            if (onText && !entry.structured) {
+                onText(entry.aiResponse);
+            }
+            return {
+                aiResponse: entry.aiResponse,
+                structured: entry.structured,
+                stageOutputs: entry.stageOutputs,
+                prepared: { ...prepared, systemPrompt: entry.systemPrompt, userPrompt: entry.userPrompt },
+                usage: { input_tokens: 0, output_tokens: 0, cost: 0 },
+                cache: 'hit'
+            };
+        }
+
+        const run = await this.generateFresh(prepared, options);
+
+        if (lookup && !(signal && signal.aborted)) {
+            await responseCache.store(lookup, run);
+        }
+
+        return { ...run, cache: lookup ? 'miss' : null };
+    }
+
+    /**
+     * generate() without the response cache
+     */
+    async generateFresh(prepared, options = {}) {
+        const { onStage = null, onText = null, signal = null, model = null } = options;
+        const defaults = await generationSettings.getRunOptions(prepared.project);
+        const { provider, usage } = this.meterProvider(options.provider || this.llm, model, defaults);
+        const schema = outputSchemas.getSchema(prepared.project);
+
+        if (promptPipelines.getStages(prepared.project).length > 0) {
+            // Chained prompts: the last stage's output is the result
+            const run = await promptPipelines.run(prepared.project, prepared.visibleFields, prepared.answers, {
+                onStage,
+                onText,
+                signal,
+                provider,
+                language: prepared.languageInstruction
+            });
+            return {
+                aiResponse: run.result,
+                structured: run.structured,
+                stageOutputs: run.stageOutputs,
+                prepared: { ...prepared, systemPrompt: run.systemPrompt, userPrompt: run.userPrompt },
+                usage
+            };
+        }
+
+        if (schema) {
+            const generated = await outputSchemas.generate(schema, prepared.systemPrompt, prepared.userPrompt, { signal, provider });
+            return { aiResponse: generated.result, structured: generated.data, stageOutputs: [], prepared, usage };
+        }
+
+        const aiResponse = await provider.generateContent(prepared.userPrompt, {
+            system: prepared.systemPrompt,
+            stream: !!onText,
+            signal,
+            onText
+        });
+        return { aiResponse, structured: null, stageOutputs: [], prepared, usage };
+    }
+
+    /**
+     * Wrap a provider so the token usage and estimated cost of every call
+     * add up in usage, optionally forcing the model of every call
+     * @param {Object} defaults - generateContent options used when a call doesn't set
+     *   them (a project's generation settings, see generationSettings.getGenerationOptions)
+     * @returns {Object} - { provider, usage: { input_tokens, output_tokens, cost } }
+     */
+    meterProvider(base, model = null, defaults = {}) {
+        const usage = { input_tokens: 0, output_tokens: 0, cost: 0 };
+
+        const provider = {
+            name: base.name,
+            generateContent: (prompt, options = {}) => base.generateContent(prompt, {
+                ...defaults,
+                ...this.withoutUnset(options),
+                model: model || options.model || defaults.model,
+                onUsage: (call) => {
+                    usage.input_tokens += call.input_tokens || 0;
+                    usage.output_tokens += call.output_tokens || 0;
+                    usage.cost += this.llm.estimateCost(call);
+                    if (options.onUsage) {
+                        options.onUsage(call);
+                    }
+                }
+            })
+        };
+
+        return { provider, usage };
+    }
+
+    /**
+     * Options without the ones set to undefined, so they don't hide defaults
+     */
+    withoutUnset(options) {
+        return Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+    }
+
+    /**
+     * A user's tool runs today, counted as sessions of their projects, and
+     * their daily limit (max_requests_per_hour of their plan, times 24)
+     * @returns {Promise<Object>} - { used, limit }
+     */
+    async getDailyUsage(userId) {
+        const today = new Date().toISOString().split('T')[0];
+        const usageCheck = await pool.query(`
+            SELECT COUNT(*) as daily_usage
+            FROM project_sessions_v6 ps
+            JOIN projects_v6 p ON ps.project_id = p.id
+            WHERE p.user_id = $1 AND DATE(ps.started_at) = $2
+        `, [userId, today]);
+
+        const limitsResult = await pool.query('SELECT get_user_limits($1) as limits', [userId]);
+        const limits = limitsResult.rows[0].limits;
+
+        return {
+            used: parseInt(usageCheck.rows[0].daily_usage, 10),
+            limit: limits.max_requests_per_hour * 24 // Convert hourly to daily estimate
+        };
+    }
+
+    /**
+     * Save a finished run: the session with its transcript, pipeline stage
+     * outputs and the visible answers
+     * @param {Object} options - { batchId: batch the run belongs to (project_batches_v6),
+     *   resumeToken: saved draft (see toolDrafts) the run completes, usage: token usage from
+     *   generate(), assignment: experiment variant the visitor saw (see projectExperiments),
+     *   cacheStatus: 'hit' or 'miss' when the response cache was used, userIp: visitor's address }
+     * @returns {Promise<Object>} - { sessionId, sessionToken }
+     */
+    async saveSession(project, prepared, aiResponse, stageOutputs = [], { batchId = null, resumeToken = null, usage = null, assignment = null, cacheStatus = null, userIp = null } = {}) {
+        const { systemPrompt, userPrompt, visibleFields, answers } = prepared;
+        const transcript = toolConversations.buildTranscript(systemPrompt, userPrompt, aiResponse);
+        const tracking = [
+            assignment ? assignment.experiment_id : null,
+            assignment ? assignment.variant_key : null,
+            assignment ? assignment.visitor_id : null,
+            usage ? usage.input_tokens : null,
+            usage ? usage.output_tokens : null,
+            usage ? usage.cost : null,
+            cacheStatus
+        ];
+
+        // A resumed draft becomes the finished session; its resume link stops working
+        if (resumeToken) {
+            const draftResult = await pool.query(`
+                UPDATE project_sessions_v6
+                SET completed_at = NOW(), ai_response = $3, transcript = $4, stage_outputs = $5,
+                    draft_state = NULL, resume_token = NULL,
+                    experiment_id = $6, variant_key = $7, visitor_id = $8,
+                    ai_input_tokens = $9, ai_output_tokens = $10, ai_cost = $11, cache_status = $12
+                WHERE project_id = $1 AND resume_token = $2 AND completed_at IS NULL
+                RETURNING id, session_token
+            `, [project.id, resumeToken, aiResponse, JSON.stringify(transcript), JSON.stringify(stageOutputs), ...tracking]);
+
+            if (draftResult.rows.length > 0) {
+                const { id, session_token } = draftResult.rows[0];
+                await this.saveResponses(id, visibleFields, answers);
+                return { sessionId: id, sessionToken: session_token };
+            }
+        }
+
+        // Generate unique session token; the visitor needs it to ask follow-up questions
+        const sessionToken = toolConversations.createSessionToken();
+
+        // Create session record
+        const sessionResult = await pool.query(`
+            INSERT INTO project_sessions_v6 (project_id, session_token, started_at, completed_at, ai_response, transcript, stage_outputs, batch_id,
+                                             experiment_id, variant_key, visitor_id, ai_input_tokens, ai_output_tokens, ai_cost, cache_status, user_ip)
+            VALUES ($1, $2, NOW(), NOW(), $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+            RETURNING id
+        `, [project.id, sessionToken, aiResponse, JSON.stringify(transcript), JSON.stringify(stageOutputs), batchId, ...tracking, userIp]);
+
+        const sessionId = sessionResult.rows[0].id;
+        await this.saveResponses(sessionId, visibleFields, answers);
+
+        return { sessionId, sessionToken };
+    }
+
+    /**
+     * Save a session's field responses (visible answers only)
+     */
+    async saveResponses(sessionId, visibleFields, answers) {
+        for (const field of visibleFields) {
+            if (fieldTypes.hasAnswer(answers[field.id])) {
+                await pool.query(`
+                    INSERT INTO project_responses_v6 (session_id, step_id, field_id, field_value)
+                    VALUES ($1, $2, $3, $4)
+                `, [sessionId, field.step_id, field.id, fieldTypes.serializeAnswer(field, answers[field.id]).toString()]);
+            }
+        }
+    }
+}
+
+module.exports = new ToolRequestService();
@@ -3,12 +3,12 @@
 // AI-Powered Tool Generation Engine
 // ========================================
 
-const ClaudeService = require('./claude');
+const llmClient = require('./llmClient');
 const { v4: uuidv4 } = require('uuid');
 
 class UniversalGenerator {
     constructor() {
-        this.claude = new ClaudeService();
+        this.llm = llmClient;
         this.toolCategories = {
             assessment: {
                 name: 'Assessment Tools',
@@ -92,10 +92,10 @@ Important:
 
 Respond ONLY with valid JSON. Do not include any other text.`;
 
-            const response = await this.claude.generateContent(prompt, {
-                model: 'claude-3-opus-20240229',
+            const response = await this.llm.generateContent(prompt, {
                 max_tokens: 2000,
-                temperature: 0.3
+                temperature: 0.3,
+                json: true
             });
 
             // Parse the AI response
@@ -178,10 +178,10 @@ Respond with valid JSON containing:
   "fields": [...] // Flat array of all fields
 }`;
 
-            const response = await this.claude.generateContent(prompt, {
-                model: 'claude-3-opus-20240229',
+            const response = await this.llm.generateContent(prompt, {
                 max_tokens: 3000,
-                temperature: 0.4
+                temperature: 0.4,
+                json: true
             });
 
             // Parse and validate the structure
@@ -241,8 +241,7 @@ Ensure field names don't conflict with common names.
 
 Respond with a JSON array of field objects.`;
 
-            const response = await this.claude.generateContent(prompt, {
-                model: 'claude-3-opus-20240229',
+            const response = await this.llm.generateContent(prompt, {
                 max_tokens: 2000,
                 temperature: 0.5
             });
@@ -92,6 +92,10 @@
             return cleanPath ? `${baseUrl}/${cleanPath}` : baseUrl;
         },
         
+        // Live editing socket of this page, sent with API calls so the
+        // server doesn't echo our own changes back to us
+        socketId: null,
+        
         // Get environment
         getEnvironment: function() {
             return config.environment;
@@ -117,6 +121,10 @@
                 defaultHeaders['Authorization'] = `Bearer ${token}`;
             }
             
+            if (this.socketId) {
+                defaultHeaders['X-Socket-Id'] = this.socketId;
+            }
+            
             // Merge options
             const fetchOptions = {
                 ...options,
@@ -8,22 +8,41 @@ class PromptEngineerV6_1_0rc {
         this.currentProject = null;
         this.currentStep = null;
         this.projects = [];
+        this.sharedProjects = [];
+        this.invitations = [];
         this.steps = [];
         
+        // Live co-editing state
+        this.socket = null;
+        this.liveViewers = [];
+        this.fieldLocks = [];
+        
+        // Change journal (undo/redo, activity timeline)
+        this.journalBusy = false;
+        this.activityEntries = [];
+        this.activityNextBefore = null;
+        
         this.init();
     }
 
     async init() {
         this.bindEvents();
+        this.connectLiveEditing();
         await this.loadProjects();
         
         // Check if we should load a specific project from URL
         const urlParams = new URLSearchParams(window.location.search);
-        const projectId = urlParams.get('id');
+        let projectId = urlParams.get('id');
+        
+        // Invitation links (?invite=) from the share email
+        const inviteToken = urlParams.get('invite');
+        if (inviteToken) {
+            projectId = await this.openInviteLink(inviteToken) || projectId;
+        }
         
         if (projectId) {
             // Find and load the specific project
-            const project = this.projects.find(p => p.id === projectId);
+            const project = this.findProject(projectId);
             if (project) {
                 this.editProject(projectId);
             } else {
@@ -41,6 +60,11 @@ class PromptEngineerV6_1_0rc {
         document.getElementById('create-first-project')?.addEventListener('click', () => this.showCreateModal());
         document.getElementById('cancel-create')?.addEventListener('click', () => this.hideCreateModal());
         
+        // Project import
+        document.getElementById('import-project-btn')?.addEventListener('click', () => document.getElementById('import-project-file')?.click());
+        document.getElementById('import-project-file')?.addEventListener('change', (e) => this.importProject(e));
+        document.getElementById('template-gallery-btn')?.addEventListener('click', () => this.showTemplateGallery());
+        
         // Multi-step creation flow
         document.getElementById('initial-project-form')?.addEventListener('submit', (e) => this.handleInitialSubmit(e));
         document.getElementById('back-to-step-1')?.addEventListener('click', () => this.showCreationStep(1));
@@ -69,6 +93,23 @@ class PromptEngineerV6_1_0rc {
         document.getElementById('deploy-project')?.addEventListener('click', () => this.deployProject());
         document.getElementById('preview-project')?.addEventListener('click', () => this.previewProject());
         document.getElementById('project-settings')?.addEventListener('click', () => this.showProjectSettings());
+        document.getElementById('project-versions')?.addEventListener('click', () => this.showVersionHistory());
+        document.getElementById('project-prompt')?.addEventListener('click', () => this.showPromptTemplateEditor());
+        document.getElementById('project-pipeline')?.addEventListener('click', () => this.showPromptPipelineEditor());
+        document.getElementById('project-output')?.addEventListener('click', () => this.showOutputSchemaEditor());
+        document.getElementById('project-translations')?.addEventListener('click', () => this.showTranslations());
+        document.getElementById('project-batch')?.addEventListener('click', () => this.showBatchRuns());
+        document.getElementById('project-tests')?.addEventListener('click', () => this.showPromptTests());
+        document.getElementById('project-experiments')?.addEventListener('click', () => this.showExperiments());
+        document.getElementById('project-cache')?.addEventListener('click', () => this.showResponseCache());
+        document.getElementById('project-save-template')?.addEventListener('click', () => this.showSaveTemplateModal());
+        document.getElementById('project-share')?.addEventListener('click', () => this.showShareModal());
+        document.getElementById('project-activity')?.addEventListener('click', () => this.showActivity());
+        
+        // Undo / redo
+        document.getElementById('project-undo')?.addEventListener('click', () => this.undoChange());
+        document.getElementById('project-redo')?.addEventListener('click', () => this.redoChange());
+        document.addEventListener('keydown', (e) => this.handleEditorShortcut(e));
         
         // Step management
         document.getElementById('add-step')?.addEventListener('click', () => this.addStep());
@@ -82,6 +123,7 @@ class PromptEngineerV6_1_0rc {
         document.getElementById('close-settings')?.addEventListener('click', () => this.hideProjectSettings());
         document.getElementById('cancel-settings')?.addEventListener('click', () => this.hideProjectSettings());
         document.getElementById('project-settings-form')?.addEventListener('submit', (e) => this.handleSaveProjectSettings(e));
+        document.getElementById('settings-ai-provider')?.addEventListener('change', () => this.renderGenerationModels());
     }
 
     // ================================
@@ -97,7 +139,9 @@ class PromptEngineerV6_1_0rc {
             
             if (data.success) {
                 this.projects = data.projects || [];
+                this.sharedProjects = data.shared_projects || [];
                 this.renderProjects();
+                this.loadInvitations();
             } else {
                 this.showError('Failed to load projects');
             }
@@ -113,9 +157,11 @@ class PromptEngineerV6_1_0rc {
         const grid = document.getElementById('projects-grid');
         const emptyState = document.getElementById('empty-state');
         
+        this.renderSharedProjects();
+        
         if (this.projects.length === 0) {
             grid.innerHTML = '';
-            emptyState.classList.remove('hidden');
+            emptyState.classList.toggle('hidden', this.sharedProjects.length > 0);
             return;
         }
         
@@ -189,10 +235,17 @@ class PromptEngineerV6_1_0rc {
         `).join('');
     }
 
+    /**
+     * Find a loaded project, owned or shared
+     */
+    findProject(projectId) {
+        return this.projects.find(p => p.id === projectId) || this.sharedProjects.find(p => p.id === projectId);
+    }
+
     async editProject(projectId) {
         try {
             // Find the project in our loaded projects
-            const project = this.projects.find(p => p.id === projectId);
+            const project = this.findProject(projectId);
             if (!project) {
                 this.showError('Project not found');
                 return;
@@ -766,7 +819,7 @@ class PromptEngineerV6_1_0rc {
                 const url = URL.createObjectURL(blob);
                 const a = document.createElement('a');
                 a.href = url;
-                a.download = `${data.export.name.replace(/[^a-zA-Z0-9]/g, '_')}_export.json`;
+                a.download = `${data.export.project.name.replace(/[^a-zA-Z0-9]/g, '_')}_export.json`;
                 document.body.appendChild(a);
                 a.click();
                 document.body.removeChild(a);
@@ -784,6 +837,52 @@ class PromptEngineerV6_1_0rc {
         }
     }
 
+    async importProject(e) {
+        const file = e.target.files[0];
+        e.target.value = ''; // Allow the same file to be picked again
+        if (!file) return;
+        
+        let importData;
+        try {
+            importData = JSON.parse(await file.text());
+        } catch (error) {
+            this.showError('The selected file is not valid JSON');
+            return;
+        }
+        
+        try {
+            this.showLoading('Importing project...');
+            
+            const response = await PMConfig.fetch('api/v6/projects/import', {
+                method: 'POST',
+                body: JSON.stringify(importData)
+            });
+            
+            const data = await response.json();
+            
+            if (data.success) {
+                const notes = [];
+                if (data.subdomain_changed) {
+                    notes.push(`subdomain changed to "${data.project.subdomain}"`);
+                }
+                if (data.warnings?.length > 0) {
+                    notes.push(`${data.warnings.length} rule condition(s) could not be carried over`);
+                    console.warn('Import warnings:', data.warnings);
+                }
+                
+                this.showSuccess(`${data.message}${notes.length > 0 ? ` (${notes.join('; ')})` : ''}`);
+                this.loadProjects();
+            } else {
+                this.showError(data.errors ? `${data.error}: ${data.errors.slice(0, 3).join('; ')}` : (data.error || 'Failed to import project'));
+            }
+        } catch (error) {
+            console.error('Error importing project:', error);
+            this.showError('Failed to import project');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
     async deleteProject(projectId, projectName) {
         if (!confirm(`Are you sure you want to delete "${projectName}"? This action cannot be undone.`)) {
             return;
@@ -879,9 +978,11 @@ class PromptEngineerV6_1_0rc {
         // Update header
         document.getElementById('project-title').textContent = this.currentProject.name;
         document.getElementById('project-description').textContent = this.currentProject.description;
+        this.applyProjectRole(this.findProject(this.currentProject.id)?.owner_email);
         
         // Render steps
         this.renderSteps();
+        this.joinLiveProject();
     }
 
     showProjectListView() {
@@ -903,6 +1004,7 @@ class PromptEngineerV6_1_0rc {
                     <div>
                         <div class="font-medium text-sm">${step.name || `Step ${index + 1}`}</div>
                         <div class="text-xs text-gray-500">${step.fields?.length || 0} fields</div>
+                        ${this.renderStepPresence(step.id)}
                     </div>
                     <div class="flex space-x-1">
                         <button onclick="event.stopPropagation(); promptEngineer.moveStep('${step.id}', 'up')" 
@@ -932,6 +1034,7 @@ class PromptEngineerV6_1_0rc {
         this.currentStep = this.steps.find(s => s.id === stepId);
         this.renderSteps(); // Re-render to update selection
         this.renderStepEditor();
+        this.socket?.emit('presence:update', { step_id: stepId });
     }
 
     renderStepEditor() {
@@ -954,6 +1057,11 @@ class PromptEngineerV6_1_0rc {
                 <div class="flex justify-between items-center mb-4">
                     <h3 class="text-lg font-semibold">Step: ${this.escapeHtml(this.currentStep.name)}</h3>
                     <div class="flex space-x-2">
+                        <button onclick="promptEngineer.showBranchEditor('${this.currentStep.id}')" 
+                                class="text-purple-600 hover:text-purple-800 flex items-center" title="Step Branching">
+                            <i class="fas fa-code-branch mr-1"></i>
+                            Branching${this.currentStep.branch_rules?.length > 0 ? ` (${this.currentStep.branch_rules.length})` : ''}
+                        </button>
                         <button onclick="promptEngineer.editStepSettings('${this.currentStep.id}')" 
                                 class="text-blue-600 hover:text-blue-800 flex items-center">
                             <i class="fas fa-cog mr-1"></i>
@@ -1005,6 +1113,8 @@ class PromptEngineerV6_1_0rc {
                                         <span class="font-medium">${this.escapeHtml(field.label)}</span>
                                         <span class="px-2 py-1 text-xs rounded bg-gray-100 text-gray-600">${field.field_type}</span>
                                         ${field.is_required ? '<span class="px-2 py-1 text-xs rounded bg-red-100 text-red-600">Required</span>' : ''}
+                                        ${field.visibility_rules?.conditions?.length > 0 ? '<span class="px-2 py-1 text-xs rounded bg-purple-100 text-purple-600">Conditional</span>' : ''}
+                                        ${this.renderFieldLock(field.id)}
                                     </div>
                                     <div class="text-sm text-gray-600">${this.escapeHtml(field.description || '')}</div>
                                     ${field.placeholder ? `<div class="text-xs text-gray-500 mt-1">Placeholder: ${this.escapeHtml(field.placeholder)}</div>` : ''}
@@ -1023,6 +1133,10 @@ class PromptEngineerV6_1_0rc {
                                             class="text-gray-400 hover:text-gray-600 p-1 ${index === fields.length - 1 ? 'opacity-50 cursor-not-allowed' : ''}">
                                         <i class="fas fa-chevron-down"></i>
                                     </button>
+                                    <button onclick="promptEngineer.showVisibilityEditor('${field.id}')" 
+                                            class="text-purple-400 hover:text-purple-600 p-1" title="Visibility Logic">
+                                        <i class="fas fa-code-branch"></i>
+                                    </button>
                                     <button onclick="promptEngineer.editField('${field.id}')" 
                                             class="text-blue-400 hover:text-blue-600 p-1" title="Edit Field">
                                         <i class="fas fa-edit"></i>
@@ -1093,6 +1207,32 @@ class PromptEngineerV6_1_0rc {
             if (field.choices?.length > 0) {
                 document.getElementById('field-choices').value = field.choices.map(c => c.label).join('\\n');
             }
+            
+            const rules = field.validation_rules || {};
+            document.getElementById('rule-min-length').value = rules.minLength ?? '';
+            document.getElementById('rule-max-length').value = rules.maxLength ?? '';
+            document.getElementById('rule-min').value = rules.min ?? '';
+            document.getElementById('rule-max').value = rules.max ?? '';
+            document.getElementById('rule-pattern').value = rules.pattern || '';
+            document.getElementById('rule-pattern-message').value = rules.patternMessage || '';
+            document.getElementById('rule-max-selections').value = rules.maxSelections ?? '';
+            
+            const config = field.field_config || {};
+            document.getElementById('config-unit').value = config.unit || '';
+            document.getElementById('config-step').value = config.step ?? '';
+            document.getElementById('config-slider-min').value = field.field_type === 'slider' ? (config.min ?? '') : '';
+            document.getElementById('config-slider-max').value = field.field_type === 'slider' ? (config.max ?? '') : '';
+            document.getElementById('config-min-date').value = config.minDate || '';
+            document.getElementById('config-max-date').value = config.maxDate || '';
+            document.getElementById('config-rating-max').value = field.field_type === 'rating' ? (config.max ?? '') : '';
+            document.getElementById('config-likert-rows').value = (config.rows || []).join('\n');
+            document.getElementById('config-likert-scale').value = (config.scale || []).join('\n');
+            document.getElementById('config-subfields').value = (config.subfields || [])
+                .map(subfield => `${subfield.label} | ${subfield.type}`)
+                .join('\n');
+            document.getElementById('config-min-items').value = config.minItems ?? '';
+            document.getElementById('config-max-items').value = config.maxItems ?? '';
+            document.getElementById('config-add-label').value = config.addLabel || '';
         } else {
             document.getElementById('field-editor-form').reset();
         }
@@ -1104,6 +1244,7 @@ class PromptEngineerV6_1_0rc {
     hideFieldModal() {
         document.getElementById('field-editor-modal').classList.add('hidden');
         document.getElementById('field-editor-form').reset();
+        this.unlockField();
     }
 
     updateFieldChoicesVisibility() {
@@ -1115,12 +1256,83 @@ class PromptEngineerV6_1_0rc {
         } else {
             choicesSection.classList.add('hidden');
         }
+        
+        // Length, range and pattern apply to typed answers; max selections to checkboxes
+        document.getElementById('field-rules-section').classList.toggle('hidden', this.getFieldConfigTypes().includes(fieldType) && fieldType !== 'number');
+        document.getElementById('field-rules-text').classList.toggle('hidden', ['select', 'radio', 'checkbox'].includes(fieldType));
+        document.getElementById('field-rules-selections').classList.toggle('hidden', fieldType !== 'checkbox');
+        
+        // Type-specific settings
+        document.getElementById('field-config-section').classList.toggle('hidden', !this.getFieldConfigTypes().includes(fieldType));
+        document.querySelectorAll('#field-config-section [data-config-types]').forEach(panel => {
+            panel.classList.toggle('hidden', !panel.dataset.configTypes.split(' ').includes(fieldType));
+        });
+    }
+
+    getFieldConfigTypes() {
+        return ['number', 'slider', 'date', 'rating', 'likert', 'repeater'];
+    }
+
+    readFieldConfig(fieldType) {
+        const read = id => document.getElementById(id).value.trim();
+        const readLines = id => read(id).split('\n').map(line => line.trim()).filter(Boolean);
+        
+        switch (fieldType) {
+            case 'number':
+                return { unit: read('config-unit'), step: read('config-step') };
+            case 'slider':
+                return {
+                    unit: read('config-unit'),
+                    step: read('config-step'),
+                    min: read('config-slider-min'),
+                    max: read('config-slider-max')
+                };
+            case 'date':
+                return { minDate: read('config-min-date'), maxDate: read('config-max-date') };
+            case 'rating':
+                return { max: read('config-rating-max') };
+            case 'likert':
+                return { rows: readLines('config-likert-rows'), scale: readLines('config-likert-scale') };
+            case 'repeater':
+                return {
+                    subfields: readLines('config-subfields').map(line => {
+                        const [label, type] = line.split('|').map(part => part.trim());
+                        return { label, type: (type || 'text').toLowerCase() };
+                    }),
+                    minItems: read('config-min-items'),
+                    maxItems: read('config-max-items'),
+                    addLabel: read('config-add-label')
+                };
+            default:
+                return {};
+        }
+    }
+
+    readFieldValidationRules(fieldType) {
+        const skipTextRules = ['select', 'radio', 'checkbox'].includes(fieldType) ||
+            (this.getFieldConfigTypes().includes(fieldType) && fieldType !== 'number');
+        const read = id => document.getElementById(id).value.trim();
+        
+        // Keep rules this editor does not manage (multiple, disabled, options)
+        const { minLength, maxLength, min, max, pattern, patternMessage, maxSelections, ...otherRules } = this.currentEditingField?.validation_rules || {};
+        
+        return {
+            ...otherRules,
+            minLength: skipTextRules ? '' : read('rule-min-length'),
+            maxLength: skipTextRules ? '' : read('rule-max-length'),
+            min: skipTextRules ? '' : read('rule-min'),
+            max: skipTextRules ? '' : read('rule-max'),
+            pattern: skipTextRules ? '' : read('rule-pattern'),
+            patternMessage: skipTextRules ? '' : read('rule-pattern-message'),
+            maxSelections: fieldType === 'checkbox' ? read('rule-max-selections') : ''
+        };
     }
 
     addField(stepId) {
         this.currentFieldStepId = stepId;
         this.currentEditingField = null;
         this.showFieldModal();
+        this.showFieldLockNotice(null);
     }
 
     editField(fieldId) {
@@ -1130,6 +1342,7 @@ class PromptEngineerV6_1_0rc {
         this.currentEditingField = field;
         this.currentFieldStepId = this.currentStep.id;
         this.showFieldModal(field);
+        this.lockField(fieldId);
     }
 
     async handleSaveField(e) {
@@ -1142,6 +1355,8 @@ class PromptEngineerV6_1_0rc {
         const description = document.getElementById('field-description').value;
         const is_required = document.getElementById('field-required').checked;
         const choices = document.getElementById('field-choices').value;
+        const validation = this.readFieldValidationRules(field_type);
+        const field_config = this.readFieldConfig(field_type);
         
         if (!name || !label) {
             this.showError('Name and label are required');
@@ -1161,7 +1376,9 @@ class PromptEngineerV6_1_0rc {
                         field_type: field_type,
                         placeholder: placeholder,
                         description: description,
-                        required: is_required
+                        required: is_required,
+                        validation: validation,
+                        field_config: field_config
                     })
                 });
             } else {
@@ -1174,7 +1391,9 @@ class PromptEngineerV6_1_0rc {
                         field_type: field_type,
                         placeholder: placeholder,
                         description: description,
-                        required: is_required
+                        required: is_required,
+                        validation: validation,
+                        field_config: field_config
                     })
                 });
             }
@@ -1191,6 +1410,8 @@ class PromptEngineerV6_1_0rc {
                 
                 // Reload project to get updated fields
                 this.editProject(this.currentProject.id);
+            } else if (data.errors?.length) {
+                this.showError(`${data.error}: ${data.errors.join('; ')}`);
             } else {
                 this.showError(data.error || 'Failed to save field');
             }
@@ -1360,10 +1581,130 @@ class PromptEngineerV6_1_0rc {
     // PROJECT ACTIONS
     // ================================
 
+    /**
+     * Run the pre-deploy check first; the checklist only shows when it
+     * finds something
+     */
     async deployProject() {
         if (!this.currentProject) return;
         
-        if (!confirm(`Deploy "${this.currentProject.name}" as a public tool?`)) {
+        try {
+            this.showLoading('Checking project...');
+            
+            const response = await PMConfig.fetch(`api/v6/projects/${this.currentProject.id}/lint`);
+            const data = await response.json();
+            
+            if (!data.success) {
+                this.showError(data.error || 'Failed to check project');
+                return;
+            }
+            
+            this.hideLoading();
+            if (data.issues.length > 0) {
+                this.renderDeployChecklist(data);
+            } else {
+                await this.confirmDeploy(false);
+            }
+        } catch (error) {
+            console.error('Error checking project:', error);
+            this.showError('Failed to check project');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    renderDeployChecklist(report) {
+        this.hideDeployChecklist();
+
+        const styles = {
+            error: { icon: 'fa-times-circle text-red-600', row: 'border-red-200 bg-red-50' },
+            warning: { icon: 'fa-exclamation-triangle text-yellow-600', row: 'border-yellow-200 bg-yellow-50' }
+        };
+
+        const modalHTML = `
+            <div id="deploy-checklist-modal" class="fixed inset-0 bg-black bg-opacity-50 modal flex items-center justify-center z-50">
+                <div class="bg-white rounded-lg p-8 max-w-3xl w-full mx-4 max-h-[90vh] overflow-y-auto">
+                    <div class="flex items-center justify-between mb-4">
+                        <h3 class="text-2xl font-semibold text-gray-900">Pre-deploy Checklist</h3>
+                        <button onclick="promptEngineer.hideDeployChecklist()" class="text-gray-400 hover:text-gray-600 text-2xl">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </div>
+                    <p class="text-sm text-gray-600 mb-4">
+                        ${report.error_count} error${report.error_count === 1 ? '' : 's'} and ${report.warning_count} warning${report.warning_count === 1 ? '' : 's'}.
+                        ${report.can_deploy ? 'Warnings don\'t block the deploy.' : 'Errors block the deploy until they are fixed.'}
+                    </p>
+
+                    <div class="space-y-2">
+                        ${report.issues.map(issue => `
+                            <div class="border rounded-lg p-3 ${styles[issue.severity].row}">
+                                <div class="flex items-start space-x-3">
+                                    <i class="fas ${styles[issue.severity].icon} mt-1"></i>
+                                    <div class="flex-1">
+                                        <div class="text-sm font-medium text-gray-900">${this.escapeHtml(issue.message)}</div>
+                                        <div class="text-xs text-gray-600 mt-1">${this.escapeHtml(issue.suggestion)}</div>
+                                    </div>
+                                    ${issue.step_id ? `
+                                        <button onclick="promptEngineer.showChecklistIssue('${issue.step_id}', '${issue.field_id || ''}')" 
+                                                class="text-blue-600 hover:text-blue-800 text-sm whitespace-nowrap">
+                                            Show
+                                        </button>
+                                    ` : ''}
+                                </div>
+                            </div>
+                        `).join('')}
+                    </div>
+
+                    ${report.can_deploy ? '' : `
+                        <label class="flex items-center mt-4 text-sm text-gray-700">
+                            <input type="checkbox" id="deploy-override-lint" class="mr-2" 
+                                   onchange="document.getElementById('deploy-checklist-confirm').disabled = !this.checked">
+                            Deploy anyway, I understand the tool may not work as expected
+                        </label>
+                    `}
+
+                    <div class="flex justify-end space-x-3 mt-6">
+                        <button onclick="promptEngineer.hideDeployChecklist()" class="px-4 py-2 border rounded text-gray-700 hover:bg-gray-50">
+                            Cancel
+                        </button>
+                        <button id="deploy-checklist-confirm" onclick="promptEngineer.confirmDeploy(${!report.can_deploy})" ${report.can_deploy ? '' : 'disabled'}
+                                class="px-4 py-2 bg-purple-600 text-white rounded hover:bg-purple-700 disabled:opacity-50">
+                            <i class="fas fa-rocket mr-1"></i>Deploy
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHTML);
+    }
+
+    hideDeployChecklist() {
+        const modal = document.getElementById('deploy-checklist-modal');
+        if (modal) {
+            modal.remove();
+        }
+    }
+
+    /**
+     * Jump from a checklist item to the step (and field) it is about
+     */
+    showChecklistIssue(stepId, fieldId) {
+        this.hideDeployChecklist();
+        this.selectStep(stepId);
+        if (fieldId) {
+            this.editField(fieldId);
+        }
+    }
+
+    async confirmDeploy(overrideLint) {
+        if (!this.currentProject) return;
+        
+        this.hideDeployChecklist();
+        
+        // Every deploy publishes the current draft as a new version
+        const notes = prompt(`Deploy "${this.currentProject.name}" as a public tool?\n\nRelease notes for this version (optional):`, '');
+        if (notes === null) {
             return;
         }
         
@@ -1371,14 +1712,22 @@ class PromptEngineerV6_1_0rc {
             this.showLoading('Deploying project...');
             
             const response = await PMConfig.fetch(`api/v6/projects/${this.currentProject.id}/deploy`, {
-                method: 'POST'
+                method: 'POST',
+                body: JSON.stringify({ notes: notes.trim() || null, override_lint: overrideLint })
             });
             
             const data = await response.json();
             
             if (data.success) {
                 this.currentProject.deployed = true;
-                this.showSuccess(`Project deployed successfully! Available at: ${data.deployment?.url || 'URL not available'}`);
+                this.showSuccess(`Version ${data.version?.version_number} deployed successfully! Available at: ${data.deployment?.url || 'URL not available'}`);
+            } else if (data.lint) {
+                // Someone introduced an error since the checklist was shown
+                this.renderDeployChecklist(data.lint);
+            } else if (data.tests) {
+                // The test gate is on and the draft has no passing run
+                this.showError(data.error);
+                this.showPromptTests();
             } else {
                 this.showError(data.error || 'Failed to deploy project');
             }
@@ -1401,156 +1750,4268 @@ class PromptEngineerV6_1_0rc {
     }
 
     // ================================
-    // PROJECT SETTINGS
+    // PROMPT TEMPLATE
     // ================================
 
-    showProjectSettings() {
+    async showPromptTemplateEditor() {
         if (!this.currentProject) return;
-        
-        // Populate form with current project data
-        document.getElementById('settings-project-name').value = this.currentProject.name || '';
-        document.getElementById('settings-ai-role').value = this.currentProject.ai_role || '';
-        document.getElementById('settings-project-description').value = this.currentProject.description || '';
-        document.getElementById('settings-header-title').value = this.currentProject.header_title || '';
-        document.getElementById('settings-header-subtitle').value = this.currentProject.header_subtitle || '';
-        document.getElementById('update-subdomain').checked = false;
-        
-        document.getElementById('project-settings-modal').classList.remove('hidden');
-    }
-
-    hideProjectSettings() {
-        document.getElementById('project-settings-modal').classList.add('hidden');
-    }
 
-    async handleSaveProjectSettings(e) {
-        e.preventDefault();
-        
-        if (!this.currentProject) return;
-        
         try {
-            this.showLoading('Saving project settings...');
-            
-            const formData = {
-                name: document.getElementById('settings-project-name').value.trim(),
-                ai_role: document.getElementById('settings-ai-role').value.trim(),
-                description: document.getElementById('settings-project-description').value.trim(),
-                header_title: document.getElementById('settings-header-title').value.trim(),
-                header_subtitle: document.getElementById('settings-header-subtitle').value.trim(),
-                updateSubdomain: document.getElementById('update-subdomain').checked
-            };
-
-            const response = await PMConfig.fetch(`api/v6/projects/${this.currentProject.id}`, {
-                method: 'PUT',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(formData)
-            });
+            this.showLoading('Loading prompt template...');
 
+            const response = await PMConfig.fetch(`api/v6/projects/${this.currentProject.id}/prompt-template`);
             const data = await response.json();
 
-            if (data.success) {
-                // Update current project with returned data
-                this.currentProject = { ...this.currentProject, ...data.project };
-                
-                // Update the project title and description in the editor
-                document.getElementById('project-title').textContent = this.currentProject.name;
-                document.getElementById('project-description').textContent = this.currentProject.description;
-                
-                this.hideProjectSettings();
-                this.showSuccess('Project settings saved successfully!');
-                
-                // Reload project list to reflect changes
-                this.loadProjects();
-            } else {
-                this.showError(data.error || 'Failed to save project settings');
+            if (!data.success) {
+                this.showError(data.error || 'Failed to load prompt template');
+                return;
             }
+
+            this.renderPromptTemplateEditor(data);
+            this.refreshPromptPreview();
         } catch (error) {
-            console.error('Error saving project settings:', error);
-            this.showError('Failed to save project settings');
+            console.error('Error loading prompt template:', error);
+            this.showError('Failed to load prompt template');
         } finally {
             this.hideLoading();
         }
     }
 
-    // ================================
-    // VIEW MANAGEMENT
-    // ================================
+    renderPromptTemplateEditor(data) {
+        this.hidePromptTemplateEditor();
 
-    showProjectListView() {
-        document.getElementById('project-list-view').classList.remove('hidden');
-        document.getElementById('project-editor-view').classList.add('hidden');
-    }
+        const placeholders = data.placeholders || [];
+        const modalHTML = `
+            <div id="prompt-template-modal" class="fixed inset-0 bg-black bg-opacity-50 modal flex items-center justify-center z-50">
+                <div class="bg-white rounded-lg p-8 max-w-6xl w-full mx-4 max-h-[90vh] overflow-y-auto">
+                    <div class="flex items-center justify-between mb-4">
+                        <h3 class="text-2xl font-semibold text-gray-900">Prompt Template</h3>
+                        <button onclick="promptEngineer.hidePromptTemplateEditor()" class="text-gray-400 hover:text-gray-600 text-2xl">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </div>
+                    <p class="text-sm text-gray-600 mb-4">
+                        Use <code>{{field_name}}</code>, <code>{{field_name | default: "text"}}</code>,
+                        <code>{{#if field_name}}...{{else}}...{{/if}}</code>, <code>{{#each field_name}}{{this}}{{/each}}</code>
+                        and <code>{{answers}}</code> for every answer. Leave the user prompt empty to send all answers as "Label: value" lines.
+                    </p>
 
-    showProjectEditorView() {
-        document.getElementById('project-list-view').classList.add('hidden');
-        document.getElementById('project-editor-view').classList.remove('hidden');
-    }
+                    <div class="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                        <div class="space-y-4">
+                            <div>
+                                <label class="block text-sm font-medium text-gray-700 mb-2">System Prompt</label>
+                                <textarea id="prompt-system" rows="6" oninput="promptEngineer.schedulePromptPreview()" onfocus="promptEngineer.promptInsertTarget = this.id"
+                                          class="w-full p-3 border border-gray-300 rounded-lg font-mono text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent">${this.escapeHtml(data.system_prompt || '')}</textarea>
+                                <label class="flex items-center mt-2 text-sm text-gray-600">
+                                    <input type="checkbox" id="prompt-system-template" onchange="promptEngineer.schedulePromptPreview()" class="mr-2"
+                                           ${data.system_prompt_is_template ? 'checked' : ''}>
+                                    Use placeholders in the system prompt (otherwise it is sent exactly as written)
+                                </label>
+                            </div>
+                            <div>
+                                <label class="block text-sm font-medium text-gray-700 mb-2">User Prompt Template</label>
+                                <textarea id="prompt-user" rows="10" oninput="promptEngineer.schedulePromptPreview()" onfocus="promptEngineer.promptInsertTarget = this.id"
+                                          class="w-full p-3 border border-gray-300 rounded-lg font-mono text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent">${this.escapeHtml(data.user_prompt_template || '')}</textarea>
+                            </div>
+                            <div>
+                                <label class="block text-sm font-medium text-gray-700 mb-2">Fields</label>
+                                <div class="flex flex-wrap gap-2">
+                                    ${placeholders.length === 0 ? '<span class="text-sm text-gray-500">This project has no fields yet.</span>' : ''}
+                                    ${placeholders.map(placeholder => `
+                                        <button type="button" onclick="promptEngineer.insertPromptPlaceholder('${placeholder.name}')"
+                                                title="${this.escapeHtml(placeholder.label).replace(/"/g, '&quot;')} (${placeholder.field_type})"
+                                                class="px-2 py-1 text-xs rounded bg-gray-100 text-gray-700 hover:bg-gray-200 font-mono">
+                                            {{${placeholder.name}}}
+                                        </button>
+                                    `).join('')}
+                                </div>
+                            </div>
+                            <div>
+                                <label class="block text-sm font-medium text-gray-700 mb-2">Sample Answers (JSON)</label>
+                                <textarea id="prompt-samples" rows="6" oninput="promptEngineer.schedulePromptPreview()"
+                                          class="w-full p-3 border border-gray-300 rounded-lg font-mono text-xs focus:ring-2 focus:ring-blue-500 focus:border-transparent">${this.escapeHtml(JSON.stringify(data.sample_answers || {}, null, 2))}</textarea>
+                            </div>
+                        </div>
 
-    // ================================
-    // UTILITY METHODS
-    // ================================
+                        <div class="space-y-4">
+                            <div id="prompt-validation"></div>
+                            <div>
+                                <h4 class="text-sm font-medium text-gray-700 mb-2">Preview: System Prompt</h4>
+                                <pre id="prompt-preview-system" class="bg-gray-50 border rounded-lg p-3 text-sm whitespace-pre-wrap min-h-[4rem]"></pre>
+                            </div>
+                            <div>
+                                <h4 class="text-sm font-medium text-gray-700 mb-2">Preview: User Prompt</h4>
+                                <pre id="prompt-preview-user" class="bg-gray-50 border rounded-lg p-3 text-sm whitespace-pre-wrap min-h-[8rem]"></pre>
+                            </div>
+                        </div>
+                    </div>
 
-    showLoading(message = 'Loading...') {
-        document.getElementById('loading-text').textContent = message;
-        document.getElementById('loading-overlay').classList.remove('hidden');
-    }
+                    <div class="flex justify-end space-x-3 mt-6">
+                        <button onclick="promptEngineer.hidePromptTemplateEditor()" class="bg-gray-300 text-gray-700 px-4 py-2 rounded hover:bg-gray-400">
+                            Cancel
+                        </button>
+                        <button onclick="promptEngineer.savePromptTemplate()" class="bg-teal-600 text-white px-4 py-2 rounded hover:bg-teal-700">
+                            Save Prompt
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
 
-    hideLoading() {
-        document.getElementById('loading-overlay').classList.add('hidden');
+        this.promptInsertTarget = 'prompt-user';
+        document.body.insertAdjacentHTML('beforeend', modalHTML);
     }
 
-    showSuccess(message) {
-        // You can implement a toast notification system here
-        alert(message); // Temporary
-    }
+    hidePromptTemplateEditor() {
+        clearTimeout(this.promptPreviewTimer);
 
-    showError(message) {
-        // You can implement a toast notification system here
-        alert('Error: ' + message); // Temporary
+        const modal = document.getElementById('prompt-template-modal');
+        if (modal) {
+            modal.remove();
+        }
     }
 
-    escapeHtml(text) {
-        if (!text) return '';
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+    insertPromptPlaceholder(name) {
+        const textarea = document.getElementById(this.promptInsertTarget || 'prompt-user');
+        if (!textarea) return;
+
+        const placeholder = `{{${name}}}`;
+        const start = textarea.selectionStart ?? textarea.value.length;
+        const end = textarea.selectionEnd ?? textarea.value.length;
+
+        textarea.value = textarea.value.slice(0, start) + placeholder + textarea.value.slice(end);
+        textarea.focus();
+        textarea.selectionStart = textarea.selectionEnd = start + placeholder.length;
+        this.schedulePromptPreview();
     }
 
-    formatDate(dateString) {
-        const date = new Date(dateString);
-        return date.toLocaleDateString();
+    schedulePromptPreview() {
+        clearTimeout(this.promptPreviewTimer);
+        this.promptPreviewTimer = setTimeout(() => this.refreshPromptPreview(), 400);
     }
 
-    // ================================
-    // STEP MANAGEMENT METHODS
-    // ================================
+    readPromptTemplateForm() {
+        const samplesText = document.getElementById('prompt-samples').value.trim();
+        let sampleAnswers = {};
+        let samplesError = null;
 
-    async editStepSettings(stepId) {
-        // Find the step
-        const step = this.steps.find(s => s.id === stepId);
-        if (!step) {
-            this.showError('Step not found');
-            return;
+        try {
+            sampleAnswers = samplesText ? JSON.parse(samplesText) : {};
+        } catch (error) {
+            samplesError = `Sample answers are not valid JSON: ${error.message}`;
         }
 
-        // For now, just show an alert - you can implement a modal later
-        const newName = prompt('Enter new step name:', step.name);
-        if (newName && newName.trim() !== step.name) {
-            await this.updateStep(stepId, { name: newName.trim() });
-        }
+        return {
+            system_prompt: document.getElementById('prompt-system').value,
+            system_prompt_is_template: document.getElementById('prompt-system-template').checked,
+            user_prompt_template: document.getElementById('prompt-user').value,
+            sample_answers: sampleAnswers,
+            samplesError
+        };
     }
 
-    async deleteStep(stepId) {
-        if (!confirm('Are you sure you want to delete this step? This action cannot be undone.')) {
-            return;
-        }
+    async refreshPromptPreview() {
+        if (!document.getElementById('prompt-template-modal')) return;
+
+        const { samplesError, ...form } = this.readPromptTemplateForm();
 
         try {
-            this.showLoading('Deleting step...');
+            const response = await PMConfig.fetch(`api/v6/projects/${this.currentProject.id}/prompt-template/preview`, {
+                method: 'POST',
+                body: JSON.stringify(form)
+            });
+            const data = await response.json();
 
-            const response = await PMConfig.fetch(`api/v6/steps/${stepId}`, {
-                method: 'DELETE'
+            // The editor may have been closed while the request was in flight
+            if (!document.getElementById('prompt-template-modal')) return;
+
+            if (!data.success) {
+                this.renderPromptValidation(null, data.error || 'Failed to preview prompt');
+                return;
+            }
+
+            this.renderPromptValidation(data.validation, samplesError);
+            document.getElementById('prompt-preview-system').textContent = data.preview ? data.preview.system_prompt : '';
+            document.getElementById('prompt-preview-user').textContent = data.preview ? data.preview.user_prompt : '';
+        } catch (error) {
+            console.error('Error previewing prompt:', error);
+            this.renderPromptValidation(null, 'Failed to preview prompt');
+        }
+    }
+
+    renderPromptValidation(validation, extraError = null) {
+        const container = document.getElementById('prompt-validation');
+        if (!container) return;
+
+        const messages = [];
+        if (extraError) {
+            messages.push({ level: 'error', text: extraError });
+        }
+        if (validation) {
+            [['System prompt', validation.system_prompt], ['User prompt', validation.user_prompt_template]].forEach(([name, result]) => {
+                (result.errors || []).forEach(text => messages.push({ level: 'error', text: `${name}: ${text}` }));
+                (result.warnings || []).forEach(text => messages.push({ level: 'warning', text: `${name}: ${text}` }));
+            });
+        }
+
+        container.innerHTML = messages.length === 0
+            ? '<div class="px-3 py-2 rounded bg-green-50 text-green-700 text-sm"><i class="fas fa-check mr-1"></i>Template is valid</div>'
+            : messages.map(message => `
+                <div class="px-3 py-2 mb-1 rounded text-sm ${message.level === 'error' ? 'bg-red-50 text-red-700' : 'bg-yellow-50 text-yellow-700'}">
+                    <i class="fas ${message.level === 'error' ? 'fa-times-circle' : 'fa-exclamation-triangle'} mr-1"></i>${this.escapeHtml(message.text)}
+                </div>
+            `).join('');
+    }
+
+    async savePromptTemplate() {
+        const { system_prompt, system_prompt_is_template, user_prompt_template } = this.readPromptTemplateForm();
+
+        try {
+            this.showLoading('Saving prompt...');
+
+            const response = await PMConfig.fetch(`api/v6/projects/${this.currentProject.id}/prompt-template`, {
+                method: 'PUT',
+                body: JSON.stringify({ system_prompt, system_prompt_is_template, user_prompt_template })
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                this.currentProject = { ...this.currentProject, ...data.project };
+                this.hidePromptTemplateEditor();
+                this.showSuccess('Prompt saved. Deploy to publish it.');
+            } else {
+                if (data.validation) {
+                    this.renderPromptValidation(data.validation);
+                }
+                this.showError(data.error || 'Failed to save prompt');
+            }
+        } catch (error) {
+            console.error('Error saving prompt:', error);
+            this.showError('Failed to save prompt');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    // ================================
+    // PROMPT PIPELINE
+    // ================================
+
+    async showPromptPipelineEditor() {
+        if (!this.currentProject) return;
+
+        try {
+            this.showLoading('Loading pipeline...');
+
+            const response = await PMConfig.fetch(`api/v6/projects/${this.currentProject.id}/prompt-pipeline`);
+            const data = await response.json();
+
+            if (!data.success) {
+                this.showError(data.error || 'Failed to load pipeline');
+                return;
+            }
+
+            this.pipelineEditor = {
+                stages: data.stages || [],
+                inputs: data.inputs || [],
+                models: data.models || [],
+                maxStages: data.max_stages || 5
+            };
+            this.renderPromptPipelineEditor();
+        } catch (error) {
+            console.error('Error loading pipeline:', error);
+            this.showError('Failed to load pipeline');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    renderPromptPipelineEditor() {
+        this.hidePromptPipelineEditor();
+
+        const modalHTML = `
+            <div id="prompt-pipeline-modal" class="fixed inset-0 bg-black bg-opacity-50 modal flex items-center justify-center z-50">
+                <div class="bg-white rounded-lg p-8 max-w-5xl w-full mx-4 max-h-[90vh] overflow-y-auto">
+                    <div class="flex items-center justify-between mb-4">
+                        <h3 class="text-2xl font-semibold text-gray-900">Prompt Pipeline</h3>
+                        <button onclick="promptEngineer.hidePromptPipelineEditor()" class="text-gray-400 hover:text-gray-600 text-2xl">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </div>
+                    <p class="text-sm text-gray-600 mb-4">
+                        Stages run in order and the last stage's output is the tool's result. Templates use the same syntax as the
+                        prompt template, plus <code>{{stages.key}}</code> for the output of an earlier stage. Without stages the tool uses its single prompt.
+                    </p>
+
+                    <div id="pipeline-errors"></div>
+                    <div id="pipeline-stages" class="space-y-4"></div>
+
+                    <button id="pipeline-add-stage" onclick="promptEngineer.addPipelineStage()" class="mt-4 text-blue-600 hover:text-blue-800 text-sm">
+                        <i class="fas fa-plus mr-1"></i>Add Stage
+                    </button>
+
+                    <div class="flex justify-end space-x-3 mt-6">
+                        <button onclick="promptEngineer.hidePromptPipelineEditor()" class="bg-gray-300 text-gray-700 px-4 py-2 rounded hover:bg-gray-400">
+                            Cancel
+                        </button>
+                        <button onclick="promptEngineer.savePromptPipeline()" class="bg-teal-600 text-white px-4 py-2 rounded hover:bg-teal-700">
+                            Save Pipeline
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHTML);
+        this.renderPipelineStages();
+    }
+
+    renderPipelineStages() {
+        const container = document.getElementById('pipeline-stages');
+        if (!container) return;
+
+        const { stages, inputs, models, maxStages } = this.pipelineEditor;
+        const attr = (value) => this.escapeHtml(value === null || value === undefined ? '' : String(value)).replace(/"/g, '&quot;');
+
+        container.innerHTML = stages.length === 0
+            ? '<p class="text-sm text-gray-500 text-center py-6 border border-dashed rounded-lg">No stages yet. The tool uses its single prompt.</p>'
+            : stages.map((stage, index) => `
+                <div class="pipeline-stage border border-gray-200 rounded-lg p-4" data-index="${index}">
+                    <div class="flex items-center justify-between mb-3">
+                        <h4 class="font-medium text-gray-900">Stage ${index + 1}</h4>
+                        <div class="flex items-center space-x-2 text-gray-500">
+                            <button onclick="promptEngineer.movePipelineStage(${index}, -1)" ${index === 0 ? 'disabled' : ''} class="hover:text-gray-800 disabled:opacity-30" title="Move up">
+                                <i class="fas fa-arrow-up"></i>
+                            </button>
+                            <button onclick="promptEngineer.movePipelineStage(${index}, 1)" ${index === stages.length - 1 ? 'disabled' : ''} class="hover:text-gray-800 disabled:opacity-30" title="Move down">
+                                <i class="fas fa-arrow-down"></i>
+                            </button>
+                            <button onclick="promptEngineer.removePipelineStage(${index})" class="text-red-500 hover:text-red-700" title="Remove stage">
+                                <i class="fas fa-trash"></i>
+                            </button>
+                        </div>
+                    </div>
+                    <div class="grid grid-cols-2 md:grid-cols-5 gap-3 mb-3">
+                        <div class="col-span-2 md:col-span-1">
+                            <label class="block text-xs font-medium text-gray-700 mb-1">Key</label>
+                            <input type="text" class="pipeline-key w-full p-2 border border-gray-300 rounded font-mono text-sm" value="${attr(stage.key)}" placeholder="summary">
+                        </div>
+                        <div class="col-span-2 md:col-span-1">
+                            <label class="block text-xs font-medium text-gray-700 mb-1">Name</label>
+                            <input type="text" class="pipeline-name w-full p-2 border border-gray-300 rounded text-sm" value="${attr(stage.name)}" placeholder="Summarize answers">
+                        </div>
+                        <div>
+                            <label class="block text-xs font-medium text-gray-700 mb-1">Model</label>
+                            <select class="pipeline-model w-full p-2 border border-gray-300 rounded text-sm">
+                                <option value="">Default</option>
+                                ${models.map(model => `<option value="${model}" ${stage.model === model ? 'selected' : ''}>${model}</option>`).join('')}
+                            </select>
+                        </div>
+                        <div>
+                            <label class="block text-xs font-medium text-gray-700 mb-1">Temperature</label>
+                            <input type="number" class="pipeline-temperature w-full p-2 border border-gray-300 rounded text-sm" min="0" max="1" step="0.1" value="${attr(stage.temperature)}" placeholder="Default">
+                        </div>
+                        <div>
+                            <label class="block text-xs font-medium text-gray-700 mb-1">Max Tokens</label>
+                            <input type="number" class="pipeline-max-tokens w-full p-2 border border-gray-300 rounded text-sm" min="1" max="4096" step="1" value="${attr(stage.max_tokens)}" placeholder="Default">
+                        </div>
+                    </div>
+                    <div class="mb-3">
+                        <label class="block text-xs font-medium text-gray-700 mb-1">Input Fields <span class="text-gray-400">(none checked = all fields)</span></label>
+                        <div class="flex flex-wrap gap-3">
+                            ${inputs.map(input => `
+                                <label class="flex items-center space-x-1 text-sm text-gray-700" title="${attr(input.step_name)}">
+                                    <input type="checkbox" class="pipeline-input rounded" value="${input.name}" ${(stage.inputs || []).includes(input.name) ? 'checked' : ''}>
+                                    <span>${this.escapeHtml(input.label)}</span>
+                                </label>
+                            `).join('')}
+                        </div>
+                        ${index > 0 ? `
+                            <p class="text-xs text-gray-500 mt-2">Earlier outputs:
+                                ${stages.slice(0, index).map(earlier => `<code>{{stages.${this.escapeHtml(earlier.key || '')}}}</code>`).join(' ')}
+                            </p>
+                        ` : ''}
+                    </div>
+                    <div class="grid grid-cols-1 md:grid-cols-2 gap-3">
+                        <div>
+                            <label class="block text-xs font-medium text-gray-700 mb-1">System Prompt <span class="text-gray-400">(empty = project system prompt)</span></label>
+                            <textarea class="pipeline-system w-full p-2 border border-gray-300 rounded font-mono text-sm" rows="4">${this.escapeHtml(stage.system_prompt || '')}</textarea>
+                        </div>
+                        <div>
+                            <label class="block text-xs font-medium text-gray-700 mb-1">Prompt Template</label>
+                            <textarea class="pipeline-template w-full p-2 border border-gray-300 rounded font-mono text-sm" rows="4">${this.escapeHtml(stage.template || '')}</textarea>
+                        </div>
+                    </div>
+                </div>
+            `).join('');
+
+        document.getElementById('pipeline-add-stage')?.classList.toggle('hidden', stages.length >= maxStages);
+    }
+
+    readPipelineStages() {
+        return Array.from(document.querySelectorAll('#pipeline-stages .pipeline-stage')).map(card => ({
+            key: card.querySelector('.pipeline-key').value.trim(),
+            name: card.querySelector('.pipeline-name').value.trim(),
+            model: card.querySelector('.pipeline-model').value || null,
+            temperature: card.querySelector('.pipeline-temperature').value,
+            max_tokens: card.querySelector('.pipeline-max-tokens').value,
+            inputs: Array.from(card.querySelectorAll('.pipeline-input:checked')).map(input => input.value),
+            system_prompt: card.querySelector('.pipeline-system').value,
+            template: card.querySelector('.pipeline-template').value
+        }));
+    }
+
+    addPipelineStage() {
+        const stages = this.readPipelineStages();
+        const previous = stages[stages.length - 1];
+
+        stages.push({
+            key: `stage_${stages.length + 1}`,
+            name: '',
+            inputs: [],
+            template: previous && previous.key ? `{{stages.${previous.key}}}\n\n` : '{{answers}}'
+        });
+
+        this.pipelineEditor.stages = stages;
+        this.renderPipelineStages();
+    }
+
+    removePipelineStage(index) {
+        const stages = this.readPipelineStages();
+        stages.splice(index, 1);
+
+        this.pipelineEditor.stages = stages;
+        this.renderPipelineStages();
+    }
+
+    movePipelineStage(index, direction) {
+        const stages = this.readPipelineStages();
+        const target = index + direction;
+        if (target < 0 || target >= stages.length) return;
+
+        [stages[index], stages[target]] = [stages[target], stages[index]];
+        this.pipelineEditor.stages = stages;
+        this.renderPipelineStages();
+    }
+
+    hidePromptPipelineEditor() {
+        const modal = document.getElementById('prompt-pipeline-modal');
+        if (modal) {
+            modal.remove();
+        }
+    }
+
+    async savePromptPipeline() {
+        const stages = this.readPipelineStages();
+        const errorsContainer = document.getElementById('pipeline-errors');
+
+        try {
+            this.showLoading('Saving pipeline...');
+
+            const response = await PMConfig.fetch(`api/v6/projects/${this.currentProject.id}/prompt-pipeline`, {
+                method: 'PUT',
+                body: JSON.stringify({ stages })
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                this.currentProject = { ...this.currentProject, prompt_pipeline: data.stages };
+                this.hidePromptPipelineEditor();
+                this.showSuccess(`${data.message}. Deploy to publish it.`);
+            } else {
+                if (errorsContainer && data.errors) {
+                    errorsContainer.innerHTML = `
+                        <div class="bg-red-50 border border-red-200 text-red-700 rounded-lg p-3 mb-4 text-sm">
+                            ${data.errors.map(error => `<div>${this.escapeHtml(error)}</div>`).join('')}
+                        </div>
+                    `;
+                }
+                this.showError(data.error || 'Failed to save pipeline');
+            }
+        } catch (error) {
+            console.error('Error saving pipeline:', error);
+            this.showError('Failed to save pipeline');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    // ================================
+    // OUTPUT SCHEMA
+    // ================================
+
+    async showOutputSchemaEditor() {
+        if (!this.currentProject) return;
+
+        try {
+            this.showLoading('Loading output schema...');
+
+            const response = await PMConfig.fetch(`api/v6/projects/${this.currentProject.id}/output-schema`);
+            const data = await response.json();
+
+            if (!data.success) {
+                this.showError(data.error || 'Failed to load output schema');
+                return;
+            }
+
+            this.outputSchemaEditor = {
+                schema: data.output_schema || { display: 'cards', summary: false, min_items: 1, max_items: 10, fields: [] },
+                displays: data.displays || ['cards', 'table', 'list'],
+                fieldTypes: data.field_types || ['text'],
+                instructions: data.instructions
+            };
+            this.renderOutputSchemaEditor();
+        } catch (error) {
+            console.error('Error loading output schema:', error);
+            this.showError('Failed to load output schema');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    renderOutputSchemaEditor() {
+        this.hideOutputSchemaEditor();
+
+        const { schema, displays, instructions } = this.outputSchemaEditor;
+        const modalHTML = `
+            <div id="output-schema-modal" class="fixed inset-0 bg-black bg-opacity-50 modal flex items-center justify-center z-50">
+                <div class="bg-white rounded-lg p-8 max-w-4xl w-full mx-4 max-h-[90vh] overflow-y-auto">
+                    <div class="flex items-center justify-between mb-4">
+                        <h3 class="text-2xl font-semibold text-gray-900">Output Schema</h3>
+                        <button onclick="promptEngineer.hideOutputSchemaEditor()" class="text-gray-400 hover:text-gray-600 text-2xl">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </div>
+                    <p class="text-sm text-gray-600 mb-4">
+                        Describe the items the AI should return, e.g. names with a meaning and origin, or action items with a priority.
+                        Replies are checked against this schema (and retried when they don't match) and the tool shows them as cards, a table or a list.
+                        The first field is the title of each item.
+                    </p>
+
+                    <div id="output-schema-errors"></div>
+
+                    <div class="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700 mb-1">Display</label>
+                            <select id="output-display" class="w-full p-2 border border-gray-300 rounded">
+                                ${displays.map(display => `<option value="${display}" ${schema.display === display ? 'selected' : ''}>${display.charAt(0).toUpperCase() + display.slice(1)}</option>`).join('')}
+                            </select>
+                        </div>
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700 mb-1">Min Items</label>
+                            <input type="number" id="output-min-items" min="0" max="50" value="${schema.min_items}" class="w-full p-2 border border-gray-300 rounded">
+                        </div>
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700 mb-1">Max Items</label>
+                            <input type="number" id="output-max-items" min="1" max="50" value="${schema.max_items}" class="w-full p-2 border border-gray-300 rounded">
+                        </div>
+                        <div class="flex items-end pb-2">
+                            <label class="flex items-center space-x-2 text-sm text-gray-700">
+                                <input type="checkbox" id="output-summary" class="rounded" ${schema.summary ? 'checked' : ''}>
+                                <span>Include a summary</span>
+                            </label>
+                        </div>
+                    </div>
+
+                    <h4 class="text-sm font-medium text-gray-700 mb-2">Fields of Each Item</h4>
+                    <div id="output-fields" class="space-y-2"></div>
+                    <button onclick="promptEngineer.addOutputField()" class="mt-3 text-blue-600 hover:text-blue-800 text-sm">
+                        <i class="fas fa-plus mr-1"></i>Add Field
+                    </button>
+
+                    ${instructions ? `
+                        <details class="mt-4">
+                            <summary class="text-sm text-gray-600 cursor-pointer">Instructions added to the prompt</summary>
+                            <pre class="bg-gray-50 border rounded-lg p-3 text-xs whitespace-pre-wrap mt-2">${this.escapeHtml(instructions)}</pre>
+                        </details>
+                    ` : ''}
+
+                    <div class="flex justify-between mt-6">
+                        <button onclick="promptEngineer.saveOutputSchema(true)" class="text-red-600 hover:text-red-800 text-sm">
+                            Use Free Text Results
+                        </button>
+                        <div class="flex space-x-3">
+                            <button onclick="promptEngineer.hideOutputSchemaEditor()" class="bg-gray-300 text-gray-700 px-4 py-2 rounded hover:bg-gray-400">
+                                Cancel
+                            </button>
+                            <button onclick="promptEngineer.saveOutputSchema()" class="bg-teal-600 text-white px-4 py-2 rounded hover:bg-teal-700">
+                                Save Schema
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHTML);
+        this.renderOutputFields();
+    }
+
+    renderOutputFields() {
+        const container = document.getElementById('output-fields');
+        if (!container) return;
+
+        const { schema, fieldTypes } = this.outputSchemaEditor;
+        const attr = (value) => this.escapeHtml(value || '').replace(/"/g, '&quot;');
+
+        container.innerHTML = schema.fields.length === 0
+            ? '<p class="text-sm text-gray-500 text-center py-4 border border-dashed rounded-lg">No fields yet.</p>'
+            : schema.fields.map((field, index) => `
+                <div class="output-field grid grid-cols-12 gap-2 items-center" data-index="${index}">
+                    <input type="text" class="output-field-name col-span-2 p-2 border border-gray-300 rounded font-mono text-sm" value="${attr(field.name)}" placeholder="name">
+                    <input type="text" class="output-field-label col-span-3 p-2 border border-gray-300 rounded text-sm" value="${attr(field.label)}" placeholder="Label">
+                    <select class="output-field-type col-span-2 p-2 border border-gray-300 rounded text-sm" onchange="promptEngineer.updateOutputFieldOptions(this)">
+                        ${fieldTypes.map(type => `<option value="${type}" ${field.type === type ? 'selected' : ''}>${type.replace('_', ' ')}</option>`).join('')}
+                    </select>
+                    <input type="text" class="output-field-options col-span-3 p-2 border border-gray-300 rounded text-sm ${field.type === 'choice' ? '' : 'invisible'}"
+                           value="${attr((field.options || []).join(', '))}" placeholder="High, Medium, Low">
+                    <label class="col-span-1 flex items-center space-x-1 text-xs text-gray-600">
+                        <input type="checkbox" class="output-field-required rounded" ${field.required !== false ? 'checked' : ''}>
+                        <span>Req.</span>
+                    </label>
+                    <button onclick="promptEngineer.removeOutputField(${index})" class="col-span-1 text-red-500 hover:text-red-700" title="Remove field">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            `).join('');
+    }
+
+    updateOutputFieldOptions(select) {
+        const options = select.closest('.output-field').querySelector('.output-field-options');
+        options.classList.toggle('invisible', select.value !== 'choice');
+    }
+
+    readOutputSchemaForm() {
+        return {
+            display: document.getElementById('output-display').value,
+            summary: document.getElementById('output-summary').checked,
+            min_items: document.getElementById('output-min-items').value,
+            max_items: document.getElementById('output-max-items').value,
+            fields: Array.from(document.querySelectorAll('#output-fields .output-field')).map(row => {
+                const type = row.querySelector('.output-field-type').value;
+                const field = {
+                    name: row.querySelector('.output-field-name').value.trim(),
+                    label: row.querySelector('.output-field-label').value.trim(),
+                    type,
+                    required: row.querySelector('.output-field-required').checked
+                };
+                if (type === 'choice') {
+                    field.options = row.querySelector('.output-field-options').value.split(',').map(option => option.trim()).filter(Boolean);
+                }
+                return field;
+            })
+        };
+    }
+
+    addOutputField() {
+        const schema = this.readOutputSchemaForm();
+        schema.fields.push({ name: '', label: '', type: 'text', required: true });
+
+        this.outputSchemaEditor.schema = schema;
+        this.renderOutputFields();
+    }
+
+    removeOutputField(index) {
+        const schema = this.readOutputSchemaForm();
+        schema.fields.splice(index, 1);
+
+        this.outputSchemaEditor.schema = schema;
+        this.renderOutputFields();
+    }
+
+    hideOutputSchemaEditor() {
+        const modal = document.getElementById('output-schema-modal');
+        if (modal) {
+            modal.remove();
+        }
+    }
+
+    async saveOutputSchema(remove = false) {
+        const outputSchema = remove ? null : this.readOutputSchemaForm();
+        const errorsContainer = document.getElementById('output-schema-errors');
+
+        if (remove && !confirm('Remove the output schema? The tool will show free text results again.')) {
+            return;
+        }
+
+        try {
+            this.showLoading('Saving output schema...');
+
+            const response = await PMConfig.fetch(`api/v6/projects/${this.currentProject.id}/output-schema`, {
+                method: 'PUT',
+                body: JSON.stringify({ output_schema: outputSchema })
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                this.currentProject = { ...this.currentProject, output_schema: data.output_schema };
+                this.hideOutputSchemaEditor();
+                this.showSuccess(`${data.message}. Deploy to publish it.`);
+            } else {
+                if (errorsContainer && data.errors) {
+                    errorsContainer.innerHTML = `
+                        <div class="bg-red-50 border border-red-200 text-red-700 rounded-lg p-3 mb-4 text-sm">
+                            ${data.errors.map(error => `<div>${this.escapeHtml(error)}</div>`).join('')}
+                        </div>
+                    `;
+                }
+                this.showError(data.error || 'Failed to save output schema');
+            }
+        } catch (error) {
+            console.error('Error saving output schema:', error);
+            this.showError('Failed to save output schema');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    // ================================
+    // TRANSLATIONS
+    // ================================
+
+    async showTranslations() {
+        if (!this.currentProject) return;
+
+        try {
+            this.showLoading('Loading translations...');
+
+            const response = await PMConfig.fetch(`api/v6/projects/${this.currentProject.id}/translations`);
+            const data = await response.json();
+
+            if (!data.success) {
+                this.showError(data.error || 'Failed to load translations');
+                return;
+            }
+
+            const targets = data.locales.filter(locale => locale !== data.default_locale);
+            this.translationEditor = {
+                defaultLocale: data.default_locale,
+                locales: data.locales,
+                languages: data.languages,
+                maxLocales: data.max_locales,
+                entries: data.entries,
+                activeLocale: this.translationEditor && targets.includes(this.translationEditor.activeLocale)
+                    ? this.translationEditor.activeLocale
+                    : targets[0] || null
+            };
+            this.renderTranslations();
+        } catch (error) {
+            console.error('Error loading translations:', error);
+            this.showError('Failed to load translations');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    renderTranslations() {
+        this.hideTranslations();
+
+        const { defaultLocale, locales, languages, maxLocales } = this.translationEditor;
+        const modalHTML = `
+            <div id="translations-modal" class="fixed inset-0 bg-black bg-opacity-50 modal flex items-center justify-center z-50">
+                <div class="bg-white rounded-lg p-8 max-w-5xl w-full mx-4 max-h-[90vh] overflow-y-auto">
+                    <div class="flex items-center justify-between mb-4">
+                        <h3 class="text-2xl font-semibold text-gray-900">Languages</h3>
+                        <button onclick="promptEngineer.hideTranslations()" class="text-gray-400 hover:text-gray-600 text-2xl">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </div>
+                    <p class="text-sm text-gray-600 mb-4">
+                        The text you write in the editor is the default language. Each extra language gets its own page with a language switcher;
+                        visitors are sent to their browser's language (or ?lang=) and the AI answers in the language of the page.
+                        Missing translations fall back to the default text.
+                    </p>
+
+                    <div id="translations-errors"></div>
+
+                    <div class="grid md:grid-cols-3 gap-4 mb-4">
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700 mb-1">Default Language</label>
+                            <select id="translations-default" onchange="promptEngineer.updateTranslationLocales()" class="w-full p-2 border border-gray-300 rounded">
+                                ${Object.entries(languages).map(([code, name]) => `<option value="${code}" ${code === defaultLocale ? 'selected' : ''}>${name}</option>`).join('')}
+                            </select>
+                        </div>
+                        <div class="md:col-span-2">
+                            <label class="block text-sm font-medium text-gray-700 mb-1">Languages (up to ${maxLocales})</label>
+                            <div class="flex flex-wrap gap-3">
+                                ${Object.entries(languages).map(([code, name]) => `
+                                    <label class="flex items-center space-x-1 text-sm text-gray-700">
+                                        <input type="checkbox" class="translation-locale rounded" value="${code}" onchange="promptEngineer.updateTranslationLocales()"
+                                               ${locales.includes(code) ? 'checked' : ''} ${code === defaultLocale ? 'disabled' : ''}>
+                                        <span>${name}</span>
+                                    </label>
+                                `).join('')}
+                            </div>
+                        </div>
+                    </div>
+
+                    <div id="translation-tabs" class="flex flex-wrap gap-2 border-b mb-4"></div>
+                    <div id="translation-entries"></div>
+
+                    <div class="flex justify-end space-x-3 mt-6">
+                        <button onclick="promptEngineer.hideTranslations()" class="bg-gray-300 text-gray-700 px-4 py-2 rounded hover:bg-gray-400">
+                            Cancel
+                        </button>
+                        <button onclick="promptEngineer.saveTranslations()" class="bg-sky-600 text-white px-4 py-2 rounded hover:bg-sky-700">
+                            Save Translations
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHTML);
+        this.renderTranslationEntries();
+    }
+
+    renderTranslationEntries() {
+        const tabs = document.getElementById('translation-tabs');
+        const container = document.getElementById('translation-entries');
+        if (!tabs || !container) return;
+
+        const { defaultLocale, locales, languages, entries, activeLocale } = this.translationEditor;
+        const targets = locales.filter(locale => locale !== defaultLocale);
+
+        tabs.innerHTML = targets.map(locale => `
+            <button onclick="promptEngineer.selectTranslationLocale('${locale}')"
+                    class="px-4 py-2 text-sm ${locale === activeLocale ? 'border-b-2 border-sky-600 text-sky-700 font-medium' : 'text-gray-600 hover:text-gray-800'}">
+                ${languages[locale]}
+            </button>
+        `).join('');
+
+        if (!activeLocale) {
+            container.innerHTML = '<p class="text-sm text-gray-500 text-center py-6 border border-dashed rounded-lg">Add a language to translate the tool.</p>';
+            return;
+        }
+
+        const attr = (value) => this.escapeHtml(value || '').replace(/"/g, '&quot;');
+        const missing = entries.filter(entry => !(entry.translations[activeLocale] || '').trim()).length;
+
+        container.innerHTML = `
+            <div class="flex items-center justify-between mb-3">
+                <span class="text-sm text-gray-600">${missing === 0 ? 'Everything is translated.' : `${missing} of ${entries.length} texts not translated yet.`}</span>
+                <div class="flex items-center space-x-3">
+                    <label class="flex items-center space-x-1 text-sm text-gray-600">
+                        <input type="checkbox" id="translation-overwrite" class="rounded">
+                        <span>Replace existing</span>
+                    </label>
+                    <button onclick="promptEngineer.autoTranslate()" class="bg-purple-600 text-white px-3 py-2 rounded hover:bg-purple-700 text-sm">
+                        <i class="fas fa-magic mr-1"></i>Auto-Translate Draft
+                    </button>
+                </div>
+            </div>
+            <div class="space-y-2">
+                ${entries.map((entry, index) => `
+                    <div class="grid grid-cols-12 gap-3 items-start border-b pb-2">
+                        <div class="col-span-5">
+                            <div class="text-xs text-gray-500">${this.escapeHtml(entry.context)} · ${entry.column.replace('_', ' ')}</div>
+                            <div class="text-sm text-gray-800 whitespace-pre-wrap">${this.escapeHtml(entry.source)}</div>
+                        </div>
+                        <textarea class="translation-text col-span-7 p-2 border border-gray-300 rounded text-sm" rows="${entry.source.length > 80 ? 3 : 1}"
+                                  data-index="${index}" placeholder="${attr(entry.source)}">${this.escapeHtml(entry.translations[activeLocale] || '')}</textarea>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    readTranslationInputs() {
+        const { entries, activeLocale } = this.translationEditor;
+        if (!activeLocale) return;
+
+        document.querySelectorAll('#translation-entries .translation-text').forEach(input => {
+            entries[Number(input.dataset.index)].translations[activeLocale] = input.value;
+        });
+    }
+
+    selectTranslationLocale(locale) {
+        this.readTranslationInputs();
+        this.translationEditor.activeLocale = locale;
+        this.renderTranslationEntries();
+    }
+
+    updateTranslationLocales() {
+        this.readTranslationInputs();
+
+        const defaultLocale = document.getElementById('translations-default').value;
+        const checked = Array.from(document.querySelectorAll('.translation-locale:checked')).map(input => input.value);
+        const locales = [defaultLocale, ...checked.filter(locale => locale !== defaultLocale)];
+
+        document.querySelectorAll('.translation-locale').forEach(input => {
+            input.disabled = input.value === defaultLocale;
+            if (input.value === defaultLocale) input.checked = true;
+        });
+
+        const targets = locales.filter(locale => locale !== defaultLocale);
+        Object.assign(this.translationEditor, {
+            defaultLocale,
+            locales,
+            activeLocale: targets.includes(this.translationEditor.activeLocale) ? this.translationEditor.activeLocale : targets[0] || null
+        });
+        this.renderTranslationEntries();
+    }
+
+    hideTranslations() {
+        const modal = document.getElementById('translations-modal');
+        if (modal) {
+            modal.remove();
+        }
+    }
+
+    async saveTranslations(quiet = false) {
+        this.readTranslationInputs();
+
+        const { defaultLocale, locales, entries } = this.translationEditor;
+        const targets = locales.filter(locale => locale !== defaultLocale);
+        const errorsContainer = document.getElementById('translations-errors');
+
+        try {
+            this.showLoading('Saving translations...');
+
+            const response = await PMConfig.fetch(`api/v6/projects/${this.currentProject.id}/translations`, {
+                method: 'PUT',
+                body: JSON.stringify({
+                    default_locale: defaultLocale,
+                    locales,
+                    entries: entries.flatMap(entry => targets.map(locale => ({
+                        kind: entry.kind,
+                        id: entry.id,
+                        column: entry.column,
+                        locale,
+                        text: entry.translations[locale] || ''
+                    })))
+                })
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                if (!quiet) {
+                    this.hideTranslations();
+                    this.showSuccess(`${data.message}. Deploy to publish them.`);
+                }
+                return true;
+            }
+
+            if (errorsContainer && data.errors) {
+                errorsContainer.innerHTML = `
+                    <div class="bg-red-50 border border-red-200 text-red-700 rounded-lg p-3 mb-4 text-sm">
+                        ${data.errors.map(error => `<div>${this.escapeHtml(error)}</div>`).join('')}
+                    </div>
+                `;
+            }
+            this.showError(data.error || 'Failed to save translations');
+            return false;
+        } catch (error) {
+            console.error('Error saving translations:', error);
+            this.showError('Failed to save translations');
+            return false;
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    async autoTranslate() {
+        const { activeLocale, languages } = this.translationEditor;
+        const overwrite = document.getElementById('translation-overwrite')?.checked === true;
+
+        // The language list and any edits are saved first so the AI fills in the rest
+        if (!activeLocale || !(await this.saveTranslations(true))) return;
+
+        try {
+            this.showLoading(`Translating to ${languages[activeLocale]}...`);
+
+            const response = await PMConfig.fetch(`api/v6/projects/${this.currentProject.id}/translations/auto`, {
+                method: 'POST',
+                body: JSON.stringify({ locale: activeLocale, overwrite })
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                this.showSuccess(data.message);
+                await this.showTranslations();
+            } else {
+                this.showError(data.error || 'Failed to translate project');
+            }
+        } catch (error) {
+            console.error('Error auto-translating project:', error);
+            this.showError('Failed to translate project');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    // ================================
+    // LIVE EDITING
+    // ================================
+
+    /**
+     * Open the co-editing socket (presence, field locks and changes made by
+     * other editors). The editor still works without it.
+     */
+    connectLiveEditing() {
+        const token = localStorage.getItem('authToken');
+        if (typeof io === 'undefined' || !token) return;
+
+        this.socket = io(PMConfig.apiUrl('v6-editor'), { auth: { token } });
+
+        this.socket.on('connect', () => {
+            PMConfig.socketId = this.socket.id;
+            // Rejoin after a reconnect
+            if (this.currentProject) {
+                this.joinLiveProject();
+            }
+        });
+        this.socket.on('disconnect', () => {
+            PMConfig.socketId = null;
+            this.liveViewers = [];
+            this.fieldLocks = [];
+            this.renderPresence();
+        });
+        this.socket.on('connect_error', (error) => console.warn('Live editing unavailable:', error.message));
+
+        this.socket.on('presence', ({ viewers }) => {
+            this.liveViewers = viewers || [];
+            this.renderPresence();
+        });
+        this.socket.on('locks', ({ locks }) => {
+            this.fieldLocks = locks || [];
+            if (this.currentStep) {
+                this.renderStepEditor();
+            }
+        });
+        this.socket.on('project:changed', (change) => this.handleRemoteChange(change));
+        this.socket.on('project:removed', () => {
+            this.liveViewers = [];
+            this.fieldLocks = [];
+            this.renderPresence();
+            this.showError('You no longer have access to this project');
+        });
+    }
+
+    joinLiveProject() {
+        if (!this.socket?.connected || !this.currentProject) return;
+
+        this.socket.emit('project:join', { project_id: this.currentProject.id }, (reply) => {
+            if (!reply?.success) return;
+
+            this.liveViewers = reply.presence || [];
+            this.fieldLocks = reply.locks || [];
+            this.renderPresence();
+            if (this.currentStep) {
+                this.socket.emit('presence:update', { step_id: this.currentStep.id });
+                this.renderStepEditor();
+            }
+        });
+    }
+
+    leaveLiveProject() {
+        this.socket?.emit('project:leave');
+        this.liveViewers = [];
+        this.fieldLocks = [];
+        this.renderPresence();
+    }
+
+    /**
+     * Other people in the project (the same user in another tab counts too)
+     */
+    getOtherViewers() {
+        return this.liveViewers.filter(viewer => viewer.socket_id !== this.socket?.id);
+    }
+
+    renderPresence() {
+        const container = document.getElementById('project-presence');
+        if (!container) return;
+
+        container.innerHTML = this.getOtherViewers().map(viewer => {
+            const step = this.steps.find(s => s.id === viewer.step_id);
+            const where = step ? ` on ${step.name}` : '';
+            return `
+                <span class="w-8 h-8 rounded-full bg-indigo-600 text-white text-xs font-semibold flex items-center justify-center border-2 border-white"
+                      title="${this.escapeHtml(viewer.email).replace(/"/g, '&quot;')} (${viewer.role})${this.escapeHtml(where).replace(/"/g, '&quot;')}">
+                    ${this.escapeHtml((viewer.email || '?').charAt(0).toUpperCase())}
+                </span>
+            `;
+        }).join('');
+
+        if (this.currentProject) {
+            this.renderSteps();
+        }
+    }
+
+    renderStepPresence(stepId) {
+        const viewers = this.getOtherViewers().filter(viewer => viewer.step_id === stepId);
+        if (viewers.length === 0) return '';
+
+        return `
+            <div class="text-xs text-indigo-600 mt-1" title="${viewers.map(viewer => this.escapeHtml(viewer.email)).join(', ').replace(/"/g, '&quot;')}">
+                <i class="fas fa-eye mr-1"></i>${viewers.length} here
+            </div>
+        `;
+    }
+
+    getCurrentUserId() {
+        const me = this.liveViewers.find(viewer => viewer.socket_id === this.socket?.id);
+        return me ? me.user_id : null;
+    }
+
+    renderFieldLock(fieldId) {
+        const lock = this.fieldLocks.find(item => item.field_id === fieldId);
+        if (!lock || (this.editingLockFieldId === fieldId && lock.user_id === this.getCurrentUserId())) return '';
+
+        return `<span class="px-2 py-1 text-xs rounded bg-amber-100 text-amber-700" title="Being edited">
+            <i class="fas fa-lock mr-1"></i>${this.escapeHtml(lock.email)}
+        </span>`;
+    }
+
+    /**
+     * Soft-lock the field whose modal was opened; when someone else holds it
+     * the modal still opens, with a warning
+     */
+    lockField(fieldId) {
+        this.editingLockFieldId = fieldId;
+        this.showFieldLockNotice(null);
+
+        if (!this.socket?.connected) return;
+
+        this.socket.emit('field:lock', { field_id: fieldId }, (reply) => {
+            if (this.editingLockFieldId !== fieldId) return;
+            if (reply?.holder) {
+                this.showFieldLockNotice(`${reply.holder.email} is editing this field right now. If you both save, the last save wins.`);
+            }
+        });
+    }
+
+    unlockField() {
+        if (this.editingLockFieldId) {
+            this.socket?.emit('field:unlock', { field_id: this.editingLockFieldId });
+            this.editingLockFieldId = null;
+        }
+        this.showFieldLockNotice(null);
+    }
+
+    showFieldLockNotice(message) {
+        const notice = document.getElementById('field-lock-notice');
+        if (!notice) return;
+
+        notice.textContent = message || '';
+        notice.classList.toggle('hidden', !message);
+    }
+
+    /**
+     * Another editor saved something: reload the project and say who did what
+     */
+    handleRemoteChange(change) {
+        if (!this.currentProject || !change) return;
+
+        const who = change.by?.email || 'Someone';
+
+        if (change.type === 'project' && change.action === 'deleted') {
+            this.leaveLiveProject();
+            this.showError(`${who} deleted this project`);
+            this.showProjectListView();
+            this.loadProjects();
+            return;
+        }
+
+        if (change.type === 'field' && change.id && change.id === this.editingLockFieldId) {
+            this.showFieldLockNotice(change.action === 'deleted'
+                ? `${who} deleted this field. Saving will fail.`
+                : `${who} just saved changes to this field. Saving will overwrite them.`);
+        }
+
+        const labels = { project: 'the project', step: 'a step', field: 'a field', choice: 'a choice' };
+        this.showLiveActivity(change.summary
+            ? `${who} ${change.action}: ${change.summary}`
+            : `${who} ${change.action} ${labels[change.type] || 'the project'}`);
+        if (document.getElementById('activity-modal')) {
+            this.loadActivity();
+        }
+
+        // Several changes often arrive together (e.g. a field and its choices)
+        clearTimeout(this.remoteRefreshTimer);
+        this.remoteRefreshTimer = setTimeout(() => this.refreshCurrentProject(), 300);
+    }
+
+    showLiveActivity(message) {
+        const activity = document.getElementById('project-live-activity');
+        if (!activity) return;
+
+        activity.textContent = message;
+        activity.classList.remove('hidden');
+        clearTimeout(this.liveActivityTimer);
+        this.liveActivityTimer = setTimeout(() => activity.classList.add('hidden'), 8000);
+    }
+
+    /**
+     * Reload the open project in place, keeping the selected step
+     */
+    async refreshCurrentProject() {
+        if (!this.currentProject) return;
+
+        try {
+            const response = await PMConfig.fetch(`api/v6/projects/${this.currentProject.id}`);
+            const data = await response.json();
+
+            if (!data.success || !this.currentProject || data.project.id !== this.currentProject.id) return;
+
+            const selectedStepId = this.currentStep?.id;
+            this.currentProject = data.project;
+            this.steps = data.project.steps || [];
+            this.currentStep = this.steps.find(step => step.id === selectedStepId) || null;
+
+            document.getElementById('project-title').textContent = this.currentProject.name;
+            document.getElementById('project-description').textContent = this.currentProject.description;
+
+            this.renderSteps();
+            this.renderStepEditor();
+        } catch (error) {
+            console.error('Error refreshing project:', error);
+        }
+    }
+
+    // ================================
+    // SHARING
+    // ================================
+
+    renderSharedProjects() {
+        const section = document.getElementById('shared-projects-section');
+        const grid = document.getElementById('shared-projects-grid');
+        if (!section || !grid) return;
+
+        section.classList.toggle('hidden', this.sharedProjects.length === 0);
+
+        grid.innerHTML = this.sharedProjects.map(project => `
+            <div class="project-card bg-white rounded-lg shadow-sm border p-6 hover:shadow-lg transition-shadow" 
+                 onclick="promptEngineer.editProject('${project.id}')">
+                <div class="flex justify-between items-start mb-4">
+                    <div>
+                        <h3 class="text-lg font-semibold text-gray-900">${this.escapeHtml(project.name)}</h3>
+                        <p class="text-sm text-gray-600 mt-1">${this.escapeHtml(project.description || '')}</p>
+                    </div>
+                    <div class="flex space-x-1">
+                        <span class="px-2 py-1 text-xs rounded-full ${project.role === 'editor' ? 'bg-blue-100 text-blue-800' : 'bg-gray-100 text-gray-800'}">
+                            ${project.role === 'editor' ? 'Editor' : 'Viewer'}
+                        </span>
+                        <span class="px-2 py-1 text-xs rounded-full ${project.deployed ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'}">
+                            ${project.deployed ? 'Deployed' : 'Draft'}
+                        </span>
+                    </div>
+                </div>
+                
+                <div class="flex items-center justify-between text-sm text-gray-500">
+                    <span class="flex items-center">
+                        <i class="fas fa-user mr-2"></i>
+                        ${this.escapeHtml(project.owner_email || 'Unknown owner')}
+                    </span>
+                    <span class="flex items-center">
+                        <i class="fas fa-list mr-2"></i>
+                        ${project.step_count || 0} steps
+                    </span>
+                </div>
+                
+                <div class="mt-4 pt-4 border-t flex justify-between">
+                    <button onclick="event.stopPropagation(); promptEngineer.cloneProject('${project.id}')" 
+                            class="text-gray-600 hover:text-gray-800 text-sm">
+                        <i class="fas fa-copy mr-1"></i>
+                        Clone
+                    </button>
+                    <button onclick="event.stopPropagation(); promptEngineer.exportProject('${project.id}')" 
+                            class="text-gray-600 hover:text-gray-800 text-sm">
+                        <i class="fas fa-download mr-1"></i>
+                        Export
+                    </button>
+                    <button onclick="event.stopPropagation(); promptEngineer.leaveProject('${project.id}')" 
+                            class="text-red-600 hover:text-red-800 text-sm">
+                        <i class="fas fa-sign-out-alt mr-1"></i>
+                        Leave
+                    </button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Show who shared the open project and hide what a viewer can't do
+     */
+    applyProjectRole(ownerEmail) {
+        const role = this.currentProject.role || 'owner';
+        const access = document.getElementById('project-access');
+        const viewOnly = role === 'viewer';
+
+        if (access) {
+            access.classList.toggle('hidden', role === 'owner');
+            access.textContent = role === 'owner' ? '' : viewOnly
+                ? `View only: shared by ${ownerEmail || 'the owner'}. Changes can't be saved.`
+                : `Shared by ${ownerEmail || 'the owner'}. You can edit and deploy this project.`;
+        }
+
+        ['deploy-project', 'add-step', 'project-batch', 'project-save-template', 'project-undo', 'project-redo'].forEach(id => {
+            document.getElementById(id)?.classList.toggle('hidden', viewOnly);
+        });
+    }
+
+    async loadInvitations() {
+        try {
+            const response = await PMConfig.fetch('api/v6/invitations');
+            const data = await response.json();
+
+            if (data.success) {
+                this.invitations = data.invitations || [];
+                this.renderInvitations();
+            }
+        } catch (error) {
+            console.error('Error loading invitations:', error);
+        }
+    }
+
+    renderInvitations() {
+        const container = document.getElementById('project-invitations');
+        if (!container) return;
+
+        container.classList.toggle('hidden', this.invitations.length === 0);
+        container.innerHTML = this.invitations.map(invitation => `
+            <div class="bg-blue-50 border border-blue-200 rounded-lg p-4 flex items-center justify-between">
+                <div class="text-sm text-blue-900">
+                    <i class="fas fa-envelope-open-text mr-2"></i>
+                    ${this.escapeHtml(invitation.invited_by_email || 'Someone')} invited you to
+                    <strong>${this.escapeHtml(invitation.project_name)}</strong> as ${invitation.role === 'editor' ? 'an editor' : 'a viewer'}
+                </div>
+                <div class="flex space-x-2">
+                    <button onclick="promptEngineer.respondToInvitation('${invitation.invite_token}', true)" class="bg-blue-600 text-white px-3 py-1 rounded text-sm hover:bg-blue-700">
+                        Accept
+                    </button>
+                    <button onclick="promptEngineer.respondToInvitation('${invitation.invite_token}', false)" class="bg-gray-300 text-gray-700 px-3 py-1 rounded text-sm hover:bg-gray-400">
+                        Decline
+                    </button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Accept or decline an invitation
+     * @returns {Promise<string|null>} - Id of the project joined
+     */
+    async respondToInvitation(inviteToken, accept) {
+        try {
+            this.showLoading(accept ? 'Accepting invitation...' : 'Declining invitation...');
+
+            const response = await PMConfig.fetch(`api/v6/invitations/${encodeURIComponent(inviteToken)}/${accept ? 'accept' : 'decline'}`, {
+                method: 'POST'
+            });
+            const data = await response.json();
+
+            if (!data.success) {
+                this.showError(data.error || 'Failed to answer invitation');
+                return null;
+            }
+
+            if (accept) {
+                this.showSuccess(`You can now ${data.role === 'editor' ? 'edit' : 'view'} ${data.project_name}`);
+            }
+            await this.loadProjects();
+            return accept ? data.project_id : null;
+        } catch (error) {
+            console.error('Error answering invitation:', error);
+            this.showError('Failed to answer invitation');
+            return null;
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    /**
+     * Offer to accept the invitation from an email link, then drop it from the URL
+     */
+    async openInviteLink(inviteToken) {
+        const url = new URL(window.location.href);
+        url.searchParams.delete('invite');
+        window.history.replaceState({}, '', url);
+
+        if (!confirm('You have been invited to collaborate on a project. Accept the invitation?')) {
+            return null;
+        }
+        return this.respondToInvitation(inviteToken, true);
+    }
+
+    async leaveProject(projectId) {
+        const project = this.sharedProjects.find(p => p.id === projectId);
+        if (!confirm(`Leave "${project ? project.name : 'this project'}"? The owner has to invite you again to get access back.`)) {
+            return;
+        }
+
+        try {
+            this.showLoading('Leaving project...');
+
+            const response = await PMConfig.fetch(`api/v6/projects/${projectId}/leave`, {
+                method: 'POST'
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                this.showSuccess(data.message);
+                this.loadProjects();
+            } else {
+                this.showError(data.error || 'Failed to leave project');
+            }
+        } catch (error) {
+            console.error('Error leaving project:', error);
+            this.showError('Failed to leave project');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    async showShareModal() {
+        if (!this.currentProject) return;
+
+        try {
+            this.showLoading('Loading collaborators...');
+
+            const response = await PMConfig.fetch(`api/v6/projects/${this.currentProject.id}/collaborators`);
+            const data = await response.json();
+
+            if (!data.success) {
+                this.showError(data.error || 'Failed to load collaborators');
+                return;
+            }
+
+            this.shareSettings = data;
+            this.renderShareModal();
+        } catch (error) {
+            console.error('Error loading collaborators:', error);
+            this.showError('Failed to load collaborators');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    renderShareModal() {
+        this.hideShareModal();
+
+        const { role, owner, collaborators, roles } = this.shareSettings;
+        const canManage = role === 'owner';
+        const roleOptions = (selected) => roles.map(option => `
+            <option value="${option}" ${option === selected ? 'selected' : ''}>${option === 'editor' ? 'Editor' : 'Viewer'}</option>
+        `).join('');
+
+        const modalHTML = `
+            <div id="share-modal" class="fixed inset-0 bg-black bg-opacity-50 modal flex items-center justify-center z-50">
+                <div class="bg-white rounded-lg p-8 max-w-2xl w-full mx-4 max-h-[90vh] overflow-y-auto">
+                    <div class="flex items-center justify-between mb-4">
+                        <h3 class="text-2xl font-semibold text-gray-900">Share Project</h3>
+                        <button onclick="promptEngineer.hideShareModal()" class="text-gray-400 hover:text-gray-600 text-2xl">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </div>
+                    <p class="text-sm text-gray-600 mb-4">
+                        Editors can change, deploy and translate the tool and run batches. Viewers can open the project, its analytics and responses,
+                        but can't change anything. Only the owner can share the project or delete it.
+                    </p>
+
+                    ${canManage ? `
+                        <form id="share-invite-form" onsubmit="event.preventDefault(); promptEngineer.inviteCollaborator()" class="flex space-x-2 mb-6">
+                            <input type="email" id="share-invite-email" required placeholder="teammate@example.com"
+                                   class="flex-1 p-2 border border-gray-300 rounded focus:ring-2 focus:ring-blue-500 focus:border-transparent">
+                            <select id="share-invite-role" class="p-2 border border-gray-300 rounded">
+                                ${roleOptions('editor')}
+                            </select>
+                            <button type="submit" class="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700">
+                                Invite
+                            </button>
+                        </form>
+                    ` : ''}
+
+                    <div class="divide-y border rounded-lg">
+                        <div class="flex items-center justify-between p-3">
+                            <span class="text-sm text-gray-900">${this.escapeHtml(owner ? owner.email : 'Owner')}</span>
+                            <span class="text-sm text-gray-500">Owner</span>
+                        </div>
+                        ${collaborators.map(collaborator => `
+                            <div class="flex items-center justify-between p-3">
+                                <div>
+                                    <span class="text-sm text-gray-900">${this.escapeHtml(collaborator.email)}</span>
+                                    ${collaborator.status === 'pending' ? '<span class="ml-2 px-2 py-0.5 text-xs rounded-full bg-yellow-100 text-yellow-800">Invited</span>' : ''}
+                                </div>
+                                ${canManage ? `
+                                    <div class="flex items-center space-x-2">
+                                        <select onchange="promptEngineer.updateCollaboratorRole('${collaborator.id}', this.value)" class="p-1 border border-gray-300 rounded text-sm">
+                                            ${roleOptions(collaborator.role)}
+                                        </select>
+                                        <button onclick="promptEngineer.removeCollaborator('${collaborator.id}')" class="text-red-600 hover:text-red-800 text-sm" title="Remove">
+                                            <i class="fas fa-times"></i>
+                                        </button>
+                                    </div>
+                                ` : `<span class="text-sm text-gray-500">${collaborator.role === 'editor' ? 'Editor' : 'Viewer'}</span>`}
+                            </div>
+                        `).join('')}
+                    </div>
+
+                    <div class="flex justify-end mt-6">
+                        <button onclick="promptEngineer.hideShareModal()" class="bg-gray-300 text-gray-700 px-4 py-2 rounded hover:bg-gray-400">
+                            Close
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHTML);
+    }
+
+    hideShareModal() {
+        const modal = document.getElementById('share-modal');
+        if (modal) {
+            modal.remove();
+        }
+    }
+
+    async inviteCollaborator() {
+        const email = document.getElementById('share-invite-email')?.value.trim();
+        const role = document.getElementById('share-invite-role')?.value;
+        if (!email) return;
+
+        try {
+            this.showLoading('Sending invitation...');
+
+            const response = await PMConfig.fetch(`api/v6/projects/${this.currentProject.id}/collaborators`, {
+                method: 'POST',
+                body: JSON.stringify({ email, role })
+            });
+            const data = await response.json();
+
+            if (!data.success) {
+                this.showError(data.errors ? data.errors.join(', ') : (data.error || 'Failed to invite collaborator'));
+                return;
+            }
+
+            if (data.collaborator.status === 'accepted') {
+                this.showSuccess(`${email} is now ${role === 'editor' ? 'an editor' : 'a viewer'}`);
+            } else if (data.emailed) {
+                this.showSuccess(`Invitation sent to ${email}`);
+            } else {
+                this.showSuccess(`Invitation saved. The email could not be sent; ${email} will see it after logging in.`);
+            }
+            await this.showShareModal();
+        } catch (error) {
+            console.error('Error inviting collaborator:', error);
+            this.showError('Failed to invite collaborator');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    async updateCollaboratorRole(collaboratorId, role) {
+        try {
+            const response = await PMConfig.fetch(`api/v6/projects/${this.currentProject.id}/collaborators/${collaboratorId}`, {
+                method: 'PUT',
+                body: JSON.stringify({ role })
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                this.showSuccess('Role updated');
+            } else {
+                this.showError(data.error || 'Failed to update role');
+                await this.showShareModal();
+            }
+        } catch (error) {
+            console.error('Error updating collaborator role:', error);
+            this.showError('Failed to update role');
+        }
+    }
+
+    async removeCollaborator(collaboratorId) {
+        if (!confirm('Remove this person from the project?')) {
+            return;
+        }
+
+        try {
+            this.showLoading('Removing collaborator...');
+
+            const response = await PMConfig.fetch(`api/v6/projects/${this.currentProject.id}/collaborators/${collaboratorId}`, {
+                method: 'DELETE'
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                this.showSuccess(data.message);
+                await this.showShareModal();
+            } else {
+                this.showError(data.error || 'Failed to remove collaborator');
+            }
+        } catch (error) {
+            console.error('Error removing collaborator:', error);
+            this.showError('Failed to remove collaborator');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    // ================================
+    // BATCH RUNS
+    // ================================
+
+    async showBatchRuns() {
+        if (!this.currentProject) return;
+
+        this.hideBatchRuns();
+        this.batchEditor = { csv: null, fileName: null, preview: null, batches: [] };
+
+        const modalHTML = `
+            <div id="batch-modal" class="fixed inset-0 bg-black bg-opacity-50 modal flex items-center justify-center z-50">
+                <div class="bg-white rounded-lg p-8 max-w-4xl w-full mx-4 max-h-[90vh] overflow-y-auto">
+                    <div class="flex items-center justify-between mb-4">
+                        <h3 class="text-2xl font-semibold text-gray-900">Batch Runs</h3>
+                        <button onclick="promptEngineer.hideBatchRuns()" class="text-gray-400 hover:text-gray-600 text-2xl">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </div>
+                    <p class="text-sm text-gray-600 mb-4">
+                        Run the tool once for every row of a CSV file. The first row must hold column headers; map the columns to the tool's inputs below.
+                        Separate multiple choices in a cell with semicolons. Batches use the published version (or the draft if the tool was never deployed)
+                        and are not counted as visitors in analytics.
+                    </p>
+
+                    <div class="border rounded-lg p-4 mb-6">
+                        <label class="block text-sm font-medium text-gray-700 mb-2">CSV File</label>
+                        <input type="file" id="batch-file" accept=".csv,text/csv" class="text-sm">
+                        <div id="batch-errors" class="mt-3"></div>
+                        <div id="batch-mapping" class="mt-3"></div>
+                    </div>
+
+                    <h4 class="text-sm font-medium text-gray-700 mb-2">Recent Batches</h4>
+                    <div id="batch-list" class="space-y-2">
+                        <p class="text-sm text-gray-500 text-center py-4">Loading...</p>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHTML);
+        document.getElementById('batch-file').addEventListener('change', (e) => this.handleBatchFile(e.target.files[0]));
+
+        await this.refreshBatches();
+    }
+
+    async handleBatchFile(file) {
+        const mappingContainer = document.getElementById('batch-mapping');
+        this.renderBatchErrors([]);
+        mappingContainer.innerHTML = '';
+        if (!file) return;
+
+        try {
+            this.showLoading('Reading file...');
+
+            const csv = await file.text();
+            const response = await PMConfig.fetch(`api/v6/projects/${this.currentProject.id}/batches/preview`, {
+                method: 'POST',
+                body: JSON.stringify({ csv })
+            });
+            const data = await response.json();
+
+            if (!data.success) {
+                this.showError(data.error || 'Failed to read file');
+                return;
+            }
+
+            this.batchEditor = { ...this.batchEditor, csv, fileName: file.name, preview: data };
+            this.renderBatchErrors(data.errors);
+            if (data.errors.length === 0) {
+                this.renderBatchMapping();
+            }
+        } catch (error) {
+            console.error('Error reading batch file:', error);
+            this.showError('Failed to read file');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    renderBatchErrors(errors) {
+        const container = document.getElementById('batch-errors');
+        if (!container) return;
+
+        container.innerHTML = errors && errors.length > 0 ? `
+            <div class="bg-red-50 border border-red-200 text-red-700 rounded-lg p-3 text-sm">
+                ${errors.map(error => `<div>${this.escapeHtml(error)}</div>`).join('')}
+            </div>
+        ` : '';
+    }
+
+    renderBatchMapping() {
+        const container = document.getElementById('batch-mapping');
+        const { preview } = this.batchEditor;
+        const attr = (value) => this.escapeHtml(value || '').replace(/"/g, '&quot;');
+
+        container.innerHTML = `
+            <p class="text-sm text-gray-600 mb-3">${preview.total_rows} row${preview.total_rows === 1 ? '' : 's'} found (at most ${preview.max_rows}).</p>
+            <div class="grid grid-cols-1 md:grid-cols-2 gap-3">
+                ${preview.inputs.map(input => `
+                    <div>
+                        <label class="block text-xs font-medium text-gray-700 mb-1">
+                            ${this.escapeHtml(input.label)}${input.required ? ' <span class="text-red-500">*</span>' : ''}
+                            <span class="text-gray-400 font-mono">${this.escapeHtml(input.name)}</span>
+                        </label>
+                        <select class="batch-column w-full p-2 border border-gray-300 rounded text-sm" data-input="${attr(input.name)}">
+                            <option value="">— Not mapped —</option>
+                            ${preview.headers.map(header => `
+                                <option value="${attr(header)}" ${preview.suggested_mapping[input.name] === header ? 'selected' : ''}>${this.escapeHtml(header)}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                `).join('')}
+            </div>
+            ${preview.sample_rows.length > 0 ? `
+                <div class="overflow-x-auto mt-4">
+                    <table class="min-w-full text-xs border">
+                        <thead class="bg-gray-50">
+                            <tr>${preview.headers.map(header => `<th class="px-2 py-1 text-left border">${this.escapeHtml(header)}</th>`).join('')}</tr>
+                        </thead>
+                        <tbody>
+                            ${preview.sample_rows.map(cells => `
+                                <tr>${cells.map(cell => `<td class="px-2 py-1 border align-top">${this.escapeHtml(cell)}</td>`).join('')}</tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            ` : ''}
+            <div class="flex justify-end mt-4">
+                <button onclick="promptEngineer.startBatch()" class="bg-orange-600 text-white px-4 py-2 rounded hover:bg-orange-700">
+                    <i class="fas fa-play mr-1"></i>Start Batch
+                </button>
+            </div>
+        `;
+    }
+
+    async startBatch() {
+        const columnMapping = {};
+        document.querySelectorAll('#batch-mapping .batch-column').forEach(select => {
+            if (select.value) {
+                columnMapping[select.dataset.input] = select.value;
+            }
+        });
+
+        try {
+            this.showLoading('Starting batch...');
+
+            const response = await PMConfig.fetch(`api/v6/projects/${this.currentProject.id}/batches`, {
+                method: 'POST',
+                body: JSON.stringify({
+                    csv: this.batchEditor.csv,
+                    file_name: this.batchEditor.fileName,
+                    column_mapping: columnMapping
+                })
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                document.getElementById('batch-file').value = '';
+                document.getElementById('batch-mapping').innerHTML = '';
+                this.batchEditor = { ...this.batchEditor, csv: null, fileName: null, preview: null };
+                this.showSuccess(data.message);
+                await this.refreshBatches();
+            } else {
+                this.renderBatchErrors(data.errors);
+                this.showError(data.error || 'Failed to start batch');
+            }
+        } catch (error) {
+            console.error('Error starting batch:', error);
+            this.showError('Failed to start batch');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    async refreshBatches() {
+        clearTimeout(this.batchPollTimer);
+
+        try {
+            const response = await PMConfig.fetch(`api/v6/projects/${this.currentProject.id}/batches`);
+            const data = await response.json();
+
+            if (!document.getElementById('batch-modal')) return;
+            if (!data.success) {
+                this.showError(data.error || 'Failed to load batches');
+                return;
+            }
+
+            this.batchEditor.batches = data.batches;
+            this.renderBatchList();
+
+            // Keep polling while a batch is still working
+            if (data.batches.some(batch => ['queued', 'running'].includes(batch.status))) {
+                this.batchPollTimer = setTimeout(() => this.refreshBatches(), 3000);
+            }
+        } catch (error) {
+            console.error('Error loading batches:', error);
+        }
+    }
+
+    renderBatchList() {
+        const container = document.getElementById('batch-list');
+        const { batches } = this.batchEditor;
+        const statusColors = {
+            queued: 'bg-gray-100 text-gray-700',
+            running: 'bg-blue-100 text-blue-700',
+            completed: 'bg-green-100 text-green-700',
+            cancelled: 'bg-yellow-100 text-yellow-700'
+        };
+
+        container.innerHTML = batches.length === 0
+            ? '<p class="text-sm text-gray-500 text-center py-4 border border-dashed rounded-lg">No batches yet.</p>'
+            : batches.map(batch => `
+                <div class="border rounded-lg p-3">
+                    <div class="flex items-center justify-between">
+                        <div>
+                            <span class="font-medium text-gray-900">${this.escapeHtml(batch.file_name)}</span>
+                            <span class="ml-2 px-2 py-0.5 rounded text-xs ${statusColors[batch.status] || ''}">${batch.status}</span>
+                            <span class="ml-2 text-xs text-gray-500">
+                                ${batch.version_number ? `v${batch.version_number}` : 'draft'} · ${new Date(batch.created_at).toLocaleString()}
+                            </span>
+                        </div>
+                        <div class="flex items-center space-x-3 text-sm">
+                            ${['queued', 'running'].includes(batch.status) ? `
+                                <button onclick="promptEngineer.cancelBatch('${batch.id}')" class="text-red-600 hover:text-red-800">Cancel</button>
+                            ` : ''}
+                            <button onclick="promptEngineer.downloadBatch('${batch.id}', 'csv')" class="text-blue-600 hover:text-blue-800">
+                                <i class="fas fa-download mr-1"></i>CSV
+                            </button>
+                            <button onclick="promptEngineer.downloadBatch('${batch.id}', 'xlsx')" class="text-blue-600 hover:text-blue-800">
+                                <i class="fas fa-file-excel mr-1"></i>XLSX
+                            </button>
+                        </div>
+                    </div>
+                    <div class="w-full bg-gray-200 rounded-full h-2 mt-2">
+                        <div class="bg-orange-500 h-2 rounded-full" style="width: ${batch.progress}%"></div>
+                    </div>
+                    <div class="text-xs text-gray-500 mt-1">
+                        ${batch.processed_rows} of ${batch.total_rows} rows processed
+                        · ${batch.completed_rows} succeeded${batch.failed_rows > 0 ? ` · <span class="text-red-600">${batch.failed_rows} failed</span>` : ''}${batch.cancelled_rows > 0 ? ` · ${batch.cancelled_rows} cancelled` : ''}
+                    </div>
+                </div>
+            `).join('');
+    }
+
+    async cancelBatch(batchId) {
+        if (!confirm('Cancel this batch? Rows already finished keep their results.')) {
+            return;
+        }
+
+        try {
+            const response = await PMConfig.fetch(`api/v6/projects/${this.currentProject.id}/batches/${batchId}/cancel`, {
+                method: 'POST'
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                this.showSuccess(data.message);
+            } else {
+                this.showError(data.error || 'Failed to cancel batch');
+            }
+            await this.refreshBatches();
+        } catch (error) {
+            console.error('Error cancelling batch:', error);
+            this.showError('Failed to cancel batch');
+        }
+    }
+
+    async downloadBatch(batchId, format) {
+        try {
+            const response = await PMConfig.fetch(`api/v6/projects/${this.currentProject.id}/batches/${batchId}/download?format=${format}`);
+
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                this.showError(data.error || 'Failed to download results');
+                return;
+            }
+
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const match = disposition.match(/filename="([^"]+)"/);
+            const url = URL.createObjectURL(await response.blob());
+
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = match ? match[1] : `batch-results.${format}`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('Error downloading batch results:', error);
+            this.showError('Failed to download results');
+        }
+    }
+
+    hideBatchRuns() {
+        clearTimeout(this.batchPollTimer);
+
+        const modal = document.getElementById('batch-modal');
+        if (modal) {
+            modal.remove();
+        }
+    }
+
+    // ================================
+    // PROMPT TESTS
+    // ================================
+
+    async showPromptTests() {
+        if (!this.currentProject) return;
+
+        this.hidePromptTests();
+        this.testEditor = { cases: [], inputNames: [], assertionTypes: [], runs: [], gateEnabled: false, editingId: null };
+
+        const canEdit = this.currentProject.role !== 'viewer';
+        const modalHTML = `
+            <div id="tests-modal" class="fixed inset-0 bg-black bg-opacity-50 modal flex items-center justify-center z-50">
+                <div class="bg-white rounded-lg p-8 max-w-5xl w-full mx-4 max-h-[90vh] overflow-y-auto">
+                    <div class="flex items-center justify-between mb-4">
+                        <h3 class="text-2xl font-semibold text-gray-900">Prompt Tests</h3>
+                        <button onclick="promptEngineer.hidePromptTests()" class="text-gray-400 hover:text-gray-600 text-2xl">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </div>
+                    <p class="text-sm text-gray-600 mb-4">
+                        Save sample answers with checks on the output, then run them against the current draft after changing a prompt.
+                        The mock provider echoes the prompts back without calling the AI, so it is free and always gives the same output;
+                        rubric checks need the AI and are skipped with it.
+                    </p>
+
+                    ${canEdit ? `
+                        <div class="flex flex-wrap items-center justify-between gap-2 mb-4">
+                            <label class="flex items-center text-sm text-gray-700">
+                                <input type="checkbox" id="test-gate" class="mr-2" onchange="promptEngineer.setTestGate(this.checked)">
+                                Only deploy when the latest run passed against the current draft
+                            </label>
+                            <div class="flex space-x-2">
+                                <button onclick="promptEngineer.showTestCaseForm()" class="px-3 py-2 border rounded text-gray-700 hover:bg-gray-50 text-sm">
+                                    <i class="fas fa-plus mr-1"></i>Add Test Case
+                                </button>
+                                <button onclick="promptEngineer.runPromptTests('mock')" class="px-3 py-2 bg-gray-600 text-white rounded hover:bg-gray-700 text-sm">
+                                    <i class="fas fa-vial mr-1"></i>Run with Mock
+                                </button>
+                                <button onclick="promptEngineer.runPromptTests('configured')" class="px-3 py-2 bg-teal-600 text-white rounded hover:bg-teal-700 text-sm">
+                                    <i class="fas fa-play mr-1"></i>Run with AI
+                                </button>
+                            </div>
+                        </div>
+                    ` : ''}
+
+                    <div id="test-case-form" class="mb-4"></div>
+
+                    <h4 class="text-sm font-medium text-gray-700 mb-2">Test Cases</h4>
+                    <div id="test-case-list" class="space-y-2 mb-6">
+                        <p class="text-sm text-gray-500 text-center py-4">Loading...</p>
+                    </div>
+
+                    <h4 class="text-sm font-medium text-gray-700 mb-2">Recent Runs</h4>
+                    <div id="test-run-list" class="space-y-2"></div>
+                    <div id="test-run-detail" class="mt-4"></div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHTML);
+
+        await this.loadPromptTests();
+        await this.refreshTestRuns();
+    }
+
+    async loadPromptTests() {
+        try {
+            const response = await PMConfig.fetch(`api/v6/projects/${this.currentProject.id}/tests`);
+            const data = await response.json();
+
+            if (!document.getElementById('tests-modal')) return;
+            if (!data.success) {
+                this.showError(data.error || 'Failed to load tests');
+                return;
+            }
+
+            this.testEditor = {
+                ...this.testEditor,
+                cases: data.cases,
+                inputNames: data.input_names,
+                assertionTypes: data.assertion_types,
+                gateEnabled: data.gate_enabled
+            };
+
+            const gate = document.getElementById('test-gate');
+            if (gate) {
+                gate.checked = data.gate_enabled;
+            }
+            this.renderTestCases();
+        } catch (error) {
+            console.error('Error loading tests:', error);
+            this.showError('Failed to load tests');
+        }
+    }
+
+    renderTestCases() {
+        const container = document.getElementById('test-case-list');
+        if (!container) return;
+
+        const { cases } = this.testEditor;
+        const canEdit = this.currentProject.role !== 'viewer';
+
+        container.innerHTML = cases.length === 0
+            ? '<p class="text-sm text-gray-500 text-center py-4 border border-dashed rounded-lg">No test cases yet.</p>'
+            : cases.map(testCase => `
+                <div class="flex items-center justify-between border rounded-lg p-3">
+                    <div>
+                        <div class="font-medium text-gray-900">${this.escapeHtml(testCase.name)}</div>
+                        <div class="text-xs text-gray-500">
+                            ${Object.keys(testCase.inputs || {}).length} answers · ${testCase.assertions.length} checks
+                        </div>
+                    </div>
+                    ${canEdit ? `
+                        <div class="flex space-x-3 text-sm">
+                            <button onclick="promptEngineer.showTestCaseForm('${testCase.id}')" class="text-blue-600 hover:text-blue-800">
+                                <i class="fas fa-edit mr-1"></i>Edit
+                            </button>
+                            <button onclick="promptEngineer.deleteTestCase('${testCase.id}')" class="text-red-600 hover:text-red-800">
+                                <i class="fas fa-trash mr-1"></i>Delete
+                            </button>
+                        </div>
+                    ` : ''}
+                </div>
+            `).join('');
+    }
+
+    showTestCaseForm(caseId = null) {
+        const container = document.getElementById('test-case-form');
+        if (!container) return;
+
+        const testCase = this.testEditor.cases.find(candidate => candidate.id === caseId);
+        this.testEditor.editingId = testCase ? testCase.id : null;
+
+        // New cases start with an empty answer for every input
+        const inputs = testCase
+            ? testCase.inputs
+            : Object.fromEntries(this.testEditor.inputNames.map(name => [name, '']));
+        const assertions = testCase ? testCase.assertions : [{ type: 'contains', value: '' }];
+        const attr = (value) => this.escapeHtml(value || '').replace(/"/g, '&quot;');
+
+        container.innerHTML = `
+            <div class="border rounded-lg p-4 bg-gray-50">
+                <h4 class="font-semibold mb-3">${testCase ? 'Edit Test Case' : 'New Test Case'}</h4>
+                <div id="test-case-errors" class="mb-3"></div>
+                <label class="block text-sm font-medium text-gray-700 mb-1">Name</label>
+                <input type="text" id="test-case-name" value="${attr(testCase?.name)}" maxlength="255"
+                       class="w-full px-3 py-2 border border-gray-300 rounded-md mb-3" placeholder="e.g. Small business, formal tone">
+                <label class="block text-sm font-medium text-gray-700 mb-1">Answers (JSON, keyed by input name)</label>
+                <textarea id="test-case-inputs" rows="6" class="w-full px-3 py-2 border border-gray-300 rounded-md font-mono text-sm mb-3">${this.escapeHtml(JSON.stringify(inputs, null, 2))}</textarea>
+                <div class="flex items-center justify-between mb-1">
+                    <label class="block text-sm font-medium text-gray-700">Checks</label>
+                    <button onclick="promptEngineer.addTestAssertion()" class="text-blue-600 hover:text-blue-800 text-sm">
+                        <i class="fas fa-plus mr-1"></i>Add check
+                    </button>
+                </div>
+                <div id="test-assertions" class="space-y-2">
+                    ${assertions.map(assertion => this.renderTestAssertion(assertion)).join('')}
+                </div>
+                <div class="flex justify-end space-x-2 mt-4">
+                    <button onclick="promptEngineer.hideTestCaseForm()" class="px-4 py-2 border rounded text-gray-700 hover:bg-gray-100">Cancel</button>
+                    <button onclick="promptEngineer.saveTestCase()" class="px-4 py-2 bg-teal-600 text-white rounded hover:bg-teal-700">Save</button>
+                </div>
+            </div>
+        `;
+    }
+
+    hideTestCaseForm() {
+        const container = document.getElementById('test-case-form');
+        if (container) {
+            container.innerHTML = '';
+        }
+        if (this.testEditor) {
+            this.testEditor.editingId = null;
+        }
+    }
+
+    renderTestAssertion(assertion = {}) {
+        const labels = {
+            contains: 'Contains',
+            not_contains: 'Does not contain',
+            regex: 'Matches regex',
+            max_length: 'Max length',
+            json_schema: 'Valid JSON schema',
+            rubric: 'Rubric (AI judge)'
+        };
+        const types = this.testEditor.assertionTypes.length > 0 ? this.testEditor.assertionTypes : Object.keys(labels);
+        const values = {
+            contains: assertion.value,
+            not_contains: assertion.value,
+            regex: assertion.pattern,
+            max_length: assertion.value,
+            json_schema: assertion.schema ? JSON.stringify(assertion.schema, null, 2) : '',
+            rubric: assertion.rubric
+        };
+        const attr = (value) => this.escapeHtml(value ?? '').replace(/"/g, '&quot;');
+
+        return `
+            <div class="test-assertion flex items-start space-x-2">
+                <select class="test-assertion-type px-2 py-2 border border-gray-300 rounded-md text-sm">
+                    ${types.map(type => `
+                        <option value="${type}" ${assertion.type === type ? 'selected' : ''}>${labels[type] || type}</option>
+                    `).join('')}
+                </select>
+                <textarea class="test-assertion-value flex-1 px-2 py-2 border border-gray-300 rounded-md text-sm font-mono" rows="1"
+                          placeholder="Text, pattern, number of characters, JSON Schema (empty = output schema) or rubric">${this.escapeHtml(String(values[assertion.type] ?? ''))}</textarea>
+                <input type="text" class="test-assertion-flags w-16 px-2 py-2 border border-gray-300 rounded-md text-sm"
+                       placeholder="flags" title="Regex flags (i, m, s, u)" value="${attr(assertion.flags)}">
+                <label class="flex items-center text-xs text-gray-600 pt-2" title="Case sensitive (contains checks)">
+                    <input type="checkbox" class="test-assertion-case mr-1" ${assertion.case_sensitive ? 'checked' : ''}>Aa
+                </label>
+                <button onclick="this.closest('.test-assertion').remove()" class="text-red-600 hover:text-red-800 pt-2">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+        `;
+    }
+
+    addTestAssertion() {
+        document.getElementById('test-assertions')?.insertAdjacentHTML('beforeend', this.renderTestAssertion({ type: 'contains' }));
+    }
+
+    /**
+     * Read the check rows back into assertion objects
+     * @returns {Object} - { assertions, errors }
+     */
+    readTestAssertions() {
+        const errors = [];
+        const assertions = [...document.querySelectorAll('#test-assertions .test-assertion')].map((row, index) => {
+            const type = row.querySelector('.test-assertion-type').value;
+            const value = row.querySelector('.test-assertion-value').value;
+
+            switch (type) {
+                case 'regex':
+                    return { type, pattern: value, flags: row.querySelector('.test-assertion-flags').value.trim() };
+                case 'max_length':
+                    return { type, value: Number(value) };
+                case 'json_schema':
+                    if (!value.trim()) {
+                        return { type, schema: null };
+                    }
+                    try {
+                        return { type, schema: JSON.parse(value) };
+                    } catch (error) {
+                        errors.push(`Check ${index + 1}: the schema is not valid JSON`);
+                        return { type, schema: null };
+                    }
+                case 'rubric':
+                    return { type, rubric: value };
+                default:
+                    return { type, value, case_sensitive: row.querySelector('.test-assertion-case').checked };
+            }
+        });
+
+        return { assertions, errors };
+    }
+
+    renderTestCaseErrors(errors) {
+        const container = document.getElementById('test-case-errors');
+        if (!container) return;
+
+        container.innerHTML = errors && errors.length > 0 ? `
+            <div class="bg-red-50 border border-red-200 text-red-700 rounded-lg p-3 text-sm">
+                ${errors.map(error => `<div>${this.escapeHtml(error)}</div>`).join('')}
+            </div>
+        ` : '';
+    }
+
+    async saveTestCase() {
+        let inputs;
+        try {
+            inputs = JSON.parse(document.getElementById('test-case-inputs').value || '{}');
+        } catch (error) {
+            this.renderTestCaseErrors(['The answers are not valid JSON']);
+            return;
+        }
+
+        const { assertions, errors } = this.readTestAssertions();
+        if (errors.length > 0) {
+            this.renderTestCaseErrors(errors);
+            return;
+        }
+
+        const { editingId } = this.testEditor;
+
+        try {
+            this.showLoading('Saving test case...');
+
+            const response = await PMConfig.fetch(`api/v6/projects/${this.currentProject.id}/tests${editingId ? `/${editingId}` : ''}`, {
+                method: editingId ? 'PUT' : 'POST',
+                body: JSON.stringify({
+                    name: document.getElementById('test-case-name').value,
+                    inputs,
+                    assertions
+                })
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                this.hideTestCaseForm();
+                this.showSuccess(data.message);
+                await this.loadPromptTests();
+            } else {
+                this.renderTestCaseErrors(data.errors || [data.error || 'Failed to save test case']);
+            }
+        } catch (error) {
+            console.error('Error saving test case:', error);
+            this.showError('Failed to save test case');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    async deleteTestCase(caseId) {
+        if (!confirm('Delete this test case? Past run results keep their copy.')) {
+            return;
+        }
+
+        try {
+            const response = await PMConfig.fetch(`api/v6/projects/${this.currentProject.id}/tests/${caseId}`, {
+                method: 'DELETE'
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                if (this.testEditor.editingId === caseId) {
+                    this.hideTestCaseForm();
+                }
+                this.showSuccess(data.message);
+                await this.loadPromptTests();
+            } else {
+                this.showError(data.error || 'Failed to delete test case');
+            }
+        } catch (error) {
+            console.error('Error deleting test case:', error);
+            this.showError('Failed to delete test case');
+        }
+    }
+
+    async setTestGate(enabled) {
+        try {
+            const response = await PMConfig.fetch(`api/v6/projects/${this.currentProject.id}/test-settings`, {
+                method: 'PUT',
+                body: JSON.stringify({ gate_enabled: enabled })
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                this.testEditor.gateEnabled = enabled;
+                this.showSuccess(data.message);
+            } else {
+                this.showError(data.error || 'Failed to update test settings');
+                document.getElementById('test-gate').checked = this.testEditor.gateEnabled;
+            }
+        } catch (error) {
+            console.error('Error updating test settings:', error);
+            this.showError('Failed to update test settings');
+        }
+    }
+
+    async runPromptTests(provider) {
+        if (provider === 'configured' && !confirm('Run every test case with the AI? Each case is one AI request, plus one per rubric check.')) {
+            return;
+        }
+
+        try {
+            const response = await PMConfig.fetch(`api/v6/projects/${this.currentProject.id}/test-runs`, {
+                method: 'POST',
+                body: JSON.stringify({ provider })
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                this.showSuccess(data.message);
+                await this.refreshTestRuns();
+            } else {
+                this.showError(data.error || 'Failed to start tests');
+            }
+        } catch (error) {
+            console.error('Error starting tests:', error);
+            this.showError('Failed to start tests');
+        }
+    }
+
+    async refreshTestRuns() {
+        clearTimeout(this.testPollTimer);
+
+        try {
+            const response = await PMConfig.fetch(`api/v6/projects/${this.currentProject.id}/test-runs`);
+            const data = await response.json();
+
+            if (!document.getElementById('tests-modal')) return;
+            if (!data.success) {
+                this.showError(data.error || 'Failed to load test runs');
+                return;
+            }
+
+            const wasRunning = this.testEditor.runs.find(run => run.status === 'running');
+            this.testEditor.runs = data.runs;
+            this.renderTestRuns();
+
+            if (data.runs.some(run => run.status === 'running')) {
+                // Keep polling while a run is still working
+                this.testPollTimer = setTimeout(() => this.refreshTestRuns(), 3000);
+            } else if (wasRunning) {
+                // Show the results of the run that just finished
+                await this.showTestRun(wasRunning.id);
+            }
+        } catch (error) {
+            console.error('Error loading test runs:', error);
+        }
+    }
+
+    renderTestRuns() {
+        const container = document.getElementById('test-run-list');
+        if (!container) return;
+
+        const { runs } = this.testEditor;
+        const statusColors = {
+            running: 'bg-blue-100 text-blue-700',
+            passed: 'bg-green-100 text-green-700',
+            failed: 'bg-red-100 text-red-700',
+            error: 'bg-yellow-100 text-yellow-700'
+        };
+
+        container.innerHTML = runs.length === 0
+            ? '<p class="text-sm text-gray-500 text-center py-4 border border-dashed rounded-lg">No runs yet.</p>'
+            : runs.map(run => `
+                <div class="flex items-center justify-between border rounded-lg p-3">
+                    <div>
+                        <span class="px-2 py-0.5 rounded text-xs ${statusColors[run.status] || ''}">${run.status}</span>
+                        <span class="ml-2 text-sm text-gray-900">
+                            ${run.passed_cases} passed${run.failed_cases > 0 ? ` · <span class="text-red-600">${run.failed_cases} failed</span>` : ''}
+                            of ${run.total_cases}
+                        </span>
+                        <span class="ml-2 text-xs text-gray-500">
+                            ${run.provider === 'mock' ? 'Mock' : 'AI'} · ${new Date(run.created_at).toLocaleString()}${run.user_email ? ` by ${this.escapeHtml(run.user_email)}` : ''}
+                        </span>
+                        ${run.error ? `<div class="text-xs text-red-600 mt-1">${this.escapeHtml(run.error)}</div>` : ''}
+                    </div>
+                    ${run.status !== 'running' ? `
+                        <button onclick="promptEngineer.showTestRun('${run.id}')" class="text-blue-600 hover:text-blue-800 text-sm">Results</button>
+                    ` : '<i class="fas fa-spinner fa-spin text-blue-600"></i>'}
+                </div>
+            `).join('');
+    }
+
+    async showTestRun(runId) {
+        const container = document.getElementById('test-run-detail');
+        if (!container) return;
+
+        try {
+            const response = await PMConfig.fetch(`api/v6/projects/${this.currentProject.id}/test-runs/${runId}`);
+            const data = await response.json();
+
+            if (!data.success) {
+                this.showError(data.error || 'Failed to load test run');
+                return;
+            }
+
+            this.renderTestRunDetail(data);
+        } catch (error) {
+            console.error('Error loading test run:', error);
+            this.showError('Failed to load test run');
+        }
+    }
+
+    renderTestRunDetail(data) {
+        const container = document.getElementById('test-run-detail');
+        if (!container) return;
+
+        const statusIcons = {
+            passed: '<i class="fas fa-check-circle text-green-600"></i>',
+            failed: '<i class="fas fa-times-circle text-red-600"></i>',
+            error: '<i class="fas fa-exclamation-triangle text-yellow-600"></i>'
+        };
+        const changeBadges = {
+            fixed: '<span class="px-2 py-0.5 text-xs rounded bg-green-100 text-green-700">Fixed</span>',
+            regressed: '<span class="px-2 py-0.5 text-xs rounded bg-red-100 text-red-700">Regressed</span>',
+            new: '<span class="px-2 py-0.5 text-xs rounded bg-gray-100 text-gray-600">New</span>'
+        };
+        const assertionIcon = passed => passed === null
+            ? '<i class="fas fa-minus-circle text-gray-400"></i>'
+            : passed ? '<i class="fas fa-check text-green-600"></i>' : '<i class="fas fa-times text-red-600"></i>';
+        const diffClasses = { added: 'bg-green-50 text-green-800', removed: 'bg-red-50 text-red-800', same: 'text-gray-600' };
+        const diffPrefixes = { added: '+ ', removed: '- ', same: '  ' };
+
+        container.innerHTML = `
+            <div class="border-t pt-4">
+                <h4 class="font-semibold mb-3">
+                    Results of ${new Date(data.run.created_at).toLocaleString()}
+                    <span class="text-xs font-normal text-gray-500">${data.previous_run_id ? 'compared with the run before' : 'first run'}</span>
+                </h4>
+                <div class="space-y-3">
+                    ${data.results.map(result => `
+                        <div class="border rounded-lg p-3">
+                            <div class="flex items-center space-x-2 mb-2">
+                                ${statusIcons[result.status] || ''}
+                                <span class="font-medium text-gray-900">${this.escapeHtml(result.case_name)}</span>
+                                ${changeBadges[result.change] || ''}
+                                <span class="text-xs text-gray-500">${result.duration_ms} ms</span>
+                            </div>
+                            ${result.error ? `<div class="text-sm text-red-600 mb-2">${this.escapeHtml(result.error)}</div>` : ''}
+                            ${result.assertions.map(assertion => `
+                                <div class="text-sm flex items-start space-x-2">
+                                    ${assertionIcon(assertion.passed)}
+                                    <span>${this.escapeHtml(assertion.label)}</span>
+                                    <span class="text-xs text-gray-500">${this.escapeHtml(assertion.message || '')}</span>
+                                </div>
+                            `).join('')}
+                            ${result.output !== null ? `
+                                <details class="mt-2">
+                                    <summary class="text-sm text-blue-600 cursor-pointer">${result.diff ? 'Output changes' : 'Output'}</summary>
+                                    <pre class="text-xs bg-gray-50 border rounded p-2 mt-1 overflow-x-auto max-h-64">${result.diff
+                                        ? result.diff.map(line => `<div class="${diffClasses[line.type]}">${diffPrefixes[line.type]}${this.escapeHtml(line.text)}</div>`).join('')
+                                        : this.escapeHtml(result.output)}</pre>
+                                </details>
+                            ` : ''}
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    hidePromptTests() {
+        clearTimeout(this.testPollTimer);
+
+        const modal = document.getElementById('tests-modal');
+        if (modal) {
+            modal.remove();
+        }
+    }
+
+    // ================================
+    // EXPERIMENTS
+    // ================================
+
+    async showExperiments() {
+        if (!this.currentProject) return;
+
+        this.hideExperiments();
+        this.experimentEditor = { experiments: [], models: [], editingId: null };
+
+        const canEdit = this.currentProject.role !== 'viewer';
+        const modalHTML = `
+            <div id="experiments-modal" class="fixed inset-0 bg-black bg-opacity-50 modal flex items-center justify-center z-50">
+                <div class="bg-white rounded-lg p-8 max-w-5xl w-full mx-4 max-h-[90vh] overflow-y-auto">
+                    <div class="flex items-center justify-between mb-4">
+                        <h3 class="text-2xl font-semibold text-gray-900">Experiments</h3>
+                        <button onclick="promptEngineer.hideExperiments()" class="text-gray-400 hover:text-gray-600 text-2xl">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </div>
+                    <p class="text-sm text-gray-600 mb-4">
+                        Compare variants of the deployed tool on live traffic. Each variant can change the system prompt, the model
+                        and the order of steps and fields; visitors are split by weight and always see the same variant.
+                        The first variant is the control the others are compared with.
+                    </p>
+
+                    ${canEdit ? `
+                        <div class="flex justify-end mb-4">
+                            <button onclick="promptEngineer.showExperimentForm()" class="px-3 py-2 bg-pink-600 text-white rounded hover:bg-pink-700 text-sm">
+                                <i class="fas fa-plus mr-1"></i>New Experiment
+                            </button>
+                        </div>
+                    ` : ''}
+
+                    <div id="experiment-form" class="mb-4"></div>
+                    <div id="experiment-list" class="space-y-2">
+                        <p class="text-sm text-gray-500 text-center py-4">Loading...</p>
+                    </div>
+                    <div id="experiment-results" class="mt-4"></div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHTML);
+
+        await this.loadExperiments();
+    }
+
+    async loadExperiments() {
+        try {
+            const response = await PMConfig.fetch(`api/v6/projects/${this.currentProject.id}/experiments`);
+            const data = await response.json();
+
+            if (!document.getElementById('experiments-modal')) return;
+            if (!data.success) {
+                this.showError(data.error || 'Failed to load experiments');
+                return;
+            }
+
+            this.experimentEditor = { ...this.experimentEditor, experiments: data.experiments, models: data.models };
+            this.renderExperiments();
+        } catch (error) {
+            console.error('Error loading experiments:', error);
+            this.showError('Failed to load experiments');
+        }
+    }
+
+    renderExperiments() {
+        const container = document.getElementById('experiment-list');
+        if (!container) return;
+
+        const { experiments } = this.experimentEditor;
+        const canEdit = this.currentProject.role !== 'viewer';
+        const statusColors = {
+            draft: 'bg-gray-100 text-gray-700',
+            running: 'bg-green-100 text-green-700',
+            stopped: 'bg-yellow-100 text-yellow-700'
+        };
+
+        container.innerHTML = experiments.length === 0
+            ? '<p class="text-sm text-gray-500 text-center py-4 border border-dashed rounded-lg">No experiments yet.</p>'
+            : experiments.map(experiment => `
+                <div class="flex items-center justify-between border rounded-lg p-3">
+                    <div>
+                        <span class="font-medium text-gray-900">${this.escapeHtml(experiment.name)}</span>
+                        <span class="ml-2 px-2 py-0.5 rounded text-xs ${statusColors[experiment.status] || ''}">${experiment.status}</span>
+                        <div class="text-xs text-gray-500">
+                            ${experiment.variants.map(variant => `${this.escapeHtml(variant.name)} (${variant.weight})`).join(' vs ')}
+                            · ${experiment.visitors} visitors
+                            ${experiment.started_at ? ` · started ${new Date(experiment.started_at).toLocaleString()}` : ''}
+                        </div>
+                    </div>
+                    <div class="flex items-center space-x-3 text-sm">
+                        ${experiment.status !== 'draft' ? `
+                            <button onclick="promptEngineer.showExperimentResults('${experiment.id}')" class="text-blue-600 hover:text-blue-800">
+                                <i class="fas fa-chart-bar mr-1"></i>Results
+                            </button>
+                        ` : ''}
+                        ${canEdit && experiment.status === 'draft' ? `
+                            <button onclick="promptEngineer.showExperimentForm('${experiment.id}')" class="text-blue-600 hover:text-blue-800">Edit</button>
+                            <button onclick="promptEngineer.setExperimentStatus('${experiment.id}', 'start')" class="text-green-600 hover:text-green-800">
+                                <i class="fas fa-play mr-1"></i>Start
+                            </button>
+                        ` : ''}
+                        ${canEdit && experiment.status === 'running' ? `
+                            <button onclick="promptEngineer.setExperimentStatus('${experiment.id}', 'stop')" class="text-orange-600 hover:text-orange-800">
+                                <i class="fas fa-stop mr-1"></i>Stop
+                            </button>
+                        ` : ''}
+                        ${canEdit && experiment.status !== 'running' ? `
+                            <button onclick="promptEngineer.deleteExperiment('${experiment.id}')" class="text-red-600 hover:text-red-800">
+                                <i class="fas fa-trash"></i>
+                            </button>
+                        ` : ''}
+                    </div>
+                </div>
+            `).join('');
+    }
+
+    showExperimentForm(experimentId = null) {
+        const container = document.getElementById('experiment-form');
+        if (!container) return;
+
+        const experiment = this.experimentEditor.experiments.find(candidate => candidate.id === experimentId);
+        this.experimentEditor.editingId = experiment ? experiment.id : null;
+
+        const variants = experiment ? experiment.variants : [
+            { key: 'control', name: 'Control', weight: 50 },
+            { key: 'variant_b', name: 'Variant B', weight: 50 }
+        ];
+        const attr = (value) => this.escapeHtml(value || '').replace(/"/g, '&quot;');
+
+        container.innerHTML = `
+            <div class="border rounded-lg p-4 bg-gray-50">
+                <h4 class="font-semibold mb-3">${experiment ? 'Edit Experiment' : 'New Experiment'}</h4>
+                <div id="experiment-errors" class="mb-3"></div>
+                <label class="block text-sm font-medium text-gray-700 mb-1">Name</label>
+                <input type="text" id="experiment-name" value="${attr(experiment?.name)}" maxlength="255"
+                       class="w-full px-3 py-2 border border-gray-300 rounded-md mb-3" placeholder="e.g. Shorter system prompt">
+                <div id="experiment-variants" class="space-y-3">
+                    ${variants.map(variant => this.renderExperimentVariant(variant)).join('')}
+                </div>
+                <button onclick="promptEngineer.addExperimentVariant()" class="mt-2 text-blue-600 hover:text-blue-800 text-sm">
+                    <i class="fas fa-plus mr-1"></i>Add variant
+                </button>
+                <div class="flex justify-end space-x-2 mt-4">
+                    <button onclick="promptEngineer.hideExperimentForm()" class="px-4 py-2 border rounded text-gray-700 hover:bg-gray-100">Cancel</button>
+                    <button onclick="promptEngineer.saveExperiment()" class="px-4 py-2 bg-pink-600 text-white rounded hover:bg-pink-700">Save</button>
+                </div>
+            </div>
+        `;
+    }
+
+    hideExperimentForm() {
+        const container = document.getElementById('experiment-form');
+        if (container) {
+            container.innerHTML = '';
+        }
+        if (this.experimentEditor) {
+            this.experimentEditor.editingId = null;
+        }
+    }
+
+    /**
+     * Items in the variant's order, then any the variant doesn't list
+     */
+    orderExperimentItems(items, order) {
+        if (!order) return items;
+        const position = id => (order.indexOf(id) === -1 ? order.length : order.indexOf(id));
+        return [...items].sort((a, b) => position(a.id) - position(b.id));
+    }
+
+    renderExperimentOrderList(items, label, attrs) {
+        return `
+            <ul class="experiment-order border rounded bg-white divide-y text-sm" ${attrs}>
+                ${items.map(item => `
+                    <li class="flex items-center justify-between px-2 py-1" data-id="${item.id}">
+                        <span>${this.escapeHtml(label(item))}</span>
+                        <span class="space-x-1">
+                            <button type="button" onclick="promptEngineer.moveExperimentItem(this, -1)" class="text-gray-500 hover:text-gray-800"><i class="fas fa-arrow-up"></i></button>
+                            <button type="button" onclick="promptEngineer.moveExperimentItem(this, 1)" class="text-gray-500 hover:text-gray-800"><i class="fas fa-arrow-down"></i></button>
+                        </span>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    renderExperimentVariant(variant = {}) {
+        const attr = (value) => this.escapeHtml(value ?? '').replace(/"/g, '&quot;');
+        const fieldOrder = variant.field_order || {};
+        const steps = this.orderExperimentItems(this.steps, variant.step_order);
+
+        return `
+            <div class="experiment-variant border rounded-lg p-3 bg-white">
+                <div class="grid grid-cols-4 gap-2 mb-2">
+                    <input type="text" class="variant-key px-2 py-1 border rounded text-sm font-mono" placeholder="key" value="${attr(variant.key)}">
+                    <input type="text" class="variant-name px-2 py-1 border rounded text-sm" placeholder="Name" value="${attr(variant.name)}">
+                    <input type="number" class="variant-weight px-2 py-1 border rounded text-sm" min="1" placeholder="Weight" value="${attr(variant.weight)}">
+                    <select class="variant-model px-2 py-1 border rounded text-sm">
+                        <option value="">Project's model</option>
+                        ${this.experimentEditor.models.map(model => `
+                            <option value="${model}" ${variant.model === model ? 'selected' : ''}>${model}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <textarea class="variant-prompt w-full px-2 py-1 border rounded text-sm" rows="3"
+                          placeholder="System prompt (empty = the project's)">${this.escapeHtml(variant.system_prompt || '')}</textarea>
+                <details class="mt-2">
+                    <summary class="text-sm text-blue-600 cursor-pointer">Step and field order</summary>
+                    <div class="mt-2 space-y-2">
+                        ${this.renderExperimentOrderList(steps, step => step.name, 'data-order="steps"')}
+                        ${this.steps.filter(step => (step.fields || []).length > 1).map(step => `
+                            <div>
+                                <div class="text-xs text-gray-500 mt-2 mb-1">Fields of ${this.escapeHtml(step.name)}</div>
+                                ${this.renderExperimentOrderList(
+                                    this.orderExperimentItems(step.fields, fieldOrder[step.id]),
+                                    field => field.label || field.name,
+                                    `data-order="fields" data-step-id="${step.id}"`
+                                )}
+                            </div>
+                        `).join('')}
+                    </div>
+                </details>
+                <button onclick="this.closest('.experiment-variant').remove()" class="mt-2 text-red-600 hover:text-red-800 text-sm">
+                    <i class="fas fa-times mr-1"></i>Remove variant
+                </button>
+            </div>
+        `;
+    }
+
+    addExperimentVariant() {
+        const container = document.getElementById('experiment-variants');
+        if (!container) return;
+
+        const number = container.querySelectorAll('.experiment-variant').length + 1;
+        container.insertAdjacentHTML('beforeend', this.renderExperimentVariant({
+            key: `variant_${String.fromCharCode(96 + number)}`,
+            name: `Variant ${String.fromCharCode(64 + number)}`,
+            weight: 50
+        }));
+    }
+
+    moveExperimentItem(button, direction) {
+        const item = button.closest('li');
+        const sibling = direction < 0 ? item.previousElementSibling : item.nextElementSibling;
+        if (!sibling) return;
+
+        if (direction < 0) {
+            item.parentNode.insertBefore(item, sibling);
+        } else {
+            item.parentNode.insertBefore(sibling, item);
+        }
+    }
+
+    readExperimentVariants() {
+        const idsOf = list => [...list.querySelectorAll('li')].map(item => item.dataset.id);
+
+        return [...document.querySelectorAll('#experiment-variants .experiment-variant')].map(row => {
+            const fieldOrder = {};
+            row.querySelectorAll('.experiment-order[data-order="fields"]').forEach(list => {
+                fieldOrder[list.dataset.stepId] = idsOf(list);
+            });
+
+            return {
+                key: row.querySelector('.variant-key').value.trim(),
+                name: row.querySelector('.variant-name').value.trim(),
+                weight: Number(row.querySelector('.variant-weight').value),
+                model: row.querySelector('.variant-model').value || null,
+                system_prompt: row.querySelector('.variant-prompt').value,
+                step_order: idsOf(row.querySelector('.experiment-order[data-order="steps"]')),
+                field_order: fieldOrder
+            };
+        });
+    }
+
+    async saveExperiment() {
+        const { editingId } = this.experimentEditor;
+        const errors = document.getElementById('experiment-errors');
+
+        try {
+            this.showLoading('Saving experiment...');
+
+            const response = await PMConfig.fetch(`api/v6/projects/${this.currentProject.id}/experiments${editingId ? `/${editingId}` : ''}`, {
+                method: editingId ? 'PUT' : 'POST',
+                body: JSON.stringify({
+                    name: document.getElementById('experiment-name').value,
+                    variants: this.readExperimentVariants()
+                })
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                this.hideExperimentForm();
+                this.showSuccess(data.message);
+                await this.loadExperiments();
+            } else {
+                errors.innerHTML = `
+                    <div class="bg-red-50 border border-red-200 text-red-700 rounded-lg p-3 text-sm">
+                        ${(data.errors || [data.error || 'Failed to save experiment']).map(error => `<div>${this.escapeHtml(error)}</div>`).join('')}
+                    </div>
+                `;
+            }
+        } catch (error) {
+            console.error('Error saving experiment:', error);
+            this.showError('Failed to save experiment');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    async setExperimentStatus(experimentId, action) {
+        const prompts = {
+            start: 'Start this experiment? Visitors of the deployed tool will be split between its variants.',
+            stop: 'Stop this experiment? Every visitor gets the published tool again; results are kept.'
+        };
+        if (!confirm(prompts[action])) {
+            return;
+        }
+
+        try {
+            const response = await PMConfig.fetch(`api/v6/projects/${this.currentProject.id}/experiments/${experimentId}/${action}`, {
+                method: 'POST'
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                this.showSuccess(data.message);
+                await this.loadExperiments();
+            } else {
+                this.showError(data.error || `Failed to ${action} experiment`);
+            }
+        } catch (error) {
+            console.error(`Error trying to ${action} experiment:`, error);
+            this.showError(`Failed to ${action} experiment`);
+        }
+    }
+
+    async deleteExperiment(experimentId) {
+        if (!confirm('Delete this experiment and its results?')) {
+            return;
+        }
+
+        try {
+            const response = await PMConfig.fetch(`api/v6/projects/${this.currentProject.id}/experiments/${experimentId}`, {
+                method: 'DELETE'
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                if (this.experimentEditor.editingId === experimentId) {
+                    this.hideExperimentForm();
+                }
+                document.getElementById('experiment-results').innerHTML = '';
+                this.showSuccess(data.message);
+                await this.loadExperiments();
+            } else {
+                this.showError(data.error || 'Failed to delete experiment');
+            }
+        } catch (error) {
+            console.error('Error deleting experiment:', error);
+            this.showError('Failed to delete experiment');
+        }
+    }
+
+    async showExperimentResults(experimentId) {
+        const container = document.getElementById('experiment-results');
+        if (!container) return;
+
+        try {
+            const response = await PMConfig.fetch(`api/v6/projects/${this.currentProject.id}/experiments/${experimentId}/results`);
+            const data = await response.json();
+
+            if (!data.success) {
+                this.showError(data.error || 'Failed to load results');
+                return;
+            }
+
+            this.renderExperimentResults(data);
+        } catch (error) {
+            console.error('Error loading experiment results:', error);
+            this.showError('Failed to load results');
+        }
+    }
+
+    renderExperimentResults(data) {
+        const container = document.getElementById('experiment-results');
+        if (!container) return;
+
+        const percent = value => (value === null ? '—' : `${(value * 100).toFixed(1)}%`);
+        const money = value => (value === null ? '—' : `$${value.toFixed(4)}`);
+        const significance = variant => {
+            if (!variant.significance) {
+                return variant === data.variants[0] ? '<span class="text-gray-500">Control</span>' : '<span class="text-gray-400">Not enough data</span>';
+            }
+            const { lift, p_value, significant } = variant.significance;
+            return `
+                <span class="${lift > 0 ? 'text-green-700' : lift < 0 ? 'text-red-700' : 'text-gray-700'}">
+                    ${lift === null ? '' : `${lift > 0 ? '+' : ''}${(lift * 100).toFixed(1)}%`}
+                </span>
+                <span class="text-xs text-gray-500">p = ${p_value.toFixed(3)}</span>
+                ${significant
+                    ? '<span class="px-2 py-0.5 text-xs rounded bg-green-100 text-green-700">Significant</span>'
+                    : '<span class="px-2 py-0.5 text-xs rounded bg-gray-100 text-gray-600">Not significant</span>'}
+            `;
+        };
+
+        container.innerHTML = `
+            <div class="border-t pt-4">
+                <h4 class="font-semibold mb-1">Results: ${this.escapeHtml(data.experiment.name)}</h4>
+                <p class="text-xs text-gray-500 mb-3">
+                    Completion rate is the share of visitors who got a result. Completion rates are compared with the control using a
+                    two-proportion z-test; "significant" means p &lt; ${data.significance_level}.
+                </p>
+                <div class="overflow-x-auto">
+                    <table class="min-w-full text-sm border">
+                        <thead class="bg-gray-50">
+                            <tr>
+                                <th class="px-3 py-2 text-left border">Variant</th>
+                                <th class="px-3 py-2 text-right border">Visitors</th>
+                                <th class="px-3 py-2 text-right border">Completed</th>
+                                <th class="px-3 py-2 text-right border">Completion rate</th>
+                                <th class="px-3 py-2 text-left border">vs control</th>
+                                <th class="px-3 py-2 text-right border">Feedback</th>
+                                <th class="px-3 py-2 text-right border">Cost / result</th>
+                                <th class="px-3 py-2 text-right border">Total cost</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${data.variants.map(variant => `
+                                <tr>
+                                    <td class="px-3 py-2 border">${this.escapeHtml(variant.name)} <span class="text-xs text-gray-500 font-mono">${variant.key}</span></td>
+                                    <td class="px-3 py-2 border text-right">${variant.visitors}</td>
+                                    <td class="px-3 py-2 border text-right">${variant.completed_visitors}</td>
+                                    <td class="px-3 py-2 border text-right">${percent(variant.completion_rate)}</td>
+                                    <td class="px-3 py-2 border">${significance(variant)}</td>
+                                    <td class="px-3 py-2 border text-right">
+                                        ${variant.avg_rating === null ? '—' : `${variant.avg_rating.toFixed(2)} / 5`}
+                                        <span class="text-xs text-gray-500">(${variant.feedback_count})</span>
+                                    </td>
+                                    <td class="px-3 py-2 border text-right">${money(variant.cost_per_session)}</td>
+                                    <td class="px-3 py-2 border text-right">${money(variant.total_cost)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    }
+
+    hideExperiments() {
+        const modal = document.getElementById('experiments-modal');
+        if (modal) {
+            modal.remove();
+        }
+    }
+
+    // ================================
+    // RESPONSE CACHE
+    // ================================
+
+    async showResponseCache() {
+        if (!this.currentProject) return;
+
+        this.hideResponseCache();
+
+        try {
+            const response = await PMConfig.fetch(`api/v6/projects/${this.currentProject.id}/response-cache`);
+            const data = await response.json();
+
+            if (!data.success) {
+                this.showError(data.error || 'Failed to load response cache settings');
+                return;
+            }
+
+            const canEdit = this.currentProject.role !== 'viewer';
+            const ttlOptions = [
+                [3600, '1 hour'],
+                [6 * 3600, '6 hours'],
+                [24 * 3600, '1 day'],
+                [7 * 24 * 3600, '7 days'],
+                [30 * 24 * 3600, '30 days']
+            ];
+            if (!ttlOptions.some(([seconds]) => seconds === data.settings.ttl_seconds)) {
+                ttlOptions.push([data.settings.ttl_seconds, `${data.settings.ttl_seconds} seconds`]);
+            }
+            const { stats } = data;
+
+            const modalHTML = `
+                <div id="response-cache-modal" class="fixed inset-0 bg-black bg-opacity-50 modal flex items-center justify-center z-50">
+                    <div class="bg-white rounded-lg p-8 max-w-2xl w-full mx-4 max-h-[90vh] overflow-y-auto">
+                        <div class="flex items-center justify-between mb-4">
+                            <h3 class="text-2xl font-semibold text-gray-900">Response Cache</h3>
+                            <button onclick="promptEngineer.hideResponseCache()" class="text-gray-400 hover:text-gray-600 text-2xl">
+                                <i class="fas fa-times"></i>
+                            </button>
+                        </div>
+                        <p class="text-sm text-gray-600 mb-4">
+                            When a visitor submits the same answers as an earlier visitor, the deployed tool can reuse that result instead of calling the AI.
+                            Answers are compared ignoring extra spaces. Every deploy clears the cache.
+                        </p>
+
+                        <div class="grid grid-cols-4 gap-3 mb-6">
+                            <div class="border rounded-lg p-3 text-center">
+                                <div class="text-2xl font-semibold text-gray-900">${stats.hits}</div>
+                                <div class="text-xs text-gray-500">Hits</div>
+                            </div>
+                            <div class="border rounded-lg p-3 text-center">
+                                <div class="text-2xl font-semibold text-gray-900">${stats.misses}</div>
+                                <div class="text-xs text-gray-500">Misses</div>
+                            </div>
+                            <div class="border rounded-lg p-3 text-center">
+                                <div class="text-2xl font-semibold text-gray-900">${stats.hit_rate === null ? '—' : `${(stats.hit_rate * 100).toFixed(1)}%`}</div>
+                                <div class="text-xs text-gray-500">Hit rate</div>
+                            </div>
+                            <div class="border rounded-lg p-3 text-center">
+                                <div class="text-2xl font-semibold text-gray-900">$${stats.estimated_savings.toFixed(2)}</div>
+                                <div class="text-xs text-gray-500">Est. AI cost saved</div>
+                            </div>
+                        </div>
+
+                        <label class="flex items-center text-sm text-gray-700 mb-3">
+                            <input type="checkbox" id="response-cache-enabled" class="mr-2" ${data.settings.enabled ? 'checked' : ''} ${canEdit ? '' : 'disabled'}>
+                            Reuse results of identical submissions
+                        </label>
+                        <label class="block text-sm font-medium text-gray-700 mb-1">Keep results for</label>
+                        <select id="response-cache-ttl" class="w-full px-3 py-2 border border-gray-300 rounded-md mb-2" ${canEdit ? '' : 'disabled'}>
+                            ${ttlOptions.map(([seconds, label]) => `
+                                <option value="${seconds}" ${seconds === data.settings.ttl_seconds ? 'selected' : ''}>${label}</option>
+                            `).join('')}
+                        </select>
+                        <p class="text-xs text-gray-500 mb-6">
+                            Stored ${data.backend === 'redis' ? 'in Redis' : 'in the API server\'s memory (Redis is not configured), so it is emptied when the server restarts'}.
+                        </p>
+
+                        <div class="flex justify-end space-x-2">
+                            ${canEdit ? `
+                                <button onclick="promptEngineer.clearResponseCache()" class="px-4 py-2 border border-red-300 text-red-600 rounded hover:bg-red-50">
+                                    <i class="fas fa-trash mr-1"></i>Clear Cache
+                                </button>
+                                <button onclick="promptEngineer.saveResponseCache()" class="px-4 py-2 bg-cyan-600 text-white rounded hover:bg-cyan-700">Save</button>
+                            ` : `
+                                <button onclick="promptEngineer.hideResponseCache()" class="px-4 py-2 border rounded text-gray-700 hover:bg-gray-100">Close</button>
+                            `}
+                        </div>
+                    </div>
+                </div>
+            `;
+
+            document.body.insertAdjacentHTML('beforeend', modalHTML);
+        } catch (error) {
+            console.error('Error loading response cache settings:', error);
+            this.showError('Failed to load response cache settings');
+        }
+    }
+
+    async saveResponseCache() {
+        try {
+            const response = await PMConfig.fetch(`api/v6/projects/${this.currentProject.id}/response-cache`, {
+                method: 'PUT',
+                body: JSON.stringify({
+                    enabled: document.getElementById('response-cache-enabled').checked,
+                    ttl_seconds: parseInt(document.getElementById('response-cache-ttl').value, 10)
+                })
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                this.hideResponseCache();
+                this.showSuccess(data.message);
+            } else {
+                this.showError((data.errors || [data.error || 'Failed to update response cache settings']).join('\n'));
+            }
+        } catch (error) {
+            console.error('Error updating response cache settings:', error);
+            this.showError('Failed to update response cache settings');
+        }
+    }
+
+    async clearResponseCache() {
+        if (!confirm('Clear every cached result? The next submissions will call the AI again.')) {
+            return;
+        }
+
+        try {
+            const response = await PMConfig.fetch(`api/v6/projects/${this.currentProject.id}/response-cache/clear`, {
+                method: 'POST'
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                this.showSuccess(data.message);
+            } else {
+                this.showError(data.error || 'Failed to clear response cache');
+            }
+        } catch (error) {
+            console.error('Error clearing response cache:', error);
+            this.showError('Failed to clear response cache');
+        }
+    }
+
+    hideResponseCache() {
+        const modal = document.getElementById('response-cache-modal');
+        if (modal) {
+            modal.remove();
+        }
+    }
+
+    // ================================
+    // TEMPLATE GALLERY
+    // ================================
+
+    showSaveTemplateModal() {
+        if (!this.currentProject) return;
+
+        this.hideSaveTemplateModal();
+        this.templateDraft = { variables: [], images: [] };
+
+        const attr = (value) => this.escapeHtml(value || '').replace(/"/g, '&quot;');
+        const categories = ['marketing', 'writing', 'business', 'education', 'health', 'productivity', 'creative', 'other'];
+        const modalHTML = `
+            <div id="save-template-modal" class="fixed inset-0 bg-black bg-opacity-50 modal flex items-center justify-center z-50">
+                <div class="bg-white rounded-lg p-8 max-w-3xl w-full mx-4 max-h-[90vh] overflow-y-auto">
+                    <div class="flex items-center justify-between mb-4">
+                        <h3 class="text-2xl font-semibold text-gray-900">Save as Template</h3>
+                        <button onclick="promptEngineer.hideSaveTemplateModal()" class="text-gray-400 hover:text-gray-600 text-2xl">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </div>
+                    <p class="text-sm text-gray-600 mb-4">
+                        Templates keep the steps, fields, prompts and settings of this project, never its responses.
+                        Variables let people who use the template fill in their own values, e.g. a brand name or audience.
+                    </p>
+
+                    <div id="save-template-errors"></div>
+
+                    <div class="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+                        <div class="md:col-span-2">
+                            <label class="block text-sm font-medium text-gray-700 mb-1">Name</label>
+                            <input type="text" id="template-name" value="${attr(this.currentProject.name)}" class="w-full p-2 border border-gray-300 rounded">
+                        </div>
+                        <div class="md:col-span-2">
+                            <label class="block text-sm font-medium text-gray-700 mb-1">Description</label>
+                            <textarea id="template-description" rows="2" class="w-full p-2 border border-gray-300 rounded">${this.escapeHtml(this.currentProject.description || '')}</textarea>
+                        </div>
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700 mb-1">Category</label>
+                            <select id="template-category" class="w-full p-2 border border-gray-300 rounded">
+                                ${categories.map(category => `<option value="${category}" ${category === 'other' ? 'selected' : ''}>${category.charAt(0).toUpperCase() + category.slice(1)}</option>`).join('')}
+                            </select>
+                        </div>
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700 mb-1">Visibility</label>
+                            <select id="template-visibility" class="w-full p-2 border border-gray-300 rounded">
+                                <option value="private">Private - only me</option>
+                                <option value="team">Team - my client team</option>
+                                <option value="public">Public - everyone</option>
+                            </select>
+                        </div>
+                        <div class="md:col-span-2">
+                            <label class="block text-sm font-medium text-gray-700 mb-1">Tags</label>
+                            <input type="text" id="template-tags" placeholder="names, branding, startup" class="w-full p-2 border border-gray-300 rounded">
+                        </div>
+                    </div>
+
+                    <h4 class="text-sm font-medium text-gray-700 mb-1">Variables</h4>
+                    <p class="text-xs text-gray-500 mb-2">"Text to replace" is the text in this project that becomes the variable, e.g. your brand name.</p>
+                    <div id="template-variables" class="space-y-2"></div>
+                    <button onclick="promptEngineer.addTemplateVariable()" class="mt-2 text-blue-600 hover:text-blue-800 text-sm">
+                        <i class="fas fa-plus mr-1"></i>Add Variable
+                    </button>
+
+                    <h4 class="text-sm font-medium text-gray-700 mt-4 mb-1">Preview Screenshots</h4>
+                    <input type="file" id="template-images" accept="image/png,image/jpeg,image/webp" multiple class="text-sm">
+                    <p class="text-xs text-gray-500 mt-1">Up to 3 images, 1 MB each.</p>
+                    <div id="template-image-previews" class="flex space-x-2 mt-2"></div>
+
+                    <div class="flex justify-end space-x-3 mt-6">
+                        <button onclick="promptEngineer.hideSaveTemplateModal()" class="bg-gray-300 text-gray-700 px-4 py-2 rounded hover:bg-gray-400">
+                            Cancel
+                        </button>
+                        <button onclick="promptEngineer.saveAsTemplate()" class="bg-pink-600 text-white px-4 py-2 rounded hover:bg-pink-700">
+                            Save Template
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHTML);
+        document.getElementById('template-images').addEventListener('change', (e) => this.readTemplateImages(e.target.files));
+        this.renderTemplateVariables();
+    }
+
+    renderTemplateVariables() {
+        const container = document.getElementById('template-variables');
+        if (!container) return;
+
+        const attr = (value) => this.escapeHtml(value || '').replace(/"/g, '&quot;');
+        const { variables } = this.templateDraft;
+
+        container.innerHTML = variables.length === 0
+            ? '<p class="text-sm text-gray-500 text-center py-3 border border-dashed rounded-lg">No variables.</p>'
+            : variables.map((variable, index) => `
+                <div class="template-variable grid grid-cols-12 gap-2 items-center">
+                    <input type="text" class="template-variable-key col-span-2 p-2 border border-gray-300 rounded font-mono text-sm" value="${attr(variable.key)}" placeholder="brand_name">
+                    <input type="text" class="template-variable-label col-span-3 p-2 border border-gray-300 rounded text-sm" value="${attr(variable.label)}" placeholder="Brand name">
+                    <input type="text" class="template-variable-sample col-span-3 p-2 border border-gray-300 rounded text-sm" value="${attr(variable.sample)}" placeholder="Text to replace">
+                    <input type="text" class="template-variable-default col-span-2 p-2 border border-gray-300 rounded text-sm" value="${attr(variable.default)}" placeholder="Default">
+                    <label class="col-span-1 flex items-center space-x-1 text-xs text-gray-600">
+                        <input type="checkbox" class="template-variable-required rounded" ${variable.required !== false ? 'checked' : ''}>
+                        <span>Req.</span>
+                    </label>
+                    <button onclick="promptEngineer.removeTemplateVariable(${index})" class="col-span-1 text-red-500 hover:text-red-700" title="Remove variable">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            `).join('');
+    }
+
+    readTemplateVariables() {
+        return Array.from(document.querySelectorAll('#template-variables .template-variable')).map(row => ({
+            key: row.querySelector('.template-variable-key').value.trim(),
+            label: row.querySelector('.template-variable-label').value.trim(),
+            sample: row.querySelector('.template-variable-sample').value.trim(),
+            default: row.querySelector('.template-variable-default').value.trim(),
+            required: row.querySelector('.template-variable-required').checked
+        }));
+    }
+
+    addTemplateVariable() {
+        this.templateDraft.variables = [...this.readTemplateVariables(), { key: '', label: '', sample: '', default: '', required: true }];
+        this.renderTemplateVariables();
+    }
+
+    removeTemplateVariable(index) {
+        const variables = this.readTemplateVariables();
+        variables.splice(index, 1);
+
+        this.templateDraft.variables = variables;
+        this.renderTemplateVariables();
+    }
+
+    async readTemplateImages(files) {
+        const images = Array.from(files || []).slice(0, 3);
+        const tooLarge = images.filter(file => file.size > 1024 * 1024);
+
+        if (tooLarge.length > 0) {
+            this.showError(`${tooLarge.map(file => file.name).join(', ')} is larger than 1 MB`);
+        }
+
+        this.templateDraft.images = await Promise.all(images.filter(file => file.size <= 1024 * 1024).map(file => new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(file);
+        })));
+
+        document.getElementById('template-image-previews').innerHTML = this.templateDraft.images
+            .map(image => `<img src="${image}" class="h-20 rounded border object-cover">`)
+            .join('');
+    }
+
+    hideSaveTemplateModal() {
+        const modal = document.getElementById('save-template-modal');
+        if (modal) {
+            modal.remove();
+        }
+    }
+
+    async saveAsTemplate() {
+        const errorsContainer = document.getElementById('save-template-errors');
+
+        try {
+            this.showLoading('Saving template...');
+
+            const response = await PMConfig.fetch(`api/v6/projects/${this.currentProject.id}/save-as-template`, {
+                method: 'POST',
+                body: JSON.stringify({
+                    name: document.getElementById('template-name').value,
+                    description: document.getElementById('template-description').value,
+                    category: document.getElementById('template-category').value,
+                    visibility: document.getElementById('template-visibility').value,
+                    tags: document.getElementById('template-tags').value,
+                    variables: this.readTemplateVariables(),
+                    preview_images: this.templateDraft.images
+                })
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                this.hideSaveTemplateModal();
+                this.showSuccess(data.warnings?.length > 0 ? `${data.message} (${data.warnings.join('; ')})` : data.message);
+            } else {
+                if (errorsContainer && data.errors) {
+                    errorsContainer.innerHTML = `
+                        <div class="bg-red-50 border border-red-200 text-red-700 rounded-lg p-3 mb-4 text-sm">
+                            ${data.errors.map(error => `<div>${this.escapeHtml(error)}</div>`).join('')}
+                        </div>
+                    `;
+                }
+                this.showError(data.error || 'Failed to save template');
+            }
+        } catch (error) {
+            console.error('Error saving template:', error);
+            this.showError('Failed to save template');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    async showTemplateGallery() {
+        this.hideTemplateGallery();
+
+        const modalHTML = `
+            <div id="template-gallery-modal" class="fixed inset-0 bg-black bg-opacity-50 modal flex items-center justify-center z-50">
+                <div class="bg-white rounded-lg p-8 max-w-6xl w-full mx-4 max-h-[90vh] overflow-y-auto">
+                    <div class="flex items-center justify-between mb-4">
+                        <h3 class="text-2xl font-semibold text-gray-900">Template Gallery</h3>
+                        <button onclick="promptEngineer.hideTemplateGallery()" class="text-gray-400 hover:text-gray-600 text-2xl">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </div>
+
+                    <div class="flex flex-wrap gap-3 mb-6">
+                        <input type="text" id="template-search" placeholder="Search templates..." class="flex-1 min-w-[200px] p-2 border border-gray-300 rounded">
+                        <select id="template-filter-category" class="p-2 border border-gray-300 rounded">
+                            <option value="">All categories</option>
+                        </select>
+                        <select id="template-sort" class="p-2 border border-gray-300 rounded">
+                            <option value="featured">Featured</option>
+                            <option value="popular">Most used</option>
+                            <option value="newest">Newest</option>
+                        </select>
+                        <label class="flex items-center space-x-2 text-sm text-gray-700">
+                            <input type="checkbox" id="template-mine" class="rounded">
+                            <span>My templates</span>
+                        </label>
+                    </div>
+
+                    <div id="template-grid" class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+                        <p class="text-sm text-gray-500 text-center py-8 col-span-full">Loading...</p>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHTML);
+
+        let searchTimer = null;
+        document.getElementById('template-search').addEventListener('input', () => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(() => this.loadTemplates(), 300);
+        });
+        ['template-filter-category', 'template-sort', 'template-mine'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.loadTemplates());
+        });
+
+        await this.loadTemplates();
+    }
+
+    async loadTemplates() {
+        const params = new URLSearchParams({
+            q: document.getElementById('template-search').value.trim(),
+            category: document.getElementById('template-filter-category').value,
+            sort: document.getElementById('template-sort').value,
+            mine: document.getElementById('template-mine').checked ? 'true' : ''
+        });
+
+        try {
+            const response = await PMConfig.fetch(`api/v6/templates?${params.toString()}`);
+            const data = await response.json();
+
+            if (!data.success) {
+                this.showError(data.error || 'Failed to load templates');
+                return;
+            }
+
+            const categorySelect = document.getElementById('template-filter-category');
+            if (categorySelect && categorySelect.options.length === 1) {
+                data.categories.forEach(category => {
+                    categorySelect.insertAdjacentHTML('beforeend', `<option value="${category}">${category.charAt(0).toUpperCase() + category.slice(1)}</option>`);
+                });
+            }
+
+            this.renderTemplateGrid(data.templates);
+        } catch (error) {
+            console.error('Error loading templates:', error);
+            this.showError('Failed to load templates');
+        }
+    }
+
+    renderTemplateGrid(templates) {
+        const grid = document.getElementById('template-grid');
+        if (!grid) return;
+
+        if (templates.length === 0) {
+            grid.innerHTML = '<p class="text-sm text-gray-500 text-center py-8 col-span-full border border-dashed rounded-lg">No templates found.</p>';
+            return;
+        }
+
+        grid.innerHTML = templates.map(template => `
+            <div class="border rounded-lg overflow-hidden hover:shadow-lg transition-shadow cursor-pointer" onclick="promptEngineer.showTemplateDetails('${template.id}')">
+                <div class="h-32 bg-gray-100 flex items-center justify-center">
+                    ${template.preview_count > 0
+                        ? `<img data-template-preview="${template.id}" class="h-32 w-full object-cover">`
+                        : '<i class="fas fa-puzzle-piece text-4xl text-gray-300"></i>'}
+                </div>
+                <div class="p-4">
+                    <div class="flex items-center justify-between mb-1">
+                        <h4 class="font-semibold text-gray-900">${this.escapeHtml(template.name)}</h4>
+                        ${template.featured ? '<span class="text-yellow-500" title="Featured"><i class="fas fa-star"></i></span>' : ''}
+                    </div>
+                    <p class="text-sm text-gray-600 mb-2">${this.escapeHtml(template.description || '')}</p>
+                    <div class="flex flex-wrap gap-1 text-xs">
+                        <span class="px-2 py-0.5 rounded bg-blue-100 text-blue-700">${this.escapeHtml(template.category)}</span>
+                        <span class="px-2 py-0.5 rounded bg-gray-100 text-gray-700">${template.visibility}</span>
+                        ${template.tags.map(tag => `<span class="px-2 py-0.5 rounded bg-gray-50 text-gray-500">#${this.escapeHtml(tag)}</span>`).join('')}
+                    </div>
+                    <div class="text-xs text-gray-500 mt-2">
+                        ${template.step_count} step${template.step_count === 1 ? '' : 's'} · used ${template.use_count} time${template.use_count === 1 ? '' : 's'}
+                    </div>
+                </div>
+            </div>
+        `).join('');
+
+        templates.filter(template => template.preview_count > 0).forEach(template => {
+            this.loadTemplatePreview(template.id, 0, document.querySelector(`[data-template-preview="${template.id}"]`));
+        });
+    }
+
+    /**
+     * Preview images need the auth header, so they are fetched and shown as object URLs
+     */
+    async loadTemplatePreview(templateId, index, img) {
+        if (!img) return;
+
+        try {
+            const response = await PMConfig.fetch(`api/v6/templates/${templateId}/previews/${index}`);
+            if (response.ok) {
+                img.src = URL.createObjectURL(await response.blob());
+            }
+        } catch (error) {
+            console.error('Error loading template preview:', error);
+        }
+    }
+
+    async showTemplateDetails(templateId) {
+        try {
+            this.showLoading('Loading template...');
+
+            const response = await PMConfig.fetch(`api/v6/templates/${templateId}`);
+            const data = await response.json();
+
+            if (!data.success) {
+                this.showError(data.error || 'Failed to load template');
+                return;
+            }
+
+            this.renderTemplateDetails(data.template);
+        } catch (error) {
+            console.error('Error loading template:', error);
+            this.showError('Failed to load template');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    renderTemplateDetails(template) {
+        this.hideTemplateDetails();
+
+        const attr = (value) => this.escapeHtml(value || '').replace(/"/g, '&quot;');
+        const isAdmin = typeof NavigationManager !== 'undefined' && new NavigationManager().isAdmin();
+        const modalHTML = `
+            <div id="template-details-modal" class="fixed inset-0 bg-black bg-opacity-50 modal flex items-center justify-center z-50">
+                <div class="bg-white rounded-lg p-8 max-w-3xl w-full mx-4 max-h-[90vh] overflow-y-auto">
+                    <div class="flex items-center justify-between mb-2">
+                        <h3 class="text-2xl font-semibold text-gray-900">
+                            ${this.escapeHtml(template.name)}
+                            ${template.featured ? '<i class="fas fa-star text-yellow-500 text-lg ml-1" title="Featured"></i>' : ''}
+                        </h3>
+                        <button onclick="promptEngineer.hideTemplateDetails()" class="text-gray-400 hover:text-gray-600 text-2xl">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </div>
+                    <p class="text-sm text-gray-600 mb-4">${this.escapeHtml(template.description || '')}</p>
+
+                    ${template.preview_count > 0 ? `
+                        <div class="flex space-x-2 overflow-x-auto mb-4">
+                            ${Array.from({ length: template.preview_count }, (_, index) => `
+                                <img data-template-screenshot="${index}" class="h-40 rounded border object-cover">
+                            `).join('')}
+                        </div>
+                    ` : ''}
+
+                    <h4 class="text-sm font-medium text-gray-700 mb-2">Steps</h4>
+                    <ol class="list-decimal list-inside text-sm text-gray-700 mb-4 space-y-1">
+                        ${template.outline.map(step => `
+                            <li>
+                                <span class="font-medium">${this.escapeHtml(step.name)}</span>
+                                <span class="text-gray-500">- ${step.fields.map(field => this.escapeHtml(field.label)).join(', ') || 'no fields'}</span>
+                            </li>
+                        `).join('')}
+                    </ol>
+
+                    <div class="border-t pt-4">
+                        <div id="template-create-errors"></div>
+                        <label class="block text-sm font-medium text-gray-700 mb-1">Project Name</label>
+                        <input type="text" id="template-project-name" value="${attr(template.name)}" class="w-full p-2 border border-gray-300 rounded mb-3">
+                        ${template.variables.map(variable => `
+                            <label class="block text-sm font-medium text-gray-700 mb-1">
+                                ${this.escapeHtml(variable.label)}${variable.required && !variable.default ? ' <span class="text-red-500">*</span>' : ''}
+                            </label>
+                            <input type="text" class="template-variable-value w-full p-2 border border-gray-300 rounded mb-3"
+                                   data-key="${attr(variable.key)}" value="${attr(variable.default)}">
+                        `).join('')}
+                    </div>
+
+                    <div class="flex justify-between mt-4">
+                        <div class="space-x-3 text-sm">
+                            ${template.is_owner ? `
+                                <button onclick="promptEngineer.deleteTemplate('${template.id}')" class="text-red-600 hover:text-red-800">Delete Template</button>
+                            ` : ''}
+                            ${isAdmin && template.visibility === 'public' ? `
+                                <button onclick="promptEngineer.featureTemplate('${template.id}', ${!template.featured})" class="text-yellow-600 hover:text-yellow-800">
+                                    ${template.featured ? 'Unfeature' : 'Feature'}
+                                </button>
+                            ` : ''}
+                        </div>
+                        <div class="flex space-x-3">
+                            <button onclick="promptEngineer.hideTemplateDetails()" class="bg-gray-300 text-gray-700 px-4 py-2 rounded hover:bg-gray-400">
+                                Cancel
+                            </button>
+                            <button onclick="promptEngineer.createProjectFromTemplate('${template.id}')" class="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700">
+                                Create Project
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHTML);
+        document.querySelectorAll('#template-details-modal [data-template-screenshot]').forEach(img => {
+            this.loadTemplatePreview(template.id, img.dataset.templateScreenshot, img);
+        });
+    }
+
+    hideTemplateDetails() {
+        const modal = document.getElementById('template-details-modal');
+        if (modal) {
+            modal.remove();
+        }
+    }
+
+    hideTemplateGallery() {
+        this.hideTemplateDetails();
+
+        const modal = document.getElementById('template-gallery-modal');
+        if (modal) {
+            modal.remove();
+        }
+    }
+
+    async createProjectFromTemplate(templateId) {
+        const variables = {};
+        document.querySelectorAll('#template-details-modal .template-variable-value').forEach(input => {
+            variables[input.dataset.key] = input.value;
+        });
+
+        try {
+            this.showLoading('Creating project...');
+
+            const response = await PMConfig.fetch(`api/v6/templates/${templateId}/create-project`, {
+                method: 'POST',
+                body: JSON.stringify({
+                    name: document.getElementById('template-project-name').value,
+                    variables
+                })
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                this.hideTemplateGallery();
+                this.showSuccess(data.message);
+                this.editProject(data.project.id);
+            } else {
+                const errorsContainer = document.getElementById('template-create-errors');
+                if (errorsContainer && data.errors) {
+                    errorsContainer.innerHTML = `
+                        <div class="bg-red-50 border border-red-200 text-red-700 rounded-lg p-3 mb-4 text-sm">
+                            ${data.errors.map(error => `<div>${this.escapeHtml(error)}</div>`).join('')}
+                        </div>
+                    `;
+                }
+                this.showError(data.error || 'Failed to create project');
+            }
+        } catch (error) {
+            console.error('Error creating project from template:', error);
+            this.showError('Failed to create project');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    async deleteTemplate(templateId) {
+        if (!confirm('Delete this template? Projects created from it are not affected.')) {
+            return;
+        }
+
+        try {
+            const response = await PMConfig.fetch(`api/v6/templates/${templateId}`, { method: 'DELETE' });
+            const data = await response.json();
+
+            if (data.success) {
+                this.hideTemplateDetails();
+                this.showSuccess(data.message);
+                await this.loadTemplates();
+            } else {
+                this.showError(data.error || 'Failed to delete template');
+            }
+        } catch (error) {
+            console.error('Error deleting template:', error);
+            this.showError('Failed to delete template');
+        }
+    }
+
+    async featureTemplate(templateId, featured) {
+        try {
+            const response = await PMConfig.fetch(`api/admin/templates/${templateId}/feature`, {
+                method: 'PUT',
+                body: JSON.stringify({ featured })
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                this.showSuccess(data.message);
+                await this.loadTemplates();
+                await this.showTemplateDetails(templateId);
+            } else {
+                this.showError(data.error || 'Failed to update template');
+            }
+        } catch (error) {
+            console.error('Error featuring template:', error);
+            this.showError('Failed to update template');
+        }
+    }
+
+    // ================================
+    // VERSION HISTORY
+    // ================================
+
+    async showVersionHistory() {
+        if (!this.currentProject) return;
+
+        try {
+            this.showLoading('Loading versions...');
+
+            const response = await PMConfig.fetch(`api/v6/projects/${this.currentProject.id}/versions`);
+            const data = await response.json();
+
+            if (!data.success) {
+                this.showError(data.error || 'Failed to load versions');
+                return;
+            }
+
+            this.renderVersionHistory(data);
+        } catch (error) {
+            console.error('Error loading versions:', error);
+            this.showError('Failed to load versions');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    renderVersionHistory(data) {
+        this.hideVersionHistory();
+
+        const versions = data.versions || [];
+        const draftStatus = data.has_unpublished_changes
+            ? '<span class="px-2 py-1 text-xs rounded bg-yellow-100 text-yellow-700">Draft has unpublished changes</span>'
+            : '<span class="px-2 py-1 text-xs rounded bg-green-100 text-green-700">Draft matches the live version</span>';
+
+        const modalHTML = `
+            <div id="version-history-modal" class="fixed inset-0 bg-black bg-opacity-50 modal flex items-center justify-center z-50">
+                <div class="bg-white rounded-lg p-8 max-w-4xl w-full mx-4 max-h-[90vh] overflow-y-auto">
+                    <div class="flex items-center justify-between mb-4">
+                        <h3 class="text-2xl font-semibold text-gray-900">Version History</h3>
+                        <button onclick="promptEngineer.hideVersionHistory()" class="text-gray-400 hover:text-gray-600 text-2xl">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </div>
+                    <div class="mb-4">${draftStatus}</div>
+
+                    ${versions.length === 0 ? `
+                        <div class="text-center py-8 border-2 border-dashed border-gray-300 rounded-lg text-gray-500">
+                            No versions yet. Deploying the project publishes its first version.
+                        </div>
+                    ` : `
+                        <div class="space-y-2">
+                            ${versions.map(version => `
+                                <div class="flex items-center justify-between border rounded-lg p-3 ${version.is_published ? 'border-green-300 bg-green-50' : ''}">
+                                    <div>
+                                        <div class="flex items-center space-x-2">
+                                            <span class="font-medium">v${version.version_number}</span>
+                                            ${version.is_published ? '<span class="px-2 py-1 text-xs rounded bg-green-100 text-green-700">Live</span>' : ''}
+                                            <span class="text-xs text-gray-500">${this.formatDate(version.created_at)}${version.created_by_email ? ` by ${this.escapeHtml(version.created_by_email)}` : ''}</span>
+                                        </div>
+                                        <div class="text-sm text-gray-600">${this.escapeHtml(version.notes || 'No release notes')}</div>
+                                        <div class="text-xs text-gray-500">${version.step_count} steps, ${version.field_count} fields</div>
+                                    </div>
+                                    <div class="flex space-x-2">
+                                        <button onclick="promptEngineer.compareVersions(${version.version_number}, 'draft')" 
+                                                class="text-blue-600 hover:text-blue-800 text-sm">
+                                            <i class="fas fa-exchange-alt mr-1"></i>Compare with draft
+                                        </button>
+                                        ${version.version_number > 1 ? `
+                                            <button onclick="promptEngineer.compareVersions(${version.version_number - 1}, ${version.version_number})" 
+                                                    class="text-blue-600 hover:text-blue-800 text-sm">
+                                                <i class="fas fa-code-compare mr-1"></i>Changes
+                                            </button>
+                                        ` : ''}
+                                        <button onclick="promptEngineer.restoreVersion(${version.version_number})" 
+                                                class="text-orange-600 hover:text-orange-800 text-sm">
+                                            <i class="fas fa-undo mr-1"></i>Restore as draft
+                                        </button>
+                                    </div>
+                                </div>
+                            `).join('')}
+                        </div>
+                    `}
+
+                    <div id="version-diff" class="mt-6"></div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHTML);
+    }
+
+    hideVersionHistory() {
+        const modal = document.getElementById('version-history-modal');
+        if (modal) {
+            modal.remove();
+        }
+    }
+
+    async compareVersions(from, to) {
+        try {
+            const response = await PMConfig.fetch(`api/v6/projects/${this.currentProject.id}/versions/diff?from=${from}&to=${to}`);
+            const data = await response.json();
+
+            if (data.success) {
+                this.renderVersionDiff(data);
+            } else {
+                this.showError(data.error || 'Failed to compare versions');
+            }
+        } catch (error) {
+            console.error('Error comparing versions:', error);
+            this.showError('Failed to compare versions');
+        }
+    }
+
+    renderVersionDiff(data) {
+        const container = document.getElementById('version-diff');
+        if (!container) return;
+
+        const { diff } = data;
+        const formatValue = value => this.escapeHtml(typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value ?? '—'));
+        const renderChanges = changes => changes.map(change => `
+            <div class="text-xs text-gray-600 ml-4">
+                <span class="font-mono">${change.property}</span>:
+                <span class="line-through text-red-600">${formatValue(change.from)}</span>
+                → <span class="text-green-700">${formatValue(change.to)}</span>
+            </div>
+        `).join('');
+        const renderGroup = (title, group, describe) => {
+            const items = [
+                ...group.added.map(item => `<div class="text-sm text-green-700"><i class="fas fa-plus mr-1"></i>${describe(item)}</div>`),
+                ...group.removed.map(item => `<div class="text-sm text-red-700"><i class="fas fa-minus mr-1"></i>${describe(item)}</div>`),
+                ...group.changed.map(item => `<div class="text-sm text-blue-700"><i class="fas fa-pen mr-1"></i>${describe(item)}</div>${renderChanges(item.changes)}`)
+            ];
+            return items.length > 0 ? `<h5 class="font-medium mt-3 mb-1">${title}</h5>${items.join('')}` : '';
+        };
+
+        container.innerHTML = `
+            <div class="border-t pt-4">
+                <h4 class="font-semibold mb-2">Changes from ${data.from} to ${data.to}</h4>
+                ${!diff.has_changes ? '<p class="text-sm text-gray-500">No differences.</p>' : `
+                    ${diff.project.length > 0 ? `<h5 class="font-medium mt-3 mb-1">Project settings</h5>${renderChanges(diff.project)}` : ''}
+                    ${renderGroup('Steps', diff.steps, step => this.escapeHtml(step.name))}
+                    ${renderGroup('Fields', diff.fields, field => this.escapeHtml(field.label || field.name))}
+                `}
+            </div>
+        `;
+    }
+
+    async restoreVersion(versionNumber) {
+        if (!confirm(`Replace the current draft with version ${versionNumber}? Unpublished draft changes will be lost. The live tool is not affected until you deploy again.`)) {
+            return;
+        }
+
+        try {
+            this.showLoading('Restoring version...');
+
+            const response = await PMConfig.fetch(`api/v6/projects/${this.currentProject.id}/versions/${versionNumber}/restore`, {
+                method: 'POST'
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.hideVersionHistory();
+                this.currentStep = null;
+                this.showSuccess(data.message || 'Version restored');
+                this.editProject(this.currentProject.id);
+            } else {
+                this.showError(data.error || 'Failed to restore version');
+            }
+        } catch (error) {
+            console.error('Error restoring version:', error);
+            this.showError('Failed to restore version');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    // ================================
+    // CHANGE JOURNAL
+    // ================================
+
+    undoChange() {
+        return this.stepJournal('undo');
+    }
+
+    redoChange() {
+        return this.stepJournal('redo');
+    }
+
+    async stepJournal(direction) {
+        if (!this.currentProject || this.journalBusy) return;
+
+        try {
+            this.journalBusy = true;
+
+            const response = await PMConfig.fetch(`api/v6/projects/${this.currentProject.id}/journal/${direction}`, {
+                method: 'POST'
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                this.showLiveActivity(data.message);
+                await this.refreshCurrentProject();
+                if (document.getElementById('activity-modal')) {
+                    this.loadActivity();
+                }
+            } else if (response.status === 400) {
+                // Nothing left to undo/redo isn't worth a dialog
+                this.showLiveActivity(data.error);
+            } else {
+                this.showError(data.error || `Failed to ${direction}`);
+            }
+        } catch (error) {
+            console.error(`Error during ${direction}:`, error);
+            this.showError(`Failed to ${direction}`);
+        } finally {
+            this.journalBusy = false;
+        }
+    }
+
+    /**
+     * Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes. Only in the
+     * project editor, and not while typing or with a dialog open (text
+     * inputs keep their own undo).
+     */
+    handleEditorShortcut(e) {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+        const key = e.key.toLowerCase();
+        const isUndo = key === 'z' && !e.shiftKey;
+        const isRedo = (key === 'z' && e.shiftKey) || (key === 'y' && !e.shiftKey);
+        if (!isUndo && !isRedo) return;
+
+        if (!this.currentProject || document.getElementById('project-editor-view')?.classList.contains('hidden')) return;
+        if (this.currentProject.role === 'viewer') return;
+
+        const target = e.target;
+        if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) return;
+        if (document.querySelector('.modal:not(.hidden)')) return;
+
+        e.preventDefault();
+        if (isUndo) {
+            this.undoChange();
+        } else {
+            this.redoChange();
+        }
+    }
+
+    async showActivity() {
+        if (!this.currentProject) return;
+
+        this.hideActivity();
+        this.activityEntries = [];
+
+        document.body.insertAdjacentHTML('beforeend', `
+            <div id="activity-modal" class="fixed inset-0 bg-black bg-opacity-50 modal flex items-center justify-center z-50">
+                <div class="bg-white rounded-lg p-8 max-w-3xl w-full mx-4 max-h-[90vh] overflow-y-auto">
+                    <div class="flex items-center justify-between mb-4">
+                        <h3 class="text-2xl font-semibold text-gray-900">Activity</h3>
+                        <button onclick="promptEngineer.hideActivity()" class="text-gray-400 hover:text-gray-600 text-2xl">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </div>
+                    <p class="text-sm text-gray-600 mb-4">
+                        Changes to steps, fields and choices, newest first. Undo with Ctrl+Z and redo with Ctrl+Shift+Z in the editor.
+                    </p>
+                    <div id="activity-list" class="text-sm text-gray-500">Loading...</div>
+                    <div id="activity-entry" class="mt-4"></div>
+                </div>
+            </div>
+        `);
+
+        await this.loadActivity();
+    }
+
+    hideActivity() {
+        const modal = document.getElementById('activity-modal');
+        if (modal) {
+            modal.remove();
+        }
+    }
+
+    /**
+     * Load the timeline; with more=true, append the next (older) page
+     */
+    async loadActivity(more = false) {
+        if (!this.currentProject) return;
+
+        try {
+            const params = more && this.activityNextBefore ? `?before=${this.activityNextBefore}` : '';
+            const response = await PMConfig.fetch(`api/v6/projects/${this.currentProject.id}/journal${params}`);
+            const data = await response.json();
+
+            if (!data.success) {
+                this.showError(data.error || 'Failed to load activity');
+                return;
+            }
+
+            this.activityEntries = more ? [...this.activityEntries, ...data.entries] : data.entries;
+            this.activityNextBefore = data.next_before;
+            this.renderActivity(data);
+        } catch (error) {
+            console.error('Error loading activity:', error);
+            this.showError('Failed to load activity');
+        }
+    }
+
+    renderActivity(data) {
+        const list = document.getElementById('activity-list');
+        if (!list) return;
+
+        const statusBadges = {
+            undone: '<span class="px-2 py-1 text-xs rounded bg-yellow-100 text-yellow-700">Undone</span>',
+            discarded: '<span class="px-2 py-1 text-xs rounded bg-gray-100 text-gray-600">Can no longer be undone</span>'
+        };
+        const icons = { created: 'fa-plus text-green-600', updated: 'fa-pen text-blue-600', deleted: 'fa-trash text-red-600', reordered: 'fa-sort text-purple-600' };
+        const canEdit = this.currentProject.role !== 'viewer';
+
+        if (this.activityEntries.length === 0) {
+            list.innerHTML = `
+                <div class="text-center py-8 border-2 border-dashed border-gray-300 rounded-lg text-gray-500">
+                    No changes recorded yet.
+                </div>
+            `;
+            return;
+        }
+
+        list.innerHTML = `
+            ${canEdit ? `
+                <div class="flex space-x-2 mb-3">
+                    <button onclick="promptEngineer.undoChange()" ${data.can_undo ? '' : 'disabled'}
+                            class="px-3 py-1 border rounded text-gray-700 hover:bg-gray-50 disabled:opacity-50">
+                        <i class="fas fa-undo mr-1"></i>Undo
+                    </button>
+                    <button onclick="promptEngineer.redoChange()" ${data.can_redo ? '' : 'disabled'}
+                            class="px-3 py-1 border rounded text-gray-700 hover:bg-gray-50 disabled:opacity-50">
+                        <i class="fas fa-redo mr-1"></i>Redo
+                    </button>
+                </div>
+            ` : ''}
+            <div class="space-y-2">
+                ${this.activityEntries.map(entry => `
+                    <div class="flex items-start justify-between border rounded-lg p-3 ${entry.status === 'applied' ? '' : 'bg-gray-50'}">
+                        <div class="flex items-start space-x-3">
+                            <i class="fas ${icons[entry.action] || 'fa-circle text-gray-400'} mt-1"></i>
+                            <div>
+                                <div class="text-gray-900 ${entry.status === 'applied' ? '' : 'line-through'}">${this.escapeHtml(entry.summary || '')}</div>
+                                <div class="text-xs text-gray-500">
+                                    ${new Date(entry.created_at).toLocaleString()} by ${this.escapeHtml(entry.user_email || 'unknown')}
+                                    ${entry.undone_at ? ` · undone ${new Date(entry.undone_at).toLocaleString()}${entry.undone_by_email ? ` by ${this.escapeHtml(entry.undone_by_email)}` : ''}` : ''}
+                                </div>
+                            </div>
+                        </div>
+                        <div class="flex items-center space-x-2">
+                            ${statusBadges[entry.status] || ''}
+                            <button onclick="promptEngineer.showJournalEntry('${entry.id}')" class="text-blue-600 hover:text-blue-800 text-sm">
+                                Details
+                            </button>
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+            ${this.activityNextBefore ? `
+                <button onclick="promptEngineer.loadActivity(true)" class="mt-3 text-blue-600 hover:text-blue-800 text-sm">
+                    Show older changes
+                </button>
+            ` : ''}
+        `;
+    }
+
+    async showJournalEntry(entryId) {
+        const container = document.getElementById('activity-entry');
+        if (!container) return;
+
+        try {
+            const response = await PMConfig.fetch(`api/v6/projects/${this.currentProject.id}/journal/${entryId}`);
+            const data = await response.json();
+
+            if (!data.success) {
+                this.showError(data.error || 'Failed to load change');
+                return;
+            }
+
+            const { entry } = data;
+            const formatState = state => state
+                ? `<pre class="text-xs bg-gray-50 border rounded p-2 overflow-x-auto max-h-64">${this.escapeHtml(JSON.stringify(state, null, 2))}</pre>`
+                : '<p class="text-xs text-gray-500">Nothing</p>';
+
+            container.innerHTML = `
+                <div class="border-t pt-4">
+                    <h4 class="font-semibold mb-2">${this.escapeHtml(entry.summary || '')}</h4>
+                    <div class="grid grid-cols-2 gap-4">
+                        <div>
+                            <h5 class="font-medium text-sm mb-1">Before</h5>
+                            ${formatState(entry.before_state)}
+                        </div>
+                        <div>
+                            <h5 class="font-medium text-sm mb-1">After</h5>
+                            ${formatState(entry.after_state)}
+                        </div>
+                    </div>
+                </div>
+            `;
+        } catch (error) {
+            console.error('Error loading journal entry:', error);
+            this.showError('Failed to load change');
+        }
+    }
+
+    // ================================
+    // PROJECT SETTINGS
+    // ================================
+
+    showProjectSettings() {
+        if (!this.currentProject) return;
+        
+        // Populate form with current project data
+        document.getElementById('settings-project-name').value = this.currentProject.name || '';
+        document.getElementById('settings-ai-role').value = this.currentProject.ai_role || '';
+        document.getElementById('settings-project-description').value = this.currentProject.description || '';
+        document.getElementById('settings-header-title').value = this.currentProject.header_title || '';
+        document.getElementById('settings-header-subtitle').value = this.currentProject.header_subtitle || '';
+        document.getElementById('settings-followup-enabled').checked = this.currentProject.followup_enabled === true;
+        document.getElementById('settings-followup-max-turns').value = this.currentProject.followup_max_turns || 5;
+        document.getElementById('settings-draft-expiry-days').value = this.currentProject.draft_expiry_days ?? 30;
+        document.getElementById('update-subdomain').checked = false;
+        this.loadGenerationSettings();
+        
+        document.getElementById('project-settings-modal').classList.remove('hidden');
+    }
+
+    /**
+     * Fill the AI generation settings with the project's settings and the models it may use
+     */
+    async loadGenerationSettings() {
+        this.generationOptions = null;
+
+        try {
+            const response = await PMConfig.fetch(`api/v6/projects/${this.currentProject.id}/generation-options`);
+            const data = await response.json();
+
+            if (!data.success) {
+                this.showError(data.error || 'Failed to load AI generation settings');
+                return;
+            }
+
+            this.generationOptions = data;
+            const settings = data.settings || {};
+            const providerSelect = document.getElementById('settings-ai-provider');
+
+            providerSelect.innerHTML = data.providers.length > 0
+                ? data.providers.map(provider => `<option value="${provider.id}">${this.escapeHtml(provider.name)}</option>`).join('')
+                : '<option value="">No AI provider configured</option>';
+            const selectedProvider = settings.provider || data.defaults.provider;
+            if (data.providers.some(provider => provider.id === selectedProvider)) {
+                providerSelect.value = selectedProvider;
+            }
+            this.renderGenerationModels(settings.model);
+
+            const temperature = document.getElementById('settings-ai-temperature');
+            temperature.value = settings.temperature ?? '';
+            temperature.placeholder = `Default: ${data.defaults.temperature}`;
+
+            const maxTokens = document.getElementById('settings-ai-max-tokens');
+            maxTokens.value = settings.max_tokens ?? '';
+            maxTokens.max = data.limits.max_tokens;
+            maxTokens.placeholder = `Default: ${data.defaults.max_tokens}`;
+
+            document.getElementById('settings-ai-stop-sequences').value = (settings.stop_sequences || []).join('\n');
+
+            const fallbacks = document.getElementById('settings-ai-fallbacks');
+            fallbacks.value = (settings.fallbacks || []).join('\n');
+            fallbacks.placeholder = data.defaults.fallbacks.length > 0
+                ? `Default: ${data.defaults.fallbacks.join(', ')}`
+                : 'Default: none';
+            document.getElementById('settings-ai-fallbacks-help').textContent =
+                `Used when the model fails or is unavailable. Up to ${data.limits.fallbacks} model ids, or a provider (${data.providers.map(provider => provider.id).join(', ')}) to use its default model.`;
+        } catch (error) {
+            console.error('Error loading generation settings:', error);
+            this.showError('Failed to load AI generation settings');
+        }
+    }
+
+    renderGenerationModels(selected = document.getElementById('settings-ai-model').value) {
+        if (!this.generationOptions) return;
+
+        const { providers, defaults } = this.generationOptions;
+        const provider = providers.find(candidate => candidate.id === document.getElementById('settings-ai-provider').value);
+        const models = provider ? [...provider.models] : [];
+        const labels = models.map(model => [model, model]);
+
+        // Keep a saved model visible even when the package no longer allows it
+        if (selected && !models.includes(selected)) {
+            labels.push([selected, `${selected} (not available)`]);
+        }
+
+        const modelSelect = document.getElementById('settings-ai-model');
+        modelSelect.innerHTML = [['', `Default (${provider ? provider.default_model : defaults.model})`], ...labels]
+            .map(([value, label]) => `<option value="${value}">${this.escapeHtml(label)}</option>`)
+            .join('');
+        modelSelect.value = selected || '';
+    }
+
+    /**
+     * AI generation settings from the settings form: null when everything is left
+     * at the default, undefined (unchanged) when they could not be loaded
+     */
+    readGenerationSettings() {
+        if (!this.generationOptions) return undefined;
+
+        const provider = document.getElementById('settings-ai-provider').value;
+        const model = document.getElementById('settings-ai-model').value;
+        const temperature = document.getElementById('settings-ai-temperature').value;
+        const maxTokens = document.getElementById('settings-ai-max-tokens').value;
+        const stopSequences = document.getElementById('settings-ai-stop-sequences').value
+            .split('\n')
+            .filter(line => line.trim());
+        const fallbacks = document.getElementById('settings-ai-fallbacks').value
+            .split('\n')
+            .map(line => line.trim())
+            .filter(Boolean);
+
+        const defaultProvider = !provider || provider === this.generationOptions.defaults.provider;
+        if (defaultProvider && !model && temperature === '' && maxTokens === '' && stopSequences.length === 0 && fallbacks.length === 0) {
+            return null;
+        }
+
+        return {
+            provider: provider || null,
+            model: model || null,
+            temperature: temperature === '' ? null : Number(temperature),
+            max_tokens: maxTokens === '' ? null : Number(maxTokens),
+            stop_sequences: stopSequences,
+            fallbacks
+        };
+    }
+
+    hideProjectSettings() {
+        document.getElementById('project-settings-modal').classList.add('hidden');
+    }
+
+    async handleSaveProjectSettings(e) {
+        e.preventDefault();
+        
+        if (!this.currentProject) return;
+        
+        try {
+            this.showLoading('Saving project settings...');
+            
+            const formData = {
+                name: document.getElementById('settings-project-name').value.trim(),
+                ai_role: document.getElementById('settings-ai-role').value.trim(),
+                description: document.getElementById('settings-project-description').value.trim(),
+                header_title: document.getElementById('settings-header-title').value.trim(),
+                header_subtitle: document.getElementById('settings-header-subtitle').value.trim(),
+                followup_enabled: document.getElementById('settings-followup-enabled').checked,
+                followup_max_turns: parseInt(document.getElementById('settings-followup-max-turns').value, 10) || null,
+                draft_expiry_days: parseInt(document.getElementById('settings-draft-expiry-days').value, 10),
+                generation_settings: this.readGenerationSettings(),
+                updateSubdomain: document.getElementById('update-subdomain').checked
+            };
+
+            const response = await PMConfig.fetch(`api/v6/projects/${this.currentProject.id}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(formData)
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                // Update current project with returned data
+                this.currentProject = { ...this.currentProject, ...data.project };
+                
+                // Update the project title and description in the editor
+                document.getElementById('project-title').textContent = this.currentProject.name;
+                document.getElementById('project-description').textContent = this.currentProject.description;
+                
+                this.hideProjectSettings();
+                this.showSuccess('Project settings saved successfully!');
+                
+                // Reload project list to reflect changes
+                this.loadProjects();
+            } else {
+                this.showError((data.errors || []).join('\n') || data.error || 'Failed to save project settings');
+            }
+        } catch (error) {
+            console.error('Error saving project settings:', error);
+            this.showError('Failed to save project settings');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    // ================================
+    // VIEW MANAGEMENT
+    // ================================
+
+    showProjectListView() {
+        document.getElementById('project-list-view').classList.remove('hidden');
+        document.getElementById('project-editor-view').classList.add('hidden');
+        this.leaveLiveProject();
+    }
+
+    showProjectEditorView() {
+        document.getElementById('project-list-view').classList.add('hidden');
+        document.getElementById('project-editor-view').classList.remove('hidden');
+    }
+
+    // ================================
+    // UTILITY METHODS
+    // ================================
+
+    showLoading(message = 'Loading...') {
+        document.getElementById('loading-text').textContent = message;
+        document.getElementById('loading-overlay').classList.remove('hidden');
+    }
+
+    hideLoading() {
+        document.getElementById('loading-overlay').classList.add('hidden');
+    }
+
+    showSuccess(message) {
+        // You can implement a toast notification system here
+        alert(message); // Temporary
+    }
+
+    showError(message) {
+        // You can implement a toast notification system here
+        alert('Error: ' + message); // Temporary
+    }
+
+    escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    formatDate(dateString) {
+        const date = new Date(dateString);
+        return date.toLocaleDateString();
+    }
+
+    // ================================
+    // STEP MANAGEMENT METHODS
+    // ================================
+
+    async editStepSettings(stepId) {
+        // Find the step
+        const step = this.steps.find(s => s.id === stepId);
+        if (!step) {
+            this.showError('Step not found');
+            return;
+        }
+
+        // For now, just show an alert - you can implement a modal later
+        const newName = prompt('Enter new step name:', step.name);
+        if (newName && newName.trim() !== step.name) {
+            await this.updateStep(stepId, { name: newName.trim() });
+        }
+    }
+
+    async deleteStep(stepId) {
+        if (!confirm('Are you sure you want to delete this step? This action cannot be undone.')) {
+            return;
+        }
+
+        try {
+            this.showLoading('Deleting step...');
+
+            const response = await PMConfig.fetch(`api/v6/steps/${stepId}`, {
+                method: 'DELETE'
             });
 
             if (response.ok) {
@@ -1616,6 +6077,347 @@ class PromptEngineerV6_1_0rc {
         }
     }
 
+    // ================================
+    // CONDITIONAL LOGIC
+    // ================================
+
+    getLogicOperators() {
+        return [
+            { value: 'equals', label: 'equals' },
+            { value: 'not_equals', label: 'does not equal' },
+            { value: 'contains', label: 'contains' },
+            { value: 'not_contains', label: 'does not contain' },
+            { value: 'in', label: 'is one of' },
+            { value: 'not_in', label: 'is not one of' },
+            { value: 'is_empty', label: 'is empty' },
+            { value: 'is_not_empty', label: 'is not empty' },
+            { value: 'greater_than', label: 'is greater than' },
+            { value: 'less_than', label: 'is less than' }
+        ];
+    }
+
+    /**
+     * Fields a rule may depend on: everything before the given field, or
+     * everything up to and including the given step when no field is passed.
+     */
+    getLogicSourceFields(stepId, fieldId = null) {
+        const sources = [];
+
+        for (const step of this.steps) {
+            for (const field of step.fields || []) {
+                if (field.id === fieldId) {
+                    return sources;
+                }
+                sources.push({ ...field, stepName: step.name });
+            }
+
+            if (step.id === stepId && !fieldId) {
+                return sources;
+            }
+        }
+
+        return sources;
+    }
+
+    renderLogicCondition(condition = {}) {
+        const fieldOptions = this.logicSourceFields.map(field => `
+            <option value="${field.id}" ${condition.field_id === field.id ? 'selected' : ''}>
+                ${this.escapeHtml(field.stepName)} › ${this.escapeHtml(field.label || field.name)}
+            </option>
+        `).join('');
+
+        const operatorOptions = this.getLogicOperators().map(operator => `
+            <option value="${operator.value}" ${condition.operator === operator.value ? 'selected' : ''}>${operator.label}</option>
+        `).join('');
+
+        const value = Array.isArray(condition.value) ? condition.value.join(', ') : (condition.value ?? '');
+
+        return `
+            <div class="flex items-center space-x-2 logic-condition">
+                <select class="logic-field flex-1 p-2 border border-gray-300 rounded text-sm">${fieldOptions}</select>
+                <select class="logic-operator p-2 border border-gray-300 rounded text-sm">${operatorOptions}</select>
+                <input type="text" class="logic-value flex-1 p-2 border border-gray-300 rounded text-sm"
+                       value="${this.escapeHtml(String(value))}" placeholder="Value (comma-separated for lists)">
+                <button type="button" onclick="this.closest('.logic-condition').remove()" class="text-red-600 hover:text-red-800 p-1">
+                    <i class="fas fa-trash text-sm"></i>
+                </button>
+            </div>
+        `;
+    }
+
+    renderLogicConditionsBlock(conditions, match) {
+        return `
+            <div class="logic-conditions-block space-y-2">
+                <div class="flex items-center space-x-2 text-sm text-gray-700">
+                    <span>When</span>
+                    <select class="logic-match p-1 border border-gray-300 rounded text-sm">
+                        <option value="all" ${match !== 'any' ? 'selected' : ''}>all</option>
+                        <option value="any" ${match === 'any' ? 'selected' : ''}>any</option>
+                    </select>
+                    <span>of these conditions match</span>
+                </div>
+                <div class="logic-conditions space-y-2">
+                    ${conditions.map(condition => this.renderLogicCondition(condition)).join('')}
+                </div>
+                <button type="button" onclick="promptEngineer.addLogicCondition(this)" class="text-blue-600 hover:text-blue-800 text-sm">
+                    <i class="fas fa-plus mr-1"></i> Add Condition
+                </button>
+            </div>
+        `;
+    }
+
+    addLogicCondition(button) {
+        const container = button.closest('.logic-conditions-block').querySelector('.logic-conditions');
+        container.insertAdjacentHTML('beforeend', this.renderLogicCondition());
+    }
+
+    readLogicConditionsBlock(block) {
+        const conditions = Array.from(block.querySelectorAll('.logic-condition')).map(row => {
+            const operator = row.querySelector('.logic-operator').value;
+            const rawValue = row.querySelector('.logic-value').value.trim();
+            let value = rawValue;
+
+            if (['is_empty', 'is_not_empty'].includes(operator)) {
+                value = null;
+            } else if (['in', 'not_in'].includes(operator)) {
+                value = rawValue.split(',').map(item => item.trim()).filter(Boolean);
+            }
+
+            return {
+                field_id: row.querySelector('.logic-field').value,
+                operator,
+                value
+            };
+        });
+
+        return {
+            match: block.querySelector('.logic-match').value,
+            conditions
+        };
+    }
+
+    showLogicModal(title, bodyHTML, footerHTML) {
+        this.hideLogicModal();
+
+        const modalHTML = `
+            <div id="logic-editor-modal" class="fixed inset-0 bg-black bg-opacity-50 modal flex items-center justify-center z-50">
+                <div class="bg-white rounded-lg p-8 max-w-3xl w-full mx-4 max-h-[90vh] overflow-y-auto">
+                    <div class="flex items-center justify-between mb-6">
+                        <h3 class="text-2xl font-semibold text-gray-900">${title}</h3>
+                        <button onclick="promptEngineer.hideLogicModal()" class="text-gray-400 hover:text-gray-600 text-2xl">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </div>
+                    <div id="logic-editor-body" class="space-y-4">${bodyHTML}</div>
+                    <div class="flex justify-end space-x-4 pt-6 mt-6 border-t">
+                        <button type="button" onclick="promptEngineer.hideLogicModal()" class="bg-gray-300 text-gray-700 px-6 py-2 rounded hover:bg-gray-400">
+                            Cancel
+                        </button>
+                        ${footerHTML}
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHTML);
+    }
+
+    hideLogicModal() {
+        const modal = document.getElementById('logic-editor-modal');
+        if (modal) {
+            modal.remove();
+        }
+    }
+
+    showVisibilityEditor(fieldId) {
+        const step = this.steps.find(s => (s.fields || []).some(f => f.id === fieldId));
+        const field = step?.fields.find(f => f.id === fieldId);
+        if (!field) {
+            this.showError('Field not found');
+            return;
+        }
+
+        this.logicSourceFields = this.getLogicSourceFields(step.id, field.id);
+        if (this.logicSourceFields.length === 0) {
+            this.showError('Visibility rules can only depend on earlier fields. Add a field before this one first.');
+            return;
+        }
+
+        const rule = field.visibility_rules || { action: 'show', match: 'all', conditions: [] };
+        const conditions = rule.conditions?.length > 0
+            ? rule.conditions
+            : [{ field_id: this.logicSourceFields[this.logicSourceFields.length - 1].id, operator: 'equals', value: '' }];
+
+        const body = `
+            <div class="flex items-center space-x-2 text-sm text-gray-700">
+                <select id="logic-action" class="p-1 border border-gray-300 rounded text-sm">
+                    <option value="show" ${rule.action !== 'hide' ? 'selected' : ''}>Show</option>
+                    <option value="hide" ${rule.action === 'hide' ? 'selected' : ''}>Hide</option>
+                </select>
+                <span>this field only if the conditions below are met.</span>
+            </div>
+            ${this.renderLogicConditionsBlock(conditions, rule.match)}
+        `;
+
+        const footer = `
+            ${field.visibility_rules ? `
+                <button type="button" onclick="promptEngineer.clearVisibilityRule('${field.id}')" class="bg-red-100 text-red-700 px-6 py-2 rounded hover:bg-red-200">
+                    Remove Rule
+                </button>
+            ` : ''}
+            <button type="button" onclick="promptEngineer.saveVisibilityRule('${field.id}')" class="bg-blue-600 text-white px-6 py-2 rounded hover:bg-blue-700">
+                Save Rule
+            </button>
+        `;
+
+        this.showLogicModal(`Visibility: ${this.escapeHtml(field.label || field.name)}`, body, footer);
+    }
+
+    async saveVisibilityRule(fieldId) {
+        const block = document.querySelector('#logic-editor-body .logic-conditions-block');
+        const rule = {
+            action: document.getElementById('logic-action').value,
+            ...this.readLogicConditionsBlock(block)
+        };
+
+        try {
+            const response = await PMConfig.fetch(`api/v6/fields/${fieldId}/visibility`, {
+                method: 'PUT',
+                body: JSON.stringify({ rule })
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.hideLogicModal();
+                this.showSuccess('Visibility rule saved');
+                this.editProject(this.currentProject.id);
+            } else {
+                this.showError(data.errors ? data.errors.join('; ') : (data.error || 'Failed to save visibility rule'));
+            }
+        } catch (error) {
+            console.error('Error saving visibility rule:', error);
+            this.showError('Failed to save visibility rule');
+        }
+    }
+
+    async clearVisibilityRule(fieldId) {
+        try {
+            const response = await PMConfig.fetch(`api/v6/fields/${fieldId}/visibility`, {
+                method: 'DELETE'
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.hideLogicModal();
+                this.showSuccess('Visibility rule removed');
+                this.editProject(this.currentProject.id);
+            } else {
+                this.showError(data.error || 'Failed to remove visibility rule');
+            }
+        } catch (error) {
+            console.error('Error removing visibility rule:', error);
+            this.showError('Failed to remove visibility rule');
+        }
+    }
+
+    renderBranchRule(rule = {}) {
+        const stepIndex = this.steps.findIndex(s => s.id === this.logicStepId);
+        const targets = this.steps.slice(stepIndex + 1).map((step, offset) => `
+            <option value="${step.id}" ${rule.target_step_id === step.id ? 'selected' : ''}>
+                Step ${stepIndex + offset + 2}: ${this.escapeHtml(step.name)}
+            </option>
+        `).join('');
+
+        const conditions = rule.conditions?.length > 0
+            ? rule.conditions
+            : [{ field_id: this.logicSourceFields[this.logicSourceFields.length - 1].id, operator: 'equals', value: '' }];
+
+        return `
+            <div class="logic-branch border rounded-lg p-4 space-y-3 bg-gray-50">
+                ${this.renderLogicConditionsBlock(conditions, rule.match)}
+                <div class="flex items-center space-x-2 text-sm text-gray-700">
+                    <span>then go to</span>
+                    <select class="logic-target flex-1 p-2 border border-gray-300 rounded text-sm">
+                        ${targets}
+                        <option value="end" ${rule.target_step_id === 'end' ? 'selected' : ''}>End of form (submit)</option>
+                    </select>
+                    <button type="button" onclick="this.closest('.logic-branch').remove()" class="text-red-600 hover:text-red-800 text-sm">
+                        <i class="fas fa-trash mr-1"></i> Remove Rule
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    addBranchRule() {
+        document.getElementById('logic-branches').insertAdjacentHTML('beforeend', this.renderBranchRule());
+    }
+
+    showBranchEditor(stepId) {
+        const step = this.steps.find(s => s.id === stepId);
+        if (!step) {
+            this.showError('Step not found');
+            return;
+        }
+
+        this.logicStepId = stepId;
+        this.logicSourceFields = this.getLogicSourceFields(stepId);
+        if (this.logicSourceFields.length === 0) {
+            this.showError('Branching depends on answers. Add a field to this step or an earlier one first.');
+            return;
+        }
+
+        const body = `
+            <p class="text-sm text-gray-600">
+                Rules are checked in order and the first match decides where the user goes next.
+                If no rule matches, the next step is shown as usual.
+            </p>
+            <div id="logic-branches" class="space-y-4">
+                ${(step.branch_rules || []).map(rule => this.renderBranchRule(rule)).join('')}
+            </div>
+            <button type="button" onclick="promptEngineer.addBranchRule()" class="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 text-sm">
+                <i class="fas fa-plus mr-1"></i> Add Rule
+            </button>
+        `;
+
+        const footer = `
+            <button type="button" onclick="promptEngineer.saveBranchRules('${step.id}')" class="bg-blue-600 text-white px-6 py-2 rounded hover:bg-blue-700">
+                Save Branching
+            </button>
+        `;
+
+        this.showLogicModal(`Branching: ${this.escapeHtml(step.name)}`, body, footer);
+    }
+
+    async saveBranchRules(stepId) {
+        const rules = Array.from(document.querySelectorAll('#logic-branches .logic-branch')).map(branch => ({
+            ...this.readLogicConditionsBlock(branch.querySelector('.logic-conditions-block')),
+            target_step_id: branch.querySelector('.logic-target').value
+        }));
+
+        try {
+            const response = await PMConfig.fetch(`api/v6/steps/${stepId}/branches`, {
+                method: 'PUT',
+                body: JSON.stringify({ rules })
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.hideLogicModal();
+                this.showSuccess('Branching rules saved');
+                this.editProject(this.currentProject.id);
+            } else {
+                this.showError(data.errors ? data.errors.join('; ') : (data.error || 'Failed to save branching rules'));
+            }
+        } catch (error) {
+            console.error('Error saving branching rules:', error);
+            this.showError('Failed to save branching rules');
+        }
+    }
+
     // ================================
     // FIELD EDITOR FUNCTIONALITY
     // ================================